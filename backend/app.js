@@ -10,10 +10,11 @@ const smsRoutes = require('./src/routes/smsRoutes');
 const ussdRoutes = require('./src/routes/ussdRoutes');
 const webhookRoutes = require('./src/routes/webhookRoutes');
 const transactionRoutes = require('./src/routes/transactionRoutes');
+const reconciliationRoutes = require('./src/routes/reconciliationRoutes');
+const adminRoutes = require('./src/routes/adminRoutes');
 
 // Import middleware
 const errorHandler = require('./src/middleware/errorHandler');
-const authMiddleware = require('./src/middleware/authMiddleware');
 const { handleValidationError } = require('./src/middleware/validation');
 
 // Load environment variables
@@ -58,7 +59,9 @@ app.use('/api/auth', require('./src/routes/authRoutes'));
 app.use('/api/sms', smsRoutes);
 app.use('/api/ussd', ussdRoutes);
 app.use('/api/webhooks', webhookRoutes);
-app.use('/api/transactions', authMiddleware, transactionRoutes);
+app.use('/api/transactions', transactionRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Validation error handling middleware
 app.use(handleValidationError);
@@ -77,6 +80,37 @@ app.listen(PORT, () => {
   console.log(`📱 SMS endpoint: http://localhost:${PORT}/api/sms`);
   console.log(`📞 USSD endpoint: http://localhost:${PORT}/api/ussd`);
   console.log(`🔗 Webhooks endpoint: http://localhost:${PORT}/api/webhooks`);
+
+  // Outbound SMS are queued; this process also sends them unless SMS_QUEUE_WORKER=false
+  if (process.env.SMS_QUEUE_WORKER !== 'false') {
+    require('./src/services/sms/smsQueue').start();
+  }
+
+  // Chain/database balance reconciliation; only one run at a time across instances
+  if (process.env.RECONCILIATION_WORKER !== 'false') {
+    require('./src/services/reconciliationService').start();
+  }
+
+  // Follows ZrUSD and vault events to confirm transactions; instances take turns via an advisory lock
+  if (process.env.CHAIN_INDEXER_WORKER !== 'false') {
+    require('./src/services/chainIndexer').start();
+  }
+
+  // Replaces stuck master wallet and gas tank transactions; claims are per attempt, so every instance can run it
+  if (process.env.TX_MONITOR_WORKER !== 'false') {
+    require('./src/services/walletService').txManager.start();
+    require('./src/services/gas/gasRelayer').txManager.start();
+  }
+
+  // Refunds expired transfer claims and retries failed payouts; claims are taken one row at a time
+  if (process.env.TRANSFER_CLAIM_WORKER !== 'false') {
+    require('./src/services/transferClaimService').start();
+  }
+
+  // Alerts operators when the gas tank paying user gas runs low
+  if (process.env.GAS_TANK_WORKER !== 'false') {
+    require('./src/services/gas/gasRelayer').start();
+  }
 });
 
 module.exports = app;
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Manage API keys for the admin and partner endpoints. Use this to create the first admin
+ * key; after that keys can also be managed through /api/admin/api-keys. A new key is printed
+ * once and only its hash is stored.
+ *
+ * Usage: node scripts/api-keys.js list
+ *        node scripts/api-keys.js create --name <name> --role <admin|support|finance|partner> [--scopes a,b]
+ *        node scripts/api-keys.js rotate <id> [--grace-hours <hours>]
+ *        node scripts/api-keys.js revoke <id>
+ */
+
+require('dotenv').config();
+
+const { pool, ApiKey } = require('../src/db/models');
+const apiKeyService = require('../src/services/apiKeyService');
+
+const option = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+async function main() {
+  let exitCode = 0;
+  const [command, id] = process.argv.slice(2);
+
+  try {
+    if (command === 'create') {
+      const scopes = option('--scopes');
+      const { key, apiKey } = await apiKeyService.create({
+        name: option('--name'),
+        role: option('--role'),
+        scopes: scopes ? scopes.split(',') : null,
+        createdBy: 'cli'
+      });
+      console.log(`Created ${apiKey.key_prefix} (${apiKey.role}): ${apiKey.scopes.join(', ')}`);
+      console.log(`Key (shown once): ${key}`);
+    } else if (command === 'rotate') {
+      const graceHours = option('--grace-hours');
+      const { key, apiKey, previousExpiresAt } = await apiKeyService.rotate(id, {
+        graceHours: graceHours === undefined ? undefined : parseFloat(graceHours),
+        rotatedBy: 'cli'
+      });
+      console.log(`Rotated to ${apiKey.key_prefix}; the old key expires at ${previousExpiresAt}`);
+      console.log(`Key (shown once): ${key}`);
+    } else if (command === 'revoke') {
+      const revoked = await apiKeyService.revoke(id);
+      console.log(`Revoked ${revoked.key_prefix}`);
+    } else if (command === 'list') {
+      const keys = await ApiKey.findAll();
+      console.table(keys.map(key => ({
+        id: key.id,
+        prefix: key.key_prefix,
+        name: key.name,
+        role: key.role,
+        status: key.status,
+        expiresAt: key.expires_at,
+        lastUsedAt: key.last_used_at
+      })));
+    } else {
+      throw new Error('Usage: api-keys.js list | create --name <name> --role <role> [--scopes a,b] | rotate <id> | revoke <id>');
+    }
+  } catch (error) {
+    console.error(`API keys failed: ${error.message}`);
+    exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+
+  process.exit(exitCode);
+}
+
+main();
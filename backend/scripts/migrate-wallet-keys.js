@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Move user private keys from Redis (wallet:<phone>, encrypted with the old aes192 scheme)
+ * into wallet_keys under envelope encryption.
+ *
+ * Usage: node scripts/migrate-wallet-keys.js [--dry-run] [--keep-redis]
+ *   --dry-run     Decrypt and check every key without writing anything
+ *   --keep-redis  Leave the Redis entries in place after migrating them
+ *
+ * The old passphrase is LEGACY_ENCRYPTION_KEY, then ENCRYPTION_KEY, then the old default.
+ * Safe to re-run: keys already in wallet_keys are skipped.
+ */
+
+require('dotenv').config();
+
+const { ethers } = require('ethers');
+const redisClient = require('../src/db/redisClient');
+const { pool, User, WalletKey } = require('../src/db/models');
+const keyManager = require('../src/services/keys/keyManager');
+const { decryptLegacy } = require('../src/services/keys/keyManager');
+
+const PREFIX = 'wallet:';
+
+async function migrate({ dryRun = false, keepRedis = false } = {}) {
+  const passphrase = process.env.LEGACY_ENCRYPTION_KEY || process.env.ENCRYPTION_KEY || 'default-key';
+  const summary = { migrated: 0, alreadyMigrated: 0, failed: 0 };
+
+  await redisClient.connect();
+
+  for await (const key of redisClient.client.scanIterator({ MATCH: `${PREFIX}*`, COUNT: 100 })) {
+    const phoneNumber = key.slice(PREFIX.length);
+
+    try {
+      if (await WalletKey.findByPhone(phoneNumber)) {
+        summary.alreadyMigrated++;
+        if (!dryRun && !keepRedis) {
+          await redisClient.del(key);
+        }
+        continue;
+      }
+
+      const user = await User.findByPhone(phoneNumber);
+      if (!user) {
+        throw new Error('No user with this phone number');
+      }
+
+      const privateKey = decryptLegacy(await redisClient.get(key), passphrase);
+      const address = new ethers.Wallet(privateKey).address;
+      if (address.toLowerCase() !== String(user.wallet_address).toLowerCase()) {
+        throw new Error(`Key is for ${address}, user wallet is ${user.wallet_address}`);
+      }
+
+      if (!dryRun) {
+        await keyManager.storePrivateKey(phoneNumber, address, privateKey);
+        if (await keyManager.getPrivateKey(phoneNumber) !== privateKey) {
+          throw new Error('Stored key does not decrypt to the original');
+        }
+        if (!keepRedis) {
+          await redisClient.del(key);
+        }
+      }
+
+      summary.migrated++;
+      console.log(`${dryRun ? 'Checked' : 'Migrated'} ${phoneNumber} (${address})`);
+    } catch (error) {
+      summary.failed++;
+      console.error(`Failed ${phoneNumber}: ${error.message}`);
+    }
+  }
+
+  return summary;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  let exitCode = 0;
+
+  try {
+    const summary = await migrate({ dryRun: args.includes('--dry-run'), keepRedis: args.includes('--keep-redis') });
+    console.log(JSON.stringify(summary));
+    exitCode = summary.failed > 0 ? 1 : 0;
+  } catch (error) {
+    console.error(`Wallet key migration failed: ${error.message}`);
+    exitCode = 1;
+  } finally {
+    await redisClient.client.quit().catch(() => {});
+    await pool.end();
+  }
+
+  process.exit(exitCode);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { migrate };
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Apply or roll back the SQL migrations in src/db/migrations and record them in
+ * schema_migrations. Safe to run from several instances at once: they queue on an advisory
+ * lock and each migration is applied once.
+ *
+ * Usage: node scripts/migrate.js [up] [--to <version>]
+ *        node scripts/migrate.js down [--steps <n> | --to <version>] [--force]
+ *        node scripts/migrate.js status
+ *        node scripts/migrate.js baseline <version>
+ */
+
+require('dotenv').config();
+
+const { pool } = require('../src/db/models');
+const Migrator = require('../src/db/migrator');
+
+const option = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+async function main() {
+  let exitCode = 0;
+  const [command = 'up', version] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const migrator = new Migrator(pool);
+
+  try {
+    if (command === 'up') {
+      const applied = await migrator.up({ to: option('--to') || null });
+      console.log(applied.length > 0 ? `Applied ${applied.join(', ')}` : 'Database is up to date');
+    } else if (command === 'down') {
+      if (process.env.NODE_ENV === 'production' && !process.argv.includes('--force')) {
+        throw new Error('Rolling back in production drops data; pass --force to do it anyway');
+      }
+      const rolledBack = await migrator.down({
+        steps: parseInt(option('--steps')) || 1,
+        to: option('--to') || null
+      });
+      console.log(rolledBack.length > 0 ? `Rolled back ${rolledBack.join(', ')}` : 'Nothing to roll back');
+    } else if (command === 'status') {
+      const statuses = await migrator.status();
+      console.table(statuses.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        status: migration.status,
+        appliedAt: migration.appliedAt
+      })));
+    } else if (command === 'baseline') {
+      if (!version) {
+        throw new Error('Usage: migrate.js baseline <version>');
+      }
+      const recorded = await migrator.baseline(version);
+      console.log(`Recorded ${recorded.join(', ')} as applied`);
+    } else {
+      throw new Error(`Unknown command: ${command}`);
+    }
+  } catch (error) {
+    console.error(`Migration failed: ${error.message}`);
+    exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+
+  process.exit(exitCode);
+}
+
+main();
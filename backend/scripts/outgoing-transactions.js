@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+/**
+ * List the master wallet's and gas tank's transactions that are not mined yet, or cancel one.
+ * A cancellation is a zero-value transaction to the wallet itself at the same nonce; the
+ * original can still win the race, in which case it is recorded as mined.
+ *
+ * Usage: node scripts/outgoing-transactions.js [--cancel <id>]
+ */
+
+require('dotenv').config();
+
+const { pool, OutgoingTransaction } = require('../src/db/models');
+const walletService = require('../src/services/walletService');
+const gasRelayer = require('../src/services/gas/gasRelayer');
+
+async function main() {
+  let exitCode = 0;
+  const managers = [walletService.txManager, gasRelayer.txManager].filter((manager, index, all) => all.indexOf(manager) === index);
+
+  try {
+    const cancelIndex = process.argv.indexOf('--cancel');
+    if (cancelIndex !== -1) {
+      const row = await OutgoingTransaction.findById(process.argv[cancelIndex + 1]);
+      const manager = row && managers.find(candidate => candidate.address.toLowerCase() === row.from_address);
+      if (!manager) {
+        throw new Error('No open transaction from the master wallet or gas tank with that id');
+      }
+
+      const cancelled = await manager.cancel(row.id);
+      console.log(`Cancelling nonce ${cancelled.nonce} with ${cancelled.cancel_tx_hash || '(broadcast pending)'}`);
+    } else {
+      for (const manager of managers) {
+        const open = await OutgoingTransaction.findOpen(manager.address);
+        console.log(`${manager.address}: ${open.length} open`);
+        if (open.length > 0) {
+          console.table(open.map(row => ({
+            id: row.id,
+            nonce: row.nonce,
+            purpose: row.purpose,
+            status: row.status,
+            attempts: row.attempts,
+            txHash: row.tx_hash,
+            submittedAt: row.submitted_at
+          })));
+        }
+      }
+    }
+  } catch (error) {
+    console.error(`Outgoing transactions failed: ${error.message}`);
+    exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+
+  process.exit(exitCode);
+}
+
+main();
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+/**
+ * Rotate the KMS master key and rewrap every user data key under it.
+ * The app can keep running: rows name the master key they are wrapped with.
+ *
+ * Usage: node scripts/rotate-master-key.js [--rewrap-only]
+ *   --rewrap-only  Keep the current master key; finish rewrapping after an interrupted rotation
+ */
+
+require('dotenv').config();
+
+const { pool, WalletKey } = require('../src/db/models');
+const keyManager = require('../src/services/keys/keyManager');
+
+async function main() {
+  let exitCode = 0;
+
+  try {
+    const summary = process.argv.includes('--rewrap-only')
+      ? await keyManager.rewrapAll()
+      : await keyManager.rotateMasterKey();
+    console.log(JSON.stringify(summary));
+
+    // Anything left on an old master key failed to rewrap; fix and run --rewrap-only
+    console.table(await WalletKey.countByMasterKey());
+    exitCode = summary.failed > 0 ? 1 : 0;
+  } catch (error) {
+    console.error(`Master key rotation failed: ${error.message}`);
+    exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+
+  process.exit(exitCode);
+}
+
+main();
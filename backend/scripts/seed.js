@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Seed a local development database: a few users with wallets, the PIN 1234 and an opening
+ * ZrUSD balance, plus an admin API key. Run after npm run db:migrate. Safe to run again;
+ * existing users and keys are left alone. Balances are ledger-only (nothing is minted on
+ * chain), so reconciliation will report them.
+ *
+ * Usage: node scripts/seed.js
+ */
+
+require('dotenv').config();
+
+const { pool, User, ApiKey } = require('../src/db/models');
+const walletService = require('../src/services/walletService');
+const ledgerService = require('../src/services/ledgerService');
+const apiKeyService = require('../src/services/apiKeyService');
+const AuthService = require('../src/services/authService');
+
+const DEV_PIN = '1234';
+const USERS = [
+  { phoneNumber: '254712345678', balance: 100 },
+  { phoneNumber: '254787654321', balance: 50 },
+  { phoneNumber: '265991234567', balance: 25 },
+  { phoneNumber: '2348012345678', balance: 0 }
+];
+
+async function main() {
+  let exitCode = 0;
+
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('Refusing to seed a production database');
+    }
+
+    for (const { phoneNumber, balance } of USERS) {
+      if (await User.findByPhone(phoneNumber)) {
+        console.log(`${phoneNumber}: exists, skipped`);
+        continue;
+      }
+
+      const user = await walletService.createUserWallet(phoneNumber);
+      await User.updatePin(phoneNumber, await AuthService.hashPin(DEV_PIN));
+      if (balance > 0) {
+        await ledgerService.recordMint(phoneNumber, balance);
+      }
+      console.log(`${phoneNumber}: ${user.wallet_address}, ${balance} ZrUSD, PIN ${DEV_PIN}`);
+    }
+
+    const admins = await ApiKey.findAll({ status: 'active', role: 'admin' });
+    if (admins.length === 0) {
+      const { key } = await apiKeyService.create({ name: 'local-admin', role: 'admin', createdBy: 'seed' });
+      console.log(`Admin API key (shown once): ${key}`);
+    } else {
+      console.log('Admin API key: exists, skipped');
+    }
+  } catch (error) {
+    console.error(`Seed failed: ${error.message}`);
+    exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+
+  process.exit(exitCode);
+}
+
+main();
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Signer process for watch-only deployments: holds HD_WALLET_MNEMONIC and signs for the
+ * API, which only has HD_WALLET_XPUB. Run it on a separate host and expose it only to the API.
+ *
+ * Usage: node scripts/signer.js
+ *   SIGNER_PORT     Port to listen on (default 4000)
+ *   SIGNER_API_KEY  Bearer token the API sends (required)
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const express = require('express');
+const { ethers } = require('ethers');
+const { HDWallet } = require('../src/services/keys/hdWallet');
+
+const hdWallet = new HDWallet({ xpub: null });
+
+function authorize(req, res, next) {
+  const expected = Buffer.from(`Bearer ${process.env.SIGNER_API_KEY || ''}`);
+  const provided = Buffer.from(req.get('Authorization') || '');
+
+  if (!process.env.SIGNER_API_KEY || expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+// The wallet a request is for; the API must already know its address
+function walletFor(req) {
+  const { walletIndex, address } = req.body;
+  const wallet = hdWallet.child(walletIndex);
+  if (!address || wallet.address.toLowerCase() !== String(address).toLowerCase()) {
+    throw new Error(`Wallet ${walletIndex} is not ${address}`);
+  }
+  return wallet;
+}
+
+function handle(sign) {
+  return async (req, res) => {
+    try {
+      res.json(await sign(walletFor(req), req.body));
+    } catch (error) {
+      console.error(`Signing failed: ${error.message}`);
+      res.status(400).json({ error: error.message });
+    }
+  };
+}
+
+function createApp() {
+  const app = express();
+  app.use(express.json({ limit: '100kb' }));
+  app.use(authorize);
+
+  app.post('/sign-transaction', handle(async (wallet, { unsignedTransaction }) => {
+    const tx = ethers.Transaction.from(unsignedTransaction);
+    tx.signature = wallet.signingKey.sign(tx.unsignedHash);
+    return { signedTransaction: tx.serialized };
+  }));
+
+  app.post('/sign-message', handle(async (wallet, { message }) => ({
+    signature: await wallet.signMessage(ethers.getBytes(message))
+  })));
+
+  app.post('/sign-typed-data', handle(async (wallet, { domain, types, value }) => ({
+    signature: await wallet.signTypedData(domain, types, value)
+  })));
+
+  return app;
+}
+
+if (require.main === module) {
+  if (!process.env.HD_WALLET_MNEMONIC || !process.env.SIGNER_API_KEY) {
+    console.error('HD_WALLET_MNEMONIC and SIGNER_API_KEY are required');
+    process.exit(1);
+  }
+
+  const port = parseInt(process.env.SIGNER_PORT) || 4000;
+  createApp().listen(port, () => {
+    console.log(`Signer for ${hdWallet.basePath} listening on port ${port}`);
+  });
+}
+
+module.exports = { createApp };
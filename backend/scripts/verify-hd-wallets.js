@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Re-derive every HD user wallet from the master seed (or HD_WALLET_XPUB) and check it
+ * against users.wallet_address. Use it after restoring the seed, and before switching
+ * a deployment to another seed or xpub.
+ *
+ * Usage: node scripts/verify-hd-wallets.js [--xpub]
+ *   --xpub  Only print the extended public key for watch-only deployments (needs the mnemonic)
+ */
+
+require('dotenv').config();
+
+const { pool, User } = require('../src/db/models');
+const hdWallet = require('../src/services/keys/hdWallet');
+
+async function verify({ batchSize = 500 } = {}) {
+  const summary = { checked: 0, mismatched: 0, withoutIndex: await User.countWithoutWalletIndex() };
+
+  let afterIndex = -1;
+  for (;;) {
+    const users = await User.findByWalletIndexAfter(afterIndex, batchSize);
+    if (users.length === 0) {
+      break;
+    }
+
+    for (const user of users) {
+      const derived = hdWallet.deriveAddress(user.wallet_index);
+      summary.checked++;
+
+      if (derived.toLowerCase() !== user.wallet_address.toLowerCase()) {
+        summary.mismatched++;
+        console.error(`Mismatch ${user.phone_number} at ${hdWallet.path(user.wallet_index)}: stored ${user.wallet_address}, derived ${derived}`);
+      }
+    }
+
+    afterIndex = users[users.length - 1].wallet_index;
+  }
+
+  return summary;
+}
+
+async function main() {
+  let exitCode = 0;
+
+  try {
+    if (process.argv.includes('--xpub')) {
+      console.log(`${hdWallet.basePath}: ${hdWallet.extendedPublicKey()}`);
+      return;
+    }
+
+    const summary = await verify();
+    console.log(JSON.stringify(summary));
+    exitCode = summary.mismatched > 0 ? 1 : 0;
+  } catch (error) {
+    console.error(`HD wallet verification failed: ${error.message}`);
+    exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+
+  process.exit(exitCode);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { verify };
@@ -0,0 +1,138 @@
+const apiKeyService = require('../services/apiKeyService');
+const { ApiKey, AuditLog } = require('../db/models');
+const logger = require('../utils/logger');
+
+class AdminController {
+  /**
+   * List API keys (never their secrets)
+   * @param {Object} req - Express request object (query: { status, role })
+   * @param {Object} res - Express response object
+   */
+  static async getApiKeys(req, res) {
+    try {
+      const keys = await ApiKey.findAll({
+        status: req.query.status || null,
+        role: req.query.role || null
+      });
+
+      res.status(200).json({
+        success: true,
+        data: keys
+      });
+
+    } catch (error) {
+      logger.error('Error listing API keys:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list API keys'
+      });
+    }
+  }
+
+  /**
+   * Create an API key; the key is returned once and cannot be retrieved again
+   * @param {Object} req - Express request object (body: { name, role, scopes })
+   * @param {Object} res - Express response object
+   */
+  static async createApiKey(req, res) {
+    try {
+      const { name, role, scopes } = req.body;
+      const created = await apiKeyService.create({ name, role, scopes, createdBy: req.operator });
+
+      res.status(201).json({
+        success: true,
+        data: created
+      });
+
+    } catch (error) {
+      logger.error('Error creating API key:', error);
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Rotate an API key; the old key keeps working for the grace period
+   * @param {Object} req - Express request object (body: { graceHours })
+   * @param {Object} res - Express response object
+   */
+  static async rotateApiKey(req, res) {
+    try {
+      const { graceHours } = req.body;
+      const rotated = await apiKeyService.rotate(req.params.keyId, {
+        graceHours: graceHours === undefined ? undefined : parseFloat(graceHours),
+        rotatedBy: req.operator
+      });
+
+      res.status(201).json({
+        success: true,
+        data: rotated
+      });
+
+    } catch (error) {
+      logger.error('Error rotating API key:', error);
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Revoke an API key immediately
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async revokeApiKey(req, res) {
+    try {
+      const revoked = await apiKeyService.revoke(req.params.keyId);
+
+      res.status(200).json({
+        success: true,
+        data: revoked
+      });
+
+    } catch (error) {
+      logger.error('Error revoking API key:', error);
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List audit log entries, newest first
+   * @param {Object} req - Express request object (query: { apiKeyId, action, since, limit, offset })
+   * @param {Object} res - Express response object
+   */
+  static async getAuditLogs(req, res) {
+    try {
+      const { apiKeyId, action, since, limit = 50, offset = 0 } = req.query;
+
+      const entries = await AuditLog.findAll({
+        apiKeyId: apiKeyId || null,
+        action: action || null,
+        since: since || null,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+
+      res.status(200).json({
+        success: true,
+        data: entries
+      });
+
+    } catch (error) {
+      logger.error('Error getting audit logs:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get audit logs'
+      });
+    }
+  }
+}
+
+module.exports = AdminController;
@@ -0,0 +1,132 @@
+const reconciliationService = require('../services/reconciliationService');
+const { ReconciliationRun, ReconciliationItem } = require('../db/models');
+const logger = require('../utils/logger');
+
+class ReconciliationController {
+  /**
+   * Start a reconciliation run now (runs in the background)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async startRun(req, res) {
+    try {
+      const run = await reconciliationService.begin('operator');
+
+      if (!run) {
+        return res.status(409).json({
+          success: false,
+          error: 'A reconciliation run is already in progress'
+        });
+      }
+
+      reconciliationService.execute(run)
+        .catch(error => logger.error(`Reconciliation run ${run.id} failed:`, error));
+
+      logger.info(`Reconciliation run ${run.id} started by ${req.operator}`);
+      res.status(202).json({
+        success: true,
+        data: run
+      });
+
+    } catch (error) {
+      logger.error('Error starting reconciliation run:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to start reconciliation run'
+      });
+    }
+  }
+
+  /**
+   * List recent reconciliation runs
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getRuns(req, res) {
+    try {
+      const runs = await ReconciliationRun.findRecent(Math.min(parseInt(req.query.limit) || 20, 100));
+
+      res.status(200).json({
+        success: true,
+        data: runs
+      });
+
+    } catch (error) {
+      logger.error('Error getting reconciliation runs:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get reconciliation runs'
+      });
+    }
+  }
+
+  /**
+   * List reconciliation items, largest difference first (open items by default)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getItems(req, res) {
+    try {
+      const { status = 'open', kind, phoneNumber, limit = 50, offset = 0 } = req.query;
+
+      const items = await ReconciliationItem.findAll({
+        status,
+        kind: kind || null,
+        phoneNumber: phoneNumber ? phoneNumber.replace(/^\+/, '') : null,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+
+      res.status(200).json({
+        success: true,
+        data: items
+      });
+
+    } catch (error) {
+      logger.error('Error getting reconciliation items:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get reconciliation items'
+      });
+    }
+  }
+
+  /**
+   * Resolve a reconciliation item
+   * @param {Object} req - Express request object (body: { action, note })
+   * @param {Object} res - Express response object
+   */
+  static async resolveItem(req, res) {
+    try {
+      const { itemId } = req.params;
+      const { action, note } = req.body;
+
+      const result = await reconciliationService.resolve(itemId, action, {
+        note,
+        resolvedBy: req.operator
+      });
+
+      if (!result.success) {
+        const statusCode = result.notFound ? 404 : (result.conflict ? 409 : 400);
+        return res.status(statusCode).json({
+          success: false,
+          error: result.error
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: result.item
+      });
+
+    } catch (error) {
+      logger.error('Error resolving reconciliation item:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to resolve reconciliation item'
+      });
+    }
+  }
+}
+
+module.exports = ReconciliationController;
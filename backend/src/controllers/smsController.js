@@ -1,4 +1,5 @@
 const SMSService = require('../services/smsEngine');
+const { CATEGORIES } = require('../services/sms/notificationPreferences');
 const USSDService = require('../services/ussdService');
 const logger = require('../utils/logger');
 const { validationResult } = require('express-validator');
@@ -67,7 +68,8 @@ class SMSController {
 
       const { phoneNumber, message, from } = req.body;
 
-      const result = await SMSService.sendSMS(phoneNumber, message, from);
+      // Operator messages are treated as marketing, so opted-out numbers are skipped
+      const result = await SMSService.notify(phoneNumber, message, CATEGORIES.MARKETING, from);
 
       res.status(200).json({
         success: true,
@@ -290,8 +292,8 @@ class SMSController {
         retryCount 
       });
 
-      // Store delivery status in database if needed
-      // This can be used for analytics and troubleshooting
+      const smsQueue = require('../services/sms/smsQueue');
+      await smsQueue.recordDeliveryReport(id, status, failureReason);
 
       res.status(200).json({
         success: true,
@@ -323,7 +325,11 @@ class SMSController {
           COUNT(*) as total_sms,
           COUNT(CASE WHEN status = 'delivered' THEN 1 END) as delivered_sms,
           COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed_sms,
-          COUNT(CASE WHEN created_at > NOW() - INTERVAL '24 hours' THEN 1 END) as sms_24h
+          COUNT(CASE WHEN created_at > NOW() - INTERVAL '24 hours' THEN 1 END) as sms_24h,
+          COUNT(CASE WHEN encoding = 'UCS-2' THEN 1 END) as ucs2_sms,
+          COALESCE(SUM(segments), 0) as total_segments,
+          COALESCE(SUM(estimated_cost), 0) as estimated_spend,
+          COALESCE(SUM(CASE WHEN created_at > NOW() - INTERVAL '24 hours' THEN estimated_cost END), 0) as estimated_spend_24h
         FROM sms_logs
         WHERE created_at > NOW() - INTERVAL '30 days'
       `;
@@ -336,6 +342,11 @@ class SMSController {
         deliveredSMS: parseInt(stats.delivered_sms || 0),
         failedSMS: parseInt(stats.failed_sms || 0),
         sms24h: parseInt(stats.sms_24h || 0),
+        ucs2SMS: parseInt(stats.ucs2_sms || 0),
+        totalSegments: parseInt(stats.total_segments || 0),
+        // Projected at queue time from segments and per-segment prices (USD)
+        estimatedSpend: parseFloat(stats.estimated_spend || 0),
+        estimatedSpend24h: parseFloat(stats.estimated_spend_24h || 0),
         successRate: stats.total_sms > 0 
           ? ((stats.delivered_sms / stats.total_sms) * 100).toFixed(2) + '%'
           : '0%',
@@ -20,7 +20,7 @@ class TransactionController {
         });
       }
 
-      const { fromPhone, toPhone, amount, currency = 'ZrUSD' } = req.body;
+      const { fromPhone, toPhone, amount, currency = 'ZrUSD', quoteId } = req.body;
 
       // Additional business logic validation
       if (fromPhone === toPhone) {
@@ -35,7 +35,8 @@ class TransactionController {
         fromPhone,
         toPhone,
         parseFloat(amount),
-        currency
+        currency,
+        quoteId
       );
 
       if (result.success) {
@@ -61,6 +62,48 @@ class TransactionController {
     }
   }
 
+  /**
+   * Lock an exchange rate for a later transfer, deposit or withdrawal
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createQuote(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { from, to, amount } = req.body;
+      const fxEngine = require('../services/fxEngine');
+      const quote = await fxEngine.createQuote(from, to, parseFloat(amount));
+
+      res.status(200).json({
+        success: true,
+        data: {
+          quoteId: quote.quoteId,
+          from: quote.from,
+          to: quote.to,
+          sourceAmount: quote.sourceAmount,
+          targetAmount: quote.targetAmount,
+          rate: quote.rate,
+          expiresAt: quote.expiresAt
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error creating FX quote:', error);
+      res.status(503).json({
+        success: false,
+        error: 'Exchange rate unavailable'
+      });
+    }
+  }
+
   /**
    * Process mobile money deposit
    * @param {Object} req - Express request object
@@ -77,7 +120,7 @@ class TransactionController {
         });
       }
 
-      const { phoneNumber, amount, currency, paymentData } = req.body;
+      const { phoneNumber, amount, currency, paymentData, quoteId } = req.body;
 
       // Validate payment data structure
       if (!paymentData.provider || !paymentData.reference) {
@@ -92,7 +135,7 @@ class TransactionController {
         phoneNumber,
         parseFloat(amount),
         currency,
-        paymentData
+        { ...paymentData, quoteId }
       );
 
       if (result.success) {
@@ -134,7 +177,7 @@ class TransactionController {
         });
       }
 
-      const { phoneNumber, amount, targetCurrency, withdrawalData } = req.body;
+      const { phoneNumber, amount, targetCurrency, withdrawalData, quoteId } = req.body;
 
       // Validate withdrawal data structure
       if (!withdrawalData.method || !withdrawalData.account) {
@@ -149,7 +192,7 @@ class TransactionController {
         phoneNumber,
         parseFloat(amount),
         targetCurrency,
-        withdrawalData
+        { ...withdrawalData, quoteId }
       );
 
       if (result.success) {
@@ -1,4 +1,6 @@
 const USSDService = require('../services/ussdService');
+const sessionStore = require('../services/ussd/sessionStore');
+const funnelAnalytics = require('../services/ussd/funnelAnalytics');
 const logger = require('../utils/logger');
 const { validationResult } = require('express-validator');
 
@@ -54,9 +56,8 @@ class USSDController {
       
       logger.info('USSD Session Timeout:', { sessionId, phoneNumber });
 
-      // Clean up session data
-      const { USSDSession } = require('../db/models');
-      await USSDSession.delete(sessionId);
+      // Clean up session data; the flow snapshot is kept so the next dial can resume
+      await sessionStore.end(sessionId, 'timeout');
 
       res.status(200).json({
         success: true,
@@ -79,22 +80,15 @@ class USSDController {
    */
   static async getActiveSessions(req, res) {
     try {
-      // This would typically require admin authentication
-      const { pool } = require('../db/models');
-      
-      const result = await pool.query(`
-        SELECT session_id, phone_number, current_menu, created_at, updated_at
-        FROM ussd_sessions 
-        WHERE updated_at > NOW() - INTERVAL '1 hour'
-        ORDER BY updated_at DESC
-        LIMIT 100
-      `);
+      const sessions = await sessionStore.list({ limit: 100 });
 
       res.status(200).json({
         success: true,
         data: {
-          activeSessions: result.rows.length,
-          sessions: result.rows
+          activeSessions: sessions.length,
+          sessions: sessions.map(({ session_id, phone_number, current_menu, created_at, updated_at, expires_at }) => ({
+            session_id, phone_number, current_menu, created_at, updated_at, expires_at
+          }))
         }
       });
 
@@ -114,19 +108,14 @@ class USSDController {
    */
   static async clearExpiredSessions(req, res) {
     try {
-      const { pool } = require('../db/models');
-      
-      // Delete sessions older than 1 hour
-      const result = await pool.query(`
-        DELETE FROM ussd_sessions 
-        WHERE updated_at < NOW() - INTERVAL '1 hour'
-      `);
+      // Sessions expire on their own; this only drops index entries left behind by them
+      const pruned = await sessionStore.pruneExpired();
 
-      logger.info(`Cleaned up ${result.rowCount} expired USSD sessions`);
+      logger.info(`Cleaned up ${pruned} expired USSD sessions`);
 
       res.status(200).json({
         success: true,
-        message: `Cleaned up ${result.rowCount} expired sessions`
+        message: `Cleaned up ${pruned} expired sessions`
       });
 
     } catch (error) {
@@ -145,34 +134,10 @@ class USSDController {
    */
   static async getUSSDStats(req, res) {
     try {
-      const { pool } = require('../db/models');
-      
-      // Get basic statistics
-      const statsQuery = `
-        SELECT 
-          COUNT(*) as total_sessions,
-          COUNT(CASE WHEN created_at > NOW() - INTERVAL '24 hours' THEN 1 END) as sessions_24h,
-          COUNT(CASE WHEN created_at > NOW() - INTERVAL '1 hour' THEN 1 END) as sessions_1h,
-          COUNT(DISTINCT phone_number) as unique_users
-        FROM ussd_sessions
-        WHERE created_at > NOW() - INTERVAL '7 days'
-      `;
-
-      const result = await pool.query(statsQuery);
-      const stats = result.rows[0];
-
-      // Get menu usage statistics
-      const menuStatsQuery = `
-        SELECT 
-          current_menu,
-          COUNT(*) as usage_count
-        FROM ussd_sessions
-        WHERE created_at > NOW() - INTERVAL '24 hours'
-        GROUP BY current_menu
-        ORDER BY usage_count DESC
-      `;
-
-      const menuResult = await pool.query(menuStatsQuery);
+      const { USSDSessionEvent } = require('../db/models');
+
+      // Sessions started in the last 7 days, and the menus sessions ended on in the last 24 hours
+      const { overview: stats, menus } = await USSDSessionEvent.getStats(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000));
 
       res.status(200).json({
         success: true,
@@ -183,7 +148,7 @@ class USSDController {
             sessions1h: parseInt(stats.sessions_1h),
             uniqueUsers: parseInt(stats.unique_users)
           },
-          menuUsage: menuResult.rows,
+          menuUsage: menus,
           lastUpdated: new Date().toISOString()
         }
       });
@@ -197,6 +162,54 @@ class USSDController {
     }
   }
 
+  /**
+   * Get a funnel: sessions reaching each step, drop-off and median time between steps
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getFunnel(req, res) {
+    try {
+      const { from, to, country } = req.query;
+      const funnel = await funnelAnalytics.getFunnel(req.params.funnel, { from, to, country });
+
+      res.status(200).json({
+        success: true,
+        data: funnel
+      });
+
+    } catch (error) {
+      logger.error('Error getting USSD funnel:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get USSD funnel'
+      });
+    }
+  }
+
+  /**
+   * Get per-state screen views, error screens, time spent and abandonment
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getStateReport(req, res) {
+    try {
+      const { from, to, country } = req.query;
+      const report = await funnelAnalytics.getStateReport({ from, to, country });
+
+      res.status(200).json({
+        success: true,
+        data: report
+      });
+
+    } catch (error) {
+      logger.error('Error getting USSD state report:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get USSD state report'
+      });
+    }
+  }
+
   /**
    * Test USSD menu flow (for development/testing)
    * @param {Object} req - Express request object
@@ -276,8 +289,7 @@ class USSDController {
         });
       }
 
-      const { USSDSession } = require('../db/models');
-      const session = await USSDSession.findBySessionId(sessionId);
+      const session = await sessionStore.get(sessionId);
 
       if (!session) {
         return res.status(404).json({
@@ -316,10 +328,9 @@ class USSDController {
         });
       }
 
-      const { USSDSession } = require('../db/models');
-      const deleted = await USSDSession.delete(sessionId);
+      const ended = await sessionStore.end(sessionId, 'operator');
 
-      if (deleted) {
+      if (ended) {
         res.status(200).json({
           success: true,
           message: 'Session ended successfully'
@@ -356,21 +367,17 @@ class USSDController {
         });
       }
 
-      const { pool } = require('../db/models');
-      const result = await pool.query(`
-        SELECT session_id, current_menu, session_data, created_at, updated_at
-        FROM ussd_sessions 
-        WHERE phone_number = $1 
-        ORDER BY updated_at DESC
-        LIMIT 10
-      `, [phoneNumber]);
+      // Sessions are keyed by the number without its leading +
+      const sessions = await sessionStore.listByPhone(phoneNumber.replace(/^\+/, ''), { limit: 10 });
 
       res.status(200).json({
         success: true,
         data: {
           phoneNumber,
-          sessions: result.rows,
-          count: result.rows.length
+          sessions: sessions.map(({ session_id, current_menu, session_data, created_at, updated_at, expires_at }) => ({
+            session_id, current_menu, session_data, created_at, updated_at, expires_at
+          })),
+          count: sessions.length
         }
       });
 
@@ -197,9 +197,12 @@ class WebhookController {
           });
 
           // Mint equivalent USDT/stable coins to user's wallet
-          const mintResult = await walletService.mintZrUSD(customer_phone, amount.toString());
+          const mintResult = await walletService.mintZrUSD(customer_phone, amount.toString(), transaction.id);
 
           if (mintResult.success) {
+            const ledgerService = require('../services/ledgerService');
+            await ledgerService.recordProviderDeposit('yellowcard', parseFloat(amount), transaction.id);
+
             logger.info(`YellowCard crypto purchase completed for ${customer_phone}: ${amount} ${currency}`);
 
             // Send SMS confirmation
@@ -274,78 +277,6 @@ class WebhookController {
     }
   }
 
-  /**
-   * Handle blockchain transaction confirmations
-   * @param {Object} req - Express request object
-   * @param {Object} res - Express response object
-   */
-  static async handleBlockchainWebhook(req, res) {
-    try {
-      const { txHash, status, blockNumber, confirmations } = req.body;
-      
-      logger.info('Blockchain webhook received:', { txHash, status, blockNumber, confirmations });
-
-      // Validate required fields
-      if (!txHash || !status) {
-        return res.status(400).json({
-          success: false,
-          error: 'Missing required fields: txHash, status'
-        });
-      }
-
-      // Update transaction status in database
-      const { Transaction } = require('../db/models');
-      
-      // Find transaction by hash
-      const query = 'SELECT * FROM transactions WHERE tx_hash = $1';
-      const { pool } = require('../db/models');
-      const result = await pool.query(query, [txHash]);
-      
-      if (result.rows.length > 0) {
-        const transaction = result.rows[0];
-        
-        // Update status based on blockchain confirmation
-        let newStatus;
-        if (status === 'confirmed' && confirmations >= 3) {
-          newStatus = 'completed';
-        } else if (status === 'failed') {
-          newStatus = 'failed';
-        } else {
-          newStatus = 'pending'; // Still waiting for confirmations
-        }
-        
-        await Transaction.updateStatus(transaction.id, newStatus, txHash);
-        
-        // Send notification to user only for final status
-        if (newStatus === 'completed' || newStatus === 'failed') {
-          await SMSService.sendTransactionConfirmation(transaction.phone_number, {
-            type: transaction.type,
-            amount: transaction.amount,
-            currency: transaction.currency,
-            status: newStatus,
-            txHash: txHash
-          });
-        }
-        
-        logger.info(`Transaction ${transaction.id} updated to ${newStatus}`);
-      } else {
-        logger.warn(`Transaction not found for hash: ${txHash}`);
-      }
-
-      res.status(200).json({
-        success: true,
-        message: 'Blockchain webhook processed'
-      });
-
-    } catch (error) {
-      logger.error('Error processing blockchain webhook:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to process blockchain webhook'
-      });
-    }
-  }
-
   /**
    * Handle Africa's Talking delivery reports
    * @param {Object} req - Express request object
@@ -363,20 +294,12 @@ class WebhookController {
         retryCount 
       });
 
-      // Store delivery status in database for analytics
-      const { pool } = require('../db/models');
-      
-      await pool.query(`
-        INSERT INTO sms_logs (provider_message_id, phone_number, status, failure_reason, message_type)
-        VALUES ($1, $2, $3, $4, $5)
-        ON CONFLICT (provider_message_id) 
-        DO UPDATE SET status = $3, failure_reason = $4, updated_at = NOW()
-      `, [id, phoneNumber, status.toLowerCase(), failureReason, 'delivery_report']);
-      
-      // If delivery failed and it's important, could trigger retry logic
-      if (status === 'Failed' && retryCount < 3) {
+      // Update the queued message's record
+      const smsQueue = require('../services/sms/smsQueue');
+      await smsQueue.recordDeliveryReport(id, status, failureReason);
+
+      if (status === 'Failed') {
         logger.warn(`SMS delivery failed for ${phoneNumber}, reason: ${failureReason}`);
-        // Could implement retry logic here
       }
 
       res.status(200).json({
@@ -455,15 +378,15 @@ class WebhookController {
     try {
       const { pool } = require('../db/models');
       
-      // Get webhook statistics from logs
+      // Delivery reports update the sent message, so count messages with a final report
       const statsQuery = `
         SELECT 
           COUNT(*) as total_webhooks,
-          COUNT(CASE WHEN created_at > NOW() - INTERVAL '24 hours' THEN 1 END) as webhooks_24h,
-          COUNT(CASE WHEN created_at > NOW() - INTERVAL '1 hour' THEN 1 END) as webhooks_1h
+          COUNT(CASE WHEN updated_at > NOW() - INTERVAL '24 hours' THEN 1 END) as webhooks_24h,
+          COUNT(CASE WHEN updated_at > NOW() - INTERVAL '1 hour' THEN 1 END) as webhooks_1h
         FROM sms_logs
-        WHERE message_type = 'delivery_report'
-        AND created_at > NOW() - INTERVAL '7 days'
+        WHERE sent_at IS NOT NULL AND status IN ('delivered', 'failed')
+        AND updated_at > NOW() - INTERVAL '7 days'
       `;
 
       const result = await pool.query(statsQuery);
@@ -0,0 +1,23 @@
+-- Migration: Initial Schema (rollback)
+-- Version: 000
+-- Description: Drops every table, view and function of the initial schema
+
+DROP FUNCTION IF EXISTS update_user_portfolio_cache(VARCHAR);
+DROP FUNCTION IF EXISTS get_user_portfolio_summary(VARCHAR);
+DROP FUNCTION IF EXISTS get_user_balance_with_history(VARCHAR);
+DROP FUNCTION IF EXISTS cleanup_expired_sessions();
+
+DROP VIEW IF EXISTS daily_transaction_stats;
+DROP VIEW IF EXISTS user_transaction_summary;
+
+DROP TABLE IF EXISTS system_config;
+DROP TABLE IF EXISTS wallet_keys;
+DROP TABLE IF EXISTS otp_verifications;
+DROP TABLE IF EXISTS sms_logs;
+DROP TABLE IF EXISTS ussd_sessions;
+DROP TABLE IF EXISTS transactions;
+DROP TABLE IF EXISTS users;
+
+DROP FUNCTION IF EXISTS update_updated_at_column();
+
+-- Rollback completed successfully
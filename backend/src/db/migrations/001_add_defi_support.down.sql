@@ -0,0 +1,39 @@
+-- Migration: Add DeFi Support (Morpho + YellowCard) (rollback)
+-- Version: 001
+-- Description: Drops the Morpho, YellowCard and portfolio tables and views; fails if DeFi transactions exist
+
+DROP VIEW IF EXISTS yellowcard_summary;
+DROP VIEW IF EXISTS investment_performance;
+DROP VIEW IF EXISTS user_portfolio_overview;
+
+DROP VIEW IF EXISTS user_transaction_summary;
+CREATE OR REPLACE VIEW user_transaction_summary AS
+SELECT
+    u.phone_number,
+    u.wallet_address,
+    u.balance,
+    COUNT(t.id) as total_transactions,
+    COUNT(CASE WHEN t.status = 'completed' THEN 1 END) as completed_transactions,
+    COUNT(CASE WHEN t.status = 'pending' THEN 1 END) as pending_transactions,
+    COUNT(CASE WHEN t.status = 'failed' THEN 1 END) as failed_transactions,
+    SUM(CASE WHEN t.type = 'transfer' AND t.status = 'completed' THEN t.amount ELSE 0 END) as total_sent,
+    SUM(CASE WHEN t.type = 'receive' AND t.status = 'completed' THEN t.amount ELSE 0 END) as total_received,
+    MAX(t.created_at) as last_transaction_date
+FROM users u
+LEFT JOIN transactions t ON u.phone_number = t.phone_number
+GROUP BY u.phone_number, u.wallet_address, u.balance;
+
+DROP TABLE IF EXISTS user_portfolios;
+DROP TABLE IF EXISTS yellowcard_transactions;
+DROP TABLE IF EXISTS morpho_investments;
+
+DELETE FROM system_config WHERE config_key IN ('morpho_settings', 'yellowcard_settings', 'investment_settings');
+
+ALTER TABLE transactions
+DROP CONSTRAINT IF EXISTS transactions_type_check;
+
+ALTER TABLE transactions
+ADD CONSTRAINT transactions_type_check
+CHECK (type IN ('transfer', 'deposit', 'withdrawal', 'receive'));
+
+-- Rollback completed successfully
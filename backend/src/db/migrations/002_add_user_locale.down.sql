@@ -0,0 +1,8 @@
+-- Migration: Add User Language Preference (rollback)
+-- Version: 002
+-- Description: Drops users.preferred_locale
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_preferred_locale_check;
+ALTER TABLE users DROP COLUMN IF EXISTS preferred_locale;
+
+-- Rollback completed successfully
@@ -0,0 +1,17 @@
+-- Migration: Add User Language Preference
+-- Version: 002
+-- Description: Stores the language chosen from the USSD menu (NULL = default from phone country code)
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS preferred_locale VARCHAR(5);
+
+ALTER TABLE users
+DROP CONSTRAINT IF EXISTS users_preferred_locale_check;
+
+ALTER TABLE users
+ADD CONSTRAINT users_preferred_locale_check
+CHECK (preferred_locale IN ('en', 'sw', 'ny', 'ha', 'fr'));
+
+COMMENT ON COLUMN users.preferred_locale IS 'USSD/SMS language chosen by the user; NULL falls back to the phone country default';
+
+-- Migration completed successfully
@@ -0,0 +1,8 @@
+-- Migration: Add Transaction PIN (rollback)
+-- Version: 003
+-- Description: Drops the transaction PIN columns; users have to set their PIN again after re-applying
+
+ALTER TABLE users DROP COLUMN IF EXISTS pin_updated_at;
+ALTER TABLE users DROP COLUMN IF EXISTS pin_hash;
+
+-- Rollback completed successfully
@@ -0,0 +1,13 @@
+-- Migration: Add Transaction PIN
+-- Version: 003
+-- Description: Stores the salted scrypt hash of the USSD transaction PIN (NULL = PIN not set yet)
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS pin_hash VARCHAR(255);
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS pin_updated_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN users.pin_hash IS 'scrypt$<salt>$<hash> of the 4-6 digit transaction PIN; NULL until the user sets one';
+
+-- Migration completed successfully
@@ -0,0 +1,14 @@
+-- Migration: Add Double-Entry Ledger (rollback)
+-- Version: 004
+-- Description: Drops the ledger; users.balance keeps the last cached balances
+
+DROP TABLE IF EXISTS ledger_postings;
+DROP TABLE IF EXISTS journal_entries;
+DROP TABLE IF EXISTS ledger_accounts;
+
+DROP FUNCTION IF EXISTS check_journal_entry_balanced();
+DROP FUNCTION IF EXISTS prevent_ledger_mutation();
+
+COMMENT ON COLUMN users.balance IS NULL;
+
+-- Rollback completed successfully
@@ -0,0 +1,137 @@
+-- Migration: Add Double-Entry Ledger
+-- Version: 004
+-- Description: Append-only journal of balanced postings; users.balance becomes a cache of each user's wallet account
+
+-- Ledger accounts (balance is a cache of the account's postings, kept in its normal direction)
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(100) UNIQUE NOT NULL,
+    account_type VARCHAR(30) NOT NULL CHECK (account_type IN ('user_wallet', 'fee_income', 'vault_custody', 'provider_float', 'mint_burn_suspense')),
+    normal_balance VARCHAR(6) NOT NULL CHECK (normal_balance IN ('debit', 'credit')),
+    phone_number VARCHAR(20) REFERENCES users(phone_number),
+    currency VARCHAR(10) NOT NULL DEFAULT 'ZrUSD',
+    balance DECIMAL(18, 8) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (account_type <> 'user_wallet' OR balance >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_accounts_phone_number ON ledger_accounts(phone_number);
+CREATE INDEX IF NOT EXISTS idx_ledger_accounts_account_type ON ledger_accounts(account_type);
+
+-- Journal entries (append-only; corrections are posted as reversals)
+CREATE TABLE IF NOT EXISTS journal_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entry_type VARCHAR(30) NOT NULL,
+    description TEXT,
+    transaction_id UUID REFERENCES transactions(id),
+    reverses_entry_id UUID REFERENCES journal_entries(id),
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_entries_transaction_id ON journal_entries(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_journal_entries_entry_type ON journal_entries(entry_type);
+CREATE INDEX IF NOT EXISTS idx_journal_entries_created_at ON journal_entries(created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_journal_entries_reverses_entry_id ON journal_entries(reverses_entry_id);
+
+-- Ledger postings (one debit or credit line of a journal entry)
+CREATE TABLE IF NOT EXISTS ledger_postings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    journal_entry_id UUID NOT NULL REFERENCES journal_entries(id),
+    account_id UUID NOT NULL REFERENCES ledger_accounts(id),
+    direction VARCHAR(6) NOT NULL CHECK (direction IN ('debit', 'credit')),
+    amount DECIMAL(18, 8) NOT NULL CHECK (amount > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_journal_entry_id ON ledger_postings(journal_entry_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_account_id ON ledger_postings(account_id);
+
+-- Reject UPDATE/DELETE on the append-only ledger tables
+CREATE OR REPLACE FUNCTION prevent_ledger_mutation()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION '% is append-only; post a reversal instead', TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Check at commit that every journal entry's debits equal its credits
+CREATE OR REPLACE FUNCTION check_journal_entry_balanced()
+RETURNS TRIGGER AS $$
+DECLARE
+    imbalance DECIMAL(18, 8);
+BEGIN
+    SELECT COALESCE(SUM(CASE WHEN direction = 'debit' THEN amount ELSE -amount END), 0)
+    INTO imbalance
+    FROM ledger_postings
+    WHERE journal_entry_id = NEW.journal_entry_id;
+
+    IF imbalance <> 0 THEN
+        RAISE EXCEPTION 'Journal entry % is unbalanced by %', NEW.journal_entry_id, imbalance;
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS journal_entries_append_only ON journal_entries;
+CREATE TRIGGER journal_entries_append_only BEFORE UPDATE OR DELETE ON journal_entries
+    FOR EACH ROW EXECUTE FUNCTION prevent_ledger_mutation();
+
+DROP TRIGGER IF EXISTS ledger_postings_append_only ON ledger_postings;
+CREATE TRIGGER ledger_postings_append_only BEFORE UPDATE OR DELETE ON ledger_postings
+    FOR EACH ROW EXECUTE FUNCTION prevent_ledger_mutation();
+
+DROP TRIGGER IF EXISTS ledger_postings_balanced ON ledger_postings;
+CREATE CONSTRAINT TRIGGER ledger_postings_balanced AFTER INSERT ON ledger_postings
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW EXECUTE FUNCTION check_journal_entry_balanced();
+
+CREATE TRIGGER update_ledger_accounts_updated_at BEFORE UPDATE ON ledger_accounts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Open a wallet account for every existing user and carry over the current balance
+INSERT INTO ledger_accounts (code, account_type, normal_balance)
+VALUES ('mint_burn_suspense', 'mint_burn_suspense', 'debit')
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO ledger_accounts (code, account_type, normal_balance, phone_number)
+SELECT 'user_wallet:' || phone_number, 'user_wallet', 'credit', phone_number
+FROM users
+ON CONFLICT (code) DO NOTHING;
+
+DO $$
+DECLARE
+    opening RECORD;
+    entry_id UUID;
+    suspense_id UUID;
+BEGIN
+    SELECT id INTO suspense_id FROM ledger_accounts WHERE code = 'mint_burn_suspense';
+
+    FOR opening IN
+        SELECT la.id AS account_id, u.phone_number, u.balance
+        FROM users u
+        JOIN ledger_accounts la ON la.code = 'user_wallet:' || u.phone_number
+        WHERE u.balance > 0
+          AND NOT EXISTS (SELECT 1 FROM ledger_postings lp WHERE lp.account_id = la.id)
+    LOOP
+        INSERT INTO journal_entries (entry_type, description, metadata)
+        VALUES ('opening_balance', 'Balance carried over from users.balance', jsonb_build_object('phoneNumber', opening.phone_number))
+        RETURNING id INTO entry_id;
+
+        INSERT INTO ledger_postings (journal_entry_id, account_id, direction, amount) VALUES
+            (entry_id, suspense_id, 'debit', opening.balance),
+            (entry_id, opening.account_id, 'credit', opening.balance);
+
+        UPDATE ledger_accounts SET balance = balance + opening.balance WHERE id = suspense_id;
+        UPDATE ledger_accounts SET balance = opening.balance WHERE id = opening.account_id;
+    END LOOP;
+END $$;
+
+COMMENT ON TABLE ledger_accounts IS 'Double-entry ledger accounts: user wallets, fee income, vault custody, provider float and mint/burn suspense';
+COMMENT ON TABLE journal_entries IS 'Append-only journal; each entry groups balanced ledger postings';
+COMMENT ON TABLE ledger_postings IS 'Debit and credit lines of journal entries';
+COMMENT ON COLUMN users.balance IS 'Cache of the user_wallet ledger account balance; written only by the ledger service';
+
+-- Migration completed successfully
@@ -0,0 +1,7 @@
+-- Migration: Add Idempotency Keys (rollback)
+-- Version: 005
+-- Description: Drops idempotency_keys
+
+DROP TABLE IF EXISTS idempotency_keys;
+
+-- Rollback completed successfully
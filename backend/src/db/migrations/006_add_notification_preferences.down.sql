@@ -0,0 +1,7 @@
+-- Migration: Add Notification Preferences (rollback)
+-- Version: 006
+-- Description: Drops notification_preferences; every category is sent again
+
+DROP TABLE IF EXISTS notification_preferences;
+
+-- Rollback completed successfully
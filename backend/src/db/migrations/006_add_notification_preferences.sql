@@ -0,0 +1,22 @@
+-- Migration: Add Notification Preferences
+-- Version: 006
+-- Description: Per-phone SMS opt-out and notification categories, written by STOP/START and the USSD Settings > Notifications menu
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    -- Keyed by phone rather than user so people without an account (e.g. invitees) can opt out too
+    phone_number VARCHAR(20) PRIMARY KEY,
+    marketing BOOLEAN NOT NULL DEFAULT TRUE,
+    transaction_alerts BOOLEAN NOT NULL DEFAULT TRUE,
+    balance_digests BOOLEAN NOT NULL DEFAULT TRUE,
+    security_alerts BOOLEAN NOT NULL DEFAULT TRUE,
+    opted_out_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TRIGGER update_notification_preferences_updated_at BEFORE UPDATE ON notification_preferences
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE notification_preferences IS 'SMS notification categories per phone number (OTPs are always sent)';
+
+-- Migration completed successfully
@@ -0,0 +1,26 @@
+-- Migration: Add SMS Queue (rollback)
+-- Version: 007
+-- Description: Drops the queue columns from sms_logs; messages still queued or sending are marked failed
+
+DROP INDEX IF EXISTS idx_sms_logs_queue;
+
+UPDATE sms_logs SET status = 'failed', failure_reason = COALESCE(failure_reason, 'SMS queue removed')
+WHERE status IN ('queued', 'sending', 'expired');
+
+ALTER TABLE sms_logs DROP CONSTRAINT IF EXISTS sms_logs_status_check;
+ALTER TABLE sms_logs ALTER COLUMN status SET DEFAULT 'sent';
+ALTER TABLE sms_logs ADD CONSTRAINT sms_logs_status_check
+    CHECK (status IN ('sent', 'delivered', 'failed'));
+
+ALTER TABLE sms_logs
+    DROP COLUMN IF EXISTS delivered_at,
+    DROP COLUMN IF EXISTS sent_at,
+    DROP COLUMN IF EXISTS expires_at,
+    DROP COLUMN IF EXISTS next_attempt_at,
+    DROP COLUMN IF EXISTS max_attempts,
+    DROP COLUMN IF EXISTS attempts,
+    DROP COLUMN IF EXISTS provider,
+    DROP COLUMN IF EXISTS sender_id,
+    DROP COLUMN IF EXISTS priority;
+
+-- Rollback completed successfully
@@ -0,0 +1,26 @@
+-- Migration: Add SMS Queue
+-- Version: 007
+-- Description: Turns sms_logs into a durable outbound queue (priority lanes, retries with backoff, delivery tracking)
+
+ALTER TABLE sms_logs DROP CONSTRAINT IF EXISTS sms_logs_status_check;
+ALTER TABLE sms_logs ALTER COLUMN status SET DEFAULT 'queued';
+ALTER TABLE sms_logs ADD CONSTRAINT sms_logs_status_check
+    CHECK (status IN ('queued', 'sending', 'sent', 'delivered', 'failed', 'expired'));
+
+-- Lower priority is sent first: 1 = OTP, 2 = transaction, 3 = marketing
+ALTER TABLE sms_logs ADD COLUMN IF NOT EXISTS priority SMALLINT NOT NULL DEFAULT 2;
+ALTER TABLE sms_logs ADD COLUMN IF NOT EXISTS sender_id VARCHAR(20);
+ALTER TABLE sms_logs ADD COLUMN IF NOT EXISTS provider VARCHAR(30);
+ALTER TABLE sms_logs ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE sms_logs ADD COLUMN IF NOT EXISTS max_attempts INTEGER NOT NULL DEFAULT 5;
+ALTER TABLE sms_logs ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+ALTER TABLE sms_logs ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE sms_logs ADD COLUMN IF NOT EXISTS sent_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE sms_logs ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_sms_logs_queue ON sms_logs(priority, next_attempt_at) WHERE status = 'queued';
+
+-- Messages already logged were sent by the old inline sender
+UPDATE sms_logs SET sent_at = created_at WHERE sent_at IS NULL AND status IN ('sent', 'delivered');
+
+-- Migration completed successfully
@@ -0,0 +1,12 @@
+-- Migration: Add SMS Encoding and Cost Tracking (rollback)
+-- Version: 008
+-- Description: Drops the encoding and cost columns and the plain-text preference
+
+ALTER TABLE notification_preferences DROP COLUMN IF EXISTS plain_text;
+
+ALTER TABLE sms_logs
+    DROP COLUMN IF EXISTS estimated_cost,
+    DROP COLUMN IF EXISTS segments,
+    DROP COLUMN IF EXISTS encoding;
+
+-- Rollback completed successfully
@@ -0,0 +1,14 @@
+-- Migration: Add SMS Encoding and Cost Tracking
+-- Version: 008
+-- Description: Records the encoding, billed segments and projected cost of each queued SMS, and lets users ask for plain-text (GSM-7) messages
+
+ALTER TABLE sms_logs ADD COLUMN IF NOT EXISTS encoding VARCHAR(10);
+ALTER TABLE sms_logs ADD COLUMN IF NOT EXISTS segments SMALLINT;
+ALTER TABLE sms_logs ADD COLUMN IF NOT EXISTS estimated_cost NUMERIC(10, 4);
+
+-- Handsets that show emoji as boxes get messages with GSM-7 safe substitutes
+ALTER TABLE notification_preferences ADD COLUMN IF NOT EXISTS plain_text BOOLEAN NOT NULL DEFAULT FALSE;
+
+COMMENT ON COLUMN sms_logs.estimated_cost IS 'Projected cost in USD (segments x per-segment price of the first provider on the route)';
+
+-- Migration completed successfully
@@ -0,0 +1,12 @@
+-- Migration: Add Balance Reconciliation (rollback)
+-- Version: 009
+-- Description: Drops the reconciliation runs and items; fails if reconciliation ledger accounts exist
+
+DROP TABLE IF EXISTS reconciliation_items;
+DROP TABLE IF EXISTS reconciliation_runs;
+
+ALTER TABLE ledger_accounts DROP CONSTRAINT IF EXISTS ledger_accounts_account_type_check;
+ALTER TABLE ledger_accounts ADD CONSTRAINT ledger_accounts_account_type_check
+    CHECK (account_type IN ('user_wallet', 'fee_income', 'vault_custody', 'provider_float', 'mint_burn_suspense'));
+
+-- Rollback completed successfully
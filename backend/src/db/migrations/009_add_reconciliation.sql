@@ -0,0 +1,59 @@
+-- Migration: Add Balance Reconciliation
+-- Version: 009
+-- Description: Runs of the chain/database reconciliation job and the discrepancies they find, reviewed and resolved by operators
+
+-- Ledger account for operator adjustments that bring a wallet in line with the chain
+ALTER TABLE ledger_accounts DROP CONSTRAINT IF EXISTS ledger_accounts_account_type_check;
+ALTER TABLE ledger_accounts ADD CONSTRAINT ledger_accounts_account_type_check
+    CHECK (account_type IN ('user_wallet', 'fee_income', 'vault_custody', 'provider_float', 'mint_burn_suspense', 'reconciliation'));
+
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    triggered_by VARCHAR(20) NOT NULL DEFAULT 'schedule' CHECK (triggered_by IN ('schedule', 'operator')),
+    users_checked INTEGER NOT NULL DEFAULT 0,
+    users_skipped INTEGER NOT NULL DEFAULT 0,
+    discrepancies INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Only one run at a time, across every instance
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reconciliation_runs_running ON reconciliation_runs((status)) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_started_at ON reconciliation_runs(started_at);
+
+CREATE TABLE IF NOT EXISTS reconciliation_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    first_run_id UUID NOT NULL REFERENCES reconciliation_runs(id),
+    last_run_id UUID NOT NULL REFERENCES reconciliation_runs(id),
+    phone_number VARCHAR(20) NOT NULL REFERENCES users(phone_number),
+    wallet_address VARCHAR(42),
+    kind VARCHAR(30) NOT NULL CHECK (kind IN ('cache_drift', 'wallet_surplus', 'wallet_shortfall', 'vault_surplus', 'vault_shortfall', 'unsettled_investment')),
+    -- 'ZrUSD' for wallet items, the vault address for vault items
+    asset VARCHAR(42) NOT NULL,
+    expected_amount DECIMAL(18, 8) NOT NULL,
+    actual_amount DECIMAL(18, 8) NOT NULL,
+    difference DECIMAL(18, 8) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'ignored', 'cleared')),
+    resolution VARCHAR(30),
+    resolution_note TEXT,
+    resolved_by VARCHAR(100),
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    journal_entry_id UUID REFERENCES journal_entries(id),
+    alerted_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- A discrepancy stays one open item across runs until it is resolved or disappears
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reconciliation_items_open ON reconciliation_items(phone_number, kind, asset) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_reconciliation_items_status ON reconciliation_items(status);
+CREATE INDEX IF NOT EXISTS idx_reconciliation_items_last_run_id ON reconciliation_items(last_run_id);
+
+CREATE TRIGGER update_reconciliation_items_updated_at BEFORE UPDATE ON reconciliation_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE reconciliation_items IS 'Differences between users.balance, the ledger, ZrUSD balanceOf and Morpho vault positions';
+
+-- Migration completed successfully
@@ -0,0 +1,17 @@
+-- Migration: Add Chain Indexer (rollback)
+-- Version: 010
+-- Description: Drops the indexed events and confirmation columns; fails if chain clearing ledger accounts exist
+
+ALTER TABLE ledger_accounts DROP CONSTRAINT IF EXISTS ledger_accounts_account_type_check;
+ALTER TABLE ledger_accounts ADD CONSTRAINT ledger_accounts_account_type_check
+    CHECK (account_type IN ('user_wallet', 'fee_income', 'vault_custody', 'provider_float', 'mint_burn_suspense', 'reconciliation'));
+
+ALTER TABLE transactions
+    DROP COLUMN IF EXISTS confirmations,
+    DROP COLUMN IF EXISTS block_number;
+
+DROP TABLE IF EXISTS chain_events;
+DROP TABLE IF EXISTS chain_blocks;
+DROP TABLE IF EXISTS chain_checkpoints;
+
+-- Rollback completed successfully
@@ -0,0 +1,56 @@
+-- Migration: Add Chain Indexer
+-- Version: 010
+-- Description: ZrUSD Transfer and Morpho vault Deposit/Withdraw events indexed from the chain, with the block hashes needed to detect reorgs
+
+CREATE TABLE IF NOT EXISTS chain_checkpoints (
+    indexer VARCHAR(50) PRIMARY KEY,
+    block_number BIGINT NOT NULL,
+    block_hash VARCHAR(66) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Hashes of recently indexed blocks; on a reorg the indexer rolls back to the newest one still on chain
+CREATE TABLE IF NOT EXISTS chain_blocks (
+    block_number BIGINT PRIMARY KEY,
+    block_hash VARCHAR(66) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS chain_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    block_number BIGINT NOT NULL,
+    block_hash VARCHAR(66) NOT NULL,
+    tx_hash VARCHAR(66) NOT NULL,
+    log_index INTEGER NOT NULL,
+    contract_address VARCHAR(42) NOT NULL,
+    event_name VARCHAR(20) NOT NULL CHECK (event_name IN ('Transfer', 'Deposit', 'Withdraw')),
+    from_address VARCHAR(42),
+    to_address VARCHAR(42),
+    -- Raw token units, and the decimal amount
+    value NUMERIC(78, 0) NOT NULL,
+    amount DECIMAL(36, 18) NOT NULL,
+    -- User the event concerns (recipient for incoming transfers, owner for vault events)
+    phone_number VARCHAR(20) REFERENCES users(phone_number),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'removed')),
+    credited_transaction_id UUID REFERENCES transactions(id),
+    confirmed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (block_hash, log_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chain_events_tx_hash ON chain_events(tx_hash);
+CREATE INDEX IF NOT EXISTS idx_chain_events_pending ON chain_events(block_number) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_chain_events_phone_number ON chain_events(phone_number);
+
+-- Confirmation progress, written by the indexer
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS block_number BIGINT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS confirmations INTEGER NOT NULL DEFAULT 0;
+
+-- ZrUSD received from addresses outside Zybra
+ALTER TABLE ledger_accounts DROP CONSTRAINT IF EXISTS ledger_accounts_account_type_check;
+ALTER TABLE ledger_accounts ADD CONSTRAINT ledger_accounts_account_type_check
+    CHECK (account_type IN ('user_wallet', 'fee_income', 'vault_custody', 'provider_float', 'mint_burn_suspense', 'reconciliation', 'chain_clearing'));
+
+COMMENT ON TABLE chain_events IS 'Indexed contract events; pending until CHAIN_CONFIRMATIONS deep, removed if reorged out';
+
+-- Migration completed successfully
@@ -0,0 +1,26 @@
+-- Migration: Add Wallet Keys (rollback)
+-- Version: 011
+-- Description: Restores the original wallet_keys columns; refuses while encrypted keys are stored, since they would be lost
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM wallet_keys) THEN
+        RAISE EXCEPTION 'wallet_keys holds % encrypted keys; rolling back would destroy them', (SELECT COUNT(*) FROM wallet_keys);
+    END IF;
+END $$;
+
+DROP INDEX IF EXISTS idx_wallet_keys_master_key;
+
+ALTER TABLE wallet_keys
+    DROP COLUMN IF EXISTS rewrapped_at,
+    DROP COLUMN IF EXISTS master_key_id,
+    DROP COLUMN IF EXISTS kms_provider,
+    DROP COLUMN IF EXISTS wrapped_data_key,
+    DROP COLUMN IF EXISTS auth_tag,
+    DROP COLUMN IF EXISTS ciphertext,
+    DROP COLUMN IF EXISTS iv,
+    DROP COLUMN IF EXISTS wallet_address,
+    ADD COLUMN IF NOT EXISTS encrypted_private_key TEXT NOT NULL,
+    ADD COLUMN IF NOT EXISTS key_derivation_salt VARCHAR(64) NOT NULL;
+
+-- Rollback completed successfully
@@ -0,0 +1,20 @@
+-- Migration: Add Wallet Keys
+-- Version: 011
+-- Description: User private keys encrypted with AES-256-GCM under a per-user data key, which is itself wrapped by a KMS master key
+
+-- wallet_keys was created by the schema but never written to; reshape it for envelope encryption
+ALTER TABLE wallet_keys
+    DROP COLUMN IF EXISTS encrypted_private_key,
+    DROP COLUMN IF EXISTS key_derivation_salt,
+    ADD COLUMN IF NOT EXISTS wallet_address VARCHAR(42) NOT NULL,
+    -- Private key: base64 IV, ciphertext and GCM tag (the phone number is the additional authenticated data)
+    ADD COLUMN IF NOT EXISTS iv VARCHAR(32) NOT NULL,
+    ADD COLUMN IF NOT EXISTS ciphertext TEXT NOT NULL,
+    ADD COLUMN IF NOT EXISTS auth_tag VARCHAR(32) NOT NULL,
+    -- Data key wrapped by the master key; rotation rewraps it without touching the ciphertext
+    ADD COLUMN IF NOT EXISTS wrapped_data_key TEXT NOT NULL,
+    ADD COLUMN IF NOT EXISTS kms_provider VARCHAR(30) NOT NULL,
+    ADD COLUMN IF NOT EXISTS master_key_id VARCHAR(100) NOT NULL,
+    ADD COLUMN IF NOT EXISTS rewrapped_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_wallet_keys_master_key ON wallet_keys(kms_provider, master_key_id);
@@ -0,0 +1,15 @@
+-- Migration: Add HD Wallets (rollback)
+-- Version: 012
+-- Description: Drops users.wallet_index; refuses while any user has a derived wallet, since its key could no longer be found
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM users WHERE wallet_index IS NOT NULL) THEN
+        RAISE EXCEPTION 'Users have HD-derived wallets; rolling back would lose their address indexes';
+    END IF;
+END $$;
+
+ALTER TABLE users DROP COLUMN IF EXISTS wallet_index;
+DROP SEQUENCE IF EXISTS user_wallet_index_seq;
+
+-- Rollback completed successfully
@@ -0,0 +1,12 @@
+-- Migration: Add HD Wallets
+-- Version: 012
+-- Description: User wallets derived from one master seed at m/44'/60'/<account>'/0/<wallet_index>; only the index is stored
+
+CREATE SEQUENCE IF NOT EXISTS user_wallet_index_seq MINVALUE 0 START 0;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS wallet_index INTEGER UNIQUE CHECK (wallet_index >= 0);
+
+COMMENT ON COLUMN users.wallet_index IS 'BIP-44 address index of the wallet; NULL for random wallets created before HD derivation (key in wallet_keys)';
+
+-- Migration completed successfully
@@ -0,0 +1,7 @@
+-- Migration: Add Gas Sponsorship (rollback)
+-- Version: 013
+-- Description: Drops gas_sponsorships
+
+DROP TABLE IF EXISTS gas_sponsorships;
+
+-- Rollback completed successfully
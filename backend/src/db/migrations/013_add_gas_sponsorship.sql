@@ -0,0 +1,28 @@
+-- Migration: Add Gas Sponsorship
+-- Version: 013
+-- Description: Gas paid from the gas tank for user wallets (EIP-2612 permits relayed by the tank, or ETH top-ups), with budgets and the ZrUSD charged back
+
+CREATE TABLE IF NOT EXISTS gas_sponsorships (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    phone_number VARCHAR(20) NOT NULL REFERENCES users(phone_number),
+    transaction_id UUID REFERENCES transactions(id),
+    purpose VARCHAR(30) NOT NULL,
+    method VARCHAR(10) NOT NULL CHECK (method IN ('permit', 'top_up')),
+    status VARCHAR(20) NOT NULL DEFAULT 'reserved' CHECK (status IN ('reserved', 'completed', 'failed')),
+    -- ETH (wei) leaving the gas tank: reserved up front, then the actual amount; counts against budgets
+    tank_spend_wei NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    -- Gas actually burned by the sponsored transactions (wei), charged back in ZrUSD
+    gas_cost_wei NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    tx_hashes JSONB NOT NULL DEFAULT '[]',
+    fee_amount DECIMAL(18, 8) NOT NULL DEFAULT 0,
+    fee_status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (fee_status IN ('pending', 'collected', 'uncollected', 'waived')),
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_gas_sponsorships_phone_created ON gas_sponsorships(phone_number, created_at);
+CREATE INDEX IF NOT EXISTS idx_gas_sponsorships_created ON gas_sponsorships(created_at);
+CREATE INDEX IF NOT EXISTS idx_gas_sponsorships_transaction ON gas_sponsorships(transaction_id);
+
+-- Migration completed successfully
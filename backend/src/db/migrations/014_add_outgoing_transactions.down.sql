@@ -0,0 +1,8 @@
+-- Migration: Add Outgoing Transactions (rollback)
+-- Version: 014
+-- Description: Drops the nonce allocator and outgoing transaction tracking
+
+DROP TABLE IF EXISTS outgoing_transactions;
+DROP TABLE IF EXISTS signer_nonces;
+
+-- Rollback completed successfully
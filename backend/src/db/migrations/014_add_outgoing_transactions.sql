@@ -0,0 +1,45 @@
+-- Migration: Add Outgoing Transactions
+-- Version: 014
+-- Description: Nonce allocator per sending wallet and the lifecycle of every transaction it sends (fee bumps, replacements, cancellations), linked to the originating transactions row
+
+-- Next nonce to hand out per sending address; locked while allocating so instances never reuse one
+CREATE TABLE IF NOT EXISTS signer_nonces (
+    address VARCHAR(42) PRIMARY KEY,
+    next_nonce BIGINT NOT NULL CHECK (next_nonce >= 0),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS outgoing_transactions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    from_address VARCHAR(42) NOT NULL,
+    nonce BIGINT NOT NULL,
+    transaction_id UUID REFERENCES transactions(id),
+    purpose VARCHAR(30) NOT NULL,
+    to_address VARCHAR(42) NOT NULL,
+    data TEXT NOT NULL DEFAULT '0x',
+    value NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    gas_limit NUMERIC(78, 0) NOT NULL,
+    -- Fees of the latest attempt; max_priority_fee_per_gas is NULL on chains without EIP-1559 (max_fee_per_gas is the gas price)
+    max_fee_per_gas NUMERIC(78, 0) NOT NULL,
+    max_priority_fee_per_gas NUMERIC(78, 0),
+    -- released: never broadcast, its nonce was handed back
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'cancelling', 'mined', 'reverted', 'cancelled', 'dropped', 'released')),
+    -- Hash that was mined, or of the latest attempt
+    tx_hash VARCHAR(66),
+    -- Every attempt broadcast at this nonce (replacements and the cancellation included)
+    tx_hashes JSONB NOT NULL DEFAULT '[]',
+    cancel_tx_hash VARCHAR(66),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    block_number BIGINT,
+    gas_used NUMERIC(78, 0),
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    submitted_at TIMESTAMP WITH TIME ZONE,
+    finalized_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_outgoing_transactions_nonce ON outgoing_transactions(from_address, nonce) WHERE status <> 'released';
+CREATE INDEX IF NOT EXISTS idx_outgoing_transactions_open ON outgoing_transactions(from_address, status) WHERE status IN ('pending', 'cancelling');
+CREATE INDEX IF NOT EXISTS idx_outgoing_transactions_transaction ON outgoing_transactions(transaction_id);
+
+-- Migration completed successfully
@@ -0,0 +1,8 @@
+-- Migration: Add API Keys (rollback)
+-- Version: 015
+-- Description: Drops the audit log and API keys
+
+DROP TABLE IF EXISTS audit_logs;
+DROP TABLE IF EXISTS api_keys;
+
+-- Rollback completed successfully
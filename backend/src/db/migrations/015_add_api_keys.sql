@@ -0,0 +1,43 @@
+-- Migration: Add API Keys
+-- Version: 015
+-- Description: Scoped API keys for admin, support, finance and partner access (only a SHA-256 hash of each key is stored), and the audit log of admin actions
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'support', 'finance', 'partner')),
+    scopes JSONB NOT NULL DEFAULT '[]',
+    -- Public part of the key, used to look it up
+    key_prefix VARCHAR(32) UNIQUE NOT NULL,
+    key_hash VARCHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'revoked')),
+    -- Set on the old key when it is rotated, so clients can switch over before it stops working
+    expires_at TIMESTAMP WITH TIME ZONE,
+    rotated_from UUID REFERENCES api_keys(id),
+    created_by VARCHAR(100),
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_role ON api_keys(role);
+
+CREATE TABLE IF NOT EXISTS audit_logs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    api_key_id UUID REFERENCES api_keys(id),
+    actor VARCHAR(100) NOT NULL,
+    role VARCHAR(20),
+    action VARCHAR(200) NOT NULL,
+    method VARCHAR(10) NOT NULL,
+    path TEXT NOT NULL,
+    status_code INTEGER,
+    ip VARCHAR(64),
+    -- Route params, query and the request body with secrets redacted
+    details JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created ON audit_logs(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_api_key ON audit_logs(api_key_id, created_at);
+
+-- Migration completed successfully
@@ -0,0 +1,41 @@
+-- Migration: Move USSD Sessions to Redis (rollback)
+-- Version: 016
+-- Description: Recreates the empty ussd_sessions table and drops the session event stream
+
+CREATE TABLE IF NOT EXISTS ussd_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id VARCHAR(100) UNIQUE NOT NULL,
+    phone_number VARCHAR(20) NOT NULL,
+    current_menu VARCHAR(50) NOT NULL DEFAULT 'main',
+    session_data JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ussd_sessions_session_id ON ussd_sessions(session_id);
+CREATE INDEX IF NOT EXISTS idx_ussd_sessions_phone_number ON ussd_sessions(phone_number);
+CREATE INDEX IF NOT EXISTS idx_ussd_sessions_updated_at ON ussd_sessions(updated_at);
+
+CREATE TRIGGER update_ussd_sessions_updated_at BEFORE UPDATE ON ussd_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE OR REPLACE FUNCTION cleanup_expired_sessions()
+RETURNS INTEGER AS $$
+DECLARE
+    deleted_count INTEGER;
+BEGIN
+    DELETE FROM ussd_sessions
+    WHERE updated_at < NOW() - INTERVAL '1 hour';
+
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+
+    DELETE FROM otp_verifications
+    WHERE expires_at < NOW();
+
+    RETURN deleted_count;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TABLE IF EXISTS ussd_session_events;
+
+-- Rollback completed successfully
@@ -0,0 +1,50 @@
+-- Migration: Move USSD Sessions to Redis
+-- Version: 016
+-- Description: Live USSD sessions now live in Redis with a TTL; Postgres keeps an append-only stream of session events for analytics
+
+CREATE TABLE IF NOT EXISTS ussd_session_events (
+    id BIGSERIAL PRIMARY KEY,
+    session_id VARCHAR(100) NOT NULL,
+    phone_number VARCHAR(20) NOT NULL,
+    event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('started', 'step', 'ended')),
+    -- Menu state the session is in after the event
+    menu VARCHAR(50),
+    -- Requests handled in the session so far
+    step INTEGER NOT NULL DEFAULT 0,
+    -- Why an ended session ended: completed, timeout or operator
+    reason VARCHAR(30),
+    -- Time since the session started
+    duration_ms INTEGER,
+    -- When it happened; rows are written in batches shortly after
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ussd_session_events_created_at ON ussd_session_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_ussd_session_events_session_id ON ussd_session_events(session_id);
+CREATE INDEX IF NOT EXISTS idx_ussd_session_events_phone_number ON ussd_session_events(phone_number);
+
+DROP TRIGGER IF EXISTS ussd_session_events_append_only ON ussd_session_events;
+CREATE TRIGGER ussd_session_events_append_only BEFORE UPDATE ON ussd_session_events
+    FOR EACH ROW EXECUTE FUNCTION prevent_ledger_mutation();
+
+-- Sessions in flight are dropped; callers redial
+DROP TABLE IF EXISTS ussd_sessions;
+
+-- Sessions expire in Redis on their own; only OTPs are left to clean up
+CREATE OR REPLACE FUNCTION cleanup_expired_sessions()
+RETURNS INTEGER AS $$
+DECLARE
+    deleted_count INTEGER;
+BEGIN
+    DELETE FROM otp_verifications
+    WHERE expires_at < NOW();
+
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+
+    RETURN deleted_count;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE ussd_session_events IS 'Append-only USSD session events (started, each step, ended) for analytics';
+
+-- Migration completed successfully
@@ -0,0 +1,9 @@
+-- Migration: Add USSD Transitions (rollback)
+-- Version: 017
+-- Description: Drops the transition record
+
+DROP TABLE IF EXISTS ussd_transitions;
+
+COMMENT ON TABLE ussd_session_events IS 'Append-only USSD session events (started, each step, ended) for analytics';
+
+-- Rollback completed successfully
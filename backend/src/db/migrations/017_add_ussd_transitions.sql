@@ -0,0 +1,36 @@
+-- Migration: Add USSD Transitions
+-- Version: 017
+-- Description: Append-only record of every USSD menu transition, for funnel and drop-off analytics
+
+CREATE TABLE IF NOT EXISTS ussd_transitions (
+    id BIGSERIAL PRIMARY KEY,
+    session_id VARCHAR(100) NOT NULL,
+    phone_number VARCHAR(20) NOT NULL,
+    -- ISO country of the phone number
+    country CHAR(2),
+    -- State the request answered; NULL for the first request of a session
+    from_state VARCHAR(50),
+    -- State whose screen was shown (for an END screen, the state that ended the session)
+    to_state VARCHAR(50) NOT NULL,
+    -- Kind of input, never the input itself (it may be a PIN or OTP)
+    input_class VARCHAR(10) NOT NULL CHECK (input_class IN ('none', 'page', 'option', 'text')),
+    outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('ok', 'invalid', 'success', 'failed', 'cancelled', 'completed')),
+    -- Time taken to answer the request
+    latency_ms INTEGER NOT NULL,
+    -- Time the user spent on the from_state screen
+    dwell_ms INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ussd_transitions_created_at ON ussd_transitions(created_at);
+CREATE INDEX IF NOT EXISTS idx_ussd_transitions_country_created_at ON ussd_transitions(country, created_at);
+CREATE INDEX IF NOT EXISTS idx_ussd_transitions_session_id ON ussd_transitions(session_id);
+
+DROP TRIGGER IF EXISTS ussd_transitions_append_only ON ussd_transitions;
+CREATE TRIGGER ussd_transitions_append_only BEFORE UPDATE ON ussd_transitions
+    FOR EACH ROW EXECUTE FUNCTION prevent_ledger_mutation();
+
+COMMENT ON TABLE ussd_transitions IS 'Append-only USSD menu transitions (from/to state, input class, outcome, timings) for funnel analytics';
+COMMENT ON TABLE ussd_session_events IS 'Append-only USSD session events (started, ended) for analytics; steps are recorded in ussd_transitions';
+
+-- Migration completed successfully
@@ -0,0 +1,13 @@
+-- Migration: Add Transfer Claims (rollback)
+-- Version: 018
+-- Description: Drops transfer_claims and display names; fails if claim custody ledger accounts exist
+
+DROP TABLE IF EXISTS transfer_claims;
+
+ALTER TABLE ledger_accounts DROP CONSTRAINT IF EXISTS ledger_accounts_account_type_check;
+ALTER TABLE ledger_accounts ADD CONSTRAINT ledger_accounts_account_type_check
+    CHECK (account_type IN ('user_wallet', 'fee_income', 'vault_custody', 'provider_float', 'mint_burn_suspense', 'reconciliation', 'chain_clearing'));
+
+ALTER TABLE users DROP COLUMN IF EXISTS display_name;
+
+-- Rollback completed successfully
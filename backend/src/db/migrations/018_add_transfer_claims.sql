@@ -0,0 +1,37 @@
+-- Migration: Add Transfer Claims
+-- Version: 018
+-- Description: Display names shown to senders, and transfers held in custody for numbers that are not registered yet
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS display_name VARCHAR(30);
+
+COMMENT ON COLUMN users.display_name IS 'Name shown to people sending the user money; NULL until set from the USSD menu';
+
+-- Ledger account holding ZrUSD sent to numbers that have not registered
+ALTER TABLE ledger_accounts DROP CONSTRAINT IF EXISTS ledger_accounts_account_type_check;
+ALTER TABLE ledger_accounts ADD CONSTRAINT ledger_accounts_account_type_check
+    CHECK (account_type IN ('user_wallet', 'fee_income', 'vault_custody', 'provider_float', 'mint_burn_suspense', 'reconciliation', 'chain_clearing', 'claim_custody'));
+
+CREATE TABLE IF NOT EXISTS transfer_claims (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    sender_phone VARCHAR(20) NOT NULL REFERENCES users(phone_number),
+    -- Not a user when the claim is made
+    recipient_phone VARCHAR(20) NOT NULL,
+    amount DECIMAL(18, 8) NOT NULL CHECK (amount > 0),
+    fee DECIMAL(18, 8) NOT NULL DEFAULT 0,
+    -- claiming: being paid out; returns to pending (with the error) if the payout fails
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'claiming', 'claimed')),
+    -- The sender's transfer, and the recipient's receive once claimed
+    transaction_id UUID REFERENCES transactions(id),
+    claim_transaction_id UUID REFERENCES transactions(id),
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    claimed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_transfer_claims_recipient_pending ON transfer_claims(recipient_phone) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_transfer_claims_sender ON transfer_claims(sender_phone, created_at);
+
+COMMENT ON TABLE transfer_claims IS 'Transfers to unregistered numbers, held in the claim_custody ledger account until the recipient registers';
+
+-- Migration completed successfully
@@ -0,0 +1,16 @@
+-- Migration: Add Transfer Claim Expiry (rollback)
+-- Version: 019
+-- Description: Drops claim expiry and refunds; fails if refunded claims exist
+
+DROP INDEX IF EXISTS idx_transfer_claims_expires_pending;
+
+ALTER TABLE transfer_claims DROP CONSTRAINT IF EXISTS transfer_claims_status_check;
+ALTER TABLE transfer_claims ADD CONSTRAINT transfer_claims_status_check
+    CHECK (status IN ('pending', 'claiming', 'claimed'));
+
+ALTER TABLE transfer_claims
+DROP COLUMN IF EXISTS refunded_at,
+DROP COLUMN IF EXISTS refund_transaction_id,
+DROP COLUMN IF EXISTS expires_at;
+
+-- Rollback completed successfully
@@ -0,0 +1,21 @@
+-- Migration: Add Transfer Claim Expiry
+-- Version: 019
+-- Description: Held transfers expire and are refunded to the sender if the recipient never registers
+
+ALTER TABLE transfer_claims
+ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS refund_transaction_id UUID REFERENCES transactions(id),
+ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP WITH TIME ZONE;
+
+-- Claims made before this migration get the default 30 days
+UPDATE transfer_claims SET expires_at = created_at + INTERVAL '30 days' WHERE expires_at IS NULL;
+ALTER TABLE transfer_claims ALTER COLUMN expires_at SET NOT NULL;
+
+-- refunding: being paid back to the sender; returns to pending (with the error) if the refund fails
+ALTER TABLE transfer_claims DROP CONSTRAINT IF EXISTS transfer_claims_status_check;
+ALTER TABLE transfer_claims ADD CONSTRAINT transfer_claims_status_check
+    CHECK (status IN ('pending', 'claiming', 'claimed', 'refunding', 'refunded'));
+
+CREATE INDEX IF NOT EXISTS idx_transfer_claims_expires_pending ON transfer_claims(expires_at) WHERE status = 'pending';
+
+-- Migration completed successfully
@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+// NNN_name.sql applies a migration, NNN_name.down.sql rolls it back
+const FILE_PATTERN = /^(\d{3})_([a-z0-9_]+?)(\.down)?\.sql$/;
+// Held for the whole run, so instances deploying at once apply each migration exactly once
+const LOCK_KEY = 'zybra:schema_migrations';
+
+class Migrator {
+  /**
+   * @param {Object} pool - pg Pool
+   * @param {Object} options - { directory }
+   */
+  constructor(pool, { directory = MIGRATIONS_DIR } = {}) {
+    this.pool = pool;
+    this.directory = directory;
+  }
+
+  /**
+   * Read the migration files, in version order
+   * @returns {Array<Object>} - { version, name, sql, downSql, checksum }
+   */
+  load() {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(this.directory).sort()) {
+      const match = FILE_PATTERN.exec(file);
+      if (!match) {
+        continue;
+      }
+
+      const [, version, name, down] = match;
+      const migration = migrations.get(version) || { version, name, sql: null, downSql: null, checksum: null };
+      const sql = fs.readFileSync(path.join(this.directory, file), 'utf8');
+
+      if (down) {
+        migration.downSql = sql;
+      } else {
+        if (migration.sql !== null) {
+          throw new Error(`Two migrations have version ${version}`);
+        }
+        migration.name = name;
+        migration.sql = sql;
+        migration.checksum = crypto.createHash('sha256').update(sql).digest('hex');
+      }
+      migrations.set(version, migration);
+    }
+
+    for (const migration of migrations.values()) {
+      if (migration.sql === null) {
+        throw new Error(`Rollback ${migration.version}_${migration.name}.down.sql has no migration`);
+      }
+    }
+
+    return [...migrations.values()].sort((a, b) => a.version.localeCompare(b.version));
+  }
+
+  /**
+   * Run fn with the migration lock held and schema_migrations in place
+   * @param {Function} fn - async (client) => result
+   * @returns {Promise<*>} - fn's result
+   */
+  async withLock(fn) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('SELECT pg_advisory_lock(hashtext($1))', [LOCK_KEY]);
+      try {
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(10) PRIMARY KEY,
+            name VARCHAR(200) NOT NULL,
+            checksum VARCHAR(64) NOT NULL,
+            execution_ms INTEGER,
+            applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+          )
+        `);
+        return await fn(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock(hashtext($1))', [LOCK_KEY]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  async applied(client) {
+    const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+    return new Map(result.rows.map(row => [row.version, row]));
+  }
+
+  /**
+   * Compare the files with what the database has applied
+   * @param {Array<Object>} migrations - From load()
+   * @param {Map} applied - schema_migrations rows by version
+   * @returns {Array<Object>} - Each migration with status applied, pending, changed or missing (applied, file gone)
+   */
+  compare(migrations, applied) {
+    const statuses = migrations.map(migration => {
+      const row = applied.get(migration.version);
+      let status = 'pending';
+      if (row) {
+        status = row.checksum === migration.checksum ? 'applied' : 'changed';
+      }
+      return { ...migration, status, appliedAt: row ? row.applied_at : null };
+    });
+
+    for (const row of applied.values()) {
+      if (!migrations.some(migration => migration.version === row.version)) {
+        statuses.push({ version: row.version, name: row.name, status: 'missing', appliedAt: row.applied_at });
+      }
+    }
+
+    return statuses.sort((a, b) => a.version.localeCompare(b.version));
+  }
+
+  // Applied migrations must not change after the fact; a fix is a new migration
+  verify(statuses) {
+    const drifted = statuses.filter(migration => ['changed', 'missing'].includes(migration.status));
+    if (drifted.length > 0) {
+      throw new Error(`Applied migrations differ from the files: ${drifted.map(m => `${m.version}_${m.name} (${m.status})`).join(', ')}`);
+    }
+  }
+
+  /**
+   * List every migration with its status
+   * @returns {Promise<Array<Object>>} - { version, name, status, appliedAt }
+   */
+  async status() {
+    const migrations = this.load();
+    return this.withLock(async (client) => this.compare(migrations, await this.applied(client))
+      .map(({ version, name, status, appliedAt }) => ({ version, name, status, appliedAt })));
+  }
+
+  /**
+   * Apply pending migrations in order, each in its own transaction
+   * @param {Object} options - { to: last version to apply }
+   * @returns {Promise<Array<string>>} - Versions applied
+   */
+  async up({ to = null } = {}) {
+    const migrations = this.load();
+
+    return this.withLock(async (client) => {
+      const applied = await this.applied(client);
+      const statuses = this.compare(migrations, applied);
+      this.verify(statuses);
+
+      if (applied.size === 0) {
+        const existing = await client.query("SELECT to_regclass('public.users') AS users");
+        if (existing.rows[0].users) {
+          throw new Error('Database has tables but no migration history; record what it already has with baseline <version>');
+        }
+      }
+
+      const pending = statuses.filter(migration => migration.status === 'pending' && (to === null || migration.version <= to));
+      const done = [];
+
+      for (const migration of pending) {
+        const started = Date.now();
+        try {
+          await client.query('BEGIN');
+          await client.query(migration.sql);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+            [migration.version, migration.name, migration.checksum, Date.now() - started]
+          );
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw new Error(`Migration ${migration.version}_${migration.name} failed: ${error.message}`);
+        }
+
+        logger.info(`Applied migration ${migration.version}_${migration.name} in ${Date.now() - started}ms`);
+        done.push(migration.version);
+      }
+
+      return done;
+    });
+  }
+
+  /**
+   * Roll back the latest applied migrations, newest first
+   * @param {Object} options - { steps: how many to roll back, to: roll back everything after this version }
+   * @returns {Promise<Array<string>>} - Versions rolled back
+   */
+  async down({ steps = 1, to = null } = {}) {
+    const migrations = this.load();
+
+    return this.withLock(async (client) => {
+      const statuses = this.compare(migrations, await this.applied(client));
+      this.verify(statuses);
+
+      const applied = statuses.filter(migration => migration.status === 'applied').reverse();
+      const targets = to === null ? applied.slice(0, steps) : applied.filter(migration => migration.version > to);
+
+      const irreversible = targets.filter(migration => !migration.downSql);
+      if (irreversible.length > 0) {
+        throw new Error(`No rollback for ${irreversible.map(m => `${m.version}_${m.name}`).join(', ')}`);
+      }
+
+      const done = [];
+      for (const migration of targets) {
+        try {
+          await client.query('BEGIN');
+          await client.query(migration.downSql);
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw new Error(`Rollback of ${migration.version}_${migration.name} failed: ${error.message}`);
+        }
+
+        logger.info(`Rolled back migration ${migration.version}_${migration.name}`);
+        done.push(migration.version);
+      }
+
+      return done;
+    });
+  }
+
+  /**
+   * Record migrations up to a version as applied without running them, for a database created
+   * before migrations were tracked (e.g. from schema.sql)
+   * @param {string} version - Last version the database already has
+   * @returns {Promise<Array<string>>} - Versions recorded
+   */
+  async baseline(version) {
+    const migrations = this.load();
+
+    return this.withLock(async (client) => {
+      const applied = await this.applied(client);
+      if (applied.size > 0) {
+        throw new Error('Migration history already exists; baseline only applies to an untracked database');
+      }
+      if (!migrations.some(migration => migration.version === version)) {
+        throw new Error(`No migration with version ${version}`);
+      }
+
+      const recorded = migrations.filter(migration => migration.version <= version);
+      for (const migration of recorded) {
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+      }
+
+      logger.info(`Baselined migrations up to ${version}`);
+      return recorded.map(migration => migration.version);
+    });
+  }
+}
+
+module.exports = Migrator;
@@ -22,16 +22,37 @@ pool.on('error', (err) => {
   logger.error('PostgreSQL connection error:', err);
 });
 
+/**
+ * Run queries in a single database transaction
+ * @param {Function} callback - Receives the transaction client (client => Promise)
+ * @returns {Promise<*>} - Callback result, after COMMIT
+ */
+async function withTransaction(callback) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 // User model
 class User {
   static async create(userData) {
-    const { phoneNumber, walletAddress, createdAt = new Date() } = userData;
+    const { phoneNumber, walletAddress, walletIndex = null, createdAt = new Date() } = userData;
     const query = `
-      INSERT INTO users (phone_number, wallet_address, created_at, updated_at)
-      VALUES ($1, $2, $3, $3)
+      INSERT INTO users (phone_number, wallet_address, wallet_index, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $4)
       RETURNING *
     `;
-    const values = [phoneNumber, walletAddress, createdAt];
+    const values = [phoneNumber, walletAddress, walletIndex, createdAt];
 
     try {
       const result = await pool.query(query, values);
@@ -66,7 +87,8 @@ class User {
     }
   }
 
-  static async updateBalance(phoneNumber, balance) {
+  // Only the ledger service writes balances: users.balance caches the user_wallet account
+  static async updateBalance(phoneNumber, balance, db = pool) {
     const query = `
       UPDATE users
       SET balance = $1, updated_at = NOW()
@@ -75,13 +97,139 @@ class User {
     `;
 
     try {
-      const result = await pool.query(query, [balance, phoneNumber]);
+      const result = await db.query(query, [balance, phoneNumber]);
       return result.rows[0];
     } catch (error) {
       logger.error('Error updating user balance:', error);
       throw error;
     }
   }
+
+  // Next HD wallet index; never reused, even if the user insert fails
+  static async nextWalletIndex() {
+    const query = "SELECT nextval('user_wallet_index_seq') AS wallet_index";
+
+    try {
+      const result = await pool.query(query);
+      return Number(result.rows[0].wallet_index);
+    } catch (error) {
+      logger.error('Error allocating wallet index:', error);
+      throw error;
+    }
+  }
+
+  // Keyset-paged users with an HD wallet, by index
+  static async findByWalletIndexAfter(afterIndex = -1, limit = 500) {
+    const query = `
+      SELECT phone_number, wallet_address, wallet_index FROM users
+      WHERE wallet_index > $1
+      ORDER BY wallet_index
+      LIMIT $2
+    `;
+
+    try {
+      const result = await pool.query(query, [afterIndex, limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding users by wallet index:', error);
+      throw error;
+    }
+  }
+
+  static async countWithoutWalletIndex() {
+    const query = 'SELECT COUNT(*) AS count FROM users WHERE wallet_index IS NULL';
+
+    try {
+      const result = await pool.query(query);
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      logger.error('Error counting users without wallet index:', error);
+      throw error;
+    }
+  }
+
+  static async findByWalletAddresses(addresses) {
+    const query = 'SELECT * FROM users WHERE LOWER(wallet_address) = ANY($1::varchar[])';
+
+    try {
+      const result = await pool.query(query, [addresses.map(address => address.toLowerCase())]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding users by wallet address:', error);
+      throw error;
+    }
+  }
+
+  // Keyset-paged users with a wallet, with their ledger wallet balance alongside the cached one
+  static async findForReconciliation(afterPhone = '', limit = 100) {
+    const query = `
+      SELECT u.phone_number, u.wallet_address, u.balance, la.balance AS ledger_balance
+      FROM users u
+      LEFT JOIN ledger_accounts la ON la.code = 'user_wallet:' || u.phone_number
+      WHERE u.wallet_address IS NOT NULL AND u.phone_number > $1
+      ORDER BY u.phone_number
+      LIMIT $2
+    `;
+
+    try {
+      const result = await pool.query(query, [afterPhone, limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding users for reconciliation:', error);
+      throw error;
+    }
+  }
+
+  static async updateLocale(phoneNumber, locale) {
+    const query = `
+      UPDATE users
+      SET preferred_locale = $1, updated_at = NOW()
+      WHERE phone_number = $2
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [locale, phoneNumber]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error updating user locale:', error);
+      throw error;
+    }
+  }
+
+  static async updatePin(phoneNumber, pinHash) {
+    const query = `
+      UPDATE users
+      SET pin_hash = $1, pin_updated_at = NOW(), updated_at = NOW()
+      WHERE phone_number = $2
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [pinHash, phoneNumber]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error updating user PIN:', error);
+      throw error;
+    }
+  }
+
+  static async updateDisplayName(phoneNumber, displayName) {
+    const query = `
+      UPDATE users
+      SET display_name = $1, updated_at = NOW()
+      WHERE phone_number = $2
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [displayName, phoneNumber]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error updating user display name:', error);
+      throw error;
+    }
+  }
 }
 
 // Transaction model
@@ -148,6 +296,55 @@ class Transaction {
     }
   }
 
+  static async findByTxHash(txHash) {
+    const query = 'SELECT * FROM transactions WHERE LOWER(tx_hash) = LOWER($1)';
+
+    try {
+      const result = await pool.query(query, [txHash]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding transactions by hash:', error);
+      throw error;
+    }
+  }
+
+  // Written by the chain indexer as the transaction's block gets deeper (0 after a reorg)
+  static async updateConfirmations(txHash, blockNumber, confirmations) {
+    const query = `
+      UPDATE transactions
+      SET block_number = $2, confirmations = $3, updated_at = NOW()
+      WHERE LOWER(tx_hash) = LOWER($1)
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [txHash, blockNumber, confirmations]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error updating transaction confirmations:', error);
+      throw error;
+    }
+  }
+
+  // A stuck transaction that was replaced is mined under a different hash; only a row still
+  // holding one of the replaced hashes is moved to it
+  static async updateTxHash(id, txHash, replacedHashes) {
+    const query = `
+      UPDATE transactions
+      SET tx_hash = $2, updated_at = NOW()
+      WHERE id = $1 AND LOWER(tx_hash) = ANY($3)
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [id, txHash, replacedHashes.map(hash => hash.toLowerCase())]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating transaction hash:', error);
+      throw error;
+    }
+  }
+
   static async findById(id) {
     const query = 'SELECT * FROM transactions WHERE id = $1';
 
@@ -161,71 +358,219 @@ class Transaction {
   }
 }
 
-// USSD Session model
-class USSDSession {
-  static async create(sessionData) {
-    const {
-      sessionId,
-      phoneNumber,
-      currentMenu = 'main',
-      sessionData: data = {},
-      createdAt = new Date()
-    } = sessionData;
+// USSD Session Event model (append-only; live sessions are in Redis, see services/ussd/sessionStore)
+class USSDSessionEvent {
+  static async createMany(events) {
+    if (events.length === 0) {
+      return 0;
+    }
+
+    const values = [];
+    const rows = events.map((event, index) => {
+      values.push(
+        event.sessionId, event.phoneNumber, event.eventType, event.menu || null,
+        event.step || 0, event.reason || null, event.durationMs === undefined ? null : event.durationMs, event.createdAt
+      );
+      const offset = index * 8;
+      return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, $${offset + 7}, $${offset + 8})`;
+    });
 
     const query = `
-      INSERT INTO ussd_sessions (session_id, phone_number, current_menu, session_data, created_at, updated_at)
-      VALUES ($1, $2, $3, $4, $5, $5)
-      RETURNING *
+      INSERT INTO ussd_session_events (session_id, phone_number, event_type, menu, step, reason, duration_ms, created_at)
+      VALUES ${rows.join(', ')}
     `;
-    const values = [sessionId, phoneNumber, currentMenu, JSON.stringify(data), createdAt];
 
     try {
       const result = await pool.query(query, values);
-      return result.rows[0];
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error recording USSD session events:', error);
+      throw error;
+    }
+  }
+
+  // Session counts since a date, and where sessions were when they ended
+  static async getStats(since) {
+    const overviewQuery = `
+      SELECT
+        COUNT(*) AS total_sessions,
+        COUNT(CASE WHEN created_at > NOW() - INTERVAL '24 hours' THEN 1 END) AS sessions_24h,
+        COUNT(CASE WHEN created_at > NOW() - INTERVAL '1 hour' THEN 1 END) AS sessions_1h,
+        COUNT(DISTINCT phone_number) AS unique_users
+      FROM ussd_session_events
+      WHERE event_type = 'started' AND created_at > $1
+    `;
+    const menuQuery = `
+      SELECT menu AS current_menu, reason, COUNT(*) AS usage_count
+      FROM ussd_session_events
+      WHERE event_type = 'ended' AND created_at > NOW() - INTERVAL '24 hours'
+      GROUP BY menu, reason
+      ORDER BY usage_count DESC
+    `;
+
+    try {
+      const [overview, menus] = await Promise.all([pool.query(overviewQuery, [since]), pool.query(menuQuery)]);
+      return { overview: overview.rows[0], menus: menus.rows };
     } catch (error) {
-      logger.error('Error creating USSD session:', error);
+      logger.error('Error getting USSD session stats:', error);
       throw error;
     }
   }
+}
 
-  static async findBySessionId(sessionId) {
-    const query = 'SELECT * FROM ussd_sessions WHERE session_id = $1';
+// USSD Transition model (one row per USSD request, for funnel analytics)
+class USSDTransition {
+  static async createMany(transitions) {
+    if (transitions.length === 0) {
+      return 0;
+    }
+
+    const values = [];
+    const rows = transitions.map((transition, index) => {
+      values.push(
+        transition.sessionId, transition.phoneNumber, transition.country || null, transition.fromState || null,
+        transition.toState, transition.inputClass, transition.outcome, transition.latencyMs,
+        transition.dwellMs === undefined ? null : transition.dwellMs, transition.createdAt
+      );
+      const offset = index * 10;
+      return `(${Array.from({ length: 10 }, (_, i) => `$${offset + i + 1}`).join(', ')})`;
+    });
+
+    const query = `
+      INSERT INTO ussd_transitions (session_id, phone_number, country, from_state, to_state, input_class, outcome, latency_ms, dwell_ms, created_at)
+      VALUES ${rows.join(', ')}
+    `;
 
     try {
-      const result = await pool.query(query, [sessionId]);
-      return result.rows[0] || null;
+      const result = await pool.query(query, values);
+      return result.rowCount;
     } catch (error) {
-      logger.error('Error finding USSD session:', error);
+      logger.error('Error recording USSD transitions:', error);
       throw error;
     }
   }
 
-  static async update(sessionId, updateData) {
-    const { currentMenu, sessionData } = updateData;
+  // WHERE clause for a date range and optional country, starting the parameter list
+  static filter({ since, until, country = null }) {
+    const values = [since, until];
+    let where = 'created_at >= $1 AND created_at < $2';
+    if (country) {
+      values.push(country);
+      where += ` AND country = $${values.length}`;
+    }
+    return { where, values };
+  }
+
+  /**
+   * Count sessions through an ordered funnel. A session reaches a step when it has reached every
+   * earlier step and its first transition matching the step comes no earlier than the step before.
+   * @param {Array<Object>} steps - { name, when: [{ states, outcome }] }, reached by any condition in when
+   * @param {Object} filters - { since, until, country }
+   * @returns {Promise<Array<Object>>} - Per step: { step, sessions, median_ms } (median time since the previous step)
+   */
+  static async getFunnel(steps, filters) {
+    const { where, values } = this.filter(filters);
+
+    const firstReached = steps.map((step, index) => {
+      const conditions = step.when.map(({ states, outcome }) => {
+        values.push(states);
+        let condition = `to_state = ANY($${values.length})`;
+        if (outcome) {
+          values.push(outcome);
+          condition += ` AND outcome = $${values.length}`;
+        }
+        return `(${condition})`;
+      });
+      return `MIN(created_at) FILTER (WHERE ${conditions.join(' OR ')}) AS t${index}`;
+    });
+
+    const reached = (index) => ['t0 IS NOT NULL']
+      .concat(Array.from({ length: index }, (_, i) => `t${i + 1} >= t${i}`))
+      .join(' AND ');
+
+    const columns = steps.map((step, index) => [
+      `COUNT(*) FILTER (WHERE ${reached(index)}) AS reached_${index}`,
+      index === 0
+        ? 'NULL::float AS median_ms_0'
+        : `percentile_cont(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM t${index} - t${index - 1}) * 1000) FILTER (WHERE ${reached(index)}) AS median_ms_${index}`
+    ].join(',\n        '));
+
     const query = `
-      UPDATE ussd_sessions
-      SET current_menu = $1, session_data = $2, updated_at = NOW()
-      WHERE session_id = $3
-      RETURNING *
+      WITH sessions AS (
+        SELECT session_id, ${firstReached.join(', ')}
+        FROM ussd_transitions
+        WHERE ${where}
+        GROUP BY session_id
+      )
+      SELECT
+        ${columns.join(',\n        ')}
+      FROM sessions
     `;
 
     try {
-      const result = await pool.query(query, [currentMenu, JSON.stringify(sessionData), sessionId]);
-      return result.rows[0];
+      const result = await pool.query(query, values);
+      const row = result.rows[0];
+      return steps.map((step, index) => ({
+        step: step.name,
+        sessions: parseInt(row[`reached_${index}`]),
+        median_ms: row[`median_ms_${index}`] === null ? null : Math.round(row[`median_ms_${index}`])
+      }));
     } catch (error) {
-      logger.error('Error updating USSD session:', error);
+      logger.error('Error computing USSD funnel:', error);
       throw error;
     }
   }
 
-  static async delete(sessionId) {
-    const query = 'DELETE FROM ussd_sessions WHERE session_id = $1';
+  /**
+   * Per-state screen counts, error screens, time spent and abandonment
+   * @param {Object} filters - { since, until, country }
+   * @returns {Promise<Array<Object>>} - Rows: { state, views, sessions, invalid, failed, median_latency_ms, median_dwell_ms, abandoned }
+   */
+  static async getStateStats(filters) {
+    const { where, values } = this.filter(filters);
+
+    const query = `
+      WITH shown AS (
+        SELECT to_state AS state,
+               COUNT(*) AS views,
+               COUNT(DISTINCT session_id) AS sessions,
+               COUNT(*) FILTER (WHERE outcome = 'invalid') AS invalid,
+               COUNT(*) FILTER (WHERE outcome = 'failed') AS failed,
+               percentile_cont(0.5) WITHIN GROUP (ORDER BY latency_ms) AS median_latency_ms
+        FROM ussd_transitions
+        WHERE ${where}
+        GROUP BY to_state
+      ),
+      answered AS (
+        SELECT from_state AS state, percentile_cont(0.5) WITHIN GROUP (ORDER BY dwell_ms) AS median_dwell_ms
+        FROM ussd_transitions
+        WHERE ${where} AND from_state IS NOT NULL AND dwell_ms IS NOT NULL
+        GROUP BY from_state
+      ),
+      -- Sessions whose last screen still expected input
+      abandoned AS (
+        SELECT to_state AS state, COUNT(*) AS abandoned
+        FROM (
+          SELECT DISTINCT ON (session_id) to_state, outcome
+          FROM ussd_transitions
+          WHERE ${where}
+          ORDER BY session_id, created_at DESC
+        ) last
+        WHERE outcome IN ('ok', 'invalid')
+        GROUP BY to_state
+      )
+      SELECT shown.*, answered.median_dwell_ms, COALESCE(abandoned.abandoned, 0) AS abandoned
+      FROM shown
+      LEFT JOIN answered ON answered.state = shown.state
+      LEFT JOIN abandoned ON abandoned.state = shown.state
+      ORDER BY shown.views DESC
+    `;
 
     try {
-      await pool.query(query, [sessionId]);
-      return true;
+      const result = await pool.query(query, values);
+      return result.rows;
     } catch (error) {
-      logger.error('Error deleting USSD session:', error);
+      logger.error('Error getting USSD state stats:', error);
       throw error;
     }
   }
@@ -449,11 +794,1633 @@ class YellowCardTransaction {
   }
 }
 
+// Ledger Account model (queries take the transaction client so they can share row locks)
+class LedgerAccount {
+  static async findOrCreate(db, accountData) {
+    const { code, accountType, normalBalance, phoneNumber = null, currency = 'ZrUSD' } = accountData;
+    const query = `
+      INSERT INTO ledger_accounts (code, account_type, normal_balance, phone_number, currency, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+      ON CONFLICT (code) DO UPDATE SET code = EXCLUDED.code
+      RETURNING *
+    `;
+
+    try {
+      const result = await db.query(query, [code, accountType, normalBalance, phoneNumber, currency]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error finding or creating ledger account:', error);
+      throw error;
+    }
+  }
+
+  static async lockByIds(db, ids) {
+    // Locks are always taken in id order so concurrent entries cannot deadlock
+    const query = `
+      SELECT * FROM ledger_accounts
+      WHERE id = ANY($1)
+      ORDER BY id
+      FOR UPDATE
+    `;
+
+    try {
+      const result = await db.query(query, [ids]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error locking ledger accounts:', error);
+      throw error;
+    }
+  }
+
+  static async updateBalance(db, id, balance) {
+    const query = `
+      UPDATE ledger_accounts
+      SET balance = $1, updated_at = NOW()
+      WHERE id = $2
+      RETURNING *
+    `;
+
+    try {
+      const result = await db.query(query, [balance, id]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error updating ledger account balance:', error);
+      throw error;
+    }
+  }
+
+  static async findByCode(code) {
+    const query = 'SELECT * FROM ledger_accounts WHERE code = $1';
+
+    try {
+      const result = await pool.query(query, [code]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding ledger account by code:', error);
+      throw error;
+    }
+  }
+
+  // A user's vault positions in the ledger: what their vault_investment/withdrawal entries moved into each vault_custody account
+  static async getVaultPositions(phoneNumber) {
+    const query = `
+      SELECT va.code, SUM(CASE WHEN vp.direction = va.normal_balance THEN vp.amount ELSE -vp.amount END) AS amount
+      FROM ledger_accounts wa
+      JOIN ledger_postings wp ON wp.account_id = wa.id
+      JOIN ledger_postings vp ON vp.journal_entry_id = wp.journal_entry_id AND vp.id <> wp.id
+      JOIN ledger_accounts va ON va.id = vp.account_id AND va.account_type = 'vault_custody'
+      WHERE wa.code = $1
+      GROUP BY va.code
+    `;
+
+    try {
+      const result = await pool.query(query, [`user_wallet:${phoneNumber}`]);
+      return result.rows.map(row => ({
+        vaultAddress: row.code.slice('vault_custody:'.length),
+        amount: parseFloat(row.amount) || 0
+      }));
+    } catch (error) {
+      logger.error('Error getting ledger vault positions:', error);
+      throw error;
+    }
+  }
+
+  static async getDerivedBalance(id) {
+    const query = `
+      SELECT COALESCE(SUM(
+        CASE WHEN lp.direction = la.normal_balance THEN lp.amount ELSE -lp.amount END
+      ), 0) AS balance
+      FROM ledger_accounts la
+      LEFT JOIN ledger_postings lp ON lp.account_id = la.id
+      WHERE la.id = $1
+    `;
+
+    try {
+      const result = await pool.query(query, [id]);
+      return parseFloat(result.rows[0].balance) || 0;
+    } catch (error) {
+      logger.error('Error deriving ledger account balance:', error);
+      throw error;
+    }
+  }
+}
+
+// Journal Entry model (append-only; the database rejects UPDATE and DELETE)
+class JournalEntry {
+  static async create(db, entryData) {
+    const {
+      entryType,
+      description = null,
+      transactionId = null,
+      reversesEntryId = null,
+      metadata = {}
+    } = entryData;
+
+    const query = `
+      INSERT INTO journal_entries (entry_type, description, transaction_id, reverses_entry_id, metadata, created_at)
+      VALUES ($1, $2, $3, $4, $5, NOW())
+      RETURNING *
+    `;
+    const values = [entryType, description, transactionId, reversesEntryId, JSON.stringify(metadata)];
+
+    try {
+      const result = await db.query(query, values);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating journal entry:', error);
+      throw error;
+    }
+  }
+
+  static async addPosting(db, postingData) {
+    const { journalEntryId, accountId, direction, amount } = postingData;
+    const query = `
+      INSERT INTO ledger_postings (journal_entry_id, account_id, direction, amount, created_at)
+      VALUES ($1, $2, $3, $4, NOW())
+      RETURNING *
+    `;
+
+    try {
+      const result = await db.query(query, [journalEntryId, accountId, direction, amount]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating ledger posting:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    const query = 'SELECT * FROM journal_entries WHERE id = $1';
+
+    try {
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding journal entry by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findPostings(journalEntryId) {
+    const query = `
+      SELECT lp.*, la.code, la.account_type, la.normal_balance, la.phone_number
+      FROM ledger_postings lp
+      JOIN ledger_accounts la ON la.id = lp.account_id
+      WHERE lp.journal_entry_id = $1
+      ORDER BY lp.created_at
+    `;
+
+    try {
+      const result = await pool.query(query, [journalEntryId]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding ledger postings:', error);
+      throw error;
+    }
+  }
+
+  static async getTrialBalance() {
+    const query = `
+      SELECT
+        la.account_type,
+        COALESCE(SUM(CASE WHEN lp.direction = 'debit' THEN lp.amount ELSE 0 END), 0) AS debits,
+        COALESCE(SUM(CASE WHEN lp.direction = 'credit' THEN lp.amount ELSE 0 END), 0) AS credits
+      FROM ledger_accounts la
+      LEFT JOIN ledger_postings lp ON lp.account_id = la.id
+      GROUP BY la.account_type
+      ORDER BY la.account_type
+    `;
+
+    try {
+      const result = await pool.query(query);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting ledger trial balance:', error);
+      throw error;
+    }
+  }
+}
+
+// Idempotency Key model
+class IdempotencyKey {
+  // Returns the new in-progress record, or null if the key is already taken
+  static async acquire(scope, key, requestHash, ttlHours) {
+    const query = `
+      INSERT INTO idempotency_keys (scope, idempotency_key, request_hash, status, locked_at, expires_at, created_at, updated_at)
+      VALUES ($1, $2, $3, 'in_progress', NOW(), NOW() + make_interval(hours => $4), NOW(), NOW())
+      ON CONFLICT (scope, idempotency_key) DO NOTHING
+      RETURNING *
+    `;
+
+    try {
+      // Expired keys can be reused
+      await pool.query(
+        'DELETE FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2 AND expires_at < NOW()',
+        [scope, key]
+      );
+
+      const result = await pool.query(query, [scope, key, requestHash, ttlHours]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error acquiring idempotency key:', error);
+      throw error;
+    }
+  }
+
+  static async find(scope, key) {
+    const query = 'SELECT * FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2';
+
+    try {
+      const result = await pool.query(query, [scope, key]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding idempotency key:', error);
+      throw error;
+    }
+  }
+
+  // Take over an in-progress key whose holder stopped responding (e.g. the process crashed)
+  static async takeOverStale(id, staleSeconds) {
+    const query = `
+      UPDATE idempotency_keys
+      SET locked_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND status = 'in_progress' AND locked_at < NOW() - make_interval(secs => $2)
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [id, staleSeconds]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error taking over idempotency key:', error);
+      throw error;
+    }
+  }
+
+  static async complete(id, responseStatus, responseBody) {
+    const query = `
+      UPDATE idempotency_keys
+      SET status = 'completed', response_status = $1, response_body = $2, updated_at = NOW()
+      WHERE id = $3
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [responseStatus, JSON.stringify(responseBody), id]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error completing idempotency key:', error);
+      throw error;
+    }
+  }
+
+  static async release(id) {
+    const query = "DELETE FROM idempotency_keys WHERE id = $1 AND status = 'in_progress'";
+
+    try {
+      await pool.query(query, [id]);
+      return true;
+    } catch (error) {
+      logger.error('Error releasing idempotency key:', error);
+      throw error;
+    }
+  }
+}
+
+class SMSLog {
+  static async enqueue({ phoneNumber, messageType, content, priority, senderId = null, maxAttempts, expiresAt = null, encoding = null, segments = null, estimatedCost = null }) {
+    const query = `
+      INSERT INTO sms_logs (phone_number, message_type, message_content, status, priority, sender_id, max_attempts, expires_at,
+                            encoding, segments, estimated_cost, next_attempt_at, created_at, updated_at)
+      VALUES ($1, $2, $3, 'queued', $4, $5, $6, $7, $8, $9, $10, NOW(), NOW(), NOW())
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [phoneNumber, messageType, content, priority, senderId, maxAttempts, expiresAt, encoding, segments, estimatedCost]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error queueing SMS:', error);
+      throw error;
+    }
+  }
+
+  // Claim due messages, highest priority first; SKIP LOCKED lets several workers share the queue
+  static async claimBatch(limit) {
+    const query = `
+      UPDATE sms_logs
+      SET status = 'sending', attempts = attempts + 1, updated_at = NOW()
+      WHERE id IN (
+        SELECT id FROM sms_logs
+        WHERE status = 'queued' AND next_attempt_at <= NOW()
+        ORDER BY priority, next_attempt_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [limit]);
+      return result.rows.sort((a, b) => a.priority - b.priority);
+    } catch (error) {
+      logger.error('Error claiming SMS batch:', error);
+      throw error;
+    }
+  }
+
+  // Put back messages left in 'sending' by a worker that stopped mid-batch
+  static async requeueStale(staleSeconds) {
+    const query = `
+      UPDATE sms_logs
+      SET status = 'queued', updated_at = NOW()
+      WHERE status = 'sending' AND updated_at < NOW() - make_interval(secs => $1)
+    `;
+
+    try {
+      const result = await pool.query(query, [staleSeconds]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error requeueing stale SMS:', error);
+      throw error;
+    }
+  }
+
+  // Redacted messages (OTPs) have their content cleared once it is no longer needed
+  static async markSent(id, provider, providerMessageId, redact = false) {
+    const query = `
+      UPDATE sms_logs
+      SET status = 'sent', provider = $2, provider_message_id = $3, failure_reason = NULL, sent_at = NOW(),
+          message_content = CASE WHEN $4 THEN NULL ELSE message_content END, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [id, provider, providerMessageId, redact]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error marking SMS sent:', error);
+      throw error;
+    }
+  }
+
+  static async scheduleRetry(id, reason, delaySeconds) {
+    const query = `
+      UPDATE sms_logs
+      SET status = 'queued', failure_reason = $2, next_attempt_at = NOW() + make_interval(secs => $3), updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [id, reason, delaySeconds]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error scheduling SMS retry:', error);
+      throw error;
+    }
+  }
+
+  // Put a claimed message back without counting the attempt (e.g. every provider was throttled)
+  static async defer(id, delaySeconds) {
+    const query = `
+      UPDATE sms_logs
+      SET status = 'queued', attempts = GREATEST(attempts - 1, 0),
+          next_attempt_at = NOW() + make_interval(secs => $2), updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [id, delaySeconds]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error deferring SMS:', error);
+      throw error;
+    }
+  }
+
+  // status is 'failed' or 'expired'
+  static async markFinal(id, status, reason, redact = false) {
+    const query = `
+      UPDATE sms_logs
+      SET status = $2, failure_reason = $3,
+          message_content = CASE WHEN $4 THEN NULL ELSE message_content END, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [id, status, reason, redact]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error marking SMS final status:', error);
+      throw error;
+    }
+  }
+
+  static async updateDeliveryStatus(providerMessageId, status, failureReason = null) {
+    const query = `
+      UPDATE sms_logs
+      SET status = $2, failure_reason = $3,
+          delivered_at = CASE WHEN $2 = 'delivered' THEN NOW() ELSE delivered_at END, updated_at = NOW()
+      WHERE provider_message_id = $1
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [providerMessageId, status, failureReason]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating SMS delivery status:', error);
+      throw error;
+    }
+  }
+}
+
+class NotificationPreference {
+  static async findByPhone(phoneNumber) {
+    const query = 'SELECT * FROM notification_preferences WHERE phone_number = $1';
+
+    try {
+      const result = await pool.query(query, [phoneNumber]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding notification preferences:', error);
+      throw error;
+    }
+  }
+
+  // Set some categories, creating the row (everything else on) if needed
+  static async upsert(phoneNumber, changes, optedOut = null) {
+    const columns = Object.keys(changes);
+    const values = columns.map(column => changes[column]);
+    const optedOutAt = optedOut === null ? null : (optedOut ? 'NOW()' : 'NULL');
+
+    const query = `
+      INSERT INTO notification_preferences (phone_number, ${columns.join(', ')}${optedOutAt ? ', opted_out_at' : ''}, created_at, updated_at)
+      VALUES ($1, ${columns.map((column, i) => `$${i + 2}`).join(', ')}${optedOutAt ? `, ${optedOutAt}` : ''}, NOW(), NOW())
+      ON CONFLICT (phone_number) DO UPDATE
+      SET ${columns.map(column => `${column} = EXCLUDED.${column}`).join(', ')}${optedOutAt ? `, opted_out_at = ${optedOutAt}` : ''}, updated_at = NOW()
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [phoneNumber, ...values]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error updating notification preferences:', error);
+      throw error;
+    }
+  }
+}
+
+// Chain indexer checkpoint (last block indexed, per indexer)
+class ChainCheckpoint {
+  static async get(indexer) {
+    const query = 'SELECT * FROM chain_checkpoints WHERE indexer = $1';
+
+    try {
+      const result = await pool.query(query, [indexer]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error getting chain checkpoint:', error);
+      throw error;
+    }
+  }
+
+  static async save(indexer, blockNumber, blockHash) {
+    const query = `
+      INSERT INTO chain_checkpoints (indexer, block_number, block_hash, updated_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (indexer) DO UPDATE
+      SET block_number = EXCLUDED.block_number, block_hash = EXCLUDED.block_hash, updated_at = NOW()
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [indexer, blockNumber, blockHash]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error saving chain checkpoint:', error);
+      throw error;
+    }
+  }
+
+  // Run callback holding a session advisory lock, so only one instance indexes at a time
+  static async withLock(indexer, callback) {
+    const client = await pool.connect();
+
+    try {
+      const { rows } = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [`chain_indexer:${indexer}`]);
+      if (!rows[0].locked) {
+        return null;
+      }
+
+      try {
+        return await callback();
+      } finally {
+        await client.query('SELECT pg_advisory_unlock(hashtext($1))', [`chain_indexer:${indexer}`]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// Hashes of recently indexed blocks, for reorg detection
+class ChainBlock {
+  static async save(blockNumber, blockHash) {
+    const query = `
+      INSERT INTO chain_blocks (block_number, block_hash, created_at)
+      VALUES ($1, $2, NOW())
+      ON CONFLICT (block_number) DO UPDATE SET block_hash = EXCLUDED.block_hash
+    `;
+
+    try {
+      await pool.query(query, [blockNumber, blockHash]);
+    } catch (error) {
+      logger.error('Error saving chain block:', error);
+      throw error;
+    }
+  }
+
+  // Newest first
+  static async findRecent(limit) {
+    const query = 'SELECT * FROM chain_blocks ORDER BY block_number DESC LIMIT $1';
+
+    try {
+      const result = await pool.query(query, [limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding chain blocks:', error);
+      throw error;
+    }
+  }
+
+  static async deleteAbove(blockNumber) {
+    const query = 'DELETE FROM chain_blocks WHERE block_number > $1';
+
+    try {
+      await pool.query(query, [blockNumber]);
+    } catch (error) {
+      logger.error('Error deleting chain blocks:', error);
+      throw error;
+    }
+  }
+
+  static async prune(belowBlock) {
+    const query = 'DELETE FROM chain_blocks WHERE block_number < $1';
+
+    try {
+      await pool.query(query, [belowBlock]);
+    } catch (error) {
+      logger.error('Error pruning chain blocks:', error);
+      throw error;
+    }
+  }
+}
+
+// Chain Event model
+class ChainEvent {
+  // Returns null if the event was already indexed
+  static async create(eventData) {
+    const {
+      blockNumber,
+      blockHash,
+      txHash,
+      logIndex,
+      contractAddress,
+      eventName,
+      fromAddress = null,
+      toAddress = null,
+      value,
+      amount,
+      phoneNumber = null
+    } = eventData;
+
+    const query = `
+      INSERT INTO chain_events (block_number, block_hash, tx_hash, log_index, contract_address, event_name,
+                                from_address, to_address, value, amount, phone_number, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
+      ON CONFLICT (block_hash, log_index) DO NOTHING
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [
+        blockNumber, blockHash, txHash, logIndex, contractAddress, eventName,
+        fromAddress, toAddress, value, amount, phoneNumber
+      ]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error creating chain event:', error);
+      throw error;
+    }
+  }
+
+  static async findPending() {
+    const query = "SELECT * FROM chain_events WHERE status = 'pending' ORDER BY block_number, log_index";
+
+    try {
+      const result = await pool.query(query);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding pending chain events:', error);
+      throw error;
+    }
+  }
+
+  static async markConfirmed(id, creditedTransactionId = null) {
+    const query = `
+      UPDATE chain_events
+      SET status = 'confirmed', credited_transaction_id = $2, confirmed_at = NOW()
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [id, creditedTransactionId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error confirming chain event:', error);
+      throw error;
+    }
+  }
+
+  // Reorged out: events in blocks after the common ancestor
+  static async removeAbove(blockNumber) {
+    const query = `
+      UPDATE chain_events
+      SET status = 'removed'
+      WHERE block_number > $1 AND status <> 'removed'
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [blockNumber]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error removing chain events:', error);
+      throw error;
+    }
+  }
+}
+
+// Reconciliation Run model
+class ReconciliationRun {
+  // Returns null if another run is still in progress
+  static async start(triggeredBy = 'schedule') {
+    const query = `
+      INSERT INTO reconciliation_runs (status, triggered_by, started_at)
+      VALUES ('running', $1, NOW())
+      ON CONFLICT ((status)) WHERE status = 'running' DO NOTHING
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [triggeredBy]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error starting reconciliation run:', error);
+      throw error;
+    }
+  }
+
+  // Fail runs whose worker died mid-run so they stop blocking new ones
+  static async failStale(staleSeconds) {
+    const query = `
+      UPDATE reconciliation_runs
+      SET status = 'failed', error = 'Worker stopped before the run finished', finished_at = NOW()
+      WHERE status = 'running' AND started_at < NOW() - make_interval(secs => $1)
+    `;
+
+    try {
+      const result = await pool.query(query, [staleSeconds]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error failing stale reconciliation runs:', error);
+      throw error;
+    }
+  }
+
+  static async finish(id, { status, usersChecked, usersSkipped, discrepancies, error = null }) {
+    const query = `
+      UPDATE reconciliation_runs
+      SET status = $2, users_checked = $3, users_skipped = $4, discrepancies = $5, error = $6, finished_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [id, status, usersChecked, usersSkipped, discrepancies, error]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error finishing reconciliation run:', error);
+      throw error;
+    }
+  }
+
+  static async findRecent(limit = 20) {
+    const query = 'SELECT * FROM reconciliation_runs ORDER BY started_at DESC LIMIT $1';
+
+    try {
+      const result = await pool.query(query, [limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding reconciliation runs:', error);
+      throw error;
+    }
+  }
+}
+
+// Reconciliation Item model
+class ReconciliationItem {
+  // Record a discrepancy; one already open for the same user, kind and asset is updated instead
+  static async record(runId, item) {
+    const { phoneNumber, walletAddress, kind, asset, expectedAmount, actualAmount, difference } = item;
+    const query = `
+      INSERT INTO reconciliation_items (first_run_id, last_run_id, phone_number, wallet_address, kind, asset,
+                                        expected_amount, actual_amount, difference, created_at, updated_at)
+      VALUES ($1, $1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+      ON CONFLICT (phone_number, kind, asset) WHERE status = 'open' DO UPDATE
+      SET last_run_id = EXCLUDED.last_run_id, wallet_address = EXCLUDED.wallet_address,
+          expected_amount = EXCLUDED.expected_amount, actual_amount = EXCLUDED.actual_amount,
+          difference = EXCLUDED.difference, updated_at = NOW()
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [runId, phoneNumber, walletAddress, kind, asset, expectedAmount, actualAmount, difference]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error recording reconciliation item:', error);
+      throw error;
+    }
+  }
+
+  // Close open items a completed run no longer found (skipping users it could not check)
+  static async clearUnseen(runId, skippedPhones = []) {
+    const query = `
+      UPDATE reconciliation_items
+      SET status = 'cleared', resolution = 'no_longer_detected', resolved_at = NOW(), updated_at = NOW()
+      WHERE status = 'open' AND last_run_id <> $1 AND NOT (phone_number = ANY($2::varchar[]))
+    `;
+
+    try {
+      const result = await pool.query(query, [runId, skippedPhones]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error clearing reconciliation items:', error);
+      throw error;
+    }
+  }
+
+  static async attachJournalEntry(id, journalEntryId) {
+    const query = 'UPDATE reconciliation_items SET journal_entry_id = $2, updated_at = NOW() WHERE id = $1';
+
+    try {
+      await pool.query(query, [id, journalEntryId]);
+    } catch (error) {
+      logger.error('Error attaching journal entry to reconciliation item:', error);
+      throw error;
+    }
+  }
+
+  // Undo a claim whose action failed
+  static async reopen(id) {
+    const query = `
+      UPDATE reconciliation_items
+      SET status = 'open', resolution = NULL, resolution_note = NULL, resolved_by = NULL, resolved_at = NULL, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error reopening reconciliation item:', error);
+      throw error;
+    }
+  }
+
+  static async markAlerted(ids) {
+    const query = 'UPDATE reconciliation_items SET alerted_at = NOW() WHERE id = ANY($1::uuid[])';
+
+    try {
+      await pool.query(query, [ids]);
+    } catch (error) {
+      logger.error('Error marking reconciliation items alerted:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    const query = 'SELECT * FROM reconciliation_items WHERE id = $1';
+
+    try {
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding reconciliation item:', error);
+      throw error;
+    }
+  }
+
+  static async findAll({ status = null, kind = null, phoneNumber = null, limit = 50, offset = 0 } = {}) {
+    const query = `
+      SELECT * FROM reconciliation_items
+      WHERE ($1::varchar IS NULL OR status = $1)
+        AND ($2::varchar IS NULL OR kind = $2)
+        AND ($3::varchar IS NULL OR phone_number = $3)
+      ORDER BY ABS(difference) DESC, created_at
+      LIMIT $4 OFFSET $5
+    `;
+
+    try {
+      const result = await pool.query(query, [status, kind, phoneNumber, limit, offset]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding reconciliation items:', error);
+      throw error;
+    }
+  }
+
+  // Only open items can be resolved; returns null if someone else got there first
+  static async resolve(id, { status, resolution, note = null, resolvedBy, journalEntryId = null }) {
+    const query = `
+      UPDATE reconciliation_items
+      SET status = $2, resolution = $3, resolution_note = $4, resolved_by = $5, journal_entry_id = $6,
+          resolved_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND status = 'open'
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [id, status, resolution, note, resolvedBy, journalEntryId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error resolving reconciliation item:', error);
+      throw error;
+    }
+  }
+}
+
+class WalletKey {
+  // Returns null if the phone number already has a key (a private key is never overwritten)
+  static async create(keyData) {
+    const {
+      phoneNumber,
+      walletAddress,
+      iv,
+      ciphertext,
+      authTag,
+      wrappedDataKey,
+      kmsProvider,
+      masterKeyId
+    } = keyData;
+
+    const query = `
+      INSERT INTO wallet_keys (phone_number, wallet_address, iv, ciphertext, auth_tag,
+                               wrapped_data_key, kms_provider, master_key_id, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+      ON CONFLICT (phone_number) DO NOTHING
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [
+        phoneNumber, walletAddress, iv, ciphertext, authTag, wrappedDataKey, kmsProvider, masterKeyId
+      ]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error creating wallet key:', error);
+      throw error;
+    }
+  }
+
+  static async findByPhone(phoneNumber) {
+    const query = 'SELECT * FROM wallet_keys WHERE phone_number = $1';
+
+    try {
+      const result = await pool.query(query, [phoneNumber]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding wallet key:', error);
+      throw error;
+    }
+  }
+
+  // Keyset-paged keys whose data key is wrapped by anything other than the given master key
+  static async findNotWrappedBy(kmsProvider, masterKeyId, afterPhone = '', limit = 100) {
+    const query = `
+      SELECT * FROM wallet_keys
+      WHERE (kms_provider <> $1 OR master_key_id <> $2) AND phone_number > $3
+      ORDER BY phone_number
+      LIMIT $4
+    `;
+
+    try {
+      const result = await pool.query(query, [kmsProvider, masterKeyId, afterPhone, limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding wallet keys to rewrap:', error);
+      throw error;
+    }
+  }
+
+  // Only applies if the row is still wrapped by the master key it was read with
+  static async rewrap(phoneNumber, previous, wrapped) {
+    const query = `
+      UPDATE wallet_keys
+      SET wrapped_data_key = $4, kms_provider = $5, master_key_id = $6, rewrapped_at = NOW()
+      WHERE phone_number = $1 AND kms_provider = $2 AND master_key_id = $3
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [
+        phoneNumber, previous.kmsProvider, previous.masterKeyId,
+        wrapped.wrappedDataKey, wrapped.kmsProvider, wrapped.masterKeyId
+      ]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error rewrapping wallet key:', error);
+      throw error;
+    }
+  }
+
+  static async countByMasterKey() {
+    const query = `
+      SELECT kms_provider, master_key_id, COUNT(*) AS count
+      FROM wallet_keys
+      GROUP BY kms_provider, master_key_id
+      ORDER BY kms_provider, master_key_id
+    `;
+
+    try {
+      const result = await pool.query(query);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error counting wallet keys:', error);
+      throw error;
+    }
+  }
+}
+
+// Gas paid from the gas tank for user wallets
+class GasSponsorship {
+  /**
+   * Reserve gas tank spending within the per-user and overall 24-hour budgets
+   * (serialized by an advisory lock, so concurrent reservations cannot overspend)
+   * @returns {Promise<Object>} - { sponsorship } or { exceeded: 'user' | 'daily', spentWei }
+   */
+  static async reserve({ phoneNumber, transactionId = null, purpose, method, tankSpendWei }, { userBudgetWei, dailyBudgetWei }) {
+    try {
+      return await withTransaction(async (client) => {
+        await client.query("SELECT pg_advisory_xact_lock(hashtext('gas_budget'))");
+
+        const spent = await client.query(`
+          SELECT COALESCE(SUM(tank_spend_wei), 0) AS total,
+                 COALESCE(SUM(tank_spend_wei) FILTER (WHERE phone_number = $1), 0) AS user_total
+          FROM gas_sponsorships
+          WHERE created_at > NOW() - INTERVAL '24 hours'
+        `, [phoneNumber]);
+        const { total, user_total: userTotal } = spent.rows[0];
+
+        if (BigInt(userTotal) + BigInt(tankSpendWei) > BigInt(userBudgetWei)) {
+          return { exceeded: 'user', spentWei: userTotal };
+        }
+        if (BigInt(total) + BigInt(tankSpendWei) > BigInt(dailyBudgetWei)) {
+          return { exceeded: 'daily', spentWei: total };
+        }
+
+        const result = await client.query(`
+          INSERT INTO gas_sponsorships (phone_number, transaction_id, purpose, method, tank_spend_wei, created_at)
+          VALUES ($1, $2, $3, $4, $5, NOW())
+          RETURNING *
+        `, [phoneNumber, transactionId, purpose, method, tankSpendWei.toString()]);
+        return { sponsorship: result.rows[0] };
+      });
+    } catch (error) {
+      logger.error('Error reserving gas sponsorship:', error);
+      throw error;
+    }
+  }
+
+  static async complete(id, { tankSpendWei, gasCostWei, txHashes }) {
+    const query = `
+      UPDATE gas_sponsorships
+      SET status = 'completed', tank_spend_wei = $2, gas_cost_wei = $3, tx_hashes = $4, completed_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [id, tankSpendWei.toString(), gasCostWei.toString(), JSON.stringify(txHashes)]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error completing gas sponsorship:', error);
+      throw error;
+    }
+  }
+
+  // ETH that did leave the tank before the failure still counts against budgets
+  static async fail(id, errorMessage, { tankSpendWei, gasCostWei = 0n, txHashes = [] }) {
+    const query = `
+      UPDATE gas_sponsorships
+      SET status = 'failed', error = $2, tank_spend_wei = $3, gas_cost_wei = $4, tx_hashes = $5, completed_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [id, errorMessage, tankSpendWei.toString(), gasCostWei.toString(), JSON.stringify(txHashes)]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error failing gas sponsorship:', error);
+      throw error;
+    }
+  }
+
+  static async recordFee(id, feeAmount, feeStatus) {
+    const query = 'UPDATE gas_sponsorships SET fee_amount = $2, fee_status = $3 WHERE id = $1 RETURNING *';
+
+    try {
+      const result = await pool.query(query, [id, feeAmount, feeStatus]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error recording gas fee:', error);
+      throw error;
+    }
+  }
+
+  static async getStats() {
+    const query = `
+      SELECT COUNT(*) AS sponsored,
+             COUNT(*) FILTER (WHERE status = 'failed') AS failed,
+             COALESCE(SUM(tank_spend_wei), 0) AS tank_spend_wei,
+             COALESCE(SUM(gas_cost_wei), 0) AS gas_cost_wei,
+             COALESCE(SUM(fee_amount) FILTER (WHERE fee_status = 'collected'), 0) AS fees_collected,
+             COUNT(*) FILTER (WHERE fee_status = 'uncollected') AS fees_uncollected
+      FROM gas_sponsorships
+      WHERE created_at > NOW() - INTERVAL '24 hours'
+    `;
+
+    try {
+      const result = await pool.query(query);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error getting gas sponsorship stats:', error);
+      throw error;
+    }
+  }
+}
+
+// Transactions sent by our own wallets (master wallet, gas tank) and the nonces they use
+class OutgoingTransaction {
+  /**
+   * Allocate the sender's next nonce and record the transaction under it, in one database
+   * transaction holding the sender's signer_nonces row lock
+   * @param {Object} tx - { fromAddress, transactionId, purpose, to, data, value, gasLimit, maxFeePerGas, maxPriorityFeePerGas }
+   * @param {bigint|number} chainNonce - Sender's pending transaction count on chain (nonces below it are used)
+   * @returns {Promise<Object>} - outgoing_transactions row
+   */
+  static async allocate(tx, chainNonce) {
+    const address = tx.fromAddress.toLowerCase();
+
+    try {
+      return await withTransaction(async (client) => {
+        await client.query(
+          'INSERT INTO signer_nonces (address, next_nonce) VALUES ($1, $2) ON CONFLICT (address) DO NOTHING',
+          [address, chainNonce.toString()]
+        );
+        const locked = await client.query('SELECT next_nonce FROM signer_nonces WHERE address = $1 FOR UPDATE', [address]);
+
+        // Transactions sent outside this service also move the chain count ahead
+        const stored = BigInt(locked.rows[0].next_nonce);
+        const nonce = stored > BigInt(chainNonce) ? stored : BigInt(chainNonce);
+
+        const result = await client.query(`
+          INSERT INTO outgoing_transactions (
+            from_address, nonce, transaction_id, purpose, to_address, data, value,
+            gas_limit, max_fee_per_gas, max_priority_fee_per_gas, created_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+          RETURNING *
+        `, [
+          address, nonce.toString(), tx.transactionId || null, tx.purpose, tx.to.toLowerCase(), tx.data || '0x',
+          (tx.value || 0n).toString(), tx.gasLimit.toString(), tx.maxFeePerGas.toString(),
+          tx.maxPriorityFeePerGas === null || tx.maxPriorityFeePerGas === undefined ? null : tx.maxPriorityFeePerGas.toString()
+        ]);
+
+        await client.query(
+          'UPDATE signer_nonces SET next_nonce = $2, updated_at = NOW() WHERE address = $1',
+          [address, (nonce + 1n).toString()]
+        );
+        return result.rows[0];
+      });
+    } catch (error) {
+      logger.error('Error allocating nonce:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Give back the nonce of a transaction that was never broadcast. Only possible while no later
+   * nonce has been handed out; otherwise the gap must be filled on chain.
+   * @param {string} id - Outgoing transaction ID
+   * @param {string} errorMessage - Why it was not sent
+   * @returns {Promise<boolean>} - True if the nonce was given back
+   */
+  static async release(id, errorMessage) {
+    try {
+      return await withTransaction(async (client) => {
+        const { rows: [row] } = await client.query('SELECT * FROM outgoing_transactions WHERE id = $1', [id]);
+        const locked = await client.query('SELECT next_nonce FROM signer_nonces WHERE address = $1 FOR UPDATE', [row.from_address]);
+
+        if (BigInt(locked.rows[0].next_nonce) !== BigInt(row.nonce) + 1n) {
+          return false;
+        }
+
+        await client.query('UPDATE signer_nonces SET next_nonce = $2, updated_at = NOW() WHERE address = $1', [row.from_address, row.nonce]);
+        await client.query(
+          "UPDATE outgoing_transactions SET status = 'released', error = $2, finalized_at = NOW() WHERE id = $1",
+          [id, errorMessage]
+        );
+        return true;
+      });
+    } catch (error) {
+      logger.error('Error releasing nonce:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim the next broadcast attempt (guards against two workers replacing the same transaction)
+   * @param {string} id - Outgoing transaction ID
+   * @param {number} attempts - Attempts the caller saw
+   * @returns {Promise<Object|null>} - Row, or null if another worker claimed it or it is final
+   */
+  static async claimAttempt(id, attempts) {
+    const query = `
+      UPDATE outgoing_transactions
+      SET attempts = attempts + 1, submitted_at = NOW()
+      WHERE id = $1 AND attempts = $2 AND status IN ('pending', 'cancelling')
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [id, attempts]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error claiming transaction attempt:', error);
+      throw error;
+    }
+  }
+
+  // A cancellation is a zero-value send to ourselves at the same nonce
+  static async recordBroadcast(id, { txHash, maxFeePerGas, maxPriorityFeePerGas, cancel = false }) {
+    const query = `
+      UPDATE outgoing_transactions
+      SET tx_hash = $2,
+          tx_hashes = tx_hashes || to_jsonb($2::text),
+          max_fee_per_gas = $3,
+          max_priority_fee_per_gas = $4,
+          cancel_tx_hash = CASE WHEN $5 THEN $2 ELSE cancel_tx_hash END,
+          status = CASE WHEN $5 THEN 'cancelling' ELSE status END
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [
+        id, txHash, maxFeePerGas.toString(),
+        maxPriorityFeePerGas === null || maxPriorityFeePerGas === undefined ? null : maxPriorityFeePerGas.toString(),
+        cancel
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error recording transaction broadcast:', error);
+      throw error;
+    }
+  }
+
+  // Once set, only cancellations are broadcast at this nonce
+  static async markCancelling(id, errorMessage) {
+    const query = `
+      UPDATE outgoing_transactions
+      SET status = 'cancelling', error = $2
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [id, errorMessage]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error cancelling outgoing transaction:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move an open transaction to its final status
+   * @param {string} id - Outgoing transaction ID
+   * @param {string} status - mined, reverted, cancelled or dropped
+   * @param {Object} details - { txHash, blockNumber, gasUsed, error }
+   * @returns {Promise<Object|null>} - Row, or null if it was already final
+   */
+  static async finalize(id, status, { txHash = null, blockNumber = null, gasUsed = null, error: errorMessage = null } = {}) {
+    const query = `
+      UPDATE outgoing_transactions
+      SET status = $2, tx_hash = COALESCE($3, tx_hash), block_number = $4, gas_used = $5, error = $6, finalized_at = NOW()
+      WHERE id = $1 AND status IN ('pending', 'cancelling')
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [id, status, txHash, blockNumber, gasUsed === null ? null : gasUsed.toString(), errorMessage]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finalizing outgoing transaction:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    const query = 'SELECT * FROM outgoing_transactions WHERE id = $1';
+
+    try {
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding outgoing transaction:', error);
+      throw error;
+    }
+  }
+
+  // Oldest first, so a stuck low nonce is handled before the ones queued behind it
+  static async findOpen(fromAddress, limit = 100) {
+    const query = `
+      SELECT * FROM outgoing_transactions
+      WHERE from_address = $1 AND status IN ('pending', 'cancelling')
+      ORDER BY nonce ASC
+      LIMIT $2
+    `;
+
+    try {
+      const result = await pool.query(query, [fromAddress.toLowerCase(), limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding open outgoing transactions:', error);
+      throw error;
+    }
+  }
+
+  static async findByTransaction(transactionId) {
+    const query = 'SELECT * FROM outgoing_transactions WHERE transaction_id = $1 ORDER BY created_at ASC';
+
+    try {
+      const result = await pool.query(query, [transactionId]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding outgoing transactions by transaction:', error);
+      throw error;
+    }
+  }
+}
+
+// API keys for admin, support, finance and partner access
+class ApiKey {
+  static async create({ name, role, scopes, keyPrefix, keyHash, rotatedFrom = null, createdBy = null }) {
+    const query = `
+      INSERT INTO api_keys (name, role, scopes, key_prefix, key_hash, rotated_from, created_by, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [name, role, JSON.stringify(scopes), keyPrefix, keyHash, rotatedFrom, createdBy]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating API key:', error);
+      throw error;
+    }
+  }
+
+  static async findByPrefix(keyPrefix) {
+    const query = 'SELECT * FROM api_keys WHERE key_prefix = $1';
+
+    try {
+      const result = await pool.query(query, [keyPrefix]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding API key:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    const query = 'SELECT * FROM api_keys WHERE id = $1';
+
+    try {
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding API key by ID:', error);
+      throw error;
+    }
+  }
+
+  // Never returns the hash
+  static async findAll({ status = null, role = null } = {}) {
+    const query = `
+      SELECT id, name, role, scopes, key_prefix, status, expires_at, rotated_from, created_by, last_used_at, created_at, revoked_at
+      FROM api_keys
+      WHERE ($1::varchar IS NULL OR status = $1) AND ($2::varchar IS NULL OR role = $2)
+      ORDER BY created_at DESC
+    `;
+
+    try {
+      const result = await pool.query(query, [status, role]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error listing API keys:', error);
+      throw error;
+    }
+  }
+
+  // At most one write a minute per key
+  static async markUsed(id) {
+    const query = `
+      UPDATE api_keys SET last_used_at = NOW()
+      WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')
+    `;
+
+    try {
+      await pool.query(query, [id]);
+    } catch (error) {
+      logger.error('Error marking API key used:', error);
+      throw error;
+    }
+  }
+
+  // Only shortens: a key already expiring sooner keeps its earlier expiry
+  static async expire(id, expiresAt) {
+    const query = `
+      UPDATE api_keys SET expires_at = LEAST(COALESCE(expires_at, $2), $2)
+      WHERE id = $1 AND status = 'active'
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [id, expiresAt]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error expiring API key:', error);
+      throw error;
+    }
+  }
+
+  static async revoke(id) {
+    const query = `
+      UPDATE api_keys SET status = 'revoked', revoked_at = NOW()
+      WHERE id = $1 AND status = 'active'
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error revoking API key:', error);
+      throw error;
+    }
+  }
+}
+
+// Admin actions taken with API keys
+class AuditLog {
+  static async create({ apiKeyId = null, actor, role = null, action, method, path, statusCode = null, ip = null, details = {} }) {
+    const query = `
+      INSERT INTO audit_logs (api_key_id, actor, role, action, method, path, status_code, ip, details, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [apiKeyId, actor, role, action, method, path, statusCode, ip, JSON.stringify(details)]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error writing audit log:', error);
+      throw error;
+    }
+  }
+
+  static async findAll({ apiKeyId = null, action = null, since = null, limit = 50, offset = 0 } = {}) {
+    const query = `
+      SELECT * FROM audit_logs
+      WHERE ($1::uuid IS NULL OR api_key_id = $1)
+        AND ($2::varchar IS NULL OR action = $2)
+        AND ($3::timestamptz IS NULL OR created_at >= $3)
+      ORDER BY created_at DESC
+      LIMIT $4 OFFSET $5
+    `;
+
+    try {
+      const result = await pool.query(query, [apiKeyId, action, since, limit, offset]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error listing audit logs:', error);
+      throw error;
+    }
+  }
+}
+
+// Transfer claim model (transfers held for unregistered numbers)
+class TransferClaim {
+  static async create({ senderPhone, recipientPhone, amount, fee = 0, transactionId, expiresAt }) {
+    const query = `
+      INSERT INTO transfer_claims (sender_phone, recipient_phone, amount, fee, transaction_id, expires_at, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW())
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [senderPhone, recipientPhone, amount, fee, transactionId, expiresAt]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating transfer claim:', error);
+      throw error;
+    }
+  }
+
+  static async findPendingByRecipient(recipientPhone) {
+    const query = `
+      SELECT * FROM transfer_claims
+      WHERE recipient_phone = $1 AND status = 'pending' AND expires_at > NOW()
+      ORDER BY created_at
+    `;
+
+    try {
+      const result = await pool.query(query, [recipientPhone]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding pending transfer claims:', error);
+      throw error;
+    }
+  }
+
+  // Pending claims whose recipient has registered (e.g. a payout that failed at registration)
+  static async findClaimable(limit = 100) {
+    const query = `
+      SELECT tc.* FROM transfer_claims tc
+      JOIN users u ON u.phone_number = tc.recipient_phone
+      WHERE tc.status = 'pending' AND tc.expires_at > NOW()
+      ORDER BY tc.created_at
+      LIMIT $1
+    `;
+
+    try {
+      const result = await pool.query(query, [limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding claimable transfer claims:', error);
+      throw error;
+    }
+  }
+
+  static async findExpired(limit = 100) {
+    const query = `
+      SELECT * FROM transfer_claims
+      WHERE status = 'pending' AND expires_at <= NOW()
+      ORDER BY expires_at
+      LIMIT $1
+    `;
+
+    try {
+      const result = await pool.query(query, [limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding expired transfer claims:', error);
+      throw error;
+    }
+  }
+
+  // Take a pending claim for payout; null if another request already took it or it expired
+  static async startClaim(id) {
+    const query = `
+      UPDATE transfer_claims
+      SET status = 'claiming'
+      WHERE id = $1 AND status = 'pending' AND expires_at > NOW()
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error starting transfer claim:', error);
+      throw error;
+    }
+  }
+
+  static async markClaimed(id, claimTransactionId) {
+    const query = `
+      UPDATE transfer_claims
+      SET status = 'claimed', claim_transaction_id = $2, error = NULL, claimed_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [id, claimTransactionId]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error marking transfer claim claimed:', error);
+      throw error;
+    }
+  }
+
+  // Take an expired claim for refund; null if another worker already took it
+  static async startRefund(id) {
+    const query = `
+      UPDATE transfer_claims
+      SET status = 'refunding'
+      WHERE id = $1 AND status = 'pending' AND expires_at <= NOW()
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error starting transfer claim refund:', error);
+      throw error;
+    }
+  }
+
+  static async markRefunded(id, refundTransactionId) {
+    const query = `
+      UPDATE transfer_claims
+      SET status = 'refunded', refund_transaction_id = $2, error = NULL, refunded_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [id, refundTransactionId]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error marking transfer claim refunded:', error);
+      throw error;
+    }
+  }
+
+  // A failed payout or refund leaves the claim pending, to be tried again
+  static async release(id, errorMessage) {
+    const query = `
+      UPDATE transfer_claims
+      SET status = 'pending', error = $2
+      WHERE id = $1 AND status IN ('claiming', 'refunding')
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [id, errorMessage]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error releasing transfer claim:', error);
+      throw error;
+    }
+  }
+}
+
 module.exports = {
   pool,
+  withTransaction,
   User,
   Transaction,
-  USSDSession,
+  USSDSessionEvent,
+  USSDTransition,
   MorphoInvestment,
-  YellowCardTransaction
+  YellowCardTransaction,
+  LedgerAccount,
+  JournalEntry,
+  IdempotencyKey,
+  SMSLog,
+  NotificationPreference,
+  ChainCheckpoint,
+  ChainBlock,
+  ChainEvent,
+  ReconciliationRun,
+  ReconciliationItem,
+  WalletKey,
+  GasSponsorship,
+  OutgoingTransaction,
+  ApiKey,
+  AuditLog,
+  TransferClaim
 };
@@ -1,30 +1,37 @@
 const redis = require('redis');
 const logger = require('../utils/logger');
 
-// Create Redis client
+// Create Redis client (node-redis v4: connected lazily on first use, see connect())
 const client = redis.createClient({
-  host: process.env.REDIS_HOST || 'localhost',
-  port: process.env.REDIS_PORT || 6379,
-  password: process.env.REDIS_PASSWORD || undefined,
-  db: process.env.REDIS_DB || 0,
-  retry_strategy: (options) => {
-    if (options.error && options.error.code === 'ECONNREFUSED') {
-      logger.error('Redis server connection refused');
-      return new Error('Redis server connection refused');
-    }
-    if (options.total_retry_time > 1000 * 60 * 60) {
-      logger.error('Redis retry time exhausted');
-      return new Error('Retry time exhausted');
-    }
-    if (options.attempt > 10) {
-      logger.error('Redis connection attempts exceeded');
-      return undefined;
+  socket: {
+    host: process.env.REDIS_HOST || 'localhost',
+    port: parseInt(process.env.REDIS_PORT) || 6379,
+    reconnectStrategy: (retries) => {
+      if (retries > 10) {
+        logger.error('Redis connection attempts exceeded');
+        return new Error('Redis connection attempts exceeded');
+      }
+      // Reconnect after
+      return Math.min(retries * 100, 3000);
     }
-    // Reconnect after
-    return Math.min(options.attempt * 100, 3000);
-  }
+  },
+  password: process.env.REDIS_PASSWORD || undefined,
+  database: parseInt(process.env.REDIS_DB) || 0
 });
 
+let connecting = null;
+
+// Open the connection once; commands issued while it opens are queued
+const connect = () => {
+  if (!connecting) {
+    connecting = client.connect().catch((error) => {
+      connecting = null;
+      throw error;
+    });
+  }
+  return connecting;
+};
+
 // Redis event handlers
 client.on('connect', () => {
   logger.info('Connected to Redis server');
@@ -47,7 +54,8 @@ const redisHelpers = {
   // Set with expiration
   async setex(key, seconds, value) {
     try {
-      return await client.setex(key, seconds, JSON.stringify(value));
+      await connect();
+      return await client.setEx(key, seconds, JSON.stringify(value));
     } catch (error) {
       logger.error('Redis setex error:', error);
       throw error;
@@ -57,6 +65,7 @@ const redisHelpers = {
   // Get and parse JSON
   async get(key) {
     try {
+      await connect();
       const value = await client.get(key);
       return value ? JSON.parse(value) : null;
     } catch (error) {
@@ -68,6 +77,7 @@ const redisHelpers = {
   // Set without expiration
   async set(key, value) {
     try {
+      await connect();
       return await client.set(key, JSON.stringify(value));
     } catch (error) {
       logger.error('Redis set error:', error);
@@ -75,9 +85,22 @@ const redisHelpers = {
     }
   },
 
+  // Get, parse and delete atomically (single-use values)
+  async getDel(key) {
+    try {
+      await connect();
+      const value = await client.getDel(key);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      logger.error('Redis getDel error:', error);
+      throw error;
+    }
+  },
+
   // Delete key
   async del(key) {
     try {
+      await connect();
       return await client.del(key);
     } catch (error) {
       logger.error('Redis del error:', error);
@@ -88,6 +111,7 @@ const redisHelpers = {
   // Check if key exists
   async exists(key) {
     try {
+      await connect();
       return await client.exists(key);
     } catch (error) {
       logger.error('Redis exists error:', error);
@@ -98,6 +122,7 @@ const redisHelpers = {
   // Increment counter
   async incr(key) {
     try {
+      await connect();
       return await client.incr(key);
     } catch (error) {
       logger.error('Redis incr error:', error);
@@ -108,6 +133,7 @@ const redisHelpers = {
   // Set expiration
   async expire(key, seconds) {
     try {
+      await connect();
       return await client.expire(key, seconds);
     } catch (error) {
       logger.error('Redis expire error:', error);
@@ -118,7 +144,8 @@ const redisHelpers = {
   // Get multiple keys
   async mget(keys) {
     try {
-      const values = await client.mget(keys);
+      await connect();
+      const values = await client.mGet(keys);
       return values.map(value => value ? JSON.parse(value) : null);
     } catch (error) {
       logger.error('Redis mget error:', error);
@@ -129,7 +156,8 @@ const redisHelpers = {
   // Hash operations
   async hset(key, field, value) {
     try {
-      return await client.hset(key, field, JSON.stringify(value));
+      await connect();
+      return await client.hSet(key, field, JSON.stringify(value));
     } catch (error) {
       logger.error('Redis hset error:', error);
       throw error;
@@ -138,7 +166,8 @@ const redisHelpers = {
 
   async hget(key, field) {
     try {
-      const value = await client.hget(key, field);
+      await connect();
+      const value = await client.hGet(key, field);
       return value ? JSON.parse(value) : null;
     } catch (error) {
       logger.error('Redis hget error:', error);
@@ -148,7 +177,8 @@ const redisHelpers = {
 
   async hgetall(key) {
     try {
-      const hash = await client.hgetall(key);
+      await connect();
+      const hash = await client.hGetAll(key);
       const result = {};
       for (const [field, value] of Object.entries(hash)) {
         result[field] = JSON.parse(value);
@@ -162,11 +192,13 @@ const redisHelpers = {
 
   // Multi/transaction support
   multi() {
+    connect().catch(error => logger.error('Redis connect error:', error));
     return client.multi();
   }
 };
 
 module.exports = {
   client,
+  connect,
   ...redisHelpers
 };
@@ -1,21 +1,28 @@
 -- Zybra SMS/USSD Database Schema
 -- PostgreSQL Database Schema for Zybra SMS/USSD Transaction System
 
--- Create database (run this separately)
--- CREATE DATABASE zybra_sms;
-
--- Connect to the database
--- \c zybra_sms;
+-- Reference: the schema after every migration in migrations/. Databases are built and
+-- upgraded with npm run db:migrate; change the schema with a new migration and mirror it here.
 
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- HD wallet address indexes
+CREATE SEQUENCE IF NOT EXISTS user_wallet_index_seq MINVALUE 0 START 0;
+
 -- Users table
 CREATE TABLE IF NOT EXISTS users (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     phone_number VARCHAR(20) UNIQUE NOT NULL,
     wallet_address VARCHAR(42) UNIQUE NOT NULL,
+    -- BIP-44 address index under the master seed; NULL for random wallets (key in wallet_keys)
+    wallet_index INTEGER UNIQUE CHECK (wallet_index >= 0),
     balance DECIMAL(18, 8) DEFAULT 0,
+    preferred_locale VARCHAR(5) CHECK (preferred_locale IN ('en', 'sw', 'ny', 'ha', 'fr')),
+    pin_hash VARCHAR(255),
+    pin_updated_at TIMESTAMP WITH TIME ZONE,
+    -- Shown to people sending the user money; NULL until set from the USSD menu
+    display_name VARCHAR(30),
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
@@ -34,6 +41,8 @@ CREATE TABLE IF NOT EXISTS transactions (
     currency VARCHAR(10) NOT NULL DEFAULT 'ZrUSD',
     status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed', 'cancelled')),
     tx_hash VARCHAR(66),
+    block_number BIGINT,
+    confirmations INTEGER NOT NULL DEFAULT 0,
     metadata JSONB DEFAULT '{}',
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
@@ -46,31 +55,75 @@ CREATE INDEX IF NOT EXISTS idx_transactions_type ON transactions(type);
 CREATE INDEX IF NOT EXISTS idx_transactions_created_at ON transactions(created_at);
 CREATE INDEX IF NOT EXISTS idx_transactions_tx_hash ON transactions(tx_hash);
 
--- USSD Sessions table
-CREATE TABLE IF NOT EXISTS ussd_sessions (
-    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    session_id VARCHAR(100) UNIQUE NOT NULL,
+-- USSD Session Events (live sessions are in Redis; this is the append-only stream for analytics)
+CREATE TABLE IF NOT EXISTS ussd_session_events (
+    id BIGSERIAL PRIMARY KEY,
+    session_id VARCHAR(100) NOT NULL,
     phone_number VARCHAR(20) NOT NULL,
-    current_menu VARCHAR(50) NOT NULL DEFAULT 'main',
-    session_data JSONB DEFAULT '{}',
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('started', 'step', 'ended')),
+    -- Menu state the session is in after the event
+    menu VARCHAR(50),
+    -- Requests handled in the session so far
+    step INTEGER NOT NULL DEFAULT 0,
+    -- Why an ended session ended: completed, timeout or operator
+    reason VARCHAR(30),
+    -- Time since the session started
+    duration_ms INTEGER,
+    -- When it happened; rows are written in batches shortly after
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
 );
 
--- Create indexes for USSD sessions
-CREATE INDEX IF NOT EXISTS idx_ussd_sessions_session_id ON ussd_sessions(session_id);
-CREATE INDEX IF NOT EXISTS idx_ussd_sessions_phone_number ON ussd_sessions(phone_number);
-CREATE INDEX IF NOT EXISTS idx_ussd_sessions_updated_at ON ussd_sessions(updated_at);
+CREATE INDEX IF NOT EXISTS idx_ussd_session_events_created_at ON ussd_session_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_ussd_session_events_session_id ON ussd_session_events(session_id);
+CREATE INDEX IF NOT EXISTS idx_ussd_session_events_phone_number ON ussd_session_events(phone_number);
+
+-- USSD Transitions (every menu transition, for funnel and drop-off analytics)
+CREATE TABLE IF NOT EXISTS ussd_transitions (
+    id BIGSERIAL PRIMARY KEY,
+    session_id VARCHAR(100) NOT NULL,
+    phone_number VARCHAR(20) NOT NULL,
+    -- ISO country of the phone number
+    country CHAR(2),
+    -- State the request answered; NULL for the first request of a session
+    from_state VARCHAR(50),
+    -- State whose screen was shown (for an END screen, the state that ended the session)
+    to_state VARCHAR(50) NOT NULL,
+    -- Kind of input, never the input itself (it may be a PIN or OTP)
+    input_class VARCHAR(10) NOT NULL CHECK (input_class IN ('none', 'page', 'option', 'text')),
+    outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('ok', 'invalid', 'success', 'failed', 'cancelled', 'completed')),
+    -- Time taken to answer the request
+    latency_ms INTEGER NOT NULL,
+    -- Time the user spent on the from_state screen
+    dwell_ms INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ussd_transitions_created_at ON ussd_transitions(created_at);
+CREATE INDEX IF NOT EXISTS idx_ussd_transitions_country_created_at ON ussd_transitions(country, created_at);
+CREATE INDEX IF NOT EXISTS idx_ussd_transitions_session_id ON ussd_transitions(session_id);
 
 -- SMS Logs table (for tracking SMS delivery and analytics)
+-- Doubles as the durable outbound queue: the worker claims 'queued' rows by priority
 CREATE TABLE IF NOT EXISTS sms_logs (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     phone_number VARCHAR(20) NOT NULL,
     message_type VARCHAR(50) NOT NULL,
     message_content TEXT,
-    status VARCHAR(20) NOT NULL DEFAULT 'sent' CHECK (status IN ('sent', 'delivered', 'failed')),
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sending', 'sent', 'delivered', 'failed', 'expired')),
+    priority SMALLINT NOT NULL DEFAULT 2,
+    sender_id VARCHAR(20),
+    provider VARCHAR(30),
     provider_message_id VARCHAR(100),
     failure_reason TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    encoding VARCHAR(10),
+    segments SMALLINT,
+    estimated_cost NUMERIC(10, 4),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -80,6 +133,7 @@ CREATE INDEX IF NOT EXISTS idx_sms_logs_phone_number ON sms_logs(phone_number);
 CREATE INDEX IF NOT EXISTS idx_sms_logs_status ON sms_logs(status);
 CREATE INDEX IF NOT EXISTS idx_sms_logs_created_at ON sms_logs(created_at);
 CREATE INDEX IF NOT EXISTS idx_sms_logs_provider_message_id ON sms_logs(provider_message_id);
+CREATE INDEX IF NOT EXISTS idx_sms_logs_queue ON sms_logs(priority, next_attempt_at) WHERE status = 'queued';
 
 -- OTP Verifications table
 CREATE TABLE IF NOT EXISTS otp_verifications (
@@ -96,17 +150,26 @@ CREATE TABLE IF NOT EXISTS otp_verifications (
 CREATE INDEX IF NOT EXISTS idx_otp_verifications_phone_number ON otp_verifications(phone_number);
 CREATE INDEX IF NOT EXISTS idx_otp_verifications_expires_at ON otp_verifications(expires_at);
 
--- Wallet Keys table (for storing encrypted private keys)
+-- Wallet Keys table (private keys under envelope encryption)
 CREATE TABLE IF NOT EXISTS wallet_keys (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     phone_number VARCHAR(20) UNIQUE NOT NULL,
-    encrypted_private_key TEXT NOT NULL,
-    key_derivation_salt VARCHAR(64) NOT NULL,
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    wallet_address VARCHAR(42) NOT NULL,
+    -- Private key: base64 IV, ciphertext and GCM tag (the phone number is the additional authenticated data)
+    iv VARCHAR(32) NOT NULL,
+    ciphertext TEXT NOT NULL,
+    auth_tag VARCHAR(32) NOT NULL,
+    -- Data key wrapped by the master key; rotation rewraps it without touching the ciphertext
+    wrapped_data_key TEXT NOT NULL,
+    kms_provider VARCHAR(30) NOT NULL,
+    master_key_id VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    rewrapped_at TIMESTAMP WITH TIME ZONE
 );
 
--- Create index for wallet keys
+-- Create indexes for wallet keys
 CREATE INDEX IF NOT EXISTS idx_wallet_keys_phone_number ON wallet_keys(phone_number);
+CREATE INDEX IF NOT EXISTS idx_wallet_keys_master_key ON wallet_keys(kms_provider, master_key_id);
 
 -- Morpho Investments table
 CREATE TABLE IF NOT EXISTS morpho_investments (
@@ -180,6 +243,299 @@ CREATE TABLE IF NOT EXISTS user_portfolios (
 CREATE INDEX IF NOT EXISTS idx_user_portfolios_phone_number ON user_portfolios(phone_number);
 CREATE INDEX IF NOT EXISTS idx_user_portfolios_last_calculated ON user_portfolios(last_calculated);
 
+-- Ledger accounts (balance is a cache of the account's postings, kept in its normal direction)
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(100) UNIQUE NOT NULL,
+    account_type VARCHAR(30) NOT NULL CHECK (account_type IN ('user_wallet', 'fee_income', 'vault_custody', 'provider_float', 'mint_burn_suspense', 'reconciliation', 'chain_clearing', 'claim_custody')),
+    normal_balance VARCHAR(6) NOT NULL CHECK (normal_balance IN ('debit', 'credit')),
+    phone_number VARCHAR(20) REFERENCES users(phone_number),
+    currency VARCHAR(10) NOT NULL DEFAULT 'ZrUSD',
+    balance DECIMAL(18, 8) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (account_type <> 'user_wallet' OR balance >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_accounts_phone_number ON ledger_accounts(phone_number);
+CREATE INDEX IF NOT EXISTS idx_ledger_accounts_account_type ON ledger_accounts(account_type);
+
+-- Journal entries (append-only; corrections are posted as reversals)
+CREATE TABLE IF NOT EXISTS journal_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entry_type VARCHAR(30) NOT NULL,
+    description TEXT,
+    transaction_id UUID REFERENCES transactions(id),
+    reverses_entry_id UUID REFERENCES journal_entries(id),
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_entries_transaction_id ON journal_entries(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_journal_entries_entry_type ON journal_entries(entry_type);
+CREATE INDEX IF NOT EXISTS idx_journal_entries_created_at ON journal_entries(created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_journal_entries_reverses_entry_id ON journal_entries(reverses_entry_id);
+
+-- Ledger postings (one debit or credit line of a journal entry)
+CREATE TABLE IF NOT EXISTS ledger_postings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    journal_entry_id UUID NOT NULL REFERENCES journal_entries(id),
+    account_id UUID NOT NULL REFERENCES ledger_accounts(id),
+    direction VARCHAR(6) NOT NULL CHECK (direction IN ('debit', 'credit')),
+    amount DECIMAL(18, 8) NOT NULL CHECK (amount > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_journal_entry_id ON ledger_postings(journal_entry_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_account_id ON ledger_postings(account_id);
+
+-- Idempotency keys (one per scope + key; duplicates replay the stored response)
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    scope VARCHAR(100) NOT NULL,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_hash VARCHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed')),
+    response_status INTEGER,
+    response_body JSONB,
+    locked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (scope, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+
+-- Notification preferences (one row per phone; missing row = everything on)
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    phone_number VARCHAR(20) PRIMARY KEY,
+    marketing BOOLEAN NOT NULL DEFAULT TRUE,
+    transaction_alerts BOOLEAN NOT NULL DEFAULT TRUE,
+    balance_digests BOOLEAN NOT NULL DEFAULT TRUE,
+    security_alerts BOOLEAN NOT NULL DEFAULT TRUE,
+    plain_text BOOLEAN NOT NULL DEFAULT FALSE,
+    opted_out_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Balance reconciliation runs and the discrepancies they find
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    triggered_by VARCHAR(20) NOT NULL DEFAULT 'schedule' CHECK (triggered_by IN ('schedule', 'operator')),
+    users_checked INTEGER NOT NULL DEFAULT 0,
+    users_skipped INTEGER NOT NULL DEFAULT 0,
+    discrepancies INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Only one run at a time, across every instance
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reconciliation_runs_running ON reconciliation_runs((status)) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_started_at ON reconciliation_runs(started_at);
+
+CREATE TABLE IF NOT EXISTS reconciliation_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    first_run_id UUID NOT NULL REFERENCES reconciliation_runs(id),
+    last_run_id UUID NOT NULL REFERENCES reconciliation_runs(id),
+    phone_number VARCHAR(20) NOT NULL REFERENCES users(phone_number),
+    wallet_address VARCHAR(42),
+    kind VARCHAR(30) NOT NULL CHECK (kind IN ('cache_drift', 'wallet_surplus', 'wallet_shortfall', 'vault_surplus', 'vault_shortfall', 'unsettled_investment')),
+    -- 'ZrUSD' for wallet items, the vault address for vault items
+    asset VARCHAR(42) NOT NULL,
+    expected_amount DECIMAL(18, 8) NOT NULL,
+    actual_amount DECIMAL(18, 8) NOT NULL,
+    difference DECIMAL(18, 8) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'ignored', 'cleared')),
+    resolution VARCHAR(30),
+    resolution_note TEXT,
+    resolved_by VARCHAR(100),
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    journal_entry_id UUID REFERENCES journal_entries(id),
+    alerted_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- A discrepancy stays one open item across runs until it is resolved or disappears
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reconciliation_items_open ON reconciliation_items(phone_number, kind, asset) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_reconciliation_items_status ON reconciliation_items(status);
+CREATE INDEX IF NOT EXISTS idx_reconciliation_items_last_run_id ON reconciliation_items(last_run_id);
+
+-- Chain indexer (checkpoint, recent block hashes and indexed events)
+CREATE TABLE IF NOT EXISTS chain_checkpoints (
+    indexer VARCHAR(50) PRIMARY KEY,
+    block_number BIGINT NOT NULL,
+    block_hash VARCHAR(66) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Hashes of recently indexed blocks; on a reorg the indexer rolls back to the newest one still on chain
+CREATE TABLE IF NOT EXISTS chain_blocks (
+    block_number BIGINT PRIMARY KEY,
+    block_hash VARCHAR(66) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS chain_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    block_number BIGINT NOT NULL,
+    block_hash VARCHAR(66) NOT NULL,
+    tx_hash VARCHAR(66) NOT NULL,
+    log_index INTEGER NOT NULL,
+    contract_address VARCHAR(42) NOT NULL,
+    event_name VARCHAR(20) NOT NULL CHECK (event_name IN ('Transfer', 'Deposit', 'Withdraw')),
+    from_address VARCHAR(42),
+    to_address VARCHAR(42),
+    -- Raw token units, and the decimal amount
+    value NUMERIC(78, 0) NOT NULL,
+    amount DECIMAL(36, 18) NOT NULL,
+    -- User the event concerns (recipient for incoming transfers, owner for vault events)
+    phone_number VARCHAR(20) REFERENCES users(phone_number),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'removed')),
+    credited_transaction_id UUID REFERENCES transactions(id),
+    confirmed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (block_hash, log_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chain_events_tx_hash ON chain_events(tx_hash);
+CREATE INDEX IF NOT EXISTS idx_chain_events_pending ON chain_events(block_number) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_chain_events_phone_number ON chain_events(phone_number);
+
+-- Gas Sponsorships table (gas tank spending for user wallets)
+CREATE TABLE IF NOT EXISTS gas_sponsorships (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    phone_number VARCHAR(20) NOT NULL REFERENCES users(phone_number),
+    transaction_id UUID REFERENCES transactions(id),
+    purpose VARCHAR(30) NOT NULL,
+    method VARCHAR(10) NOT NULL CHECK (method IN ('permit', 'top_up')),
+    status VARCHAR(20) NOT NULL DEFAULT 'reserved' CHECK (status IN ('reserved', 'completed', 'failed')),
+    -- ETH (wei) leaving the gas tank: reserved up front, then the actual amount; counts against budgets
+    tank_spend_wei NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    -- Gas actually burned by the sponsored transactions (wei), charged back in ZrUSD
+    gas_cost_wei NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    tx_hashes JSONB NOT NULL DEFAULT '[]',
+    fee_amount DECIMAL(18, 8) NOT NULL DEFAULT 0,
+    fee_status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (fee_status IN ('pending', 'collected', 'uncollected', 'waived')),
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_gas_sponsorships_phone_created ON gas_sponsorships(phone_number, created_at);
+CREATE INDEX IF NOT EXISTS idx_gas_sponsorships_created ON gas_sponsorships(created_at);
+CREATE INDEX IF NOT EXISTS idx_gas_sponsorships_transaction ON gas_sponsorships(transaction_id);
+
+-- Outgoing transactions (nonce allocation and replacement of stuck transactions)
+-- Next nonce to hand out per sending address; locked while allocating so instances never reuse one
+CREATE TABLE IF NOT EXISTS signer_nonces (
+    address VARCHAR(42) PRIMARY KEY,
+    next_nonce BIGINT NOT NULL CHECK (next_nonce >= 0),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS outgoing_transactions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    from_address VARCHAR(42) NOT NULL,
+    nonce BIGINT NOT NULL,
+    transaction_id UUID REFERENCES transactions(id),
+    purpose VARCHAR(30) NOT NULL,
+    to_address VARCHAR(42) NOT NULL,
+    data TEXT NOT NULL DEFAULT '0x',
+    value NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    gas_limit NUMERIC(78, 0) NOT NULL,
+    -- Fees of the latest attempt; max_priority_fee_per_gas is NULL on chains without EIP-1559 (max_fee_per_gas is the gas price)
+    max_fee_per_gas NUMERIC(78, 0) NOT NULL,
+    max_priority_fee_per_gas NUMERIC(78, 0),
+    -- released: never broadcast, its nonce was handed back
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'cancelling', 'mined', 'reverted', 'cancelled', 'dropped', 'released')),
+    -- Hash that was mined, or of the latest attempt
+    tx_hash VARCHAR(66),
+    -- Every attempt broadcast at this nonce (replacements and the cancellation included)
+    tx_hashes JSONB NOT NULL DEFAULT '[]',
+    cancel_tx_hash VARCHAR(66),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    block_number BIGINT,
+    gas_used NUMERIC(78, 0),
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    submitted_at TIMESTAMP WITH TIME ZONE,
+    finalized_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_outgoing_transactions_nonce ON outgoing_transactions(from_address, nonce) WHERE status <> 'released';
+CREATE INDEX IF NOT EXISTS idx_outgoing_transactions_open ON outgoing_transactions(from_address, status) WHERE status IN ('pending', 'cancelling');
+CREATE INDEX IF NOT EXISTS idx_outgoing_transactions_transaction ON outgoing_transactions(transaction_id);
+
+-- API Keys and Audit Log (admin and partner access)
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'support', 'finance', 'partner')),
+    scopes JSONB NOT NULL DEFAULT '[]',
+    -- Public part of the key, used to look it up
+    key_prefix VARCHAR(32) UNIQUE NOT NULL,
+    key_hash VARCHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'revoked')),
+    -- Set on the old key when it is rotated, so clients can switch over before it stops working
+    expires_at TIMESTAMP WITH TIME ZONE,
+    rotated_from UUID REFERENCES api_keys(id),
+    created_by VARCHAR(100),
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_role ON api_keys(role);
+
+CREATE TABLE IF NOT EXISTS audit_logs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    api_key_id UUID REFERENCES api_keys(id),
+    actor VARCHAR(100) NOT NULL,
+    role VARCHAR(20),
+    action VARCHAR(200) NOT NULL,
+    method VARCHAR(10) NOT NULL,
+    path TEXT NOT NULL,
+    status_code INTEGER,
+    ip VARCHAR(64),
+    -- Route params, query and the request body with secrets redacted
+    details JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created ON audit_logs(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_api_key ON audit_logs(api_key_id, created_at);
+
+-- Transfer Claims table (transfers to unregistered numbers, held until the recipient registers)
+CREATE TABLE IF NOT EXISTS transfer_claims (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    sender_phone VARCHAR(20) NOT NULL REFERENCES users(phone_number),
+    -- Not a user when the claim is made
+    recipient_phone VARCHAR(20) NOT NULL,
+    amount DECIMAL(18, 8) NOT NULL CHECK (amount > 0),
+    fee DECIMAL(18, 8) NOT NULL DEFAULT 0,
+    -- claiming/refunding: being paid out or back; returns to pending (with the error) if that fails
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'claiming', 'claimed', 'refunding', 'refunded')),
+    -- The sender's transfer, the recipient's receive once claimed, or the sender's refund once expired
+    transaction_id UUID REFERENCES transactions(id),
+    claim_transaction_id UUID REFERENCES transactions(id),
+    refund_transaction_id UUID REFERENCES transactions(id),
+    error TEXT,
+    -- Refunded to the sender if still unclaimed (TRANSFER_CLAIM_EXPIRY_DAYS)
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    claimed_at TIMESTAMP WITH TIME ZONE,
+    refunded_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_transfer_claims_recipient_pending ON transfer_claims(recipient_phone) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_transfer_claims_sender ON transfer_claims(sender_phone, created_at);
+CREATE INDEX IF NOT EXISTS idx_transfer_claims_expires_pending ON transfer_claims(expires_at) WHERE status = 'pending';
+
 -- System Configuration table
 CREATE TABLE IF NOT EXISTS system_config (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -217,9 +573,6 @@ CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
 CREATE TRIGGER update_transactions_updated_at BEFORE UPDATE ON transactions
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
-CREATE TRIGGER update_ussd_sessions_updated_at BEFORE UPDATE ON ussd_sessions
-    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-
 CREATE TRIGGER update_sms_logs_updated_at BEFORE UPDATE ON sms_logs
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
@@ -235,6 +588,64 @@ CREATE TRIGGER update_yellowcard_transactions_updated_at BEFORE UPDATE ON yellow
 CREATE TRIGGER update_user_portfolios_updated_at BEFORE UPDATE ON user_portfolios
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_ledger_accounts_updated_at BEFORE UPDATE ON ledger_accounts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_notification_preferences_updated_at BEFORE UPDATE ON notification_preferences
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_reconciliation_items_updated_at BEFORE UPDATE ON reconciliation_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Reject UPDATE/DELETE on the append-only ledger tables
+CREATE OR REPLACE FUNCTION prevent_ledger_mutation()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION '% is append-only; post a reversal instead', TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Check at commit that every journal entry's debits equal its credits
+CREATE OR REPLACE FUNCTION check_journal_entry_balanced()
+RETURNS TRIGGER AS $$
+DECLARE
+    imbalance DECIMAL(18, 8);
+BEGIN
+    SELECT COALESCE(SUM(CASE WHEN direction = 'debit' THEN amount ELSE -amount END), 0)
+    INTO imbalance
+    FROM ledger_postings
+    WHERE journal_entry_id = NEW.journal_entry_id;
+
+    IF imbalance <> 0 THEN
+        RAISE EXCEPTION 'Journal entry % is unbalanced by %', NEW.journal_entry_id, imbalance;
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS journal_entries_append_only ON journal_entries;
+CREATE TRIGGER journal_entries_append_only BEFORE UPDATE OR DELETE ON journal_entries
+    FOR EACH ROW EXECUTE FUNCTION prevent_ledger_mutation();
+
+DROP TRIGGER IF EXISTS ledger_postings_append_only ON ledger_postings;
+CREATE TRIGGER ledger_postings_append_only BEFORE UPDATE OR DELETE ON ledger_postings
+    FOR EACH ROW EXECUTE FUNCTION prevent_ledger_mutation();
+
+DROP TRIGGER IF EXISTS ledger_postings_balanced ON ledger_postings;
+CREATE CONSTRAINT TRIGGER ledger_postings_balanced AFTER INSERT ON ledger_postings
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW EXECUTE FUNCTION check_journal_entry_balanced();
+
+-- Session events and transitions may be pruned, never rewritten
+DROP TRIGGER IF EXISTS ussd_session_events_append_only ON ussd_session_events;
+CREATE TRIGGER ussd_session_events_append_only BEFORE UPDATE ON ussd_session_events
+    FOR EACH ROW EXECUTE FUNCTION prevent_ledger_mutation();
+
+DROP TRIGGER IF EXISTS ussd_transitions_append_only ON ussd_transitions;
+CREATE TRIGGER ussd_transitions_append_only BEFORE UPDATE ON ussd_transitions
+    FOR EACH ROW EXECUTE FUNCTION prevent_ledger_mutation();
+
 -- Create views for common queries
 CREATE OR REPLACE VIEW user_transaction_summary AS
 SELECT
@@ -323,14 +734,11 @@ RETURNS INTEGER AS $$
 DECLARE
     deleted_count INTEGER;
 BEGIN
-    DELETE FROM ussd_sessions 
-    WHERE updated_at < NOW() - INTERVAL '1 hour';
-    
-    GET DIAGNOSTICS deleted_count = ROW_COUNT;
-    
     DELETE FROM otp_verifications 
     WHERE expires_at < NOW();
     
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+    
     RETURN deleted_count;
 END;
 $$ LANGUAGE plpgsql;
@@ -460,10 +868,17 @@ $$ LANGUAGE plpgsql;
 
 COMMENT ON TABLE users IS 'Stores user account information including phone numbers and wallet addresses';
 COMMENT ON TABLE transactions IS 'Records all financial transactions in the system including DeFi investments and YellowCard purchases';
-COMMENT ON TABLE ussd_sessions IS 'Manages active USSD session state';
+COMMENT ON TABLE ussd_session_events IS 'Append-only USSD session events (started, ended) for analytics; steps are recorded in ussd_transitions';
+COMMENT ON TABLE ussd_transitions IS 'Append-only USSD menu transitions (from/to state, input class, outcome, timings) for funnel analytics';
 COMMENT ON TABLE sms_logs IS 'Logs all SMS communications for analytics and debugging';
 COMMENT ON TABLE otp_verifications IS 'Manages OTP codes for user verification';
 COMMENT ON TABLE wallet_keys IS 'Securely stores encrypted private keys for user wallets';
+COMMENT ON TABLE idempotency_keys IS 'Idempotency-Key / provider transaction id records used to replay duplicate requests';
+COMMENT ON TABLE notification_preferences IS 'SMS notification categories per phone number (OTPs are always sent)';
+COMMENT ON TABLE ledger_accounts IS 'Double-entry ledger accounts: user wallets, fee income, vault custody, provider float, mint/burn suspense and claim custody';
+COMMENT ON TABLE transfer_claims IS 'Transfers to unregistered numbers, held in the claim_custody ledger account until the recipient registers or the claim expires and is refunded';
+COMMENT ON TABLE journal_entries IS 'Append-only journal; each entry groups balanced ledger postings';
+COMMENT ON TABLE ledger_postings IS 'Debit and credit lines of journal entries';
 COMMENT ON TABLE morpho_investments IS 'Tracks user investments in Morpho protocol vaults';
 COMMENT ON TABLE yellowcard_transactions IS 'Records YellowCard API transactions for crypto purchases and sales';
 COMMENT ON TABLE user_portfolios IS 'Cached portfolio summaries for improved performance';
@@ -0,0 +1,172 @@
+const logger = require('../utils/logger');
+const { countryInfo } = require('../utils/phone');
+
+const DEFAULT_LOCALE = 'en';
+
+// Locale catalogues, in the order they are offered in the USSD language menu
+const catalogues = {
+  en: require('./locales/en'),
+  sw: require('./locales/sw'),
+  ny: require('./locales/ny'),
+  ha: require('./locales/ha'),
+  fr: require('./locales/fr')
+};
+
+const SUPPORTED_LOCALES = Object.keys(catalogues);
+
+const pluralRules = {};
+
+/**
+ * Check whether a locale has a catalogue
+ * @param {string} locale - Locale code
+ * @returns {boolean} - True if supported
+ */
+function isSupportedLocale(locale) {
+  return SUPPORTED_LOCALES.includes(locale);
+}
+
+/**
+ * Get the default locale for a phone number from its country (users can override it from the USSD menu)
+ * @param {string} phoneNumber - Phone number (any format)
+ * @returns {string} - Locale code
+ */
+function localeForPhone(phoneNumber) {
+  const country = countryInfo(phoneNumber);
+  return country ? country.locale : DEFAULT_LOCALE;
+}
+
+/**
+ * Resolve a user's locale: stored preference first, then the phone's country default
+ * @param {Object|null} user - User row (may be null for new users)
+ * @param {string} phoneNumber - User's phone number
+ * @returns {string} - Locale code
+ */
+function resolveLocale(user, phoneNumber) {
+  if (user && isSupportedLocale(user.preferred_locale)) {
+    return user.preferred_locale;
+  }
+  return localeForPhone(phoneNumber || (user && user.phone_number));
+}
+
+/**
+ * Look up a dotted key in a catalogue
+ * @param {Object} catalogue - Locale catalogue
+ * @param {string} key - Dotted message key
+ * @returns {string|Object|undefined} - Template or plural forms
+ */
+function lookup(catalogue, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalogue);
+}
+
+/**
+ * Pick the plural form for a count
+ * @param {string} locale - Locale code
+ * @param {Object} forms - Plural forms ({ zero, one, few, many, other })
+ * @param {number} count - Count to pluralise on
+ * @returns {string} - Selected template
+ */
+function selectPlural(locale, forms, count) {
+  if (count === 0 && forms.zero) {
+    return forms.zero;
+  }
+
+  if (!pluralRules[locale]) {
+    pluralRules[locale] = new Intl.PluralRules(locale);
+  }
+
+  return forms[pluralRules[locale].select(count)] || forms.other;
+}
+
+/**
+ * Translate a message key
+ * @param {string} locale - Locale code
+ * @param {string} key - Dotted message key (e.g. 'main.welcome')
+ * @param {Object} params - Interpolation values; `count` selects the plural form
+ * @returns {string} - Translated message (falls back to English, then to the key)
+ */
+function t(locale, key, params = {}) {
+  let template = lookup(catalogues[locale] || {}, key);
+
+  if (template === undefined && locale !== DEFAULT_LOCALE) {
+    template = lookup(catalogues[DEFAULT_LOCALE], key);
+  }
+
+  if (template === undefined) {
+    logger.warn(`Missing translation for "${key}" (${locale})`);
+    return key;
+  }
+
+  if (typeof template === 'object') {
+    template = selectPlural(locale, template, Number(params.count));
+  }
+
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+  );
+}
+
+/**
+ * Create a translation function bound to a locale
+ * @param {string} locale - Locale code
+ * @returns {Function} - (key, params) => string
+ */
+function translator(locale) {
+  return (key, params) => t(locale, key, params);
+}
+
+/**
+ * Get the display name of a locale in its own language
+ * @param {string} locale - Locale code
+ * @returns {string} - Native language name
+ */
+function localeName(locale) {
+  return t(locale, 'language.name');
+}
+
+/**
+ * Match an SMS keyword against every locale's aliases
+ * @param {string} text - Incoming SMS text
+ * @returns {Object|null} - { command, locale } or null if not a keyword
+ */
+function matchKeyword(text) {
+  const word = String(text || '')
+    .trim()
+    .toUpperCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+
+  for (const locale of SUPPORTED_LOCALES) {
+    const keywords = catalogues[locale].keywords || {};
+    for (const [command, aliases] of Object.entries(keywords)) {
+      if (aliases.includes(word)) {
+        return { command, locale };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the primary SMS keyword for a command in a locale
+ * @param {string} locale - Locale code
+ * @param {string} command - Canonical command (BALANCE, HELP, STOP)
+ * @returns {string} - Keyword users should send
+ */
+function keywordFor(locale, command) {
+  const keywords = (catalogues[locale] || catalogues[DEFAULT_LOCALE]).keywords || {};
+  return (keywords[command] || [command])[0];
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  t,
+  translator,
+  isSupportedLocale,
+  localeForPhone,
+  resolveLocale,
+  localeName,
+  matchKeyword,
+  keywordFor
+};
@@ -0,0 +1,303 @@
+// English message catalogue (reference locale - every key must exist here)
+module.exports = {
+  language: {
+    name: 'English',
+    prompt: 'Choose your language 🌍'
+  },
+
+  keywords: {
+    BALANCE: ['BALANCE', 'BAL'],
+    HELP: ['HELP'],
+    STOP: ['STOP'],
+    START: ['START'],
+    SEND: ['SEND'],
+    INVEST: ['INVEST'],
+    WITHDRAW: ['WITHDRAW'],
+    HISTORY: ['HIST', 'HISTORY'],
+    VAULTS: ['VAULTS']
+  },
+
+  menu: {
+    exit: 'Exit',
+    back: 'Back',
+    backToMain: 'Back to Main Menu',
+    cancel: 'Cancel',
+    more: 'More',
+    prev: 'Prev',
+    invalid: 'Invalid option. Please try again.',
+    invalidChoose: 'Invalid option. Please choose:',
+    invalidSelection: 'Invalid selection. Please choose 1-{count}, 9 for back, or 0 to exit.',
+    goodbye: 'Thank you for using Zybra DeFi! 👋',
+    unavailable: 'Service temporarily unavailable. Please try again later.'
+  },
+
+  main: {
+    welcome: 'Welcome to Zybra DeFi! 💰',
+    welcomeNew: 'Welcome to Zybra DeFi! 🎉\nYour crypto wallet has been created.',
+    balance: 'Check Balance',
+    invest: 'Invest in DeFi',
+    withdraw: 'Withdraw Funds',
+    send: 'Send Money',
+    language: 'Language',
+    pin: 'Change PIN',
+    settings: 'Settings'
+  },
+
+  auth: {
+    failed: 'Authentication Failed ❌\n\n{error}\n\nPlease try again later.',
+    otpPrompt: 'Security Verification 🔐\n\nEnter the 6-digit OTP sent to your phone:\n\n(Enter OTP or 0 to cancel)',
+    otpFailed: 'Verification Failed ❌\n\n{error}\n\nEnter OTP again or 0 to cancel:'
+  },
+
+  resume: {
+    continue: 'Yes',
+    startOver: 'Start over'
+  },
+
+  pin: {
+    create: 'Create a 4-6 digit PIN to protect your wallet:',
+    confirm: 'Re-enter your PIN to confirm:',
+    invalid: 'PIN must be 4-6 digits and not one repeated digit.\n\nEnter a PIN:',
+    mismatch: 'PINs did not match ❌\n\nEnter a 4-6 digit PIN:',
+    prompt: 'Enter your PIN to authorise this transaction 🔐\n\n(Enter PIN or 0 to cancel)',
+    wrong: {
+      one: 'Incorrect PIN ❌\n{count} attempt remaining.\n\nEnter your PIN or 0 to cancel:',
+      other: 'Incorrect PIN ❌\n{count} attempts remaining.\n\nEnter your PIN or 0 to cancel:'
+    },
+    locked: 'PIN locked 🔒\n\nToo many wrong attempts. Try again in {minutes} minutes, or reset your PIN with Change PIN in the main menu.',
+    error: 'Could not verify your PIN. Please try again later.',
+    resetOtp: 'Change PIN 🔐\n\nEnter the 6-digit OTP sent to your phone:\n\n(Enter OTP or 0 to cancel)',
+    new: 'Enter your new 4-6 digit PIN:',
+    changed: 'PIN changed ✅\n\nUse your new PIN for your next transaction.',
+    saveFailed: 'Could not save your PIN. Please try again later.',
+    cancelled: 'PIN change cancelled. Thank you for using Zybra DeFi! 👋'
+  },
+
+  balance: {
+    header: 'Your Zybra Portfolio 💰',
+    wallet: 'Wallet Balance: {balance} USDT',
+    investments: 'DeFi Investments:',
+    position: '{index}. {name}: ${amount}',
+    totalInvested: 'Total Invested: ${amount}',
+    noInvestments: 'DeFi Investments: $0.00',
+    total: 'Total Portfolio: ${amount}',
+    walletAddress: 'Wallet: {address}...',
+    error: 'Unable to retrieve balance. Please try again later.'
+  },
+
+  invest: {
+    insufficient: 'Insufficient Balance 💸\n\nYou need at least $10 USDT to invest.\nCurrent balance: ${balance}\n\nPlease add funds to your wallet first.',
+    title: 'Invest in DeFi 📈\n\nBalance: ${balance} USDT',
+    buyAndInvest: 'Buy Crypto & Invest',
+    existingBalance: 'Invest Existing Balance',
+    buyPrompt: 'Buy Crypto & Invest 💳\n\nEnter amount in KES to invest:\n(Min: 1000 KES)',
+    existingPrompt: 'Invest Existing Balance 💰\n\nAvailable: ${balance} USDT\n\nEnter amount to invest:\n(Min: $10 USDT)',
+    invalidAmount: 'Invalid amount. Please enter a valid number.\n\nEnter amount to invest:',
+    minKes: 'Minimum investment is 1000 KES.\n\nEnter amount in KES:',
+    minUsdt: 'Minimum investment is $10 USDT.\n\nEnter amount in USDT:',
+    insufficientAmount: 'Insufficient balance. Available: ${balance}\n\nEnter amount in USDT:',
+    noVaults: 'Sorry, no investment vaults are available at the moment. Please try again later.',
+    selectVault: 'Select Investment Vault 📊\n\nAmount: {amount}\n\n{vaults}',
+    vaultLine: '{index}. {name}\n   APY: {apy} | Risk: {risk}',
+    confirm: 'Confirm Investment 🔒\n\nVault: {vault}\nAmount: {amount}\nExpected APY: {apy}%\nRisk Level: {risk}',
+    confirmBuy: 'This will:\n1. Buy ${usdtAmount} USDT\n2. Invest in {symbol}',
+    confirmExisting: 'This will invest your USDT in {symbol}',
+    confirmOption: 'Confirm Investment',
+    otpSent: 'Security Verification Required 🔐\n\nAn OTP has been sent to your phone.\nEnter the 6-digit code to confirm your investment:\n\n(Enter OTP or 0 to cancel)',
+    notAuthorized: 'Investment Not Authorized ❌\n\n{error}\n\nPlease contact support if this persists.',
+    systemError: 'Investment failed due to system error. Please try again later.',
+    purchaseFailed: 'Investment Failed ❌\n\nCrypto purchase failed: {error}\n\nPlease try again later.',
+    quoteExpired: 'Rate Changed ⏱️\n\nThe exchange rate you confirmed has expired. Please start again to get a new rate.',
+    rateUnavailable: 'Exchange rates are unavailable right now. Please try again later.',
+    initiated: 'Investment Initiated! 🚀\n\nStep 1: Buying {usdtAmount} USDT with {investAmount} KES\n\nYou\'ll receive SMS instructions for payment.\n\nOnce payment is confirmed, we\'ll automatically invest in {vault}.',
+    insufficientFinal: 'Insufficient Balance ❌\n\nRequired: ${required}\nAvailable: ${available}\n\nPlease add funds first.',
+    success: 'Investment Successful! 🎉\n\nInvested: ${amount} USDT\nVault: {vault}\nExpected APY: {apy}%\n\nYour investment is now earning yield!',
+    technicalError: 'Investment failed due to a technical error. Please try again later.',
+    cancelled: 'Investment cancelled. Thank you for using Zybra DeFi! 👋',
+    resume: 'Continue your investment of {amount} into {vault}?',
+    resumeAmount: 'Continue your investment of {amount}?'
+  },
+
+  withdraw: {
+    noInvestments: 'No Investments Found 📭\n\nYou don\'t have any active DeFi investments to withdraw from.\n\nStart investing to earn yield!',
+    title: {
+      one: 'Withdraw Funds 💸\n\nYou have {count} active investment',
+      other: 'Withdraw Funds 💸\n\nYou have {count} active investments'
+    },
+    fromDefi: 'Withdraw from DeFi',
+    toMobileMoney: 'Withdraw to Mobile Money',
+    mobileMoneySoon: 'Withdraw to Mobile Money 📱\n\nThis feature will be available soon.\n\nFor now, you can withdraw to your wallet and then transfer.',
+    selectPosition: 'Select Investment to Withdraw 📊\n\n{positions}',
+    positionLine: '{index}. {name}\n   Balance: ${amount}',
+    amountPrompt: 'Withdraw Amount 💰\n\nFrom: {vault}\nAvailable: ${available}\n\nEnter amount to withdraw:\n(Max: ${available})',
+    invalidAmount: 'Invalid amount. Please enter a valid number.\n\nEnter amount to withdraw:',
+    exceeds: 'Amount exceeds available balance.\nAvailable: ${available}\n\nEnter amount to withdraw:',
+    confirm: 'Confirm Withdrawal 🔒\n\nFrom: {vault}\nAmount: ${amount} USDT\nTo: Your Zybra Wallet',
+    confirmOption: 'Confirm Withdrawal',
+    otpSent: 'Security Verification Required 🔐\n\nAn OTP has been sent to your phone.\nEnter the 6-digit code to confirm your withdrawal:\n\n(Enter OTP or 0 to cancel)',
+    notAuthorized: 'Withdrawal Not Authorized ❌\n\n{error}\n\nPlease contact support if this persists.',
+    systemError: 'Withdrawal failed due to system error. Please try again later.',
+    success: 'Withdrawal Successful! 🎉\n\nWithdrawn: ${amount} USDT\nFrom: {vault}\n\nNew wallet balance: ${balance}\n\nFunds are now in your Zybra wallet!',
+    technicalError: 'Withdrawal failed due to a technical error. Please try again later.',
+    cancelled: 'Withdrawal cancelled. Thank you for using Zybra DeFi! 👋',
+    resume: 'Continue your withdrawal of ${amount} from {vault}?',
+    resumeVault: 'Continue your withdrawal from {vault}?'
+  },
+
+  send: {
+    prompt: 'Send Money 💸\n\nEnter recipient phone number:\n(e.g., 0712345678)',
+    invalidPhone: 'Invalid phone number.\n\nEnter recipient phone number:\n(e.g., 0712345678)',
+    self: 'You cannot send money to yourself.\n\nEnter recipient phone number:',
+    unregistered: '{phone} is not on Zybra yet.\nWe can hold the money and send them an SMS to claim it.',
+    sendAnyway: 'Send anyway',
+    tryAnother: 'Try another number',
+    amountPrompt: 'Send to {recipient}\nBalance: {balance} ZrUSD\n\nEnter amount in ZrUSD:',
+    invalidAmount: 'Invalid amount. Please enter a valid number:\n(e.g., 10)',
+    insufficient: 'Insufficient balance. You can send up to {max} ZrUSD (fee {fee} ZrUSD).\n\nEnter amount in ZrUSD:',
+    confirm: 'Confirm Transfer 📋\n\nTo: {recipient}\nSend: {amount} ZrUSD\nFee: {fee} ZrUSD\nTotal: {total} ZrUSD',
+    youPay: 'You pay ≈ {amount} {currency}',
+    theyGet: 'They get ≈ {amount} {currency}',
+    held: 'Held until they join Zybra.',
+    confirmOption: 'Send',
+    otpSent: 'Security Verification Required 🔐\n\nAn OTP has been sent to your phone.\nEnter the 6-digit code to confirm your transfer:\n\n(Enter OTP or 0 to cancel)',
+    notAuthorized: 'Transfer Not Authorized ❌\n\n{error}\n\nPlease contact support if this persists.',
+    cancelled: 'Transfer cancelled.',
+    success: 'Transfer Successful! ✅\n\nSent: {amount} ZrUSD\nTo: {recipient}\nBalance: {balance} ZrUSD\n\nSMS confirmation sent.',
+    heldSuccess: 'Money Sent! ✅\n\n{amount} ZrUSD is held for {phone}.\nWe sent them an SMS to claim it.\nIf unclaimed after {days} days, it comes back to you.\nBalance: {balance} ZrUSD',
+    failed: 'Transaction Failed ❌\n\nReason: {error}\n\nPlease try again later.',
+    systemError: 'Transaction failed due to system error. Please try again later.',
+    resume: 'Continue sending {amount} ZrUSD to {recipient}?'
+  },
+
+  receive: {
+    details: 'Receive Money 📥\n\nYour Details:\nPhone: {phone}\nWallet: {wallet}...\n\nShare these details to receive money.'
+  },
+
+  history: {
+    empty: 'No transactions found.\n\nStart using Zybra to see your transaction history here.',
+    title: 'Recent Transactions 📊',
+    entry: '{index}. {type} {status}\n   {amount} {currency}\n   {date}',
+    error: 'Unable to retrieve transaction history. Please try again later.'
+  },
+
+  account: {
+    notFound: 'Account not found. Please contact support.',
+    info: 'Account Information ℹ️\n\nPhone: {phone}\nWallet: {wallet}...\nBalance: {balance} ZrUSD\nJoined: {joined}\n\nZybra Digital Wallet',
+    error: 'Unable to retrieve account information. Please try again later.'
+  },
+
+  settings: {
+    title: 'Settings ⚙️',
+    notifications: 'Notifications',
+    displayName: 'Display name',
+    displayNamePrompt: 'Your name is shown to people sending you money.\nCurrent: {name}\n\nEnter a name (2-30 letters):',
+    displayNameNone: 'not set',
+    displayNameInvalid: 'Use 2-30 letters, spaces, dots, apostrophes or hyphens.\n\nEnter a name:',
+    displayNameSaved: 'Name saved ✅\n\nPeople sending you money will see: {name}',
+    displayNameError: 'Unable to save your name. Please try again later.'
+  },
+
+  notifications: {
+    title: 'SMS Notifications 🔔\nChoose one to turn it on or off.\nSecurity codes are always sent.',
+    marketing: 'News & offers',
+    transaction_alerts: 'Transaction alerts',
+    balance_digests: 'Balance updates',
+    security_alerts: 'Security alerts',
+    plain_text: 'Plain text SMS (no emoji)',
+    on: 'ON',
+    off: 'OFF',
+    error: 'Unable to update your notifications. Please try again later.'
+  },
+
+  help: {
+    ussd: 'Zybra Help 📱\n\nServices:\n• Check Balance\n• Send/Receive Money\n• Transaction History\n• Account Management\n\nSupport:\n• SMS: Send {help} to this number\n• Email: help@zybra.com\n• Web: www.zybra.com\n\nThank you for using Zybra!'
+  },
+
+  sms: {
+    transaction: {
+      completed: '✅ Transaction Confirmed!\nType: {type}\nAmount: {amount} {currency}\nTX: {tx}\nTime: {time}\nThank you for using Zybra!',
+      failed: '❌ Transaction Failed!\nType: {type}\nAmount: {amount} {currency}\nPlease try again or contact support.\nZybra Support',
+      pending: '⏳ Transaction Pending...\nType: {type}\nAmount: {amount} {currency}\nWe\'ll notify you once confirmed.\nZybra',
+      txPending: 'Pending'
+    },
+    notification: {
+      completed: '✅ Transaction Confirmed!\n{type}: {amount} {currency}\nTime: {time}\nZybra',
+      failed: '❌ Transaction Failed!\n{type}: {amount} {currency}\nPlease try again.\nZybra',
+      pending: '⏳ Transaction Pending...\n{type}: {amount} {currency}\nWe\'ll notify you once confirmed.\nZybra'
+    },
+    balance: '💰 Your Zybra Balance\nBalance: {balance} {currency}\nTime: {time}\nDial *384*96# for more options',
+    balanceShort: '💰 Your Zybra Balance: {balance} ZrUSD\nTime: {time}\nDial *384*96# for more options',
+    received: '💸 You received {amount} ZrUSD\nFrom: {sender}\nBalance: {balance} ZrUSD\nTX: {tx}\nZybra',
+    claimInvite: '💸 {sender} sent you {amount} ZrUSD on Zybra.\nDial *384*96# within {days} days to create your free wallet and claim it.',
+    claimRefunded: '↩️ {amount} ZrUSD you sent to {phone} was not claimed within {days} days and is back in your wallet.',
+    welcome: '🎉 Welcome to Zybra!\nYour digital wallet is ready.\nWallet: {wallet}...\nDial *384*96# to get started\nSend {help} to get assistance',
+    otp: '🔐 Zybra Security Code: {otp}\nUse this code to {purpose}.\nValid for 5 minutes only.\nNever share this code!\nIf you didn\'t request this, contact support.',
+    otpPurpose: {
+      authentication: 'login to your account',
+      transaction: 'confirm your transaction',
+      investment: 'confirm your investment',
+      withdrawal: 'confirm your withdrawal',
+      wallet_access: 'access your wallet',
+      pin_reset: 'change your PIN',
+      default: 'verify your identity'
+    },
+    alert: '⚠️ Zybra Alert\n{message}\nIf you need help, reply {help}\nZybra Support',
+    accountNotFound: 'Account not found. Dial *384*96# to create an account.',
+    balanceError: 'Unable to retrieve balance. Please try again.',
+    help: '📱 Zybra Help\nCommands:\n• {balance} - Check balance\n• {help} - This message\n• {stop} - Unsubscribe\n• {send} 500 KES TO 07.. - Send money\n• {invest} 20 <vault> - Invest\n• {withdraw} 10 - Withdraw\n• {history} 5 - History\n• {vaults} - Vaults\n\nDial *384*96# for full menu\nSupport: help@zybra.com',
+    unsubscribed: 'You have been unsubscribed from Zybra SMS notifications.\nSecurity codes will still be sent.\nTo resubscribe, reply {start} or dial *384*96# > Settings > Notifications.',
+    subscribed: 'You are subscribed to Zybra SMS notifications again ✅\nTo stop, reply {stop}.',
+    otpInvalid: 'Invalid or expired verification code.',
+    otpVerified: '✅ Verification successful!',
+    verificationError: 'Verification failed. Please try again.',
+    unknownCommand: 'Command not recognized: "{text}"\nSend {help} for available commands\nOr dial *384*96# for full menu',
+    commands: {
+      usage: {
+        SEND: 'To send money reply:\n{keyword} <amount> [currency] TO <phone>\nExample: {keyword} 500 KES TO 0712345678',
+        INVEST: 'To invest reply:\n{keyword} <amount> <vault>\nExample: {keyword} 20 STEAKHOUSE\nSend {vaultsKeyword} to see vaults',
+        WITHDRAW: 'To withdraw an investment reply:\n{keyword} <amount> [vault]\nExample: {keyword} 10',
+        HISTORY: 'To see recent transactions reply:\n{keyword} [1-10]\nExample: {keyword} 5',
+        VAULTS: 'To see investment vaults send {keyword}'
+      },
+      invalidAmount: 'Invalid amount. Use numbers only, e.g. 500 or 12.50.\nSend {keyword} for help with this command.',
+      invalidPhone: 'Invalid phone number. Use e.g. 0712345678 or 254712345678.',
+      invalidCurrency: 'Currency not supported. Use ZrUSD or your local currency.',
+      selfTransfer: 'You cannot send money to your own number.',
+      insufficient: 'Insufficient balance.\nAvailable: {balance} ZrUSD\nRequired: {required} ZrUSD',
+      minInvestment: 'Minimum investment is ${min} USDT.',
+      vaultsUnavailable: 'Investment vaults are unavailable right now. Please try again later.',
+      vaultNotFound: 'No vault matches "{vault}".\nSend {vaultsKeyword} to see available vaults.',
+      vaultAmbiguous: '"{vault}" matches several vaults: {vaults}\nPlease use a longer name.',
+      noPositions: 'You have no active investments to withdraw from.',
+      exceedsPosition: 'Amount exceeds your {vault} balance of ${available}.',
+      summary: {
+        SEND: 'Send {amount} {currency} to {phone}\nFee: {fee} ZrUSD',
+        SEND_HELD: 'Send {amount} {currency} to {phone}\nFee: {fee} ZrUSD\n{phone} is not on Zybra yet. The money is held for them to claim within {days} days, then returned to you.',
+        INVEST: 'Invest ${amount} USDT in {vault}\nExpected APY: {apy}',
+        WITHDRAW: 'Withdraw ${amount} USDT from {vault}'
+      },
+      confirm: '{summary}\n\nReply {code} to confirm.\nThe code expires in {minutes} minutes.',
+      confirmWithPin: '{summary}\n\nReply {code} followed by your PIN to confirm, e.g. {code} 1234\nThe code expires in {minutes} minutes.',
+      wrongCode: {
+        one: 'Wrong confirmation code. {count} attempt remaining.',
+        other: 'Wrong confirmation code. {count} attempts remaining.'
+      },
+      codeLocked: 'Too many wrong codes. The request was cancelled; please send the command again.',
+      pinRequired: 'Please reply with the confirmation code followed by your PIN.',
+      pinWrong: {
+        one: 'Incorrect PIN. {count} attempt remaining. Reply with the code and your PIN.',
+        other: 'Incorrect PIN. {count} attempts remaining. Reply with the code and your PIN.'
+      },
+      pinLocked: 'Too many wrong PINs. Your PIN is locked for {minutes} minutes.\nDial *384*96# to change it.',
+      notAuthorized: 'Transaction not authorised: {error}',
+      failed: 'Transaction failed: {error}\nPlease try again or dial *384*96#.',
+      invested: '✅ Investment successful!\nInvested: ${amount} USDT\nVault: {vault}\nWallet balance: ${balance}',
+      withdrawn: '✅ Withdrawal successful!\nWithdrawn: ${amount} USDT\nFrom: {vault}\nWallet balance: ${balance}',
+      history: '📜 Recent transactions\n{lines}',
+      historyLine: '{index}. {type} {amount} {currency} {status} {date}',
+      historyEmpty: 'No transactions yet.',
+      vaults: '📊 Investment vaults\n{lines}\n\nTo invest send {keyword} <amount> <vault>',
+      vaultLine: '{index}. {name} {apy} ({risk})'
+    }
+  }
+};
@@ -0,0 +1,303 @@
+// French message catalogue
+module.exports = {
+  language: {
+    name: 'Français',
+    prompt: 'Choisissez votre langue 🌍'
+  },
+
+  keywords: {
+    BALANCE: ['SOLDE'],
+    HELP: ['AIDE'],
+    STOP: ['ARRET'],
+    START: ['DEMARRER', 'START'],
+    SEND: ['ENVOYER'],
+    INVEST: ['INVESTIR'],
+    WITHDRAW: ['RETIRER'],
+    HISTORY: ['HIST', 'HISTORIQUE'],
+    VAULTS: ['COFFRES']
+  },
+
+  menu: {
+    exit: 'Quitter',
+    back: 'Retour',
+    backToMain: 'Retour au menu principal',
+    cancel: 'Annuler',
+    more: 'Suite',
+    prev: 'Préc.',
+    invalid: 'Option invalide. Veuillez réessayer.',
+    invalidChoose: 'Option invalide. Veuillez choisir :',
+    invalidSelection: 'Sélection invalide. Choisissez 1-{count}, 9 pour revenir ou 0 pour quitter.',
+    goodbye: 'Merci d\'utiliser Zybra DeFi ! 👋',
+    unavailable: 'Service temporairement indisponible. Veuillez réessayer plus tard.'
+  },
+
+  main: {
+    welcome: 'Bienvenue sur Zybra DeFi ! 💰',
+    welcomeNew: 'Bienvenue sur Zybra DeFi ! 🎉\nVotre portefeuille crypto a été créé.',
+    balance: 'Consulter le solde',
+    invest: 'Investir en DeFi',
+    withdraw: 'Retirer des fonds',
+    send: 'Envoyer de l\'argent',
+    language: 'Langue',
+    pin: 'Changer le PIN',
+    settings: 'Paramètres'
+  },
+
+  auth: {
+    failed: 'Échec de l\'authentification ❌\n\n{error}\n\nVeuillez réessayer plus tard.',
+    otpPrompt: 'Vérification de sécurité 🔐\n\nSaisissez le code OTP à 6 chiffres envoyé sur votre téléphone :\n\n(Saisissez l\'OTP ou 0 pour annuler)',
+    otpFailed: 'Échec de la vérification ❌\n\n{error}\n\nSaisissez à nouveau l\'OTP ou 0 pour annuler :'
+  },
+
+  resume: {
+    continue: 'Oui',
+    startOver: 'Recommencer'
+  },
+
+  pin: {
+    create: 'Créez un PIN de 4 à 6 chiffres pour protéger votre portefeuille :',
+    confirm: 'Saisissez à nouveau votre PIN pour confirmer :',
+    invalid: 'Le PIN doit comporter 4 à 6 chiffres et ne pas répéter un seul chiffre.\n\nSaisissez un PIN :',
+    mismatch: 'Les PIN ne correspondent pas ❌\n\nSaisissez un PIN de 4 à 6 chiffres :',
+    prompt: 'Saisissez votre PIN pour autoriser cette transaction 🔐\n\n(Saisissez le PIN ou 0 pour annuler)',
+    wrong: {
+      one: 'PIN incorrect ❌\n{count} tentative restante.\n\nSaisissez votre PIN ou 0 pour annuler :',
+      other: 'PIN incorrect ❌\n{count} tentatives restantes.\n\nSaisissez votre PIN ou 0 pour annuler :'
+    },
+    locked: 'PIN bloqué 🔒\n\nTrop de tentatives erronées. Réessayez dans {minutes} minutes ou réinitialisez votre PIN via Changer le PIN dans le menu principal.',
+    error: 'Impossible de vérifier votre PIN. Veuillez réessayer plus tard.',
+    resetOtp: 'Changer le PIN 🔐\n\nSaisissez le code OTP à 6 chiffres envoyé sur votre téléphone :\n\n(Saisissez l\'OTP ou 0 pour annuler)',
+    new: 'Saisissez votre nouveau PIN de 4 à 6 chiffres :',
+    changed: 'PIN modifié ✅\n\nUtilisez votre nouveau PIN pour votre prochaine transaction.',
+    saveFailed: 'Impossible d\'enregistrer votre PIN. Veuillez réessayer plus tard.',
+    cancelled: 'Changement de PIN annulé. Merci d\'utiliser Zybra DeFi ! 👋'
+  },
+
+  balance: {
+    header: 'Votre portefeuille Zybra 💰',
+    wallet: 'Solde du portefeuille : {balance} USDT',
+    investments: 'Investissements DeFi :',
+    position: '{index}. {name} : ${amount}',
+    totalInvested: 'Total investi : ${amount}',
+    noInvestments: 'Investissements DeFi : $0.00',
+    total: 'Valeur totale : ${amount}',
+    walletAddress: 'Portefeuille : {address}...',
+    error: 'Impossible de récupérer le solde. Veuillez réessayer plus tard.'
+  },
+
+  invest: {
+    insufficient: 'Solde insuffisant 💸\n\nIl faut au moins 10 $ USDT pour investir.\nSolde actuel : ${balance}\n\nVeuillez d\'abord approvisionner votre portefeuille.',
+    title: 'Investir en DeFi 📈\n\nSolde : ${balance} USDT',
+    buyAndInvest: 'Acheter de la crypto et investir',
+    existingBalance: 'Investir le solde existant',
+    buyPrompt: 'Acheter de la crypto et investir 💳\n\nSaisissez le montant en KES :\n(Min : 1000 KES)',
+    existingPrompt: 'Investir le solde existant 💰\n\nDisponible : ${balance} USDT\n\nSaisissez le montant à investir :\n(Min : 10 $ USDT)',
+    invalidAmount: 'Montant invalide. Veuillez saisir un nombre valide.\n\nSaisissez le montant à investir :',
+    minKes: 'L\'investissement minimum est de 1000 KES.\n\nSaisissez le montant en KES :',
+    minUsdt: 'L\'investissement minimum est de 10 $ USDT.\n\nSaisissez le montant en USDT :',
+    insufficientAmount: 'Solde insuffisant. Disponible : ${balance}\n\nSaisissez le montant en USDT :',
+    noVaults: 'Désolé, aucun coffre d\'investissement n\'est disponible pour le moment. Veuillez réessayer plus tard.',
+    selectVault: 'Choisissez un coffre 📊\n\nMontant : {amount}\n\n{vaults}',
+    vaultLine: '{index}. {name}\n   APY : {apy} | Risque : {risk}',
+    confirm: 'Confirmer l\'investissement 🔒\n\nCoffre : {vault}\nMontant : {amount}\nAPY attendu : {apy}%\nNiveau de risque : {risk}',
+    confirmBuy: 'Cette opération va :\n1. Acheter ${usdtAmount} USDT\n2. Investir dans {symbol}',
+    confirmExisting: 'Cette opération va investir vos USDT dans {symbol}',
+    confirmOption: 'Confirmer l\'investissement',
+    otpSent: 'Vérification de sécurité requise 🔐\n\nUn code OTP a été envoyé sur votre téléphone.\nSaisissez le code à 6 chiffres pour confirmer votre investissement :\n\n(Saisissez l\'OTP ou 0 pour annuler)',
+    notAuthorized: 'Investissement non autorisé ❌\n\n{error}\n\nContactez le support si le problème persiste.',
+    systemError: 'L\'investissement a échoué suite à une erreur système. Veuillez réessayer plus tard.',
+    purchaseFailed: 'Échec de l\'investissement ❌\n\nL\'achat de crypto a échoué : {error}\n\nVeuillez réessayer plus tard.',
+    quoteExpired: 'Taux modifié ⏱️\n\nLe taux de change que vous avez confirmé a expiré. Veuillez recommencer pour obtenir un nouveau taux.',
+    rateUnavailable: 'Les taux de change sont indisponibles pour le moment. Veuillez réessayer plus tard.',
+    initiated: 'Investissement lancé ! 🚀\n\nÉtape 1 : achat de {usdtAmount} USDT avec {investAmount} KES\n\nVous recevrez les instructions de paiement par SMS.\n\nUne fois le paiement confirmé, nous investirons automatiquement dans {vault}.',
+    insufficientFinal: 'Solde insuffisant ❌\n\nRequis : ${required}\nDisponible : ${available}\n\nVeuillez d\'abord ajouter des fonds.',
+    success: 'Investissement réussi ! 🎉\n\nInvesti : ${amount} USDT\nCoffre : {vault}\nAPY attendu : {apy}%\n\nVotre investissement génère désormais du rendement !',
+    technicalError: 'L\'investissement a échoué suite à une erreur technique. Veuillez réessayer plus tard.',
+    cancelled: 'Investissement annulé. Merci d\'utiliser Zybra DeFi ! 👋',
+    resume: 'Poursuivre votre investissement de {amount} dans {vault} ?',
+    resumeAmount: 'Poursuivre votre investissement de {amount} ?'
+  },
+
+  withdraw: {
+    noInvestments: 'Aucun investissement 📭\n\nVous n\'avez aucun investissement DeFi actif à retirer.\n\nCommencez à investir pour générer du rendement !',
+    title: {
+      one: 'Retirer des fonds 💸\n\nVous avez {count} investissement actif',
+      other: 'Retirer des fonds 💸\n\nVous avez {count} investissements actifs'
+    },
+    fromDefi: 'Retirer de la DeFi',
+    toMobileMoney: 'Retirer vers Mobile Money',
+    mobileMoneySoon: 'Retirer vers Mobile Money 📱\n\nCette fonctionnalité sera bientôt disponible.\n\nEn attendant, retirez vers votre portefeuille puis effectuez un transfert.',
+    selectPosition: 'Choisissez l\'investissement à retirer 📊\n\n{positions}',
+    positionLine: '{index}. {name}\n   Solde : ${amount}',
+    amountPrompt: 'Montant du retrait 💰\n\nDepuis : {vault}\nDisponible : ${available}\n\nSaisissez le montant à retirer :\n(Max : ${available})',
+    invalidAmount: 'Montant invalide. Veuillez saisir un nombre valide.\n\nSaisissez le montant à retirer :',
+    exceeds: 'Le montant dépasse le solde disponible.\nDisponible : ${available}\n\nSaisissez le montant à retirer :',
+    confirm: 'Confirmer le retrait 🔒\n\nDepuis : {vault}\nMontant : ${amount} USDT\nVers : votre portefeuille Zybra',
+    confirmOption: 'Confirmer le retrait',
+    otpSent: 'Vérification de sécurité requise 🔐\n\nUn code OTP a été envoyé sur votre téléphone.\nSaisissez le code à 6 chiffres pour confirmer votre retrait :\n\n(Saisissez l\'OTP ou 0 pour annuler)',
+    notAuthorized: 'Retrait non autorisé ❌\n\n{error}\n\nContactez le support si le problème persiste.',
+    systemError: 'Le retrait a échoué suite à une erreur système. Veuillez réessayer plus tard.',
+    success: 'Retrait réussi ! 🎉\n\nRetiré : ${amount} USDT\nDepuis : {vault}\n\nNouveau solde : ${balance}\n\nLes fonds sont maintenant dans votre portefeuille Zybra !',
+    technicalError: 'Le retrait a échoué suite à une erreur technique. Veuillez réessayer plus tard.',
+    cancelled: 'Retrait annulé. Merci d\'utiliser Zybra DeFi ! 👋',
+    resume: 'Poursuivre votre retrait de ${amount} depuis {vault} ?',
+    resumeVault: 'Poursuivre votre retrait depuis {vault} ?'
+  },
+
+  send: {
+    prompt: 'Envoyer de l\'argent 💸\n\nSaisissez le numéro du destinataire :\n(ex. 0712345678)',
+    invalidPhone: 'Numéro invalide.\n\nSaisissez le numéro du destinataire :\n(ex. 0712345678)',
+    self: 'Vous ne pouvez pas vous envoyer de l\'argent.\n\nSaisissez le numéro du destinataire :',
+    unregistered: '{phone} n\'est pas encore sur Zybra.\nNous pouvons garder l\'argent et lui envoyer un SMS pour le réclamer.',
+    sendAnyway: 'Envoyer quand même',
+    tryAnother: 'Essayer un autre numéro',
+    amountPrompt: 'Envoyer à {recipient}\nSolde : {balance} ZrUSD\n\nSaisissez le montant en ZrUSD :',
+    invalidAmount: 'Montant invalide. Veuillez saisir un nombre valide :\n(ex. 10)',
+    insufficient: 'Solde insuffisant. Vous pouvez envoyer jusqu\'à {max} ZrUSD (frais {fee} ZrUSD).\n\nSaisissez le montant en ZrUSD :',
+    confirm: 'Confirmer le transfert 📋\n\nÀ : {recipient}\nEnvoyer : {amount} ZrUSD\nFrais : {fee} ZrUSD\nTotal : {total} ZrUSD',
+    youPay: 'Vous payez ≈ {amount} {currency}',
+    theyGet: 'Le destinataire reçoit ≈ {amount} {currency}',
+    held: 'Gardé jusqu\'à son inscription sur Zybra.',
+    confirmOption: 'Envoyer',
+    otpSent: 'Vérification de sécurité requise 🔐\n\nUn code OTP a été envoyé sur votre téléphone.\nSaisissez le code à 6 chiffres pour confirmer votre transfert :\n\n(Saisissez l\'OTP ou 0 pour annuler)',
+    notAuthorized: 'Transfert non autorisé ❌\n\n{error}\n\nContactez le support si le problème persiste.',
+    cancelled: 'Transfert annulé.',
+    success: 'Transfert réussi ! ✅\n\nEnvoyé : {amount} ZrUSD\nÀ : {recipient}\nSolde : {balance} ZrUSD\n\nConfirmation envoyée par SMS.',
+    heldSuccess: 'Argent envoyé ! ✅\n\n{amount} ZrUSD sont gardés pour {phone}.\nNous lui avons envoyé un SMS pour les réclamer.\nSans réclamation sous {days} jours, ils vous seront rendus.\nSolde : {balance} ZrUSD',
+    failed: 'Échec de la transaction ❌\n\nMotif : {error}\n\nVeuillez réessayer plus tard.',
+    systemError: 'La transaction a échoué suite à une erreur système. Veuillez réessayer plus tard.',
+    resume: 'Poursuivre l\'envoi de {amount} ZrUSD à {recipient} ?'
+  },
+
+  receive: {
+    details: 'Recevoir de l\'argent 📥\n\nVos coordonnées :\nTéléphone : {phone}\nPortefeuille : {wallet}...\n\nPartagez ces informations pour recevoir de l\'argent.'
+  },
+
+  history: {
+    empty: 'Aucune transaction.\n\nUtilisez Zybra pour voir votre historique ici.',
+    title: 'Transactions récentes 📊',
+    entry: '{index}. {type} {status}\n   {amount} {currency}\n   {date}',
+    error: 'Impossible de récupérer l\'historique. Veuillez réessayer plus tard.'
+  },
+
+  account: {
+    notFound: 'Compte introuvable. Veuillez contacter le support.',
+    info: 'Informations du compte ℹ️\n\nTéléphone : {phone}\nPortefeuille : {wallet}...\nSolde : {balance} ZrUSD\nInscrit le : {joined}\n\nPortefeuille numérique Zybra',
+    error: 'Impossible de récupérer les informations du compte. Veuillez réessayer plus tard.'
+  },
+
+  settings: {
+    title: 'Paramètres ⚙️',
+    notifications: 'Notifications',
+    displayName: 'Nom affiché',
+    displayNamePrompt: 'Votre nom est affiché aux personnes qui vous envoient de l\'argent.\nActuel : {name}\n\nSaisissez un nom (2 à 30 lettres) :',
+    displayNameNone: 'aucun',
+    displayNameInvalid: 'Utilisez 2 à 30 lettres, espaces, points, apostrophes ou tirets.\n\nSaisissez un nom :',
+    displayNameSaved: 'Nom enregistré ✅\n\nLes personnes qui vous envoient de l\'argent verront : {name}',
+    displayNameError: 'Impossible d\'enregistrer votre nom. Veuillez réessayer plus tard.'
+  },
+
+  notifications: {
+    title: 'Notifications SMS 🔔\nChoisissez-en une pour l\'activer ou la désactiver.\nLes codes de sécurité sont toujours envoyés.',
+    marketing: 'Actualités et offres',
+    transaction_alerts: 'Alertes de transaction',
+    balance_digests: 'Relevés de solde',
+    security_alerts: 'Alertes de sécurité',
+    plain_text: 'SMS en texte simple (sans emoji)',
+    on: 'ACTIVÉ',
+    off: 'DÉSACTIVÉ',
+    error: 'Impossible de mettre à jour vos notifications. Veuillez réessayer plus tard.'
+  },
+
+  help: {
+    ussd: 'Aide Zybra 📱\n\nServices :\n• Consulter le solde\n• Envoyer/Recevoir de l\'argent\n• Historique des transactions\n• Gestion du compte\n\nSupport :\n• SMS : envoyez {help} à ce numéro\n• E-mail : help@zybra.com\n• Web : www.zybra.com\n\nMerci d\'utiliser Zybra !'
+  },
+
+  sms: {
+    transaction: {
+      completed: '✅ Transaction confirmée !\nType : {type}\nMontant : {amount} {currency}\nTX : {tx}\nHeure : {time}\nMerci d\'utiliser Zybra !',
+      failed: '❌ Échec de la transaction !\nType : {type}\nMontant : {amount} {currency}\nVeuillez réessayer ou contacter le support.\nZybra Support',
+      pending: '⏳ Transaction en attente...\nType : {type}\nMontant : {amount} {currency}\nNous vous informerons dès confirmation.\nZybra',
+      txPending: 'En attente'
+    },
+    notification: {
+      completed: '✅ Transaction confirmée !\n{type} : {amount} {currency}\nHeure : {time}\nZybra',
+      failed: '❌ Échec de la transaction !\n{type} : {amount} {currency}\nVeuillez réessayer.\nZybra',
+      pending: '⏳ Transaction en attente...\n{type} : {amount} {currency}\nNous vous informerons dès confirmation.\nZybra'
+    },
+    balance: '💰 Votre solde Zybra\nSolde : {balance} {currency}\nHeure : {time}\nComposez *384*96# pour plus d\'options',
+    balanceShort: '💰 Votre solde Zybra : {balance} ZrUSD\nHeure : {time}\nComposez *384*96# pour plus d\'options',
+    received: '💸 Vous avez reçu {amount} ZrUSD\nDe : {sender}\nSolde : {balance} ZrUSD\nTX : {tx}\nZybra',
+    claimInvite: '💸 {sender} vous a envoyé {amount} ZrUSD sur Zybra.\nComposez *384*96# sous {days} jours pour créer votre portefeuille gratuit et les recevoir.',
+    claimRefunded: '↩️ Les {amount} ZrUSD envoyés au {phone} n\'ont pas été réclamés sous {days} jours et sont de retour dans votre portefeuille.',
+    welcome: '🎉 Bienvenue sur Zybra !\nVotre portefeuille numérique est prêt.\nPortefeuille : {wallet}...\nComposez *384*96# pour commencer\nEnvoyez {help} pour obtenir de l\'aide',
+    otp: '🔐 Code de sécurité Zybra : {otp}\nUtilisez ce code pour {purpose}.\nValable 5 minutes seulement.\nNe partagez jamais ce code !\nSi vous n\'êtes pas à l\'origine de cette demande, contactez le support.',
+    otpPurpose: {
+      authentication: 'vous connecter à votre compte',
+      transaction: 'confirmer votre transaction',
+      investment: 'confirmer votre investissement',
+      withdrawal: 'confirmer votre retrait',
+      wallet_access: 'accéder à votre portefeuille',
+      pin_reset: 'changer votre PIN',
+      default: 'vérifier votre identité'
+    },
+    alert: '⚠️ Alerte Zybra\n{message}\nBesoin d\'aide ? Répondez {help}\nZybra Support',
+    accountNotFound: 'Compte introuvable. Composez *384*96# pour créer un compte.',
+    balanceError: 'Impossible de récupérer le solde. Veuillez réessayer.',
+    help: '📱 Aide Zybra\nCommandes :\n• {balance} - Consulter le solde\n• {help} - Ce message\n• {stop} - Se désabonner\n• {send} 500 KES A 07.. - Envoyer\n• {invest} 20 <coffre> - Investir\n• {withdraw} 10 - Retirer\n• {history} 5 - Historique\n• {vaults} - Coffres\n\nComposez *384*96# pour le menu complet\nSupport : help@zybra.com',
+    unsubscribed: 'Vous êtes désabonné des notifications SMS Zybra.\nLes codes de sécurité seront toujours envoyés.\nPour vous réabonner, répondez {start} ou composez *384*96# > Paramètres > Notifications.',
+    subscribed: 'Vous êtes de nouveau abonné aux notifications SMS Zybra ✅\nPour arrêter, répondez {stop}.',
+    otpInvalid: 'Code de vérification invalide ou expiré.',
+    otpVerified: '✅ Vérification réussie !',
+    verificationError: 'La vérification a échoué. Veuillez réessayer.',
+    unknownCommand: 'Commande non reconnue : "{text}"\nEnvoyez {help} pour la liste des commandes\nOu composez *384*96# pour le menu complet',
+    commands: {
+      usage: {
+        SEND: 'Pour envoyer de l\'argent, répondez :\n{keyword} <montant> [devise] A <téléphone>\nExemple : {keyword} 500 KES A 0712345678',
+        INVEST: 'Pour investir, répondez :\n{keyword} <montant> <coffre>\nExemple : {keyword} 20 STEAKHOUSE\nEnvoyez {vaultsKeyword} pour voir les coffres',
+        WITHDRAW: 'Pour retirer un investissement, répondez :\n{keyword} <montant> [coffre]\nExemple : {keyword} 10',
+        HISTORY: 'Pour voir vos dernières transactions, répondez :\n{keyword} [1-10]\nExemple : {keyword} 5',
+        VAULTS: 'Pour voir les coffres d\'investissement, envoyez {keyword}'
+      },
+      invalidAmount: 'Montant invalide. Utilisez uniquement des chiffres, ex. 500 ou 12.50.\nEnvoyez {keyword} pour l\'aide sur cette commande.',
+      invalidPhone: 'Numéro de téléphone invalide. Utilisez ex. 0712345678 ou 254712345678.',
+      invalidCurrency: 'Devise non prise en charge. Utilisez ZrUSD ou votre devise locale.',
+      selfTransfer: 'Vous ne pouvez pas envoyer de l\'argent à votre propre numéro.',
+      insufficient: 'Solde insuffisant.\nDisponible : {balance} ZrUSD\nRequis : {required} ZrUSD',
+      minInvestment: 'L\'investissement minimum est de ${min} USDT.',
+      vaultsUnavailable: 'Les coffres d\'investissement sont indisponibles. Veuillez réessayer plus tard.',
+      vaultNotFound: 'Aucun coffre ne correspond à "{vault}".\nEnvoyez {vaultsKeyword} pour voir les coffres.',
+      vaultAmbiguous: '"{vault}" correspond à plusieurs coffres : {vaults}\nVeuillez préciser le nom.',
+      noPositions: 'Vous n\'avez aucun investissement à retirer.',
+      exceedsPosition: 'Le montant dépasse votre solde {vault} de ${available}.',
+      summary: {
+        SEND: 'Envoyer {amount} {currency} à {phone}\nFrais : {fee} ZrUSD',
+        SEND_HELD: 'Envoyer {amount} {currency} à {phone}\nFrais : {fee} ZrUSD\n{phone} n\'est pas encore sur Zybra. L\'argent est gardé pour qu\'il le réclame sous {days} jours, puis vous est rendu.',
+        INVEST: 'Investir ${amount} USDT dans {vault}\nAPY attendu : {apy}',
+        WITHDRAW: 'Retirer ${amount} USDT de {vault}'
+      },
+      confirm: '{summary}\n\nRépondez {code} pour confirmer.\nLe code expire dans {minutes} minutes.',
+      confirmWithPin: '{summary}\n\nRépondez {code} suivi de votre PIN pour confirmer, ex. {code} 1234\nLe code expire dans {minutes} minutes.',
+      wrongCode: {
+        one: 'Code de confirmation incorrect. {count} tentative restante.',
+        other: 'Code de confirmation incorrect. {count} tentatives restantes.'
+      },
+      codeLocked: 'Trop de codes incorrects. La demande a été annulée ; veuillez renvoyer la commande.',
+      pinRequired: 'Veuillez répondre avec le code de confirmation suivi de votre PIN.',
+      pinWrong: {
+        one: 'PIN incorrect. {count} tentative restante. Répondez avec le code et votre PIN.',
+        other: 'PIN incorrect. {count} tentatives restantes. Répondez avec le code et votre PIN.'
+      },
+      pinLocked: 'Trop de PIN incorrects. Votre PIN est bloqué pendant {minutes} minutes.\nComposez *384*96# pour le changer.',
+      notAuthorized: 'Transaction non autorisée : {error}',
+      failed: 'Échec de la transaction : {error}\nVeuillez réessayer ou composer *384*96#.',
+      invested: '✅ Investissement réussi !\nInvesti : ${amount} USDT\nCoffre : {vault}\nSolde du portefeuille : ${balance}',
+      withdrawn: '✅ Retrait réussi !\nRetiré : ${amount} USDT\nDe : {vault}\nSolde du portefeuille : ${balance}',
+      history: '📜 Transactions récentes\n{lines}',
+      historyLine: '{index}. {type} {amount} {currency} {status} {date}',
+      historyEmpty: 'Aucune transaction pour le moment.',
+      vaults: '📊 Coffres d\'investissement\n{lines}\n\nPour investir, envoyez {keyword} <montant> <coffre>',
+      vaultLine: '{index}. {name} {apy} ({risk})'
+    }
+  }
+};
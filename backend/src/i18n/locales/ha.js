@@ -0,0 +1,300 @@
+// Hausa message catalogue
+module.exports = {
+  language: {
+    name: 'Hausa',
+    prompt: 'Zaɓi harshenka 🌍'
+  },
+
+  keywords: {
+    BALANCE: ['KUDI', 'SAURA'],
+    HELP: ['TAIMAKO'],
+    STOP: ['DAINA', 'TSAYA'],
+    START: ['FARA', 'START'],
+    SEND: ['SEND'],
+    INVEST: ['INVEST'],
+    WITHDRAW: ['WITHDRAW'],
+    HISTORY: ['HIST', 'HISTORY'],
+    VAULTS: ['VAULTS']
+  },
+
+  menu: {
+    exit: 'Fita',
+    back: 'Koma',
+    backToMain: 'Koma Babban Menu',
+    cancel: 'Soke',
+    more: 'Ƙari',
+    prev: 'Baya',
+    invalid: 'Zaɓin ba daidai ba ne. Don Allah a sake gwadawa.',
+    invalidChoose: 'Zaɓin ba daidai ba ne. Don Allah zaɓi:',
+    invalidSelection: 'Zaɓin ba daidai ba ne. Zaɓi 1-{count}, 9 don komawa, ko 0 don fita.',
+    goodbye: 'Na gode da amfani da Zybra DeFi! 👋',
+    unavailable: 'Sabis ba ya samuwa a yanzu. Don Allah a sake gwadawa daga baya.'
+  },
+
+  main: {
+    welcome: 'Barka da zuwa Zybra DeFi! 💰',
+    welcomeNew: 'Barka da zuwa Zybra DeFi! 🎉\nAn ƙirƙiri walat ɗinka na crypto.',
+    balance: 'Duba Kuɗi',
+    invest: 'Saka Jari a DeFi',
+    withdraw: 'Cire Kuɗi',
+    send: 'Tura Kuɗi',
+    language: 'Harshe',
+    pin: 'Canza PIN',
+    settings: 'Saituna'
+  },
+
+  auth: {
+    failed: 'Tabbatarwa Ta Kasa ❌\n\n{error}\n\nDon Allah a sake gwadawa daga baya.',
+    otpPrompt: 'Tabbatar da Tsaro 🔐\n\nShigar da OTP mai lamba 6 da aka aika zuwa wayarka:\n\n(Shigar da OTP ko 0 don soke)',
+    otpFailed: 'Tabbatarwa Ta Kasa ❌\n\n{error}\n\nShigar da OTP kuma ko 0 don soke:'
+  },
+
+  resume: {
+    continue: 'Ee',
+    startOver: 'Fara daga farko'
+  },
+
+  pin: {
+    create: 'Ƙirƙiri PIN mai lamba 4-6 don kare walat ɗinka:',
+    confirm: 'Sake shigar da PIN ɗinka don tabbatarwa:',
+    invalid: 'PIN dole ta zama lamba 4-6 kuma ba lamba ɗaya da aka maimaita ba.\n\nShigar da PIN:',
+    mismatch: 'PIN ba su dace ba ❌\n\nShigar da PIN mai lamba 4-6:',
+    prompt: 'Shigar da PIN ɗinka don amincewa da wannan ciniki 🔐\n\n(Shigar da PIN ko 0 don sokewa)',
+    wrong: {
+      one: 'PIN ba daidai ba ❌\nSauran gwaji {count}.\n\nShigar da PIN ɗinka ko 0 don sokewa:',
+      other: 'PIN ba daidai ba ❌\nSauran gwaje-gwaje {count}.\n\nShigar da PIN ɗinka ko 0 don sokewa:'
+    },
+    locked: 'An kulle PIN 🔒\n\nKuskure da yawa. Sake gwadawa bayan minti {minutes}, ko sake saita PIN ta Canza PIN a babban menu.',
+    error: 'Ba a iya tabbatar da PIN ɗinka ba. Da fatan a sake gwadawa daga baya.',
+    resetOtp: 'Canza PIN 🔐\n\nShigar da OTP mai lamba 6 da aka aika zuwa wayarka:\n\n(Shigar da OTP ko 0 don sokewa)',
+    new: 'Shigar da sabuwar PIN mai lamba 4-6:',
+    changed: 'An canza PIN ✅\n\nYi amfani da sabuwar PIN a ciniki na gaba.',
+    saveFailed: 'Ba a iya adana PIN ɗinka ba. Da fatan a sake gwadawa daga baya.',
+    cancelled: 'An soke canza PIN. Na gode da amfani da Zybra DeFi! 👋'
+  },
+
+  balance: {
+    header: 'Dukiyarka ta Zybra 💰',
+    wallet: 'Kuɗin Walat: {balance} USDT',
+    investments: 'Jarin DeFi:',
+    position: '{index}. {name}: ${amount}',
+    totalInvested: 'Jimillar Jari: ${amount}',
+    noInvestments: 'Jarin DeFi: $0.00',
+    total: 'Jimillar Dukiya: ${amount}',
+    walletAddress: 'Walat: {address}...',
+    error: 'An kasa samun kuɗinka. Don Allah a sake gwadawa daga baya.'
+  },
+
+  invest: {
+    insufficient: 'Kuɗi Bai Isa Ba 💸\n\nKana buƙatar aƙalla $10 USDT don saka jari.\nKuɗin yanzu: ${balance}\n\nDon Allah ka ƙara kuɗi a walat ɗinka tukuna.',
+    title: 'Saka Jari a DeFi 📈\n\nKuɗi: ${balance} USDT',
+    buyAndInvest: 'Sayi Crypto ka Saka Jari',
+    existingBalance: 'Saka Kuɗin da Ke Akwai',
+    buyPrompt: 'Sayi Crypto ka Saka Jari 💳\n\nShigar da adadin KES:\n(Ƙarami: 1000 KES)',
+    existingPrompt: 'Saka Kuɗin da Ke Akwai 💰\n\nAkwai: ${balance} USDT\n\nShigar da adadin jari:\n(Ƙarami: $10 USDT)',
+    invalidAmount: 'Adadin ba daidai ba ne. Don Allah shigar da lamba daidai.\n\nShigar da adadin jari:',
+    minKes: 'Ƙaramin jari shine 1000 KES.\n\nShigar da adadi a KES:',
+    minUsdt: 'Ƙaramin jari shine $10 USDT.\n\nShigar da adadi a USDT:',
+    insufficientAmount: 'Kuɗi bai isa ba. Akwai: ${balance}\n\nShigar da adadi a USDT:',
+    noVaults: 'Yi haƙuri, babu asusun jari a yanzu. Don Allah a sake gwadawa daga baya.',
+    selectVault: 'Zaɓi Asusun Jari 📊\n\nAdadi: {amount}\n\n{vaults}',
+    vaultLine: '{index}. {name}\n   APY: {apy} | Haɗari: {risk}',
+    confirm: 'Tabbatar da Jari 🔒\n\nAsusu: {vault}\nAdadi: {amount}\nAPY da ake sa rai: {apy}%\nMatakin Haɗari: {risk}',
+    confirmBuy: 'Wannan zai:\n1. Sayi ${usdtAmount} USDT\n2. Saka jari a {symbol}',
+    confirmExisting: 'Wannan zai saka USDT ɗinka a {symbol}',
+    confirmOption: 'Tabbatar da Jari',
+    otpSent: 'Ana Buƙatar Tabbatar da Tsaro 🔐\n\nAn aika OTP zuwa wayarka.\nShigar da lamba 6 don tabbatar da jarinka:\n\n(Shigar da OTP ko 0 don soke)',
+    notAuthorized: 'Ba a Amince da Jari Ba ❌\n\n{error}\n\nDon Allah tuntuɓi masu taimako idan matsalar ta ci gaba.',
+    systemError: 'Saka jari ya kasa saboda matsalar tsarin. Don Allah a sake gwadawa daga baya.',
+    purchaseFailed: 'Saka Jari Ya Kasa ❌\n\nSayen crypto ya kasa: {error}\n\nDon Allah a sake gwadawa daga baya.',
+    quoteExpired: 'Farashi Ya Canza ⏱️\n\nFarashin canjin da kuka tabbatar ya ƙare. Don Allah a sake farawa don samun sabon farashi.',
+    rateUnavailable: 'Babu farashin canji a yanzu. Don Allah a sake gwadawa daga baya.',
+    initiated: 'An Fara Saka Jari! 🚀\n\nMataki 1: Ana sayen {usdtAmount} USDT da {investAmount} KES\n\nZa ka sami umarnin biyan kuɗi ta SMS.\n\nDa zarar an tabbatar da biya, za mu saka jari a {vault} kai tsaye.',
+    insufficientFinal: 'Kuɗi Bai Isa Ba ❌\n\nAna buƙata: ${required}\nAkwai: ${available}\n\nDon Allah ka ƙara kuɗi tukuna.',
+    success: 'An Saka Jari! 🎉\n\nJari: ${amount} USDT\nAsusu: {vault}\nAPY da ake sa rai: {apy}%\n\nJarinka yanzu yana samar da riba!',
+    technicalError: 'Saka jari ya kasa saboda matsalar fasaha. Don Allah a sake gwadawa daga baya.',
+    cancelled: 'An soke saka jari. Na gode da amfani da Zybra DeFi! 👋',
+    resume: 'Ci gaba da zuba jarin {amount} a {vault}?',
+    resumeAmount: 'Ci gaba da zuba jarin {amount}?'
+  },
+
+  withdraw: {
+    noInvestments: 'Babu Jari 📭\n\nBa ka da jarin DeFi da za a cire.\n\nFara saka jari don samun riba!',
+    title: 'Cire Kuɗi 💸\n\nKana da jari {count} masu aiki',
+    fromDefi: 'Cire daga DeFi',
+    toMobileMoney: 'Cire zuwa Mobile Money',
+    mobileMoneySoon: 'Cire zuwa Mobile Money 📱\n\nWannan sabis zai samu nan ba da jimawa ba.\n\nA yanzu, cire zuwa walat ɗinka sannan ka tura.',
+    selectPosition: 'Zaɓi Jarin da Za a Cire 📊\n\n{positions}',
+    positionLine: '{index}. {name}\n   Kuɗi: ${amount}',
+    amountPrompt: 'Adadin Cirewa 💰\n\nDaga: {vault}\nAkwai: ${available}\n\nShigar da adadin cirewa:\n(Mafi yawa: ${available})',
+    invalidAmount: 'Adadin ba daidai ba ne. Don Allah shigar da lamba daidai.\n\nShigar da adadin cirewa:',
+    exceeds: 'Adadin ya wuce abin da ke akwai.\nAkwai: ${available}\n\nShigar da adadin cirewa:',
+    confirm: 'Tabbatar da Cirewa 🔒\n\nDaga: {vault}\nAdadi: ${amount} USDT\nZuwa: Walat ɗinka na Zybra',
+    confirmOption: 'Tabbatar da Cirewa',
+    otpSent: 'Ana Buƙatar Tabbatar da Tsaro 🔐\n\nAn aika OTP zuwa wayarka.\nShigar da lamba 6 don tabbatar da cirewa:\n\n(Shigar da OTP ko 0 don soke)',
+    notAuthorized: 'Ba a Amince da Cirewa Ba ❌\n\n{error}\n\nDon Allah tuntuɓi masu taimako idan matsalar ta ci gaba.',
+    systemError: 'Cirewa ya kasa saboda matsalar tsarin. Don Allah a sake gwadawa daga baya.',
+    success: 'An Cire Kuɗi! 🎉\n\nAn cire: ${amount} USDT\nDaga: {vault}\n\nSabon kuɗin walat: ${balance}\n\nKuɗin yanzu suna walat ɗinka na Zybra!',
+    technicalError: 'Cirewa ya kasa saboda matsalar fasaha. Don Allah a sake gwadawa daga baya.',
+    cancelled: 'An soke cirewa. Na gode da amfani da Zybra DeFi! 👋',
+    resume: 'Ci gaba da cire ${amount} daga {vault}?',
+    resumeVault: 'Ci gaba da cirewa daga {vault}?'
+  },
+
+  send: {
+    prompt: 'Tura Kuɗi 💸\n\nShigar da lambar wayar mai karɓa:\n(misali, 08012345678)',
+    invalidPhone: 'Lambar waya ba daidai ba ce.\n\nShigar da lambar wayar mai karɓa:\n(misali, 08012345678)',
+    self: 'Ba za ka iya tura wa kanka kuɗi ba.\n\nShigar da lambar wayar mai karɓa:',
+    unregistered: '{phone} bai shiga Zybra ba tukuna.\nZa mu iya ajiye kuɗin mu aika masa SMS don ya karɓa.',
+    sendAnyway: 'Tura duk da haka',
+    tryAnother: 'Gwada wata lamba',
+    amountPrompt: 'Tura zuwa {recipient}\nKuɗinka: {balance} ZrUSD\n\nShigar da adadi a ZrUSD:',
+    invalidAmount: 'Adadin ba daidai ba ne. Don Allah shigar da lamba daidai:\n(misali, 10)',
+    insufficient: 'Kuɗi bai isa ba. Za ka iya tura har {max} ZrUSD (kuɗin sabis {fee} ZrUSD).\n\nShigar da adadi a ZrUSD:',
+    confirm: 'Tabbatar da Turawa 📋\n\nZuwa: {recipient}\nTura: {amount} ZrUSD\nKuɗin sabis: {fee} ZrUSD\nJimilla: {total} ZrUSD',
+    youPay: 'Za ka biya ≈ {amount} {currency}',
+    theyGet: 'Zai karɓi ≈ {amount} {currency}',
+    held: 'Za a ajiye har ya shiga Zybra.',
+    confirmOption: 'Tura',
+    otpSent: 'Ana Buƙatar Tabbatar da Tsaro 🔐\n\nAn aika OTP zuwa wayarka.\nShigar da lamba 6 don tabbatar da turawa:\n\n(Shigar da OTP ko 0 don soke)',
+    notAuthorized: 'Ba a Amince da Turawa Ba ❌\n\n{error}\n\nDon Allah tuntuɓi masu taimako idan matsalar ta ci gaba.',
+    cancelled: 'An soke turawa.',
+    success: 'Turawa Ta Yi Nasara! ✅\n\nAn tura: {amount} ZrUSD\nZuwa: {recipient}\nKuɗinka: {balance} ZrUSD\n\nAn aika tabbaci ta SMS.',
+    heldSuccess: 'An Tura Kuɗi! ✅\n\nAn ajiye {amount} ZrUSD don {phone}.\nMun aika masa SMS don ya karɓa.\nIdan ba a karɓa ba cikin kwanaki {days}, za a mayar maka.\nKuɗinka: {balance} ZrUSD',
+    failed: 'Ciniki Ya Kasa ❌\n\nDalili: {error}\n\nDon Allah a sake gwadawa daga baya.',
+    systemError: 'Ciniki ya kasa saboda matsalar tsarin. Don Allah a sake gwadawa daga baya.',
+    resume: 'Ci gaba da tura {amount} ZrUSD zuwa {recipient}?'
+  },
+
+  receive: {
+    details: 'Karɓi Kuɗi 📥\n\nBayananka:\nWaya: {phone}\nWalat: {wallet}...\n\nRaba waɗannan bayanan don karɓar kuɗi.'
+  },
+
+  history: {
+    empty: 'Babu ciniki.\n\nFara amfani da Zybra don ganin tarihin cinikinka a nan.',
+    title: 'Cinikin Kwanan Nan 📊',
+    entry: '{index}. {type} {status}\n   {amount} {currency}\n   {date}',
+    error: 'An kasa samun tarihin ciniki. Don Allah a sake gwadawa daga baya.'
+  },
+
+  account: {
+    notFound: 'Ba a sami asusu ba. Don Allah tuntuɓi masu taimako.',
+    info: 'Bayanan Asusu ℹ️\n\nWaya: {phone}\nWalat: {wallet}...\nKuɗi: {balance} ZrUSD\nRanar shiga: {joined}\n\nWalat na Zamani na Zybra',
+    error: 'An kasa samun bayanan asusu. Don Allah a sake gwadawa daga baya.'
+  },
+
+  settings: {
+    title: 'Saituna ⚙️',
+    notifications: 'Sanarwa',
+    displayName: 'Sunan nuni',
+    displayNamePrompt: 'Masu tura maka kuɗi suna ganin sunanka.\nYanzu: {name}\n\nShigar da suna (haruffa 2-30):',
+    displayNameNone: 'babu',
+    displayNameInvalid: 'Yi amfani da haruffa 2-30, sarari, digo, \' ko -.\n\nShigar da suna:',
+    displayNameSaved: 'An ajiye suna ✅\n\nMasu tura maka kuɗi za su ga: {name}',
+    displayNameError: 'An kasa ajiye sunanka. Don Allah a sake gwadawa daga baya.'
+  },
+
+  notifications: {
+    title: 'Sanarwar SMS 🔔\nZaɓi ɗaya don kunna ko kashe shi.\nAna aika lambobin tsaro koyaushe.',
+    marketing: 'Labarai da tayi',
+    transaction_alerts: 'Sanarwar ciniki',
+    balance_digests: 'Bayanin kuɗi',
+    security_alerts: 'Sanarwar tsaro',
+    plain_text: 'SMS rubutu kawai (babu emoji)',
+    on: 'A KUNNE',
+    off: 'A KASHE',
+    error: 'Ba a iya sabunta sanarwarka ba. Don Allah a sake gwadawa daga baya.'
+  },
+
+  help: {
+    ussd: 'Taimakon Zybra 📱\n\nSabis:\n• Duba Kuɗi\n• Tura/Karɓi Kuɗi\n• Tarihin Ciniki\n• Sarrafa Asusu\n\nTaimako:\n• SMS: Aika {help} zuwa wannan lamba\n• Imel: help@zybra.com\n• Yanar gizo: www.zybra.com\n\nNa gode da amfani da Zybra!'
+  },
+
+  sms: {
+    transaction: {
+      completed: '✅ An Tabbatar da Ciniki!\nIri: {type}\nAdadi: {amount} {currency}\nTX: {tx}\nLokaci: {time}\nNa gode da amfani da Zybra!',
+      failed: '❌ Ciniki Ya Kasa!\nIri: {type}\nAdadi: {amount} {currency}\nDon Allah a sake gwadawa ko tuntuɓi masu taimako.\nZybra Support',
+      pending: '⏳ Ciniki Yana Jira...\nIri: {type}\nAdadi: {amount} {currency}\nZa mu sanar da kai idan an tabbatar.\nZybra',
+      txPending: 'Yana jira'
+    },
+    notification: {
+      completed: '✅ An Tabbatar da Ciniki!\n{type}: {amount} {currency}\nLokaci: {time}\nZybra',
+      failed: '❌ Ciniki Ya Kasa!\n{type}: {amount} {currency}\nDon Allah a sake gwadawa.\nZybra',
+      pending: '⏳ Ciniki Yana Jira...\n{type}: {amount} {currency}\nZa mu sanar da kai idan an tabbatar.\nZybra'
+    },
+    balance: '💰 Kuɗinka na Zybra\nKuɗi: {balance} {currency}\nLokaci: {time}\nKira *384*96# don ƙarin zaɓuɓɓuka',
+    balanceShort: '💰 Kuɗinka na Zybra: {balance} ZrUSD\nLokaci: {time}\nKira *384*96# don ƙarin zaɓuɓɓuka',
+    received: '💸 Ka karɓi {amount} ZrUSD\nDaga: {sender}\nKuɗi: {balance} ZrUSD\nTX: {tx}\nZybra',
+    claimInvite: '💸 {sender} ya tura maka {amount} ZrUSD a Zybra.\nKira *384*96# cikin kwanaki {days} don buɗe walat kyauta ka karɓa.',
+    claimRefunded: '↩️ {amount} ZrUSD da ka tura wa {phone} ba a karɓa ba cikin kwanaki {days}, an mayar da su walat ɗinka.',
+    welcome: '🎉 Barka da zuwa Zybra!\nWalat ɗinka na zamani ya shirya.\nWalat: {wallet}...\nKira *384*96# don farawa\nAika {help} don samun taimako',
+    otp: '🔐 Lambar Tsaro ta Zybra: {otp}\nYi amfani da wannan lamba don {purpose}.\nTana aiki na minti 5 kawai.\nKada ka ba kowa wannan lamba!\nIdan ba kai ka nema ba, tuntuɓi masu taimako.',
+    otpPurpose: {
+      authentication: 'shiga asusunka',
+      transaction: 'tabbatar da cinikinka',
+      investment: 'tabbatar da jarinka',
+      withdrawal: 'tabbatar da cirewarka',
+      wallet_access: 'shiga walat ɗinka',
+      pin_reset: 'canza PIN ɗinka',
+      default: 'tabbatar da kai ne'
+    },
+    alert: '⚠️ Sanarwar Zybra\n{message}\nIdan kana buƙatar taimako, amsa {help}\nZybra Support',
+    accountNotFound: 'Ba a sami asusu ba. Kira *384*96# don buɗe asusu.',
+    balanceError: 'An kasa samun kuɗinka. Don Allah a sake gwadawa.',
+    help: '📱 Taimakon Zybra\nUmarni:\n• {balance} - Duba kuɗi\n• {help} - Wannan saƙo\n• {stop} - Daina karɓar saƙonni\n• {send} 500 NGN GA 08.. - Aika kuɗi\n• {invest} 20 <vault> - Zuba jari\n• {withdraw} 10 - Cire kuɗi\n• {history} 5 - Tarihi\n• {vaults} - Vaults\n\nKira *384*96# don cikakken menu\nTaimako: help@zybra.com',
+    unsubscribed: 'Ka daina karɓar saƙonnin SMS na Zybra.\nZa a ci gaba da aika lambobin tsaro.\nDon sake shiga, amsa {start} ko kira *384*96# > Saituna > Sanarwa.',
+    subscribed: 'Ka sake shiga saƙonnin SMS na Zybra ✅\nDon dainawa, amsa {stop}.',
+    otpInvalid: 'Lambar tabbatarwa ba daidai ba ce ko ta ƙare.',
+    otpVerified: '✅ An tabbatar!',
+    verificationError: 'Tabbatarwa ta kasa. Don Allah a sake gwadawa.',
+    unknownCommand: 'Ba a gane umarnin ba: "{text}"\nAika {help} don ganin umarni\nKo kira *384*96# don cikakken menu',
+    commands: {
+      usage: {
+        SEND: 'Don aika kuɗi ka amsa:\n{keyword} <adadi> [kuɗi] GA <waya>\nMisali: {keyword} 500 NGN GA 08012345678',
+        INVEST: 'Don zuba jari ka amsa:\n{keyword} <adadi> <vault>\nMisali: {keyword} 20 STEAKHOUSE\nAika {vaultsKeyword} don ganin vaults',
+        WITHDRAW: 'Don cire jari ka amsa:\n{keyword} <adadi> [vault]\nMisali: {keyword} 10',
+        HISTORY: 'Don ganin mu\'amaloli na baya-bayan nan ka amsa:\n{keyword} [1-10]\nMisali: {keyword} 5',
+        VAULTS: 'Don ganin vaults na jari aika {keyword}'
+      },
+      invalidAmount: 'Adadi ba daidai ba ne. Yi amfani da lambobi kawai, misali 500 ko 12.50.\nAika {keyword} don taimako.',
+      invalidPhone: 'Lambar waya ba daidai ba ce. Yi amfani da misali 08012345678 ko 2348012345678.',
+      invalidCurrency: 'Ba a karɓar wannan kuɗin. Yi amfani da ZrUSD ko kuɗin ƙasarku.',
+      selfTransfer: 'Ba za ka iya aika kuɗi zuwa lambarka ba.',
+      insufficient: 'Kuɗi bai isa ba.\nAkwai: {balance} ZrUSD\nAna buƙata: {required} ZrUSD',
+      minInvestment: 'Mafi ƙarancin jari shine ${min} USDT.',
+      vaultsUnavailable: 'Babu vaults na jari a yanzu. Da fatan za a sake gwadawa daga baya.',
+      vaultNotFound: 'Babu vault da ya dace da "{vault}".\nAika {vaultsKeyword} don ganin vaults.',
+      vaultAmbiguous: '"{vault}" ya dace da vaults da yawa: {vaults}\nDa fatan za a yi amfani da cikakken suna.',
+      noPositions: 'Ba ka da jarin da za a cire.',
+      exceedsPosition: 'Adadin ya wuce jarinka na {vault} na ${available}.',
+      summary: {
+        SEND: 'Aika {amount} {currency} zuwa {phone}\nKuɗin sabis: {fee} ZrUSD',
+        SEND_HELD: 'Aika {amount} {currency} zuwa {phone}\nKuɗin sabis: {fee} ZrUSD\n{phone} bai shiga Zybra ba tukuna. Za a ajiye kuɗin don ya karɓa cikin kwanaki {days}, sannan a mayar maka.',
+        INVEST: 'Zuba ${amount} USDT a {vault}\nAPY da ake tsammani: {apy}',
+        WITHDRAW: 'Cire ${amount} USDT daga {vault}'
+      },
+      confirm: '{summary}\n\nAmsa da {code} don tabbatarwa.\nLambar za ta ƙare bayan minti {minutes}.',
+      confirmWithPin: '{summary}\n\nAmsa da {code} sannan PIN ɗinka don tabbatarwa, misali {code} 1234\nLambar za ta ƙare bayan minti {minutes}.',
+      wrongCode: {
+        one: 'Lambar tabbatarwa ba daidai ba ce. Ya rage ƙoƙari {count}.',
+        other: 'Lambar tabbatarwa ba daidai ba ce. Ya rage ƙoƙari {count}.'
+      },
+      codeLocked: 'Lambobi marasa daidai sun yi yawa. An soke buƙatar; da fatan za a sake aika umarnin.',
+      pinRequired: 'Da fatan za a amsa da lambar tabbatarwa sannan PIN ɗinka.',
+      pinWrong: {
+        one: 'PIN ba daidai ba ne. Ya rage ƙoƙari {count}. Amsa da lambar da PIN ɗinka.',
+        other: 'PIN ba daidai ba ne. Ya rage ƙoƙari {count}. Amsa da lambar da PIN ɗinka.'
+      },
+      pinLocked: 'PIN marasa daidai sun yi yawa. An kulle PIN ɗinka na minti {minutes}.\nKira *384*96# don canza shi.',
+      notAuthorized: 'Ba a amince da mu\'amalar ba: {error}',
+      failed: 'Mu\'amalar ta gaza: {error}\nDa fatan za a sake gwadawa ko kira *384*96#.',
+      invested: '✅ An zuba jari cikin nasara!\nAn zuba: ${amount} USDT\nVault: {vault}\nKuɗin walat: ${balance}',
+      withdrawn: '✅ An cire cikin nasara!\nAn cire: ${amount} USDT\nDaga: {vault}\nKuɗin walat: ${balance}',
+      history: '📜 Mu\'amaloli na baya-bayan nan\n{lines}',
+      historyLine: '{index}. {type} {amount} {currency} {status} {date}',
+      historyEmpty: 'Babu mu\'amala tukuna.',
+      vaults: '📊 Vaults na jari\n{lines}\n\nDon zuba jari aika {keyword} <adadi> <vault>',
+      vaultLine: '{index}. {name} {apy} ({risk})'
+    }
+  }
+};
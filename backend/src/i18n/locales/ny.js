@@ -0,0 +1,300 @@
+// Chichewa (Chinyanja) message catalogue
+module.exports = {
+  language: {
+    name: 'Chichewa',
+    prompt: 'Sankhani chilankhulo 🌍'
+  },
+
+  keywords: {
+    BALANCE: ['NDALAMA', 'ZOTSALA'],
+    HELP: ['THANDIZO'],
+    STOP: ['LEKANI', 'IMANI'],
+    START: ['YAMBANI', 'START'],
+    SEND: ['SEND'],
+    INVEST: ['INVEST'],
+    WITHDRAW: ['WITHDRAW'],
+    HISTORY: ['HIST', 'HISTORY'],
+    VAULTS: ['VAULTS']
+  },
+
+  menu: {
+    exit: 'Tulukani',
+    back: 'Bwererani',
+    backToMain: 'Bwererani ku Menyu Yaikulu',
+    cancel: 'Lekani',
+    more: 'Zina',
+    prev: 'Zam\'mbuyo',
+    invalid: 'Mwasankha molakwika. Chonde yesaninso.',
+    invalidChoose: 'Mwasankha molakwika. Chonde sankhani:',
+    invalidSelection: 'Mwasankha molakwika. Sankhani 1-{count}, 9 kubwerera, kapena 0 kutuluka.',
+    goodbye: 'Zikomo pogwiritsa ntchito Zybra DeFi! 👋',
+    unavailable: 'Ntchitoyi sikupezeka pakali pano. Chonde yesaninso nthawi ina.'
+  },
+
+  main: {
+    welcome: 'Takulandirani ku Zybra DeFi! 💰',
+    welcomeNew: 'Takulandirani ku Zybra DeFi! 🎉\nChikwama chanu cha crypto chapangidwa.',
+    balance: 'Onani Ndalama',
+    invest: 'Ikani Ndalama mu DeFi',
+    withdraw: 'Tulutsani Ndalama',
+    send: 'Tumizani Ndalama',
+    language: 'Chilankhulo',
+    pin: 'Sinthani PIN',
+    settings: 'Zokonza'
+  },
+
+  auth: {
+    failed: 'Kutsimikizira Kwalephera ❌\n\n{error}\n\nChonde yesaninso nthawi ina.',
+    otpPrompt: 'Chitetezo 🔐\n\nLembani OTP ya manambala 6 yotumizidwa ku foni yanu:\n\n(Lembani OTP kapena 0 kulekeza)',
+    otpFailed: 'Kutsimikizira Kwalephera ❌\n\n{error}\n\nLembani OTP kachiwiri kapena 0 kulekeza:'
+  },
+
+  resume: {
+    continue: 'Inde',
+    startOver: 'Yambani forere'
+  },
+
+  pin: {
+    create: 'Pangani PIN ya manambala 4-6 kuteteza chikwama chanu:',
+    confirm: 'Lowetsaninso PIN yanu kutsimikiza:',
+    invalid: 'PIN iyenera kukhala manambala 4-6 osati nambala imodzi yobwerezabwereza.\n\nLowetsani PIN:',
+    mismatch: 'Ma PIN sakugwirizana ❌\n\nLowetsani PIN ya manambala 4-6:',
+    prompt: 'Lowetsani PIN yanu kuvomereza malonda awa 🔐\n\n(Lowetsani PIN kapena 0 kuletsa)',
+    wrong: {
+      one: 'PIN yolakwika ❌\nYatsala mwayi {count}.\n\nLowetsani PIN yanu kapena 0 kuletsa:',
+      other: 'PIN yolakwika ❌\nYatsala mwayi {count}.\n\nLowetsani PIN yanu kapena 0 kuletsa:'
+    },
+    locked: 'PIN yatsekedwa 🔒\n\nMwalakwitsa kambiri. Yesaninso pakapita mphindi {minutes}, kapena sinthani PIN kudzera pa Sinthani PIN mu menyu yaikulu.',
+    error: 'Sitinathe kutsimikiza PIN yanu. Chonde yesaninso nthawi ina.',
+    resetOtp: 'Sinthani PIN 🔐\n\nLowetsani OTP ya manambala 6 yotumizidwa ku foni yanu:\n\n(Lowetsani OTP kapena 0 kuletsa)',
+    new: 'Lowetsani PIN yanu yatsopano ya manambala 4-6:',
+    changed: 'PIN yasinthidwa ✅\n\nGwiritsani ntchito PIN yatsopano pa malonda otsatira.',
+    saveFailed: 'Sitinathe kusunga PIN yanu. Chonde yesaninso nthawi ina.',
+    cancelled: 'Kusintha PIN kwaletsedwa. Zikomo pogwiritsa ntchito Zybra DeFi! 👋'
+  },
+
+  balance: {
+    header: 'Chuma Chanu cha Zybra 💰',
+    wallet: 'Ndalama mu Chikwama: {balance} USDT',
+    investments: 'Ndalama Zoikidwa mu DeFi:',
+    position: '{index}. {name}: ${amount}',
+    totalInvested: 'Zonse Zoikidwa: ${amount}',
+    noInvestments: 'Ndalama Zoikidwa mu DeFi: $0.00',
+    total: 'Chuma Chonse: ${amount}',
+    walletAddress: 'Chikwama: {address}...',
+    error: 'Sitinathe kupeza ndalama zanu. Chonde yesaninso nthawi ina.'
+  },
+
+  invest: {
+    insufficient: 'Ndalama Sizikukwanira 💸\n\nMukufunika osachepera $10 USDT kuti muike ndalama.\nNdalama zilipo: ${balance}\n\nChonde onjezani ndalama mu chikwama chanu kaye.',
+    title: 'Ikani Ndalama mu DeFi 📈\n\nNdalama: ${balance} USDT',
+    buyAndInvest: 'Gulani Crypto ndi Kuika',
+    existingBalance: 'Ikani Ndalama Zomwe Zilipo',
+    buyPrompt: 'Gulani Crypto ndi Kuika 💳\n\nLembani kuchuluka kwa KES:\n(Osachepera: 1000 KES)',
+    existingPrompt: 'Ikani Ndalama Zomwe Zilipo 💰\n\nZilipo: ${balance} USDT\n\nLembani kuchuluka koika:\n(Osachepera: $10 USDT)',
+    invalidAmount: 'Kuchuluka kolakwika. Chonde lembani nambala yolondola.\n\nLembani kuchuluka koika:',
+    minKes: 'Osachepera ndi 1000 KES.\n\nLembani kuchuluka mu KES:',
+    minUsdt: 'Osachepera ndi $10 USDT.\n\nLembani kuchuluka mu USDT:',
+    insufficientAmount: 'Ndalama sizikukwanira. Zilipo: ${balance}\n\nLembani kuchuluka mu USDT:',
+    noVaults: 'Pepani, palibe malo oika ndalama pakali pano. Chonde yesaninso nthawi ina.',
+    selectVault: 'Sankhani Malo Oika Ndalama 📊\n\nKuchuluka: {amount}\n\n{vaults}',
+    vaultLine: '{index}. {name}\n   APY: {apy} | Chiopsezo: {risk}',
+    confirm: 'Tsimikizirani Kuika Ndalama 🔒\n\nMalo: {vault}\nKuchuluka: {amount}\nAPY Yoyembekezeka: {apy}%\nChiopsezo: {risk}',
+    confirmBuy: 'Izi zichita:\n1. Kugula ${usdtAmount} USDT\n2. Kuika mu {symbol}',
+    confirmExisting: 'Izi ziika USDT yanu mu {symbol}',
+    confirmOption: 'Tsimikizirani',
+    otpSent: 'Chitetezo Chikufunika 🔐\n\nOTP yatumizidwa ku foni yanu.\nLembani manambala 6 kutsimikizira kuika ndalama:\n\n(Lembani OTP kapena 0 kulekeza)',
+    notAuthorized: 'Kuika Ndalama Sikunaloledwe ❌\n\n{error}\n\nChonde lumikizanani ndi othandiza ngati vutoli lipitilira.',
+    systemError: 'Kuika ndalama kwalephera chifukwa cha vuto la makina. Chonde yesaninso nthawi ina.',
+    purchaseFailed: 'Kuika Ndalama Kwalephera ❌\n\nKugula crypto kwalephera: {error}\n\nChonde yesaninso nthawi ina.',
+    quoteExpired: 'Mtengo Wasintha ⏱️\n\nMtengo wosinthira umene munavomereza watha nthawi. Chonde yambaninso kuti mupeze mtengo watsopano.',
+    rateUnavailable: 'Mitengo yosinthira sikupezeka pano. Chonde yesaninso nthawi ina.',
+    initiated: 'Kuika Ndalama Kwayamba! 🚀\n\nGawo 1: Kugula {usdtAmount} USDT ndi {investAmount} KES\n\nMulandira malangizo a malipiro pa SMS.\n\nMalipiro akatsimikizika, tiika ndalama mu {vault} tokha.',
+    insufficientFinal: 'Ndalama Sizikukwanira ❌\n\nZofunika: ${required}\nZilipo: ${available}\n\nChonde onjezani ndalama kaye.',
+    success: 'Kuika Ndalama Kwatheka! 🎉\n\nMwaika: ${amount} USDT\nMalo: {vault}\nAPY Yoyembekezeka: {apy}%\n\nNdalama zanu zayamba kupindula!',
+    technicalError: 'Kuika ndalama kwalephera chifukwa cha vuto laukadaulo. Chonde yesaninso nthawi ina.',
+    cancelled: 'Kuika ndalama kwalekedwa. Zikomo pogwiritsa ntchito Zybra DeFi! 👋',
+    resume: 'Pitirizani ndalama zanu za {amount} mu {vault}?',
+    resumeAmount: 'Pitirizani ndalama zanu za {amount}?'
+  },
+
+  withdraw: {
+    noInvestments: 'Palibe Ndalama Zoikidwa 📭\n\nMulibe ndalama zoikidwa mu DeFi zoti mutulutse.\n\nYambani kuika ndalama kuti mupindule!',
+    title: 'Tulutsani Ndalama 💸\n\nMuli ndi ndalama zoikidwa pa malo {count}',
+    fromDefi: 'Tulutsani ku DeFi',
+    toMobileMoney: 'Tulutsani ku Mobile Money',
+    mobileMoneySoon: 'Tulutsani ku Mobile Money 📱\n\nNtchitoyi ibwera posachedwa.\n\nPakadali pano, tulutsani ku chikwama chanu kenako mutumize.',
+    selectPosition: 'Sankhani Zoti Mutulutse 📊\n\n{positions}',
+    positionLine: '{index}. {name}\n   Ndalama: ${amount}',
+    amountPrompt: 'Kuchuluka Kotulutsa 💰\n\nKuchokera: {vault}\nZilipo: ${available}\n\nLembani kuchuluka kotulutsa:\n(Pamwamba: ${available})',
+    invalidAmount: 'Kuchuluka kolakwika. Chonde lembani nambala yolondola.\n\nLembani kuchuluka kotulutsa:',
+    exceeds: 'Kuchuluka kwapitirira zomwe zilipo.\nZilipo: ${available}\n\nLembani kuchuluka kotulutsa:',
+    confirm: 'Tsimikizirani Kutulutsa 🔒\n\nKuchokera: {vault}\nKuchuluka: ${amount} USDT\nKupita: Chikwama chanu cha Zybra',
+    confirmOption: 'Tsimikizirani Kutulutsa',
+    otpSent: 'Chitetezo Chikufunika 🔐\n\nOTP yatumizidwa ku foni yanu.\nLembani manambala 6 kutsimikizira kutulutsa:\n\n(Lembani OTP kapena 0 kulekeza)',
+    notAuthorized: 'Kutulutsa Sikunaloledwe ❌\n\n{error}\n\nChonde lumikizanani ndi othandiza ngati vutoli lipitilira.',
+    systemError: 'Kutulutsa kwalephera chifukwa cha vuto la makina. Chonde yesaninso nthawi ina.',
+    success: 'Kutulutsa Kwatheka! 🎉\n\nMwatulutsa: ${amount} USDT\nKuchokera: {vault}\n\nNdalama mu chikwama: ${balance}\n\nNdalama zili mu chikwama chanu cha Zybra!',
+    technicalError: 'Kutulutsa kwalephera chifukwa cha vuto laukadaulo. Chonde yesaninso nthawi ina.',
+    cancelled: 'Kutulutsa kwalekedwa. Zikomo pogwiritsa ntchito Zybra DeFi! 👋',
+    resume: 'Pitirizani kutulutsa ${amount} kuchokera ku {vault}?',
+    resumeVault: 'Pitirizani kutulutsa kuchokera ku {vault}?'
+  },
+
+  send: {
+    prompt: 'Tumizani Ndalama 💸\n\nLembani nambala ya foni ya wolandira:\n(mwachitsanzo, 0991234567)',
+    invalidPhone: 'Nambala ya foni yolakwika.\n\nLembani nambala ya foni ya wolandira:\n(mwachitsanzo, 0991234567)',
+    self: 'Simungadzitumizire nokha ndalama.\n\nLembani nambala ya foni ya wolandira:',
+    unregistered: '{phone} sanalowe ku Zybra.\nTikhoza kusunga ndalamazo ndi kuwatumizira SMS kuti azitenge.',
+    sendAnyway: 'Tumizani basi',
+    tryAnother: 'Yesani nambala ina',
+    amountPrompt: 'Tumizani kwa {recipient}\nNdalama zanu: {balance} ZrUSD\n\nLembani kuchuluka mu ZrUSD:',
+    invalidAmount: 'Kuchuluka kolakwika. Chonde lembani nambala yolondola:\n(mwachitsanzo, 10)',
+    insufficient: 'Ndalama sizikukwanira. Mungatumize mpaka {max} ZrUSD (malipiro {fee} ZrUSD).\n\nLembani kuchuluka mu ZrUSD:',
+    confirm: 'Tsimikizirani Kutumiza 📋\n\nKwa: {recipient}\nTumizani: {amount} ZrUSD\nMalipiro: {fee} ZrUSD\nZonse: {total} ZrUSD',
+    youPay: 'Mulipira ≈ {amount} {currency}',
+    theyGet: 'Alandira ≈ {amount} {currency}',
+    held: 'Zisungidwa mpaka alowe ku Zybra.',
+    confirmOption: 'Tumizani',
+    otpSent: 'Chitetezo Chikufunika 🔐\n\nOTP yatumizidwa ku foni yanu.\nLembani manambala 6 kutsimikizira kutumiza:\n\n(Lembani OTP kapena 0 kulekeza)',
+    notAuthorized: 'Kutumiza Sikunaloledwe ❌\n\n{error}\n\nChonde lumikizanani ndi othandiza ngati vutoli lipitilira.',
+    cancelled: 'Kutumiza kwalekedwa.',
+    success: 'Kutumiza Kwatheka! ✅\n\nMwatumiza: {amount} ZrUSD\nKwa: {recipient}\nNdalama zanu: {balance} ZrUSD\n\nChitsimikizo chatumizidwa pa SMS.',
+    heldSuccess: 'Ndalama Zatumizidwa! ✅\n\n{amount} ZrUSD zasungidwa kwa {phone}.\nTawatumizira SMS kuti azitenge.\nNgati sizitengedwa pasanathe masiku {days}, zibwerera kwa inu.\nNdalama zanu: {balance} ZrUSD',
+    failed: 'Kutumiza Kwalephera ❌\n\nChifukwa: {error}\n\nChonde yesaninso nthawi ina.',
+    systemError: 'Kutumiza kwalephera chifukwa cha vuto la makina. Chonde yesaninso nthawi ina.',
+    resume: 'Pitirizani kutumiza {amount} ZrUSD kwa {recipient}?'
+  },
+
+  receive: {
+    details: 'Landirani Ndalama 📥\n\nZambiri Zanu:\nFoni: {phone}\nChikwama: {wallet}...\n\nGawanani zambirizi kuti mulandire ndalama.'
+  },
+
+  history: {
+    empty: 'Palibe zochitika.\n\nYambani kugwiritsa ntchito Zybra kuti muone mbiri ya zochitika zanu pano.',
+    title: 'Zochitika Zaposachedwa 📊',
+    entry: '{index}. {type} {status}\n   {amount} {currency}\n   {date}',
+    error: 'Sitinathe kupeza mbiri ya zochitika. Chonde yesaninso nthawi ina.'
+  },
+
+  account: {
+    notFound: 'Akaunti sinapezeke. Chonde lumikizanani ndi othandiza.',
+    info: 'Zambiri za Akaunti ℹ️\n\nFoni: {phone}\nChikwama: {wallet}...\nNdalama: {balance} ZrUSD\nAnalowa: {joined}\n\nChikwama cha Digito cha Zybra',
+    error: 'Sitinathe kupeza zambiri za akaunti. Chonde yesaninso nthawi ina.'
+  },
+
+  settings: {
+    title: 'Zokonza ⚙️',
+    notifications: 'Zidziwitso',
+    displayName: 'Dzina lanu',
+    displayNamePrompt: 'Dzina lanu limaoneka kwa anthu okutumizirani ndalama.\nPano: {name}\n\nLembani dzina (zilembo 2-30):',
+    displayNameNone: 'palibe',
+    displayNameInvalid: 'Gwiritsani ntchito zilembo 2-30, mipata, madontho, \' kapena -.\n\nLembani dzina:',
+    displayNameSaved: 'Dzina lasungidwa ✅\n\nAnthu okutumizirani ndalama adzaona: {name}',
+    displayNameError: 'Sitinathe kusunga dzina lanu. Chonde yesaninso nthawi ina.'
+  },
+
+  notifications: {
+    title: 'Zidziwitso za SMS 🔔\nSankhani chimodzi kuti muyatse kapena kuzimitsa.\nManambala a chitetezo amatumizidwa nthawi zonse.',
+    marketing: 'Nkhani ndi zotsatsa',
+    transaction_alerts: 'Zidziwitso za malonda',
+    balance_digests: 'Zosintha za ndalama',
+    security_alerts: 'Zidziwitso za chitetezo',
+    plain_text: 'SMS za mawu okha (popanda emoji)',
+    on: 'ZAYATSIDWA',
+    off: 'ZAZIMITSIDWA',
+    error: 'Sitinathe kusintha zidziwitso zanu. Chonde yesaninso nthawi ina.'
+  },
+
+  help: {
+    ussd: 'Thandizo la Zybra 📱\n\nNtchito:\n• Onani Ndalama\n• Tumizani/Landirani Ndalama\n• Mbiri ya Zochitika\n• Kasamalidwe ka Akaunti\n\nThandizo:\n• SMS: Tumizani {help} ku nambala iyi\n• Imelo: help@zybra.com\n• Webusaiti: www.zybra.com\n\nZikomo pogwiritsa ntchito Zybra!'
+  },
+
+  sms: {
+    transaction: {
+      completed: '✅ Zochitika Zatsimikizika!\nMtundu: {type}\nKuchuluka: {amount} {currency}\nTX: {tx}\nNthawi: {time}\nZikomo pogwiritsa ntchito Zybra!',
+      failed: '❌ Zochitika Zalephera!\nMtundu: {type}\nKuchuluka: {amount} {currency}\nChonde yesaninso kapena lumikizanani ndi othandiza.\nZybra Support',
+      pending: '⏳ Zochitika Zikudikira...\nMtundu: {type}\nKuchuluka: {amount} {currency}\nTikudziwitsani zikatsimikizika.\nZybra',
+      txPending: 'Zikudikira'
+    },
+    notification: {
+      completed: '✅ Zochitika Zatsimikizika!\n{type}: {amount} {currency}\nNthawi: {time}\nZybra',
+      failed: '❌ Zochitika Zalephera!\n{type}: {amount} {currency}\nChonde yesaninso.\nZybra',
+      pending: '⏳ Zochitika Zikudikira...\n{type}: {amount} {currency}\nTikudziwitsani zikatsimikizika.\nZybra'
+    },
+    balance: '💰 Ndalama Zanu za Zybra\nNdalama: {balance} {currency}\nNthawi: {time}\nImbani *384*96# kuti mupeze zambiri',
+    balanceShort: '💰 Ndalama Zanu za Zybra: {balance} ZrUSD\nNthawi: {time}\nImbani *384*96# kuti mupeze zambiri',
+    received: '💸 Mwalandira {amount} ZrUSD\nKuchokera: {sender}\nNdalama: {balance} ZrUSD\nTX: {tx}\nZybra',
+    claimInvite: '💸 {sender} wakutumizirani {amount} ZrUSD pa Zybra.\nImbani *384*96# pasanathe masiku {days} kuti mupange chikwama chaulere ndi kuzitenga.',
+    claimRefunded: '↩️ {amount} ZrUSD zomwe munatumizira {phone} sizinatengedwe pasanathe masiku {days} ndipo zabwerera ku chikwama chanu.',
+    welcome: '🎉 Takulandirani ku Zybra!\nChikwama chanu cha digito chakonzeka.\nChikwama: {wallet}...\nImbani *384*96# kuti muyambe\nTumizani {help} kuti mupeze thandizo',
+    otp: '🔐 Nambala ya Chitetezo ya Zybra: {otp}\nGwiritsani ntchito nambalayi {purpose}.\nIgwira ntchito kwa mphindi 5 zokha.\nMusagawane nambalayi ndi wina aliyense!\nNgati simunapemphe, lumikizanani ndi othandiza.',
+    otpPurpose: {
+      authentication: 'kulowa mu akaunti yanu',
+      transaction: 'kutsimikizira zochitika zanu',
+      investment: 'kutsimikizira kuika ndalama',
+      withdrawal: 'kutsimikizira kutulutsa ndalama',
+      wallet_access: 'kulowa mu chikwama chanu',
+      pin_reset: 'kusintha PIN yanu',
+      default: 'kutsimikizira kuti ndinu ndani'
+    },
+    alert: '⚠️ Chenjezo la Zybra\n{message}\nNgati mukufuna thandizo, yankhani {help}\nZybra Support',
+    accountNotFound: 'Akaunti sinapezeke. Imbani *384*96# kuti mupange akaunti.',
+    balanceError: 'Sitinathe kupeza ndalama zanu. Chonde yesaninso.',
+    help: '📱 Thandizo la Zybra\nMalamulo:\n• {balance} - Onani ndalama\n• {help} - Uthenga uwu\n• {stop} - Siyani kulandira\n• {send} 500 MWK KU 09.. - Tumizani ndalama\n• {invest} 20 <vault> - Ikani ndalama\n• {withdraw} 10 - Tulutsani\n• {history} 5 - Mbiri\n• {vaults} - Ma vault\n\nImbani *384*96# kuti mupeze menyu yonse\nThandizo: help@zybra.com',
+    unsubscribed: 'Mwasiya kulandira mauthenga a SMS a Zybra.\nManambala a chitetezo adzatumizidwabe.\nKuti muyambirenso, yankhani {start} kapena imbani *384*96# > Zokonza > Zidziwitso.',
+    subscribed: 'Mwayambiranso kulandira mauthenga a SMS a Zybra ✅\nKuti musiye, yankhani {stop}.',
+    otpInvalid: 'Nambala yotsimikizira ndi yolakwika kapena yatha ntchito.',
+    otpVerified: '✅ Kutsimikizira kwatheka!',
+    verificationError: 'Kutsimikizira kwalephera. Chonde yesaninso.',
+    unknownCommand: 'Lamulo silikudziwika: "{text}"\nTumizani {help} kuti muone malamulo\nKapena imbani *384*96# kuti mupeze menyu yonse',
+    commands: {
+      usage: {
+        SEND: 'Kutumiza ndalama yankhani:\n{keyword} <ndalama> [mtundu] KU <foni>\nMwachitsanzo: {keyword} 500 MWK KU 0991234567',
+        INVEST: 'Kuika ndalama yankhani:\n{keyword} <ndalama> <vault>\nMwachitsanzo: {keyword} 20 STEAKHOUSE\nTumizani {vaultsKeyword} kuti muone ma vault',
+        WITHDRAW: 'Kutulutsa ndalama zoikidwa yankhani:\n{keyword} <ndalama> [vault]\nMwachitsanzo: {keyword} 10',
+        HISTORY: 'Kuona zochitika zaposachedwa yankhani:\n{keyword} [1-10]\nMwachitsanzo: {keyword} 5',
+        VAULTS: 'Kuti muone ma vault tumizani {keyword}'
+      },
+      invalidAmount: 'Ndalama sizolondola. Gwiritsani ntchito manambala okha, mwachitsanzo 500 kapena 12.50.\nTumizani {keyword} kuti muthandizidwe.',
+      invalidPhone: 'Nambala ya foni siyolondola. Gwiritsani ntchito mwachitsanzo 0991234567 kapena 265991234567.',
+      invalidCurrency: 'Mtundu wa ndalama sulandiridwa. Gwiritsani ntchito ZrUSD kapena ndalama za dziko lanu.',
+      selfTransfer: 'Simungatumize ndalama ku nambala yanu.',
+      insufficient: 'Ndalama sizikukwanira.\nZilipo: {balance} ZrUSD\nZofunika: {required} ZrUSD',
+      minInvestment: 'Ndalama zochepa zoika ndi ${min} USDT.',
+      vaultsUnavailable: 'Ma vault sakupezeka pakali pano. Chonde yesaninso pambuyo pake.',
+      vaultNotFound: 'Palibe vault yofanana ndi "{vault}".\nTumizani {vaultsKeyword} kuti muone ma vault.',
+      vaultAmbiguous: '"{vault}" ikufanana ndi ma vault angapo: {vaults}\nChonde lembani dzina lalitali.',
+      noPositions: 'Mulibe ndalama zoikidwa zoti mutulutse.',
+      exceedsPosition: 'Ndalamazi zaposa ndalama zanu za {vault} za ${available}.',
+      summary: {
+        SEND: 'Tumizani {amount} {currency} ku {phone}\nMalipiro: {fee} ZrUSD',
+        SEND_HELD: 'Tumizani {amount} {currency} ku {phone}\nMalipiro: {fee} ZrUSD\n{phone} sanalowe ku Zybra. Ndalama zisungidwa kuti azitenge pasanathe masiku {days}, kenako zibwerera kwa inu.',
+        INVEST: 'Ikani ${amount} USDT mu {vault}\nAPY yoyembekezeka: {apy}',
+        WITHDRAW: 'Tulutsani ${amount} USDT kuchokera mu {vault}'
+      },
+      confirm: '{summary}\n\nYankhani {code} kuti mutsimikize.\nKhodi itha pakatha mphindi {minutes}.',
+      confirmWithPin: '{summary}\n\nYankhani {code} kenako PIN yanu kuti mutsimikize, mwachitsanzo {code} 1234\nKhodi itha pakatha mphindi {minutes}.',
+      wrongCode: {
+        one: 'Khodi yotsimikizira siyolondola. Mwatsala ndi mwayi {count}.',
+        other: 'Khodi yotsimikizira siyolondola. Mwatsala ndi mwayi {count}.'
+      },
+      codeLocked: 'Makhodi olakwika ambiri. Pempho lathetsedwa; chonde tumizaninso lamulo.',
+      pinRequired: 'Chonde yankhani ndi khodi yotsimikizira kenako PIN yanu.',
+      pinWrong: {
+        one: 'PIN siyolondola. Mwatsala ndi mwayi {count}. Yankhani ndi khodi ndi PIN yanu.',
+        other: 'PIN siyolondola. Mwatsala ndi mwayi {count}. Yankhani ndi khodi ndi PIN yanu.'
+      },
+      pinLocked: 'Ma PIN olakwika ambiri. PIN yanu yatsekedwa kwa mphindi {minutes}.\nImbani *384*96# kuti muisinthe.',
+      notAuthorized: 'Zochitikazo sizinavomerezedwe: {error}',
+      failed: 'Zochitikazo zalephera: {error}\nChonde yesaninso kapena imbani *384*96#.',
+      invested: '✅ Mwaika ndalama bwino!\nMwaika: ${amount} USDT\nVault: {vault}\nNdalama za chikwama: ${balance}',
+      withdrawn: '✅ Mwatulutsa bwino!\nMwatulutsa: ${amount} USDT\nKuchokera: {vault}\nNdalama za chikwama: ${balance}',
+      history: '📜 Zochitika zaposachedwa\n{lines}',
+      historyLine: '{index}. {type} {amount} {currency} {status} {date}',
+      historyEmpty: 'Palibe zochitika pakadali pano.',
+      vaults: '📊 Ma vault\n{lines}\n\nKuti muike ndalama tumizani {keyword} <ndalama> <vault>',
+      vaultLine: '{index}. {name} {apy} ({risk})'
+    }
+  }
+};
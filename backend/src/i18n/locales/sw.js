@@ -0,0 +1,303 @@
+// Swahili (Kiswahili) message catalogue
+module.exports = {
+  language: {
+    name: 'Kiswahili',
+    prompt: 'Chagua lugha yako 🌍'
+  },
+
+  keywords: {
+    BALANCE: ['SALIO', 'BAKI'],
+    HELP: ['MSAADA', 'SAIDIA'],
+    STOP: ['SITISHA', 'ACHA'],
+    START: ['ANZA', 'START'],
+    SEND: ['TUMA'],
+    INVEST: ['WEKEZA'],
+    WITHDRAW: ['TOA'],
+    HISTORY: ['HIST', 'HISTORIA'],
+    VAULTS: ['HAZINA']
+  },
+
+  menu: {
+    exit: 'Toka',
+    back: 'Rudi',
+    backToMain: 'Rudi Menyu Kuu',
+    cancel: 'Ghairi',
+    more: 'Zaidi',
+    prev: 'Nyuma',
+    invalid: 'Chaguo si sahihi. Tafadhali jaribu tena.',
+    invalidChoose: 'Chaguo si sahihi. Tafadhali chagua:',
+    invalidSelection: 'Chaguo si sahihi. Chagua 1-{count}, 9 kurudi, au 0 kutoka.',
+    goodbye: 'Asante kwa kutumia Zybra DeFi! 👋',
+    unavailable: 'Huduma haipatikani kwa sasa. Tafadhali jaribu tena baadaye.'
+  },
+
+  main: {
+    welcome: 'Karibu Zybra DeFi! 💰',
+    welcomeNew: 'Karibu Zybra DeFi! 🎉\nPochi yako ya crypto imeundwa.',
+    balance: 'Angalia Salio',
+    invest: 'Wekeza kwenye DeFi',
+    withdraw: 'Toa Pesa',
+    send: 'Tuma Pesa',
+    language: 'Lugha',
+    pin: 'Badilisha PIN',
+    settings: 'Mipangilio'
+  },
+
+  auth: {
+    failed: 'Uthibitishaji Umeshindwa ❌\n\n{error}\n\nTafadhali jaribu tena baadaye.',
+    otpPrompt: 'Uthibitisho wa Usalama 🔐\n\nWeka OTP ya tarakimu 6 iliyotumwa kwa simu yako:\n\n(Weka OTP au 0 kughairi)',
+    otpFailed: 'Uthibitisho Umeshindwa ❌\n\n{error}\n\nWeka OTP tena au 0 kughairi:'
+  },
+
+  resume: {
+    continue: 'Ndiyo',
+    startOver: 'Anza upya'
+  },
+
+  pin: {
+    create: 'Unda PIN ya tarakimu 4-6 kulinda pochi yako:',
+    confirm: 'Weka PIN yako tena kuthibitisha:',
+    invalid: 'PIN lazima iwe tarakimu 4-6 na isiwe tarakimu moja inayorudiwa.\n\nWeka PIN:',
+    mismatch: 'PIN hazilingani ❌\n\nWeka PIN ya tarakimu 4-6:',
+    prompt: 'Weka PIN yako kuidhinisha muamala huu 🔐\n\n(Weka PIN au 0 kughairi)',
+    wrong: {
+      one: 'PIN si sahihi ❌\nImebaki jaribio {count}.\n\nWeka PIN yako au 0 kughairi:',
+      other: 'PIN si sahihi ❌\nYamebaki majaribio {count}.\n\nWeka PIN yako au 0 kughairi:'
+    },
+    locked: 'PIN imefungwa 🔒\n\nMajaribio mengi yasiyo sahihi. Jaribu tena baada ya dakika {minutes}, au weka upya PIN kupitia Badilisha PIN kwenye menyu kuu.',
+    error: 'Imeshindwa kuthibitisha PIN yako. Tafadhali jaribu tena baadaye.',
+    resetOtp: 'Badilisha PIN 🔐\n\nWeka OTP ya tarakimu 6 iliyotumwa kwa simu yako:\n\n(Weka OTP au 0 kughairi)',
+    new: 'Weka PIN yako mpya ya tarakimu 4-6:',
+    changed: 'PIN imebadilishwa ✅\n\nTumia PIN yako mpya kwa muamala ujao.',
+    saveFailed: 'Imeshindwa kuhifadhi PIN yako. Tafadhali jaribu tena baadaye.',
+    cancelled: 'Kubadilisha PIN kumeghairiwa. Asante kwa kutumia Zybra DeFi! 👋'
+  },
+
+  balance: {
+    header: 'Mali Yako ya Zybra 💰',
+    wallet: 'Salio la Pochi: {balance} USDT',
+    investments: 'Uwekezaji wa DeFi:',
+    position: '{index}. {name}: ${amount}',
+    totalInvested: 'Jumla Iliyowekezwa: ${amount}',
+    noInvestments: 'Uwekezaji wa DeFi: $0.00',
+    total: 'Jumla ya Mali: ${amount}',
+    walletAddress: 'Pochi: {address}...',
+    error: 'Imeshindwa kupata salio. Tafadhali jaribu tena baadaye.'
+  },
+
+  invest: {
+    insufficient: 'Salio Halitoshi 💸\n\nUnahitaji angalau $10 USDT kuwekeza.\nSalio la sasa: ${balance}\n\nTafadhali ongeza pesa kwenye pochi yako kwanza.',
+    title: 'Wekeza kwenye DeFi 📈\n\nSalio: ${balance} USDT',
+    buyAndInvest: 'Nunua Crypto na Uwekeze',
+    existingBalance: 'Wekeza Salio Lililopo',
+    buyPrompt: 'Nunua Crypto na Uwekeze 💳\n\nWeka kiasi cha KES kuwekeza:\n(Chini: 1000 KES)',
+    existingPrompt: 'Wekeza Salio Lililopo 💰\n\nKinachopatikana: ${balance} USDT\n\nWeka kiasi cha kuwekeza:\n(Chini: $10 USDT)',
+    invalidAmount: 'Kiasi si sahihi. Tafadhali weka namba sahihi.\n\nWeka kiasi cha kuwekeza:',
+    minKes: 'Uwekezaji wa chini ni 1000 KES.\n\nWeka kiasi kwa KES:',
+    minUsdt: 'Uwekezaji wa chini ni $10 USDT.\n\nWeka kiasi kwa USDT:',
+    insufficientAmount: 'Salio halitoshi. Kinachopatikana: ${balance}\n\nWeka kiasi kwa USDT:',
+    noVaults: 'Samahani, hakuna hazina za uwekezaji kwa sasa. Tafadhali jaribu tena baadaye.',
+    selectVault: 'Chagua Hazina ya Uwekezaji 📊\n\nKiasi: {amount}\n\n{vaults}',
+    vaultLine: '{index}. {name}\n   APY: {apy} | Hatari: {risk}',
+    confirm: 'Thibitisha Uwekezaji 🔒\n\nHazina: {vault}\nKiasi: {amount}\nAPY Inayotarajiwa: {apy}%\nKiwango cha Hatari: {risk}',
+    confirmBuy: 'Hii itafanya:\n1. Kununua ${usdtAmount} USDT\n2. Kuwekeza kwenye {symbol}',
+    confirmExisting: 'Hii itawekeza USDT yako kwenye {symbol}',
+    confirmOption: 'Thibitisha Uwekezaji',
+    otpSent: 'Uthibitisho wa Usalama Unahitajika 🔐\n\nOTP imetumwa kwa simu yako.\nWeka msimbo wa tarakimu 6 kuthibitisha uwekezaji wako:\n\n(Weka OTP au 0 kughairi)',
+    notAuthorized: 'Uwekezaji Haujaruhusiwa ❌\n\n{error}\n\nTafadhali wasiliana na huduma kwa wateja tatizo likiendelea.',
+    systemError: 'Uwekezaji umeshindwa kwa hitilafu ya mfumo. Tafadhali jaribu tena baadaye.',
+    purchaseFailed: 'Uwekezaji Umeshindwa ❌\n\nUnunuzi wa crypto umeshindwa: {error}\n\nTafadhali jaribu tena baadaye.',
+    quoteExpired: 'Kiwango Kimebadilika ⏱️\n\nKiwango cha ubadilishaji ulichothibitisha kimeisha muda. Tafadhali anza upya kupata kiwango kipya.',
+    rateUnavailable: 'Viwango vya ubadilishaji havipatikani sasa. Tafadhali jaribu tena baadaye.',
+    initiated: 'Uwekezaji Umeanzishwa! 🚀\n\nHatua 1: Kununua {usdtAmount} USDT kwa {investAmount} KES\n\nUtapokea maelekezo ya malipo kwa SMS.\n\nMalipo yakithibitishwa, tutawekeza moja kwa moja kwenye {vault}.',
+    insufficientFinal: 'Salio Halitoshi ❌\n\nKinachohitajika: ${required}\nKinachopatikana: ${available}\n\nTafadhali ongeza pesa kwanza.',
+    success: 'Uwekezaji Umefanikiwa! 🎉\n\nUmewekeza: ${amount} USDT\nHazina: {vault}\nAPY Inayotarajiwa: {apy}%\n\nUwekezaji wako sasa unazalisha faida!',
+    technicalError: 'Uwekezaji umeshindwa kwa hitilafu ya kiufundi. Tafadhali jaribu tena baadaye.',
+    cancelled: 'Uwekezaji umeghairiwa. Asante kwa kutumia Zybra DeFi! 👋',
+    resume: 'Endelea na uwekezaji wako wa {amount} kwenye {vault}?',
+    resumeAmount: 'Endelea na uwekezaji wako wa {amount}?'
+  },
+
+  withdraw: {
+    noInvestments: 'Hakuna Uwekezaji 📭\n\nHuna uwekezaji wowote wa DeFi wa kutoa.\n\nAnza kuwekeza upate faida!',
+    title: {
+      one: 'Toa Pesa 💸\n\nUna uwekezaji {count} unaoendelea',
+      other: 'Toa Pesa 💸\n\nUna uwekezaji {count} inayoendelea'
+    },
+    fromDefi: 'Toa kutoka DeFi',
+    toMobileMoney: 'Toa kwenda Pesa ya Simu',
+    mobileMoneySoon: 'Toa kwenda Pesa ya Simu 📱\n\nHuduma hii itapatikana hivi karibuni.\n\nKwa sasa, toa kwenda pochi yako kisha utume.',
+    selectPosition: 'Chagua Uwekezaji wa Kutoa 📊\n\n{positions}',
+    positionLine: '{index}. {name}\n   Salio: ${amount}',
+    amountPrompt: 'Kiasi cha Kutoa 💰\n\nKutoka: {vault}\nKinachopatikana: ${available}\n\nWeka kiasi cha kutoa:\n(Juu: ${available})',
+    invalidAmount: 'Kiasi si sahihi. Tafadhali weka namba sahihi.\n\nWeka kiasi cha kutoa:',
+    exceeds: 'Kiasi kimezidi salio lililopo.\nKinachopatikana: ${available}\n\nWeka kiasi cha kutoa:',
+    confirm: 'Thibitisha Utoaji 🔒\n\nKutoka: {vault}\nKiasi: ${amount} USDT\nKwenda: Pochi yako ya Zybra',
+    confirmOption: 'Thibitisha Utoaji',
+    otpSent: 'Uthibitisho wa Usalama Unahitajika 🔐\n\nOTP imetumwa kwa simu yako.\nWeka msimbo wa tarakimu 6 kuthibitisha utoaji wako:\n\n(Weka OTP au 0 kughairi)',
+    notAuthorized: 'Utoaji Haujaruhusiwa ❌\n\n{error}\n\nTafadhali wasiliana na huduma kwa wateja tatizo likiendelea.',
+    systemError: 'Utoaji umeshindwa kwa hitilafu ya mfumo. Tafadhali jaribu tena baadaye.',
+    success: 'Utoaji Umefanikiwa! 🎉\n\nImetolewa: ${amount} USDT\nKutoka: {vault}\n\nSalio jipya la pochi: ${balance}\n\nPesa sasa ziko kwenye pochi yako ya Zybra!',
+    technicalError: 'Utoaji umeshindwa kwa hitilafu ya kiufundi. Tafadhali jaribu tena baadaye.',
+    cancelled: 'Utoaji umeghairiwa. Asante kwa kutumia Zybra DeFi! 👋',
+    resume: 'Endelea na utoaji wako wa ${amount} kutoka {vault}?',
+    resumeVault: 'Endelea na utoaji wako kutoka {vault}?'
+  },
+
+  send: {
+    prompt: 'Tuma Pesa 💸\n\nWeka namba ya simu ya mpokeaji:\n(mf., 0712345678)',
+    invalidPhone: 'Namba ya simu si sahihi.\n\nWeka namba ya simu ya mpokeaji:\n(mf., 0712345678)',
+    self: 'Huwezi kujitumia pesa.\n\nWeka namba ya simu ya mpokeaji:',
+    unregistered: '{phone} bado hajajiunga na Zybra.\nTunaweza kuhifadhi pesa na kumtumia SMS ya kuzidai.',
+    sendAnyway: 'Tuma hata hivyo',
+    tryAnother: 'Jaribu namba nyingine',
+    amountPrompt: 'Tuma kwa {recipient}\nSalio: {balance} ZrUSD\n\nWeka kiasi kwa ZrUSD:',
+    invalidAmount: 'Kiasi si sahihi. Tafadhali weka namba sahihi:\n(mf., 10)',
+    insufficient: 'Salio halitoshi. Unaweza kutuma hadi {max} ZrUSD (ada {fee} ZrUSD).\n\nWeka kiasi kwa ZrUSD:',
+    confirm: 'Thibitisha Uhamisho 📋\n\nKwa: {recipient}\nTuma: {amount} ZrUSD\nAda: {fee} ZrUSD\nJumla: {total} ZrUSD',
+    youPay: 'Unalipa ≈ {amount} {currency}',
+    theyGet: 'Atapokea ≈ {amount} {currency}',
+    held: 'Itahifadhiwa hadi ajiunge na Zybra.',
+    confirmOption: 'Tuma',
+    otpSent: 'Uthibitisho wa Usalama Unahitajika 🔐\n\nOTP imetumwa kwa simu yako.\nWeka msimbo wa tarakimu 6 kuthibitisha uhamisho wako:\n\n(Weka OTP au 0 kughairi)',
+    notAuthorized: 'Uhamisho Haujaruhusiwa ❌\n\n{error}\n\nTafadhali wasiliana na huduma kwa wateja tatizo likiendelea.',
+    cancelled: 'Uhamisho umeghairiwa.',
+    success: 'Uhamisho Umefanikiwa! ✅\n\nUmetuma: {amount} ZrUSD\nKwa: {recipient}\nSalio: {balance} ZrUSD\n\nUthibitisho umetumwa kwa SMS.',
+    heldSuccess: 'Pesa Imetumwa! ✅\n\n{amount} ZrUSD imehifadhiwa kwa {phone}.\nTumemtumia SMS ya kuidai.\nIsipodaiwa ndani ya siku {days}, itarudi kwako.\nSalio: {balance} ZrUSD',
+    failed: 'Muamala Umeshindwa ❌\n\nSababu: {error}\n\nTafadhali jaribu tena baadaye.',
+    systemError: 'Muamala umeshindwa kwa hitilafu ya mfumo. Tafadhali jaribu tena baadaye.',
+    resume: 'Endelea kutuma {amount} ZrUSD kwa {recipient}?'
+  },
+
+  receive: {
+    details: 'Pokea Pesa 📥\n\nTaarifa Zako:\nSimu: {phone}\nPochi: {wallet}...\n\nShiriki taarifa hizi ili kupokea pesa.'
+  },
+
+  history: {
+    empty: 'Hakuna miamala.\n\nAnza kutumia Zybra kuona historia ya miamala yako hapa.',
+    title: 'Miamala ya Hivi Karibuni 📊',
+    entry: '{index}. {type} {status}\n   {amount} {currency}\n   {date}',
+    error: 'Imeshindwa kupata historia ya miamala. Tafadhali jaribu tena baadaye.'
+  },
+
+  account: {
+    notFound: 'Akaunti haikupatikana. Tafadhali wasiliana na huduma kwa wateja.',
+    info: 'Taarifa za Akaunti ℹ️\n\nSimu: {phone}\nPochi: {wallet}...\nSalio: {balance} ZrUSD\nAlijiunga: {joined}\n\nPochi ya Kidijitali ya Zybra',
+    error: 'Imeshindwa kupata taarifa za akaunti. Tafadhali jaribu tena baadaye.'
+  },
+
+  settings: {
+    title: 'Mipangilio ⚙️',
+    notifications: 'Arifa',
+    displayName: 'Jina la kuonyesha',
+    displayNamePrompt: 'Jina lako huonekana kwa wanaokutumia pesa.\nSasa: {name}\n\nWeka jina (herufi 2-30):',
+    displayNameNone: 'halijawekwa',
+    displayNameInvalid: 'Tumia herufi 2-30, nafasi, nukta, \' au -.\n\nWeka jina:',
+    displayNameSaved: 'Jina limehifadhiwa ✅\n\nWanaokutumia pesa wataona: {name}',
+    displayNameError: 'Imeshindwa kuhifadhi jina lako. Tafadhali jaribu tena baadaye.'
+  },
+
+  notifications: {
+    title: 'Arifa za SMS 🔔\nChagua moja kuwasha au kuzima.\nNambari za usalama hutumwa kila wakati.',
+    marketing: 'Habari na ofa',
+    transaction_alerts: 'Arifa za miamala',
+    balance_digests: 'Taarifa za salio',
+    security_alerts: 'Arifa za usalama',
+    plain_text: 'SMS za maandishi tu (bila emoji)',
+    on: 'IMEWASHWA',
+    off: 'IMEZIMWA',
+    error: 'Imeshindwa kusasisha arifa zako. Tafadhali jaribu tena baadaye.'
+  },
+
+  help: {
+    ussd: 'Msaada wa Zybra 📱\n\nHuduma:\n• Angalia Salio\n• Tuma/Pokea Pesa\n• Historia ya Miamala\n• Usimamizi wa Akaunti\n\nMsaada:\n• SMS: Tuma {help} kwa namba hii\n• Barua pepe: help@zybra.com\n• Tovuti: www.zybra.com\n\nAsante kwa kutumia Zybra!'
+  },
+
+  sms: {
+    transaction: {
+      completed: '✅ Muamala Umethibitishwa!\nAina: {type}\nKiasi: {amount} {currency}\nTX: {tx}\nMuda: {time}\nAsante kwa kutumia Zybra!',
+      failed: '❌ Muamala Umeshindwa!\nAina: {type}\nKiasi: {amount} {currency}\nTafadhali jaribu tena au wasiliana na huduma kwa wateja.\nZybra Support',
+      pending: '⏳ Muamala Unasubiri...\nAina: {type}\nKiasi: {amount} {currency}\nTutakujulisha ukithibitishwa.\nZybra',
+      txPending: 'Unasubiri'
+    },
+    notification: {
+      completed: '✅ Muamala Umethibitishwa!\n{type}: {amount} {currency}\nMuda: {time}\nZybra',
+      failed: '❌ Muamala Umeshindwa!\n{type}: {amount} {currency}\nTafadhali jaribu tena.\nZybra',
+      pending: '⏳ Muamala Unasubiri...\n{type}: {amount} {currency}\nTutakujulisha ukithibitishwa.\nZybra'
+    },
+    balance: '💰 Salio lako la Zybra\nSalio: {balance} {currency}\nMuda: {time}\nPiga *384*96# kwa huduma zaidi',
+    balanceShort: '💰 Salio lako la Zybra: {balance} ZrUSD\nMuda: {time}\nPiga *384*96# kwa huduma zaidi',
+    received: '💸 Umepokea {amount} ZrUSD\nKutoka: {sender}\nSalio: {balance} ZrUSD\nTX: {tx}\nZybra',
+    claimInvite: '💸 {sender} amekutumia {amount} ZrUSD kwenye Zybra.\nPiga *384*96# ndani ya siku {days} kufungua pochi yako bure na kuzipokea.',
+    claimRefunded: '↩️ {amount} ZrUSD ulizomtumia {phone} hazikudaiwa ndani ya siku {days} na zimerudishwa kwenye pochi yako.',
+    welcome: '🎉 Karibu Zybra!\nPochi yako ya kidijitali iko tayari.\nPochi: {wallet}...\nPiga *384*96# kuanza\nTuma {help} kupata msaada',
+    otp: '🔐 Msimbo wa Usalama wa Zybra: {otp}\nTumia msimbo huu {purpose}.\nUnadumu dakika 5 tu.\nUsimpe mtu yeyote msimbo huu!\nKama hukuuomba, wasiliana na huduma kwa wateja.',
+    otpPurpose: {
+      authentication: 'kuingia kwenye akaunti yako',
+      transaction: 'kuthibitisha muamala wako',
+      investment: 'kuthibitisha uwekezaji wako',
+      withdrawal: 'kuthibitisha utoaji wako',
+      wallet_access: 'kufikia pochi yako',
+      pin_reset: 'kubadilisha PIN yako',
+      default: 'kuthibitisha utambulisho wako'
+    },
+    alert: '⚠️ Tahadhari ya Zybra\n{message}\nUkihitaji msaada, jibu {help}\nZybra Support',
+    accountNotFound: 'Akaunti haikupatikana. Piga *384*96# kufungua akaunti.',
+    balanceError: 'Imeshindwa kupata salio. Tafadhali jaribu tena.',
+    help: '📱 Msaada wa Zybra\nAmri:\n• {balance} - Angalia salio\n• {help} - Ujumbe huu\n• {stop} - Jiondoe\n• {send} 500 KES KWA 07.. - Tuma pesa\n• {invest} 20 <hazina> - Wekeza\n• {withdraw} 10 - Toa\n• {history} 5 - Historia\n• {vaults} - Hazina\n\nPiga *384*96# kwa menyu kamili\nMsaada: help@zybra.com',
+    unsubscribed: 'Umejiondoa kwenye arifa za SMS za Zybra.\nNambari za usalama bado zitatumwa.\nKujiunga tena, jibu {start} au piga *384*96# > Mipangilio > Arifa.',
+    subscribed: 'Umejiunga tena na arifa za SMS za Zybra ✅\nKusitisha, jibu {stop}.',
+    otpInvalid: 'Msimbo wa uthibitisho si sahihi au umekwisha muda.',
+    otpVerified: '✅ Uthibitisho umefanikiwa!',
+    verificationError: 'Uthibitisho umeshindwa. Tafadhali jaribu tena.',
+    unknownCommand: 'Amri haitambuliki: "{text}"\nTuma {help} kuona amri zinazopatikana\nAu piga *384*96# kwa menyu kamili',
+    commands: {
+      usage: {
+        SEND: 'Kutuma pesa jibu:\n{keyword} <kiasi> [sarafu] KWA <simu>\nMfano: {keyword} 500 KES KWA 0712345678',
+        INVEST: 'Kuwekeza jibu:\n{keyword} <kiasi> <hazina>\nMfano: {keyword} 20 STEAKHOUSE\nTuma {vaultsKeyword} kuona hazina',
+        WITHDRAW: 'Kutoa uwekezaji jibu:\n{keyword} <kiasi> [hazina]\nMfano: {keyword} 10',
+        HISTORY: 'Kuona miamala ya hivi karibuni jibu:\n{keyword} [1-10]\nMfano: {keyword} 5',
+        VAULTS: 'Kuona hazina za uwekezaji tuma {keyword}'
+      },
+      invalidAmount: 'Kiasi si sahihi. Tumia namba tu, k.m. 500 au 12.50.\nTuma {keyword} kwa msaada wa amri hii.',
+      invalidPhone: 'Namba ya simu si sahihi. Tumia k.m. 0712345678 au 254712345678.',
+      invalidCurrency: 'Sarafu haitumiki. Tumia ZrUSD au sarafu ya nchi yako.',
+      selfTransfer: 'Huwezi kutuma pesa kwa namba yako mwenyewe.',
+      insufficient: 'Salio halitoshi.\nLinalopatikana: {balance} ZrUSD\nLinalohitajika: {required} ZrUSD',
+      minInvestment: 'Uwekezaji wa chini ni ${min} USDT.',
+      vaultsUnavailable: 'Hazina za uwekezaji hazipatikani sasa. Tafadhali jaribu tena baadaye.',
+      vaultNotFound: 'Hakuna hazina inayolingana na "{vault}".\nTuma {vaultsKeyword} kuona hazina zilizopo.',
+      vaultAmbiguous: '"{vault}" inalingana na hazina kadhaa: {vaults}\nTafadhali tumia jina refu zaidi.',
+      noPositions: 'Huna uwekezaji wowote wa kutoa.',
+      exceedsPosition: 'Kiasi kinazidi salio lako la {vault} la ${available}.',
+      summary: {
+        SEND: 'Tuma {amount} {currency} kwa {phone}\nAda: {fee} ZrUSD',
+        SEND_HELD: 'Tuma {amount} {currency} kwa {phone}\nAda: {fee} ZrUSD\n{phone} bado hajajiunga na Zybra. Pesa itahifadhiwa ili aidai ndani ya siku {days}, kisha itarudishwa kwako.',
+        INVEST: 'Wekeza ${amount} USDT katika {vault}\nAPY inayotarajiwa: {apy}',
+        WITHDRAW: 'Toa ${amount} USDT kutoka {vault}'
+      },
+      confirm: '{summary}\n\nJibu {code} kuthibitisha.\nMsimbo unaisha baada ya dakika {minutes}.',
+      confirmWithPin: '{summary}\n\nJibu {code} ikifuatiwa na PIN yako kuthibitisha, k.m. {code} 1234\nMsimbo unaisha baada ya dakika {minutes}.',
+      wrongCode: {
+        one: 'Msimbo wa uthibitisho si sahihi. Imebaki jaribio {count}.',
+        other: 'Msimbo wa uthibitisho si sahihi. Yamebaki majaribio {count}.'
+      },
+      codeLocked: 'Misimbo mingi isiyo sahihi. Ombi limeghairiwa; tafadhali tuma amri tena.',
+      pinRequired: 'Tafadhali jibu kwa msimbo wa uthibitisho ukifuatiwa na PIN yako.',
+      pinWrong: {
+        one: 'PIN si sahihi. Imebaki jaribio {count}. Jibu kwa msimbo na PIN yako.',
+        other: 'PIN si sahihi. Yamebaki majaribio {count}. Jibu kwa msimbo na PIN yako.'
+      },
+      pinLocked: 'PIN zisizo sahihi ni nyingi. PIN yako imefungwa kwa dakika {minutes}.\nPiga *384*96# kuibadilisha.',
+      notAuthorized: 'Muamala haujaidhinishwa: {error}',
+      failed: 'Muamala umeshindwa: {error}\nTafadhali jaribu tena au piga *384*96#.',
+      invested: '✅ Uwekezaji umefanikiwa!\nUmewekeza: ${amount} USDT\nHazina: {vault}\nSalio la pochi: ${balance}',
+      withdrawn: '✅ Utoaji umefanikiwa!\nUmetoa: ${amount} USDT\nKutoka: {vault}\nSalio la pochi: ${balance}',
+      history: '📜 Miamala ya hivi karibuni\n{lines}',
+      historyLine: '{index}. {type} {amount} {currency} {status} {date}',
+      historyEmpty: 'Bado hakuna miamala.',
+      vaults: '📊 Hazina za uwekezaji\n{lines}\n\nKuwekeza tuma {keyword} <kiasi> <hazina>',
+      vaultLine: '{index}. {name} {apy} ({risk})'
+    }
+  }
+};
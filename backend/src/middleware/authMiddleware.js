@@ -2,6 +2,7 @@ const jwt = require('jsonwebtoken');
 const { promisify } = require('util');
 const { User } = require('../db/models');
 const AuthService = require('../services/authService');
+const apiKeyService = require('../services/apiKeyService');
 const logger = require('../utils/logger');
 
 // Protect routes - require authentication
@@ -190,6 +191,103 @@ const authorizeWalletOperation = (operation) => {
   };
 };
 
+// Request fields never copied into the audit log
+const REDACTED_FIELDS = /pin|otp|password|secret|token|key/i;
+
+const redact = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([field, item]) => (
+      [field, REDACTED_FIELDS.test(field) ? '[redacted]' : redact(item)]
+    )));
+  }
+  return value;
+};
+
+// Every request that changes something with an API key is written to audit_logs once it completes
+const auditAdminAction = (req, res) => {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+    return;
+  }
+
+  res.on('finish', () => {
+    const { AuditLog } = require('../db/models');
+    AuditLog.create({
+      apiKeyId: req.apiKey.id,
+      actor: req.apiKey.name,
+      role: req.apiKey.role,
+      action: `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ip: req.ip,
+      details: { params: req.params, query: redact(req.query), body: redact(req.body) }
+    }).catch(error => logger.error('Audit log write failed:', error));
+  });
+};
+
+// Admin and partner endpoints: API key in the X-API-Key header (or Authorization: Bearer)
+const withApiKey = (authorize) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.apiKey) {
+        const bearer = req.headers.authorization && req.headers.authorization.startsWith('Bearer ')
+          ? req.headers.authorization.slice(7)
+          : null;
+        const apiKey = await apiKeyService.authenticate(req.headers['x-api-key'] || bearer);
+
+        if (!apiKey) {
+          logger.warn('Rejected API key', { path: req.originalUrl, ip: req.ip });
+          return res.status(401).json({
+            success: false,
+            error: 'Not authorized to access this route'
+          });
+        }
+
+        req.apiKey = apiKey;
+        // Recorded against the actions taken (e.g. who resolved a reconciliation item)
+        req.operator = apiKey.name;
+        auditAdminAction(req, res);
+      }
+
+      if (!authorize(req.apiKey)) {
+        logger.warn(`API key ${req.apiKey.key_prefix} (${req.apiKey.role}) denied`, { path: req.originalUrl });
+        return res.status(403).json({
+          success: false,
+          error: 'Insufficient permissions for this route'
+        });
+      }
+
+      next();
+    } catch (error) {
+      logger.error('API key auth error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Server error in authentication'
+      });
+    }
+  };
+};
+
+/**
+ * Allow API keys of the given roles
+ * @param {...string} roles - admin, support, finance or partner
+ * @returns {Function} - Express middleware
+ */
+const requireRole = (...roles) => withApiKey(apiKey => roles.includes(apiKey.role));
+
+/**
+ * Allow API keys holding every given scope. A scope the key's role may no longer hold is not
+ * honoured, even on keys created before the role lost it.
+ * @param {...string} scopes - Scopes (see SCOPES in apiKeyService)
+ * @returns {Function} - Express middleware
+ */
+const requireScope = (...scopes) => withApiKey(apiKey => scopes.every(scope => (
+  apiKey.scopes.includes(scope) && (apiKeyService.ROLE_SCOPES[apiKey.role] || []).includes(scope)
+)));
+
 // Enhanced rate limiting with progressive delays
 const enhancedPhoneRateLimit = async (req, res, next) => {
   try {
@@ -289,6 +387,8 @@ module.exports = {
   phoneRateLimit,
   authenticateSecureSession,
   authorizeWalletOperation,
+  requireRole,
+  requireScope,
   enhancedPhoneRateLimit,
   verifyOTP
 };
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const { IdempotencyKey } = require('../db/models');
+const logger = require('../utils/logger');
+
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+const WAIT_MS = (parseInt(process.env.IDEMPOTENCY_WAIT_SECONDS) || 5) * 1000;
+const POLL_MS = 250;
+// An in-progress key older than this is assumed abandoned and may be taken over
+const STALE_SECONDS = 120;
+
+/**
+ * Serialize a value with sorted object keys so equal payloads hash equally
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Hash the parts of a request that must match for a key to be replayed
+ * @param {Object} req - Express request object
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body || {})}`)
+    .digest('hex');
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wait for another request holding the same key to finish
+ * @param {Object} record - In-progress idempotency record
+ * @returns {Promise<Object>} - Completed record, a taken-over record ({ takenOver }), or the still-running record
+ */
+async function waitForCompletion(record) {
+  const deadline = Date.now() + WAIT_MS;
+  let current = record;
+
+  while (Date.now() < deadline) {
+    await sleep(POLL_MS);
+    current = await IdempotencyKey.find(record.scope, record.idempotency_key);
+
+    if (!current || current.status === 'completed') {
+      return current;
+    }
+  }
+
+  const takenOver = await IdempotencyKey.takeOverStale(current.id, STALE_SECONDS);
+  return takenOver ? { ...takenOver, takenOver: true } : current;
+}
+
+/**
+ * Replay a stored response
+ * @param {Object} res - Express response object
+ * @param {Object} record - Completed idempotency record
+ */
+function replay(res, record) {
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(record.response_status).json(record.response_body);
+}
+
+/**
+ * Make a money-moving route idempotent. The first request with a key runs and its response is
+ * stored; duplicates replay it, a reused key with a different payload gets 422, and a duplicate
+ * arriving while the first is still running waits briefly and then gets 409.
+ * @param {string} scope - Route scope (e.g. transactions.transfer, webhooks.airtel)
+ * @param {Object} options - Options
+ * @param {Function} options.keyFrom - Extracts the key from the request (default: Idempotency-Key header, scoped to the caller's phone)
+ * @returns {Function} - Express middleware
+ */
+const idempotent = (scope, options = {}) => {
+  const keyFrom = options.keyFrom || ((req) => {
+    const header = req.get('Idempotency-Key');
+    return header ? `${req.phoneNumber || 'anonymous'}:${header}` : null;
+  });
+
+  return async (req, res, next) => {
+    const key = keyFrom(req);
+
+    // Requests without a key are processed as before
+    if (!key) {
+      return next();
+    }
+
+    if (String(key).length > 255) {
+      return res.status(400).json({
+        success: false,
+        error: 'Idempotency-Key must be at most 255 characters'
+      });
+    }
+
+    try {
+      const requestHash = hashRequest(req);
+      let record = await IdempotencyKey.acquire(scope, String(key), requestHash, TTL_HOURS);
+
+      if (!record) {
+        let existing = await IdempotencyKey.find(scope, String(key));
+
+        if (existing && existing.request_hash !== requestHash) {
+          return res.status(422).json({
+            success: false,
+            error: 'Idempotency-Key was already used with a different request'
+          });
+        }
+
+        if (existing && existing.status === 'in_progress') {
+          existing = await waitForCompletion(existing);
+        }
+
+        if (existing && existing.status === 'completed') {
+          logger.info(`Replaying idempotent response for ${scope}`, { key });
+          return replay(res, existing);
+        }
+
+        if (existing && !existing.takenOver) {
+          return res.status(409).json({
+            success: false,
+            error: 'A request with this Idempotency-Key is still being processed'
+          });
+        }
+
+        // The earlier attempt was abandoned or released; run this one instead
+        record = existing || await IdempotencyKey.acquire(scope, String(key), requestHash, TTL_HOURS);
+        if (!record) {
+          return res.status(409).json({
+            success: false,
+            error: 'A request with this Idempotency-Key is still being processed'
+          });
+        }
+      }
+
+      let settled = false;
+      const originalJson = res.json.bind(res);
+
+      // Store the final response before sending it so a duplicate never sees a half-finished key
+      res.json = (body) => {
+        settled = true;
+        const save = res.statusCode >= 500 || res.statusCode === 429
+          ? IdempotencyKey.release(record.id) // Let the client retry server errors
+          : IdempotencyKey.complete(record.id, res.statusCode, body);
+
+        save
+          .catch(error => logger.error(`Failed to store idempotent response for ${scope}:`, error))
+          .finally(() => originalJson(body));
+        return res;
+      };
+
+      res.on('close', () => {
+        if (!settled) {
+          IdempotencyKey.release(record.id)
+            .catch(error => logger.error(`Failed to release idempotency key for ${scope}:`, error));
+        }
+      });
+
+      next();
+    } catch (error) {
+      logger.error('Idempotency middleware error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Server error in idempotency check'
+      });
+    }
+  };
+};
+
+module.exports = {
+  idempotent,
+  hashRequest
+};
@@ -1,4 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { COUNTRY_CODES } = require('../utils/phone');
+const { FUNNELS } = require('../services/ussd/funnelAnalytics');
 
 // Common validation rules
 const phoneNumberValidation = body('phoneNumber')
@@ -10,11 +12,19 @@ const amountValidation = body('amount')
   .isFloat({ min: 0.01 })
   .withMessage('Amount must be a positive number greater than 0');
 
+// Fiat currencies the FX engine can price
+const FIAT_CURRENCIES = ['MWK', 'KES', 'UGX', 'TZS', 'GHS', 'NGN', 'ZMW'];
+
 const currencyValidation = body('currency')
   .optional()
-  .isIn(['ZrUSD', 'MWK', 'KES', 'UGX', 'TZS'])
+  .isIn(['ZrUSD', ...FIAT_CURRENCIES])
   .withMessage('Invalid currency');
 
+const quoteIdValidation = body('quoteId')
+  .optional()
+  .isUUID()
+  .withMessage('Invalid quote ID');
+
 // SMS validation rules
 const smsValidationRules = {
   sendSMS: [
@@ -90,6 +100,30 @@ const ussdValidationRules = {
     param('phoneNumber')
       .isMobilePhone()
       .withMessage('Invalid phone number format')
+  ],
+
+  analytics: [
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be an ISO 8601 date')
+      .bail()
+      .custom((from, { req }) => new Date(from) < (req.query.to ? new Date(req.query.to) : new Date()))
+      .withMessage('From must be before to'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be an ISO 8601 date'),
+    query('country')
+      .optional()
+      .isIn(Object.values(COUNTRY_CODES))
+      .withMessage('Country must be an ISO country code we serve')
+  ],
+
+  funnel: [
+    param('funnel')
+      .isIn(Object.keys(FUNNELS))
+      .withMessage(`Funnel must be one of ${Object.keys(FUNNELS).join(', ')}`)
   ]
 };
 
@@ -105,15 +139,27 @@ const transactionValidationRules = {
       .withMessage('Invalid to phone number')
       .customSanitizer(value => value.replace(/[\s\-\+]/g, '')),
     amountValidation,
-    currencyValidation
+    currencyValidation,
+    quoteIdValidation
+  ],
+
+  quote: [
+    body('from')
+      .isIn(['ZrUSD', ...FIAT_CURRENCIES])
+      .withMessage('Invalid source currency'),
+    body('to')
+      .isIn(['ZrUSD', ...FIAT_CURRENCIES])
+      .withMessage('Invalid target currency'),
+    amountValidation
   ],
 
   deposit: [
     phoneNumberValidation,
     amountValidation,
     body('currency')
-      .isIn(['MWK', 'KES', 'UGX', 'TZS'])
+      .isIn(FIAT_CURRENCIES)
       .withMessage('Invalid deposit currency'),
+    quoteIdValidation,
     body('paymentData')
       .isObject()
       .withMessage('Payment data is required'),
@@ -129,8 +175,9 @@ const transactionValidationRules = {
     phoneNumberValidation,
     amountValidation,
     body('targetCurrency')
-      .isIn(['MWK', 'KES', 'UGX', 'TZS'])
+      .isIn(FIAT_CURRENCIES)
       .withMessage('Invalid target currency'),
+    quoteIdValidation,
     body('withdrawalData')
       .isObject()
       .withMessage('Withdrawal data is required'),
@@ -230,15 +277,6 @@ const webhookValidationRules = {
       .withMessage('Invalid customer phone number')
   ],
 
-  blockchain: [
-    body('txHash')
-      .matches(/^0x[a-fA-F0-9]{64}$/)
-      .withMessage('Invalid transaction hash format'),
-    body('status')
-      .isIn(['pending', 'confirmed', 'failed'])
-      .withMessage('Invalid transaction status')
-  ],
-
   delivery: [
     body('id')
       .isLength({ min: 1 })
@@ -252,6 +290,105 @@ const webhookValidationRules = {
   ]
 };
 
+const reconciliationValidationRules = {
+  items: [
+    query('status')
+      .optional()
+      .isIn(['open', 'resolved', 'ignored', 'cleared'])
+      .withMessage('Invalid item status'),
+    query('kind')
+      .optional()
+      .isIn(['cache_drift', 'wallet_surplus', 'wallet_shortfall', 'vault_surplus', 'vault_shortfall', 'unsettled_investment'])
+      .withMessage('Invalid discrepancy kind'),
+    query('phoneNumber')
+      .optional()
+      .isMobilePhone()
+      .withMessage('Invalid phone number'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('Limit must be between 1 and 200'),
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be 0 or greater')
+  ],
+
+  resolve: [
+    param('itemId')
+      .isUUID()
+      .withMessage('Invalid reconciliation item ID'),
+    body('action')
+      .isIn(['sync_cache', 'adjust_ledger', 'mark_resolved', 'ignore'])
+      .withMessage('Action must be sync_cache, adjust_ledger, mark_resolved or ignore'),
+    body('note')
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage('Note must be at most 1000 characters')
+  ]
+};
+
+const adminValidationRules = {
+  apiKeys: [
+    query('status')
+      .optional()
+      .isIn(['active', 'revoked'])
+      .withMessage('Status must be active or revoked'),
+    query('role')
+      .optional()
+      .isIn(['admin', 'support', 'finance', 'partner'])
+      .withMessage('Invalid role')
+  ],
+
+  createApiKey: [
+    body('name')
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be 1 to 100 characters'),
+    body('role')
+      .isIn(['admin', 'support', 'finance', 'partner'])
+      .withMessage('Role must be admin, support, finance or partner'),
+    body('scopes')
+      .optional()
+      .isArray()
+      .withMessage('Scopes must be an array')
+  ],
+
+  keyId: [
+    param('keyId')
+      .isUUID()
+      .withMessage('Invalid API key ID')
+  ],
+
+  rotateApiKey: [
+    param('keyId')
+      .isUUID()
+      .withMessage('Invalid API key ID'),
+    body('graceHours')
+      .optional()
+      .isFloat({ min: 0, max: 720 })
+      .withMessage('Grace period must be between 0 and 720 hours')
+  ],
+
+  auditLogs: [
+    query('apiKeyId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid API key ID'),
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('Since must be an ISO 8601 date'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('Limit must be between 1 and 200'),
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be 0 or greater')
+  ]
+};
+
 // Validation middleware factory
 const validate = (rules) => {
   return async (req, res, next) => {
@@ -294,7 +431,10 @@ const customValidations = {
       'MWK': { min: 100, max: 10000000 },
       'KES': { min: 1, max: 1000000 },
       'UGX': { min: 100, max: 50000000 },
-      'TZS': { min: 100, max: 20000000 }
+      'TZS': { min: 100, max: 20000000 },
+      'GHS': { min: 1, max: 150000 },
+      'NGN': { min: 100, max: 15000000 },
+      'ZMW': { min: 1, max: 250000 }
     };
 
     const limit = limits[currency] || limits['ZrUSD'];
@@ -336,6 +476,8 @@ module.exports = {
   ussdValidationRules,
   transactionValidationRules,
   webhookValidationRules,
+  reconciliationValidationRules,
+  adminValidationRules,
   validate,
   customValidations,
   handleValidationError
@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const AdminController = require('../controllers/adminController');
+const { requireScope } = require('../middleware/authMiddleware');
+const { SCOPES } = require('../services/apiKeyService');
+const { adminValidationRules, validate } = require('../middleware/validation');
+
+/**
+ * List API keys (?status=active&role=partner)
+ * GET /api/admin/api-keys
+ */
+router.get('/api-keys',
+  requireScope(SCOPES.API_KEYS_MANAGE),
+  validate(adminValidationRules.apiKeys),
+  AdminController.getApiKeys
+);
+
+/**
+ * Create an API key (role: admin, support, finance or partner; scopes default to the role's)
+ * POST /api/admin/api-keys
+ */
+router.post('/api-keys',
+  requireScope(SCOPES.API_KEYS_MANAGE),
+  validate(adminValidationRules.createApiKey),
+  AdminController.createApiKey
+);
+
+/**
+ * Rotate an API key (the old key works for graceHours more)
+ * POST /api/admin/api-keys/:keyId/rotate
+ */
+router.post('/api-keys/:keyId/rotate',
+  requireScope(SCOPES.API_KEYS_MANAGE),
+  validate(adminValidationRules.rotateApiKey),
+  AdminController.rotateApiKey
+);
+
+/**
+ * Revoke an API key
+ * POST /api/admin/api-keys/:keyId/revoke
+ */
+router.post('/api-keys/:keyId/revoke',
+  requireScope(SCOPES.API_KEYS_MANAGE),
+  validate(adminValidationRules.keyId),
+  AdminController.revokeApiKey
+);
+
+/**
+ * List audit log entries (?apiKeyId=&action=&since=&limit=&offset=)
+ * GET /api/admin/audit-logs
+ */
+router.get('/audit-logs',
+  requireScope(SCOPES.AUDIT_READ),
+  validate(adminValidationRules.auditLogs),
+  AdminController.getAuditLogs
+);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const ReconciliationController = require('../controllers/reconciliationController');
+const { requireScope } = require('../middleware/authMiddleware');
+const { SCOPES } = require('../services/apiKeyService');
+const { reconciliationValidationRules, validate } = require('../middleware/validation');
+
+/**
+ * List recent reconciliation runs
+ * GET /api/reconciliation/runs
+ */
+router.get('/runs', requireScope(SCOPES.RECONCILIATION_READ), ReconciliationController.getRuns);
+
+/**
+ * Start a reconciliation run now
+ * POST /api/reconciliation/runs
+ */
+router.post('/runs', requireScope(SCOPES.RECONCILIATION_WRITE), ReconciliationController.startRun);
+
+/**
+ * List discrepancies (?status=open&kind=&phoneNumber=&limit=&offset=)
+ * GET /api/reconciliation/items
+ */
+router.get('/items',
+  requireScope(SCOPES.RECONCILIATION_READ),
+  validate(reconciliationValidationRules.items),
+  ReconciliationController.getItems
+);
+
+/**
+ * Resolve a discrepancy (action: sync_cache, adjust_ledger, mark_resolved or ignore)
+ * POST /api/reconciliation/items/:itemId/resolve
+ */
+router.post('/items/:itemId/resolve',
+  requireScope(SCOPES.RECONCILIATION_WRITE),
+  validate(reconciliationValidationRules.resolve),
+  ReconciliationController.resolveItem
+);
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const SMSController = require('../controllers/smsController');
-const { authenticatePhone, phoneRateLimit } = require('../middleware/authMiddleware');
+const { authenticatePhone, phoneRateLimit, requireScope } = require('../middleware/authMiddleware');
+const { SCOPES } = require('../services/apiKeyService');
 const { smsValidationRules, validate } = require('../middleware/validation');
 
 // Route definitions using controllers and validation
@@ -17,6 +18,7 @@ router.post('/incoming', SMSController.handleIncomingSMS);
  * POST /api/sms/send
  */
 router.post('/send',
+  requireScope(SCOPES.SMS_SEND),
   authenticatePhone,
   phoneRateLimit,
   validate(smsValidationRules.sendSMS),
@@ -28,6 +30,7 @@ router.post('/send',
  * POST /api/sms/balance
  */
 router.post('/balance',
+  requireScope(SCOPES.SMS_SEND),
   authenticatePhone,
   phoneRateLimit,
   validate(smsValidationRules.balanceNotification),
@@ -60,6 +63,7 @@ router.post('/verify-otp',
  * POST /api/sms/transaction-confirmation
  */
 router.post('/transaction-confirmation',
+  requireScope(SCOPES.SMS_SEND),
   authenticatePhone,
   validate(smsValidationRules.transactionConfirmation),
   SMSController.sendTransactionConfirmation
@@ -70,6 +74,7 @@ router.post('/transaction-confirmation',
  * POST /api/sms/welcome
  */
 router.post('/welcome',
+  requireScope(SCOPES.SMS_SEND),
   authenticatePhone,
   validate(smsValidationRules.welcomeSMS),
   SMSController.sendWelcomeSMS
@@ -85,6 +90,6 @@ router.post('/delivery-report', SMSController.handleDeliveryReport);
  * Get SMS statistics (for admin/monitoring)
  * GET /api/sms/stats
  */
-router.get('/stats', SMSController.getSMSStats);
+router.get('/stats', requireScope(SCOPES.STATS_READ), SMSController.getSMSStats);
 
 module.exports = router;
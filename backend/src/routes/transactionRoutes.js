@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const TransactionController = require('../controllers/transactionController');
-const { authenticatePhone, phoneRateLimit } = require('../middleware/authMiddleware');
+const { authenticatePhone, phoneRateLimit, requireScope } = require('../middleware/authMiddleware');
+const { SCOPES } = require('../services/apiKeyService');
 const { transactionValidationRules, validate } = require('../middleware/validation');
+const { idempotent } = require('../middleware/idempotency');
 
 // Route definitions using controllers and validation
 
@@ -11,20 +13,36 @@ const { transactionValidationRules, validate } = require('../middleware/validati
  * POST /api/transactions/transfer
  */
 router.post('/transfer',
+  requireScope(SCOPES.TRANSACTIONS_WRITE),
   authenticatePhone,
   phoneRateLimit,
   validate(transactionValidationRules.transfer),
+  idempotent('transactions.transfer'),
   TransactionController.processTransfer
 );
 
+/**
+ * Lock an exchange rate (pass the quoteId to transfer, deposit or withdraw)
+ * POST /api/transactions/quote
+ */
+router.post('/quote',
+  requireScope(SCOPES.TRANSACTIONS_WRITE),
+  authenticatePhone,
+  phoneRateLimit,
+  validate(transactionValidationRules.quote),
+  TransactionController.createQuote
+);
+
 /**
  * Process mobile money deposit
  * POST /api/transactions/deposit
  */
 router.post('/deposit',
+  requireScope(SCOPES.TRANSACTIONS_WRITE),
   authenticatePhone,
   phoneRateLimit,
   validate(transactionValidationRules.deposit),
+  idempotent('transactions.deposit'),
   TransactionController.processDeposit
 );
 
@@ -33,18 +51,22 @@ router.post('/deposit',
  * POST /api/transactions/withdraw
  */
 router.post('/withdraw',
+  requireScope(SCOPES.TRANSACTIONS_WRITE),
   authenticatePhone,
   phoneRateLimit,
   validate(transactionValidationRules.withdrawal),
+  idempotent('transactions.withdraw'),
   TransactionController.processWithdrawal
 );
 
+// The read routes below are back-office: TRANSACTIONS_READ covers every phone number
+
 /**
  * Get transaction history for user
  * GET /api/transactions/history/:phoneNumber
  */
 router.get('/history/:phoneNumber',
-  authenticatePhone,
+  requireScope(SCOPES.TRANSACTIONS_READ),
   validate(transactionValidationRules.history),
   TransactionController.getTransactionHistory
 );
@@ -54,6 +76,7 @@ router.get('/history/:phoneNumber',
  * GET /api/transactions/:transactionId
  */
 router.get('/:transactionId',
+  requireScope(SCOPES.TRANSACTIONS_READ),
   validate(transactionValidationRules.details),
   TransactionController.getTransactionDetails
 );
@@ -63,6 +86,7 @@ router.get('/:transactionId',
  * GET /api/transactions/stats/overview
  */
 router.get('/stats/overview',
+  requireScope(SCOPES.STATS_READ),
   validate(transactionValidationRules.stats),
   TransactionController.getTransactionStats
 );
@@ -72,6 +96,7 @@ router.get('/stats/overview',
  * POST /api/transactions/:transactionId/retry
  */
 router.post('/:transactionId/retry',
+  requireScope(SCOPES.TRANSACTIONS_WRITE),
   authenticatePhone,
   validate(transactionValidationRules.retry),
   TransactionController.retryTransaction
@@ -82,6 +107,7 @@ router.post('/:transactionId/retry',
  * POST /api/transactions/:transactionId/cancel
  */
 router.post('/:transactionId/cancel',
+  requireScope(SCOPES.TRANSACTIONS_WRITE),
   authenticatePhone,
   validate(transactionValidationRules.cancel),
   TransactionController.cancelTransaction
@@ -92,7 +118,7 @@ router.post('/:transactionId/cancel',
  * GET /api/transactions/balance/:phoneNumber
  */
 router.get('/balance/:phoneNumber',
-  authenticatePhone,
+  requireScope(SCOPES.TRANSACTIONS_READ),
   validate(transactionValidationRules.balance),
   TransactionController.getUserBalance
 );
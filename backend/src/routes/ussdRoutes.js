@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const USSDController = require('../controllers/ussdController');
-const { phoneRateLimit } = require('../middleware/authMiddleware');
+const { phoneRateLimit, requireScope } = require('../middleware/authMiddleware');
+const { SCOPES } = require('../services/apiKeyService');
 const { ussdValidationRules, validate } = require('../middleware/validation');
 
 // Route definitions using controllers and validation
@@ -22,25 +23,46 @@ router.post('/timeout', USSDController.handleSessionTimeout);
  * Get active USSD sessions (for monitoring)
  * GET /api/ussd/sessions
  */
-router.get('/sessions', USSDController.getActiveSessions);
+router.get('/sessions', requireScope(SCOPES.SESSIONS_READ), USSDController.getActiveSessions);
 
 /**
  * Clear expired USSD sessions (cleanup endpoint)
  * DELETE /api/ussd/sessions/expired
  */
-router.delete('/sessions/expired', USSDController.clearExpiredSessions);
+router.delete('/sessions/expired', requireScope(SCOPES.SESSIONS_MANAGE), USSDController.clearExpiredSessions);
 
 /**
  * Get USSD statistics
  * GET /api/ussd/stats
  */
-router.get('/stats', USSDController.getUSSDStats);
+router.get('/stats', requireScope(SCOPES.STATS_READ), USSDController.getUSSDStats);
+
+/**
+ * Get a funnel with drop-off and median time per step
+ * GET /api/ussd/analytics/funnels/:funnel?from&to&country
+ */
+router.get('/analytics/funnels/:funnel',
+  requireScope(SCOPES.STATS_READ),
+  validate([...ussdValidationRules.funnel, ...ussdValidationRules.analytics]),
+  USSDController.getFunnel
+);
+
+/**
+ * Get per-state views, error screens, time spent and abandonment
+ * GET /api/ussd/analytics/states?from&to&country
+ */
+router.get('/analytics/states',
+  requireScope(SCOPES.STATS_READ),
+  validate(ussdValidationRules.analytics),
+  USSDController.getStateReport
+);
 
 /**
  * Test USSD menu flow (for development/testing)
  * POST /api/ussd/test
  */
 router.post('/test',
+  requireScope(SCOPES.DEV_TEST),
   validate(ussdValidationRules.testFlow),
   USSDController.testUSSDFlow
 );
@@ -50,6 +72,7 @@ router.post('/test',
  * GET /api/ussd/sessions/:sessionId
  */
 router.get('/sessions/:sessionId',
+  requireScope(SCOPES.SESSIONS_READ),
   validate(ussdValidationRules.sessionDetails),
   USSDController.getSessionDetails
 );
@@ -59,6 +82,7 @@ router.get('/sessions/:sessionId',
  * DELETE /api/ussd/sessions/:sessionId
  */
 router.delete('/sessions/:sessionId',
+  requireScope(SCOPES.SESSIONS_MANAGE),
   validate(ussdValidationRules.sessionDetails),
   USSDController.endSession
 );
@@ -68,6 +92,7 @@ router.delete('/sessions/:sessionId',
  * GET /api/ussd/users/:phoneNumber/sessions
  */
 router.get('/users/:phoneNumber/sessions',
+  requireScope(SCOPES.SESSIONS_READ),
   validate(ussdValidationRules.userSessions),
   USSDController.getUserSessions
 );
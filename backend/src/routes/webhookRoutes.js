@@ -2,6 +2,15 @@ const express = require('express');
 const router = express.Router();
 const WebhookController = require('../controllers/webhookController');
 const { webhookValidationRules, validate } = require('../middleware/validation');
+const { idempotent } = require('../middleware/idempotency');
+const { requireScope } = require('../middleware/authMiddleware');
+const { SCOPES } = require('../services/apiKeyService');
+
+// Re-delivered webhooks are keyed by the provider's transaction id and status
+const providerKeys = {
+  airtel: (req) => req.body.transaction_id && `${req.body.transaction_id}:${req.body.transaction_status}`,
+  yellowcard: (req) => req.body.data && req.body.data.id && `${req.body.data.id}:${req.body.event_type}`
+};
 
 // Route definitions using controllers and validation
 
@@ -11,6 +20,7 @@ const { webhookValidationRules, validate } = require('../middleware/validation')
  */
 router.post('/airtel',
   validate(webhookValidationRules.airtel),
+  idempotent('webhooks.airtel', { keyFrom: providerKeys.airtel }),
   WebhookController.handleAirtelWebhook
 );
 
@@ -20,18 +30,10 @@ router.post('/airtel',
  */
 router.post('/yellowcard',
   validate(webhookValidationRules.yellowcard),
+  idempotent('webhooks.yellowcard', { keyFrom: providerKeys.yellowcard }),
   WebhookController.handleYellowCardWebhook
 );
 
-/**
- * Handle blockchain transaction confirmations
- * POST /api/webhooks/blockchain
- */
-router.post('/blockchain',
-  validate(webhookValidationRules.blockchain),
-  WebhookController.handleBlockchainWebhook
-);
-
 /**
  * Handle Africa's Talking delivery reports
  * POST /api/webhooks/africastalking/delivery
@@ -45,7 +47,7 @@ router.post('/africastalking/delivery',
  * Generic webhook handler for testing
  * POST /api/webhooks/test
  */
-router.post('/test', WebhookController.handleTestWebhook);
+router.post('/test', requireScope(SCOPES.DEV_TEST), WebhookController.handleTestWebhook);
 
 /**
  * Webhook verification endpoint
@@ -57,6 +59,6 @@ router.get('/verify', WebhookController.handleWebhookVerification);
  * Get webhook statistics
  * GET /api/webhooks/stats
  */
-router.get('/stats', WebhookController.getWebhookStats);
+router.get('/stats', requireScope(SCOPES.STATS_READ), WebhookController.getWebhookStats);
 
 module.exports = router;
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { ApiKey } = require('../db/models');
+
+const ROLES = ['admin', 'support', 'finance', 'partner'];
+
+const SCOPES = {
+  TRANSACTIONS_READ: 'transactions:read',
+  TRANSACTIONS_WRITE: 'transactions:write',
+  SMS_SEND: 'sms:send',
+  STATS_READ: 'stats:read',
+  SESSIONS_READ: 'sessions:read',
+  SESSIONS_MANAGE: 'sessions:manage',
+  RECONCILIATION_READ: 'reconciliation:read',
+  RECONCILIATION_WRITE: 'reconciliation:write',
+  DEV_TEST: 'dev:test',
+  AUDIT_READ: 'audit:read',
+  API_KEYS_MANAGE: 'api_keys:manage'
+};
+
+// Scopes each role may hold; a key gets all of them unless created with fewer.
+// TRANSACTIONS_READ is back-office only: it reads any phone number's transactions and balance.
+const ROLE_SCOPES = {
+  admin: Object.values(SCOPES),
+  support: [SCOPES.TRANSACTIONS_READ, SCOPES.SMS_SEND, SCOPES.STATS_READ, SCOPES.SESSIONS_READ, SCOPES.SESSIONS_MANAGE],
+  finance: [SCOPES.TRANSACTIONS_READ, SCOPES.STATS_READ, SCOPES.RECONCILIATION_READ, SCOPES.RECONCILIATION_WRITE, SCOPES.AUDIT_READ],
+  partner: [SCOPES.TRANSACTIONS_WRITE]
+};
+
+// How long a rotated key keeps working next to its replacement
+const ROTATION_GRACE_HOURS = parseInt(process.env.API_KEY_ROTATION_GRACE_HOURS) || 24;
+const KEY_PREFIX = 'zyb';
+
+// Keys are 32 random bytes, so a fast hash is enough; a slow one would only slow every request
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+class ApiKeyService {
+  /**
+   * Generate a key: zyb_<lookup id>_<secret>. Only its hash is stored.
+   * @returns {Object} - { key, keyPrefix, keyHash }
+   */
+  generate() {
+    const keyPrefix = `${KEY_PREFIX}_${crypto.randomBytes(6).toString('hex')}`;
+    const key = `${keyPrefix}_${crypto.randomBytes(32).toString('base64url')}`;
+    return { key, keyPrefix, keyHash: hashKey(key) };
+  }
+
+  /**
+   * Create an API key
+   * @param {Object} options - { name, role, scopes (default: all of the role's), createdBy }
+   * @returns {Promise<Object>} - { key, apiKey } where key is the only copy of the secret
+   */
+  async create({ name, role, scopes = null, createdBy = null, rotatedFrom = null }) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+
+    const granted = scopes && scopes.length > 0 ? [...new Set(scopes)] : ROLE_SCOPES[role];
+    const outside = granted.filter(scope => !ROLE_SCOPES[role].includes(scope));
+    if (outside.length > 0) {
+      throw new Error(`Role ${role} cannot hold scopes: ${outside.join(', ')}`);
+    }
+
+    const { key, keyPrefix, keyHash } = this.generate();
+    const apiKey = await ApiKey.create({ name, role, scopes: granted, keyPrefix, keyHash, rotatedFrom, createdBy });
+
+    logger.info(`API key ${keyPrefix} created for ${name} (${role})${createdBy ? ` by ${createdBy}` : ''}`);
+    return { key, apiKey: this.toPublic(apiKey) };
+  }
+
+  /**
+   * Find the active key a request presented
+   * @param {string} key - Full key
+   * @returns {Promise<Object|null>} - api_keys row, or null if unknown, revoked, expired or wrong
+   */
+  async authenticate(key) {
+    const match = /^(zyb_[0-9a-f]{12})_[A-Za-z0-9_-]+$/.exec(String(key || ''));
+    if (!match) {
+      return null;
+    }
+
+    const apiKey = await ApiKey.findByPrefix(match[1]);
+    if (!apiKey || apiKey.status !== 'active' || (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date())) {
+      return null;
+    }
+
+    const presented = Buffer.from(hashKey(key), 'hex');
+    if (!crypto.timingSafeEqual(presented, Buffer.from(apiKey.key_hash, 'hex'))) {
+      return null;
+    }
+
+    ApiKey.markUsed(apiKey.id).catch(() => {});
+    return apiKey;
+  }
+
+  /**
+   * Replace a key with a new one holding the same role and scopes; the old key keeps working
+   * for graceHours so clients can switch over
+   * @param {string} id - API key ID
+   * @param {Object} options - { graceHours, rotatedBy }
+   * @returns {Promise<Object>} - { key, apiKey, previousExpiresAt }
+   */
+  async rotate(id, { graceHours = ROTATION_GRACE_HOURS, rotatedBy = null } = {}) {
+    const previous = await ApiKey.findById(id);
+    if (!previous || previous.status !== 'active') {
+      throw new Error('API key not found or revoked');
+    }
+
+    const created = await this.create({
+      name: previous.name,
+      role: previous.role,
+      scopes: previous.scopes,
+      createdBy: rotatedBy,
+      rotatedFrom: previous.id
+    });
+    const expired = await ApiKey.expire(previous.id, new Date(Date.now() + graceHours * 60 * 60 * 1000));
+
+    logger.info(`API key ${previous.key_prefix} rotated to ${created.apiKey.key_prefix}`);
+    return { ...created, previousExpiresAt: expired ? expired.expires_at : null };
+  }
+
+  /**
+   * Revoke a key immediately
+   * @param {string} id - API key ID
+   * @returns {Promise<Object>} - Revoked key
+   */
+  async revoke(id) {
+    const revoked = await ApiKey.revoke(id);
+    if (!revoked) {
+      throw new Error('API key not found or already revoked');
+    }
+
+    logger.info(`API key ${revoked.key_prefix} revoked`);
+    return this.toPublic(revoked);
+  }
+
+  // The row without its hash
+  toPublic(apiKey) {
+    const publicKey = { ...apiKey };
+    delete publicKey.key_hash;
+    return publicKey;
+  }
+}
+
+module.exports = new ApiKeyService();
+module.exports.ApiKeyService = ApiKeyService;
+module.exports.ROLES = ROLES;
+module.exports.SCOPES = SCOPES;
+module.exports.ROLE_SCOPES = ROLE_SCOPES;
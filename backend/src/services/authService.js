@@ -1,9 +1,19 @@
 const crypto = require('crypto');
+const { promisify } = require('util');
 const jwt = require('jsonwebtoken');
 const { User } = require('../db/models');
 const redisClient = require('../db/redisClient');
 const SMSService = require('./smsEngine');
 const logger = require('../utils/logger');
+const { countryInfo, isValidNumber } = require('../utils/phone');
+
+// Transaction PIN policy
+const PIN_PATTERN = /^\d{4,6}$/;
+const MAX_PIN_ATTEMPTS = 3;
+const PIN_LOCK_MINUTES = 30;
+const SCRYPT_KEY_LENGTH = 64;
+
+const scrypt = promisify(crypto.scrypt);
 
 class AuthService {
   /**
@@ -14,32 +24,18 @@ class AuthService {
   static validatePhoneNumber(phoneNumber) {
     // Remove all non-digit characters
     const cleanNumber = phoneNumber.replace(/\D/g, '');
-    
-    // African country codes and their patterns
-    const africanPatterns = {
-      '254': { country: 'Kenya', minLength: 12, maxLength: 12 },
-      '255': { country: 'Tanzania', minLength: 12, maxLength: 12 },
-      '256': { country: 'Uganda', minLength: 12, maxLength: 12 },
-      '234': { country: 'Nigeria', minLength: 13, maxLength: 14 },
-      '233': { country: 'Ghana', minLength: 12, maxLength: 12 },
-      '260': { country: 'Zambia', minLength: 12, maxLength: 12 },
-      '265': { country: 'Malawi', minLength: 12, maxLength: 12 }
-    };
-    
-    // Check if number matches any African pattern
-    for (const [code, pattern] of Object.entries(africanPatterns)) {
-      if (cleanNumber.startsWith(code)) {
-        if (cleanNumber.length >= pattern.minLength && cleanNumber.length <= pattern.maxLength) {
-          return {
-            isValid: true,
-            normalizedNumber: cleanNumber,
-            countryCode: code,
-            country: pattern.country
-          };
-        }
-      }
+
+    // The countries we serve and their number lengths come from utils/phone
+    if (isValidNumber(cleanNumber)) {
+      const { dialingCode, name } = countryInfo(cleanNumber);
+      return {
+        isValid: true,
+        normalizedNumber: cleanNumber,
+        countryCode: dialingCode,
+        country: name
+      };
     }
-    
+
     return {
       isValid: false,
       error: 'Invalid phone number format or unsupported country'
@@ -176,6 +172,157 @@ class AuthService {
     }
   }
 
+  /**
+   * Check whether an unexpired OTP is still waiting to be verified
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} purpose - Purpose the OTP was issued for
+   * @returns {Promise<boolean>} - True if the OTP can still be verified
+   */
+  static async hasPendingOTP(phoneNumber, purpose = 'authentication') {
+    try {
+      const validation = this.validatePhoneNumber(phoneNumber);
+      if (!validation.isValid) {
+        return false;
+      }
+
+      const otpKey = `otp:${validation.normalizedNumber}:${purpose}`;
+      return Boolean(await redisClient.get(otpKey));
+    } catch (error) {
+      logger.error('Error checking pending OTP:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Validate transaction PIN format (4-6 digits)
+   * @param {string} pin - PIN entered by the user
+   * @returns {Object} - Validation result
+   */
+  static validatePin(pin) {
+    if (!PIN_PATTERN.test(pin || '')) {
+      return { isValid: false, error: 'PIN must be 4 to 6 digits' };
+    }
+
+    if (/^(\d)\1+$/.test(pin)) {
+      return { isValid: false, error: 'PIN must not repeat a single digit' };
+    }
+
+    return { isValid: true };
+  }
+
+  /**
+   * Hash a transaction PIN with a random salt (scrypt)
+   * @param {string} pin - PIN to hash
+   * @returns {Promise<string>} - Encoded hash (scrypt$salt$hash)
+   */
+  static async hashPin(pin) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derived = await scrypt(pin, salt, SCRYPT_KEY_LENGTH);
+    return `scrypt$${salt}$${derived.toString('hex')}`;
+  }
+
+  /**
+   * Compare a PIN against a stored hash in constant time
+   * @param {string} pin - PIN entered by the user
+   * @param {string} pinHash - Encoded hash from hashPin
+   * @returns {Promise<boolean>} - True if the PIN matches
+   */
+  static async comparePin(pin, pinHash) {
+    const [scheme, salt, hash] = (pinHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const derived = await scrypt(pin || '', salt, expected.length);
+    return crypto.timingSafeEqual(derived, expected);
+  }
+
+  /**
+   * Set or replace the user's transaction PIN
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} pinHash - Encoded hash from hashPin
+   * @returns {Promise<Object>} - Result
+   */
+  static async setTransactionPin(phoneNumber, pinHash) {
+    try {
+      const validation = this.validatePhoneNumber(phoneNumber);
+      if (!validation.isValid) {
+        return { success: false, error: validation.error };
+      }
+
+      const normalizedPhone = validation.normalizedNumber;
+      await User.updatePin(normalizedPhone, pinHash);
+
+      // A new PIN lifts any lockout on the old one
+      await redisClient.del(`pin_attempts:${normalizedPhone}`);
+
+      logger.info('Transaction PIN updated', { phoneNumber: normalizedPhone });
+      return { success: true };
+    } catch (error) {
+      logger.error('Error setting transaction PIN:', error);
+      return { success: false, error: 'Failed to set PIN' };
+    }
+  }
+
+  /**
+   * Verify the user's transaction PIN, counting failed attempts. A verified PIN authorises only
+   * the operation the caller is about to run; nothing is stored that would approve another one.
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} pin - PIN entered by the user
+   * @returns {Promise<Object>} - Verification result (locked / attemptsRemaining on failure)
+   */
+  static async verifyTransactionPin(phoneNumber, pin) {
+    try {
+      const validation = this.validatePhoneNumber(phoneNumber);
+      if (!validation.isValid) {
+        return { success: false, error: validation.error };
+      }
+
+      const normalizedPhone = validation.normalizedNumber;
+      const attemptsKey = `pin_attempts:${normalizedPhone}`;
+
+      const user = await User.findByPhone(normalizedPhone);
+      if (!user || !user.pin_hash) {
+        return { success: false, error: 'PIN not set', requiresSetup: true };
+      }
+
+      // Count the attempt before checking it: INCR is atomic, so parallel guesses each get their own count
+      const attempts = await redisClient.incr(attemptsKey);
+      if (attempts === 1) {
+        await redisClient.expire(attemptsKey, PIN_LOCK_MINUTES * 60);
+      }
+
+      if (attempts > MAX_PIN_ATTEMPTS) {
+        return {
+          success: false,
+          error: 'Too many failed attempts. PIN is locked.',
+          locked: true,
+          lockMinutes: PIN_LOCK_MINUTES
+        };
+      }
+
+      if (!(await this.comparePin(pin, user.pin_hash))) {
+        logger.warn('Failed PIN attempt', { phoneNumber: normalizedPhone, attempts });
+
+        return {
+          success: false,
+          error: `Incorrect PIN. ${MAX_PIN_ATTEMPTS - attempts} attempts remaining.`,
+          locked: attempts >= MAX_PIN_ATTEMPTS,
+          lockMinutes: PIN_LOCK_MINUTES,
+          attemptsRemaining: MAX_PIN_ATTEMPTS - attempts
+        };
+      }
+
+      await redisClient.del(attemptsKey);
+
+      return { success: true, phoneNumber: normalizedPhone };
+    } catch (error) {
+      logger.error('Error verifying transaction PIN:', error);
+      return { success: false, error: 'Failed to verify PIN' };
+    }
+  }
+
   /**
    * Create secure session for authenticated user
    * @param {string} phoneNumber - User's phone number
@@ -311,7 +458,8 @@ class AuthService {
         return { 
           success: false, 
           error: 'Authentication required',
-          requiresAuth: true 
+          requiresAuth: true,
+          pinEnabled: Boolean(user.pin_hash)
         };
       }
       
@@ -320,7 +468,8 @@ class AuthService {
         return { 
           success: false, 
           error: 'Session expired. Please authenticate again.',
-          requiresAuth: true 
+          requiresAuth: true,
+          pinEnabled: Boolean(user.pin_hash)
         };
       }
       
@@ -334,7 +483,8 @@ class AuthService {
           return {
             success: false,
             error: 'Recent authentication required for this operation',
-            requiresRecentAuth: true
+            requiresRecentAuth: true,
+            pinEnabled: Boolean(user.pin_hash)
           };
         }
       }
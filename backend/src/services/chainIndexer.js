@@ -0,0 +1,405 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const { User, Transaction, ChainCheckpoint, ChainBlock, ChainEvent } = require('../db/models');
+
+const INDEXER = 'zrusd';
+
+// ZrUSD Transfer and ERC-4626 vault events
+const EVENTS = new ethers.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event Deposit(address indexed sender, address indexed owner, uint256 assets, uint256 shares)',
+  'event Withdraw(address indexed sender, address indexed receiver, address indexed owner, uint256 assets, uint256 shares)'
+]);
+const TOPICS = {
+  Transfer: EVENTS.getEvent('Transfer').topicHash,
+  Deposit: EVENTS.getEvent('Deposit').topicHash,
+  Withdraw: EVENTS.getEvent('Withdraw').topicHash
+};
+
+// Blocks an event must be buried under before it settles transactions or credits wallets
+const CONFIRMATIONS = parseInt(process.env.CHAIN_CONFIRMATIONS) || 12;
+const POLL_MS = parseInt(process.env.CHAIN_INDEXER_POLL_MS) || 15000;
+// Most blocks asked of the RPC node per getLogs call
+const MAX_BLOCKS = parseInt(process.env.CHAIN_INDEXER_MAX_BLOCKS) || 500;
+// Recent block hashes checked for reorgs each poll, and how far back they are kept
+const REORG_CHECK_BLOCKS = CONFIRMATIONS + 1;
+const KEEP_BLOCKS = CONFIRMATIONS * 4;
+
+class ChainIndexer {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.assetDecimals = new Map();
+  }
+
+  get provider() {
+    return require('./walletService').provider;
+  }
+
+  get zrUSDAddress() {
+    return require('./walletService').zrUSDContract.target;
+  }
+
+  get vaultAddresses() {
+    return require('./morphoService').popularVaults;
+  }
+
+  /**
+   * Index new blocks, roll back reorged ones and settle events that are deep enough
+   * (skipped while another instance holds the indexer lock)
+   * @returns {Promise<number>} - Number of blocks indexed
+   */
+  async poll() {
+    const indexed = await ChainCheckpoint.withLock(INDEXER, async () => {
+      const head = await this.provider.getBlockNumber();
+
+      let checkpoint = await ChainCheckpoint.get(INDEXER);
+      if (checkpoint) {
+        checkpoint = await this.handleReorg(checkpoint);
+      }
+
+      const start = parseInt(process.env.CHAIN_INDEXER_START_BLOCK);
+      const from = checkpoint
+        ? Number(checkpoint.block_number) + 1
+        : (isNaN(start) ? Math.max(head - CONFIRMATIONS, 0) : start);
+      const to = Math.min(head, from + MAX_BLOCKS - 1);
+
+      if (from <= to) {
+        await this.indexRange(from, to);
+
+        const block = await this.provider.getBlock(to);
+        await ChainBlock.save(to, block.hash);
+        await ChainCheckpoint.save(INDEXER, to, block.hash);
+      }
+
+      await this.settle(head);
+      await ChainBlock.prune(head - KEEP_BLOCKS);
+
+      return Math.max(to - from + 1, 0);
+    });
+
+    return indexed || 0;
+  }
+
+  /**
+   * Compare recently indexed blocks with the chain and roll back to the newest one still on it
+   * @param {Object} checkpoint - Current checkpoint row
+   * @returns {Promise<Object>} - Checkpoint to continue from
+   */
+  async handleReorg(checkpoint) {
+    const recent = await ChainBlock.findRecent(REORG_CHECK_BLOCKS);
+    const checked = [];
+
+    for (const stored of recent) {
+      const block = await this.provider.getBlock(Number(stored.block_number));
+      checked.push({ number: Number(stored.block_number), matches: Boolean(block) && block.hash === stored.block_hash });
+    }
+
+    const mismatched = checked.filter(block => !block.matches);
+    if (mismatched.length === 0) {
+      return checkpoint;
+    }
+
+    const lowestMismatch = Math.min(...mismatched.map(block => block.number));
+    const ancestor = checked.find(block => block.matches && block.number < lowestMismatch);
+    const rollbackTo = ancestor ? ancestor.number : lowestMismatch - 1;
+
+    logger.warn(`Chain reorg detected at block ${lowestMismatch}; rolling back to ${rollbackTo}`);
+    await this.rollback(rollbackTo);
+
+    const block = await this.provider.getBlock(rollbackTo);
+    return await ChainCheckpoint.save(INDEXER, rollbackTo, block.hash);
+  }
+
+  /**
+   * Drop everything indexed after a block
+   * @param {number} blockNumber - Last block to keep
+   */
+  async rollback(blockNumber) {
+    const removed = await ChainEvent.removeAbove(blockNumber);
+
+    for (const event of removed) {
+      await Transaction.updateConfirmations(event.tx_hash, null, 0);
+
+      // Deeper than CONFIRMATIONS: its effects stay, so reconciliation will flag the difference
+      if (event.status === 'confirmed') {
+        logger.error(`Reorg removed confirmed ${event.event_name} event in ${event.tx_hash}`, {
+          eventId: event.id,
+          creditedTransactionId: event.credited_transaction_id
+        });
+      }
+    }
+
+    await ChainBlock.deleteAbove(blockNumber);
+  }
+
+  /**
+   * Fetch and store the events of a block range that concern Zybra users
+   * @param {number} fromBlock - First block
+   * @param {number} toBlock - Last block
+   */
+  async indexRange(fromBlock, toBlock) {
+    const [transferLogs, vaultLogs] = await Promise.all([
+      this.provider.getLogs({ address: this.zrUSDAddress, topics: [TOPICS.Transfer], fromBlock, toBlock }),
+      this.provider.getLogs({ address: this.vaultAddresses, topics: [[TOPICS.Deposit, TOPICS.Withdraw]], fromBlock, toBlock })
+    ]);
+
+    const events = [];
+    for (const log of [...transferLogs, ...vaultLogs]) {
+      const parsed = EVENTS.parseLog(log);
+      if (parsed) {
+        events.push({ log, parsed });
+      }
+    }
+    if (events.length === 0) {
+      return;
+    }
+
+    const addresses = new Set();
+    for (const { parsed } of events) {
+      ['from', 'to', 'owner'].filter(key => parsed.args[key]).forEach(key => addresses.add(parsed.args[key].toLowerCase()));
+    }
+    const users = new Map((await User.findByWalletAddresses([...addresses]))
+      .map(user => [user.wallet_address.toLowerCase(), user]));
+
+    let stored = 0;
+    for (const { log, parsed } of events) {
+      const event = await this.toEvent(log, parsed, users);
+      if (!event) {
+        continue;
+      }
+
+      await ChainEvent.create(event);
+      await ChainBlock.save(log.blockNumber, log.blockHash);
+      stored++;
+    }
+
+    logger.info(`Indexed blocks ${fromBlock}-${toBlock}: ${stored} user event(s)`);
+  }
+
+  /**
+   * Turn a parsed log into a chain_events row, if it concerns a user
+   * @param {Object} log - Raw log
+   * @param {Object} parsed - Parsed log
+   * @param {Map} users - Users by lowercase wallet address
+   * @returns {Promise<Object|null>} - Event data, or null if no user is involved
+   */
+  async toEvent(log, parsed, users) {
+    const base = {
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      txHash: log.transactionHash,
+      logIndex: log.index,
+      contractAddress: log.address,
+      eventName: parsed.name
+    };
+
+    if (parsed.name === 'Transfer') {
+      const { from, to, value } = parsed.args;
+      const recipient = users.get(to.toLowerCase());
+      const sender = users.get(from.toLowerCase());
+      if (!recipient && !sender) {
+        return null;
+      }
+
+      return {
+        ...base,
+        fromAddress: from,
+        toAddress: to,
+        value: value.toString(),
+        amount: ethers.formatEther(value),
+        phoneNumber: (recipient || sender).phone_number
+      };
+    }
+
+    const owner = users.get(parsed.args.owner.toLowerCase());
+    if (!owner) {
+      return null;
+    }
+
+    const decimals = await this.getAssetDecimals(log.address);
+    return {
+      ...base,
+      fromAddress: parsed.name === 'Deposit' ? parsed.args.sender : parsed.args.owner,
+      toAddress: parsed.name === 'Deposit' ? log.address : parsed.args.receiver,
+      value: parsed.args.assets.toString(),
+      amount: ethers.formatUnits(parsed.args.assets, decimals),
+      phoneNumber: owner.phone_number
+    };
+  }
+
+  /**
+   * Get the decimals of a vault's underlying asset (cached)
+   * @param {string} vaultAddress - Vault address
+   * @returns {Promise<number>} - Asset decimals
+   */
+  async getAssetDecimals(vaultAddress) {
+    const key = vaultAddress.toLowerCase();
+    if (!this.assetDecimals.has(key)) {
+      const vault = new ethers.Contract(vaultAddress, ['function asset() external view returns (address)'], this.provider);
+      const asset = new ethers.Contract(await vault.asset(), ['function decimals() external view returns (uint8)'], this.provider);
+      this.assetDecimals.set(key, Number(await asset.decimals()));
+    }
+    return this.assetDecimals.get(key);
+  }
+
+  /**
+   * Update confirmations of pending events and settle those that are deep enough
+   * @param {number} head - Latest block number
+   */
+  async settle(head) {
+    for (const event of await ChainEvent.findPending()) {
+      const confirmations = head - Number(event.block_number) + 1;
+      await Transaction.updateConfirmations(event.tx_hash, event.block_number, confirmations);
+
+      if (confirmations < CONFIRMATIONS) {
+        continue;
+      }
+
+      try {
+        await this.settleEvent(event);
+      } catch (error) {
+        // Left pending, so the next poll tries again
+        logger.error(`Failed to settle chain event ${event.id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Apply a confirmed event: complete the transactions it belongs to and credit
+   * transfers received from outside Zybra
+   * @param {Object} event - chain_events row
+   */
+  async settleEvent(event) {
+    const SMSService = require('./smsEngine');
+    const transactions = await Transaction.findByTxHash(event.tx_hash);
+
+    for (const transaction of transactions.filter(tx => tx.status === 'pending')) {
+      await Transaction.updateStatus(transaction.id, 'completed', transaction.tx_hash);
+      await SMSService.sendTransactionConfirmation(transaction.phone_number, {
+        type: transaction.type,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        status: 'completed',
+        txHash: event.tx_hash
+      });
+      logger.info(`Transaction ${transaction.id} confirmed on chain in block ${event.block_number}`);
+    }
+
+    let credited = null;
+    if (await this.isExternalDeposit(event, transactions)) {
+      credited = await this.creditExternalDeposit(event);
+    }
+
+    await ChainEvent.markConfirmed(event.id, credited ? credited.id : null);
+  }
+
+  /**
+   * Check whether an event is ZrUSD sent to a user from an address outside Zybra that has not been credited
+   * @param {Object} event - chain_events row
+   * @param {Array<Object>} transactions - Transactions with the event's hash
+   * @returns {Promise<boolean>} - True if the recipient should be credited
+   */
+  async isExternalDeposit(event, transactions) {
+    if (event.event_name !== 'Transfer' || event.from_address === ethers.ZeroAddress) {
+      return false;
+    }
+
+    // Transfers between users, mints and burns are already in the ledger
+    const [recipient] = await User.findByWalletAddresses([event.to_address]);
+    const [sender] = await User.findByWalletAddresses([event.from_address]);
+    if (!recipient || sender) {
+      return false;
+    }
+
+    return !transactions.some(tx => tx.phone_number === recipient.phone_number && tx.type === 'receive' && tx.status !== 'failed');
+  }
+
+  /**
+   * Credit ZrUSD received from outside Zybra and tell the user
+   * @param {Object} event - chain_events row (Transfer)
+   * @returns {Promise<Object>} - 'receive' transaction
+   */
+  async creditExternalDeposit(event) {
+    const ledgerService = require('./ledgerService');
+    const SMSService = require('./smsEngine');
+    const amount = parseFloat(event.amount);
+
+    const transaction = await Transaction.create({
+      phoneNumber: event.phone_number,
+      type: 'receive',
+      amount,
+      currency: 'ZrUSD',
+      status: 'pending',
+      txHash: event.tx_hash,
+      metadata: { sender: event.from_address, external: true, logIndex: event.log_index }
+    });
+
+    let balance;
+    try {
+      ({ balance } = await ledgerService.recordExternalDeposit(event.phone_number, amount, {
+        txHash: event.tx_hash,
+        transactionId: transaction.id,
+        fromAddress: event.from_address
+      }));
+    } catch (error) {
+      await Transaction.updateStatus(transaction.id, 'failed', event.tx_hash);
+      throw error;
+    }
+    await Transaction.updateStatus(transaction.id, 'completed', event.tx_hash);
+
+    logger.info(`Credited ${amount} ZrUSD received from ${event.from_address} to ${event.phone_number}`);
+    await SMSService.sendReceivedNotification(event.phone_number, {
+      amount,
+      sender: event.from_address,
+      balance,
+      txHash: event.tx_hash
+    });
+
+    return transaction;
+  }
+
+  /**
+   * Start the indexer loop
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    logger.info(`Chain indexer started (${CONFIRMATIONS} confirmations)`);
+    this.schedule(0);
+  }
+
+  /**
+   * Stop the indexer loop after the current poll
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  schedule(delayMs) {
+    if (!this.running) {
+      return;
+    }
+
+    this.timer = setTimeout(async () => {
+      let indexed = 0;
+      try {
+        indexed = await this.poll();
+      } catch (error) {
+        logger.error('Chain indexer error:', error);
+      }
+
+      // Catch up without waiting while far behind the head
+      this.schedule(indexed >= MAX_BLOCKS ? 0 : POLL_MS);
+    }, delayMs);
+  }
+}
+
+module.exports = new ChainIndexer();
+module.exports.ChainIndexer = ChainIndexer;
+module.exports.CONFIRMATIONS = CONFIRMATIONS;
@@ -0,0 +1,27 @@
+const { fetchChainlinkPrice } = require('../../../utils/chainlinkFetch');
+
+// CUR/USD feed addresses, e.g. FX_CHAINLINK_FEEDS="KES:0x...,NGN:0x..."
+const feeds = String(process.env.FX_CHAINLINK_FEEDS || '')
+  .split(',')
+  .map(pair => pair.split(':').map(part => part.trim()))
+  .filter(([currency, address]) => currency && address)
+  .reduce((all, [currency, address]) => ({ ...all, [currency.toUpperCase()]: address }), {});
+
+module.exports = {
+  name: 'chainlink',
+
+  /**
+   * Get a rate from the currency's Chainlink CUR/USD feed
+   * @param {string} currency - Fiat currency code
+   * @returns {Promise<Object>} - { rate, timestamp } in units of currency per 1 USD
+   */
+  async getRate(currency) {
+    if (!feeds[currency]) {
+      throw new Error(`No Chainlink feed configured for ${currency}`);
+    }
+
+    // Feeds quote USD per unit of currency; invert to currency per USD
+    const { price, updatedAt } = await fetchChainlinkPrice(feeds[currency]);
+    return { rate: 1 / price, timestamp: updatedAt };
+  }
+};
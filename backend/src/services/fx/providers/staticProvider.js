@@ -0,0 +1,52 @@
+// Manually maintained rate table (units of currency per 1 USD), used as the last resort
+
+// Defaults; override with FX_STATIC_RATES, e.g. "KES:129.5,MWK:1733.36"
+const DEFAULT_RATES = {
+  MWK: 1733.36,
+  KES: 129.5,
+  UGX: 3700,
+  TZS: 2650,
+  GHS: 15.5,
+  NGN: 1550,
+  ZMW: 26.5
+};
+
+/**
+ * Parse a "CUR:rate,CUR:rate" table
+ * @param {string} value - Table from the environment
+ * @returns {Object} - Rates keyed by currency
+ */
+function parseRates(value) {
+  return String(value || '')
+    .split(',')
+    .map(pair => pair.split(':').map(part => part.trim()))
+    .filter(([currency, rate]) => currency && parseFloat(rate) > 0)
+    .reduce((rates, [currency, rate]) => ({ ...rates, [currency.toUpperCase()]: parseFloat(rate) }), {});
+}
+
+const rates = { ...DEFAULT_RATES, ...parseRates(process.env.FX_STATIC_RATES) };
+
+// The table has no source timestamp; FX_STATIC_RATES_UPDATED_AT lets stale-rate protection apply to it.
+// Without one the table is not used at all, since its age cannot be known.
+const updatedAt = process.env.FX_STATIC_RATES_UPDATED_AT
+  ? new Date(process.env.FX_STATIC_RATES_UPDATED_AT)
+  : null;
+
+module.exports = {
+  name: 'static',
+
+  /**
+   * Get the manual rate for a currency
+   * @param {string} currency - Fiat currency code
+   * @returns {Promise<Object>} - { rate, timestamp }
+   */
+  async getRate(currency) {
+    if (!updatedAt || isNaN(updatedAt.getTime())) {
+      throw new Error('Static rates have no FX_STATIC_RATES_UPDATED_AT');
+    }
+    if (!rates[currency]) {
+      throw new Error(`No static rate for ${currency}`);
+    }
+    return { rate: rates[currency], timestamp: updatedAt };
+  }
+};
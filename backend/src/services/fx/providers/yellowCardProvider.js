@@ -0,0 +1,37 @@
+// Country used for each currency when asking YellowCard for a rate
+const COUNTRIES = {
+  KES: 'KE',
+  NGN: 'NG',
+  UGX: 'UG',
+  TZS: 'TZ',
+  GHS: 'GH',
+  ZMW: 'ZM',
+  MWK: 'MW'
+};
+
+module.exports = {
+  name: 'yellowcard',
+
+  /**
+   * Get YellowCard's currency/USDT rate
+   * @param {string} currency - Fiat currency code
+   * @returns {Promise<Object>} - { rate, timestamp } in units of currency per 1 USD
+   */
+  async getRate(currency) {
+    if (!COUNTRIES[currency]) {
+      throw new Error(`YellowCard does not support ${currency}`);
+    }
+
+    const yellowCardService = require('../../yellowCardService');
+    const result = await yellowCardService.getRates(currency, 'USDT', COUNTRIES[currency]);
+
+    if (!result.success || !(parseFloat(result.rate) > 0)) {
+      throw new Error(result.error || `YellowCard returned no rate for ${currency}`);
+    }
+
+    return {
+      rate: parseFloat(result.rate),
+      timestamp: result.timestamp ? new Date(result.timestamp) : new Date()
+    };
+  }
+};
@@ -1,7 +1,202 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const redisClient = require('../db/redisClient');
 
-const axios = require('axios');
-async function convertMWKtoUSDC(mwkAmount) {
-  const mwkToUsdRate = 1733.36; // Simulated Chainlink value
-  return parseFloat((mwkAmount / mwkToUsdRate).toFixed(2));
+// Dollar-pegged units converted at par
+const USD_CURRENCIES = ['USD', 'ZrUSD', 'USDT', 'USDC'];
+
+const CACHE_TTL_SECONDS = parseInt(process.env.FX_CACHE_TTL_SECONDS) || 60;
+const MAX_RATE_AGE_SECONDS = parseInt(process.env.FX_MAX_RATE_AGE_SECONDS) || 3600;
+const QUOTE_TTL_SECONDS = parseInt(process.env.FX_QUOTE_TTL_SECONDS) || 300;
+const DEFAULT_SPREAD_BPS = parseInt(process.env.FX_SPREAD_BPS) || 150;
+
+const PROVIDERS = {
+  chainlink: require('./fx/providers/chainlinkProvider'),
+  yellowcard: require('./fx/providers/yellowCardProvider'),
+  static: require('./fx/providers/staticProvider')
+};
+
+/**
+ * Round an amount to 2 decimal places
+ * @param {number} amount - Amount
+ * @returns {number} - Rounded amount
+ */
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+class FXEngine {
+  /**
+   * @param {Array<string>} providerNames - Rate sources in priority order (default: FX_PROVIDERS)
+   */
+  constructor(providerNames = (process.env.FX_PROVIDERS || 'chainlink,yellowcard,static').split(',')) {
+    this.providers = providerNames
+      .map(name => PROVIDERS[name.trim()])
+      .filter(Boolean);
+  }
+
+  isUsd(currency) {
+    return USD_CURRENCIES.includes(currency);
+  }
+
+  /**
+   * Get the spread charged on conversions of a currency (FX_SPREAD_BPS_<CUR> overrides FX_SPREAD_BPS)
+   * @param {string} currency - Fiat currency code
+   * @returns {number} - Spread in basis points
+   */
+  getSpreadBps(currency) {
+    const override = parseInt(process.env[`FX_SPREAD_BPS_${currency}`]);
+    return isNaN(override) ? DEFAULT_SPREAD_BPS : override;
+  }
+
+  /**
+   * Get the mid-market rate of a currency from the first provider with a fresh rate
+   * @param {string} currency - Fiat currency code
+   * @returns {Promise<Object>} - { rate, source, timestamp } with rate in units of currency per 1 USD
+   */
+  async getMidRate(currency) {
+    if (this.isUsd(currency)) {
+      return { rate: 1, source: 'par', timestamp: new Date().toISOString() };
+    }
+
+    const cacheKey = `fx_rate:${currency}`;
+    const cached = await redisClient.get(cacheKey);
+    if (cached && this.isFresh(cached.timestamp)) {
+      return cached;
+    }
+
+    for (const provider of this.providers) {
+      try {
+        const { rate, timestamp } = await provider.getRate(currency);
+
+        // Stale-rate protection: an old answer is skipped in favour of the next source
+        if (!this.isFresh(timestamp)) {
+          logger.warn(`Stale ${currency} rate from ${provider.name} (${new Date(timestamp).toISOString()}), trying next source`);
+          continue;
+        }
+
+        const midRate = { rate, source: provider.name, timestamp: new Date(timestamp).toISOString() };
+        await redisClient.setex(cacheKey, CACHE_TTL_SECONDS, midRate);
+        return midRate;
+      } catch (error) {
+        logger.warn(`FX provider ${provider.name} failed for ${currency}: ${error.message}`);
+      }
+    }
+
+    throw new Error(`No fresh exchange rate available for ${currency}`);
+  }
+
+  isFresh(timestamp) {
+    return Date.now() - new Date(timestamp).getTime() <= MAX_RATE_AGE_SECONDS * 1000;
+  }
+
+  /**
+   * Price a conversion at the current rate, including the spread
+   * @param {string} from - Source currency
+   * @param {string} to - Target currency
+   * @param {number} amount - Amount in the source currency
+   * @returns {Promise<Object>} - { from, to, sourceAmount, targetAmount, rate, legs }
+   */
+  async quote(from, to, amount) {
+    let usdAmount = amount;
+    const legs = [];
+
+    // Fiat -> USD: the user receives fewer dollars
+    if (!this.isUsd(from)) {
+      const mid = await this.getMidRate(from);
+      const spreadBps = this.getSpreadBps(from);
+      usdAmount = amount / (mid.rate * (1 + spreadBps / 10000));
+      legs.push({ currency: from, midRate: mid.rate, spreadBps, source: mid.source, timestamp: mid.timestamp });
+    }
+
+    let targetAmount = usdAmount;
+
+    // USD -> fiat: the user receives less fiat
+    if (!this.isUsd(to)) {
+      const mid = await this.getMidRate(to);
+      const spreadBps = this.getSpreadBps(to);
+      targetAmount = usdAmount * mid.rate * (1 - spreadBps / 10000);
+      legs.push({ currency: to, midRate: mid.rate, spreadBps, source: mid.source, timestamp: mid.timestamp });
+    }
+
+    return {
+      from,
+      to,
+      sourceAmount: amount,
+      targetAmount: round2(targetAmount),
+      rate: targetAmount / amount,
+      legs
+    };
+  }
+
+  /**
+   * Price a conversion and lock the rate for FX_QUOTE_TTL_SECONDS
+   * @param {string} from - Source currency
+   * @param {string} to - Target currency
+   * @param {number} amount - Amount in the source currency
+   * @returns {Promise<Object>} - Quote with quoteId and expiresAt
+   */
+  async createQuote(from, to, amount) {
+    const quote = {
+      ...(await this.quote(from, to, amount)),
+      quoteId: crypto.randomUUID(),
+      expiresAt: new Date(Date.now() + QUOTE_TTL_SECONDS * 1000).toISOString()
+    };
+
+    await redisClient.setex(`fx_quote:${quote.quoteId}`, QUOTE_TTL_SECONDS, quote);
+    logger.info(`FX quote ${quote.quoteId}: ${amount} ${from} -> ${quote.targetAmount} ${to}`);
+    return quote;
+  }
+
+  /**
+   * Get a locked quote
+   * @param {string} quoteId - Quote ID
+   * @returns {Promise<Object|null>} - Quote or null if expired
+   */
+  async getQuote(quoteId) {
+    return await redisClient.get(`fx_quote:${quoteId}`);
+  }
+
+  /**
+   * Use a locked quote; each quote can be redeemed once
+   * @param {string} quoteId - Quote ID
+   * @param {Object} expected - { from, to, amount } the quote must match
+   * @returns {Promise<Object>} - Quote
+   */
+  async redeemQuote(quoteId, { from, to, amount }) {
+    const quote = await redisClient.getDel(`fx_quote:${quoteId}`);
+
+    if (!quote) {
+      const error = new Error('Exchange rate quote has expired. Please try again.');
+      error.code = 'QUOTE_EXPIRED';
+      throw error;
+    }
+
+    if (quote.from !== from || quote.to !== to || Math.abs(quote.sourceAmount - amount) > 1e-9) {
+      throw new Error('Exchange rate quote does not match this transaction');
+    }
+
+    return quote;
+  }
+
+  /**
+   * Convert an amount, at a locked quote when one is given
+   * @param {number} amount - Amount in the source currency
+   * @param {string} from - Source currency
+   * @param {string} to - Target currency
+   * @param {string} quoteId - Locked quote to use (optional)
+   * @returns {Promise<number>} - Amount in the target currency
+   */
+  async convert(amount, from, to, quoteId = null) {
+    if (from === to || (this.isUsd(from) && this.isUsd(to))) {
+      return amount;
+    }
+
+    const quote = quoteId
+      ? await this.redeemQuote(quoteId, { from, to, amount })
+      : await this.quote(from, to, amount);
+
+    return quote.targetAmount;
+  }
 }
-module.exports = { convertMWKtoUSDC };
+
+module.exports = new FXEngine();
+module.exports.FXEngine = FXEngine;
@@ -0,0 +1,472 @@
+const { ethers } = require('ethers');
+const logger = require('../../utils/logger');
+const { User, GasSponsorship } = require('../../db/models');
+const TxManager = require('../txManager');
+
+const parseEth = (value, fallback) => ethers.parseEther(String(value || fallback));
+
+// ETH the tank may spend per user, and overall, in any 24 hours
+const USER_DAILY_BUDGET_WEI = parseEth(process.env.GAS_USER_DAILY_BUDGET_ETH, '0.002');
+const DAILY_BUDGET_WEI = parseEth(process.env.GAS_DAILY_BUDGET_ETH, '0.5');
+// Top-ups cover the estimate times this percentage, so a fee spike before the user's transaction still fits
+const TOP_UP_MARGIN_PERCENT = BigInt(parseInt(process.env.GAS_TOP_UP_MARGIN_PERCENT) || 150);
+// The most a user is charged back for one sponsored operation
+const MAX_FEE_ZRUSD = parseFloat(process.env.GAS_MAX_FEE_ZRUSD) || 1;
+const TANK_ALERT_WEI = parseEth(process.env.GAS_TANK_ALERT_ETH, '0.1');
+const TANK_CHECK_MINUTES = parseInt(process.env.GAS_TANK_CHECK_MINUTES) || 10;
+const TANK_ALERT_COOLDOWN_MINUTES = parseInt(process.env.GAS_TANK_ALERT_COOLDOWN_MINUTES) || 60;
+
+// Used when a call cannot be estimated yet (e.g. a deposit waiting on the approval before it)
+const FALLBACK_GAS_LIMIT = 200000n;
+const ETH_TRANSFER_GAS = 21000n;
+const TOKEN_TRANSFER_GAS = 65000n;
+const PERMIT_TTL_SECONDS = 10 * 60;
+
+const TOKEN_ABI = [
+  'function name() external view returns (string)',
+  'function version() external view returns (string)',
+  'function nonces(address owner) external view returns (uint256)',
+  'function DOMAIN_SEPARATOR() external view returns (bytes32)',
+  'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external',
+  'function allowance(address owner, address spender) external view returns (uint256)',
+  'function approve(address spender, uint256 amount) external returns (bool)',
+  'function transfer(address to, uint256 amount) external returns (bool)',
+  'function transferFrom(address from, address to, uint256 amount) external returns (bool)'
+];
+
+const VAULT_ABI = [
+  'function asset() external view returns (address)',
+  'function deposit(uint256 assets, address receiver) external returns (uint256)',
+  'function redeem(uint256 shares, address receiver, address owner) external returns (uint256)'
+];
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+/**
+ * Pays gas for user wallets so users never hold ETH. Tokens with EIP-2612 permit are moved by
+ * the tank from a signature alone; anything else gets a budgeted ETH top-up just large enough
+ * for the user's own transactions. The gas is charged back to the user in ZrUSD.
+ */
+class GasRelayer {
+  constructor() {
+    this.tankWallet = null;
+    this.tankTxManager = null;
+    this.permitDomains = new Map();
+    this.timer = null;
+    this.running = false;
+    this.lastAlertAt = 0;
+  }
+
+  get provider() {
+    return require('../walletService').provider;
+  }
+
+  // GAS_TANK_PRIVATE_KEY, or the master wallet when no separate tank is configured
+  get tank() {
+    if (!this.tankWallet) {
+      const walletService = require('../walletService');
+      this.tankWallet = process.env.GAS_TANK_PRIVATE_KEY
+        ? new ethers.Wallet(process.env.GAS_TANK_PRIVATE_KEY, walletService.provider)
+        : walletService.masterWallet;
+    }
+    return this.tankWallet;
+  }
+
+  // Sends from the tank share the master wallet's nonces when the tank is the master wallet
+  get txManager() {
+    if (!this.tankTxManager) {
+      const walletService = require('../walletService');
+      this.tankTxManager = this.tank === walletService.masterWallet ? walletService.txManager : new TxManager(this.tank);
+    }
+    return this.tankTxManager;
+  }
+
+  /**
+   * Get a token's EIP-712 permit domain, if it supports EIP-2612 (cached per token)
+   * @param {string} tokenAddress - Token contract address
+   * @returns {Promise<Object|null>} - Domain, or null without permit support
+   */
+  async permitDomain(tokenAddress) {
+    const key = tokenAddress.toLowerCase();
+    if (this.permitDomains.has(key)) {
+      return this.permitDomains.get(key);
+    }
+
+    let domain = null;
+    try {
+      const token = new ethers.Contract(tokenAddress, TOKEN_ABI, this.provider);
+      const [separator, name, network] = await Promise.all([
+        token.DOMAIN_SEPARATOR(),
+        token.name(),
+        this.provider.getNetwork(),
+        token.nonces(ethers.ZeroAddress)
+      ]);
+      const version = await token.version().catch(() => '1');
+      const candidate = { name, version, chainId: network.chainId, verifyingContract: tokenAddress };
+
+      // Only trust the domain if it reproduces the token's own separator
+      if (ethers.TypedDataEncoder.hashDomain(candidate) === separator) {
+        domain = candidate;
+      }
+    } catch (error) {
+      logger.debug(`Token ${tokenAddress} has no EIP-2612 permit: ${error.message}`);
+    }
+
+    this.permitDomains.set(key, domain);
+    return domain;
+  }
+
+  /**
+   * Have the user sign a permit and build the tank transaction that submits it
+   * @returns {Promise<Object>} - Populated permit transaction
+   */
+  async permitRequest(signer, owner, { token, domain, spender, value }) {
+    const contract = new ethers.Contract(token, TOKEN_ABI, this.tank);
+    const nonce = await contract.nonces(owner);
+    const deadline = BigInt(Math.floor(Date.now() / 1000) + PERMIT_TTL_SECONDS);
+
+    const signature = await signer.signTypedData(domain, PERMIT_TYPES, { owner, spender, value, nonce, deadline });
+    const { v, r, s } = ethers.Signature.from(signature);
+    return await contract.permit.populateTransaction(owner, spender, value, deadline, v, r, s);
+  }
+
+  async estimateGas(requests, from) {
+    let total = 0n;
+    for (const request of requests) {
+      total += await this.provider.estimateGas({ ...request, from }).catch(() => FALLBACK_GAS_LIMIT);
+    }
+    return total;
+  }
+
+  /**
+   * Transfer a token from a user's wallet: relayed by permit, or sent by the user after a top-up
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} tokenAddress - Token contract address
+   * @param {string} to - Recipient address
+   * @param {bigint} amountWei - Amount in the token's smallest unit
+   * @param {Object} context - { transactionId }
+   * @returns {Promise<Object>} - { method, txHash, gasCostWei, fee }
+   */
+  async transfer(phoneNumber, tokenAddress, to, amountWei, context = {}) {
+    return await this.sponsor(phoneNumber, 'transfer', context, async (signer, owner) => {
+      const token = new ethers.Contract(tokenAddress, TOKEN_ABI, this.tank);
+      const domain = await this.permitDomain(tokenAddress);
+
+      if (domain) {
+        return {
+          permits: [{ token: tokenAddress, domain, spender: this.tank.address, value: amountWei }],
+          relayed: [await token.transferFrom.populateTransaction(owner, to, amountWei)]
+        };
+      }
+      return { userCalls: [await token.transfer.populateTransaction(to, amountWei)] };
+    });
+  }
+
+  /**
+   * Deposit a user's assets into an ERC-4626 vault (the approval is a permit when the asset supports it)
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} vaultAddress - Vault contract address
+   * @param {bigint} assetsWei - Assets in the asset's smallest unit
+   * @param {Object} context - { transactionId }
+   * @returns {Promise<Object>} - { method, txHash, gasCostWei, fee }
+   */
+  async depositToVault(phoneNumber, vaultAddress, assetsWei, context = {}) {
+    return await this.sponsor(phoneNumber, 'vault_deposit', context, async (signer, owner) => {
+      const vault = new ethers.Contract(vaultAddress, VAULT_ABI, this.provider);
+      const assetAddress = await vault.asset();
+      const asset = new ethers.Contract(assetAddress, TOKEN_ABI, this.provider);
+
+      const permits = [];
+      const userCalls = [];
+      if (await asset.allowance(owner, vaultAddress) < assetsWei) {
+        const domain = await this.permitDomain(assetAddress);
+        if (domain) {
+          permits.push({ token: assetAddress, domain, spender: vaultAddress, value: assetsWei });
+        } else {
+          userCalls.push(await asset.approve.populateTransaction(vaultAddress, assetsWei));
+        }
+      }
+      userCalls.push(await vault.deposit.populateTransaction(assetsWei, owner));
+
+      return { permits, userCalls };
+    });
+  }
+
+  /**
+   * Redeem a user's vault shares to their wallet
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} vaultAddress - Vault contract address
+   * @param {bigint} sharesWei - Shares in the vault's smallest unit
+   * @param {Object} context - { transactionId }
+   * @returns {Promise<Object>} - { method, txHash, gasCostWei, fee }
+   */
+  async redeemFromVault(phoneNumber, vaultAddress, sharesWei, context = {}) {
+    return await this.sponsor(phoneNumber, 'vault_redeem', context, async (signer, owner) => {
+      const vault = new ethers.Contract(vaultAddress, VAULT_ABI, this.provider);
+      return { userCalls: [await vault.redeem.populateTransaction(sharesWei, owner, owner)] };
+    });
+  }
+
+  /**
+   * Run a sponsored operation: reserve the budget, submit the tank's transactions (permits and
+   * relayed calls), top the user up for their own calls, send those, then charge the gas back
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} purpose - What the gas is for (transfer, vault_deposit, ...)
+   * @param {Object} context - { transactionId }
+   * @param {Function} plan - (signer, owner) => { permits, relayed, userCalls }
+   * @returns {Promise<Object>} - { method, txHash, gasCostWei, fee }
+   */
+  async sponsor(phoneNumber, purpose, { transactionId = null } = {}, plan) {
+    const walletService = require('../walletService');
+    const user = await User.findByPhone(phoneNumber);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const owner = user.wallet_address;
+    const signer = await walletService.getUserWallet(phoneNumber);
+    const { permits = [], relayed = [], userCalls = [] } = await plan(signer, owner);
+
+    const tankCalls = [];
+    for (const permit of permits) {
+      tankCalls.push(await this.permitRequest(signer, owner, permit));
+    }
+
+    const feeData = await this.provider.getFeeData();
+    const maxFeePerGas = feeData.maxFeePerGas || feeData.gasPrice;
+
+    // Collecting the fee in ZrUSD is a user transaction too unless ZrUSD has permit
+    let userGas = await this.estimateGas(userCalls, owner);
+    if (userCalls.length > 0 && !(await this.permitDomain(walletService.zrUSDContract.target))) {
+      userGas += TOKEN_TRANSFER_GAS;
+    }
+    const needed = userGas * maxFeePerGas * TOP_UP_MARGIN_PERCENT / 100n;
+    const balance = userCalls.length > 0 ? await this.provider.getBalance(owner) : 0n;
+    const topUpWei = needed > balance ? needed - balance : 0n;
+
+    const estimatedTankGas = await this.estimateGas([...tankCalls, ...relayed], this.tank.address) +
+      (topUpWei > 0n ? ETH_TRANSFER_GAS : 0n);
+    const reservation = await GasSponsorship.reserve({
+      phoneNumber,
+      transactionId,
+      purpose,
+      method: userCalls.length > 0 ? 'top_up' : 'permit',
+      tankSpendWei: estimatedTankGas * maxFeePerGas + topUpWei
+    }, { userBudgetWei: USER_DAILY_BUDGET_WEI, dailyBudgetWei: DAILY_BUDGET_WEI });
+
+    if (reservation.exceeded) {
+      logger.warn(`Gas sponsorship refused for ${phoneNumber} (${purpose}): ${reservation.exceeded} budget exhausted`);
+      throw new Error(reservation.exceeded === 'user'
+        ? 'Daily transaction limit reached, please try again tomorrow'
+        : 'Service is busy, please try again later');
+    }
+
+    const { sponsorship } = reservation;
+    const spent = { tankSpendWei: 0n, gasCostWei: 0n, txHashes: [] };
+    const sendFromTank = (request) => this.txManager.send(request, { transactionId, purpose: `gas_${purpose}` });
+    const track = async (tx, fromTank, value = 0n) => {
+      const index = spent.txHashes.push(tx.hash) - 1;
+      const receipt = await tx.wait();
+      // A stuck tank transaction may have been mined as a replacement
+      spent.txHashes[index] = receipt.hash;
+      spent.gasCostWei += receipt.fee;
+      spent.tankSpendWei += (fromTank ? receipt.fee : 0n) + value;
+      return receipt;
+    };
+
+    let receipt;
+    try {
+      for (const request of [...tankCalls, ...relayed]) {
+        receipt = await track(await sendFromTank(request), true);
+      }
+      if (topUpWei > 0n) {
+        await track(await sendFromTank({ to: owner, value: topUpWei }), true, topUpWei);
+      }
+      for (const request of userCalls) {
+        receipt = await track(await signer.sendTransaction(request), false);
+      }
+    } catch (error) {
+      await GasSponsorship.fail(sponsorship.id, error.message, spent);
+      throw error;
+    }
+
+    await GasSponsorship.complete(sponsorship.id, spent);
+    logger.info(`Sponsored ${purpose} for ${phoneNumber}: ${ethers.formatEther(spent.gasCostWei)} ETH gas (${sponsorship.method})`);
+
+    const fee = await this.chargeBack(phoneNumber, signer, owner, sponsorship, spent.gasCostWei, transactionId);
+    return { method: sponsorship.method, txHash: receipt.hash, gasCostWei: spent.gasCostWei, fee };
+  }
+
+  /**
+   * Convert gas paid in ETH to the ZrUSD fee charged for it (rounded up to the cent, capped)
+   * @param {bigint} gasCostWei - Gas cost
+   * @returns {Promise<number>} - Fee in ZrUSD
+   */
+  async feeFor(gasCostWei) {
+    const fxEngine = require('../fxEngine');
+    // ETH per USD
+    const { rate } = await fxEngine.getMidRate('ETH');
+    const usd = Number(ethers.formatEther(gasCostWei)) / rate;
+    // Trim float noise first so an exact cent is not rounded up to the next one
+    return Math.min(Math.ceil(Number((usd * 100).toFixed(6))) / 100, MAX_FEE_ZRUSD);
+  }
+
+  /**
+   * Charge the user for the gas: debit the ledger, then move the ZrUSD to the tank on chain.
+   * The operation itself already happened, so a fee that cannot be collected is recorded, not thrown.
+   * @returns {Promise<number>} - Fee collected in ZrUSD (0 if waived or uncollected)
+   */
+  async chargeBack(phoneNumber, signer, owner, sponsorship, gasCostWei, transactionId) {
+    const ledgerService = require('../ledgerService');
+    let feeAmount = null;
+    let entry;
+
+    try {
+      feeAmount = await this.feeFor(gasCostWei);
+      if (feeAmount <= 0) {
+        await GasSponsorship.recordFee(sponsorship.id, 0, 'waived');
+        return 0;
+      }
+      entry = await ledgerService.recordGasFee(phoneNumber, feeAmount, { transactionId, sponsorshipId: sponsorship.id });
+    } catch (error) {
+      logger.warn(`Gas fee for sponsorship ${sponsorship.id} not charged: ${error.message}`);
+      await GasSponsorship.recordFee(sponsorship.id, feeAmount || 0, 'uncollected');
+      return 0;
+    }
+
+    try {
+      await this.collectFee(signer, owner, ethers.parseEther(feeAmount.toFixed(2)));
+    } catch (error) {
+      logger.warn(`Gas fee for sponsorship ${sponsorship.id} not collected on chain: ${error.message}`);
+      await ledgerService.reverse(entry.entryId, `Gas fee not collected: ${error.message}`);
+      await GasSponsorship.recordFee(sponsorship.id, feeAmount, 'uncollected');
+      return 0;
+    }
+
+    await GasSponsorship.recordFee(sponsorship.id, feeAmount, 'collected');
+    return feeAmount;
+  }
+
+  // Move the fee from the user's wallet to the tank, by permit when ZrUSD supports it
+  async collectFee(signer, owner, feeWei) {
+    const walletService = require('../walletService');
+    const tokenAddress = walletService.zrUSDContract.target;
+    const token = new ethers.Contract(tokenAddress, TOKEN_ABI, this.tank);
+    const domain = await this.permitDomain(tokenAddress);
+
+    if (domain) {
+      const permit = await this.permitRequest(signer, owner, { token: tokenAddress, domain, spender: this.tank.address, value: feeWei });
+      await (await this.txManager.send(permit, { purpose: 'gas_fee' })).wait();
+      await (await this.txManager.send(await token.transferFrom.populateTransaction(owner, this.tank.address, feeWei), { purpose: 'gas_fee' })).wait();
+      return;
+    }
+
+    // The top-up included gas for this transfer
+    await (await token.connect(signer).transfer(this.tank.address, feeWei)).wait();
+  }
+
+  /**
+   * Get the tank balance and the last 24 hours of sponsorship
+   * @returns {Promise<Object>} - Tank address, balance, budgets and spending
+   */
+  async getStats() {
+    const [balance, stats] = await Promise.all([
+      this.provider.getBalance(this.tank.address),
+      GasSponsorship.getStats()
+    ]);
+
+    return {
+      tankAddress: this.tank.address,
+      tankBalance: ethers.formatEther(balance),
+      dailyBudget: ethers.formatEther(DAILY_BUDGET_WEI),
+      userDailyBudget: ethers.formatEther(USER_DAILY_BUDGET_WEI),
+      last24h: {
+        sponsored: parseInt(stats.sponsored),
+        failed: parseInt(stats.failed),
+        tankSpend: ethers.formatEther(BigInt(stats.tank_spend_wei)),
+        gasCost: ethers.formatEther(BigInt(stats.gas_cost_wei)),
+        feesCollected: parseFloat(stats.fees_collected),
+        feesUncollected: parseInt(stats.fees_uncollected)
+      }
+    };
+  }
+
+  /**
+   * Alert operators when the tank runs low (logged, and sent by SMS to GAS_TANK_ALERT_PHONES,
+   * or RECONCILIATION_ALERT_PHONES); repeated at most every GAS_TANK_ALERT_COOLDOWN_MINUTES
+   * @returns {Promise<boolean>} - True if an alert was sent
+   */
+  async checkTankBalance() {
+    const balance = await this.provider.getBalance(this.tank.address);
+    if (balance >= TANK_ALERT_WEI) {
+      this.lastAlertAt = 0;
+      return false;
+    }
+    if (Date.now() - this.lastAlertAt < TANK_ALERT_COOLDOWN_MINUTES * 60 * 1000) {
+      return false;
+    }
+
+    const summary = `Zybra gas tank low: ${ethers.formatEther(balance)} ETH left in ${this.tank.address} ` +
+      `(alert below ${ethers.formatEther(TANK_ALERT_WEI)} ETH). Refill to keep transactions flowing.`;
+    logger.error(summary);
+
+    const phones = String(process.env.GAS_TANK_ALERT_PHONES || process.env.RECONCILIATION_ALERT_PHONES || '')
+      .split(',').map(phone => phone.trim()).filter(Boolean);
+    if (phones.length > 0) {
+      const SMSService = require('../smsEngine');
+      const { CATEGORIES } = require('../sms/notificationPreferences');
+      await SMSService.sendSMS(phones, summary, null, CATEGORIES.SECURITY_ALERTS);
+    }
+
+    this.lastAlertAt = Date.now();
+    return true;
+  }
+
+  /**
+   * Start the tank balance monitor (GAS_TANK_CHECK_MINUTES)
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    logger.info(`Gas tank monitor started (every ${TANK_CHECK_MINUTES} minutes)`);
+    this.schedule(0);
+  }
+
+  /**
+   * Stop the tank balance monitor
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  schedule(delayMs) {
+    if (!this.running) {
+      return;
+    }
+
+    this.timer = setTimeout(async () => {
+      try {
+        await this.checkTankBalance();
+      } catch (error) {
+        logger.error('Gas tank monitor error:', error);
+      }
+      this.schedule(TANK_CHECK_MINUTES * 60 * 1000);
+    }, delayMs);
+  }
+}
+
+module.exports = new GasRelayer();
+module.exports.GasRelayer = GasRelayer;
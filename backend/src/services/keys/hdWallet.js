@@ -0,0 +1,113 @@
+const { ethers } = require('ethers');
+const RemoteSigner = require('./remoteSigner');
+
+// Hardened derivation starts here; address indexes stay below it
+const MAX_INDEX = 0x7fffffff;
+
+class HDWallet {
+  /**
+   * User wallets are m/44'/60'/<account>'/0/<index>. Give the mnemonic to sign here, or only the
+   * extended public key of m/44'/60'/<account>'/0 for a watch-only deployment whose signing
+   * is done by a separate signer process (scripts/signer.js at signerUrl).
+   * @param {Object} options - Options (default: HD_WALLET_* and SIGNER_* environment variables)
+   */
+  constructor({
+    mnemonic = process.env.HD_WALLET_MNEMONIC,
+    passphrase = process.env.HD_WALLET_PASSPHRASE || '',
+    xpub = process.env.HD_WALLET_XPUB,
+    account = parseInt(process.env.HD_WALLET_ACCOUNT) || 0,
+    signerUrl = process.env.SIGNER_URL,
+    signerApiKey = process.env.SIGNER_API_KEY
+  } = {}) {
+    this.mnemonic = mnemonic;
+    this.passphrase = passphrase;
+    this.xpub = xpub;
+    this.account = account;
+    this.signerUrl = signerUrl;
+    this.signerApiKey = signerApiKey;
+    this.node = null;
+  }
+
+  isEnabled() {
+    return Boolean(this.mnemonic || this.xpub);
+  }
+
+  isWatchOnly() {
+    return !this.mnemonic && Boolean(this.xpub);
+  }
+
+  get basePath() {
+    return `m/44'/60'/${this.account}'/0`;
+  }
+
+  /**
+   * Get the derivation path of a wallet
+   * @param {number} index - Wallet index
+   * @returns {string} - BIP-44 path
+   */
+  path(index) {
+    return `${this.basePath}/${index}`;
+  }
+
+  // The m/44'/60'/<account>'/0 node every wallet is a child of
+  chainNode() {
+    if (!this.node) {
+      if (this.mnemonic) {
+        this.node = ethers.HDNodeWallet.fromPhrase(this.mnemonic, this.passphrase, this.basePath);
+      } else if (this.xpub) {
+        this.node = ethers.HDNodeWallet.fromExtendedKey(this.xpub);
+        if (this.node.depth !== 4) {
+          throw new Error(`HD_WALLET_XPUB must be the extended key of ${this.basePath}`);
+        }
+      } else {
+        throw new Error('HD wallet is not configured (HD_WALLET_MNEMONIC or HD_WALLET_XPUB)');
+      }
+    }
+    return this.node;
+  }
+
+  child(index) {
+    if (!Number.isInteger(index) || index < 0 || index > MAX_INDEX) {
+      throw new Error(`Invalid wallet index: ${index}`);
+    }
+    return this.chainNode().deriveChild(index);
+  }
+
+  /**
+   * Derive a wallet address
+   * @param {number} index - Wallet index
+   * @returns {string} - Checksummed address
+   */
+  deriveAddress(index) {
+    return this.child(index).address;
+  }
+
+  /**
+   * Get a signer for a wallet: the derived key, or the remote signer when watch-only
+   * @param {number} index - Wallet index
+   * @param {ethers.Provider} provider - Provider to connect
+   * @returns {ethers.Signer} - Signer
+   */
+  signerFor(index, provider) {
+    const child = this.child(index);
+    if (!this.isWatchOnly()) {
+      return child.connect(provider);
+    }
+
+    if (!this.signerUrl) {
+      throw new Error('Watch-only HD wallet needs SIGNER_URL to sign');
+    }
+    return new RemoteSigner(index, child.address, provider, { url: this.signerUrl, apiKey: this.signerApiKey });
+  }
+
+  /**
+   * Get the extended public key to configure watch-only deployments with
+   * @returns {string} - xpub of m/44'/60'/<account>'/0
+   */
+  extendedPublicKey() {
+    return this.chainNode().neuter().extendedKey;
+  }
+}
+
+module.exports = new HDWallet();
+module.exports.HDWallet = HDWallet;
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const { WalletKey } = require('../../db/models');
+
+/*
+ * KMS adapters wrap and unwrap data keys with a master key that never leaves the KMS:
+ *   name, isConfigured(), currentKeyId(), wrapKey(dataKey) -> { masterKeyId, wrappedKey },
+ *   unwrapKey(wrappedKey, masterKeyId) -> dataKey, createKey() -> masterKeyId (rotation)
+ */
+const ADAPTERS = {
+  local: require('./kms/localFileKms')
+};
+
+const CIPHER = 'aes-256-gcm';
+
+/**
+ * Decrypt a key written by the old crypto.createCipher('aes192', passphrase): the key and IV
+ * come from MD5 over the passphrase (OpenSSL EVP_BytesToKey, one round, no salt)
+ * @param {string} encryptedHex - Hex ciphertext
+ * @param {string} passphrase - The old ENCRYPTION_KEY
+ * @returns {string} - Plaintext
+ */
+function decryptLegacy(encryptedHex, passphrase) {
+  const password = Buffer.from(passphrase, 'utf8');
+  let derived = Buffer.alloc(0);
+  let block = Buffer.alloc(0);
+  while (derived.length < 24 + 16) {
+    block = crypto.createHash('md5').update(Buffer.concat([block, password])).digest();
+    derived = Buffer.concat([derived, block]);
+  }
+
+  const decipher = crypto.createDecipheriv('aes-192-cbc', derived.subarray(0, 24), derived.subarray(24, 40));
+  return decipher.update(encryptedHex, 'hex', 'utf8') + decipher.final('utf8');
+}
+
+class KeyManager {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.provider - KMS adapter for new keys (default: KMS_PROVIDER, then local)
+   */
+  constructor({ provider = process.env.KMS_PROVIDER || 'local' } = {}) {
+    this.provider = provider;
+  }
+
+  /**
+   * Get a KMS adapter
+   * @param {string} name - Adapter name (default: the one new keys use)
+   * @returns {Object} - KMS adapter
+   */
+  kms(name = this.provider) {
+    const adapter = ADAPTERS[name];
+    if (!adapter) {
+      throw new Error(`Unknown KMS provider: ${name}`);
+    }
+    if (!adapter.isConfigured()) {
+      throw new Error(`KMS provider ${name} is not configured`);
+    }
+    return adapter;
+  }
+
+  /**
+   * Encrypt and store a user's private key under a new data key
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} walletAddress - Wallet address
+   * @param {string} privateKey - Private key
+   * @returns {Promise<Object>} - wallet_keys row
+   */
+  async storePrivateKey(phoneNumber, walletAddress, privateKey) {
+    const kms = this.kms();
+    const dataKey = crypto.randomBytes(32);
+
+    try {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv(CIPHER, dataKey, iv);
+      // Binds the ciphertext to its owner, so it cannot be copied to another row
+      cipher.setAAD(Buffer.from(phoneNumber));
+      const ciphertext = Buffer.concat([cipher.update(privateKey, 'utf8'), cipher.final()]);
+
+      const { masterKeyId, wrappedKey } = await kms.wrapKey(dataKey);
+
+      const row = await WalletKey.create({
+        phoneNumber,
+        walletAddress,
+        iv: iv.toString('base64'),
+        ciphertext: ciphertext.toString('base64'),
+        authTag: cipher.getAuthTag().toString('base64'),
+        wrappedDataKey: wrappedKey,
+        kmsProvider: kms.name,
+        masterKeyId
+      });
+      if (!row) {
+        throw new Error('Private key already stored');
+      }
+      return row;
+    } finally {
+      dataKey.fill(0);
+    }
+  }
+
+  /**
+   * Decrypt a user's private key
+   * @param {string} phoneNumber - User's phone number
+   * @returns {Promise<string>} - Private key
+   */
+  async getPrivateKey(phoneNumber) {
+    const row = await WalletKey.findByPhone(phoneNumber);
+    if (!row) {
+      throw new Error('Private key not found');
+    }
+
+    const dataKey = await this.kms(row.kms_provider).unwrapKey(row.wrapped_data_key, row.master_key_id);
+    try {
+      const decipher = crypto.createDecipheriv(CIPHER, dataKey, Buffer.from(row.iv, 'base64'));
+      decipher.setAAD(Buffer.from(phoneNumber));
+      decipher.setAuthTag(Buffer.from(row.auth_tag, 'base64'));
+
+      return Buffer.concat([decipher.update(Buffer.from(row.ciphertext, 'base64')), decipher.final()]).toString('utf8');
+    } finally {
+      dataKey.fill(0);
+    }
+  }
+
+  /**
+   * Rewrap every data key not yet under the current master key. Safe while the app is
+   * running: rows keep naming the master key they are wrapped with, and a row changed
+   * since it was read is left for the next pass.
+   * @param {Object} options - Options
+   * @param {number} options.batchSize - Rows per query
+   * @returns {Promise<Object>} - { masterKeyId, rewrapped, skipped, failed }
+   */
+  async rewrapAll({ batchSize = 100 } = {}) {
+    const kms = this.kms();
+    const masterKeyId = await kms.currentKeyId();
+    const summary = { masterKeyId, rewrapped: 0, skipped: 0, failed: 0 };
+
+    let afterPhone = '';
+    for (;;) {
+      const rows = await WalletKey.findNotWrappedBy(kms.name, masterKeyId, afterPhone, batchSize);
+      if (rows.length === 0) {
+        break;
+      }
+
+      for (const row of rows) {
+        let dataKey;
+        try {
+          dataKey = await this.kms(row.kms_provider).unwrapKey(row.wrapped_data_key, row.master_key_id);
+          const wrapped = await kms.wrapKey(dataKey);
+
+          const updated = await WalletKey.rewrap(
+            row.phone_number,
+            { kmsProvider: row.kms_provider, masterKeyId: row.master_key_id },
+            { wrappedDataKey: wrapped.wrappedKey, kmsProvider: kms.name, masterKeyId: wrapped.masterKeyId }
+          );
+          summary[updated ? 'rewrapped' : 'skipped']++;
+        } catch (error) {
+          summary.failed++;
+          logger.error(`Failed to rewrap data key for ${row.phone_number}:`, error);
+        } finally {
+          if (dataKey) {
+            dataKey.fill(0);
+          }
+        }
+      }
+
+      afterPhone = rows[rows.length - 1].phone_number;
+    }
+
+    logger.info(`Rewrapped ${summary.rewrapped} data key(s) under ${masterKeyId}`, summary);
+    return summary;
+  }
+
+  /**
+   * Create a new master key and rewrap all data keys under it
+   * @param {Object} options - Options passed to rewrapAll
+   * @returns {Promise<Object>} - { masterKeyId, rewrapped, skipped, failed }
+   */
+  async rotateMasterKey(options = {}) {
+    const masterKeyId = await this.kms().createKey();
+    logger.info(`Master key rotated to ${masterKeyId}`);
+
+    return await this.rewrapAll(options);
+  }
+}
+
+module.exports = new KeyManager();
+module.exports.KeyManager = KeyManager;
+module.exports.ADAPTERS = ADAPTERS;
+module.exports.decryptLegacy = decryptLegacy;
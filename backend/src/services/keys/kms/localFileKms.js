@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../../../utils/logger');
+
+// Master keys kept in a local JSON file, for development: { current, keys: { <id>: <base64 key> } }
+const keyFile = () => process.env.KMS_LOCAL_KEY_FILE || path.join(process.cwd(), '.keys', 'master-keys.json');
+
+let cache = null;
+
+const newKeyId = () => `local-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+
+/**
+ * Read the key file, creating it with a first master key if missing
+ * @returns {Object} - { current, keys }
+ */
+function load() {
+  const file = keyFile();
+
+  if (!fs.existsSync(file)) {
+    const id = newKeyId();
+    save({ current: id, keys: { [id]: crypto.randomBytes(32).toString('base64') } });
+    logger.warn(`Created local master key ${id} in ${file}; use a real KMS in production`);
+  }
+
+  // Re-read when another process (e.g. the rotation script) has changed the file
+  const { mtimeMs } = fs.statSync(file);
+  if (!cache || cache.file !== file || cache.mtimeMs !== mtimeMs) {
+    cache = { file, mtimeMs, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  }
+  return cache;
+}
+
+function save({ current, keys }) {
+  const file = keyFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+
+  // Write then rename, so readers never see a partial file
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ current, keys }, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+  cache = null;
+}
+
+function masterKey(id) {
+  const key = load().keys[id];
+  if (!key) {
+    throw new Error(`Unknown master key: ${id}`);
+  }
+  return Buffer.from(key, 'base64');
+}
+
+module.exports = {
+  name: 'local',
+
+  // Never picked up implicitly in production; KMS_LOCAL_KEY_FILE must point at a key file
+  isConfigured() {
+    return process.env.NODE_ENV !== 'production' || Boolean(process.env.KMS_LOCAL_KEY_FILE);
+  },
+
+  /**
+   * Get the master key new data keys are wrapped with
+   * @returns {Promise<string>} - Master key ID
+   */
+  async currentKeyId() {
+    return load().current;
+  },
+
+  /**
+   * Wrap a data key with the current master key (AES-256-GCM)
+   * @param {Buffer} dataKey - Plaintext data key
+   * @returns {Promise<Object>} - { masterKeyId, wrappedKey }
+   */
+  async wrapKey(dataKey) {
+    const masterKeyId = load().current;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', masterKey(masterKeyId), iv);
+    cipher.setAAD(Buffer.from(masterKeyId));
+
+    const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+    return {
+      masterKeyId,
+      wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), wrapped]).toString('base64')
+    };
+  },
+
+  /**
+   * Unwrap a data key
+   * @param {string} wrappedKey - Wrapped key from wrapKey
+   * @param {string} masterKeyId - Master key it was wrapped with
+   * @returns {Promise<Buffer>} - Plaintext data key
+   */
+  async unwrapKey(wrappedKey, masterKeyId) {
+    const raw = Buffer.from(wrappedKey, 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey(masterKeyId), raw.subarray(0, 12));
+    decipher.setAAD(Buffer.from(masterKeyId));
+    decipher.setAuthTag(raw.subarray(12, 28));
+
+    return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]);
+  },
+
+  /**
+   * Add a master key and make it current; earlier keys stay available for unwrapping
+   * @returns {Promise<string>} - New master key ID
+   */
+  async createKey() {
+    const { keys } = load();
+    const id = newKeyId();
+
+    save({ current: id, keys: { ...keys, [id]: crypto.randomBytes(32).toString('base64') } });
+    return id;
+  }
+};
@@ -0,0 +1,81 @@
+const axios = require('axios');
+const { ethers } = require('ethers');
+
+// BigInts (chain ids, amounts) do not survive JSON
+const toJson = (data) => JSON.parse(JSON.stringify(data, (key, item) => (typeof item === 'bigint' ? item.toString() : item)));
+
+/**
+ * Signer for an HD wallet whose key lives in a separate signer process (scripts/signer.js).
+ * Every signature is checked against the wallet address before it is used.
+ */
+class RemoteSigner extends ethers.AbstractSigner {
+  /**
+   * @param {number} walletIndex - Wallet index
+   * @param {string} address - Wallet address (derived from the xpub)
+   * @param {ethers.Provider} provider - Provider
+   * @param {Object} options - { url, apiKey }
+   */
+  constructor(walletIndex, address, provider, { url, apiKey }) {
+    super(provider);
+    this.walletIndex = walletIndex;
+    this.address = address;
+    this.url = url.replace(/\/$/, '');
+    this.apiKey = apiKey;
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.walletIndex, this.address, provider, { url: this.url, apiKey: this.apiKey });
+  }
+
+  async request(endpoint, body) {
+    const response = await axios.post(`${this.url}${endpoint}`, { walletIndex: this.walletIndex, address: this.address, ...body }, {
+      headers: { Authorization: `Bearer ${this.apiKey}` },
+      timeout: 10000
+    });
+    return response.data;
+  }
+
+  async signTransaction(tx) {
+    const { to, from } = await ethers.resolveProperties({
+      to: tx.to ? ethers.resolveAddress(tx.to, this.provider) : undefined,
+      from: tx.from ? ethers.resolveAddress(tx.from, this.provider) : undefined
+    });
+    if (from && from.toLowerCase() !== this.address.toLowerCase()) {
+      throw new Error('Transaction from address does not match the signer');
+    }
+
+    const unsigned = ethers.Transaction.from({ ...tx, to, from: undefined });
+    const { signedTransaction } = await this.request('/sign-transaction', { unsignedTransaction: unsigned.unsignedSerialized });
+
+    const signed = ethers.Transaction.from(signedTransaction);
+    if (signed.unsignedHash !== unsigned.unsignedHash || signed.from.toLowerCase() !== this.address.toLowerCase()) {
+      throw new Error('Remote signer returned a different transaction or signer');
+    }
+    return signed.serialized;
+  }
+
+  async signMessage(message) {
+    const payload = typeof message === 'string' ? ethers.hexlify(ethers.toUtf8Bytes(message)) : ethers.hexlify(message);
+    const { signature } = await this.request('/sign-message', { message: payload });
+
+    if (ethers.verifyMessage(ethers.getBytes(payload), signature).toLowerCase() !== this.address.toLowerCase()) {
+      throw new Error('Remote signer returned a signature for another address');
+    }
+    return signature;
+  }
+
+  async signTypedData(domain, types, value) {
+    const { signature } = await this.request('/sign-typed-data', toJson({ domain, types, value }));
+
+    if (ethers.verifyTypedData(domain, types, value, signature).toLowerCase() !== this.address.toLowerCase()) {
+      throw new Error('Remote signer returned a signature for another address');
+    }
+    return signature;
+  }
+}
+
+module.exports = RemoteSigner;
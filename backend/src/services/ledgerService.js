@@ -0,0 +1,455 @@
+const logger = require('../utils/logger');
+const { withTransaction, LedgerAccount, JournalEntry, User } = require('../db/models');
+
+// Amounts are summed in 1e-8 units (the DECIMAL(18, 8) scale) so entries balance exactly
+const SCALE = 8;
+
+// Normal balance of each account type: postings in this direction increase the balance
+const ACCOUNT_TYPES = {
+  user_wallet: 'credit', // ZrUSD owed to the user
+  fee_income: 'credit', // Transfer fees earned
+  vault_custody: 'credit', // User funds placed in a Morpho vault
+  provider_float: 'debit', // Fiat held at a mobile money or on-ramp provider
+  mint_burn_suspense: 'debit', // ZrUSD minted or burned, awaiting provider settlement
+  reconciliation: 'debit', // Operator adjustments bringing wallets in line with the chain
+  chain_clearing: 'debit', // ZrUSD received on chain from addresses outside Zybra
+  claim_custody: 'credit' // ZrUSD sent to numbers that have not registered yet
+};
+
+const accounts = {
+  userWallet: (phoneNumber) => ({ code: `user_wallet:${phoneNumber}`, accountType: 'user_wallet', phoneNumber }),
+  feeIncome: () => ({ code: 'fee_income', accountType: 'fee_income' }),
+  gasFeeIncome: () => ({ code: 'fee_income:gas', accountType: 'fee_income' }),
+  vaultCustody: (vaultAddress) => ({ code: `vault_custody:${String(vaultAddress).toLowerCase()}`, accountType: 'vault_custody' }),
+  providerFloat: (provider) => ({ code: `provider_float:${provider || 'unknown'}`, accountType: 'provider_float' }),
+  mintBurnSuspense: () => ({ code: 'mint_burn_suspense', accountType: 'mint_burn_suspense' }),
+  reconciliation: () => ({ code: 'reconciliation', accountType: 'reconciliation' }),
+  chainClearing: () => ({ code: 'chain_clearing', accountType: 'chain_clearing' }),
+  claimCustody: () => ({ code: 'claim_custody', accountType: 'claim_custody' })
+};
+
+const debit = (account, amount) => ({ account, direction: 'debit', amount });
+const credit = (account, amount) => ({ account, direction: 'credit', amount });
+
+/**
+ * Convert an amount to integer ledger units
+ * @param {number|string} amount - Decimal amount
+ * @returns {bigint} - Amount in 1e-8 units
+ */
+function toUnits(amount) {
+  const [whole, fraction] = Number(amount).toFixed(SCALE).split('.');
+  return BigInt(whole + fraction);
+}
+
+/**
+ * Convert integer ledger units back to a decimal string
+ * @param {bigint} units - Amount in 1e-8 units
+ * @returns {string} - Decimal amount with 8 places
+ */
+function fromUnits(units) {
+  const negative = units < 0n;
+  const digits = (negative ? -units : units).toString().padStart(SCALE + 1, '0');
+  return `${negative ? '-' : ''}${digits.slice(0, -SCALE)}.${digits.slice(-SCALE)}`;
+}
+
+class LedgerService {
+  constructor() {
+    this.accounts = accounts;
+  }
+
+  /**
+   * Post a balanced journal entry and update the cached balances of its accounts
+   * @param {Object} entry - Journal entry
+   * @param {string} entry.entryType - Entry type (transfer, mint, burn, ...)
+   * @param {Array<Object>} entry.postings - Postings ({ account, direction, amount })
+   * @param {string} entry.transactionId - Related transaction record (optional)
+   * @param {string} entry.description - Description (optional)
+   * @param {string} entry.reversesEntryId - Entry being reversed (optional)
+   * @param {Object} entry.metadata - Additional data (optional)
+   * @returns {Promise<Object>} - { entryId, balances } with new balances keyed by account code
+   */
+  async postEntry(entry) {
+    const { entryType, postings, transactionId, description, reversesEntryId, metadata } = entry;
+    const lines = postings.map(posting => ({ ...posting, units: toUnits(posting.amount) }));
+
+    if (lines.length < 2 || lines.some(line => line.units <= 0n)) {
+      throw new Error(`Invalid journal entry ${entryType}: needs at least two positive postings`);
+    }
+
+    const net = lines.reduce((sum, line) => sum + (line.direction === 'debit' ? line.units : -line.units), 0n);
+    if (net !== 0n) {
+      throw new Error(`Unbalanced journal entry ${entryType}: debits and credits differ by ${fromUnits(net)}`);
+    }
+
+    const result = await withTransaction(async (client) => {
+      for (const line of lines) {
+        const account = await LedgerAccount.findOrCreate(client, {
+          ...line.account,
+          normalBalance: ACCOUNT_TYPES[line.account.accountType]
+        });
+        line.accountId = account.id;
+      }
+
+      const locked = await LedgerAccount.lockByIds(client, [...new Set(lines.map(line => line.accountId))]);
+      const states = new Map(locked.map(account => [account.id, {
+        account,
+        opening: toUnits(account.balance),
+        units: toUnits(account.balance)
+      }]));
+
+      for (const line of lines) {
+        const state = states.get(line.accountId);
+        state.units += line.direction === state.account.normal_balance ? line.units : -line.units;
+      }
+
+      for (const state of states.values()) {
+        if (state.account.account_type === 'user_wallet' && state.units < 0n) {
+          const error = new Error(
+            `Insufficient balance. Available: ${parseFloat(fromUnits(state.opening))}, Required: ${parseFloat(fromUnits(state.opening - state.units))}`
+          );
+          error.code = 'INSUFFICIENT_BALANCE';
+          error.available = parseFloat(fromUnits(state.opening));
+          throw error;
+        }
+      }
+
+      const journalEntry = await JournalEntry.create(client, {
+        entryType,
+        description,
+        transactionId,
+        reversesEntryId,
+        metadata
+      });
+
+      for (const line of lines) {
+        await JournalEntry.addPosting(client, {
+          journalEntryId: journalEntry.id,
+          accountId: line.accountId,
+          direction: line.direction,
+          amount: fromUnits(line.units)
+        });
+      }
+
+      const balances = {};
+      for (const state of states.values()) {
+        const balance = fromUnits(state.units);
+        await LedgerAccount.updateBalance(client, state.account.id, balance);
+
+        if (state.account.account_type === 'user_wallet') {
+          await User.updateBalance(state.account.phone_number, balance, client);
+        }
+        balances[state.account.code] = parseFloat(balance);
+      }
+
+      return { entryId: journalEntry.id, balances };
+    });
+
+    logger.info(`Ledger entry posted: ${entryType}`, { entryId: result.entryId, transactionId });
+    return result;
+  }
+
+  /**
+   * Record a wallet-to-wallet transfer; the fee is credited to fee income
+   * @param {string} fromPhone - Sender's phone number
+   * @param {string} toPhone - Recipient's phone number
+   * @param {number} amount - Amount received by the recipient (ZrUSD)
+   * @param {number} fee - Fee charged to the sender (ZrUSD)
+   * @param {string} transactionId - Transaction record ID
+   * @returns {Promise<Object>} - { entryId, balance } with the sender's new balance
+   */
+  async recordTransfer(fromPhone, toPhone, amount, fee, transactionId) {
+    const sender = accounts.userWallet(fromPhone);
+    const postings = [
+      debit(sender, amount),
+      credit(accounts.userWallet(toPhone), amount)
+    ];
+
+    if (fee > 0) {
+      postings.push(debit(sender, fee), credit(accounts.feeIncome(), fee));
+    }
+
+    const result = await this.postEntry({ entryType: 'transfer', postings, transactionId });
+    return { entryId: result.entryId, balance: result.balances[sender.code] };
+  }
+
+  /**
+   * Record a transfer to an unregistered number: the amount is held in claim custody until
+   * the recipient registers, and the fee is credited to fee income
+   * @param {string} fromPhone - Sender's phone number
+   * @param {number} amount - Amount held for the recipient (ZrUSD)
+   * @param {number} fee - Fee charged to the sender (ZrUSD)
+   * @param {string} transactionId - Transaction record ID
+   * @returns {Promise<Object>} - { entryId, balance } with the sender's new balance
+   */
+  async recordClaimHold(fromPhone, amount, fee, transactionId) {
+    const sender = accounts.userWallet(fromPhone);
+    const postings = [
+      debit(sender, amount),
+      credit(accounts.claimCustody(), amount)
+    ];
+
+    if (fee > 0) {
+      postings.push(debit(sender, fee), credit(accounts.feeIncome(), fee));
+    }
+
+    const result = await this.postEntry({ entryType: 'claim_hold', postings, transactionId });
+    return { entryId: result.entryId, balance: result.balances[sender.code] };
+  }
+
+  /**
+   * Record a held transfer paid out of claim custody to the recipient's wallet
+   * @param {string} phoneNumber - Recipient's phone number
+   * @param {number} amount - Amount claimed (ZrUSD)
+   * @param {Object} details - { transactionId, claimId }
+   * @returns {Promise<Object>} - { entryId, balance } with the recipient's new balance
+   */
+  async recordClaimPayout(phoneNumber, amount, details = {}) {
+    const wallet = accounts.userWallet(phoneNumber);
+    const result = await this.postEntry({
+      entryType: 'claim_payout',
+      postings: [debit(accounts.claimCustody(), amount), credit(wallet, amount)],
+      transactionId: details.transactionId,
+      metadata: { claimId: details.claimId }
+    });
+    return { entryId: result.entryId, balance: result.balances[wallet.code] };
+  }
+
+  /**
+   * Record an expired held transfer paid back out of claim custody to the sender's wallet
+   * @param {string} phoneNumber - Sender's phone number
+   * @param {number} amount - Amount refunded (ZrUSD)
+   * @param {Object} details - { transactionId, claimId }
+   * @returns {Promise<Object>} - { entryId, balance } with the sender's new balance
+   */
+  async recordClaimRefund(phoneNumber, amount, details = {}) {
+    const wallet = accounts.userWallet(phoneNumber);
+    const result = await this.postEntry({
+      entryType: 'claim_refund',
+      postings: [debit(accounts.claimCustody(), amount), credit(wallet, amount)],
+      transactionId: details.transactionId,
+      metadata: { claimId: details.claimId }
+    });
+    return { entryId: result.entryId, balance: result.balances[wallet.code] };
+  }
+
+  /**
+   * Record ZrUSD minted to a user's wallet
+   * @param {string} phoneNumber - User's phone number
+   * @param {number} amount - Amount minted (ZrUSD)
+   * @param {Object} details - { txHash, transactionId } (optional)
+   * @returns {Promise<Object>} - { entryId, balance } with the user's new balance
+   */
+  async recordMint(phoneNumber, amount, details = {}) {
+    const wallet = accounts.userWallet(phoneNumber);
+    const result = await this.postEntry({
+      entryType: 'mint',
+      postings: [debit(accounts.mintBurnSuspense(), amount), credit(wallet, amount)],
+      transactionId: details.transactionId,
+      metadata: { txHash: details.txHash }
+    });
+    return { entryId: result.entryId, balance: result.balances[wallet.code] };
+  }
+
+  /**
+   * Record ZrUSD burned from a user's wallet (fails if the balance is too low)
+   * @param {string} phoneNumber - User's phone number
+   * @param {number} amount - Amount burned (ZrUSD)
+   * @param {Object} details - { txHash, transactionId } (optional)
+   * @returns {Promise<Object>} - { entryId, balance } with the user's new balance
+   */
+  async recordBurn(phoneNumber, amount, details = {}) {
+    const wallet = accounts.userWallet(phoneNumber);
+    const result = await this.postEntry({
+      entryType: 'burn',
+      postings: [debit(wallet, amount), credit(accounts.mintBurnSuspense(), amount)],
+      transactionId: details.transactionId,
+      metadata: { txHash: details.txHash }
+    });
+    return { entryId: result.entryId, balance: result.balances[wallet.code] };
+  }
+
+  /**
+   * Charge a user for gas the gas tank paid on their behalf
+   * @param {string} phoneNumber - User's phone number
+   * @param {number} amount - Fee in ZrUSD
+   * @param {Object} details - { transactionId, sponsorshipId }
+   * @returns {Promise<Object>} - { entryId, balance } with the user's new balance
+   */
+  async recordGasFee(phoneNumber, amount, details = {}) {
+    const wallet = accounts.userWallet(phoneNumber);
+    const result = await this.postEntry({
+      entryType: 'gas_fee',
+      postings: [debit(wallet, amount), credit(accounts.gasFeeIncome(), amount)],
+      transactionId: details.transactionId,
+      metadata: { sponsorshipId: details.sponsorshipId }
+    });
+    return { entryId: result.entryId, balance: result.balances[wallet.code] };
+  }
+
+  /**
+   * Record ZrUSD received on chain from an address outside Zybra
+   * @param {string} phoneNumber - Recipient's phone number
+   * @param {number} amount - Amount received (ZrUSD)
+   * @param {Object} details - { txHash, transactionId, fromAddress }
+   * @returns {Promise<Object>} - { entryId, balance } with the user's new balance
+   */
+  async recordExternalDeposit(phoneNumber, amount, details = {}) {
+    const wallet = accounts.userWallet(phoneNumber);
+    const result = await this.postEntry({
+      entryType: 'external_deposit',
+      postings: [debit(accounts.chainClearing(), amount), credit(wallet, amount)],
+      transactionId: details.transactionId,
+      metadata: { txHash: details.txHash, fromAddress: details.fromAddress }
+    });
+    return { entryId: result.entryId, balance: result.balances[wallet.code] };
+  }
+
+  /**
+   * Record fiat collected by a provider against minted ZrUSD
+   * @param {string} provider - Provider name (e.g. mpesa, yellowcard)
+   * @param {number} amount - Amount in ZrUSD
+   * @param {string} transactionId - Transaction record ID (optional)
+   * @returns {Promise<Object>} - { entryId }
+   */
+  async recordProviderDeposit(provider, amount, transactionId = null) {
+    const result = await this.postEntry({
+      entryType: 'provider_deposit',
+      postings: [debit(accounts.providerFloat(provider), amount), credit(accounts.mintBurnSuspense(), amount)],
+      transactionId
+    });
+    return { entryId: result.entryId };
+  }
+
+  /**
+   * Record fiat paid out by a provider against burned ZrUSD
+   * @param {string} provider - Provider name (e.g. mpesa, yellowcard)
+   * @param {number} amount - Amount in ZrUSD
+   * @param {string} transactionId - Transaction record ID (optional)
+   * @returns {Promise<Object>} - { entryId }
+   */
+  async recordProviderPayout(provider, amount, transactionId = null) {
+    const result = await this.postEntry({
+      entryType: 'provider_payout',
+      postings: [debit(accounts.mintBurnSuspense(), amount), credit(accounts.providerFloat(provider), amount)],
+      transactionId
+    });
+    return { entryId: result.entryId };
+  }
+
+  /**
+   * Record wallet funds moved into a Morpho vault (fails if the balance is too low)
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} vaultAddress - Vault address
+   * @param {number} amount - Amount in USDT
+   * @param {string} transactionId - Transaction record ID
+   * @returns {Promise<Object>} - { entryId, balance } with the user's new balance
+   */
+  async recordVaultInvestment(phoneNumber, vaultAddress, amount, transactionId) {
+    const wallet = accounts.userWallet(phoneNumber);
+    const result = await this.postEntry({
+      entryType: 'vault_investment',
+      postings: [debit(wallet, amount), credit(accounts.vaultCustody(vaultAddress), amount)],
+      transactionId
+    });
+    return { entryId: result.entryId, balance: result.balances[wallet.code] };
+  }
+
+  /**
+   * Record funds redeemed from a Morpho vault back to the wallet
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} vaultAddress - Vault address
+   * @param {number} amount - Amount in USDT
+   * @param {string} transactionId - Transaction record ID
+   * @returns {Promise<Object>} - { entryId, balance } with the user's new balance
+   */
+  async recordVaultWithdrawal(phoneNumber, vaultAddress, amount, transactionId) {
+    const wallet = accounts.userWallet(phoneNumber);
+    const result = await this.postEntry({
+      entryType: 'vault_withdrawal',
+      postings: [debit(accounts.vaultCustody(vaultAddress), amount), credit(wallet, amount)],
+      transactionId
+    });
+    return { entryId: result.entryId, balance: result.balances[wallet.code] };
+  }
+
+  /**
+   * Adjust a user's wallet to match the chain after a reconciliation review
+   * @param {string} phoneNumber - User's phone number
+   * @param {number} amount - Signed amount (positive credits the wallet, negative debits it)
+   * @param {Object} details - { itemId, note, resolvedBy }
+   * @returns {Promise<Object>} - { entryId, balance } with the user's new balance
+   */
+  async recordAdjustment(phoneNumber, amount, details = {}) {
+    const wallet = accounts.userWallet(phoneNumber);
+    const size = Math.abs(amount);
+    const result = await this.postEntry({
+      entryType: 'reconciliation_adjustment',
+      description: details.note,
+      postings: amount > 0
+        ? [debit(accounts.reconciliation(), size), credit(wallet, size)]
+        : [debit(wallet, size), credit(accounts.reconciliation(), size)],
+      metadata: { reconciliationItemId: details.itemId, resolvedBy: details.resolvedBy }
+    });
+    return { entryId: result.entryId, balance: result.balances[wallet.code] };
+  }
+
+  /**
+   * Rewrite a user's cached balance (users.balance) from their wallet account
+   * @param {string} phoneNumber - User's phone number
+   * @returns {Promise<number>} - Balance in ZrUSD
+   */
+  async syncCachedBalance(phoneNumber) {
+    const balance = await this.getBalance(phoneNumber);
+    await User.updateBalance(phoneNumber, balance);
+    return balance;
+  }
+
+  /**
+   * Post the mirror image of an entry (entries are never edited or deleted)
+   * @param {string} entryId - Journal entry to reverse
+   * @param {string} reason - Why the entry is reversed
+   * @returns {Promise<Object>} - { entryId, balances }
+   */
+  async reverse(entryId, reason) {
+    const original = await JournalEntry.findById(entryId);
+    if (!original) {
+      throw new Error(`Journal entry not found: ${entryId}`);
+    }
+
+    const postings = await JournalEntry.findPostings(entryId);
+
+    return await this.postEntry({
+      entryType: 'reversal',
+      description: reason,
+      transactionId: original.transaction_id,
+      reversesEntryId: entryId,
+      postings: postings.map(posting => ({
+        account: { code: posting.code, accountType: posting.account_type, phoneNumber: posting.phone_number },
+        direction: posting.direction === 'debit' ? 'credit' : 'debit',
+        amount: posting.amount
+      }))
+    });
+  }
+
+  /**
+   * Get a user's wallet balance from the ledger
+   * @param {string} phoneNumber - User's phone number
+   * @returns {Promise<number>} - Balance in ZrUSD
+   */
+  async getBalance(phoneNumber) {
+    const account = await LedgerAccount.findByCode(accounts.userWallet(phoneNumber).code);
+    return account ? parseFloat(account.balance) : 0;
+  }
+
+  /**
+   * Recompute a user's wallet balance from its postings (ignores the cached balance)
+   * @param {string} phoneNumber - User's phone number
+   * @returns {Promise<number>} - Balance in ZrUSD
+   */
+  async getDerivedBalance(phoneNumber) {
+    const account = await LedgerAccount.findByCode(accounts.userWallet(phoneNumber).code);
+    return account ? await LedgerAccount.getDerivedBalance(account.id) : 0;
+  }
+}
+
+module.exports = new LedgerService();
@@ -436,18 +436,18 @@ class MorphoService {
    * @param {string} depositData.userAddress - User's wallet address
    * @param {string} depositData.vaultAddress - Vault contract address
    * @param {string} depositData.amount - Amount to deposit (in human readable units)
-   * @param {string} depositData.privateKey - User's private key for signing
+   * @param {string} depositData.phoneNumber - User's phone number (signs; gas is sponsored)
    * @returns {Promise<Object>} - Deposit transaction result
    */
   async depositToVault(depositData) {
     try {
-      const { userAddress, vaultAddress, amount, privateKey } = depositData;
+      const { userAddress, vaultAddress, amount, phoneNumber } = depositData;
 
       // Validate required fields
-      if (!userAddress || !vaultAddress || !amount || !privateKey) {
+      if (!userAddress || !vaultAddress || !amount || !phoneNumber) {
         return {
           success: false,
-          error: 'Missing required fields: userAddress, vaultAddress, amount, privateKey'
+          error: 'Missing required fields: userAddress, vaultAddress, amount, phoneNumber'
         };
       }
 
@@ -459,9 +459,7 @@ class MorphoService {
         };
       }
 
-      // Create wallet instance
-      const wallet = new ethers.Wallet(privateKey, this.provider);
-      const vaultContract = new ethers.Contract(vaultAddress, this.vaultABI, wallet);
+      const vaultContract = new ethers.Contract(vaultAddress, this.vaultABI, this.provider);
 
       // Get vault asset details
       const assetAddress = await vaultContract.asset();
@@ -473,15 +471,11 @@ class MorphoService {
       // Preview the deposit to get expected shares
       const expectedShares = await vaultContract.previewDeposit(depositAmount);
 
-      // Check if user has approved the vault to spend their tokens
       const ERC20_ABI = [
-        'function allowance(address owner, address spender) external view returns (uint256)',
-        'function approve(address spender, uint256 amount) external returns (bool)',
         'function balanceOf(address account) external view returns (uint256)'
       ];
 
-      const assetContract = new ethers.Contract(assetAddress, ERC20_ABI, wallet);
-      const currentAllowance = await assetContract.allowance(userAddress, vaultAddress);
+      const assetContract = new ethers.Contract(assetAddress, ERC20_ABI, this.provider);
       const userBalance = await assetContract.balanceOf(userAddress);
 
       // Check if user has sufficient balance
@@ -492,21 +486,15 @@ class MorphoService {
         };
       }
 
-      // Approve if necessary
-      if (currentAllowance < depositAmount) {
-        logger.info(`Approving vault ${vaultAddress} to spend ${amount} tokens`);
-        const approveTx = await assetContract.approve(vaultAddress, depositAmount);
-        await approveTx.wait();
-      }
-
-      // Execute deposit
+      // Approve (by permit where the asset supports it) and deposit, with the gas sponsored
       logger.info(`Depositing ${amount} to vault ${vaultAddress}`);
-      const depositTx = await vaultContract.deposit(depositAmount, userAddress);
-      const receipt = await depositTx.wait();
+      const gasRelayer = require('./gas/gasRelayer');
+      const { txHash, fee: gasFee } = await gasRelayer.depositToVault(phoneNumber, vaultAddress, depositAmount);
+      const receipt = await this.provider.getTransactionReceipt(txHash);
 
       // Record investment in database
       await MorphoInvestment.create({
-        user_phone: depositData.phoneNumber || 'unknown',
+        user_phone: phoneNumber,
         vault_address: vaultAddress,
         amount_deposited: amount,
         shares_received: ethers.formatUnits(expectedShares, assetDecimals),
@@ -521,7 +509,8 @@ class MorphoService {
         blockNumber: receipt.blockNumber,
         depositAmount: amount,
         sharesReceived: ethers.formatUnits(expectedShares, assetDecimals),
-        gasUsed: receipt.gasUsed.toString()
+        gasUsed: receipt.gasUsed.toString(),
+        gasFee
       };
 
     } catch (error) {
@@ -539,18 +528,18 @@ class MorphoService {
    * @param {string} withdrawData.userAddress - User's wallet address
    * @param {string} withdrawData.vaultAddress - Vault contract address
    * @param {string} withdrawData.shares - Number of shares to redeem (in human readable units)
-   * @param {string} withdrawData.privateKey - User's private key for signing
+   * @param {string} withdrawData.phoneNumber - User's phone number (signs; gas is sponsored)
    * @returns {Promise<Object>} - Withdrawal transaction result
    */
   async withdrawFromVault(withdrawData) {
     try {
-      const { userAddress, vaultAddress, shares, privateKey } = withdrawData;
+      const { userAddress, vaultAddress, shares, phoneNumber } = withdrawData;
 
       // Validate required fields
-      if (!userAddress || !vaultAddress || !shares || !privateKey) {
+      if (!userAddress || !vaultAddress || !shares || !phoneNumber) {
         return {
           success: false,
-          error: 'Missing required fields: userAddress, vaultAddress, shares, privateKey'
+          error: 'Missing required fields: userAddress, vaultAddress, shares, phoneNumber'
         };
       }
 
@@ -562,9 +551,7 @@ class MorphoService {
         };
       }
 
-      // Create wallet instance
-      const wallet = new ethers.Wallet(privateKey, this.provider);
-      const vaultContract = new ethers.Contract(vaultAddress, this.vaultABI, wallet);
+      const vaultContract = new ethers.Contract(vaultAddress, this.vaultABI, this.provider);
 
       const decimals = await vaultContract.decimals();
       const redeemShares = ethers.parseUnits(shares.toString(), decimals);
@@ -584,12 +571,13 @@ class MorphoService {
 
       // Execute redemption
       logger.info(`Redeeming ${shares} shares from vault ${vaultAddress}`);
-      const redeemTx = await vaultContract.redeem(redeemShares, userAddress, userAddress);
-      const receipt = await redeemTx.wait();
+      const gasRelayer = require('./gas/gasRelayer');
+      const { txHash, fee: gasFee } = await gasRelayer.redeemFromVault(phoneNumber, vaultAddress, redeemShares);
+      const receipt = await this.provider.getTransactionReceipt(txHash);
 
       // Update investment status in database
       await MorphoInvestment.updateStatus(
-        withdrawData.phoneNumber || 'unknown',
+        phoneNumber,
         vaultAddress,
         'withdrawn'
       );
@@ -600,7 +588,8 @@ class MorphoService {
         blockNumber: receipt.blockNumber,
         sharesRedeemed: shares,
         assetsReceived: ethers.formatUnits(expectedAssets, decimals),
-        gasUsed: receipt.gasUsed.toString()
+        gasUsed: receipt.gasUsed.toString(),
+        gasFee
       };
 
     } catch (error) {
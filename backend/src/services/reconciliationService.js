@@ -0,0 +1,329 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const { User, LedgerAccount, ReconciliationRun, ReconciliationItem } = require('../db/models');
+const ledgerService = require('./ledgerService');
+
+// Discrepancy kinds
+const KINDS = {
+  CACHE_DRIFT: 'cache_drift', // users.balance differs from the ledger wallet account
+  WALLET_SURPLUS: 'wallet_surplus', // more ZrUSD on chain than in the ledger
+  WALLET_SHORTFALL: 'wallet_shortfall', // less ZrUSD on chain than in the ledger
+  VAULT_SURPLUS: 'vault_surplus', // larger Morpho position than the ledger recorded
+  VAULT_SHORTFALL: 'vault_shortfall', // smaller Morpho position than the ledger recorded
+  UNSETTLED_INVESTMENT: 'unsettled_investment' // invested in the ledger, but the tokens never left the wallet
+};
+
+// What an operator can do with an open item, and the kinds each action applies to
+const ACTIONS = {
+  sync_cache: [KINDS.CACHE_DRIFT],
+  adjust_ledger: [KINDS.WALLET_SURPLUS, KINDS.WALLET_SHORTFALL],
+  mark_resolved: Object.values(KINDS),
+  ignore: Object.values(KINDS)
+};
+
+const WALLET_ASSET = 'ZrUSD';
+
+const INTERVAL_MINUTES = parseInt(process.env.RECONCILIATION_INTERVAL_MINUTES) || 60;
+const BATCH_SIZE = parseInt(process.env.RECONCILIATION_BATCH_SIZE) || 100;
+// Differences smaller than this are rounding, not discrepancies
+const TOLERANCE = parseFloat(process.env.RECONCILIATION_TOLERANCE) || 0.01;
+const ALERT_THRESHOLD = parseFloat(process.env.RECONCILIATION_ALERT_THRESHOLD) || 10;
+// A run still 'running' after this long belongs to a worker that died
+const STALE_RUN_SECONDS = 2 * 60 * 60;
+
+const round = (amount) => Number(Number(amount).toFixed(8));
+
+class ReconciliationService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Compare one user's balances and list the discrepancies
+   * @param {Object} user - { phone_number, wallet_address, balance, ledger_balance }
+   * @param {number} chainBalance - ZrUSD balanceOf the wallet
+   * @param {Array<Object>} chainPositions - Morpho positions ({ vaultAddress, amount })
+   * @param {Array<Object>} ledgerPositions - Ledger vault positions ({ vaultAddress, amount })
+   * @returns {Array<Object>} - Items ({ phoneNumber, walletAddress, kind, asset, expectedAmount, actualAmount, difference })
+   */
+  compare(user, chainBalance, chainPositions, ledgerPositions) {
+    const ledgerBalance = parseFloat(user.ledger_balance) || 0;
+    const item = (kind, asset, expected, actual) => ({
+      phoneNumber: user.phone_number,
+      walletAddress: user.wallet_address,
+      kind,
+      asset,
+      expectedAmount: round(expected),
+      actualAmount: round(actual),
+      difference: round(actual - expected)
+    });
+    const differs = (expected, actual) => Math.abs(actual - expected) >= TOLERANCE;
+
+    const items = [];
+
+    const cached = parseFloat(user.balance) || 0;
+    if (differs(ledgerBalance, cached)) {
+      items.push(item(KINDS.CACHE_DRIFT, WALLET_ASSET, ledgerBalance, cached));
+    }
+
+    let walletItem = null;
+    if (differs(ledgerBalance, chainBalance)) {
+      walletItem = item(chainBalance > ledgerBalance ? KINDS.WALLET_SURPLUS : KINDS.WALLET_SHORTFALL, WALLET_ASSET, ledgerBalance, chainBalance);
+    }
+
+    const vaults = new Map();
+    for (const position of ledgerPositions) {
+      vaults.set(position.vaultAddress.toLowerCase(), { expected: position.amount, actual: 0 });
+    }
+    for (const position of chainPositions) {
+      const vault = vaults.get(position.vaultAddress.toLowerCase()) || { expected: 0, actual: 0 };
+      vault.actual += position.amount;
+      vaults.set(position.vaultAddress.toLowerCase(), vault);
+    }
+
+    const vaultItems = [...vaults.entries()]
+      .filter(([, vault]) => differs(vault.expected, vault.actual))
+      .map(([address, vault]) => item(vault.actual > vault.expected ? KINDS.VAULT_SURPLUS : KINDS.VAULT_SHORTFALL, address, vault.expected, vault.actual));
+
+    // An investment recorded in the ledger but never deposited on chain shows up as a vault
+    // shortfall matched by the same surplus in the wallet; report it as one cause
+    const shortfalls = vaultItems.filter(vaultItem => vaultItem.kind === KINDS.VAULT_SHORTFALL);
+    const missing = shortfalls.reduce((sum, vaultItem) => sum - vaultItem.difference, 0);
+    if (walletItem && walletItem.kind === KINDS.WALLET_SURPLUS && shortfalls.length > 0 && !differs(missing, walletItem.difference)) {
+      shortfalls.forEach(vaultItem => { vaultItem.kind = KINDS.UNSETTLED_INVESTMENT; });
+      walletItem = null;
+    }
+
+    return [...items, ...(walletItem ? [walletItem] : []), ...vaultItems];
+  }
+
+  /**
+   * Read a user's chain and ledger state and compare it
+   * @param {Object} user - Row from User.findForReconciliation
+   * @returns {Promise<Array<Object>>} - Discrepancies; throws if the chain could not be read
+   */
+  async checkUser(user) {
+    const walletService = require('./walletService');
+    const morphoService = require('./morphoService');
+
+    const balance = await walletService.zrUSDContract.balanceOf(user.wallet_address);
+    const positionsResult = await morphoService.getUserPositions(user.wallet_address);
+    if (!positionsResult.success) {
+      throw new Error(positionsResult.error);
+    }
+
+    const chainPositions = positionsResult.positions.map(position => ({
+      vaultAddress: position.vaultAddress,
+      amount: parseFloat(position.assetsFormatted)
+    }));
+    const ledgerPositions = await LedgerAccount.getVaultPositions(user.phone_number);
+
+    return this.compare(user, parseFloat(ethers.formatEther(balance)), chainPositions, ledgerPositions);
+  }
+
+  /**
+   * Open a run, unless one is already in progress
+   * @param {string} triggeredBy - 'schedule' or 'operator'
+   * @returns {Promise<Object|null>} - Run row, or null if another run is in progress
+   */
+  async begin(triggeredBy = 'schedule') {
+    await ReconciliationRun.failStale(STALE_RUN_SECONDS);
+    return await ReconciliationRun.start(triggeredBy);
+  }
+
+  /**
+   * Check every user with a wallet, record discrepancies and alert on large ones
+   * @param {Object} run - Run row from begin()
+   * @returns {Promise<Object>} - Finished run row
+   */
+  async execute(run) {
+    const skipped = [];
+    let checked = 0;
+    let discrepancies = 0;
+
+    try {
+      let afterPhone = '';
+      for (;;) {
+        const users = await User.findForReconciliation(afterPhone, BATCH_SIZE);
+        if (users.length === 0) {
+          break;
+        }
+
+        for (const user of users) {
+          let items;
+          try {
+            items = await this.checkUser(user);
+          } catch (error) {
+            logger.warn(`Reconciliation skipped ${user.phone_number}: ${error.message}`);
+            skipped.push(user.phone_number);
+            continue;
+          }
+
+          for (const item of items) {
+            await ReconciliationItem.record(run.id, item);
+          }
+          checked++;
+          discrepancies += items.length;
+        }
+
+        afterPhone = users[users.length - 1].phone_number;
+      }
+
+      await ReconciliationItem.clearUnseen(run.id, skipped);
+      await this.alert(run);
+
+      logger.info(`Reconciliation run ${run.id}: ${checked} users checked, ${skipped.length} skipped, ${discrepancies} discrepancies`);
+      return await ReconciliationRun.finish(run.id, {
+        status: 'completed',
+        usersChecked: checked,
+        usersSkipped: skipped.length,
+        discrepancies
+      });
+    } catch (error) {
+      logger.error(`Reconciliation run ${run.id} failed:`, error);
+      return await ReconciliationRun.finish(run.id, {
+        status: 'failed',
+        usersChecked: checked,
+        usersSkipped: skipped.length,
+        discrepancies,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Run a full reconciliation
+   * @param {string} triggeredBy - 'schedule' or 'operator'
+   * @returns {Promise<Object|null>} - Finished run row, or null if another run is in progress
+   */
+  async run(triggeredBy = 'schedule') {
+    const run = await this.begin(triggeredBy);
+    if (!run) {
+      logger.info('Reconciliation already in progress; skipping');
+      return null;
+    }
+    return await this.execute(run);
+  }
+
+  /**
+   * Alert operators about open items above the threshold that have not been alerted yet
+   * (logged, and sent by SMS to RECONCILIATION_ALERT_PHONES)
+   * @param {Object} run - Run row
+   */
+  async alert(run) {
+    const open = await ReconciliationItem.findAll({ status: 'open', limit: 1000 });
+    const items = open.filter(item => !item.alerted_at && Math.abs(parseFloat(item.difference)) >= ALERT_THRESHOLD);
+    if (items.length === 0) {
+      return;
+    }
+
+    const largest = items[0];
+    const summary = `Zybra reconciliation: ${items.length} new mismatch(es) of ${ALERT_THRESHOLD}+ ZrUSD. ` +
+      `Largest: ${largest.kind} ${parseFloat(largest.difference)} for ${largest.phone_number}. Run ${run.id}`;
+    logger.error(summary, { items: items.map(item => item.id) });
+
+    const phones = String(process.env.RECONCILIATION_ALERT_PHONES || '').split(',').map(phone => phone.trim()).filter(Boolean);
+    if (phones.length > 0) {
+      const SMSService = require('./smsEngine');
+      const { CATEGORIES } = require('./sms/notificationPreferences');
+      await SMSService.sendSMS(phones, summary, null, CATEGORIES.SECURITY_ALERTS);
+    }
+
+    await ReconciliationItem.markAlerted(items.map(item => item.id));
+  }
+
+  /**
+   * Resolve an open item
+   * @param {string} itemId - Reconciliation item ID
+   * @param {string} action - sync_cache, adjust_ledger, mark_resolved or ignore
+   * @param {Object} options - { note, resolvedBy }
+   * @returns {Promise<Object>} - { success, item } or { success: false, error, notFound | conflict }
+   */
+  async resolve(itemId, action, { note = null, resolvedBy } = {}) {
+    const item = await ReconciliationItem.findById(itemId);
+    if (!item) {
+      return { success: false, error: 'Reconciliation item not found', notFound: true };
+    }
+    if (item.status !== 'open') {
+      return { success: false, error: `Item is already ${item.status}`, conflict: true };
+    }
+    if (!ACTIONS[action] || !ACTIONS[action].includes(item.kind)) {
+      return { success: false, error: `Action ${action} does not apply to ${item.kind}` };
+    }
+
+    // Claim the item first so two operators cannot post the same adjustment
+    const claimed = await ReconciliationItem.resolve(itemId, {
+      status: action === 'ignore' ? 'ignored' : 'resolved',
+      resolution: action,
+      note,
+      resolvedBy
+    });
+    if (!claimed) {
+      return { success: false, error: 'Item was resolved by someone else', conflict: true };
+    }
+
+    try {
+      if (action === 'sync_cache') {
+        await ledgerService.syncCachedBalance(item.phone_number);
+      } else if (action === 'adjust_ledger') {
+        const { entryId } = await ledgerService.recordAdjustment(item.phone_number, parseFloat(item.difference), {
+          itemId,
+          note,
+          resolvedBy
+        });
+        claimed.journal_entry_id = entryId;
+        await ReconciliationItem.attachJournalEntry(itemId, entryId);
+      }
+    } catch (error) {
+      logger.error(`Failed to apply ${action} to reconciliation item ${itemId}:`, error);
+      await ReconciliationItem.reopen(itemId);
+      return { success: false, error: error.message };
+    }
+
+    logger.info(`Reconciliation item ${itemId} ${action} by ${resolvedBy}`);
+    return { success: true, item: claimed };
+  }
+
+  /**
+   * Start the scheduled worker (RECONCILIATION_INTERVAL_MINUTES)
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    logger.info(`Reconciliation worker started (every ${INTERVAL_MINUTES} minutes)`);
+    this.schedule(INTERVAL_MINUTES * 60 * 1000);
+  }
+
+  /**
+   * Stop the scheduled worker after the current run
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  schedule(delayMs) {
+    if (!this.running) {
+      return;
+    }
+
+    this.timer = setTimeout(async () => {
+      try {
+        await this.run('schedule');
+      } catch (error) {
+        logger.error('Reconciliation worker error:', error);
+      }
+      this.schedule(INTERVAL_MINUTES * 60 * 1000);
+    }, delayMs);
+  }
+}
+
+module.exports = new ReconciliationService();
+module.exports.ReconciliationService = ReconciliationService;
+module.exports.KINDS = KINDS;
+module.exports.ACTIONS = ACTIONS;
@@ -0,0 +1,155 @@
+const i18n = require('../../i18n');
+
+// Commands that take arguments; BALANCE, HELP and STOP stay plain keywords
+const COMMANDS = ['SEND', 'INVEST', 'WITHDRAW', 'HISTORY', 'VAULTS'];
+
+// Currencies accepted after a SEND amount (upper-case token -> currency code)
+const CURRENCIES = {
+  ZRUSD: 'ZrUSD',
+  USD: 'ZrUSD',
+  KES: 'KES',
+  MWK: 'MWK',
+  TZS: 'TZS',
+  UGX: 'UGX',
+  NGN: 'NGN',
+  GHS: 'GHS',
+  ZMW: 'ZMW'
+};
+
+// Optional word before the SEND recipient ("TO" in each supported language)
+const CONNECTORS = ['TO', 'KWA', 'KU', 'A', 'À', 'ZUWA', 'GA'];
+
+const DEFAULT_HISTORY_COUNT = 5;
+const MAX_HISTORY_COUNT = 10;
+
+/**
+ * Parse an amount token ("500", "1,000", "12.5")
+ * @param {string} token - Amount token
+ * @returns {number|null} - Positive amount or null if invalid
+ */
+function parseAmount(token) {
+  if (!/^\d[\d,]*(\.\d+)?$/.test(token || '')) {
+    return null;
+  }
+
+  const amount = parseFloat(token.replace(/,/g, ''));
+  return amount > 0 ? amount : null;
+}
+
+/**
+ * Argument parsers per command; each returns `{ args }` or `{ error }`
+ * (`error` is a key under `sms.commands` in the catalogue)
+ */
+const parsers = {
+  // SEND <amount> [currency] [TO] <phone>
+  SEND(tokens) {
+    const amount = parseAmount(tokens[0]);
+
+    // The phone may be typed in groups ("+254 712 345 678"): it is the run of digit tokens at the end
+    let phoneStart = tokens.length;
+    while (phoneStart > 1 && /^\+?\d+$/.test(tokens[phoneStart - 1])) {
+      phoneStart--;
+    }
+    const phone = phoneStart < tokens.length ? tokens.slice(phoneStart).join('') : null;
+
+    if (!amount) {
+      return { error: tokens.length > 0 ? 'invalidAmount' : 'usage.SEND' };
+    }
+    if (!phone) {
+      return { error: 'usage.SEND' };
+    }
+    if (!/^\+?\d{9,15}$/.test(phone)) {
+      return { error: 'invalidPhone' };
+    }
+
+    // Between the amount and the phone: an optional currency, then an optional connector word
+    const middle = tokens.slice(1, phoneStart);
+    if (middle.length > 0 && CONNECTORS.includes(middle[middle.length - 1])) {
+      middle.pop();
+    }
+    if (middle.length > 1) {
+      return { error: 'usage.SEND' };
+    }
+
+    const currency = middle.length === 1 ? CURRENCIES[middle[0]] : 'ZrUSD';
+    if (!currency) {
+      return { error: 'invalidCurrency' };
+    }
+
+    // Kept as typed; the command service reads local numbers in the sender's country
+    return { args: { amount, currency, recipient: phone } };
+  },
+
+  // INVEST <amount> <vault>
+  INVEST(tokens) {
+    const amount = parseAmount(tokens[0]);
+
+    if (!amount) {
+      return { error: tokens.length > 0 ? 'invalidAmount' : 'usage.INVEST' };
+    }
+    if (tokens.length < 2) {
+      return { error: 'usage.INVEST' };
+    }
+
+    return { args: { amount, vault: tokens.slice(1).join(' ') } };
+  },
+
+  // WITHDRAW <amount> [vault]
+  WITHDRAW(tokens) {
+    const amount = parseAmount(tokens[0]);
+
+    if (!amount) {
+      return { error: tokens.length > 0 ? 'invalidAmount' : 'usage.WITHDRAW' };
+    }
+
+    return { args: { amount, vault: tokens.slice(1).join(' ') || null } };
+  },
+
+  // HIST [count]
+  HISTORY(tokens) {
+    if (tokens.length === 0) {
+      return { args: { count: DEFAULT_HISTORY_COUNT } };
+    }
+
+    const count = parseInt(tokens[0]);
+    if (tokens.length > 1 || !/^\d+$/.test(tokens[0]) || count < 1 || count > MAX_HISTORY_COUNT) {
+      return { error: 'usage.HISTORY' };
+    }
+
+    return { args: { count } };
+  },
+
+  // VAULTS
+  VAULTS(tokens) {
+    return tokens.length === 0 ? { args: {} } : { error: 'usage.VAULTS' };
+  }
+};
+
+/**
+ * Parse an SMS into a transaction command
+ * @param {string} text - Incoming SMS text
+ * @returns {Object|null} - `{ command, args }`, `{ command, error }` or null if the SMS is not a command
+ */
+function parseCommand(text) {
+  const tokens = String(text || '').trim().toUpperCase().split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) {
+    return null;
+  }
+
+  // Command words are accepted in every supported language (e.g. TUMA, ENVOYER)
+  const keyword = i18n.matchKeyword(tokens[0]);
+  if (!keyword || !COMMANDS.includes(keyword.command)) {
+    return null;
+  }
+
+  const { args, error } = parsers[keyword.command](tokens.slice(1));
+  return error
+    ? { command: keyword.command, error }
+    : { command: keyword.command, args };
+}
+
+module.exports = {
+  COMMANDS,
+  parseCommand,
+  parseAmount
+};
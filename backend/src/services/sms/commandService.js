@@ -0,0 +1,506 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const redisClient = require('../../db/redisClient');
+const { User, Transaction } = require('../../db/models');
+const AuthService = require('../authService');
+const SMSService = require('../smsEngine');
+const i18n = require('../../i18n');
+const { normalizePhoneNumber } = require('../../utils/phone');
+
+const CONFIRMATION_TTL_MINUTES = 5;
+const MAX_CONFIRMATION_ATTEMPTS = 3;
+const MIN_INVESTMENT = 10;
+const MAX_VAULTS_LISTED = 5;
+
+// Wallet operation authorized by AuthService for each command that moves money
+const OPERATIONS = {
+  SEND: 'transfer',
+  INVEST: 'invest',
+  WITHDRAW: 'withdraw'
+};
+
+// The fee processTransfer charges, so the confirmation shows and checks the same amount
+const transferFee = () => require('../transactionService').TRANSFER_FEE;
+
+/**
+ * Normalize a name for loose matching ("Steakhouse USDC" -> "STEAKHOUSEUSDC")
+ * @param {string} value - Name or symbol
+ * @returns {string} - Upper-case alphanumerics
+ */
+const normalizeName = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Get the withdrawable amount for a position
+ * @param {Object} position - Vault position
+ * @returns {number} - Amount in USD
+ */
+const positionAmount = (position) => parseFloat(position.assetsUsd || position.assets || 0);
+
+class SMSCommandService {
+  /**
+   * Handle a parsed SMS command
+   * @param {string} phoneNumber - Sender's phone number
+   * @param {Object} parsed - Result of parseCommand ({ command, args } or { command, error })
+   * @param {string} locale - Reply language
+   * @returns {Promise<Object>} - Processing result
+   */
+  static async handle(phoneNumber, parsed, locale) {
+    try {
+      if (parsed.error) {
+        await this.reply(phoneNumber, locale, parsed.error, this.keywordParams(locale, parsed.command));
+        return { success: false, message: `Invalid ${parsed.command} command` };
+      }
+
+      const user = await User.findByPhone(phoneNumber);
+      if (!user) {
+        await SMSService.sendSMS(phoneNumber, i18n.t(locale, 'sms.accountNotFound'));
+        return { success: false, message: 'User not found' };
+      }
+
+      switch (parsed.command) {
+        case 'HISTORY':
+          return await this.sendHistory(phoneNumber, parsed.args.count, locale);
+
+        case 'VAULTS':
+          return await this.sendVaults(phoneNumber, locale);
+
+        default: {
+          const prepare = {
+            SEND: () => this.prepareTransfer(user, parsed.args),
+            INVEST: () => this.prepareInvestment(user, parsed.args),
+            WITHDRAW: () => this.prepareWithdrawal(user, parsed.args)
+          }[parsed.command];
+
+          const prepared = await prepare();
+          if (prepared.error) {
+            await this.reply(phoneNumber, locale, prepared.error, {
+              ...this.keywordParams(locale, parsed.command),
+              ...prepared.params
+            });
+            return { success: false, message: prepared.error };
+          }
+
+          return await this.requestConfirmation(phoneNumber, parsed.command, prepared, locale);
+        }
+      }
+    } catch (error) {
+      logger.error(`Error handling SMS ${parsed.command} command:`, error);
+      await this.reply(phoneNumber, locale, 'failed', { error: i18n.t(locale, 'sms.verificationError') });
+      return { success: false, message: 'Command failed' };
+    }
+  }
+
+  /**
+   * Validate a SEND command
+   * @param {Object} user - Sender
+   * @param {Object} args - { amount, currency, recipient }
+   * @returns {Promise<Object>} - { payload, summary, summaryKey } or { error, params }
+   */
+  static async prepareTransfer(user, args) {
+    // Local numbers are read in the sender's own country, as in USSD Send Money
+    const recipient = normalizePhoneNumber(args.recipient, user.phone_number);
+    if (!recipient) {
+      return { error: 'invalidPhone' };
+    }
+    if (recipient === user.phone_number) {
+      return { error: 'selfTransfer' };
+    }
+
+    // Numbers that have not registered yet are sent a claim they can collect once they do
+    const recipientUser = await User.findByPhone(recipient);
+
+    // Lock the rate so the amount in the confirmation SMS is the amount sent
+    let zrAmount = args.amount;
+    let quoteId = null;
+    if (args.currency !== 'ZrUSD') {
+      const fxEngine = require('../fxEngine');
+      try {
+        const quote = await fxEngine.createQuote(args.currency, 'ZrUSD', args.amount);
+        zrAmount = quote.targetAmount;
+        quoteId = quote.quoteId;
+      } catch (error) {
+        logger.warn(`No exchange rate for SMS transfer in ${args.currency}:`, error.message);
+        return { error: 'invalidCurrency' };
+      }
+    }
+
+    const fee = transferFee();
+    const balance = parseFloat(user.balance || 0);
+    const required = zrAmount + fee;
+    if (balance < required) {
+      return { error: 'insufficient', params: { balance: balance.toFixed(2), required: required.toFixed(2) } };
+    }
+
+    const summary = { amount: args.amount, currency: args.currency, phone: recipient, fee };
+    if (!recipientUser) {
+      summary.days = require('../transferClaimService').EXPIRY_DAYS;
+    }
+
+    return {
+      payload: { recipient, amount: args.amount, currency: args.currency, quoteId },
+      summary,
+      summaryKey: recipientUser ? 'SEND' : 'SEND_HELD'
+    };
+  }
+
+  /**
+   * Validate an INVEST command
+   * @param {Object} user - Investor
+   * @param {Object} args - { amount, vault }
+   * @returns {Promise<Object>} - { payload, summary } or { error, params }
+   */
+  static async prepareInvestment(user, args) {
+    if (args.amount < MIN_INVESTMENT) {
+      return { error: 'minInvestment', params: { min: MIN_INVESTMENT } };
+    }
+
+    const balance = parseFloat(user.balance || 0);
+    if (balance < args.amount) {
+      return { error: 'insufficient', params: { balance: balance.toFixed(2), required: args.amount.toFixed(2) } };
+    }
+
+    const morphoService = require('../morphoService');
+    const vaultsResult = await morphoService.fetchAvailableVaults();
+    if (!vaultsResult.success || vaultsResult.vaults.length === 0) {
+      return { error: 'vaultsUnavailable' };
+    }
+
+    const matches = this.matchByName(vaultsResult.vaults, args.vault, ['symbol', 'name']);
+    if (matches.length !== 1) {
+      return {
+        error: matches.length === 0 ? 'vaultNotFound' : 'vaultAmbiguous',
+        params: { vault: args.vault, vaults: matches.map(vault => vault.name).join(', ') }
+      };
+    }
+
+    const vault = matches[0];
+    return {
+      payload: {
+        amount: args.amount,
+        vault: { address: vault.address, name: vault.name, symbol: vault.symbol, apy: vault.apy }
+      },
+      summary: { amount: args.amount, vault: vault.name, apy: vault.apy }
+    };
+  }
+
+  /**
+   * Validate a WITHDRAW command; without a vault the largest position is used
+   * @param {Object} user - Investor
+   * @param {Object} args - { amount, vault }
+   * @returns {Promise<Object>} - { payload, summary } or { error, params }
+   */
+  static async prepareWithdrawal(user, args) {
+    const morphoService = require('../morphoService');
+    const positionsResult = await morphoService.getUserPositions(user.wallet_address);
+    if (!positionsResult.success || positionsResult.positions.length === 0) {
+      return { error: 'noPositions' };
+    }
+
+    let positions = positionsResult.positions;
+    if (args.vault) {
+      positions = this.matchByName(positions, args.vault, ['vaultSymbol', 'vaultName']);
+      if (positions.length !== 1) {
+        return {
+          error: positions.length === 0 ? 'vaultNotFound' : 'vaultAmbiguous',
+          params: { vault: args.vault, vaults: positions.map(pos => pos.vaultName).join(', ') }
+        };
+      }
+    }
+
+    const position = positions.reduce((largest, pos) => positionAmount(pos) > positionAmount(largest) ? pos : largest);
+    const available = positionAmount(position);
+    if (args.amount > available) {
+      return { error: 'exceedsPosition', params: { vault: position.vaultName, available: available.toFixed(2) } };
+    }
+
+    return {
+      payload: {
+        amount: args.amount,
+        position: { vaultAddress: position.vaultAddress, vaultName: position.vaultName }
+      },
+      summary: { amount: args.amount.toFixed(2), vault: position.vaultName }
+    };
+  }
+
+  /**
+   * Store a validated command and ask the user to confirm it with a code
+   * @param {string} phoneNumber - Sender's phone number
+   * @param {string} command - Command name
+   * @param {Object} prepared - { payload, summary, summaryKey } from the prepare step
+   * @param {string} locale - Reply language
+   * @returns {Promise<Object>} - Processing result
+   */
+  static async requestConfirmation(phoneNumber, command, prepared, locale) {
+    const authorization = await AuthService.authorizeWalletOperation(phoneNumber, OPERATIONS[command]);
+    if (!authorization.success && !authorization.requiresAuth && !authorization.requiresRecentAuth) {
+      await this.reply(phoneNumber, locale, 'notAuthorized', { error: authorization.error });
+      return { success: false, message: 'Not authorized' };
+    }
+
+    const code = crypto.randomInt(100000, 1000000).toString();
+    await redisClient.setex(this.pendingKey(phoneNumber), CONFIRMATION_TTL_MINUTES * 60, {
+      command,
+      payload: prepared.payload,
+      codeHash: this.hashCode(phoneNumber, code),
+      attempts: 0
+    });
+
+    // Users with a PIN step up with it, as they would on USSD
+    const needsPin = !authorization.success && authorization.pinEnabled;
+
+    await this.reply(phoneNumber, locale, needsPin ? 'confirmWithPin' : 'confirm', {
+      summary: i18n.t(locale, `sms.commands.summary.${prepared.summaryKey || command}`, prepared.summary),
+      code,
+      minutes: CONFIRMATION_TTL_MINUTES
+    });
+
+    logger.info(`SMS ${command} command awaiting confirmation`, { phoneNumber });
+    return { success: true, message: 'Confirmation requested' };
+  }
+
+  /**
+   * Confirm a pending command with the code (and PIN) the user replied with
+   * @param {string} phoneNumber - Sender's phone number
+   * @param {string} text - Reply text ("<code>" or "<code> <PIN>")
+   * @param {string} locale - Reply language
+   * @returns {Promise<Object|null>} - Processing result, or null if nothing is pending
+   */
+  static async confirm(phoneNumber, text, locale) {
+    const key = this.pendingKey(phoneNumber);
+    const pending = await redisClient.get(key);
+    if (!pending) {
+      return null;
+    }
+
+    const [code, pin] = text.trim().split(/\s+/);
+
+    if (!this.codeMatches(phoneNumber, code, pending.codeHash)) {
+      pending.attempts += 1;
+
+      if (pending.attempts >= MAX_CONFIRMATION_ATTEMPTS) {
+        await redisClient.del(key);
+        await this.reply(phoneNumber, locale, 'codeLocked');
+        return { success: false, message: 'Too many wrong confirmation codes' };
+      }
+
+      await redisClient.setex(key, CONFIRMATION_TTL_MINUTES * 60, pending);
+      await this.reply(phoneNumber, locale, 'wrongCode', { count: MAX_CONFIRMATION_ATTEMPTS - pending.attempts });
+      return { success: false, message: 'Invalid confirmation code' };
+    }
+
+    const authorization = await this.authorize(phoneNumber, OPERATIONS[pending.command], pin);
+    if (!authorization.success) {
+      // A missing or mistyped PIN can be retried with the same code
+      if (authorization.final) {
+        await redisClient.del(key);
+      }
+      await this.reply(phoneNumber, locale, authorization.error, authorization.params);
+      return { success: false, message: 'Not authorized' };
+    }
+
+    await redisClient.del(key);
+    return await this.execute(phoneNumber, pending, locale);
+  }
+
+  /**
+   * Apply the same step-up as USSD before running a confirmed command
+   * @param {string} phoneNumber - Sender's phone number
+   * @param {string} operation - Wallet operation (transfer, invest, withdraw)
+   * @param {string} pin - PIN sent with the confirmation code (if any)
+   * @returns {Promise<Object>} - { success } or { error, params, final }
+   */
+  static async authorize(phoneNumber, operation, pin) {
+    const authorization = await AuthService.authorizeWalletOperation(phoneNumber, operation);
+    if (authorization.success) {
+      return { success: true };
+    }
+
+    if (!authorization.requiresAuth && !authorization.requiresRecentAuth) {
+      return { success: false, error: 'notAuthorized', params: { error: authorization.error }, final: true };
+    }
+
+    if (authorization.pinEnabled) {
+      if (!pin) {
+        return { success: false, error: 'pinRequired' };
+      }
+
+      const verification = await AuthService.verifyTransactionPin(phoneNumber, pin);
+      if (!verification.success) {
+        if (verification.locked) {
+          return { success: false, error: 'pinLocked', params: { minutes: verification.lockMinutes }, final: true };
+        }
+        if (verification.attemptsRemaining !== undefined) {
+          return { success: false, error: 'pinWrong', params: { count: verification.attemptsRemaining } };
+        }
+        return { success: false, error: 'notAuthorized', params: { error: verification.error }, final: true };
+      }
+
+      // The PIN authorises this command only
+      return { success: true };
+    }
+
+    // The code came back from the user's handset, the same proof as the USSD OTP. Like the PIN,
+    // it authorises this command only, so no session or recent-auth marker is left behind.
+    return { success: true };
+  }
+
+  /**
+   * Run a confirmed command
+   * @param {string} phoneNumber - Sender's phone number
+   * @param {Object} pending - Pending command ({ command, payload })
+   * @param {string} locale - Reply language
+   * @returns {Promise<Object>} - Processing result
+   */
+  static async execute(phoneNumber, pending, locale) {
+    const TransactionService = require('../transactionService');
+    const { command, payload } = pending;
+
+    if (command === 'SEND') {
+      const result = await TransactionService.processTransfer(
+        phoneNumber,
+        payload.recipient,
+        payload.amount,
+        payload.currency,
+        payload.quoteId
+      );
+
+      // processTransfer notifies both parties once the transaction record exists
+      if (!result.success && !result.transactionId) {
+        await this.reply(phoneNumber, locale, 'failed', { error: result.error });
+      }
+      return { success: result.success, message: result.success ? 'Transfer completed' : result.error };
+    }
+
+    const result = command === 'INVEST'
+      ? await TransactionService.processVaultInvestment(phoneNumber, payload.vault, payload.amount)
+      : await TransactionService.processVaultWithdrawal(phoneNumber, payload.position, payload.amount);
+
+    if (!result.success) {
+      await this.reply(phoneNumber, locale, 'failed', { error: result.error });
+      return { success: false, message: result.error };
+    }
+
+    await this.reply(phoneNumber, locale, command === 'INVEST' ? 'invested' : 'withdrawn', {
+      amount: payload.amount.toFixed(2),
+      vault: command === 'INVEST' ? payload.vault.name : payload.position.vaultName,
+      balance: result.newBalance.toFixed(2)
+    });
+    return { success: true, message: `${command} completed` };
+  }
+
+  /**
+   * Reply with recent transactions (HIST)
+   * @param {string} phoneNumber - User's phone number
+   * @param {number} count - Number of transactions
+   * @param {string} locale - Reply language
+   * @returns {Promise<Object>} - Processing result
+   */
+  static async sendHistory(phoneNumber, count, locale) {
+    const transactions = await Transaction.findByPhone(phoneNumber, count);
+
+    if (transactions.length === 0) {
+      await this.reply(phoneNumber, locale, 'historyEmpty');
+      return { success: true, message: 'History sent' };
+    }
+
+    const lines = transactions.map((tx, index) => i18n.t(locale, 'sms.commands.historyLine', {
+      index: index + 1,
+      type: tx.type.toUpperCase(),
+      amount: tx.amount,
+      currency: tx.currency,
+      status: tx.status === 'completed' ? '✅' : tx.status === 'failed' ? '❌' : '⏳',
+      date: new Date(tx.created_at).toLocaleDateString()
+    }));
+
+    await this.reply(phoneNumber, locale, 'history', { lines: lines.join('\n') });
+    return { success: true, message: 'History sent' };
+  }
+
+  /**
+   * Reply with the available investment vaults (VAULTS)
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} locale - Reply language
+   * @returns {Promise<Object>} - Processing result
+   */
+  static async sendVaults(phoneNumber, locale) {
+    const morphoService = require('../morphoService');
+    const vaultsResult = await morphoService.fetchAvailableVaults();
+
+    if (!vaultsResult.success || vaultsResult.vaults.length === 0) {
+      await this.reply(phoneNumber, locale, 'vaultsUnavailable');
+      return { success: false, message: 'Vaults unavailable' };
+    }
+
+    const lines = vaultsResult.vaults
+      .slice(0, MAX_VAULTS_LISTED)
+      .map((vault, index) => i18n.t(locale, 'sms.commands.vaultLine', {
+        index: index + 1,
+        name: vault.name,
+        apy: vault.apy,
+        risk: vault.riskLevel
+      }));
+
+    await this.reply(phoneNumber, locale, 'vaults', {
+      lines: lines.join('\n'),
+      keyword: i18n.keywordFor(locale, 'INVEST')
+    });
+    return { success: true, message: 'Vaults sent' };
+  }
+
+  /**
+   * Find items whose name or symbol matches a query (exact matches win over partial ones)
+   * @param {Array<Object>} items - Vaults or positions
+   * @param {string} query - Name typed by the user
+   * @param {Array<string>} fields - Fields to compare
+   * @returns {Array<Object>} - Matching items
+   */
+  static matchByName(items, query, fields) {
+    const needle = normalizeName(query);
+    const exact = items.filter(item => fields.some(field => normalizeName(item[field]) === needle));
+    if (exact.length > 0) {
+      return exact;
+    }
+    return items.filter(item => fields.some(field => normalizeName(item[field]).includes(needle)));
+  }
+
+  static pendingKey(phoneNumber) {
+    return `sms_command:${phoneNumber}`;
+  }
+
+  static hashCode(phoneNumber, code) {
+    return crypto.createHash('sha256').update(`${phoneNumber}:${code}`).digest('hex');
+  }
+
+  static codeMatches(phoneNumber, code, codeHash) {
+    const expected = Buffer.from(codeHash, 'hex');
+    const actual = Buffer.from(this.hashCode(phoneNumber, code || ''), 'hex');
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Keyword parameters used by usage and error replies
+   * @param {string} locale - Reply language
+   * @param {string} command - Command the reply is about
+   * @returns {Object} - { keyword, vaultsKeyword }
+   */
+  static keywordParams(locale, command) {
+    return {
+      keyword: i18n.keywordFor(locale, command),
+      vaultsKeyword: i18n.keywordFor(locale, 'VAULTS')
+    };
+  }
+
+  /**
+   * Send a reply from the sms.commands catalogue
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} locale - Reply language
+   * @param {string} key - Key under sms.commands
+   * @param {Object} params - Interpolation parameters
+   * @returns {Promise<Object>} - SMS response
+   */
+  static async reply(phoneNumber, locale, key, params = {}) {
+    return await SMSService.sendSMS(phoneNumber, i18n.t(locale, `sms.commands.${key}`, params));
+  }
+}
+
+module.exports = SMSCommandService;
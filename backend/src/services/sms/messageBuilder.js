@@ -0,0 +1,110 @@
+const logger = require('../../utils/logger');
+const i18n = require('../../i18n');
+const { countSegments, truncateToSegments, toGsm7 } = require('../../utils/encoding');
+const NotificationPreferenceService = require('./notificationPreferences');
+const { CATEGORIES, ALWAYS_SENT } = require('./notificationPreferences');
+
+// Most segments a message of each category may be billed for (SMS_MAX_SEGMENTS_<CATEGORY> overrides)
+const SEGMENT_BUDGETS = {
+  [ALWAYS_SENT.OTP]: 2,
+  [ALWAYS_SENT.REPLY]: 3,
+  [CATEGORIES.TRANSACTION_ALERTS]: 1,
+  [CATEGORIES.SECURITY_ALERTS]: 1,
+  [CATEGORIES.BALANCE_DIGESTS]: 1,
+  [CATEGORIES.MARKETING]: 1
+};
+
+// Price per segment in USD (SMS_COST_PER_SEGMENT_<PROVIDER> overrides)
+const DEFAULT_COST_PER_SEGMENT = parseFloat(process.env.SMS_COST_PER_SEGMENT) || 0.01;
+
+class SMSMessageBuilder {
+  /**
+   * Get the segment budget for a message category
+   * @param {string} category - Notification category
+   * @returns {number} - Maximum segments
+   */
+  static getSegmentBudget(category) {
+    const override = parseInt(process.env[`SMS_MAX_SEGMENTS_${String(category).toUpperCase()}`]);
+    if (!isNaN(override)) {
+      return override;
+    }
+    return SEGMENT_BUDGETS[category] || SEGMENT_BUDGETS[ALWAYS_SENT.REPLY];
+  }
+
+  /**
+   * Get the price of one segment through a provider
+   * @param {string} provider - Provider name
+   * @returns {number} - Cost in USD
+   */
+  static getCostPerSegment(provider) {
+    const override = provider ? parseFloat(process.env[`SMS_COST_PER_SEGMENT_${provider.toUpperCase()}`]) : NaN;
+    return isNaN(override) ? DEFAULT_COST_PER_SEGMENT : override;
+  }
+
+  /**
+   * Check whether a recipient should only get GSM-7 text, because their handset cannot show
+   * emoji (Settings > Notifications) or their language is configured for it (SMS_GSM7_LOCALES)
+   * @param {string} phoneNumber - Recipient (digits, with country code)
+   * @param {string} locale - Message language (optional, the phone's country default)
+   * @returns {Promise<boolean>} - True if the message must be GSM-7
+   */
+  static async wantsPlainText(phoneNumber, locale = null) {
+    const plainLocales = String(process.env.SMS_GSM7_LOCALES || '').split(',').map(code => code.trim());
+    if (plainLocales.includes(locale || i18n.localeForPhone(phoneNumber))) {
+      return true;
+    }
+
+    try {
+      const preferences = await NotificationPreferenceService.get(phoneNumber);
+      return preferences.plainText;
+    } catch (error) {
+      logger.warn('Plain-text SMS preference unavailable:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Prepare a message for sending: pick the encoding, keep it within its category's
+   * segment budget and project what it will cost
+   * @param {string} phoneNumber - Recipient (digits, with country code)
+   * @param {string} message - Rendered message
+   * @param {Object} options - Options
+   * @param {string} options.category - Notification category (decides the budget)
+   * @param {string} options.locale - Message language (optional)
+   * @returns {Promise<Object>} - { text, encoding, segments, estimatedCost, plainText, truncated }
+   */
+  static async build(phoneNumber, message, { category = ALWAYS_SENT.REPLY, locale = null } = {}) {
+    const providerRouter = require('./providerRouter');
+    const budget = this.getSegmentBudget(category);
+
+    let plainText = await this.wantsPlainText(phoneNumber, locale);
+    let text = plainText ? toGsm7(message) : String(message);
+    let { encoding, segments } = countSegments(text);
+
+    // Emoji force UCS-2, which can double the bill; drop them when the message is over budget
+    if (segments > budget && encoding === 'UCS-2') {
+      const fallback = toGsm7(text);
+      const fallbackCount = countSegments(fallback);
+      if (fallbackCount.segments < segments) {
+        text = fallback;
+        ({ encoding, segments } = fallbackCount);
+        plainText = true;
+      }
+    }
+
+    const truncated = segments > budget;
+    if (truncated) {
+      logger.warn(`${category} SMS is ${segments} segments (budget ${budget}); truncating`);
+      text = truncateToSegments(text, budget);
+      ({ encoding, segments } = countSegments(text));
+    }
+
+    const [provider] = providerRouter.providersFor(String(phoneNumber).replace(/^\+/, ''));
+    const estimatedCost = Number((segments * this.getCostPerSegment(provider)).toFixed(4));
+
+    return { text, encoding, segments, estimatedCost, plainText, truncated };
+  }
+}
+
+module.exports = SMSMessageBuilder;
+module.exports.SEGMENT_BUDGETS = SEGMENT_BUDGETS;
@@ -0,0 +1,113 @@
+const logger = require('../../utils/logger');
+const { NotificationPreference } = require('../../db/models');
+
+// Categories a user can turn off (column names in notification_preferences)
+const CATEGORIES = {
+  MARKETING: 'marketing',
+  TRANSACTION_ALERTS: 'transaction_alerts',
+  BALANCE_DIGESTS: 'balance_digests',
+  SECURITY_ALERTS: 'security_alerts'
+};
+
+// Messages that are always delivered: security codes, and replies to a message the user just sent
+const ALWAYS_SENT = {
+  OTP: 'otp',
+  REPLY: 'reply'
+};
+
+const ALL_CATEGORIES = Object.values(CATEGORIES);
+
+class NotificationPreferenceService {
+  /**
+   * Get a phone number's notification preferences (everything is on until changed)
+   * @param {string} phoneNumber - Phone number
+   * @returns {Promise<Object>} - { marketing, transaction_alerts, balance_digests, security_alerts, optedOut, plainText }
+   */
+  static async get(phoneNumber) {
+    const row = await NotificationPreference.findByPhone(phoneNumber);
+    const preferences = {
+      optedOut: Boolean(row && row.opted_out_at),
+      plainText: Boolean(row && row.plain_text)
+    };
+
+    for (const category of ALL_CATEGORIES) {
+      preferences[category] = row ? row[category] : true;
+    }
+
+    return preferences;
+  }
+
+  /**
+   * Turn one category on or off
+   * @param {string} phoneNumber - Phone number
+   * @param {string} category - One of CATEGORIES
+   * @param {boolean} enabled - Whether to send this category
+   * @returns {Promise<Object>} - Updated preferences row
+   */
+  static async set(phoneNumber, category, enabled) {
+    if (!ALL_CATEGORIES.includes(category)) {
+      throw new Error(`Unknown notification category: ${category}`);
+    }
+
+    return await NotificationPreference.upsert(phoneNumber, { [category]: Boolean(enabled) });
+  }
+
+  /**
+   * Ask for messages without emoji or other characters the handset cannot show (GSM-7 only)
+   * @param {string} phoneNumber - Phone number
+   * @param {boolean} enabled - Whether to send plain text
+   * @returns {Promise<Object>} - Updated preferences row
+   */
+  static async setPlainText(phoneNumber, enabled) {
+    return await NotificationPreference.upsert(phoneNumber, { plain_text: Boolean(enabled) });
+  }
+
+  /**
+   * Turn every category off (SMS STOP)
+   * @param {string} phoneNumber - Phone number
+   * @returns {Promise<Object>} - Updated preferences row
+   */
+  static async optOut(phoneNumber) {
+    logger.info('SMS opt-out', { phoneNumber });
+    return await NotificationPreference.upsert(phoneNumber, this.allSetTo(false), true);
+  }
+
+  /**
+   * Turn every category back on (SMS START)
+   * @param {string} phoneNumber - Phone number
+   * @returns {Promise<Object>} - Updated preferences row
+   */
+  static async optIn(phoneNumber) {
+    logger.info('SMS opt-in', { phoneNumber });
+    return await NotificationPreference.upsert(phoneNumber, this.allSetTo(true), false);
+  }
+
+  /**
+   * Check whether a message category may be sent to a phone number
+   * @param {string} phoneNumber - Phone number
+   * @param {string} category - One of CATEGORIES or ALWAYS_SENT
+   * @returns {Promise<boolean>} - True if the message should be sent
+   */
+  static async allows(phoneNumber, category) {
+    if (Object.values(ALWAYS_SENT).includes(category)) {
+      return true;
+    }
+
+    try {
+      const preferences = await this.get(phoneNumber);
+      return preferences[category] !== false;
+    } catch (error) {
+      // Without preferences, keep service messages flowing but hold back marketing
+      logger.warn(`Notification preferences unavailable for ${category}:`, error.message);
+      return category !== CATEGORIES.MARKETING;
+    }
+  }
+
+  static allSetTo(enabled) {
+    return ALL_CATEGORIES.reduce((changes, category) => ({ ...changes, [category]: enabled }), {});
+  }
+}
+
+module.exports = NotificationPreferenceService;
+module.exports.CATEGORIES = CATEGORIES;
+module.exports.ALWAYS_SENT = ALWAYS_SENT;
@@ -0,0 +1,117 @@
+const logger = require('../../utils/logger');
+
+const PROVIDERS = {
+  africastalking: require('./providers/africasTalkingProvider'),
+  twilio: require('./providers/twilioProvider'),
+  infobip: require('./providers/infobipProvider'),
+  console: require('./providers/consoleProvider')
+};
+
+// A provider that failed is tried last for this long
+const COOLDOWN_SECONDS = parseInt(process.env.SMS_PROVIDER_COOLDOWN_SECONDS) || 60;
+
+/**
+ * Parse a list of provider names, keeping known ones
+ * @param {string} value - Comma-separated names
+ * @returns {Array<string>} - Provider names
+ */
+const parseNames = (value) => String(value || '')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(name => PROVIDERS[name]);
+
+class SMSProviderRouter {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.providers - Default provider order (default: SMS_PROVIDERS)
+   * @param {string} options.routes - Per-country orders, e.g. "234:infobip,twilio;255:twilio" (default: SMS_ROUTES)
+   */
+  constructor({ providers = process.env.SMS_PROVIDERS, routes = process.env.SMS_ROUTES } = {}) {
+    this.defaults = providers
+      ? parseNames(providers)
+      : ['africastalking', 'twilio', 'infobip'].filter(name => PROVIDERS[name].isConfigured());
+
+    // Nothing configured: capture messages locally rather than fail every send (never in production)
+    if (this.defaults.length === 0 && process.env.NODE_ENV !== 'production') {
+      logger.warn('No SMS provider configured; messages will be captured by the console provider');
+      this.defaults = ['console'];
+    }
+
+    this.routes = String(routes || '')
+      .split(';')
+      .map(rule => rule.split(':').map(part => part.trim()))
+      .filter(([prefix, names]) => prefix && names)
+      .map(([prefix, names]) => ({ prefix: prefix.replace(/^\+/, ''), providers: parseNames(names) }))
+      .filter(route => route.providers.length > 0)
+      // Longest prefix wins
+      .sort((a, b) => b.prefix.length - a.prefix.length);
+
+    this.downUntil = {};
+  }
+
+  /**
+   * Get every provider the router may use
+   * @returns {Array<string>} - Provider names
+   */
+  activeProviders() {
+    return [...new Set([...this.defaults, ...this.routes.flatMap(route => route.providers)])];
+  }
+
+  /**
+   * Get the providers to try for a number, healthy ones first
+   * @param {string} phoneNumber - Recipient (digits, with country code)
+   * @returns {Array<string>} - Provider names in order
+   */
+  providersFor(phoneNumber) {
+    const route = this.routes.find(rule => phoneNumber.startsWith(rule.prefix));
+    const names = route ? route.providers : this.defaults;
+    const now = Date.now();
+
+    const healthy = names.filter(name => !(this.downUntil[name] > now));
+    const cooling = names.filter(name => this.downUntil[name] > now);
+    return [...healthy, ...cooling];
+  }
+
+  /**
+   * Send an SMS, failing over to the next provider on errors
+   * @param {Object} sms - { to, message, from }
+   * @param {Object} options - Options
+   * @param {Function} options.hasCapacity - Returns false for providers that are over their rate limit
+   * @returns {Promise<Object>} - { provider, messageId }; throws if every provider failed
+   *                              (error.permanent if all said the number is unusable, error.throttled if none had capacity)
+   */
+  async send({ to, message, from = null }, { hasCapacity = () => true } = {}) {
+    const phoneNumber = String(to).replace(/^\+/, '');
+    const candidates = this.providersFor(phoneNumber);
+    const usable = candidates.filter(name => hasCapacity(name));
+
+    if (usable.length === 0) {
+      const error = new Error(`All SMS providers for ${phoneNumber} are at their rate limit`);
+      error.throttled = true;
+      throw error;
+    }
+
+    const errors = [];
+    for (const name of usable) {
+      try {
+        const result = await PROVIDERS[name].send({ to: phoneNumber, message, from });
+        delete this.downUntil[name];
+        return { provider: name, messageId: result.messageId };
+      } catch (error) {
+        errors.push(error);
+        if (!error.permanent) {
+          this.downUntil[name] = Date.now() + COOLDOWN_SECONDS * 1000;
+        }
+        logger.warn(`SMS provider ${name} failed${usable.length > 1 ? ', failing over' : ''}: ${error.message}`);
+      }
+    }
+
+    const error = new Error(errors.map(e => e.message).join('; '));
+    error.permanent = errors.every(e => e.permanent);
+    throw error;
+  }
+}
+
+module.exports = new SMSProviderRouter();
+module.exports.SMSProviderRouter = SMSProviderRouter;
+module.exports.PROVIDERS = PROVIDERS;
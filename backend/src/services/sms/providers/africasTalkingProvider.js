@@ -0,0 +1,53 @@
+const AfricasTalking = require('africastalking');
+
+// Recipient status codes that will not succeed on retry
+// (403 InvalidPhoneNumber, 404 UnsupportedNumberType, 406 UserInBlacklist)
+const PERMANENT_STATUS_CODES = [403, 404, 406];
+
+let client = null;
+
+/**
+ * Get the Africa's Talking SMS client, created on first use
+ * @returns {Object} - SMS client
+ */
+function getClient() {
+  if (!client) {
+    client = AfricasTalking({
+      apiKey: process.env.AFRICASTALKING_API_KEY,
+      username: process.env.AFRICASTALKING_USERNAME
+    }).SMS;
+  }
+  return client;
+}
+
+module.exports = {
+  name: 'africastalking',
+
+  isConfigured() {
+    return Boolean(process.env.AFRICASTALKING_API_KEY && process.env.AFRICASTALKING_USERNAME);
+  },
+
+  /**
+   * Send one SMS through Africa's Talking
+   * @param {Object} sms - { to, message, from }
+   * @returns {Promise<Object>} - { messageId }; throws on failure (error.permanent when the number is unusable)
+   */
+  async send({ to, message, from }) {
+    const options = { to: [`+${to}`], message };
+    if (from) {
+      options.from = from;
+    }
+
+    const response = await getClient().send(options);
+    const recipient = response.SMSMessageData?.Recipients?.[0];
+
+    // 100 Processed, 101 Sent, 102 Queued; anything else was rejected
+    if (!recipient || ![100, 101, 102].includes(recipient.statusCode)) {
+      const error = new Error(`Africa's Talking rejected SMS: ${recipient ? recipient.status : response.SMSMessageData?.Message}`);
+      error.permanent = Boolean(recipient && PERMANENT_STATUS_CODES.includes(recipient.statusCode));
+      throw error;
+    }
+
+    return { messageId: recipient.messageId };
+  }
+};
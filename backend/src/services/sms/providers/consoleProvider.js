@@ -0,0 +1,36 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const logger = require('../../../utils/logger');
+
+// Messages "sent" by this process, newest last (for local development and tests)
+const messages = [];
+
+module.exports = {
+  name: 'console',
+  messages,
+
+  isConfigured() {
+    return true;
+  },
+
+  /**
+   * Capture an SMS instead of sending it; SMS_CONSOLE_FILE also appends it as a JSON line
+   * @param {Object} sms - { to, message, from }
+   * @returns {Promise<Object>} - { messageId }
+   */
+  async send({ to, message, from }) {
+    const sms = { messageId: `console-${crypto.randomUUID()}`, to, from: from || null, message, sentAt: new Date().toISOString() };
+    messages.push(sms);
+
+    if (process.env.SMS_CONSOLE_FILE) {
+      await fs.promises.appendFile(process.env.SMS_CONSOLE_FILE, `${JSON.stringify(sms)}\n`);
+    }
+
+    logger.info(`[console SMS] to ${to}: ${message}`);
+    return { messageId: sms.messageId };
+  },
+
+  clear() {
+    messages.length = 0;
+  }
+};
@@ -0,0 +1,49 @@
+const axios = require('axios');
+
+// Infobip statuses for numbers no provider can reach
+const PERMANENT_STATUSES = ['REJECTED_DESTINATION', 'REJECTED_PREFIX_MISSING', 'REJECTED_DND'];
+
+module.exports = {
+  name: 'infobip',
+
+  isConfigured() {
+    return Boolean(process.env.INFOBIP_BASE_URL && process.env.INFOBIP_API_KEY);
+  },
+
+  /**
+   * Send one SMS through the Infobip SMS API
+   * @param {Object} sms - { to, message, from }
+   * @returns {Promise<Object>} - { messageId }; throws on failure (error.permanent when the number is unusable)
+   */
+  async send({ to, message, from }) {
+    let result;
+    try {
+      const response = await axios.post(
+        `${process.env.INFOBIP_BASE_URL}/sms/2/text/advanced`,
+        {
+          messages: [{
+            from: from || process.env.INFOBIP_SENDER || 'Zybra',
+            destinations: [{ to }],
+            text: message
+          }]
+        },
+        {
+          headers: { Authorization: `App ${process.env.INFOBIP_API_KEY}` },
+          timeout: 10000
+        }
+      );
+      result = response.data.messages?.[0];
+    } catch (error) {
+      const reason = error.response?.data?.requestError?.serviceException?.text || error.message;
+      throw new Error(`Infobip rejected SMS: ${reason}`);
+    }
+
+    if (!result || result.status?.groupName === 'REJECTED') {
+      const error = new Error(`Infobip rejected SMS: ${result ? result.status.name : 'empty response'}`);
+      error.permanent = Boolean(result && PERMANENT_STATUSES.includes(result.status.name));
+      throw error;
+    }
+
+    return { messageId: result.messageId };
+  }
+};
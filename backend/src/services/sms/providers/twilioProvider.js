@@ -0,0 +1,49 @@
+const axios = require('axios');
+
+// Twilio error codes for numbers no provider can reach
+// (21211 invalid To, 21614 not a mobile number, 21610 recipient replied STOP)
+const PERMANENT_ERROR_CODES = [21211, 21614, 21610];
+
+module.exports = {
+  name: 'twilio',
+
+  isConfigured() {
+    return Boolean(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN &&
+      (process.env.TWILIO_FROM_NUMBER || process.env.TWILIO_MESSAGING_SERVICE_SID));
+  },
+
+  /**
+   * Send one SMS through the Twilio Messages API
+   * @param {Object} sms - { to, message, from }
+   * @returns {Promise<Object>} - { messageId }; throws on failure (error.permanent when the number is unusable)
+   */
+  async send({ to, message, from }) {
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    const body = new URLSearchParams({ To: `+${to}`, Body: message });
+
+    if (process.env.TWILIO_MESSAGING_SERVICE_SID && !from) {
+      body.append('MessagingServiceSid', process.env.TWILIO_MESSAGING_SERVICE_SID);
+    } else {
+      body.append('From', from || process.env.TWILIO_FROM_NUMBER);
+    }
+
+    try {
+      const response = await axios.post(
+        `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+        body.toString(),
+        {
+          auth: { username: accountSid, password: process.env.TWILIO_AUTH_TOKEN },
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout: 10000
+        }
+      );
+
+      return { messageId: response.data.sid };
+    } catch (error) {
+      const data = error.response?.data || {};
+      const failure = new Error(`Twilio rejected SMS: ${data.message || error.message}`);
+      failure.permanent = PERMANENT_ERROR_CODES.includes(data.code);
+      throw failure;
+    }
+  }
+};
@@ -0,0 +1,236 @@
+const logger = require('../../utils/logger');
+const { SMSLog } = require('../../db/models');
+const { CATEGORIES, ALWAYS_SENT } = require('./notificationPreferences');
+const SMSMessageBuilder = require('./messageBuilder');
+
+// Priority lanes; lower is sent first
+const LANES = {
+  OTP: 1,
+  TRANSACTION: 2,
+  MARKETING: 3
+};
+
+const LANE_BY_CATEGORY = {
+  [ALWAYS_SENT.OTP]: LANES.OTP,
+  [ALWAYS_SENT.REPLY]: LANES.TRANSACTION,
+  [CATEGORIES.TRANSACTION_ALERTS]: LANES.TRANSACTION,
+  [CATEGORIES.SECURITY_ALERTS]: LANES.TRANSACTION,
+  [CATEGORIES.BALANCE_DIGESTS]: LANES.MARKETING,
+  [CATEGORIES.MARKETING]: LANES.MARKETING
+};
+
+const POLL_MS = parseInt(process.env.SMS_QUEUE_POLL_MS) || 1000;
+const MAX_ATTEMPTS = parseInt(process.env.SMS_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_SECONDS = parseInt(process.env.SMS_RETRY_BASE_SECONDS) || 10;
+const RETRY_MAX_SECONDS = parseInt(process.env.SMS_RETRY_MAX_SECONDS) || 600;
+const DEFAULT_RATE_LIMIT = parseInt(process.env.SMS_RATE_LIMIT_PER_SECOND) || 10;
+
+// Provider delivery report statuses; anything else (Sent, Submitted, Buffered) is still in flight
+const DELIVERY_STATUSES = {
+  success: 'delivered',
+  failed: 'failed',
+  rejected: 'failed'
+};
+
+// An OTP is only valid for 5 minutes, so there is no point delivering it later
+const OTP_TTL_SECONDS = 300;
+// A message still 'sending' after this long belongs to a worker that died
+const STALE_SENDING_SECONDS = 120;
+
+class SMSQueue {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.sentThisSecond = { second: null, counts: {} };
+  }
+
+  /**
+   * Get the send rate allowed for a provider (SMS_RATE_LIMIT_<PROVIDER> overrides SMS_RATE_LIMIT_PER_SECOND)
+   * @param {string} provider - Provider name
+   * @returns {number} - Messages per second
+   */
+  getRateLimit(provider) {
+    const override = parseInt(process.env[`SMS_RATE_LIMIT_${provider.toUpperCase()}`]);
+    return isNaN(override) ? DEFAULT_RATE_LIMIT : override;
+  }
+
+  /**
+   * Get the delay before the next attempt (exponential backoff)
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} - Delay in seconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+  }
+
+  /**
+   * Add a message to the outbound queue
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {string} message - Message content
+   * @param {Object} options - Options
+   * @param {string} options.category - Notification category (decides the lane)
+   * @param {string} options.from - Sender ID (optional)
+   * @param {string} options.locale - Message language (optional)
+   * @returns {Promise<Object>} - Queued sms_logs row
+   */
+  async enqueue(phoneNumber, message, { category = ALWAYS_SENT.REPLY, from = null, locale = null } = {}) {
+    const priority = LANE_BY_CATEGORY[category] || LANES.TRANSACTION;
+    const built = await SMSMessageBuilder.build(phoneNumber, message, { category, locale });
+
+    return await SMSLog.enqueue({
+      phoneNumber,
+      messageType: category,
+      content: built.text,
+      priority,
+      senderId: from,
+      maxAttempts: MAX_ATTEMPTS,
+      expiresAt: priority === LANES.OTP ? new Date(Date.now() + OTP_TTL_SECONDS * 1000) : null,
+      encoding: built.encoding,
+      segments: built.segments,
+      estimatedCost: built.estimatedCost
+    });
+  }
+
+  /**
+   * Check whether a provider can take another message this second
+   * @param {string} provider - Provider name
+   * @returns {boolean} - True if under its rate limit
+   */
+  hasCapacity(provider) {
+    this.rollWindow();
+    return (this.sentThisSecond.counts[provider] || 0) < this.getRateLimit(provider);
+  }
+
+  rollWindow() {
+    const second = Math.floor(Date.now() / 1000);
+    if (this.sentThisSecond.second !== second) {
+      this.sentThisSecond = { second, counts: {} };
+    }
+  }
+
+  /**
+   * Send due messages, up to the combined capacity of the providers left this second
+   * @returns {Promise<number>} - Number of messages processed
+   */
+  async processBatch() {
+    const SMSService = require('../smsEngine');
+    const providerRouter = require('./providerRouter');
+
+    this.rollWindow();
+    const available = providerRouter.activeProviders()
+      .reduce((total, provider) => total + Math.max(0, this.getRateLimit(provider) - (this.sentThisSecond.counts[provider] || 0)), 0);
+    if (available <= 0) {
+      return 0;
+    }
+
+    const batch = await SMSLog.claimBatch(available);
+
+    for (const sms of batch) {
+      await this.deliver(sms, SMSService);
+    }
+
+    return batch.length;
+  }
+
+  /**
+   * Send one claimed message and record the outcome
+   * @param {Object} sms - Claimed sms_logs row
+   * @param {Object} SMSService - Transport
+   */
+  async deliver(sms, SMSService) {
+    const redact = sms.priority === LANES.OTP;
+
+    if (sms.expires_at && new Date(sms.expires_at) < new Date()) {
+      await SMSLog.markFinal(sms.id, 'expired', 'Expired before it could be sent', redact);
+      return;
+    }
+
+    try {
+      const result = await SMSService.transmit(sms.phone_number, sms.message_content, sms.sender_id, {
+        hasCapacity: (provider) => this.hasCapacity(provider)
+      });
+      this.sentThisSecond.counts[result.provider] = (this.sentThisSecond.counts[result.provider] || 0) + 1;
+      await SMSLog.markSent(sms.id, result.provider, result.messageId, redact);
+    } catch (error) {
+      // Every provider for this route is at its rate limit; try again shortly without using up an attempt
+      if (error.throttled) {
+        await SMSLog.defer(sms.id, 1);
+        return;
+      }
+
+      if (error.permanent || sms.attempts >= sms.max_attempts) {
+        logger.error(`SMS ${sms.id} failed after ${sms.attempts} attempt(s): ${error.message}`);
+        await SMSLog.markFinal(sms.id, 'failed', error.message, redact);
+        return;
+      }
+
+      const delay = this.getRetryDelay(sms.attempts);
+      logger.warn(`SMS ${sms.id} attempt ${sms.attempts} failed, retrying in ${delay}s: ${error.message}`);
+      await SMSLog.scheduleRetry(sms.id, error.message, delay);
+    }
+  }
+
+  /**
+   * Record a provider delivery report against the queued message
+   * @param {string} providerMessageId - Provider's message id
+   * @param {string} providerStatus - Provider status (e.g. Success, Failed, Rejected, Buffered)
+   * @param {string} failureReason - Provider failure reason (optional)
+   * @returns {Promise<Object|null>} - Updated sms_logs row, or null if the message is unknown
+   */
+  async recordDeliveryReport(providerMessageId, providerStatus, failureReason = null) {
+    const status = DELIVERY_STATUSES[String(providerStatus).toLowerCase()] || 'sent';
+    const sms = await SMSLog.updateDeliveryStatus(providerMessageId, status, failureReason || null);
+
+    if (!sms) {
+      logger.warn(`Delivery report for unknown SMS ${providerMessageId}`);
+    }
+    return sms;
+  }
+
+  /**
+   * Start the worker loop
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    logger.info('SMS queue worker started');
+
+    SMSLog.requeueStale(STALE_SENDING_SECONDS)
+      .catch(error => logger.error('Failed to requeue stale SMS:', error))
+      .finally(() => this.schedule(0));
+  }
+
+  /**
+   * Stop the worker loop after the current batch
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  schedule(delayMs) {
+    if (!this.running) {
+      return;
+    }
+
+    this.timer = setTimeout(async () => {
+      let processed = 0;
+      try {
+        processed = await this.processBatch();
+      } catch (error) {
+        logger.error('SMS queue worker error:', error);
+      }
+
+      // Keep draining while there is work; otherwise wait for the next poll
+      this.schedule(processed > 0 ? 0 : POLL_MS);
+    }, delayMs);
+  }
+}
+
+module.exports = new SMSQueue();
+module.exports.SMSQueue = SMSQueue;
+module.exports.LANES = LANES;
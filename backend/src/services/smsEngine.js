@@ -1,46 +1,93 @@
-const AfricasTalking = require('africastalking');
 const logger = require('../utils/logger');
+const i18n = require('../i18n');
+const { CATEGORIES, ALWAYS_SENT } = require('./sms/notificationPreferences');
 
-// Initialize Africa's Talking
-const africastalking = AfricasTalking({
-  apiKey: process.env.AFRICASTALKING_API_KEY,
-  username: process.env.AFRICASTALKING_USERNAME,
-});
+class SMSService {
+  /**
+   * Queue an SMS, ignoring notification preferences (use notify() for anything not
+   * replying to a message the user just sent). Delivery happens in the SMS queue worker.
+   * @param {string|Array<string>} to - Phone number(s) to send to
+   * @param {string} message - Message content
+   * @param {string} from - Sender ID (optional)
+   * @param {string} category - Notification category, which picks the priority lane and segment budget (default: reply)
+   * @param {string} locale - Message language, for locales sent as GSM-7 only (optional)
+   * @returns {Promise<Object>} - { success, queued, messageId, estimatedCost } (never throws)
+   */
+  static async sendSMS(to, message, from = null, category = ALWAYS_SENT.REPLY, locale = null) {
+    const smsQueue = require('./sms/smsQueue');
+    const recipients = Array.isArray(to) ? to : [to];
+    const queued = [];
+    let estimatedCost = 0;
+
+    for (const recipient of recipients) {
+      try {
+        const sms = await smsQueue.enqueue(recipient, message, { category, from, locale });
+        queued.push(sms.id);
+        estimatedCost += Number(sms.estimated_cost || 0);
+      } catch (error) {
+        // The queue is unavailable; a best-effort direct send beats dropping the message
+        logger.error('SMS queue unavailable, sending directly:', error.message);
+        try {
+          const result = await this.transmit(recipient, message, from);
+          queued.push(result.messageId);
+        } catch (sendError) {
+          logger.error('SMS sending failed:', sendError);
+          return { success: false, error: sendError.message };
+        }
+      }
+    }
 
-const sms = africastalking.SMS;
+    logger.info(`Queued ${category} SMS for ${recipients.length} recipient(s)`);
+    return { success: true, queued: true, messageId: queued[0], estimatedCost: Number(estimatedCost.toFixed(4)) };
+  }
 
-class SMSService {
   /**
-   * Send SMS message
+   * Send an SMS now through the provider router, failing over between providers (used by the queue worker)
    * @param {string} to - Phone number to send to
    * @param {string} message - Message content
    * @param {string} from - Sender ID (optional)
-   * @returns {Promise<Object>} - SMS response
+   * @param {Object} options - Router options ({ hasCapacity })
+   * @returns {Promise<Object>} - { provider, messageId }; throws if every provider failed
    */
-  static async sendSMS(to, message, from = null) {
-    try {
-      const options = {
-        to: Array.isArray(to) ? to : [to],
-        message: message,
-      };
+  static async transmit(to, message, from = null, options = {}) {
+    const providerRouter = require('./sms/providerRouter');
+    return await providerRouter.send({ to, message, from }, options);
+  }
 
-      if (from) {
-        options.from = from;
-      }
+  /**
+   * Send an SMS unless the recipient has turned its category off
+   * @param {string} phoneNumber - Phone number to send to
+   * @param {string} message - Message content
+   * @param {string} category - Notification category (CATEGORIES or ALWAYS_SENT)
+   * @param {string} from - Sender ID (optional)
+   * @param {string} locale - Message language (optional)
+   * @returns {Promise<Object>} - SMS response, or { success: true, skipped: true } if opted out
+   */
+  static async notify(phoneNumber, message, category, from = null, locale = null) {
+    const NotificationPreferenceService = require('./sms/notificationPreferences');
+    const allowed = await NotificationPreferenceService.allows(phoneNumber.replace(/^\+/, ''), category);
 
-      logger.info(`Sending SMS to ${to}: ${message.substring(0, 50)}...`);
+    if (!allowed) {
+      logger.info(`Skipping ${category} SMS: recipient opted out`, { phoneNumber });
+      return { success: true, skipped: true };
+    }
 
-      const response = await sms.send(options);
+    return await this.sendSMS(phoneNumber, message, from, category, locale);
+  }
 
-      logger.info('SMS sent successfully:', response);
-      return {
-        success: true,
-        data: response,
-        messageId: response.SMSMessageData?.Recipients?.[0]?.messageId
-      };
+  /**
+   * Resolve the language to message a phone number in
+   * @param {string} phoneNumber - User's phone number
+   * @returns {Promise<string>} - Locale code (user preference, else country default)
+   */
+  static async getLocale(phoneNumber) {
+    try {
+      const User = require('../db/models').User;
+      const user = await User.findByPhone(phoneNumber.replace(/^\+/, ''));
+      return i18n.resolveLocale(user, phoneNumber);
     } catch (error) {
-      logger.error('SMS sending failed:', error);
-      throw new Error(`SMS sending failed: ${error.message}`);
+      logger.warn('Falling back to country locale for SMS:', error.message);
+      return i18n.localeForPhone(phoneNumber);
     }
   }
 
@@ -48,34 +95,28 @@ class SMSService {
    * Send transaction confirmation SMS
    * @param {string} phoneNumber - User's phone number
    * @param {Object} transaction - Transaction details
+   * @param {string} locale - Message language (optional, resolved from the user)
    * @returns {Promise<Object>} - SMS response
    */
-  static async sendTransactionConfirmation(phoneNumber, transaction) {
+  static async sendTransactionConfirmation(phoneNumber, transaction, locale = null) {
     const { type, amount, currency, status, txHash } = transaction;
+    locale = locale || await this.getLocale(phoneNumber);
 
+    const params = { type: type.toUpperCase(), amount, currency };
     let message;
     if (status === 'completed') {
-      message = `✅ Transaction Confirmed!\n` +
-                `Type: ${type.toUpperCase()}\n` +
-                `Amount: ${amount} ${currency}\n` +
-                `TX: ${txHash ? txHash.substring(0, 10) + '...' : 'Pending'}\n` +
-                `Time: ${new Date().toLocaleString()}\n` +
-                `Thank you for using Zybra!`;
+      message = i18n.t(locale, 'sms.transaction.completed', {
+        ...params,
+        tx: txHash ? txHash.substring(0, 10) + '...' : i18n.t(locale, 'sms.transaction.txPending'),
+        time: new Date().toLocaleString()
+      });
     } else if (status === 'failed') {
-      message = `❌ Transaction Failed!\n` +
-                `Type: ${type.toUpperCase()}\n` +
-                `Amount: ${amount} ${currency}\n` +
-                `Please try again or contact support.\n` +
-                `Zybra Support`;
+      message = i18n.t(locale, 'sms.transaction.failed', params);
     } else {
-      message = `⏳ Transaction Pending...\n` +
-                `Type: ${type.toUpperCase()}\n` +
-                `Amount: ${amount} ${currency}\n` +
-                `We'll notify you once confirmed.\n` +
-                `Zybra`;
+      message = i18n.t(locale, 'sms.transaction.pending', params);
     }
 
-    return await this.sendSMS(phoneNumber, message);
+    return await this.notify(phoneNumber, message, CATEGORIES.TRANSACTION_ALERTS, null, locale);
   }
 
   /**
@@ -83,31 +124,93 @@ class SMSService {
    * @param {string} phoneNumber - User's phone number
    * @param {number} balance - Current balance
    * @param {string} currency - Currency symbol
+   * @param {string} locale - Message language (optional, resolved from the user)
+   * @param {string} category - Notification category (a reply to BALANCE is always sent)
+   * @returns {Promise<Object>} - SMS response
+   */
+  static async sendBalanceNotification(phoneNumber, balance, currency = 'ZrUSD', locale = null, category = CATEGORIES.BALANCE_DIGESTS) {
+    locale = locale || await this.getLocale(phoneNumber);
+    const message = i18n.t(locale, 'sms.balance', {
+      balance,
+      currency,
+      time: new Date().toLocaleString()
+    });
+
+    return await this.notify(phoneNumber, message, category, null, locale);
+  }
+
+  /**
+   * Send notice of ZrUSD received from a wallet outside Zybra
+   * @param {string} phoneNumber - User's phone number
+   * @param {Object} receipt - { amount, sender, balance, txHash }
+   * @param {string} locale - Message language (optional, resolved from the user)
+   * @returns {Promise<Object>} - SMS response
+   */
+  static async sendReceivedNotification(phoneNumber, receipt, locale = null) {
+    const { amount, sender, balance, txHash } = receipt;
+    locale = locale || await this.getLocale(phoneNumber);
+    const message = i18n.t(locale, 'sms.received', {
+      amount,
+      sender: sender.substring(0, 10) + '...',
+      balance,
+      tx: txHash.substring(0, 10) + '...'
+    });
+
+    return await this.notify(phoneNumber, message, CATEGORIES.TRANSACTION_ALERTS, null, locale);
+  }
+
+  /**
+   * Tell someone who is not registered that money is being held for them
+   * @param {string} phoneNumber - Recipient's phone number
+   * @param {Object} claim - { amount, sender, days } (sender's display name or phone number, days to claim)
+   * @param {string} locale - Message language (optional, the country default for non-users)
    * @returns {Promise<Object>} - SMS response
    */
-  static async sendBalanceNotification(phoneNumber, balance, currency = 'ZrUSD') {
-    const message = `💰 Your Zybra Balance\n` +
-                   `Balance: ${balance} ${currency}\n` +
-                   `Time: ${new Date().toLocaleString()}\n` +
-                   `Dial *384*96# for more options`;
+  static async sendClaimInvite(phoneNumber, claim, locale = null) {
+    locale = locale || await this.getLocale(phoneNumber);
+    const message = i18n.t(locale, 'sms.claimInvite', {
+      amount: claim.amount,
+      sender: claim.sender,
+      days: claim.days
+    });
+
+    return await this.notify(phoneNumber, message, CATEGORIES.TRANSACTION_ALERTS, null, locale);
+  }
 
-    return await this.sendSMS(phoneNumber, message);
+  /**
+   * Tell a sender that money held for an unregistered number expired and was refunded
+   * @param {string} phoneNumber - Sender's phone number
+   * @param {Object} claim - { amount, recipient, days }
+   * @param {string} locale - Message language (optional, resolved from the user)
+   * @returns {Promise<Object>} - SMS response
+   */
+  static async sendClaimRefund(phoneNumber, claim, locale = null) {
+    locale = locale || await this.getLocale(phoneNumber);
+    const message = i18n.t(locale, 'sms.claimRefunded', {
+      amount: claim.amount,
+      phone: claim.recipient,
+      days: claim.days
+    });
+
+    return await this.notify(phoneNumber, message, CATEGORIES.TRANSACTION_ALERTS, null, locale);
   }
 
   /**
    * Send welcome SMS to new users
    * @param {string} phoneNumber - User's phone number
    * @param {string} walletAddress - User's wallet address
+   * @param {string} locale - Message language (optional, resolved from the user)
    * @returns {Promise<Object>} - SMS response
    */
-  static async sendWelcomeSMS(phoneNumber, walletAddress) {
-    const message = `🎉 Welcome to Zybra!\n` +
-                   `Your digital wallet is ready.\n` +
-                   `Wallet: ${walletAddress.substring(0, 10)}...\n` +
-                   `Dial *384*96# to get started\n` +
-                   `Send HELP to get assistance`;
-
-    return await this.sendSMS(phoneNumber, message);
+  static async sendWelcomeSMS(phoneNumber, walletAddress, locale = null) {
+    locale = locale || await this.getLocale(phoneNumber);
+    const message = i18n.t(locale, 'sms.welcome', {
+      wallet: walletAddress.substring(0, 10),
+      help: i18n.keywordFor(locale, 'HELP')
+    });
+
+    // Answers the registration the user just completed, so their alert settings do not apply
+    return await this.notify(phoneNumber, message, ALWAYS_SENT.REPLY, null, locale);
   }
 
   /**
@@ -115,27 +218,24 @@ class SMSService {
    * @param {string} phoneNumber - User's phone number
    * @param {string} otp - One-time password
    * @param {string} purpose - Purpose of OTP (authentication, transaction, etc.)
+   * @param {string} locale - Message language (optional, resolved from the user)
    * @returns {Promise<Object>} - SMS response
    */
-  static async sendOTP(phoneNumber, otp, purpose = 'authentication') {
-    const purposeMessages = {
-      authentication: 'login to your account',
-      transaction: 'confirm your transaction',
-      investment: 'confirm your investment',
-      withdrawal: 'confirm your withdrawal',
-      wallet_access: 'access your wallet'
-    };
-
-    const purposeText = purposeMessages[purpose] || 'verify your identity';
-
-    const message = `🔐 Zybra Security Code: ${otp}\n` +
-                   `Use this code to ${purposeText}.\n` +
-                   `Valid for 5 minutes only.\n` +
-                   `Never share this code!\n` +
-                   `If you didn't request this, contact support.`;
-
+  static async sendOTP(phoneNumber, otp, purpose = 'authentication', locale = null) {
     try {
-      const result = await this.sendSMS(phoneNumber, message);
+      locale = locale || await this.getLocale(phoneNumber);
+
+      const purposeKey = ['authentication', 'transaction', 'investment', 'withdrawal', 'wallet_access', 'pin_reset'].includes(purpose)
+        ? purpose
+        : 'default';
+
+      const message = i18n.t(locale, 'sms.otp', {
+        otp,
+        purpose: i18n.t(locale, `sms.otpPurpose.${purposeKey}`)
+      });
+
+      // Security codes ignore notification preferences
+      const result = await this.notify(phoneNumber, message, ALWAYS_SENT.OTP, null, locale);
 
       // Log OTP sending for security audit
       logger.info(`OTP sent for ${purpose}`, {
@@ -154,16 +254,18 @@ class SMSService {
   /**
    * Send error notification SMS
    * @param {string} phoneNumber - User's phone number
-   * @param {string} errorMessage - Error message
+   * @param {string} errorMessage - Error message (already localized)
+   * @param {string} locale - Message language (optional, resolved from the user)
    * @returns {Promise<Object>} - SMS response
    */
-  static async sendErrorNotification(phoneNumber, errorMessage) {
-    const message = `⚠️ Zybra Alert\n` +
-                   `${errorMessage}\n` +
-                   `If you need help, reply HELP\n` +
-                   `Zybra Support`;
-
-    return await this.sendSMS(phoneNumber, message);
+  static async sendErrorNotification(phoneNumber, errorMessage, locale = null) {
+    locale = locale || await this.getLocale(phoneNumber);
+    const message = i18n.t(locale, 'sms.alert', {
+      message: errorMessage,
+      help: i18n.keywordFor(locale, 'HELP')
+    });
+
+    return await this.notify(phoneNumber, message, CATEGORIES.TRANSACTION_ALERTS, null, locale);
   }
 
   /**
@@ -175,33 +277,55 @@ class SMSService {
     try {
       const { from, text, linkId, date } = smsData;
 
-      logger.info(`Processing incoming SMS from ${from}: ${text}`);
+      // The text may carry a PIN, so only its length is logged
+      logger.info(`Processing incoming SMS from ${from} (${text.length} chars)`);
 
       // Normalize phone number
       const phoneNumber = from.replace(/^\+/, '');
+      const locale = await this.getLocale(phoneNumber);
 
-      // Process different SMS commands
+      // Keywords are accepted in every supported language (e.g. SALIO, SOLDE)
+      const keyword = i18n.matchKeyword(text);
       const command = text.trim().toUpperCase();
 
-      switch (command) {
+      switch (keyword && keyword.command) {
         case 'BALANCE':
-        case 'BAL':
-          return await this.handleBalanceRequest(phoneNumber);
+          return await this.handleBalanceRequest(phoneNumber, locale);
 
         case 'HELP':
-          return await this.handleHelpRequest(phoneNumber);
+          return await this.handleHelpRequest(phoneNumber, locale);
 
         case 'STOP':
-          return await this.handleStopRequest(phoneNumber);
+          return await this.handleStopRequest(phoneNumber, locale);
+
+        case 'START':
+          return await this.handleStartRequest(phoneNumber, locale);
+
+        default: {
+          const { parseCommand } = require('./sms/commandParser');
+          const SMSCommandService = require('./sms/commandService');
 
-        default:
-          // Check if it's an OTP or transaction confirmation
+          const parsed = parseCommand(text);
+          if (parsed) {
+            return await SMSCommandService.handle(phoneNumber, parsed, locale);
+          }
+
+          // A confirmation code (optionally followed by the PIN) for a pending command
+          if (/^\d{6}(\s+\d{4,6})?$/.test(command)) {
+            const confirmation = await SMSCommandService.confirm(phoneNumber, command, locale);
+            if (confirmation) {
+              return confirmation;
+            }
+          }
+
+          // Check if it's an OTP
           if (/^\d{4,6}$/.test(command)) {
-            return await this.handleOTPVerification(phoneNumber, command);
+            return await this.handleOTPVerification(phoneNumber, command, locale);
           }
 
           // Default help response
-          return await this.handleUnknownCommand(phoneNumber, text);
+          return await this.handleUnknownCommand(phoneNumber, text, locale);
+        }
       }
     } catch (error) {
       logger.error('Error processing incoming SMS:', error);
@@ -212,24 +336,26 @@ class SMSService {
   /**
    * Handle balance request
    * @param {string} phoneNumber - User's phone number
+   * @param {string} locale - Reply language (optional, resolved from the user)
    * @returns {Promise<Object>} - Response
    */
-  static async handleBalanceRequest(phoneNumber) {
+  static async handleBalanceRequest(phoneNumber, locale = null) {
+    locale = locale || await this.getLocale(phoneNumber);
+
     try {
       const User = require('../db/models').User;
       const user = await User.findByPhone(phoneNumber);
 
       if (!user) {
-        await this.sendSMS(phoneNumber,
-          `Account not found. Dial *384*96# to create an account.`);
+        await this.sendSMS(phoneNumber, i18n.t(locale, 'sms.accountNotFound'));
         return { success: false, message: 'User not found' };
       }
 
-      await this.sendBalanceNotification(phoneNumber, user.balance || 0);
+      await this.sendBalanceNotification(phoneNumber, user.balance || 0, 'ZrUSD', locale, ALWAYS_SENT.REPLY);
       return { success: true, message: 'Balance sent' };
     } catch (error) {
       logger.error('Error handling balance request:', error);
-      await this.sendErrorNotification(phoneNumber, 'Unable to retrieve balance. Please try again.');
+      await this.sendErrorNotification(phoneNumber, i18n.t(locale, 'sms.balanceError'), locale);
       throw error;
     }
   }
@@ -237,16 +363,21 @@ class SMSService {
   /**
    * Handle help request
    * @param {string} phoneNumber - User's phone number
+   * @param {string} locale - Reply language (optional, resolved from the user)
    * @returns {Promise<Object>} - Response
    */
-  static async handleHelpRequest(phoneNumber) {
-    const helpMessage = `📱 Zybra Help\n` +
-                       `Commands:\n` +
-                       `• BALANCE - Check balance\n` +
-                       `• HELP - This message\n` +
-                       `• STOP - Unsubscribe\n` +
-                       `\nDial *384*96# for full menu\n` +
-                       `Support: help@zybra.com`;
+  static async handleHelpRequest(phoneNumber, locale = null) {
+    locale = locale || await this.getLocale(phoneNumber);
+    const helpMessage = i18n.t(locale, 'sms.help', {
+      balance: i18n.keywordFor(locale, 'BALANCE'),
+      help: i18n.keywordFor(locale, 'HELP'),
+      stop: i18n.keywordFor(locale, 'STOP'),
+      send: i18n.keywordFor(locale, 'SEND'),
+      invest: i18n.keywordFor(locale, 'INVEST'),
+      withdraw: i18n.keywordFor(locale, 'WITHDRAW'),
+      history: i18n.keywordFor(locale, 'HISTORY'),
+      vaults: i18n.keywordFor(locale, 'VAULTS')
+    });
 
     await this.sendSMS(phoneNumber, helpMessage);
     return { success: true, message: 'Help sent' };
@@ -255,42 +386,66 @@ class SMSService {
   /**
    * Handle stop request
    * @param {string} phoneNumber - User's phone number
+   * @param {string} locale - Reply language (optional, resolved from the user)
    * @returns {Promise<Object>} - Response
    */
-  static async handleStopRequest(phoneNumber) {
-    // TODO: Implement unsubscribe logic
-    const message = `You have been unsubscribed from Zybra SMS notifications.\n` +
-                   `You can still use USSD by dialing *384*96#\n` +
-                   `To resubscribe, dial *384*96# and follow prompts.`;
+  static async handleStopRequest(phoneNumber, locale = null) {
+    locale = locale || await this.getLocale(phoneNumber);
 
-    await this.sendSMS(phoneNumber, message);
+    const NotificationPreferenceService = require('./sms/notificationPreferences');
+    await NotificationPreferenceService.optOut(phoneNumber);
+
+    await this.sendSMS(phoneNumber, i18n.t(locale, 'sms.unsubscribed', {
+      start: i18n.keywordFor(locale, 'START')
+    }));
     return { success: true, message: 'Unsubscribed' };
   }
 
+  /**
+   * Handle start request (resubscribe after STOP)
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} locale - Reply language (optional, resolved from the user)
+   * @returns {Promise<Object>} - Response
+   */
+  static async handleStartRequest(phoneNumber, locale = null) {
+    locale = locale || await this.getLocale(phoneNumber);
+
+    const NotificationPreferenceService = require('./sms/notificationPreferences');
+    await NotificationPreferenceService.optIn(phoneNumber);
+
+    await this.sendSMS(phoneNumber, i18n.t(locale, 'sms.subscribed', {
+      stop: i18n.keywordFor(locale, 'STOP')
+    }));
+    return { success: true, message: 'Subscribed' };
+  }
+
   /**
    * Handle OTP verification
    * @param {string} phoneNumber - User's phone number
    * @param {string} otp - OTP code
+   * @param {string} locale - Reply language (optional, resolved from the user)
    * @returns {Promise<Object>} - Response
    */
-  static async handleOTPVerification(phoneNumber, otp) {
+  static async handleOTPVerification(phoneNumber, otp, locale = null) {
+    locale = locale || await this.getLocale(phoneNumber);
+
     try {
       const redisClient = require('../db/redisClient');
       const storedOTP = await redisClient.get(`otp:${phoneNumber}`);
 
       if (!storedOTP || storedOTP !== otp) {
-        await this.sendSMS(phoneNumber, 'Invalid or expired verification code.');
+        await this.sendSMS(phoneNumber, i18n.t(locale, 'sms.otpInvalid'));
         return { success: false, message: 'Invalid OTP' };
       }
 
       // OTP verified, remove from Redis
       await redisClient.del(`otp:${phoneNumber}`);
 
-      await this.sendSMS(phoneNumber, '✅ Verification successful!');
+      await this.sendSMS(phoneNumber, i18n.t(locale, 'sms.otpVerified'));
       return { success: true, message: 'OTP verified' };
     } catch (error) {
       logger.error('Error handling OTP verification:', error);
-      await this.sendErrorNotification(phoneNumber, 'Verification failed. Please try again.');
+      await this.sendErrorNotification(phoneNumber, i18n.t(locale, 'sms.verificationError'), locale);
       throw error;
     }
   }
@@ -299,12 +454,15 @@ class SMSService {
    * Handle unknown command
    * @param {string} phoneNumber - User's phone number
    * @param {string} text - Original text
+   * @param {string} locale - Reply language (optional, resolved from the user)
    * @returns {Promise<Object>} - Response
    */
-  static async handleUnknownCommand(phoneNumber, text) {
-    const message = `Command not recognized: "${text}"\n` +
-                   `Send HELP for available commands\n` +
-                   `Or dial *384*96# for full menu`;
+  static async handleUnknownCommand(phoneNumber, text, locale = null) {
+    locale = locale || await this.getLocale(phoneNumber);
+    const message = i18n.t(locale, 'sms.unknownCommand', {
+      text,
+      help: i18n.keywordFor(locale, 'HELP')
+    });
 
     await this.sendSMS(phoneNumber, message);
     return { success: false, message: 'Unknown command' };
@@ -1,22 +1,35 @@
 const logger = require('../utils/logger');
 const { Transaction, User } = require('../db/models');
 const walletService = require('./walletService');
+const ledgerService = require('./ledgerService');
 const SMSService = require('./smsEngine');
-const { convertMWKtoUSDC } = require('./fxEngine');
+const fxEngine = require('./fxEngine');
+const transferClaimService = require('./transferClaimService');
+
+// Flat fee charged to the sender of a transfer (ZrUSD), credited to fee income
+const TRANSFER_FEE = 0.1;
 
 class TransactionService {
   /**
-   * Process a transfer between users
+   * Process a transfer between users. A recipient who has not registered yet is sent a claim:
+   * the amount is held in custody until they register, or refunded once the claim expires.
    * @param {string} fromPhone - Sender's phone number
    * @param {string} toPhone - Recipient's phone number
    * @param {number} amount - Amount to transfer
    * @param {string} currency - Currency (ZrUSD, MWK, etc.)
-   * @returns {Promise<Object>} - Transaction result
+   * @param {string} quoteId - Locked FX quote for non-ZrUSD amounts (optional)
+   * @returns {Promise<Object>} - Transaction result (with claimId if the amount is held)
    */
-  async processTransfer(fromPhone, toPhone, amount, currency = 'ZrUSD') {
+  async processTransfer(fromPhone, toPhone, amount, currency = 'ZrUSD', quoteId = null) {
     let transaction = null;
     
     try {
+      const toUser = await User.findByPhone(toPhone);
+      if (!toUser) {
+        const heldAmount = currency === 'ZrUSD' ? amount : await this.convertToZrUSD(amount, currency, quoteId);
+        return await transferClaimService.hold(fromPhone, toPhone, heldAmount, TRANSFER_FEE);
+      }
+
       // Create pending transaction
       transaction = await Transaction.create({
         phoneNumber: fromPhone,
@@ -26,48 +39,52 @@ class TransactionService {
         status: 'pending',
         metadata: {
           recipient: toPhone,
-          fee: 0.1
+          fee: TRANSFER_FEE,
+          quoteId
         }
       });
 
-      // Validate users exist
+      // Validate the sender exists
       const fromUser = await User.findByPhone(fromPhone);
-      const toUser = await User.findByPhone(toPhone);
-
       if (!fromUser) {
         throw new Error('Sender account not found');
       }
-      if (!toUser) {
-        throw new Error('Recipient account not found');
-      }
-
-      // Check balance
-      const currentBalance = parseFloat(fromUser.balance || 0);
-      const totalAmount = amount + 0.1; // Including fee
-
-      if (currentBalance < totalAmount) {
-        throw new Error(`Insufficient balance. Available: ${currentBalance}, Required: ${totalAmount}`);
-      }
 
       // Convert currency if needed
       let transferAmount = amount;
       if (currency !== 'ZrUSD') {
-        transferAmount = await this.convertToZrUSD(amount, currency);
+        transferAmount = await this.convertToZrUSD(amount, currency, quoteId);
       }
 
-      // Process blockchain transfer
-      const blockchainResult = await walletService.transferZrUSD(
+      // Debit the sender (amount + fee) under a row lock; fails if the balance is too low
+      const ledgerEntry = await ledgerService.recordTransfer(
         fromPhone,
         toPhone,
-        transferAmount.toString()
+        transferAmount,
+        TRANSFER_FEE,
+        transaction.id
       );
 
-      if (!blockchainResult.success) {
-        throw new Error('Blockchain transfer failed');
+      // Process blockchain transfer
+      let blockchainResult;
+      try {
+        blockchainResult = await walletService.transferZrUSD(
+          fromPhone,
+          toPhone,
+          transferAmount.toString(),
+          transaction.id
+        );
+
+        if (!blockchainResult.success) {
+          throw new Error('Blockchain transfer failed');
+        }
+      } catch (error) {
+        await ledgerService.reverse(ledgerEntry.entryId, error.message);
+        throw error;
       }
 
-      // Update transaction status
-      await Transaction.updateStatus(transaction.id, 'completed', blockchainResult.txHash);
+      // Both records stay pending until the chain indexer sees the transfer confirmed
+      await Transaction.updateStatus(transaction.id, 'pending', blockchainResult.txHash);
 
       // Create recipient transaction record
       await Transaction.create({
@@ -75,7 +92,7 @@ class TransactionService {
         type: 'receive',
         amount: transferAmount,
         currency: 'ZrUSD',
-        status: 'completed',
+        status: 'pending',
         txHash: blockchainResult.txHash,
         metadata: {
           sender: fromPhone
@@ -87,27 +104,21 @@ class TransactionService {
         type: 'transfer',
         amount: transferAmount,
         currency: 'ZrUSD',
-        status: 'completed',
-        txHash: blockchainResult.txHash
-      });
-
-      await SMSService.sendTransactionConfirmation(toPhone, {
-        type: 'receive',
-        amount: transferAmount,
-        currency: 'ZrUSD',
-        status: 'completed',
+        status: 'pending',
         txHash: blockchainResult.txHash
       });
 
-      logger.info(`Transfer completed: ${fromPhone} -> ${toPhone}, Amount: ${transferAmount} ZrUSD`);
+      logger.info(`Transfer sent: ${fromPhone} -> ${toPhone}, Amount: ${transferAmount} ZrUSD`);
 
       return {
         success: true,
         transactionId: transaction.id,
         txHash: blockchainResult.txHash,
         amount: transferAmount,
-        fee: 0.1,
-        newBalance: blockchainResult.fromBalance
+        fee: TRANSFER_FEE,
+        gasFee: blockchainResult.gasFee,
+        // The gas charge-back is posted after the transfer
+        newBalance: blockchainResult.gasFee ? await ledgerService.getBalance(fromPhone) : ledgerEntry.balance
       };
 
     } catch (error) {
@@ -161,7 +172,7 @@ class TransactionService {
       });
 
       // Convert to USDC equivalent
-      const usdcAmount = await this.convertToZrUSD(amount, currency);
+      const usdcAmount = await this.convertToZrUSD(amount, currency, paymentData.quoteId);
 
       // Verify payment with mobile money provider
       const paymentVerified = await this.verifyMobileMoneyPayment(paymentData);
@@ -171,25 +182,28 @@ class TransactionService {
       }
 
       // Mint ZrUSD tokens
-      const mintResult = await walletService.mintZrUSD(phoneNumber, usdcAmount.toString());
+      const mintResult = await walletService.mintZrUSD(phoneNumber, usdcAmount.toString(), transaction.id);
 
       if (!mintResult.success) {
         throw new Error('Token minting failed');
       }
 
-      // Update transaction status
-      await Transaction.updateStatus(transaction.id, 'completed', mintResult.txHash);
+      // The provider now holds the fiat backing the minted tokens
+      await ledgerService.recordProviderDeposit(paymentData.provider, usdcAmount, transaction.id);
+
+      // Completed by the chain indexer once the mint is confirmed
+      await Transaction.updateStatus(transaction.id, 'pending', mintResult.txHash);
 
       // Send confirmation SMS
       await SMSService.sendTransactionConfirmation(phoneNumber, {
         type: 'deposit',
         amount: usdcAmount,
         currency: 'ZrUSD',
-        status: 'completed',
+        status: 'pending',
         txHash: mintResult.txHash
       });
 
-      logger.info(`Deposit completed: ${phoneNumber}, Amount: ${usdcAmount} ZrUSD`);
+      logger.info(`Deposit minted: ${phoneNumber}, Amount: ${usdcAmount} ZrUSD`);
 
       return {
         success: true,
@@ -248,24 +262,16 @@ class TransactionService {
         }
       });
 
-      // Check user balance
-      const user = await User.findByPhone(phoneNumber);
-      const currentBalance = parseFloat(user.balance || 0);
-
-      if (currentBalance < amount) {
-        throw new Error(`Insufficient balance. Available: ${currentBalance}, Required: ${amount}`);
-      }
+      // Convert to target currency before burning, so a rate failure leaves the balance untouched
+      const targetAmount = await this.convertFromZrUSD(amount, targetCurrency, withdrawalData.quoteId);
 
-      // Burn ZrUSD tokens
-      const burnResult = await walletService.burnZrUSD(phoneNumber, amount.toString());
+      // Burn ZrUSD tokens (the ledger debit fails if the balance is too low)
+      const burnResult = await walletService.burnZrUSD(phoneNumber, amount.toString(), transaction.id);
 
       if (!burnResult.success) {
         throw new Error('Token burning failed');
       }
 
-      // Convert to target currency
-      const targetAmount = await this.convertFromZrUSD(amount, targetCurrency);
-
       // Process mobile money payout
       const payoutResult = await this.processMobileMoneyPayout(
         phoneNumber,
@@ -276,23 +282,29 @@ class TransactionService {
 
       if (!payoutResult.success) {
         // If payout fails, we need to re-mint the tokens
-        await walletService.mintZrUSD(phoneNumber, amount.toString());
+        await walletService.mintZrUSD(phoneNumber, amount.toString(), transaction.id);
         throw new Error('Mobile money payout failed');
       }
 
-      // Update transaction status
-      await Transaction.updateStatus(transaction.id, 'completed', burnResult.txHash);
+      await ledgerService.recordProviderPayout(
+        withdrawalData.provider || withdrawalData.method,
+        amount,
+        transaction.id
+      );
+
+      // Completed by the chain indexer once the burn is confirmed
+      await Transaction.updateStatus(transaction.id, 'pending', burnResult.txHash);
 
       // Send confirmation SMS
       await SMSService.sendTransactionConfirmation(phoneNumber, {
         type: 'withdrawal',
         amount: targetAmount,
         currency: targetCurrency,
-        status: 'completed',
+        status: 'pending',
         txHash: burnResult.txHash
       });
 
-      logger.info(`Withdrawal completed: ${phoneNumber}, Amount: ${targetAmount} ${targetCurrency}`);
+      logger.info(`Withdrawal paid out: ${phoneNumber}, Amount: ${targetAmount} ${targetCurrency}`);
 
       return {
         success: true,
@@ -327,43 +339,148 @@ class TransactionService {
   }
 
   /**
-   * Convert amount to ZrUSD
-   * @param {number} amount - Amount to convert
-   * @param {string} fromCurrency - Source currency
-   * @returns {Promise<number>} - Amount in ZrUSD
+   * Invest wallet balance into a Morpho vault
+   * @param {string} phoneNumber - User's phone number
+   * @param {Object} vault - Vault to invest in (address, name)
+   * @param {number} amount - Amount in USDT
+   * @returns {Promise<Object>} - Transaction result
    */
-  async convertToZrUSD(amount, fromCurrency) {
-    if (fromCurrency === 'ZrUSD') {
-      return amount;
+  async processVaultInvestment(phoneNumber, vault, amount) {
+    let transaction = null;
+
+    try {
+      const user = await User.findByPhone(phoneNumber);
+      if (!user) {
+        throw new Error('User account not found');
+      }
+
+      // For now, record the investment; a full implementation would deposit through the Morpho contracts
+      transaction = await Transaction.create({
+        phoneNumber,
+        type: 'morpho_investment',
+        amount,
+        currency: 'USDT',
+        status: 'pending',
+        metadata: {
+          vaultAddress: vault.address,
+          vaultName: vault.name,
+          investmentType: 'existing_balance'
+        }
+      });
+
+      const { balance: newBalance } = await ledgerService.recordVaultInvestment(
+        phoneNumber,
+        vault.address,
+        amount,
+        transaction.id
+      );
+      await Transaction.updateStatus(transaction.id, 'completed');
+
+      logger.info(`Vault investment completed: ${phoneNumber} -> ${vault.name}, Amount: ${amount} USDT`);
+
+      return {
+        success: true,
+        transactionId: transaction.id,
+        amount,
+        newBalance
+      };
+
+    } catch (error) {
+      if (transaction) {
+        await Transaction.updateStatus(transaction.id, 'failed');
+      }
+
+      if (error.code === 'INSUFFICIENT_BALANCE') {
+        return {
+          success: false,
+          error: error.message,
+          insufficientBalance: true,
+          available: error.available
+        };
+      }
+
+      logger.error('Vault investment failed:', error);
+      return { success: false, error: error.message };
     }
+  }
+
+  /**
+   * Withdraw from a Morpho vault position back to the wallet balance
+   * @param {string} phoneNumber - User's phone number
+   * @param {Object} position - Vault position (vaultAddress, vaultName)
+   * @param {number} amount - Amount in USDT
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async processVaultWithdrawal(phoneNumber, position, amount) {
+    let transaction = null;
+
+    try {
+      const user = await User.findByPhone(phoneNumber);
+      if (!user) {
+        throw new Error('User account not found');
+      }
+
+      // For now, record the withdrawal; a full implementation would redeem through the Morpho contracts
+      transaction = await Transaction.create({
+        phoneNumber,
+        type: 'morpho_withdrawal',
+        amount,
+        currency: 'USDT',
+        status: 'pending',
+        metadata: {
+          vaultAddress: position.vaultAddress,
+          vaultName: position.vaultName,
+          withdrawalType: 'to_wallet'
+        }
+      });
+
+      const { balance: newBalance } = await ledgerService.recordVaultWithdrawal(
+        phoneNumber,
+        position.vaultAddress,
+        amount,
+        transaction.id
+      );
+      await Transaction.updateStatus(transaction.id, 'completed');
+
+      logger.info(`Vault withdrawal completed: ${position.vaultName} -> ${phoneNumber}, Amount: ${amount} USDT`);
+
+      return {
+        success: true,
+        transactionId: transaction.id,
+        amount,
+        newBalance
+      };
+
+    } catch (error) {
+      logger.error('Vault withdrawal failed:', error);
 
-    // Use existing FX engine for MWK
-    if (fromCurrency === 'MWK') {
-      return await convertMWKtoUSDC(amount);
+      if (transaction) {
+        await Transaction.updateStatus(transaction.id, 'failed');
+      }
+      return { success: false, error: error.message };
     }
+  }
 
-    // Add other currency conversions as needed
-    throw new Error(`Currency conversion not supported: ${fromCurrency}`);
+  /**
+   * Convert amount to ZrUSD
+   * @param {number} amount - Amount to convert
+   * @param {string} fromCurrency - Source currency
+   * @param {string} quoteId - Locked FX quote to execute at (optional)
+   * @returns {Promise<number>} - Amount in ZrUSD
+   */
+  async convertToZrUSD(amount, fromCurrency, quoteId = null) {
+    return await fxEngine.convert(amount, fromCurrency, 'ZrUSD', quoteId);
   }
 
   /**
    * Convert amount from ZrUSD
    * @param {number} amount - Amount in ZrUSD
    * @param {string} toCurrency - Target currency
+   * @param {string} quoteId - Locked FX quote to execute at (optional)
    * @returns {Promise<number>} - Amount in target currency
    */
-  async convertFromZrUSD(amount, toCurrency) {
-    if (toCurrency === 'ZrUSD') {
-      return amount;
-    }
-
-    // Reverse conversion for MWK
-    if (toCurrency === 'MWK') {
-      const mwkToUsdRate = 1733.36; // Should fetch from Chainlink
-      return amount * mwkToUsdRate;
-    }
-
-    throw new Error(`Currency conversion not supported: ${toCurrency}`);
+  async convertFromZrUSD(amount, toCurrency, quoteId = null) {
+    return await fxEngine.convert(amount, 'ZrUSD', toCurrency, quoteId);
   }
 
   /**
@@ -399,6 +516,23 @@ class TransactionService {
     };
   }
 
+  /**
+   * Get a user's wallet balance from the ledger
+   * @param {string} phoneNumber - User's phone number
+   * @returns {Promise<Object>} - Balance (ZrUSD) and when it was read
+   */
+  async getUserBalance(phoneNumber) {
+    try {
+      return {
+        balance: await ledgerService.getBalance(phoneNumber),
+        lastUpdated: new Date().toISOString()
+      };
+    } catch (error) {
+      logger.error('Error getting user balance:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get transaction history for user
    * @param {string} phoneNumber - User's phone number
@@ -430,3 +564,4 @@ class TransactionService {
 }
 
 module.exports = new TransactionService();
+module.exports.TRANSFER_FEE = TRANSFER_FEE;
@@ -0,0 +1,372 @@
+const logger = require('../utils/logger');
+const { Transaction, TransferClaim, User } = require('../db/models');
+const walletService = require('./walletService');
+const ledgerService = require('./ledgerService');
+const SMSService = require('./smsEngine');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Unclaimed transfers go back to the sender after this long
+const EXPIRY_DAYS = parseInt(process.env.TRANSFER_CLAIM_EXPIRY_DAYS) || 30;
+const INTERVAL_MINUTES = parseInt(process.env.TRANSFER_CLAIM_INTERVAL_MINUTES) || 15;
+const BATCH_SIZE = parseInt(process.env.TRANSFER_CLAIM_BATCH_SIZE) || 100;
+
+class TransferClaimService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Send ZrUSD to a number that is not registered: the amount is held in custody and the
+   * recipient gets an SMS telling them how to claim it
+   * @param {string} fromPhone - Sender's phone number
+   * @param {string} toPhone - Recipient's phone number (not a user yet)
+   * @param {number} amount - Amount to send (ZrUSD)
+   * @param {number} fee - Fee charged to the sender (ZrUSD)
+   * @returns {Promise<Object>} - Transaction result with the claim
+   */
+  async hold(fromPhone, toPhone, amount, fee) {
+    let transaction = null;
+
+    try {
+      transaction = await Transaction.create({
+        phoneNumber: fromPhone,
+        type: 'transfer',
+        amount,
+        currency: 'ZrUSD',
+        status: 'pending',
+        metadata: {
+          recipient: toPhone,
+          fee,
+          claim: true
+        }
+      });
+
+      const sender = await User.findByPhone(fromPhone);
+      if (!sender) {
+        throw new Error('Sender account not found');
+      }
+
+      // Debit the sender (amount + fee) under a row lock; fails if the balance is too low
+      const ledgerEntry = await ledgerService.recordClaimHold(fromPhone, amount, fee, transaction.id);
+
+      let blockchainResult;
+      try {
+        blockchainResult = await walletService.transferToCustody(fromPhone, amount.toString(), transaction.id);
+      } catch (error) {
+        await ledgerService.reverse(ledgerEntry.entryId, error.message);
+        throw error;
+      }
+
+      // Stays pending until the chain indexer sees the transfer confirmed
+      await Transaction.updateStatus(transaction.id, 'pending', blockchainResult.txHash);
+
+      const claim = await TransferClaim.create({
+        senderPhone: fromPhone,
+        recipientPhone: toPhone,
+        amount,
+        fee,
+        transactionId: transaction.id,
+        expiresAt: new Date(Date.now() + EXPIRY_DAYS * DAY_MS)
+      });
+
+      await SMSService.sendClaimInvite(toPhone, {
+        amount,
+        sender: sender.display_name || fromPhone,
+        days: EXPIRY_DAYS
+      });
+      await SMSService.sendTransactionConfirmation(fromPhone, {
+        type: 'transfer',
+        amount,
+        currency: 'ZrUSD',
+        status: 'pending',
+        txHash: blockchainResult.txHash
+      });
+
+      logger.info(`Transfer held for ${toPhone}: ${fromPhone} -> custody, Amount: ${amount} ZrUSD (claim ${claim.id})`);
+
+      return {
+        success: true,
+        transactionId: transaction.id,
+        claimId: claim.id,
+        txHash: blockchainResult.txHash,
+        amount,
+        fee,
+        expiresAt: claim.expires_at,
+        // The gas charge-back is posted after the transfer
+        newBalance: blockchainResult.gasFee ? await ledgerService.getBalance(fromPhone) : ledgerEntry.balance
+      };
+    } catch (error) {
+      logger.error('Held transfer failed:', error);
+
+      if (transaction) {
+        await Transaction.updateStatus(transaction.id, 'failed');
+        await SMSService.sendTransactionConfirmation(fromPhone, {
+          type: 'transfer',
+          amount,
+          currency: 'ZrUSD',
+          status: 'failed',
+          txHash: null
+        });
+      }
+
+      return {
+        success: false,
+        error: error.message,
+        transactionId: transaction?.id
+      };
+    }
+  }
+
+  /**
+   * Pay out every transfer held for a phone number (called once it has registered)
+   * @param {string} phoneNumber - Recipient's phone number
+   * @returns {Promise<Array<Object>>} - Claims paid out
+   */
+  async claimPending(phoneNumber) {
+    const claims = await TransferClaim.findPendingByRecipient(phoneNumber);
+    const claimed = [];
+
+    for (const claim of claims) {
+      const result = await this.payOut(claim);
+      if (result) {
+        claimed.push(result);
+      }
+    }
+
+    if (claimed.length > 0) {
+      logger.info(`Credited ${claimed.length} held transfer(s) to ${phoneNumber}`);
+    }
+    return claimed;
+  }
+
+  /**
+   * Pay a held transfer out of custody to the recipient's wallet
+   * @param {Object} claim - transfer_claims row
+   * @returns {Promise<Object|null>} - Claimed row, or null if it was taken or the payout failed
+   */
+  async payOut(claim) {
+    const started = await TransferClaim.startClaim(claim.id);
+    if (!started) {
+      return null;
+    }
+
+    const amount = parseFloat(claim.amount);
+    let transaction = null;
+    let ledgerEntry = null;
+    let blockchainResult;
+
+    try {
+      transaction = await Transaction.create({
+        phoneNumber: claim.recipient_phone,
+        type: 'receive',
+        amount,
+        currency: 'ZrUSD',
+        status: 'pending',
+        metadata: {
+          sender: claim.sender_phone,
+          claimId: claim.id
+        }
+      });
+
+      ledgerEntry = await ledgerService.recordClaimPayout(claim.recipient_phone, amount, {
+        transactionId: transaction.id,
+        claimId: claim.id
+      });
+
+      blockchainResult = await walletService.releaseFromCustody(claim.recipient_phone, amount.toString(), transaction.id);
+    } catch (error) {
+      logger.error(`Payout of transfer claim ${claim.id} failed:`, error);
+      await this.abandon(started, { transaction, ledgerEntry }, error);
+      return null;
+    }
+
+    // The funds have left custody: from here on nothing is undone, or the claim could be paid twice
+    let claimed = null;
+    try {
+      // Stays pending until the chain indexer sees the transfer confirmed
+      await Transaction.updateStatus(transaction.id, 'pending', blockchainResult.txHash);
+      claimed = await TransferClaim.markClaimed(claim.id, transaction.id);
+    } catch (error) {
+      logger.error(`Transfer claim ${claim.id} was paid out in ${blockchainResult.txHash} but not marked claimed:`, error);
+      return null;
+    }
+
+    try {
+      await SMSService.sendTransactionConfirmation(claim.recipient_phone, {
+        type: 'receive',
+        amount,
+        currency: 'ZrUSD',
+        status: 'pending',
+        txHash: blockchainResult.txHash
+      });
+    } catch (error) {
+      logger.error(`Error confirming payout of transfer claim ${claim.id}:`, error);
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Handle a payout or refund whose transfer out of custody failed. Before a broadcast the ledger
+   * entry is reversed and the claim goes back to pending; after one the transfer may still be mined,
+   * so the claim is left claiming or refunding for the indexer or an operator to settle.
+   * @param {Object} claim - transfer_claims row
+   * @param {Object} progress - { transaction, ledgerEntry } created so far
+   * @param {Error} error - Failure, with txHash if the transfer was broadcast
+   */
+  async abandon(claim, { transaction, ledgerEntry }, error) {
+    if (error.txHash) {
+      logger.error(`Transfer claim ${claim.id} left ${claim.status} for review: ${error.txHash} may still be mined`);
+      await Transaction.updateStatus(transaction.id, 'pending', error.txHash);
+      return;
+    }
+
+    if (ledgerEntry) {
+      await ledgerService.reverse(ledgerEntry.entryId, error.message);
+    }
+    if (transaction) {
+      await Transaction.updateStatus(transaction.id, 'failed');
+    }
+    await TransferClaim.release(claim.id, error.message);
+  }
+
+  /**
+   * Pay an expired claim back to the sender and tell them. The fee is not refunded.
+   * @param {Object} claim - transfer_claims row
+   * @returns {Promise<Object|null>} - Refunded row, or null if it was taken or the refund failed
+   */
+  async refund(claim) {
+    const started = await TransferClaim.startRefund(claim.id);
+    if (!started) {
+      return null;
+    }
+
+    const amount = parseFloat(claim.amount);
+    let transaction = null;
+    let ledgerEntry = null;
+    let blockchainResult;
+
+    try {
+      // A 'receive' so the chain indexer does not credit the custody transfer a second time
+      transaction = await Transaction.create({
+        phoneNumber: claim.sender_phone,
+        type: 'receive',
+        amount,
+        currency: 'ZrUSD',
+        status: 'pending',
+        metadata: {
+          recipient: claim.recipient_phone,
+          claimId: claim.id,
+          refund: true
+        }
+      });
+
+      ledgerEntry = await ledgerService.recordClaimRefund(claim.sender_phone, amount, {
+        transactionId: transaction.id,
+        claimId: claim.id
+      });
+
+      blockchainResult = await walletService.releaseFromCustody(
+        claim.sender_phone,
+        amount.toString(),
+        transaction.id,
+        'claim_refund'
+      );
+    } catch (error) {
+      logger.error(`Refund of transfer claim ${claim.id} failed:`, error);
+      await this.abandon(started, { transaction, ledgerEntry }, error);
+      return null;
+    }
+
+    // As with payouts, a refund that left custody is never undone
+    let refunded = null;
+    try {
+      await Transaction.updateStatus(transaction.id, 'pending', blockchainResult.txHash);
+      refunded = await TransferClaim.markRefunded(claim.id, transaction.id);
+    } catch (error) {
+      logger.error(`Transfer claim ${claim.id} was refunded in ${blockchainResult.txHash} but not marked refunded:`, error);
+      return null;
+    }
+
+    try {
+      await SMSService.sendClaimRefund(claim.sender_phone, {
+        amount,
+        recipient: claim.recipient_phone,
+        days: Math.round((new Date(claim.expires_at) - new Date(claim.created_at)) / DAY_MS)
+      });
+    } catch (error) {
+      logger.error(`Error telling the sender about refund of transfer claim ${claim.id}:`, error);
+    }
+
+    logger.info(`Refunded expired transfer claim ${claim.id}: ${amount} ZrUSD to ${claim.sender_phone}`);
+    return refunded;
+  }
+
+  /**
+   * Refund expired claims and retry payouts for recipients who have registered
+   * @returns {Promise<Object>} - { refunded, claimed } counts
+   */
+  async run() {
+    let refunded = 0;
+    let claimed = 0;
+
+    for (const claim of await TransferClaim.findExpired(BATCH_SIZE)) {
+      if (await this.refund(claim)) {
+        refunded++;
+      }
+    }
+
+    for (const claim of await TransferClaim.findClaimable(BATCH_SIZE)) {
+      if (await this.payOut(claim)) {
+        claimed++;
+      }
+    }
+
+    if (refunded > 0 || claimed > 0) {
+      logger.info(`Transfer claims: ${refunded} refunded, ${claimed} paid out`);
+    }
+    return { refunded, claimed };
+  }
+
+  /**
+   * Start the scheduled worker (TRANSFER_CLAIM_INTERVAL_MINUTES)
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    logger.info(`Transfer claim worker started (every ${INTERVAL_MINUTES} minutes)`);
+    this.schedule(INTERVAL_MINUTES * 60 * 1000);
+  }
+
+  /**
+   * Stop the scheduled worker after the current run
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  schedule(delayMs) {
+    if (!this.running) {
+      return;
+    }
+
+    this.timer = setTimeout(async () => {
+      try {
+        await this.run();
+      } catch (error) {
+        logger.error('Transfer claim worker error:', error);
+      }
+      this.schedule(INTERVAL_MINUTES * 60 * 1000);
+    }, delayMs);
+  }
+}
+
+module.exports = new TransferClaimService();
+module.exports.TransferClaimService = TransferClaimService;
+module.exports.EXPIRY_DAYS = EXPIRY_DAYS;
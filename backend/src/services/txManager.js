@@ -0,0 +1,325 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const { Transaction, OutgoingTransaction } = require('../db/models');
+
+// A transaction not mined this long after its last broadcast is replaced with higher fees
+const STUCK_SECONDS = parseInt(process.env.TX_STUCK_SECONDS) || 180;
+// Fee increase per replacement; nodes reject replacements below +10%
+const FEE_BUMP_PERCENT = BigInt(Math.max(parseInt(process.env.TX_FEE_BUMP_PERCENT) || 20, 11));
+// Broadcasts at one nonce before the transaction is cancelled instead of replaced again
+const MAX_ATTEMPTS = parseInt(process.env.TX_MAX_ATTEMPTS) || 5;
+const WAIT_TIMEOUT_SECONDS = parseInt(process.env.TX_WAIT_TIMEOUT_SECONDS) || 900;
+const POLL_MS = parseInt(process.env.TX_POLL_MS) || 3000;
+const MONITOR_INTERVAL_MS = parseInt(process.env.TX_MONITOR_INTERVAL_MS) || 30000;
+
+const GAS_LIMIT_PERCENT = 120n;
+const CANCEL_GAS_LIMIT = 21000n;
+const OPEN_STATUSES = ['pending', 'cancelling'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const bump = (amount) => amount * (100n + FEE_BUMP_PERCENT) / 100n;
+const max = (a, b) => (a > b ? a : b);
+
+/**
+ * Sends transactions from one of our wallets (master wallet, gas tank) with nonces allocated in
+ * Postgres, so concurrent requests and instances never collide. Every transaction is tracked in
+ * outgoing_transactions until it is mined: stuck ones are replaced with higher fees, and cancelled
+ * after TX_MAX_ATTEMPTS.
+ */
+class TxManager {
+  /**
+   * @param {ethers.Wallet} signer - Sending wallet (connected to a provider)
+   */
+  constructor(signer) {
+    this.signer = signer;
+    this.queue = Promise.resolve();
+    this.timer = null;
+    this.running = false;
+  }
+
+  get provider() {
+    return this.signer.provider;
+  }
+
+  get address() {
+    return this.signer.address;
+  }
+
+  // One send at a time in this process, so nonces are broadcast in order
+  serialize(task) {
+    const run = this.queue.then(task, task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async currentFees() {
+    const feeData = await this.provider.getFeeData();
+    if (feeData.maxFeePerGas !== null && feeData.maxFeePerGas !== undefined) {
+      return { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+    }
+    return { maxFeePerGas: feeData.gasPrice, maxPriorityFeePerGas: null };
+  }
+
+  /**
+   * Fees for a replacement: the previous attempt's plus FEE_BUMP_PERCENT, or the network's if higher
+   * @param {Object} row - outgoing_transactions row
+   * @param {Object} current - Current network fees
+   * @returns {Object} - { maxFeePerGas, maxPriorityFeePerGas }
+   */
+  bumpFees(row, current) {
+    const maxFeePerGas = max(bump(BigInt(row.max_fee_per_gas)), current.maxFeePerGas);
+    if (row.max_priority_fee_per_gas === null) {
+      return { maxFeePerGas, maxPriorityFeePerGas: null };
+    }
+    return {
+      maxFeePerGas,
+      maxPriorityFeePerGas: max(bump(BigInt(row.max_priority_fee_per_gas)), current.maxPriorityFeePerGas || 0n)
+    };
+  }
+
+  /**
+   * Send a transaction under the next nonce
+   * @param {Object} request - { to, data, value, gasLimit }
+   * @param {Object} context - { transactionId, purpose } linking it to the originating transaction
+   * @returns {Promise<Object>} - { id, hash, nonce, wait() } where wait() resolves to the receipt
+   */
+  async send(request, { transactionId = null, purpose = 'other' } = {}) {
+    return await this.serialize(async () => {
+      // Estimating first means a call that would revert never takes a nonce
+      const estimate = await this.provider.estimateGas({ ...request, from: this.address });
+      const fees = await this.currentFees();
+      const chainNonce = await this.provider.getTransactionCount(this.address, 'pending');
+
+      const row = await OutgoingTransaction.allocate({
+        fromAddress: this.address,
+        transactionId,
+        purpose,
+        to: request.to,
+        data: request.data,
+        value: request.value,
+        gasLimit: request.gasLimit || estimate * GAS_LIMIT_PERCENT / 100n,
+        ...fees
+      }, chainNonce);
+
+      let sent;
+      try {
+        sent = await this.broadcast(row, fees);
+      } catch (error) {
+        sent = await this.recover(row, error);
+      }
+
+      logger.info(`Sent ${purpose} transaction ${sent.tx_hash} from ${this.address} (nonce ${sent.nonce})`);
+      return {
+        id: sent.id,
+        hash: sent.tx_hash,
+        nonce: Number(sent.nonce),
+        wait: (timeoutSeconds) => this.wait(sent.id, timeoutSeconds)
+      };
+    });
+  }
+
+  /**
+   * Sign and broadcast an attempt at the row's nonce. The hash is recorded before broadcasting,
+   * so an attempt the node accepted is found even if the broadcast call itself failed.
+   * @param {Object} row - outgoing_transactions row
+   * @param {Object} fees - { maxFeePerGas, maxPriorityFeePerGas }
+   * @param {Object} options - { cancel } to send a zero-value transaction to ourselves instead
+   * @returns {Promise<Object|null>} - Updated row, or null if another worker claimed this attempt
+   */
+  async broadcast(row, fees, { cancel = false } = {}) {
+    const claimed = await OutgoingTransaction.claimAttempt(row.id, row.attempts);
+    if (!claimed) {
+      return null;
+    }
+
+    const { chainId } = await this.provider.getNetwork();
+    const call = cancel
+      ? { to: this.address, value: 0n, data: '0x', gasLimit: CANCEL_GAS_LIMIT }
+      : { to: row.to_address, value: BigInt(row.value), data: row.data, gasLimit: BigInt(row.gas_limit) };
+    const feeFields = fees.maxPriorityFeePerGas === null
+      ? { type: 0, gasPrice: fees.maxFeePerGas }
+      : { type: 2, maxFeePerGas: fees.maxFeePerGas, maxPriorityFeePerGas: fees.maxPriorityFeePerGas };
+
+    const signed = await this.signer.signTransaction({ ...call, ...feeFields, nonce: Number(row.nonce), chainId });
+    const recorded = await OutgoingTransaction.recordBroadcast(row.id, { txHash: ethers.keccak256(signed), ...fees, cancel });
+    await this.provider.broadcastTransaction(signed);
+    return recorded;
+  }
+
+  // The first broadcast failed: keep it if the node has it anyway, otherwise give the nonce back
+  async recover(row, error) {
+    const latest = await OutgoingTransaction.findById(row.id);
+    if (latest.tx_hash && await this.provider.getTransaction(latest.tx_hash).catch(() => null)) {
+      return latest;
+    }
+
+    if (!(await OutgoingTransaction.release(row.id, error.message))) {
+      // Later nonces are already out: fill this one so they are not stuck behind it
+      logger.warn(`Nonce ${row.nonce} of ${this.address} could not be released, cancelling it`);
+      await OutgoingTransaction.markCancelling(row.id, error.message);
+      await this.replace(await OutgoingTransaction.findById(row.id));
+      // The attempt may still be mined ahead of the cancellation
+      error.txHash = latest.tx_hash;
+    }
+    throw error;
+  }
+
+  /**
+   * Wait for a transaction to be mined, replacing it while it is stuck
+   * @param {string} id - Outgoing transaction ID
+   * @param {number} timeoutSeconds - How long to wait (it stays tracked by the monitor afterwards)
+   * @returns {Promise<ethers.TransactionReceipt>} - Receipt of the attempt that was mined
+   */
+  async wait(id, timeoutSeconds = WAIT_TIMEOUT_SECONDS) {
+    const deadline = Date.now() + timeoutSeconds * 1000;
+
+    for (;;) {
+      const { row, receipt } = await this.check(await OutgoingTransaction.findById(id));
+      if (row.status === 'mined') {
+        return receipt;
+      }
+      if (!OPEN_STATUSES.includes(row.status)) {
+        throw new Error(`Transaction ${row.tx_hash} ${row.status}${row.error ? `: ${row.error}` : ''}`);
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Transaction ${row.tx_hash} not mined after ${timeoutSeconds}s (nonce ${row.nonce})`);
+      }
+      await sleep(POLL_MS);
+    }
+  }
+
+  /**
+   * Move a transaction along: settle it if an attempt was mined, mark it dropped if its nonce went
+   * to something else, and replace it if it has been waiting longer than TX_STUCK_SECONDS
+   * @param {Object} row - outgoing_transactions row
+   * @returns {Promise<Object>} - { row, receipt }
+   */
+  async check(row) {
+    if (!OPEN_STATUSES.includes(row.status)) {
+      const receipt = row.status === 'mined' ? await this.provider.getTransactionReceipt(row.tx_hash) : null;
+      return { row, receipt };
+    }
+
+    // Read first: a nonce used after this point shows up as a receipt below
+    const confirmedNonce = await this.provider.getTransactionCount(this.address, 'latest');
+
+    for (const hash of [...row.tx_hashes].reverse()) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt) {
+        return { row: await this.settle(row, receipt), receipt };
+      }
+    }
+
+    if (confirmedNonce > Number(row.nonce)) {
+      const dropped = await OutgoingTransaction.finalize(row.id, 'dropped', { error: 'Nonce used by a transaction sent elsewhere' });
+      logger.error(`Transaction ${row.tx_hash} from ${this.address} dropped: nonce ${row.nonce} was used elsewhere`);
+      return { row: dropped || await OutgoingTransaction.findById(row.id), receipt: null };
+    }
+
+    const waitedMs = Date.now() - new Date(row.submitted_at || row.created_at).getTime();
+    if (waitedMs >= STUCK_SECONDS * 1000) {
+      const replaced = await this.replace(row);
+      return { row: replaced || row, receipt: null };
+    }
+    return { row, receipt: null };
+  }
+
+  async settle(row, receipt) {
+    let status = receipt.status === 1 ? 'mined' : 'reverted';
+    if (row.cancel_tx_hash && receipt.hash.toLowerCase() === row.cancel_tx_hash.toLowerCase()) {
+      status = 'cancelled';
+    }
+
+    const settled = await OutgoingTransaction.finalize(row.id, status, {
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+      error: status === 'reverted' ? 'Reverted on chain' : row.error
+    });
+
+    // The originating transaction follows the attempt that was mined
+    if (status === 'mined' && row.transaction_id && row.tx_hashes.length > 1) {
+      await Transaction.updateTxHash(row.transaction_id, receipt.hash, row.tx_hashes);
+    }
+
+    logger.info(`Transaction ${receipt.hash} from ${this.address} ${status} in block ${receipt.blockNumber}`);
+    return settled || await OutgoingTransaction.findById(row.id);
+  }
+
+  /**
+   * Broadcast a replacement at the same nonce with higher fees; a cancellation once the
+   * transaction is being cancelled or has used TX_MAX_ATTEMPTS
+   * @param {Object} row - outgoing_transactions row
+   * @returns {Promise<Object|null>} - Updated row, or null if nothing was broadcast
+   */
+  async replace(row) {
+    const cancel = row.status === 'cancelling' || row.attempts >= MAX_ATTEMPTS;
+
+    try {
+      const fees = this.bumpFees(row, await this.currentFees());
+      const replaced = await this.broadcast(row, fees, { cancel });
+      if (replaced) {
+        logger.warn(`${cancel ? 'Cancelling' : 'Replaced'} stuck transaction ${row.tx_hash} (nonce ${row.nonce}) with ${replaced.tx_hash}`);
+      }
+      return replaced;
+    } catch (error) {
+      logger.error(`Could not replace transaction ${row.tx_hash} (nonce ${row.nonce}):`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Cancel a transaction that has not been mined (a zero-value send to ourselves at its nonce)
+   * @param {string} id - Outgoing transaction ID
+   * @param {string} reason - Why it is cancelled
+   * @returns {Promise<Object>} - Updated row
+   */
+  async cancel(id, reason = 'Cancelled by operator') {
+    const row = await OutgoingTransaction.markCancelling(id, reason) || await OutgoingTransaction.findById(id);
+    if (!row || row.status !== 'cancelling') {
+      throw new Error(`Transaction ${id} is not pending`);
+    }
+    return await this.replace(row) || row;
+  }
+
+  /**
+   * Start the monitor that follows this wallet's open transactions (TX_MONITOR_INTERVAL_MS)
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    logger.info(`Transaction monitor started for ${this.address}`);
+    this.schedule(0);
+  }
+
+  /**
+   * Stop the monitor after the current pass
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  schedule(delayMs) {
+    if (!this.running) {
+      return;
+    }
+
+    this.timer = setTimeout(async () => {
+      try {
+        for (const row of await OutgoingTransaction.findOpen(this.address)) {
+          await this.check(row);
+        }
+      } catch (error) {
+        logger.error('Transaction monitor error:', error);
+      }
+      this.schedule(MONITOR_INTERVAL_MS);
+    }, delayMs);
+  }
+}
+
+module.exports = TxManager;
@@ -0,0 +1,52 @@
+const logger = require('../../../utils/logger');
+const { end } = require('../menuEngine');
+
+module.exports = {
+  name: 'balance',
+  states: {
+    balance: {
+      onEnter: async (ctx) => {
+        const { t } = ctx;
+
+        try {
+          const user = await ctx.getUser();
+          const walletBalance = user?.balance || 0;
+
+          // Get Morpho vault positions
+          const morphoService = require('../../morphoService');
+          const positionsResult = await morphoService.getUserPositions(user?.wallet_address);
+
+          let balanceText = `${t('balance.header')}\n\n${t('balance.wallet', { balance: walletBalance })}\n`;
+
+          if (positionsResult.success && positionsResult.positions.length > 0) {
+            let totalInvested = 0;
+            balanceText += `\n${t('balance.investments')}\n`;
+
+            positionsResult.positions.forEach((pos, index) => {
+              const amount = parseFloat(pos.assetsUsd || pos.assets || 0);
+              totalInvested += amount;
+              balanceText += `${t('balance.position', {
+                index: index + 1,
+                name: pos.vaultName.substring(0, 15),
+                amount: amount.toFixed(2)
+              })}\n`;
+            });
+
+            balanceText += `\n${t('balance.totalInvested', { amount: totalInvested.toFixed(2) })}`;
+            balanceText += `\n${t('balance.total', { amount: (walletBalance + totalInvested).toFixed(2) })}`;
+          } else {
+            balanceText += `\n${t('balance.noInvestments')}`;
+            balanceText += `\n${t('balance.total', { amount: walletBalance.toFixed(2) })}`;
+          }
+
+          balanceText += `\n\n${t('balance.walletAddress', { address: user?.wallet_address?.substring(0, 10) })}`;
+
+          return end(balanceText);
+        } catch (error) {
+          logger.error('Error getting balance:', error);
+          return end(t('balance.error'), { outcome: 'failed' });
+        }
+      }
+    }
+  }
+};
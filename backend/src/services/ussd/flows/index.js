@@ -0,0 +1,13 @@
+const fs = require('fs');
+const path = require('path');
+const { MenuEngine } = require('../menuEngine');
+
+// Every other file in this directory is a flow definition ({ name, states })
+const engine = new MenuEngine({ initialState: 'main' });
+
+fs.readdirSync(__dirname)
+  .filter(file => file.endsWith('.js') && file !== 'index.js')
+  .sort()
+  .forEach(file => engine.register(require(path.join(__dirname, file))));
+
+module.exports = engine;
@@ -0,0 +1,347 @@
+const logger = require('../../../utils/logger');
+const { User, Transaction } = require('../../../db/models');
+const AuthService = require('../../authService');
+const { end, screen, goto, exitOption, backOption } = require('../menuEngine');
+const { pinVerifyState } = require('../pinVerification');
+
+/**
+ * Lock the KES -> USDT rate for a buy-and-invest so the confirmed amount is the amount executed
+ * @param {Object} ctx - Menu context with investAmount in ctx.data
+ * @returns {Promise<Object|null>} - Engine result if no rate is available, otherwise null
+ */
+async function lockInvestmentRate(ctx) {
+  const fxEngine = require('../../fxEngine');
+  const { quoteId, investAmount } = ctx.data;
+
+  if (quoteId && await fxEngine.getQuote(quoteId)) {
+    return null;
+  }
+
+  try {
+    const quote = await fxEngine.createQuote('KES', 'USDT', investAmount);
+    ctx.data = { ...ctx.data, quoteId: quote.quoteId, usdtAmount: quote.targetAmount };
+    return null;
+  } catch (error) {
+    logger.error('Error quoting investment rate:', error);
+    return end(ctx.t('invest.rateUnavailable'), { outcome: 'failed' });
+  }
+}
+
+/**
+ * Process the investment transaction
+ * @param {Object} ctx - Menu context with investment details in ctx.data
+ * @returns {Promise<Object>} - Engine result
+ */
+async function processInvestment(ctx) {
+  try {
+    const { phoneNumber } = ctx;
+
+    // Check if user is authorized for investment operations
+    const authorization = await AuthService.authorizeWalletOperation(phoneNumber, 'invest');
+    if (!authorization.success) {
+      if (authorization.requiresAuth || authorization.requiresRecentAuth) {
+        // Users with a transaction PIN step up with it instead of an SMS OTP
+        if (authorization.pinEnabled) {
+          return goto('invest_pin_verify');
+        }
+
+        // Generate OTP for authentication
+        const otpResult = await AuthService.generateSecureOTP(phoneNumber, 'investment');
+        if (otpResult.success) {
+          return screen(ctx.t('invest.otpSent'), {
+            state: 'invest_otp_verify',
+            data: { ...ctx.data, otpSent: true }
+          });
+        }
+        return end(ctx.t('auth.failed', { error: otpResult.error }), { outcome: 'failed' });
+      }
+      return end(ctx.t('invest.notAuthorized', { error: authorization.error }), { outcome: 'failed' });
+    }
+
+    return await processInvestmentAfterAuth(ctx);
+  } catch (error) {
+    logger.error('Error in processInvestment:', error);
+    return end(ctx.t('invest.systemError'), { outcome: 'failed' });
+  }
+}
+
+/**
+ * Process investment after authentication is verified
+ * @param {Object} ctx - Menu context with investment details in ctx.data
+ * @returns {Promise<Object>} - Engine result
+ */
+async function processInvestmentAfterAuth(ctx) {
+  const { t } = ctx;
+
+  try {
+    const { phoneNumber } = ctx;
+    const { selectedVault, investAmount, usdtAmount, investmentType, quoteId } = ctx.data;
+    const user = await User.findByPhone(phoneNumber);
+
+    if (investmentType === 'buy_and_invest') {
+      // Use the rate shown on the confirm screen; an expired quote is not silently re-priced
+      const fxEngine = require('../../fxEngine');
+      try {
+        await fxEngine.redeemQuote(quoteId, { from: 'KES', to: 'USDT', amount: investAmount });
+      } catch (error) {
+        logger.warn(`Investment quote rejected for ${phoneNumber}: ${error.message}`);
+        return end(t('invest.quoteExpired'), { outcome: 'failed' });
+      }
+
+      // First buy crypto via YellowCard, then invest
+      const yellowCardService = require('../../yellowCardService');
+
+      const purchaseResult = await yellowCardService.purchaseCrypto({
+        phoneNumber,
+        fiatAmount: investAmount,
+        fiatCurrency: 'KES',
+        cryptoCurrency: 'USDT',
+        countryCode: 'KE',
+        paymentMethod: 'mobile_money',
+        firstName: user.first_name || 'User',
+        lastName: user.last_name || 'Zybra'
+      });
+
+      if (!purchaseResult.success) {
+        return end(t('invest.purchaseFailed', { error: purchaseResult.error }), { outcome: 'failed' });
+      }
+
+      // Create pending investment record
+      await Transaction.create({
+        phoneNumber,
+        type: 'pending_investment',
+        amount: usdtAmount,
+        currency: 'USDT',
+        status: 'pending',
+        metadata: {
+          vaultAddress: selectedVault.address,
+          vaultName: selectedVault.name,
+          yellowCardId: purchaseResult.collectionId,
+          investmentType: 'buy_and_invest'
+        }
+      });
+
+      return end(t('invest.initiated', { usdtAmount, investAmount, vault: selectedVault.name }), { outcome: 'success' });
+    }
+
+    // Invest existing balance directly
+    const TransactionService = require('../../transactionService');
+    const result = await TransactionService.processVaultInvestment(phoneNumber, selectedVault, usdtAmount);
+
+    if (!result.success) {
+      return result.insufficientBalance
+        ? end(t('invest.insufficientFinal', { required: usdtAmount, available: result.available }), { outcome: 'failed' })
+        : end(t('invest.technicalError'), { outcome: 'failed' });
+    }
+
+    return end(t('invest.success', {
+      amount: usdtAmount,
+      vault: selectedVault.name,
+      apy: (selectedVault.netApy * 100).toFixed(2)
+    }), { outcome: 'success' });
+  } catch (error) {
+    logger.error('Error processing investment:', error);
+    return end(t('invest.technicalError'), { outcome: 'failed' });
+  }
+}
+
+/**
+ * Resume definition for states reached after the amount was entered
+ * @param {string} otpPurpose - OTP purpose that must still be pending (if any)
+ * @returns {Object} - Resume definition ({ prompt, otp })
+ */
+const resumeInvestment = (otpPurpose) => ({
+  otp: otpPurpose,
+  prompt: (ctx) => {
+    const { currency, investAmount, usdtAmount, selectedVault } = ctx.data;
+    const amount = currency === 'KES' ? investAmount + ' KES' : '$' + usdtAmount;
+
+    return selectedVault
+      ? ctx.t('invest.resume', { amount, vault: selectedVault.name })
+      : ctx.t('invest.resumeAmount', { amount });
+  }
+});
+
+module.exports = {
+  name: 'invest',
+  states: {
+    invest: {
+      guard: async (ctx) => {
+        const user = await ctx.getUser();
+        const balance = user?.balance || 0;
+
+        if (balance < 10) {
+          return end(ctx.t('invest.insufficient', { balance }), { outcome: 'failed' });
+        }
+      },
+      onEnter: async (ctx) => {
+        const user = await ctx.getUser();
+        ctx.data = { balance: user?.balance || 0 };
+      },
+      prompt: (ctx) => ctx.t('invest.title', { balance: ctx.data.balance }),
+      options: [
+        {
+          key: '1',
+          label: 'invest.buyAndInvest',
+          next: 'invest_amount',
+          data: (ctx) => ({ ...ctx.data, investmentType: 'buy_and_invest' })
+        },
+        {
+          key: '2',
+          label: 'invest.existingBalance',
+          next: 'invest_amount',
+          data: (ctx) => ({ ...ctx.data, investmentType: 'existing_balance' })
+        },
+        backOption('main', 'menu.backToMain', {}),
+        exitOption
+      ]
+    },
+
+    invest_amount: {
+      prompt: (ctx) => ctx.data.investmentType === 'buy_and_invest'
+        ? ctx.t('invest.buyPrompt')
+        : ctx.t('invest.existingPrompt', { balance: ctx.data.balance }),
+      input: {
+        validate: (input, ctx) => {
+          const amount = parseFloat(input);
+          const { investmentType, balance } = ctx.data;
+
+          if (isNaN(amount) || amount <= 0) {
+            return { error: ctx.t('invest.invalidAmount') };
+          }
+
+          if (investmentType === 'buy_and_invest') {
+            if (amount < 1000) {
+              return { error: ctx.t('invest.minKes') };
+            }
+          } else {
+            if (amount < 10) {
+              return { error: ctx.t('invest.minUsdt') };
+            }
+            if (amount > balance) {
+              return { error: ctx.t('invest.insufficientAmount', { balance }) };
+            }
+          }
+
+          return { value: amount };
+        },
+        next: async (amount, ctx) => {
+          if (ctx.data.investmentType === 'buy_and_invest') {
+            ctx.data = { ...ctx.data, investAmount: amount, quoteId: null, currency: 'KES' };
+            const unavailable = await lockInvestmentRate(ctx);
+            return unavailable || goto('invest_vault_select', ctx.data);
+          }
+
+          return goto('invest_vault_select', {
+            ...ctx.data,
+            investAmount: amount,
+            usdtAmount: amount,
+            currency: 'USDT'
+          });
+        }
+      }
+    },
+
+    invest_vault_select: {
+      resume: resumeInvestment(),
+      onEnter: async (ctx) => {
+        // Fetch available Morpho vaults
+        const morphoService = require('../../morphoService');
+        const vaultsResult = await morphoService.fetchAvailableVaults();
+
+        if (!vaultsResult.success || vaultsResult.vaults.length === 0) {
+          return end(ctx.t('invest.noVaults'), { outcome: 'failed' });
+        }
+
+        ctx.formattedVaults = morphoService.formatVaultsForUSSD(
+          vaultsResult.vaults,
+          vaultsResult.vaults.length
+        );
+        ctx.data = { ...ctx.data, availableVaults: vaultsResult.vaults };
+      },
+      prompt: (ctx) => {
+        const { currency, investAmount, usdtAmount } = ctx.data;
+        const vaultLines = ctx.formattedVaults
+          .map(vault => ctx.t('invest.vaultLine', vault))
+          .join('\n');
+
+        return ctx.t('invest.selectVault', {
+          amount: currency === 'KES' ? investAmount + ' KES' : '$' + usdtAmount,
+          vaults: vaultLines
+        });
+      },
+      options: [
+        backOption('invest_amount'),
+        exitOption
+      ],
+      input: {
+        validate: (input, ctx) => {
+          const selection = parseInt(input);
+          const { availableVaults } = ctx.data;
+
+          if (isNaN(selection) || selection < 1 || selection > availableVaults.length) {
+            return { error: ctx.t('menu.invalidSelection', { count: availableVaults.length }) };
+          }
+
+          return { value: availableVaults[selection - 1] };
+        },
+        next: (selectedVault, ctx) => goto('invest_confirm', { ...ctx.data, selectedVault })
+      }
+    },
+
+    invest_confirm: {
+      resume: resumeInvestment(),
+      // Re-quote if the rate locked at the amount step expired while choosing a vault
+      onEnter: (ctx) => ctx.data.investmentType === 'buy_and_invest' ? lockInvestmentRate(ctx) : null,
+      prompt: (ctx) => {
+        const { selectedVault, investAmount, usdtAmount, currency, investmentType } = ctx.data;
+
+        const confirmText = ctx.t('invest.confirm', {
+          vault: selectedVault.name,
+          amount: currency === 'KES' ? investAmount + ' KES' : '$' + usdtAmount,
+          apy: (selectedVault.netApy * 100).toFixed(2),
+          risk: selectedVault.riskLevel
+        });
+
+        const summary = investmentType === 'buy_and_invest'
+          ? ctx.t('invest.confirmBuy', { usdtAmount, symbol: selectedVault.symbol })
+          : ctx.t('invest.confirmExisting', { symbol: selectedVault.symbol });
+
+        return `${confirmText}\n\n${summary}`;
+      },
+      options: [
+        { key: '1', label: 'invest.confirmOption', action: processInvestment },
+        { key: '2', label: 'menu.cancel', next: 'invest_vault_select' },
+        exitOption
+      ],
+      invalid: 'menu.invalidChoose'
+    },
+
+    invest_pin_verify: pinVerifyState({
+      onVerified: processInvestmentAfterAuth,
+      cancelled: 'invest.cancelled',
+      resume: resumeInvestment()
+    }),
+
+    invest_otp_verify: {
+      resume: resumeInvestment('investment'),
+      prompt: 'auth.otpPrompt',
+      options: [
+        { key: '0', action: (ctx) => end(ctx.t('invest.cancelled'), { outcome: 'cancelled' }) }
+      ],
+      input: {
+        validate: (input) => ({ value: input }),
+        next: async (otp, ctx) => {
+          const verification = await AuthService.verifySecureOTP(ctx.phoneNumber, otp, 'investment');
+          if (!verification.success) {
+            return screen(ctx.t('auth.otpFailed', { error: verification.error }), { outcome: 'invalid' });
+          }
+
+          // OTP verified, mark as authenticated and proceed with investment
+          ctx.data = { ...ctx.data, authVerified: true };
+          return processInvestmentAfterAuth(ctx);
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,39 @@
+const logger = require('../../../utils/logger');
+const { User } = require('../../../db/models');
+const i18n = require('../../../i18n');
+const { goto, backOption } = require('../menuEngine');
+
+/**
+ * Build the option that switches the user to a locale
+ * @param {string} locale - Locale code
+ * @param {number} index - Position in the menu (0-based)
+ * @returns {Object} - Option definition
+ */
+const localeOption = (locale, index) => ({
+  key: String(index + 1),
+  // Languages are always listed in their own name
+  label: () => i18n.localeName(locale),
+  action: async (ctx) => {
+    try {
+      await User.updateLocale(ctx.phoneNumber, locale);
+      ctx.locale = locale;
+    } catch (error) {
+      logger.error('Error updating user locale:', error);
+    }
+
+    return goto('main', {});
+  }
+});
+
+module.exports = {
+  name: 'language',
+  states: {
+    language: {
+      prompt: 'language.prompt',
+      options: [
+        ...i18n.SUPPORTED_LOCALES.map(localeOption),
+        backOption('settings', 'menu.back', {})
+      ]
+    }
+  }
+};
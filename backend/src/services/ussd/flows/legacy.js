@@ -0,0 +1,85 @@
+const logger = require('../../../utils/logger');
+const { Transaction } = require('../../../db/models');
+const i18n = require('../../../i18n');
+const { end } = require('../menuEngine');
+
+// Long histories are paginated by the renderer
+const HISTORY_LIMIT = 20;
+
+// Legacy menu flows (kept for backward compatibility)
+
+module.exports = {
+  name: 'legacy',
+  states: {
+    receive_money: {
+      onEnter: async (ctx) => {
+        const user = await ctx.getUser();
+        return end(ctx.t('receive.details', {
+          phone: ctx.phoneNumber,
+          wallet: user?.wallet_address?.substring(0, 20)
+        }));
+      }
+    },
+
+    transaction_history: {
+      onEnter: async (ctx) => {
+        try {
+          const transactions = await Transaction.findByPhone(ctx.phoneNumber, HISTORY_LIMIT);
+
+          if (transactions.length === 0) {
+            return end(ctx.t('history.empty'));
+          }
+
+          let historyText = `${ctx.t('history.title')}\n\n`;
+          transactions.forEach((tx, index) => {
+            const date = new Date(tx.created_at).toLocaleDateString();
+            const status = tx.status === 'completed' ? '✅' : tx.status === 'failed' ? '❌' : '⏳';
+            historyText += ctx.t('history.entry', {
+              index: index + 1,
+              type: tx.type.toUpperCase(),
+              status,
+              amount: tx.amount,
+              currency: tx.currency,
+              date
+            });
+            historyText += '\n\n';
+          });
+
+          return end(historyText);
+        } catch (error) {
+          logger.error('Error getting transaction history:', error);
+          return end(ctx.t('history.error'), { outcome: 'failed' });
+        }
+      }
+    },
+
+    account_info: {
+      onEnter: async (ctx) => {
+        try {
+          const user = await ctx.getUser();
+
+          if (!user) {
+            return end(ctx.t('account.notFound'));
+          }
+
+          const joinDate = new Date(user.created_at).toLocaleDateString();
+
+          return end(ctx.t('account.info', {
+            phone: ctx.phoneNumber,
+            wallet: user.wallet_address?.substring(0, 20),
+            balance: user.balance || 0,
+            joined: joinDate
+          }));
+        } catch (error) {
+          logger.error('Error getting account info:', error);
+          return end(ctx.t('account.error'), { outcome: 'failed' });
+        }
+      }
+    },
+
+    help: {
+      terminal: true,
+      prompt: (ctx) => ctx.t('help.ussd', { help: i18n.keywordFor(ctx.locale, 'HELP') })
+    }
+  }
+};
@@ -0,0 +1,37 @@
+const SMSService = require('../../smsEngine');
+const { goto, exitOption } = require('../menuEngine');
+
+module.exports = {
+  name: 'main',
+  states: {
+    main: {
+      onEnter: async (ctx) => {
+        ctx.data = {};
+
+        const user = await ctx.getUser();
+        if (!user) {
+          // New user - create account
+          const walletService = require('../../walletService');
+          const newUser = await walletService.createUserWallet(ctx.phoneNumber);
+
+          // Send welcome SMS
+          await SMSService.sendWelcomeSMS(ctx.phoneNumber, newUser.walletAddress);
+        }
+
+        // Onboarding is finished once the transaction PIN is set
+        if (!user || !user.pin_hash) {
+          return goto('pin_setup', { isNewUser: !user });
+        }
+      },
+      prompt: (ctx) => ctx.t('main.welcome'),
+      options: [
+        { key: '1', label: 'main.balance', next: 'balance', data: {} },
+        { key: '2', label: 'main.invest', next: 'invest', data: {} },
+        { key: '3', label: 'main.withdraw', next: 'withdraw', data: {} },
+        { key: '4', label: 'main.send', next: 'send_money', data: {} },
+        { key: '5', label: 'main.settings', next: 'settings', data: {} },
+        exitOption
+      ]
+    }
+  }
+};
@@ -0,0 +1,108 @@
+const logger = require('../../../utils/logger');
+const AuthService = require('../../authService');
+const { end, screen, goto } = require('../menuEngine');
+
+/**
+ * Input handler for choosing a new PIN; only the hash is kept in session data
+ * @param {string} confirmState - State that asks for the PIN again
+ * @returns {Object} - State input definition
+ */
+const choosePin = (confirmState) => ({
+  validate: (input, ctx) => AuthService.validatePin(input).isValid
+    ? { value: input }
+    : { error: ctx.t('pin.invalid') },
+  next: async (pin, ctx) => goto(confirmState, { ...ctx.data, pinHash: await AuthService.hashPin(pin) })
+});
+
+/**
+ * Input handler for confirming a new PIN and saving it
+ * @param {string} chooseState - State to restart from when the PINs differ
+ * @param {Function} onSaved - Result once the PIN is stored (ctx => result)
+ * @returns {Object} - State input definition
+ */
+const confirmPin = (chooseState, onSaved) => ({
+  validate: (input) => ({ value: input }),
+  next: async (pin, ctx) => {
+    const { pinHash, ...data } = ctx.data;
+
+    if (!(await AuthService.comparePin(pin, pinHash))) {
+      return screen(ctx.t('pin.mismatch'), { state: chooseState, data, outcome: 'invalid' });
+    }
+
+    const result = await AuthService.setTransactionPin(ctx.phoneNumber, pinHash);
+    if (!result.success) {
+      logger.error('Failed to save transaction PIN:', result.error);
+      return end(ctx.t('pin.saveFailed'), { outcome: 'failed' });
+    }
+
+    // Later lookups in this request must see the new PIN
+    ctx.getUser.reset();
+    ctx.data = data;
+    return onSaved(ctx);
+  }
+});
+
+module.exports = {
+  name: 'pin',
+  states: {
+    // Onboarding: every user picks a PIN before reaching the main menu
+    pin_setup: {
+      guard: async (ctx) => {
+        const user = await ctx.getUser();
+        if (user && user.pin_hash) {
+          return goto('main', {});
+        }
+      },
+      prompt: (ctx) => ctx.data.isNewUser
+        ? `${ctx.t('main.welcomeNew')}\n\n${ctx.t('pin.create')}`
+        : ctx.t('pin.create'),
+      input: choosePin('pin_setup_confirm')
+    },
+
+    pin_setup_confirm: {
+      prompt: 'pin.confirm',
+      input: confirmPin('pin_setup', () => goto('main', {}))
+    },
+
+    // Changing or resetting a PIN always needs an SMS OTP
+    pin_change: {
+      onEnter: async (ctx) => {
+        const otpResult = await AuthService.generateSecureOTP(ctx.phoneNumber, 'pin_reset');
+        if (!otpResult.success) {
+          return end(ctx.t('auth.failed', { error: otpResult.error }), { outcome: 'failed' });
+        }
+        ctx.data = {};
+      },
+      prompt: 'pin.resetOtp',
+      options: [
+        { key: '0', action: (ctx) => end(ctx.t('pin.cancelled'), { outcome: 'cancelled' }) }
+      ],
+      input: {
+        validate: (input) => ({ value: input }),
+        next: async (otp, ctx) => {
+          const verification = await AuthService.verifySecureOTP(ctx.phoneNumber, otp, 'pin_reset');
+          if (!verification.success) {
+            return screen(ctx.t('auth.otpFailed', { error: verification.error }), { outcome: 'invalid' });
+          }
+
+          return goto('pin_new', { otpVerified: true });
+        }
+      }
+    },
+
+    pin_new: {
+      guard: (ctx) => {
+        if (!ctx.data.otpVerified) {
+          return goto('main', {});
+        }
+      },
+      prompt: 'pin.new',
+      input: choosePin('pin_new_confirm')
+    },
+
+    pin_new_confirm: {
+      prompt: 'pin.confirm',
+      input: confirmPin('pin_new', (ctx) => end(ctx.t('pin.changed'), { outcome: 'success' }))
+    }
+  }
+};
@@ -0,0 +1,21 @@
+const { goto, exitOption } = require('../menuEngine');
+
+// Offered on the first screen of a new session when an earlier session
+// dropped part-way through a flow (see USSDService.loadSnapshot)
+module.exports = {
+  name: 'resume',
+  states: {
+    resume: {
+      prompt: (ctx) => ctx.data.question,
+      options: [
+        {
+          key: '1',
+          label: 'resume.continue',
+          action: (ctx) => goto(ctx.data.snapshot.state, ctx.data.snapshot.data)
+        },
+        { key: '2', label: 'resume.startOver', next: 'main', data: {} },
+        exitOption
+      ]
+    }
+  }
+};
@@ -0,0 +1,261 @@
+const logger = require('../../../utils/logger');
+const { User } = require('../../../db/models');
+const AuthService = require('../../authService');
+const { normalizePhoneNumber, currencyForPhone } = require('../../../utils/phone');
+const { end, screen, goto, exitOption, backOption } = require('../menuEngine');
+const { pinVerifyState } = require('../pinVerification');
+
+/**
+ * How the recipient is shown: their display name if they set one, and always the number
+ * @param {string} phoneNumber - Recipient's phone number
+ * @param {string|null} displayName - Recipient's display name
+ * @returns {string} - Recipient label
+ */
+const recipientLabel = (phoneNumber, displayName) => displayName
+  ? `${displayName} (+${phoneNumber})`
+  : `+${phoneNumber}`;
+
+const transferFee = () => require('../../transactionService').TRANSFER_FEE;
+
+/**
+ * Price an amount in a phone number's local currency for the confirm screen
+ * @param {string} phoneNumber - Phone number whose currency is used
+ * @param {number} amount - Amount in ZrUSD
+ * @returns {Promise<Object|null>} - { amount, currency }, or null if there is no local price
+ */
+async function localAmount(phoneNumber, amount) {
+  const currency = currencyForPhone(phoneNumber);
+  if (!currency) {
+    return null;
+  }
+
+  try {
+    const fxEngine = require('../../fxEngine');
+    const quote = await fxEngine.quote('ZrUSD', currency, amount);
+    return { amount: quote.targetAmount, currency };
+  } catch (error) {
+    // The equivalent is informational; the transfer itself is in ZrUSD
+    logger.warn(`No ZrUSD -> ${currency} price for the send confirm screen: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Process the confirmed transfer, stepping up authentication first if needed
+ * @param {Object} ctx - Menu context with transfer details in ctx.data
+ * @returns {Promise<Object>} - Engine result
+ */
+async function processSend(ctx) {
+  try {
+    const { phoneNumber } = ctx;
+
+    const authorization = await AuthService.authorizeWalletOperation(phoneNumber, 'transfer');
+    if (!authorization.success) {
+      if (authorization.requiresAuth || authorization.requiresRecentAuth) {
+        if (authorization.pinEnabled) {
+          return goto('send_pin_verify');
+        }
+
+        const otpResult = await AuthService.generateSecureOTP(phoneNumber, 'transaction');
+        if (otpResult.success) {
+          return screen(ctx.t('send.otpSent'), {
+            state: 'send_otp_verify',
+            data: { ...ctx.data, otpSent: true }
+          });
+        }
+        return end(ctx.t('auth.failed', { error: otpResult.error }), { outcome: 'failed' });
+      }
+      return end(ctx.t('send.notAuthorized', { error: authorization.error }), { outcome: 'failed' });
+    }
+
+    return await processSendAfterAuth(ctx);
+  } catch (error) {
+    logger.error('Error in processSend:', error);
+    return end(ctx.t('send.systemError'), { outcome: 'failed' });
+  }
+}
+
+/**
+ * Process the transfer after authentication is verified. Money for a number that is not
+ * registered is held until they create a wallet.
+ * @param {Object} ctx - Menu context with transfer details in ctx.data
+ * @returns {Promise<Object>} - Engine result
+ */
+async function processSendAfterAuth(ctx) {
+  const { t, phoneNumber } = ctx;
+  const { recipientPhone, recipient, amount } = ctx.data;
+
+  try {
+    const transactionService = require('../../transactionService');
+    const result = await transactionService.processTransfer(phoneNumber, recipientPhone, amount, 'ZrUSD');
+
+    if (!result.success) {
+      return end(t('send.failed', { error: result.error }), { outcome: 'failed' });
+    }
+
+    // The recipient may have registered since the number was looked up, so go by the result
+    if (result.claimId) {
+      const { EXPIRY_DAYS } = require('../../transferClaimService');
+      return end(t('send.heldSuccess', {
+        amount,
+        phone: recipientPhone,
+        days: EXPIRY_DAYS,
+        balance: result.newBalance
+      }), { outcome: 'success' });
+    }
+    return end(t('send.success', { amount, recipient, balance: result.newBalance }), { outcome: 'success' });
+  } catch (error) {
+    logger.error('Transaction error:', error);
+    return end(t('send.systemError'), { outcome: 'failed' });
+  }
+}
+
+/**
+ * Resume definition for states reached after the amount was entered
+ * @param {string} otpPurpose - OTP purpose that must still be pending (if any)
+ * @returns {Object} - Resume definition ({ prompt, otp })
+ */
+const resumeSend = (otpPurpose) => ({
+  otp: otpPurpose,
+  prompt: (ctx) => ctx.t('send.resume', { amount: ctx.data.amount, recipient: ctx.data.recipient })
+});
+
+module.exports = {
+  name: 'send',
+  states: {
+    send_money: {
+      onEnter: (ctx) => {
+        ctx.data = {};
+      },
+      prompt: 'send.prompt',
+      input: {
+        validate: (input, ctx) => {
+          // Local numbers are read in the sender's own country
+          const recipientPhone = normalizePhoneNumber(input, ctx.phoneNumber);
+          if (!recipientPhone) {
+            return { error: ctx.t('send.invalidPhone') };
+          }
+          if (recipientPhone === ctx.phoneNumber) {
+            return { error: ctx.t('send.self') };
+          }
+          return { value: recipientPhone };
+        },
+        next: async (recipientPhone) => {
+          const recipient = await User.findByPhone(recipientPhone);
+          if (!recipient) {
+            return goto('send_unregistered', { recipientPhone, recipient: recipientLabel(recipientPhone) });
+          }
+          return goto('send_amount', {
+            recipientPhone,
+            recipient: recipientLabel(recipientPhone, recipient.display_name),
+            claim: false
+          });
+        }
+      }
+    },
+
+    send_unregistered: {
+      prompt: (ctx) => ctx.t('send.unregistered', { phone: ctx.data.recipient }),
+      options: [
+        { key: '1', label: 'send.sendAnyway', next: 'send_amount', data: (ctx) => ({ ...ctx.data, claim: true }) },
+        { key: '2', label: 'send.tryAnother', next: 'send_money' },
+        backOption('main', 'menu.backToMain', {}),
+        exitOption
+      ]
+    },
+
+    send_amount: {
+      onEnter: async (ctx) => {
+        const user = await ctx.getUser();
+        ctx.data = { ...ctx.data, balance: user?.balance || 0 };
+      },
+      prompt: (ctx) => ctx.t('send.amountPrompt', { recipient: ctx.data.recipient, balance: ctx.data.balance }),
+      input: {
+        validate: (input, ctx) => {
+          const amount = Math.round(parseFloat(input) * 100) / 100;
+          if (isNaN(amount) || amount <= 0) {
+            return { error: ctx.t('send.invalidAmount') };
+          }
+          return { value: amount };
+        },
+        next: async (amount, ctx) => {
+          const fee = transferFee();
+          const user = await ctx.getUser();
+          const balance = parseFloat(user?.balance || 0);
+
+          // The fee is paid on top of the amount sent
+          if (amount + fee > balance) {
+            const max = Math.max(balance - fee, 0).toFixed(2);
+            return screen(ctx.t('send.insufficient', { max, fee }), { outcome: 'invalid' });
+          }
+
+          return goto('send_confirm', { ...ctx.data, amount, fee });
+        }
+      }
+    },
+
+    send_confirm: {
+      resume: resumeSend(),
+      onEnter: async (ctx) => {
+        const { recipientPhone, amount, fee, claim } = ctx.data;
+        ctx.localAmounts = {
+          pay: await localAmount(ctx.phoneNumber, amount + fee),
+          get: claim ? null : await localAmount(recipientPhone, amount)
+        };
+      },
+      prompt: (ctx) => {
+        const { recipient, amount, fee, claim } = ctx.data;
+        const { pay, get } = ctx.localAmounts || {};
+
+        const lines = [ctx.t('send.confirm', {
+          recipient,
+          amount,
+          fee,
+          total: (amount + fee).toFixed(2)
+        })];
+        if (pay) {
+          lines.push(ctx.t('send.youPay', pay));
+        }
+        if (get) {
+          lines.push(ctx.t('send.theyGet', get));
+        }
+        if (claim) {
+          lines.push(ctx.t('send.held'));
+        }
+        return lines.join('\n');
+      },
+      options: [
+        { key: '1', label: 'send.confirmOption', action: processSend },
+        { key: '2', label: 'menu.cancel', next: 'send_amount' },
+        exitOption
+      ],
+      invalid: 'menu.invalidChoose'
+    },
+
+    send_pin_verify: pinVerifyState({
+      onVerified: processSendAfterAuth,
+      cancelled: 'send.cancelled',
+      resume: resumeSend()
+    }),
+
+    send_otp_verify: {
+      resume: resumeSend('transaction'),
+      prompt: 'auth.otpPrompt',
+      options: [
+        { key: '0', action: (ctx) => end(ctx.t('send.cancelled'), { outcome: 'cancelled' }) }
+      ],
+      input: {
+        validate: (input) => ({ value: input }),
+        next: async (otp, ctx) => {
+          const verification = await AuthService.verifySecureOTP(ctx.phoneNumber, otp, 'transaction');
+          if (!verification.success) {
+            return screen(ctx.t('auth.otpFailed', { error: verification.error }), { outcome: 'invalid' });
+          }
+
+          ctx.data = { ...ctx.data, authVerified: true };
+          return processSendAfterAuth(ctx);
+        }
+      }
+    }
+  }
+};
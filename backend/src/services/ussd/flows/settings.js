@@ -0,0 +1,113 @@
+const logger = require('../../../utils/logger');
+const { User } = require('../../../db/models');
+const NotificationPreferenceService = require('../../sms/notificationPreferences');
+const { CATEGORIES } = require('../../sms/notificationPreferences');
+const { end, goto, exitOption, backOption } = require('../menuEngine');
+
+// Shown to senders next to the number, so keep it short and printable on any handset
+const DISPLAY_NAME_PATTERN = /^[\p{L}][\p{L} .'-]{1,29}$/u;
+
+/**
+ * Build the option that toggles a notification category
+ * @param {string} category - Notification category
+ * @param {number} index - Position in the menu (0-based)
+ * @returns {Object} - Option definition
+ */
+const categoryOption = (category, index) => ({
+  key: String(index + 1),
+  label: (ctx) => `${ctx.t(`notifications.${category}`)}: ${ctx.t(ctx.data.preferences[category] ? 'notifications.on' : 'notifications.off')}`,
+  action: async (ctx) => {
+    try {
+      await NotificationPreferenceService.set(ctx.phoneNumber, category, !ctx.data.preferences[category]);
+    } catch (error) {
+      logger.error('Error updating notification preferences:', error);
+      return end(ctx.t('notifications.error'), { outcome: 'failed' });
+    }
+
+    return goto('notifications', {});
+  }
+});
+
+// Handsets that show emoji as boxes can ask for GSM-7 text instead
+const plainTextOption = {
+  key: String(Object.keys(CATEGORIES).length + 1),
+  label: (ctx) => `${ctx.t('notifications.plain_text')}: ${ctx.t(ctx.data.preferences.plainText ? 'notifications.on' : 'notifications.off')}`,
+  action: async (ctx) => {
+    try {
+      await NotificationPreferenceService.setPlainText(ctx.phoneNumber, !ctx.data.preferences.plainText);
+    } catch (error) {
+      logger.error('Error updating notification preferences:', error);
+      return end(ctx.t('notifications.error'), { outcome: 'failed' });
+    }
+
+    return goto('notifications', {});
+  }
+};
+
+module.exports = {
+  name: 'settings',
+  states: {
+    settings: {
+      prompt: 'settings.title',
+      options: [
+        { key: '1', label: 'settings.notifications', next: 'notifications', data: {} },
+        { key: '2', label: 'main.language', next: 'language', data: {} },
+        { key: '3', label: 'main.pin', next: 'pin_change', data: {} },
+        { key: '4', label: 'settings.displayName', next: 'display_name', data: {} },
+        backOption('main', 'menu.back', {}),
+        exitOption
+      ]
+    },
+
+    notifications: {
+      onEnter: async (ctx) => {
+        try {
+          ctx.data = { preferences: await NotificationPreferenceService.get(ctx.phoneNumber) };
+        } catch (error) {
+          logger.error('Error loading notification preferences:', error);
+          return end(ctx.t('notifications.error'), { outcome: 'failed' });
+        }
+      },
+      prompt: 'notifications.title',
+      options: [
+        ...Object.values(CATEGORIES).map(categoryOption),
+        plainTextOption,
+        backOption('settings', 'menu.back', {}),
+        exitOption
+      ]
+    },
+
+    display_name: {
+      onEnter: async (ctx) => {
+        const user = await ctx.getUser();
+        ctx.data = { displayName: user?.display_name || null };
+      },
+      prompt: (ctx) => ctx.t('settings.displayNamePrompt', {
+        name: ctx.data.displayName || ctx.t('settings.displayNameNone')
+      }),
+      options: [
+        backOption('settings', 'menu.back', {}),
+        exitOption
+      ],
+      input: {
+        validate: (input, ctx) => {
+          const displayName = input.trim().replace(/\s+/g, ' ');
+          if (!DISPLAY_NAME_PATTERN.test(displayName)) {
+            return { error: ctx.t('settings.displayNameInvalid') };
+          }
+          return { value: displayName };
+        },
+        next: async (displayName, ctx) => {
+          try {
+            await User.updateDisplayName(ctx.phoneNumber, displayName);
+          } catch (error) {
+            logger.error('Error updating display name:', error);
+            return end(ctx.t('settings.displayNameError'), { outcome: 'failed' });
+          }
+
+          return end(ctx.t('settings.displayNameSaved', { name: displayName }), { outcome: 'success' });
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,231 @@
+const logger = require('../../../utils/logger');
+const AuthService = require('../../authService');
+const { end, screen, goto, exitOption, backOption } = require('../menuEngine');
+const { pinVerifyState } = require('../pinVerification');
+
+/**
+ * Process the withdrawal transaction
+ * @param {Object} ctx - Menu context with withdrawal details in ctx.data
+ * @returns {Promise<Object>} - Engine result
+ */
+async function processWithdrawal(ctx) {
+  try {
+    const { phoneNumber } = ctx;
+
+    // Check if user is authorized for withdrawal operations
+    const authorization = await AuthService.authorizeWalletOperation(phoneNumber, 'withdraw');
+    if (!authorization.success) {
+      if (authorization.requiresAuth || authorization.requiresRecentAuth) {
+        // Users with a transaction PIN step up with it instead of an SMS OTP
+        if (authorization.pinEnabled) {
+          return goto('withdraw_pin_verify');
+        }
+
+        // Generate OTP for authentication
+        const otpResult = await AuthService.generateSecureOTP(phoneNumber, 'withdrawal');
+        if (otpResult.success) {
+          return screen(ctx.t('withdraw.otpSent'), {
+            state: 'withdraw_otp_verify',
+            data: { ...ctx.data, otpSent: true }
+          });
+        }
+        return end(ctx.t('auth.failed', { error: otpResult.error }), { outcome: 'failed' });
+      }
+      return end(ctx.t('withdraw.notAuthorized', { error: authorization.error }), { outcome: 'failed' });
+    }
+
+    return await processWithdrawalAfterAuth(ctx);
+  } catch (error) {
+    logger.error('Error in processWithdrawal:', error);
+    return end(ctx.t('withdraw.systemError'), { outcome: 'failed' });
+  }
+}
+
+/**
+ * Process withdrawal after authentication is verified
+ * @param {Object} ctx - Menu context with withdrawal details in ctx.data
+ * @returns {Promise<Object>} - Engine result
+ */
+async function processWithdrawalAfterAuth(ctx) {
+  try {
+    const { phoneNumber } = ctx;
+    const { selectedPosition, withdrawAmount } = ctx.data;
+
+    const TransactionService = require('../../transactionService');
+    const result = await TransactionService.processVaultWithdrawal(phoneNumber, selectedPosition, withdrawAmount);
+
+    if (!result.success) {
+      return end(ctx.t('withdraw.technicalError'), { outcome: 'failed' });
+    }
+
+    return end(ctx.t('withdraw.success', {
+      amount: withdrawAmount.toFixed(2),
+      vault: selectedPosition.vaultName,
+      balance: result.newBalance.toFixed(2)
+    }), { outcome: 'success' });
+  } catch (error) {
+    logger.error('Error processing withdrawal:', error);
+    return end(ctx.t('withdraw.technicalError'), { outcome: 'failed' });
+  }
+}
+
+/**
+ * Get the withdrawable amount for a position
+ * @param {Object} position - Vault position
+ * @returns {number} - Amount in USD
+ */
+const positionAmount = (position) => parseFloat(position.assetsUsd || position.assets || 0);
+
+/**
+ * Resume definition for states reached after a position was selected
+ * @param {string} otpPurpose - OTP purpose that must still be pending (if any)
+ * @returns {Object} - Resume definition ({ prompt, otp })
+ */
+const resumeWithdrawal = (otpPurpose) => ({
+  otp: otpPurpose,
+  prompt: (ctx) => {
+    const { selectedPosition, withdrawAmount } = ctx.data;
+
+    return withdrawAmount
+      ? ctx.t('withdraw.resume', { amount: withdrawAmount.toFixed(2), vault: selectedPosition.vaultName })
+      : ctx.t('withdraw.resumeVault', { vault: selectedPosition.vaultName });
+  }
+});
+
+module.exports = {
+  name: 'withdraw',
+  states: {
+    withdraw: {
+      onEnter: async (ctx) => {
+        const user = await ctx.getUser();
+
+        // Get user's vault positions
+        const morphoService = require('../../morphoService');
+        const positionsResult = await morphoService.getUserPositions(user?.wallet_address);
+
+        if (!positionsResult.success || positionsResult.positions.length === 0) {
+          return end(ctx.t('withdraw.noInvestments'), { outcome: 'failed' });
+        }
+
+        ctx.data = { positions: positionsResult.positions };
+      },
+      prompt: (ctx) => ctx.t('withdraw.title', { count: ctx.data.positions.length }),
+      options: [
+        { key: '1', label: 'withdraw.fromDefi', next: 'withdraw_vault_select' },
+        {
+          key: '2',
+          label: 'withdraw.toMobileMoney',
+          action: (ctx) => screen(`${ctx.t('withdraw.mobileMoneySoon')}\n\n9. ${ctx.t('menu.back')}\n0. ${ctx.t('menu.exit')}`)
+        },
+        backOption('main', 'menu.backToMain', {}),
+        exitOption
+      ]
+    },
+
+    withdraw_vault_select: {
+      prompt: (ctx) => {
+        const positionLines = ctx.data.positions
+          .map((pos, index) => ctx.t('withdraw.positionLine', {
+            index: index + 1,
+            name: pos.vaultName.substring(0, 20),
+            amount: positionAmount(pos).toFixed(2)
+          }))
+          .join('\n');
+
+        return ctx.t('withdraw.selectPosition', { positions: positionLines });
+      },
+      options: [
+        backOption('withdraw'),
+        exitOption
+      ],
+      input: {
+        validate: (input, ctx) => {
+          const selection = parseInt(input);
+          const count = ctx.data.positions.length;
+
+          if (isNaN(selection) || selection < 1 || selection > count) {
+            return { error: ctx.t('menu.invalidSelection', { count }) };
+          }
+
+          return { value: ctx.data.positions[selection - 1] };
+        },
+        next: (selectedPosition, ctx) => goto('withdraw_amount', { ...ctx.data, selectedPosition })
+      }
+    },
+
+    withdraw_amount: {
+      resume: resumeWithdrawal(),
+      prompt: (ctx) => {
+        const { selectedPosition } = ctx.data;
+        const maxAmount = positionAmount(selectedPosition);
+
+        return ctx.t('withdraw.amountPrompt', {
+          vault: selectedPosition.vaultName,
+          available: maxAmount.toFixed(2)
+        });
+      },
+      input: {
+        validate: (input, ctx) => {
+          const amount = parseFloat(input);
+          const maxAmount = positionAmount(ctx.data.selectedPosition);
+
+          if (isNaN(amount) || amount <= 0) {
+            return { error: ctx.t('withdraw.invalidAmount') };
+          }
+
+          if (amount > maxAmount) {
+            return { error: ctx.t('withdraw.exceeds', { available: maxAmount.toFixed(2) }) };
+          }
+
+          return { value: amount };
+        },
+        next: (withdrawAmount, ctx) => goto('withdraw_confirm', { ...ctx.data, withdrawAmount })
+      }
+    },
+
+    withdraw_confirm: {
+      resume: resumeWithdrawal(),
+      prompt: (ctx) => {
+        const { selectedPosition, withdrawAmount } = ctx.data;
+
+        return ctx.t('withdraw.confirm', {
+          vault: selectedPosition.vaultName,
+          amount: withdrawAmount.toFixed(2)
+        });
+      },
+      options: [
+        { key: '1', label: 'withdraw.confirmOption', action: processWithdrawal },
+        { key: '2', label: 'menu.cancel', next: 'withdraw_amount' },
+        exitOption
+      ],
+      invalid: 'menu.invalidChoose'
+    },
+
+    withdraw_pin_verify: pinVerifyState({
+      onVerified: processWithdrawalAfterAuth,
+      cancelled: 'withdraw.cancelled',
+      resume: resumeWithdrawal()
+    }),
+
+    withdraw_otp_verify: {
+      resume: resumeWithdrawal('withdrawal'),
+      prompt: 'auth.otpPrompt',
+      options: [
+        { key: '0', action: (ctx) => end(ctx.t('withdraw.cancelled'), { outcome: 'cancelled' }) }
+      ],
+      input: {
+        validate: (input) => ({ value: input }),
+        next: async (otp, ctx) => {
+          const verification = await AuthService.verifySecureOTP(ctx.phoneNumber, otp, 'withdrawal');
+          if (!verification.success) {
+            return screen(ctx.t('auth.otpFailed', { error: verification.error }), { outcome: 'invalid' });
+          }
+
+          // OTP verified, mark as authenticated and proceed with withdrawal
+          ctx.data = { ...ctx.data, authVerified: true };
+          return processWithdrawalAfterAuth(ctx);
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,140 @@
+const { USSDTransition } = require('../../db/models');
+
+/*
+ * Funnels are ordered steps through the menu. A step is reached by a transition matching any of
+ * its conditions: showing one of the states, with the outcome if one is given (e.g. the screen
+ * confirming the operation went through).
+ */
+const shown = (...states) => ({ states });
+const succeeded = (...states) => ({ states, outcome: 'success' });
+
+const FUNNELS = {
+  invest: [
+    { name: 'main', when: [shown('main')] },
+    { name: 'invest', when: [shown('invest')] },
+    { name: 'amount', when: [shown('invest_amount')] },
+    { name: 'vault', when: [shown('invest_vault_select')] },
+    { name: 'confirm', when: [shown('invest_confirm')] },
+    // Users with a transaction PIN authorise with it; recently authorised users go straight through
+    { name: 'otp', when: [shown('invest_otp_verify', 'invest_pin_verify'), succeeded('invest_confirm')] },
+    { name: 'success', when: [succeeded('invest_confirm', 'invest_otp_verify', 'invest_pin_verify')] }
+  ],
+  withdraw: [
+    { name: 'main', when: [shown('main')] },
+    { name: 'withdraw', when: [shown('withdraw')] },
+    { name: 'position', when: [shown('withdraw_vault_select')] },
+    { name: 'amount', when: [shown('withdraw_amount')] },
+    { name: 'confirm', when: [shown('withdraw_confirm')] },
+    { name: 'otp', when: [shown('withdraw_otp_verify', 'withdraw_pin_verify'), succeeded('withdraw_confirm')] },
+    { name: 'success', when: [succeeded('withdraw_confirm', 'withdraw_otp_verify', 'withdraw_pin_verify')] }
+  ],
+  send: [
+    { name: 'main', when: [shown('main')] },
+    { name: 'send', when: [shown('send_money')] },
+    { name: 'amount', when: [shown('send_amount')] },
+    { name: 'confirm', when: [shown('send_confirm')] },
+    { name: 'otp', when: [shown('send_otp_verify', 'send_pin_verify'), succeeded('send_confirm')] },
+    { name: 'success', when: [succeeded('send_confirm', 'send_otp_verify', 'send_pin_verify')] }
+  ],
+  pin_change: [
+    { name: 'settings', when: [shown('settings')] },
+    { name: 'otp', when: [shown('pin_change')] },
+    { name: 'new_pin', when: [shown('pin_new')] },
+    { name: 'confirm', when: [shown('pin_new_confirm')] },
+    { name: 'success', when: [succeeded('pin_new_confirm')] }
+  ]
+};
+
+const DEFAULT_DAYS = 7;
+
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : 0);
+
+class FunnelAnalytics {
+  /**
+   * Resolve the reporting window; defaults to the last 7 days
+   * @param {Object} filters - { from, to, country }
+   * @returns {Object} - { since, until, country }
+   */
+  window({ from = null, to = null, country = null } = {}) {
+    const until = to ? new Date(to) : new Date();
+    const since = from ? new Date(from) : new Date(until.getTime() - DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+
+    if (since >= until) {
+      throw new Error('from must be before to');
+    }
+    return { since, until, country: country ? country.toUpperCase() : null };
+  }
+
+  /**
+   * Sessions reaching each step of a funnel, drop-off between steps and median time per step
+   * @param {string} name - Funnel name (see FUNNELS)
+   * @param {Object} filters - { from, to, country }
+   * @returns {Promise<Object>} - { funnel, from, to, country, steps, conversion }
+   */
+  async getFunnel(name, filters = {}) {
+    const steps = FUNNELS[name];
+    if (!steps) {
+      throw new Error(`Unknown funnel: ${name}`);
+    }
+
+    const { since, until, country } = this.window(filters);
+    const rows = await USSDTransition.getFunnel(steps, { since, until, country });
+    const entered = rows[0].sessions;
+
+    return {
+      funnel: name,
+      from: since.toISOString(),
+      to: until.toISOString(),
+      country,
+      steps: rows.map((row, index) => {
+        const previous = index === 0 ? row.sessions : rows[index - 1].sessions;
+        return {
+          step: row.step,
+          sessions: row.sessions,
+          // Sessions that reached the previous step but not this one
+          dropOff: previous - row.sessions,
+          dropOffRate: ratio(previous - row.sessions, previous),
+          fromStart: ratio(row.sessions, entered),
+          medianMs: row.median_ms
+        };
+      }),
+      conversion: ratio(rows[rows.length - 1].sessions, entered)
+    };
+  }
+
+  /**
+   * Per-state report: how often each screen is shown, how often it is an error screen (rejected
+   * input or a failed operation), the median time users spend on it, and sessions abandoned there
+   * @param {Object} filters - { from, to, country }
+   * @returns {Promise<Object>} - { from, to, country, states }
+   */
+  async getStateReport(filters = {}) {
+    const { since, until, country } = this.window(filters);
+    const rows = await USSDTransition.getStateStats({ since, until, country });
+
+    return {
+      from: since.toISOString(),
+      to: until.toISOString(),
+      country,
+      states: rows.map(row => {
+        const views = parseInt(row.views);
+        const errors = parseInt(row.invalid) + parseInt(row.failed);
+        return {
+          state: row.state,
+          views,
+          sessions: parseInt(row.sessions),
+          invalidInputs: parseInt(row.invalid),
+          failures: parseInt(row.failed),
+          errorRate: ratio(errors, views),
+          medianDwellMs: row.median_dwell_ms === null ? null : Math.round(row.median_dwell_ms),
+          medianLatencyMs: row.median_latency_ms === null ? null : Math.round(row.median_latency_ms),
+          abandoned: parseInt(row.abandoned)
+        };
+      })
+    };
+  }
+}
+
+module.exports = new FunnelAnalytics();
+module.exports.FunnelAnalytics = FunnelAnalytics;
+module.exports.FUNNELS = FUNNELS;
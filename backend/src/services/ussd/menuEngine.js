@@ -0,0 +1,394 @@
+const logger = require('../../utils/logger');
+const { ScreenRenderer, NEXT_PAGE, PREV_PAGE } = require('./renderer');
+
+const DEFAULT_INVALID = 'menu.invalid';
+
+/*
+ * Outcome of a request, recorded with each transition for funnel analytics:
+ * ok (screen shown), invalid (input rejected, e.g. a wrong OTP), success (the operation went through),
+ * failed (ended on an error or refusal), cancelled (user exited), completed (ended on an information screen)
+ */
+const OUTCOMES = ['ok', 'invalid', 'success', 'failed', 'cancelled', 'completed'];
+
+// Session data key holding the pages of a screen that did not fit the gateway limit
+const PAGER_KEY = '_pager';
+
+/**
+ * End the session with the given text
+ * @param {string} text - Screen body (without the END prefix)
+ * @param {Object} options - Optional outcome (default: completed)
+ * @returns {Object} - Engine result
+ */
+const end = (text, { outcome = 'completed' } = {}) => ({ kind: 'end', text, outcome });
+
+/**
+ * Show a screen and keep the session open
+ * @param {string} text - Screen body (without the CON prefix)
+ * @param {Object} options - Optional target state, session data and outcome (default: ok)
+ * @returns {Object} - Engine result
+ */
+const screen = (text, { state, data, outcome = 'ok' } = {}) => ({ kind: 'screen', text, state, data, outcome });
+
+/**
+ * Transition to another state and render its entry screen
+ * @param {string} state - Target state id
+ * @param {Object} data - Session data to carry (defaults to the current data)
+ * @returns {Object} - Engine result
+ */
+const goto = (state, data) => ({ kind: 'goto', state, data });
+
+/**
+ * Standard "0. Exit" option
+ */
+const exitOption = { key: '0', label: 'menu.exit', action: (ctx) => end(translate(ctx, 'menu.goodbye'), { outcome: 'cancelled' }) };
+
+/**
+ * Standard "9. Back" option
+ * @param {string} next - State to go back to
+ * @param {string} label - Option label
+ * @param {Object|Function} data - Session data for the target state
+ * @returns {Object} - Option definition
+ */
+const backOption = (next, label = 'menu.back', data) => ({ key: '9', label, next, data });
+
+/**
+ * Translate a catalogue key with the request's translator
+ * @param {Object} ctx - Request context (uses ctx.t when present)
+ * @param {string} key - Catalogue key
+ * @returns {string} - Translated text
+ */
+function translate(ctx, key) {
+  return ctx && ctx.t ? ctx.t(key) : key;
+}
+
+/**
+ * Interprets declarative USSD menu definitions.
+ *
+ * A flow file exports `{ name, states }`, where each state may define:
+ * - `prompt(ctx)`   - screen body shown on entry (catalogue key or function)
+ * - `options`       - ordered `{ key, label, next | action, data }` entries rendered under the prompt
+ * - `input`         - `{ validate(value, ctx), next(value, ctx) }` for free-text input
+ * - `guard(ctx)`    - runs before entry; returning a result blocks entry
+ * - `onEnter(ctx)`  - entry action; may update `ctx.data` or return a result
+ * - `invalid`       - header (catalogue key or function) shown above the options on a bad choice
+ * - `terminal`      - render the prompt as an END screen
+ * - `resume`        - `{ prompt(ctx), otp }` lets a dropped session be resumed from this
+ *                     state; `otp` names an OTP purpose that must still be pending
+ *
+ * Option labels and string prompts are catalogue keys translated with `ctx.t`;
+ * prompt functions receive the context and translate their own text.
+ *
+ * Screens longer than the gateway limit are split into pages; "98"/"97" then
+ * move through the pages and the cursor is kept in session data.
+ */
+class MenuEngine {
+  constructor({ initialState = 'main', renderer = new ScreenRenderer() } = {}) {
+    this.initialState = initialState;
+    this.renderer = renderer;
+    this.states = {};
+    this.flows = [];
+  }
+
+  /**
+   * Register a flow definition
+   * @param {Object} flow - Flow definition with `name` and `states`
+   */
+  register(flow) {
+    if (!flow || !flow.states) {
+      throw new Error(`Invalid USSD flow definition: ${flow && flow.name}`);
+    }
+
+    for (const [id, state] of Object.entries(flow.states)) {
+      if (this.states[id]) {
+        throw new Error(`Duplicate USSD state "${id}" in flow "${flow.name}"`);
+      }
+      this.states[id] = { ...state, id, flow: flow.name };
+    }
+
+    this.flows.push(flow.name);
+  }
+
+  /**
+   * Get a state definition
+   * @param {string} stateId - State id
+   * @returns {Object|null} - State definition
+   */
+  getState(stateId) {
+    return this.states[stateId] || null;
+  }
+
+  /**
+   * Handle user input for the current state
+   * @param {string} stateId - Current state id
+   * @param {string} input - User's current input
+   * @param {Object} ctx - Request context (phoneNumber, data, getUser)
+   * @returns {Promise<Object>} - Menu response ({ text, continue, nextMenu, sessionData }), plus the
+   *   transition it made: state (screen shown), outcome and inputClass (none, page, option or text;
+   *   never the input itself, which may be a PIN)
+   */
+  async handle(stateId, input, ctx) {
+    let state = this.getState(stateId);
+
+    if (!state) {
+      logger.warn(`Unknown USSD state "${stateId}", falling back to ${this.initialState}`);
+      state = this.getState(this.initialState);
+      input = '';
+    }
+
+    const pager = ctx.data && ctx.data[PAGER_KEY];
+    if (pager) {
+      // 98/97 can answer an input state (e.g. an amount); they only turn the page of an END screen
+      // or of a state that does not take them as input
+      const paging = (input === NEXT_PAGE || input === PREV_PAGE) &&
+        (pager.final || !await this.acceptsInput(state, input, ctx));
+      if (paging) {
+        return { ...this.turnPage(pager, input, state, ctx), inputClass: 'page' };
+      }
+
+      // Any other input answers the screen itself
+      ctx.data = { ...ctx.data };
+      delete ctx.data[PAGER_KEY];
+
+      if (pager.final) {
+        return { ...this.showPage(pager, state, ctx), inputClass: 'page' };
+      }
+    }
+
+    if (!input) {
+      return { ...await this.enter(state.id, ctx), inputClass: 'none' };
+    }
+
+    const isOption = (state.options || []).some(opt => opt.key === input);
+    const result = await this.resolveInput(state, input, ctx);
+    return { ...await this.apply(result, state, ctx), inputClass: isOption ? 'option' : 'text' };
+  }
+
+  /**
+   * Enter a state: run its guard and entry action, then render it
+   * @param {string} stateId - State id
+   * @param {Object} ctx - Request context
+   * @returns {Promise<Object>} - Menu response
+   */
+  async enter(stateId, ctx) {
+    const state = this.getState(stateId);
+    if (!state) {
+      throw new Error(`Unknown USSD state "${stateId}"`);
+    }
+
+    if (state.guard) {
+      const blocked = await state.guard(ctx);
+      if (blocked) {
+        return this.apply(blocked, state, ctx);
+      }
+    }
+
+    if (state.onEnter) {
+      const result = await state.onEnter(ctx);
+      if (result) {
+        return this.apply(result, state, ctx);
+      }
+    }
+
+    const body = this.render(state, ctx);
+
+    if (state.terminal) {
+      return this.toResponse(end(body), state, ctx);
+    }
+
+    return this.toResponse(screen(body), state, ctx);
+  }
+
+  /**
+   * Resolve non-empty input against a state's options and input handler
+   * @param {Object} state - State definition
+   * @param {string} input - User input
+   * @param {Object} ctx - Request context
+   * @returns {Promise<Object>} - Engine result
+   */
+  async resolveInput(state, input, ctx) {
+    const option = (state.options || []).find(opt => opt.key === input);
+
+    if (option) {
+      if (option.action) {
+        return option.action(ctx);
+      }
+
+      const data = typeof option.data === 'function' ? option.data(ctx) : option.data;
+      return goto(option.next, data);
+    }
+
+    if (state.input) {
+      const validation = await state.input.validate(input, ctx);
+      if (validation.error) {
+        return screen(validation.error, { outcome: 'invalid' });
+      }
+      return state.input.next(validation.value, ctx);
+    }
+
+    const header = typeof state.invalid === 'function'
+      ? state.invalid(ctx)
+      : translate(ctx, state.invalid || DEFAULT_INVALID);
+
+    return screen(this.withOptions(header, state, ctx), { outcome: 'invalid' });
+  }
+
+  /**
+   * Check whether a state's input handler takes the input as a valid answer
+   * @param {Object} state - State definition
+   * @param {string} input - User input
+   * @param {Object} ctx - Request context
+   * @returns {Promise<boolean>} - True if the state has an input handler that accepts the input
+   */
+  async acceptsInput(state, input, ctx) {
+    if (!state.input) {
+      return false;
+    }
+
+    const validation = await state.input.validate(input, ctx);
+    return !validation.error;
+  }
+
+  /**
+   * Apply an engine result, following transitions
+   * @param {Object} result - Engine result
+   * @param {Object} state - State that produced the result
+   * @param {Object} ctx - Request context
+   * @returns {Promise<Object>} - Menu response
+   */
+  async apply(result, state, ctx) {
+    if (result.kind === 'goto') {
+      if (result.data !== undefined) {
+        ctx.data = result.data;
+      }
+      return this.enter(result.state, ctx);
+    }
+
+    if (result.data !== undefined) {
+      ctx.data = result.data;
+    }
+
+    return this.toResponse(result, state, ctx);
+  }
+
+  /**
+   * Render a state's entry screen body
+   * @param {Object} state - State definition
+   * @param {Object} ctx - Request context
+   * @returns {string} - Screen body
+   */
+  render(state, ctx) {
+    const prompt = typeof state.prompt === 'function'
+      ? state.prompt(ctx)
+      : state.prompt ? translate(ctx, state.prompt) : '';
+    return this.withOptions(prompt, state, ctx);
+  }
+
+  /**
+   * Append a state's option list to a screen body
+   * @param {string} body - Screen body
+   * @param {Object} state - State definition
+   * @param {Object} ctx - Request context
+   * @returns {string} - Body with options
+   */
+  withOptions(body, state, ctx) {
+    const options = (state.options || [])
+      .filter(opt => opt.label)
+      .map(opt => `${opt.key}. ${typeof opt.label === 'function' ? opt.label(ctx) : translate(ctx, opt.label)}`)
+      .join('\n');
+
+    if (!options) return body;
+    if (!body) return options;
+    return `${body}\n\n${options}`;
+  }
+
+  /**
+   * Convert an engine result to the gateway response shape, paginating long screens
+   * @param {Object} result - Engine result (screen or end)
+   * @param {Object} state - Current state
+   * @param {Object} ctx - Request context
+   * @returns {Object} - Menu response
+   */
+  toResponse(result, state, ctx) {
+    const pages = this.renderer.paginate(result.text, this.pageLabels(ctx));
+    const outcome = result.outcome || (result.kind === 'end' ? 'completed' : 'ok');
+
+    if (pages.length > 1) {
+      const pager = { pages, index: 0, final: result.kind === 'end', outcome };
+      return this.showPage(pager, { id: result.state || state.id }, ctx);
+    }
+
+    if (result.kind === 'end') {
+      return { text: `END ${result.text}`, continue: false, state: state.id, outcome };
+    }
+
+    return {
+      text: `CON ${result.text}`,
+      continue: true,
+      nextMenu: result.state || state.id,
+      sessionData: ctx.data,
+      state: result.state || state.id,
+      outcome
+    };
+  }
+
+  /**
+   * Move to the next or previous page of a paginated screen
+   * @param {Object} pager - Stored pager ({ pages, index, final })
+   * @param {string} input - NEXT_PAGE or PREV_PAGE
+   * @param {Object} state - Current state
+   * @param {Object} ctx - Request context
+   * @returns {Object} - Menu response
+   */
+  turnPage(pager, input, state, ctx) {
+    const step = input === NEXT_PAGE ? 1 : -1;
+    const index = Math.min(Math.max(pager.index + step, 0), pager.pages.length - 1);
+
+    return this.showPage({ ...pager, index }, state, ctx);
+  }
+
+  /**
+   * Render the current page of a paginated screen
+   * @param {Object} pager - Pager ({ pages, index, final })
+   * @param {Object} state - State the screen belongs to
+   * @param {Object} ctx - Request context
+   * @returns {Object} - Menu response
+   */
+  showPage(pager, state, ctx) {
+    const text = this.renderer.renderPage(pager.pages, pager.index, this.pageLabels(ctx));
+
+    // The last page of an END screen closes the session with the screen's outcome
+    if (pager.final && pager.index === pager.pages.length - 1) {
+      return { text: `END ${text}`, continue: false, state: state.id, outcome: pager.outcome || 'completed' };
+    }
+
+    ctx.data = { ...ctx.data, [PAGER_KEY]: pager };
+
+    return {
+      text: `CON ${text}`,
+      continue: true,
+      nextMenu: state.id,
+      sessionData: ctx.data,
+      state: state.id,
+      outcome: 'ok'
+    };
+  }
+
+  /**
+   * Get the translated page navigation labels
+   * @param {Object} ctx - Request context
+   * @returns {Object} - Labels ({ more, prev })
+   */
+  pageLabels(ctx) {
+    return { more: translate(ctx, 'menu.more'), prev: translate(ctx, 'menu.prev') };
+  }
+}
+
+module.exports = {
+  OUTCOMES,
+  MenuEngine,
+  end,
+  screen,
+  goto,
+  exitOption,
+  backOption
+};
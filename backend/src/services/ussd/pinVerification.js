@@ -0,0 +1,43 @@
+const AuthService = require('../authService');
+const { end, screen } = require('./menuEngine');
+
+/**
+ * Build a state that asks for the transaction PIN before a wallet operation
+ * @param {Object} options - State options
+ * @param {Function} options.onVerified - Runs the operation once the PIN is verified (ctx => result)
+ * @param {string} options.cancelled - Catalogue key shown when the user cancels
+ * @param {Object} options.resume - Resume definition for dropped sessions
+ * @returns {Object} - State definition
+ */
+function pinVerifyState({ onVerified, cancelled, resume }) {
+  return {
+    resume,
+    prompt: 'pin.prompt',
+    options: [
+      { key: '0', action: (ctx) => end(ctx.t(cancelled), { outcome: 'cancelled' }) }
+    ],
+    input: {
+      validate: (input) => ({ value: input }),
+      next: async (pin, ctx) => {
+        const verification = await AuthService.verifyTransactionPin(ctx.phoneNumber, pin);
+
+        if (!verification.success) {
+          if (verification.locked) {
+            return end(ctx.t('pin.locked', { minutes: verification.lockMinutes }), { outcome: 'failed' });
+          }
+          if (verification.attemptsRemaining !== undefined) {
+            return screen(ctx.t('pin.wrong', { count: verification.attemptsRemaining }), { outcome: 'invalid' });
+          }
+          return end(ctx.t('pin.error'), { outcome: 'failed' });
+        }
+
+        ctx.data = { ...ctx.data, authVerified: true };
+        return onVerified(ctx);
+      }
+    }
+  };
+}
+
+module.exports = {
+  pinVerifyState
+};
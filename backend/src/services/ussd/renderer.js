@@ -0,0 +1,166 @@
+const { detectEncoding, measure } = require('../../utils/encoding');
+
+// Gateways carry 160 octets per screen: 182 GSM-7 characters, or 80 UCS-2 characters
+// (any emoji, or letters such as Hausa ɓ/ƙ, switch the whole screen to UCS-2)
+const DEFAULT_MAX_LENGTH = parseInt(process.env.USSD_MAX_LENGTH) || 182;
+const DEFAULT_UCS2_MAX_LENGTH = parseInt(process.env.USSD_UCS2_MAX_LENGTH) || 80;
+
+const NEXT_PAGE = '98';
+const PREV_PAGE = '97';
+
+/**
+ * Remove leading and trailing blank lines (keeping indentation)
+ * @param {string} text - Page text
+ * @returns {string} - Trimmed text
+ */
+const trimBlankLines = (text) => text.replace(/^\n+|\s+$/g, '');
+
+/**
+ * Split a single line that is longer than the page budget, preferring word boundaries
+ * @param {string} line - Line to split
+ * @param {number} budget - Maximum length per piece
+ * @param {string} encoding - Encoding the screen is sent in
+ * @returns {Array<string>} - Line pieces
+ */
+function splitLine(line, budget, encoding) {
+  if (measure(line, encoding) <= budget) {
+    return [line];
+  }
+
+  const pieces = [];
+  let current = '';
+
+  for (const word of line.split(' ')) {
+    const candidate = current ? `${current} ${word}` : word;
+
+    if (measure(candidate, encoding) <= budget) {
+      current = candidate;
+      continue;
+    }
+
+    if (current) {
+      pieces.push(current);
+    }
+
+    // Hard-split words that cannot fit on a page by themselves
+    current = '';
+    for (const char of word) {
+      if (measure(current + char, encoding) > budget) {
+        pieces.push(current);
+        current = '';
+      }
+      current += char;
+    }
+  }
+
+  if (current) {
+    pieces.push(current);
+  }
+
+  return pieces;
+}
+
+/**
+ * Renders menu screens into gateway-sized pages.
+ *
+ * Pages are split on line boundaries; each page except the last gets a
+ * "98. More" link and each page except the first gets "97. Prev".
+ */
+class ScreenRenderer {
+  constructor({ maxLength = DEFAULT_MAX_LENGTH, ucs2MaxLength = DEFAULT_UCS2_MAX_LENGTH } = {}) {
+    this.maxLength = maxLength;
+    this.ucs2MaxLength = ucs2MaxLength;
+  }
+
+  /**
+   * Get the screen limit for an encoding
+   * @param {string} encoding - 'GSM-7' or 'UCS-2'
+   * @returns {number} - Maximum length in encoding units
+   */
+  limitFor(encoding) {
+    return encoding === 'UCS-2' ? this.ucs2MaxLength : this.maxLength;
+  }
+
+  /**
+   * Check whether a full payload fits on one screen
+   * @param {string} payload - Payload including the CON/END prefix
+   * @returns {boolean} - True if it fits
+   */
+  fits(payload) {
+    const encoding = detectEncoding(payload);
+    return measure(payload, encoding) <= this.limitFor(encoding);
+  }
+
+  /**
+   * Split a screen body into pages
+   * @param {string} body - Screen body (without the CON/END prefix)
+   * @param {Object} labels - Navigation labels ({ more, prev })
+   * @returns {Array<string>} - Page bodies (a single entry if no split is needed)
+   */
+  paginate(body, labels) {
+    if (this.fits(`END ${body}`)) {
+      return [body];
+    }
+
+    // Every page is budgeted in the body's encoding, reserving room for the prefix and both navigation links
+    const navigation = this.navigation(1, 3, labels);
+    const encoding = detectEncoding(`${body}${navigation}`);
+    const budget = this.limitFor(encoding) - measure(`CON ${navigation}`, encoding);
+    const lines = body.split('\n').flatMap(line => splitLine(line, budget, encoding));
+
+    const pages = [];
+    let current = '';
+
+    for (const line of lines) {
+      const candidate = current ? `${current}\n${line}` : line;
+
+      if (current && measure(candidate, encoding) > budget) {
+        pages.push(trimBlankLines(current));
+        current = line;
+      } else {
+        current = candidate;
+      }
+    }
+
+    pages.push(trimBlankLines(current));
+
+    return pages.filter(page => page.length > 0);
+  }
+
+  /**
+   * Build the navigation links for a page
+   * @param {number} index - Page index (0-based)
+   * @param {number} total - Total number of pages
+   * @param {Object} labels - Navigation labels ({ more, prev })
+   * @returns {string} - Navigation block (with leading blank line) or ''
+   */
+  navigation(index, total, labels) {
+    const links = [];
+
+    if (index < total - 1) {
+      links.push(`${NEXT_PAGE}. ${labels.more}`);
+    }
+    if (index > 0) {
+      links.push(`${PREV_PAGE}. ${labels.prev}`);
+    }
+
+    return links.length > 0 ? `\n\n${links.join('\n')}` : '';
+  }
+
+  /**
+   * Render one page of a paginated screen
+   * @param {Array<string>} pages - Page bodies
+   * @param {number} index - Page to render
+   * @param {Object} labels - Navigation labels ({ more, prev })
+   * @returns {string} - Page body with navigation links
+   */
+  renderPage(pages, index, labels) {
+    return `${pages[index]}${this.navigation(index, pages.length, labels)}`;
+  }
+}
+
+module.exports = {
+  ScreenRenderer,
+  NEXT_PAGE,
+  PREV_PAGE
+};
@@ -0,0 +1,102 @@
+const logger = require('../../utils/logger');
+const { USSDSessionEvent, USSDTransition } = require('../../db/models');
+
+const FLUSH_MS = parseInt(process.env.USSD_EVENT_FLUSH_MS) || 1000;
+// Events kept while Postgres is unavailable; the oldest are dropped beyond this
+const BUFFER_MAX = parseInt(process.env.USSD_EVENT_BUFFER_MAX) || 10000;
+const BATCH_SIZE = 500;
+
+/*
+ * Session lifecycle events (ussd_session_events) and menu transitions (ussd_transitions) are
+ * buffered and written in batches, so a USSD request never waits on Postgres for analytics
+ */
+class SessionEventLog {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.name - What is logged, for log messages
+   * @param {Function} options.write - Writes a batch, resolving to the number written
+   */
+  constructor({
+    name = 'USSD session events',
+    write = (events) => USSDSessionEvent.createMany(events),
+    flushMs = FLUSH_MS,
+    bufferMax = BUFFER_MAX
+  } = {}) {
+    this.name = name;
+    this.write = write;
+    this.flushMs = flushMs;
+    this.bufferMax = bufferMax;
+    this.buffer = [];
+    this.timer = null;
+    this.flushing = null;
+  }
+
+  /**
+   * Queue an event
+   * @param {Object} event - Row for the writer, e.g. { sessionId, phoneNumber, eventType, menu, step, reason, durationMs }
+   */
+  record(event) {
+    this.buffer.push({ ...event, createdAt: event.createdAt || new Date() });
+    this.trim();
+    this.schedule();
+  }
+
+  schedule() {
+    if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.flush().catch(() => {});
+      }, this.flushMs);
+      this.timer.unref();
+    }
+  }
+
+  trim() {
+    if (this.buffer.length > this.bufferMax) {
+      const dropped = this.buffer.length - this.bufferMax;
+      this.buffer.splice(0, dropped);
+      logger.warn(`${this.name} buffer full, dropped ${dropped}`);
+    }
+  }
+
+  /**
+   * Write every buffered event; on failure they go back in the buffer for the next flush
+   * @returns {Promise<number>} - Events written
+   */
+  async flush() {
+    if (this.flushing) {
+      await this.flushing;
+    }
+    if (this.buffer.length === 0) {
+      return 0;
+    }
+
+    const events = this.buffer.splice(0, this.buffer.length);
+    this.flushing = (async () => {
+      let written = 0;
+      try {
+        for (let i = 0; i < events.length; i += BATCH_SIZE) {
+          written += await this.write(events.slice(i, i + BATCH_SIZE));
+        }
+        return written;
+      } catch (error) {
+        this.buffer.unshift(...events.slice(written));
+        this.trim();
+        this.schedule();
+        logger.error(`Failed to write ${this.name}, ${events.length - written} requeued: ${error.message}`);
+        throw error;
+      } finally {
+        this.flushing = null;
+      }
+    })();
+
+    return this.flushing;
+  }
+}
+
+module.exports = new SessionEventLog();
+module.exports.transitions = new SessionEventLog({
+  name: 'USSD transitions',
+  write: (transitions) => USSDTransition.createMany(transitions)
+});
+module.exports.SessionEventLog = SessionEventLog;
@@ -0,0 +1,133 @@
+const logger = require('../../utils/logger');
+const sessionEvents = require('./sessionEvents');
+
+/*
+ * Session store adapters keep live USSD sessions and expire them on their own:
+ *   name, isConfigured(), create(session, ttlMs) -> { session, created }, get(sessionId, ttlMs),
+ *   update(sessionId, { currentMenu, sessionData }, ttlMs) -> session or null once expired,
+ *   remove(sessionId, ttlMs), list({ phoneNumber, limit }, ttlMs), prune() -> count
+ */
+const ADAPTERS = {
+  redis: require('./sessions/redisSessionStore'),
+  memory: require('./sessions/memorySessionStore')
+};
+
+// Matches the gateway's own session timeout, after which it stops sending input for a session
+const TTL_SECONDS = parseInt(process.env.USSD_SESSION_TTL_SECONDS) || 180;
+
+class SessionStore {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.adapter - Store adapter (default: USSD_SESSION_STORE, then redis)
+   * @param {number} options.ttlSeconds - Idle time after which a session expires
+   * @param {Object} options.events - Event log sessions are recorded to
+   */
+  constructor({ adapter = process.env.USSD_SESSION_STORE || 'redis', ttlSeconds = TTL_SECONDS, events = sessionEvents } = {}) {
+    this.adapterName = adapter;
+    this.ttlMs = ttlSeconds * 1000;
+    this.events = events;
+  }
+
+  get adapter() {
+    const adapter = ADAPTERS[this.adapterName];
+    if (!adapter) {
+      throw new Error(`Unknown USSD session store: ${this.adapterName}`);
+    }
+    if (!adapter.isConfigured()) {
+      throw new Error(`USSD session store ${this.adapterName} is not configured`);
+    }
+    return adapter;
+  }
+
+  /**
+   * Get a live session
+   * @param {string} sessionId - Gateway session id
+   * @returns {Promise<Object|null>} - Session, or null if unknown or expired
+   */
+  async get(sessionId) {
+    return this.adapter.get(sessionId, this.ttlMs);
+  }
+
+  /**
+   * Start a session; a retried first request gets the session it already started
+   * @param {Object} session - { sessionId, phoneNumber, currentMenu, sessionData }
+   * @returns {Promise<Object>} - Session
+   */
+  async create({ sessionId, phoneNumber, currentMenu = 'main', sessionData = {} }) {
+    const { session, created } = await this.adapter.create({ sessionId, phoneNumber, currentMenu, sessionData }, this.ttlMs);
+
+    if (created) {
+      this.events.record({ sessionId, phoneNumber, eventType: 'started', menu: currentMenu });
+    }
+    return session;
+  }
+
+  /**
+   * Save a session's next menu and data, extending its TTL
+   * @param {string} sessionId - Gateway session id
+   * @param {Object} changes - { currentMenu, sessionData }
+   * @returns {Promise<Object|null>} - Session, or null if it expired in the meantime
+   */
+  async update(sessionId, { currentMenu, sessionData = {} }) {
+    // Steps are recorded as transitions by ussdService, which knows where they came from
+    const session = await this.adapter.update(sessionId, { currentMenu, sessionData }, this.ttlMs);
+
+    if (!session) {
+      logger.warn(`USSD session ${sessionId} expired before it could be updated`);
+    }
+    return session;
+  }
+
+  /**
+   * End a session
+   * @param {string} sessionId - Gateway session id
+   * @param {string} reason - completed, timeout or operator
+   * @returns {Promise<Object|null>} - The ended session, or null if it was already gone
+   */
+  async end(sessionId, reason = 'completed') {
+    const session = await this.adapter.remove(sessionId, this.ttlMs);
+
+    if (session) {
+      this.events.record({
+        sessionId,
+        phoneNumber: session.phone_number,
+        eventType: 'ended',
+        menu: session.current_menu,
+        step: session.steps,
+        reason,
+        durationMs: Date.now() - session.created_at.getTime()
+      });
+    }
+    return session;
+  }
+
+  /**
+   * List live sessions, most recently active first
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array<Object>>} - Sessions
+   */
+  async list({ limit = 100 } = {}) {
+    return this.adapter.list({ limit }, this.ttlMs);
+  }
+
+  /**
+   * List a phone number's live sessions
+   * @param {string} phoneNumber - User's phone number
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array<Object>>} - Sessions
+   */
+  async listByPhone(phoneNumber, { limit = 10 } = {}) {
+    return this.adapter.list({ phoneNumber, limit }, this.ttlMs);
+  }
+
+  /**
+   * Drop bookkeeping for sessions that expired
+   * @returns {Promise<number>} - Entries pruned
+   */
+  async pruneExpired() {
+    return this.adapter.prune();
+  }
+}
+
+module.exports = new SessionStore();
+module.exports.SessionStore = SessionStore;
@@ -0,0 +1,96 @@
+// Sessions held by this process only (for local development and tests); several instances
+// behind a load balancer would each see a different set
+const sessions = new Map();
+
+const isLive = (stored) => stored && stored.expiresAt > Date.now();
+
+function toSession(stored) {
+  return {
+    session_id: stored.sessionId,
+    phone_number: stored.phoneNumber,
+    current_menu: stored.currentMenu,
+    session_data: JSON.parse(stored.sessionData),
+    steps: stored.steps,
+    created_at: new Date(stored.createdAt),
+    updated_at: new Date(stored.updatedAt),
+    expires_at: new Date(stored.expiresAt)
+  };
+}
+
+module.exports = {
+  name: 'memory',
+  sessions,
+
+  isConfigured() {
+    return process.env.NODE_ENV !== 'production';
+  },
+
+  async create({ sessionId, phoneNumber, currentMenu, sessionData }, ttlMs) {
+    const existing = sessions.get(sessionId);
+    if (isLive(existing)) {
+      return { session: toSession(existing), created: false };
+    }
+
+    const now = Date.now();
+    const stored = {
+      sessionId,
+      phoneNumber,
+      currentMenu,
+      // Stored serialized, like Redis, so callers never share an object with the store
+      sessionData: JSON.stringify(sessionData),
+      steps: 0,
+      createdAt: now,
+      updatedAt: now,
+      expiresAt: now + ttlMs
+    };
+    sessions.set(sessionId, stored);
+    return { session: toSession(stored), created: true };
+  },
+
+  async get(sessionId) {
+    const stored = sessions.get(sessionId);
+    return isLive(stored) ? toSession(stored) : null;
+  },
+
+  async update(sessionId, { currentMenu, sessionData }, ttlMs) {
+    const stored = sessions.get(sessionId);
+    if (!isLive(stored)) {
+      return null;
+    }
+
+    const now = Date.now();
+    Object.assign(stored, {
+      currentMenu,
+      sessionData: JSON.stringify(sessionData),
+      steps: stored.steps + 1,
+      updatedAt: now,
+      expiresAt: now + ttlMs
+    });
+    return toSession(stored);
+  },
+
+  async remove(sessionId) {
+    const stored = sessions.get(sessionId);
+    sessions.delete(sessionId);
+    return isLive(stored) ? toSession(stored) : null;
+  },
+
+  async list({ phoneNumber = null, limit = 100 }) {
+    return [...sessions.values()]
+      .filter(stored => isLive(stored) && (!phoneNumber || stored.phoneNumber === phoneNumber))
+      .sort((a, b) => b.expiresAt - a.expiresAt)
+      .slice(0, limit)
+      .map(toSession);
+  },
+
+  async prune() {
+    let pruned = 0;
+    for (const [sessionId, stored] of sessions) {
+      if (!isLive(stored)) {
+        sessions.delete(sessionId);
+        pruned++;
+      }
+    }
+    return pruned;
+  }
+};
@@ -0,0 +1,160 @@
+const redisClient = require('../../../db/redisClient');
+
+// ussd:session:<id> is a hash per session; ussd:sessions and ussd:sessions:<phone> index session ids
+// by expiry time so live sessions can be listed. Every key expires with the session.
+const SESSION_PREFIX = 'ussd:session:';
+const INDEX_KEY = 'ussd:sessions';
+const PHONE_INDEX_PREFIX = 'ussd:sessions:';
+
+// Scripts run atomically, so concurrent requests for a session never interleave a read and a write
+const CREATE_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return {0, redis.call('HGETALL', KEYS[1])}
+end
+redis.call('HSET', KEYS[1], 'session_id', ARGV[1], 'phone_number', ARGV[2], 'current_menu', ARGV[3],
+  'session_data', ARGV[4], 'steps', '0', 'created_at', ARGV[5], 'updated_at', ARGV[5])
+redis.call('PEXPIRE', KEYS[1], ARGV[6])
+redis.call('ZADD', KEYS[2], ARGV[7], ARGV[1])
+redis.call('ZADD', KEYS[3], ARGV[7], ARGV[1])
+redis.call('PEXPIRE', KEYS[3], ARGV[6])
+return {1, redis.call('HGETALL', KEYS[1])}
+`;
+
+// An expired session is not brought back by a late request
+const UPDATE_SCRIPT = `
+local phone = redis.call('HGET', KEYS[1], 'phone_number')
+if not phone then
+  return nil
+end
+redis.call('HSET', KEYS[1], 'current_menu', ARGV[2], 'session_data', ARGV[3], 'updated_at', ARGV[4])
+redis.call('HINCRBY', KEYS[1], 'steps', 1)
+redis.call('PEXPIRE', KEYS[1], ARGV[5])
+redis.call('ZADD', KEYS[2], ARGV[6], ARGV[1])
+redis.call('ZADD', ARGV[7] .. phone, ARGV[6], ARGV[1])
+redis.call('PEXPIRE', ARGV[7] .. phone, ARGV[5])
+return redis.call('HGETALL', KEYS[1])
+`;
+
+const REMOVE_SCRIPT = `
+redis.call('ZREM', KEYS[2], ARGV[1])
+local phone = redis.call('HGET', KEYS[1], 'phone_number')
+if not phone then
+  return nil
+end
+local fields = redis.call('HGETALL', KEYS[1])
+redis.call('DEL', KEYS[1])
+redis.call('ZREM', ARGV[2] .. phone, ARGV[1])
+return fields
+`;
+
+/**
+ * Turn a session hash (object or flat HGETALL reply) into a session
+ * @param {Object|Array} hash - Stored fields
+ * @param {number} ttlMs - Session TTL
+ * @returns {Object|null} - { session_id, phone_number, current_menu, session_data, steps, created_at, updated_at, expires_at }
+ */
+function toSession(hash, ttlMs) {
+  let fields = hash;
+  if (Array.isArray(hash)) {
+    fields = {};
+    for (let i = 0; i < hash.length; i += 2) {
+      fields[hash[i]] = hash[i + 1];
+    }
+  }
+  if (!fields || !fields.session_id) {
+    return null;
+  }
+
+  const updatedAt = parseInt(fields.updated_at);
+  return {
+    session_id: fields.session_id,
+    phone_number: fields.phone_number,
+    current_menu: fields.current_menu,
+    session_data: JSON.parse(fields.session_data || '{}'),
+    steps: parseInt(fields.steps) || 0,
+    created_at: new Date(parseInt(fields.created_at)),
+    updated_at: new Date(updatedAt),
+    expires_at: new Date(updatedAt + ttlMs)
+  };
+}
+
+async function client() {
+  await redisClient.connect();
+  return redisClient.client;
+}
+
+module.exports = {
+  name: 'redis',
+
+  isConfigured() {
+    return true;
+  },
+
+  /**
+   * Create a session unless one with this id is already live
+   * @param {Object} session - { sessionId, phoneNumber, currentMenu, sessionData }
+   * @param {number} ttlMs - Session TTL
+   * @returns {Promise<Object>} - { session, created }
+   */
+  async create({ sessionId, phoneNumber, currentMenu, sessionData }, ttlMs) {
+    const now = Date.now();
+    const [created, fields] = await (await client()).eval(CREATE_SCRIPT, {
+      keys: [SESSION_PREFIX + sessionId, INDEX_KEY, PHONE_INDEX_PREFIX + phoneNumber],
+      arguments: [sessionId, phoneNumber, currentMenu, JSON.stringify(sessionData), String(now), String(ttlMs), String(now + ttlMs)]
+    });
+    return { session: toSession(fields, ttlMs), created: created === 1 };
+  },
+
+  async get(sessionId, ttlMs) {
+    return toSession(await (await client()).hGetAll(SESSION_PREFIX + sessionId), ttlMs);
+  },
+
+  /**
+   * Move a live session to its next menu and extend its TTL
+   * @param {string} sessionId - Gateway session id
+   * @param {Object} changes - { currentMenu, sessionData }
+   * @param {number} ttlMs - Session TTL
+   * @returns {Promise<Object|null>} - Updated session, or null if it had expired
+   */
+  async update(sessionId, { currentMenu, sessionData }, ttlMs) {
+    const now = Date.now();
+    const fields = await (await client()).eval(UPDATE_SCRIPT, {
+      keys: [SESSION_PREFIX + sessionId, INDEX_KEY],
+      arguments: [sessionId, currentMenu, JSON.stringify(sessionData), String(now), String(ttlMs), String(now + ttlMs), PHONE_INDEX_PREFIX]
+    });
+    return toSession(fields, ttlMs);
+  },
+
+  async remove(sessionId, ttlMs) {
+    const fields = await (await client()).eval(REMOVE_SCRIPT, {
+      keys: [SESSION_PREFIX + sessionId, INDEX_KEY],
+      arguments: [sessionId, PHONE_INDEX_PREFIX]
+    });
+    return toSession(fields, ttlMs);
+  },
+
+  /**
+   * List live sessions, most recently active first
+   * @param {Object} options - { phoneNumber, limit }
+   * @param {number} ttlMs - Session TTL
+   * @returns {Promise<Array<Object>>} - Sessions
+   */
+  async list({ phoneNumber = null, limit = 100 }, ttlMs) {
+    const redis = await client();
+    const index = phoneNumber ? PHONE_INDEX_PREFIX + phoneNumber : INDEX_KEY;
+
+    await redis.zRemRangeByScore(index, '-inf', Date.now());
+    const ids = await redis.zRange(index, '+inf', '-inf', { BY: 'SCORE', REV: true, LIMIT: { offset: 0, count: limit } });
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const hashes = await Promise.all(ids.map(id => redis.hGetAll(SESSION_PREFIX + id)));
+    return hashes.map(hash => toSession(hash, ttlMs)).filter(Boolean);
+  },
+
+  // Drop index entries of sessions that expired; the sessions themselves expire on their own
+  async prune() {
+    return (await client()).zRemRangeByScore(INDEX_KEY, '-inf', Date.now());
+  }
+};
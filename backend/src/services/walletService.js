@@ -1,6 +1,9 @@
 const { ethers } = require('ethers');
 const logger = require('../utils/logger');
 const { User } = require('../db/models');
+const ledgerService = require('./ledgerService');
+const hdWallet = require('./keys/hdWallet');
+const TxManager = require('./txManager');
 
 // ZrUSD Contract ABI (simplified)
 const ZrUSD_ABI = [
@@ -31,6 +34,9 @@ class WalletService {
       ZrUSD_ABI,
       this.masterWallet
     );
+
+    // Every master wallet transaction goes through here for its nonce
+    this.txManager = new TxManager(this.masterWallet);
   }
 
   /**
@@ -46,20 +52,42 @@ class WalletService {
         return user;
       }
 
-      // Generate new wallet
-      const wallet = ethers.Wallet.createRandom();
-      
-      // Create user in database
-      user = await User.create({
-        phoneNumber,
-        walletAddress: wallet.address,
-        createdAt: new Date()
-      });
+      // Derive the wallet from the master seed; only its index is stored
+      if (hdWallet.isEnabled()) {
+        const walletIndex = await User.nextWalletIndex();
+        user = await User.create({
+          phoneNumber,
+          walletAddress: hdWallet.deriveAddress(walletIndex),
+          walletIndex,
+          createdAt: new Date()
+        });
+
+        logger.info(`Created wallet for ${phoneNumber}: ${user.wallet_address} (${hdWallet.path(walletIndex)})`);
+      } else {
+        // No seed configured: random wallet with its key in wallet_keys
+        const wallet = ethers.Wallet.createRandom();
+
+        // Create user in database
+        user = await User.create({
+          phoneNumber,
+          walletAddress: wallet.address,
+          createdAt: new Date()
+        });
 
-      // Store encrypted private key (in production, use proper key management)
-      await this.storePrivateKey(phoneNumber, wallet.privateKey);
+        // Store the private key under envelope encryption
+        await this.storePrivateKey(phoneNumber, wallet.privateKey);
+
+        logger.info(`Created wallet for ${phoneNumber}: ${wallet.address}`);
+      }
+
+      // Money sent to the number before it registered; a failed payout leaves the claim pending
+      try {
+        const transferClaimService = require('./transferClaimService');
+        await transferClaimService.claimPending(phoneNumber);
+      } catch (error) {
+        logger.error(`Error crediting transfer claims for ${phoneNumber}:`, error);
+      }
 
-      logger.info(`Created wallet for ${phoneNumber}: ${wallet.address}`);
       return user;
     } catch (error) {
       logger.error('Error creating user wallet:', error);
@@ -70,7 +98,7 @@ class WalletService {
   /**
    * Get user's wallet
    * @param {string} phoneNumber - User's phone number
-   * @returns {Promise<ethers.Wallet>} - User's wallet
+   * @returns {Promise<ethers.Signer>} - User's wallet
    */
   async getUserWallet(phoneNumber) {
     try {
@@ -79,6 +107,10 @@ class WalletService {
         throw new Error('User not found');
       }
 
+      if (user.wallet_index !== null && user.wallet_index !== undefined) {
+        return hdWallet.signerFor(user.wallet_index, this.provider);
+      }
+
       const privateKey = await this.getPrivateKey(phoneNumber);
       return new ethers.Wallet(privateKey, this.provider);
     } catch (error) {
@@ -108,12 +140,13 @@ class WalletService {
   }
 
   /**
-   * Mint ZrUSD tokens to user's wallet
+   * Mint ZrUSD tokens to user's wallet and credit it in the ledger
    * @param {string} phoneNumber - User's phone number
    * @param {string} amount - Amount to mint
+   * @param {string} transactionId - Related transaction record (optional)
    * @returns {Promise<Object>} - Transaction result
    */
-  async mintZrUSD(phoneNumber, amount) {
+  async mintZrUSD(phoneNumber, amount, transactionId = null) {
     try {
       const user = await User.findByPhone(phoneNumber);
       if (!user) {
@@ -123,18 +156,20 @@ class WalletService {
       const amountWei = ethers.parseEther(amount.toString());
       
       // Mint tokens using master wallet
-      const tx = await this.zrUSDContract.mint(user.wallet_address, amountWei);
-      await tx.wait();
+      const request = await this.zrUSDContract.mint.populateTransaction(user.wallet_address, amountWei);
+      const tx = await this.txManager.send(request, { transactionId, purpose: 'mint' });
+      const receipt = await tx.wait();
 
-      // Update user balance in database
-      const newBalance = await this.getZrUSDBalance(phoneNumber);
-      await User.updateBalance(phoneNumber, newBalance);
+      const { balance: newBalance } = await ledgerService.recordMint(phoneNumber, parseFloat(amount), {
+        txHash: receipt.hash,
+        transactionId
+      });
 
       logger.info(`Minted ${amount} ZrUSD to ${phoneNumber} (${user.wallet_address})`);
       
       return {
         success: true,
-        txHash: tx.hash,
+        txHash: receipt.hash,
         amount,
         newBalance
       };
@@ -145,12 +180,13 @@ class WalletService {
   }
 
   /**
-   * Burn ZrUSD tokens from user's wallet
+   * Burn ZrUSD tokens from user's wallet; the ledger is debited first and reversed if the burn fails
    * @param {string} phoneNumber - User's phone number
    * @param {string} amount - Amount to burn
+   * @param {string} transactionId - Related transaction record (optional)
    * @returns {Promise<Object>} - Transaction result
    */
-  async burnZrUSD(phoneNumber, amount) {
+  async burnZrUSD(phoneNumber, amount, transactionId = null) {
     try {
       const user = await User.findByPhone(phoneNumber);
       if (!user) {
@@ -158,20 +194,27 @@ class WalletService {
       }
 
       const amountWei = ethers.parseEther(amount.toString());
-      
-      // Burn tokens using master wallet
-      const tx = await this.zrUSDContract.burn(user.wallet_address, amountWei);
-      await tx.wait();
 
-      // Update user balance in database
-      const newBalance = await this.getZrUSDBalance(phoneNumber);
-      await User.updateBalance(phoneNumber, newBalance);
+      // Fails with an insufficient balance error before anything is burned
+      const entry = await ledgerService.recordBurn(phoneNumber, parseFloat(amount), { transactionId });
+      const newBalance = entry.balance;
+
+      // Burn tokens using master wallet
+      let receipt;
+      try {
+        const request = await this.zrUSDContract.burn.populateTransaction(user.wallet_address, amountWei);
+        const tx = await this.txManager.send(request, { transactionId, purpose: 'burn' });
+        receipt = await tx.wait();
+      } catch (error) {
+        await ledgerService.reverse(entry.entryId, `Burn failed: ${error.message}`);
+        throw error;
+      }
 
       logger.info(`Burned ${amount} ZrUSD from ${phoneNumber} (${user.wallet_address})`);
       
       return {
         success: true,
-        txHash: tx.hash,
+        txHash: receipt.hash,
         amount,
         newBalance
       };
@@ -182,13 +225,14 @@ class WalletService {
   }
 
   /**
-   * Transfer ZrUSD between users
+   * Transfer ZrUSD between users; the gas relayer pays the gas and charges it back in ZrUSD
    * @param {string} fromPhone - Sender's phone number
    * @param {string} toPhone - Recipient's phone number
    * @param {string} amount - Amount to transfer
-   * @returns {Promise<Object>} - Transaction result
+   * @param {string} transactionId - Related transaction record (optional)
+   * @returns {Promise<Object>} - Transaction result with the gas fee charged
    */
-  async transferZrUSD(fromPhone, toPhone, amount) {
+  async transferZrUSD(fromPhone, toPhone, amount, transactionId = null) {
     try {
       const fromUser = await User.findByPhone(fromPhone);
       const toUser = await User.findByPhone(toPhone);
@@ -197,31 +241,26 @@ class WalletService {
         throw new Error('User not found');
       }
 
-      // Get sender's wallet
-      const senderWallet = await this.getUserWallet(fromPhone);
-      const zrUSDWithSigner = this.zrUSDContract.connect(senderWallet);
-
+      const gasRelayer = require('./gas/gasRelayer');
       const amountWei = ethers.parseEther(amount.toString());
       
       // Transfer tokens
-      const tx = await zrUSDWithSigner.transfer(toUser.wallet_address, amountWei);
-      await tx.wait();
-
-      // Update balances in database
-      const fromBalance = await this.getZrUSDBalance(fromPhone);
-      const toBalance = await this.getZrUSDBalance(toPhone);
-      
-      await User.updateBalance(fromPhone, fromBalance);
-      await User.updateBalance(toPhone, toBalance);
+      const { txHash, fee: gasFee } = await gasRelayer.transfer(
+        fromPhone,
+        this.zrUSDContract.target,
+        toUser.wallet_address,
+        amountWei,
+        { transactionId }
+      );
 
       logger.info(`Transferred ${amount} ZrUSD from ${fromPhone} to ${toPhone}`);
-      
+
+      // Balances are posted to the ledger by the caller, which also records the fee
       return {
         success: true,
-        txHash: tx.hash,
+        txHash,
         amount,
-        fromBalance,
-        toBalance
+        gasFee
       };
     } catch (error) {
       logger.error('Error transferring ZrUSD:', error);
@@ -230,72 +269,107 @@ class WalletService {
   }
 
   /**
-   * Store encrypted private key (simplified - use proper key management in production)
-   * @param {string} phoneNumber - User's phone number
-   * @param {string} privateKey - Private key to store
+   * Move ZrUSD from a user's wallet to the custody address (the master wallet), where
+   * transfers to unregistered numbers are held; the gas relayer pays the gas
+   * @param {string} fromPhone - Sender's phone number
+   * @param {string} amount - Amount to hold
+   * @param {string} transactionId - Related transaction record (optional)
+   * @returns {Promise<Object>} - Transaction result with the gas fee charged
    */
-  async storePrivateKey(phoneNumber, privateKey) {
+  async transferToCustody(fromPhone, amount, transactionId = null) {
     try {
-      const redisClient = require('../db/redisClient');
-      
-      // In production, encrypt the private key before storing
-      const encryptedKey = this.encryptPrivateKey(privateKey);
-      await redisClient.set(`wallet:${phoneNumber}`, encryptedKey);
+      const gasRelayer = require('./gas/gasRelayer');
+      const amountWei = ethers.parseEther(amount.toString());
+
+      const { txHash, fee: gasFee } = await gasRelayer.transfer(
+        fromPhone,
+        this.zrUSDContract.target,
+        this.masterWallet.address,
+        amountWei,
+        { transactionId }
+      );
+
+      logger.info(`Moved ${amount} ZrUSD from ${fromPhone} to custody`);
+
+      // Balances are posted to the ledger by the caller
+      return {
+        success: true,
+        txHash,
+        amount,
+        gasFee
+      };
     } catch (error) {
-      logger.error('Error storing private key:', error);
+      logger.error('Error moving ZrUSD to custody:', error);
       throw error;
     }
   }
 
   /**
-   * Get private key for user
-   * @param {string} phoneNumber - User's phone number
-   * @returns {Promise<string>} - Private key
+   * Pay ZrUSD held in custody out to a user's wallet
+   * @param {string} toPhone - Recipient's phone number
+   * @param {string} amount - Amount to pay out
+   * @param {string} transactionId - Related transaction record (optional)
+   * @param {string} purpose - Outgoing transaction purpose (claim_payout or claim_refund)
+   * @returns {Promise<Object>} - Transaction result. Errors raised after a broadcast carry its txHash.
    */
-  async getPrivateKey(phoneNumber) {
+  async releaseFromCustody(toPhone, amount, transactionId = null, purpose = 'claim_payout') {
     try {
-      const redisClient = require('../db/redisClient');
-      
-      const encryptedKey = await redisClient.get(`wallet:${phoneNumber}`);
-      if (!encryptedKey) {
-        throw new Error('Private key not found');
+      const user = await User.findByPhone(toPhone);
+      if (!user) {
+        throw new Error('User not found');
       }
 
-      return this.decryptPrivateKey(encryptedKey);
+      const amountWei = ethers.parseEther(amount.toString());
+      const request = await this.zrUSDContract.transfer.populateTransaction(user.wallet_address, amountWei);
+      const tx = await this.txManager.send(request, { transactionId, purpose });
+      const receipt = await tx.wait().catch((error) => {
+        // Broadcast already: the payout may still land, so callers must not treat it as unsent
+        error.txHash = tx.hash;
+        throw error;
+      });
+
+      logger.info(`Released ${amount} ZrUSD from custody to ${toPhone} (${user.wallet_address})`);
+
+      // Balances are posted to the ledger by the caller
+      return {
+        success: true,
+        txHash: receipt.hash,
+        amount
+      };
     } catch (error) {
-      logger.error('Error getting private key:', error);
+      logger.error('Error releasing ZrUSD from custody:', error);
       throw error;
     }
   }
 
   /**
-   * Encrypt private key (simplified - use proper encryption in production)
-   * @param {string} privateKey - Private key to encrypt
-   * @returns {string} - Encrypted private key
+   * Store a user's private key (envelope-encrypted in Postgres by the key manager)
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} privateKey - Private key to store
    */
-  encryptPrivateKey(privateKey) {
-    // In production, use proper encryption like AES-256
-    // This is a simplified example
-    const crypto = require('crypto');
-    const cipher = crypto.createCipher('aes192', process.env.ENCRYPTION_KEY || 'default-key');
-    let encrypted = cipher.update(privateKey, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    return encrypted;
+  async storePrivateKey(phoneNumber, privateKey) {
+    try {
+      const keyManager = require('./keys/keyManager');
+      await keyManager.storePrivateKey(phoneNumber, new ethers.Wallet(privateKey).address, privateKey);
+    } catch (error) {
+      logger.error('Error storing private key:', error);
+      throw error;
+    }
   }
 
   /**
-   * Decrypt private key (simplified - use proper decryption in production)
-   * @param {string} encryptedKey - Encrypted private key
-   * @returns {string} - Decrypted private key
+   * Get private key for user
+   * @param {string} phoneNumber - User's phone number
+   * @returns {Promise<string>} - Private key
    */
-  decryptPrivateKey(encryptedKey) {
-    // In production, use proper decryption like AES-256
-    // This is a simplified example
-    const crypto = require('crypto');
-    const decipher = crypto.createDecipher('aes192', process.env.ENCRYPTION_KEY || 'default-key');
-    let decrypted = decipher.update(encryptedKey, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    return decrypted;
+  async getPrivateKey(phoneNumber) {
+    try {
+      const keyManager = require('./keys/keyManager');
+      return await keyManager.getPrivateKey(phoneNumber);
+    } catch (error) {
+      logger.error('Error getting private key:', error);
+      throw error;
+    }
   }
 
   /**
@@ -1 +1,52 @@
-// Fetch price from Chainlink (mock)
+// Fetch prices from Chainlink AggregatorV3 price feeds
+const { ethers } = require('ethers');
+
+const AGGREGATOR_V3_ABI = [
+  'function decimals() external view returns (uint8)',
+  'function description() external view returns (string)',
+  'function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+];
+
+let provider = null;
+
+/**
+ * Get the shared JSON-RPC provider for feed reads
+ * @returns {ethers.JsonRpcProvider} - Provider
+ */
+function getProvider() {
+  if (!provider) {
+    provider = new ethers.JsonRpcProvider(process.env.CHAINLINK_RPC_URL || process.env.ETHEREUM_RPC_URL);
+  }
+  return provider;
+}
+
+/**
+ * Read the latest answer of a Chainlink price feed
+ * @param {string} feedAddress - Aggregator contract address
+ * @returns {Promise<Object>} - { price, updatedAt, roundId, description }
+ */
+async function fetchChainlinkPrice(feedAddress) {
+  const feed = new ethers.Contract(feedAddress, AGGREGATOR_V3_ABI, getProvider());
+
+  const [decimals, description, round] = await Promise.all([
+    feed.decimals(),
+    feed.description(),
+    feed.latestRoundData()
+  ]);
+
+  if (round.answer <= 0n) {
+    throw new Error(`Chainlink feed ${description} returned a non-positive answer`);
+  }
+  if (round.answeredInRound < round.roundId) {
+    throw new Error(`Chainlink feed ${description} answer is from an earlier round`);
+  }
+
+  return {
+    price: parseFloat(ethers.formatUnits(round.answer, decimals)),
+    updatedAt: new Date(Number(round.updatedAt) * 1000),
+    roundId: round.roundId.toString(),
+    description
+  };
+}
+
+module.exports = { fetchChainlinkPrice };
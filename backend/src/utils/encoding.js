@@ -0,0 +1,177 @@
+// GSM 03.38 character sets used by USSD and SMS gateways
+
+// Basic GSM-7 alphabet (one septet each)
+const GSM7_BASIC = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+
+// Extension table characters (escape + character = two septets each)
+const GSM7_EXTENDED = new Set('^{}\\[~]|€\f');
+
+// Units per SMS: a single message, or each part of a concatenated one (the rest carries the UDH)
+const SEGMENT_SIZES = {
+  'GSM-7': { single: 160, multipart: 153 },
+  'UCS-2': { single: 70, multipart: 67 }
+};
+
+// GSM-7 substitutes for characters our templates and locales use that are outside the alphabet
+const GSM7_SUBSTITUTES = {
+  '•': '-',
+  '–': '-',
+  '—': '-',
+  '‘': "'",
+  '’': "'",
+  'ʼ': "'",
+  '“': '"',
+  '”': '"',
+  '…': '...',
+  'ç': 'Ç',
+  'ɓ': 'b',
+  'Ɓ': 'B',
+  'ɗ': 'd',
+  'Ɗ': 'D',
+  'ƙ': 'k',
+  'Ƙ': 'K',
+  'ƴ': 'y',
+  'Ƴ': 'Y'
+};
+
+// Emoji (with an optional variation selector, joiners and one trailing space) are dropped
+const EMOJI = /(?:\p{Extended_Pictographic}|\uFE0F|\u200D)+ ?/gu;
+
+/**
+ * Check whether a character can be sent in GSM-7
+ * @param {string} char - Single character (code point)
+ * @returns {boolean} - True if the character is in the basic or extended table
+ */
+function isGsm7Char(char) {
+  return GSM7_BASIC.has(char) || GSM7_EXTENDED.has(char);
+}
+
+/**
+ * Detect the encoding a gateway will use for a text
+ * @param {string} text - Message text
+ * @returns {string} - 'GSM-7' or 'UCS-2'
+ */
+function detectEncoding(text) {
+  for (const char of String(text)) {
+    if (!isGsm7Char(char)) {
+      return 'UCS-2';
+    }
+  }
+  return 'GSM-7';
+}
+
+/**
+ * Measure a text in units of its encoding
+ * (septets for GSM-7, UTF-16 code units for UCS-2)
+ * @param {string} text - Message text
+ * @param {string} encoding - Encoding to measure in (detected when omitted)
+ * @returns {number} - Length in encoding units
+ */
+function measure(text, encoding = detectEncoding(text)) {
+  const value = String(text);
+
+  if (encoding === 'UCS-2') {
+    return value.length;
+  }
+
+  let units = 0;
+  for (const char of value) {
+    units += GSM7_EXTENDED.has(char) ? 2 : 1;
+  }
+  return units;
+}
+
+/**
+ * Count the billed segments of a text
+ * @param {string} text - Message text
+ * @param {string} encoding - Encoding to count in (detected when omitted)
+ * @returns {Object} - { encoding, units, segments }
+ */
+function countSegments(text, encoding = detectEncoding(text)) {
+  const { single, multipart } = SEGMENT_SIZES[encoding];
+  const units = measure(text, encoding);
+
+  if (units <= single) {
+    return { encoding, units, segments: units === 0 ? 0 : 1 };
+  }
+
+  // Gateways never split an escape sequence or surrogate pair across parts, so fill part by part
+  let segments = 1;
+  let used = 0;
+  for (const char of String(text)) {
+    const size = measure(char, encoding);
+    if (used + size > multipart) {
+      segments++;
+      used = 0;
+    }
+    used += size;
+  }
+
+  return { encoding, units, segments };
+}
+
+/**
+ * Cut a text down to at most a number of segments
+ * @param {string} text - Message text
+ * @param {number} maxSegments - Segment budget
+ * @param {string} ellipsis - Appended when the text is cut (default: '...')
+ * @returns {string} - Text that fits the budget
+ */
+function truncateToSegments(text, maxSegments, ellipsis = '...') {
+  const encoding = detectEncoding(text);
+  if (countSegments(text, encoding).segments <= maxSegments) {
+    return String(text);
+  }
+
+  const { single, multipart } = SEGMENT_SIZES[encoding];
+  const budget = (maxSegments <= 1 ? single : multipart * maxSegments) - measure(ellipsis, encoding);
+
+  let result = '';
+  let used = 0;
+  for (const char of String(text)) {
+    const size = measure(char, encoding);
+    if (used + size > budget) {
+      break;
+    }
+    result += char;
+    used += size;
+  }
+
+  return result.trimEnd() + ellipsis;
+}
+
+/**
+ * Replace characters outside GSM-7 with safe substitutes, so the text is sent as GSM-7
+ * (emoji are dropped, accents outside the alphabet are removed, anything else becomes '?')
+ * @param {string} text - Message text
+ * @returns {string} - GSM-7 text
+ */
+function toGsm7(text) {
+  let result = '';
+
+  for (const char of String(text).replace(EMOJI, '')) {
+    if (isGsm7Char(char)) {
+      result += char;
+    } else if (GSM7_SUBSTITUTES[char]) {
+      result += GSM7_SUBSTITUTES[char];
+    } else {
+      const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+      result += base && [...base].every(isGsm7Char) ? base : '?';
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  SEGMENT_SIZES,
+  isGsm7Char,
+  detectEncoding,
+  measure,
+  countSegments,
+  truncateToSegments,
+  toGsm7
+};
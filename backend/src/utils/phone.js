@@ -0,0 +1,113 @@
+// Countries we serve, by international dialing code: ISO 3166-1 code, name, digits after the
+// dialing code (without the leading 0 dialed locally), local currency and default language.
+// This is the one country table; validation, currencies and i18n defaults all read it.
+const COUNTRIES = {
+  '254': { code: 'KE', name: 'Kenya', nationalLength: 9, currency: 'KES', locale: 'en' },
+  '255': { code: 'TZ', name: 'Tanzania', nationalLength: 9, currency: 'TZS', locale: 'sw' },
+  '256': { code: 'UG', name: 'Uganda', nationalLength: 9, currency: 'UGX', locale: 'en' },
+  '234': { code: 'NG', name: 'Nigeria', nationalLength: 10, currency: 'NGN', locale: 'en' },
+  '233': { code: 'GH', name: 'Ghana', nationalLength: 9, currency: 'GHS', locale: 'en' },
+  '260': { code: 'ZM', name: 'Zambia', nationalLength: 9, currency: 'ZMW', locale: 'en' },
+  '265': { code: 'MW', name: 'Malawi', nationalLength: 9, currency: 'MWK', locale: 'ny' },
+  '227': { code: 'NE', name: 'Niger', nationalLength: 8, currency: 'XOF', locale: 'ha' },
+  '221': { code: 'SN', name: 'Senegal', nationalLength: 9, currency: 'XOF', locale: 'fr' },
+  '225': { code: 'CI', name: "Côte d'Ivoire", nationalLength: 10, currency: 'XOF', locale: 'fr' },
+  '237': { code: 'CM', name: 'Cameroon', nationalLength: 9, currency: 'XAF', locale: 'fr' },
+  '243': { code: 'CD', name: 'DR Congo', nationalLength: 9, currency: 'CDF', locale: 'fr' }
+};
+
+// ISO country code by dialing code
+const COUNTRY_CODES = Object.fromEntries(
+  Object.entries(COUNTRIES).map(([dialingCode, country]) => [dialingCode, country.code])
+);
+
+// Local currency by ISO country code
+const CURRENCIES = Object.fromEntries(
+  Object.values(COUNTRIES).map(country => [country.code, country.currency])
+);
+
+/**
+ * Get the dialing code of an international phone number
+ * @param {string} digits - Phone number digits
+ * @returns {string|null} - Dialing code, or null if not a country we serve
+ */
+const dialingCode = (digits) => Object.keys(COUNTRIES).find(prefix => digits.startsWith(prefix)) || null;
+
+/**
+ * Look up the country of an international phone number
+ * @param {string} phoneNumber - Phone number (any format, with country code)
+ * @returns {Object|null} - { dialingCode, code, name, nationalLength, currency, locale }, or null if not a country we serve
+ */
+function countryInfo(phoneNumber) {
+  const code = dialingCode(String(phoneNumber || '').replace(/\D/g, ''));
+  return code ? { dialingCode: code, ...COUNTRIES[code] } : null;
+}
+
+/**
+ * Check that a number in international format has the right length for its country
+ * @param {string} digits - Phone number digits, with country code
+ * @returns {boolean} - True if it is a complete number in a country we serve
+ */
+function isValidNumber(digits) {
+  const code = dialingCode(digits);
+  return Boolean(code) && digits.length === code.length + COUNTRIES[code].nationalLength;
+}
+
+/**
+ * Get the country of an international phone number
+ * @param {string} phoneNumber - Phone number (any format, with country code)
+ * @returns {string|null} - ISO 3166-1 alpha-2 code, or null if not a country we serve
+ */
+function countryForPhone(phoneNumber) {
+  const country = countryInfo(phoneNumber);
+  return country ? country.code : null;
+}
+
+/**
+ * Get the local currency of a phone number's country
+ * @param {string} phoneNumber - Phone number (any format, with country code)
+ * @returns {string|null} - Currency code, or null if not a country we serve
+ */
+function currencyForPhone(phoneNumber) {
+  const country = countryInfo(phoneNumber);
+  return country ? country.currency : null;
+}
+
+/**
+ * Convert a number as a user typed it to international format. Local numbers (0712345678,
+ * 712345678) are taken to be in the same country as the user typing them.
+ * @param {string} input - Number as typed (local, +254..., 00254... or 254...)
+ * @param {string} homePhone - Phone number of the user typing it
+ * @returns {string|null} - Digits with country code, or null if not a valid number in a country we serve
+ */
+function normalizePhoneNumber(input, homePhone) {
+  const raw = String(input || '').trim();
+  let digits = raw.replace(/\D/g, '');
+
+  if (/^(\+|00)/.test(raw)) {
+    digits = raw.startsWith('00') ? digits.slice(2) : digits;
+  } else {
+    const homeCode = dialingCode(String(homePhone || '').replace(/\D/g, ''));
+    const length = homeCode ? COUNTRIES[homeCode].nationalLength : null;
+
+    // Where national numbers start with 0 themselves (Côte d'Ivoire) there is no trunk 0 to drop
+    if (digits.length === length) {
+      digits = homeCode + digits;
+    } else if (digits.length === length + 1 && digits.startsWith('0')) {
+      digits = homeCode + digits.slice(1);
+    }
+  }
+
+  return isValidNumber(digits) ? digits : null;
+}
+
+module.exports = {
+  COUNTRIES,
+  COUNTRY_CODES,
+  CURRENCIES,
+  countryInfo,
+  isValidNumber,
+  countryForPhone,
+  currencyForPhone,
+  normalizePhoneNumber
+};
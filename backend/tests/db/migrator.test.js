@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Migrator = require('../../src/db/migrator');
+
+const mockPool = (applied = [], { usersTable = null } = {}) => {
+  const client = {
+    queries: [],
+    query: jest.fn(async (sql, params) => {
+      client.queries.push(sql.trim().split('\n')[0]);
+      if (sql.startsWith('SELECT version')) {
+        return { rows: applied };
+      }
+      if (sql.includes('to_regclass')) {
+        return { rows: [{ users: usersTable }] };
+      }
+      if (sql.startsWith('CREATE TABLE fail')) {
+        throw new Error('syntax error');
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  return { client, connect: jest.fn().mockResolvedValue(client) };
+};
+
+describe('Migrator', () => {
+  let directory;
+  let migrator;
+  let pool;
+
+  const write = (file, sql) => fs.writeFileSync(path.join(directory, file), sql);
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    write('000_initial.sql', 'CREATE TABLE users (id INT);');
+    write('000_initial.down.sql', 'DROP TABLE users;');
+    write('001_add_pin.sql', 'ALTER TABLE users ADD COLUMN pin TEXT;');
+    write('001_add_pin.down.sql', 'ALTER TABLE users DROP COLUMN pin;');
+    write('README.md', 'not a migration');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should pair migrations with their rollbacks in version order', () => {
+    migrator = new Migrator(null, { directory });
+    const migrations = migrator.load();
+
+    expect(migrations.map(m => [m.version, m.name, Boolean(m.downSql)])).toEqual([['000', 'initial', true], ['001', 'add_pin', true]]);
+    expect(migrations[1].checksum).toHaveLength(64);
+
+    write('001_other.sql', 'SELECT 1;');
+    expect(() => migrator.load()).toThrow('Two migrations have version 001');
+  });
+
+  it('should apply pending migrations in their own transactions under the advisory lock', async () => {
+    migrator = new Migrator(null, { directory });
+    const [initial] = migrator.load();
+    pool = mockPool([{ version: '000', name: 'initial', checksum: initial.checksum }]);
+    migrator.pool = pool;
+
+    expect(await migrator.up()).toEqual(['001']);
+    expect(pool.client.queries).toEqual([
+      'SELECT pg_advisory_lock(hashtext($1))',
+      'CREATE TABLE IF NOT EXISTS schema_migrations (',
+      'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version',
+      'BEGIN',
+      'ALTER TABLE users ADD COLUMN pin TEXT;',
+      'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+      'COMMIT',
+      'SELECT pg_advisory_unlock(hashtext($1))'
+    ]);
+    expect(pool.client.release).toHaveBeenCalled();
+  });
+
+  it('should refuse to run when an applied migration was edited, or the database predates tracking', async () => {
+    migrator = new Migrator(mockPool([{ version: '000', name: 'initial', checksum: 'edited' }]), { directory });
+    await expect(migrator.up()).rejects.toThrow('Applied migrations differ from the files: 000_initial (changed)');
+
+    migrator = new Migrator(mockPool([], { usersTable: 'users' }), { directory });
+    await expect(migrator.up()).rejects.toThrow('no migration history');
+    expect(migrator.pool.client.queries).not.toContain('BEGIN');
+    expect(migrator.pool.client.queries).toContain('SELECT pg_advisory_unlock(hashtext($1))');
+  });
+
+  it('should roll back a failed migration and leave it pending', async () => {
+    write('002_broken.sql', 'CREATE TABLE fail (');
+    migrator = new Migrator(mockPool(), { directory });
+
+    await expect(migrator.up()).rejects.toThrow('Migration 002_broken failed: syntax error');
+    expect(migrator.pool.client.queries.filter(sql => sql === 'COMMIT')).toHaveLength(2);
+    expect(migrator.pool.client.queries).toContain('ROLLBACK');
+  });
+
+  it('should roll back the newest migration with its down file', async () => {
+    migrator = new Migrator(null, { directory });
+    const applied = migrator.load().map(({ version, name, checksum }) => ({ version, name, checksum }));
+    migrator.pool = mockPool(applied);
+
+    expect(await migrator.down()).toEqual(['001']);
+    expect(migrator.pool.client.queries).toEqual(expect.arrayContaining([
+      'ALTER TABLE users DROP COLUMN pin;',
+      'DELETE FROM schema_migrations WHERE version = $1'
+    ]));
+    expect(migrator.pool.client.queries).not.toContain('DROP TABLE users;');
+  });
+
+  it('should have a rollback for every migration in the repository', () => {
+    const migrations = new Migrator(null).load();
+
+    expect(migrations[0].version).toBe('000');
+    expect(migrations.filter(m => !m.downSql)).toEqual([]);
+    migrations.forEach((m, index) => expect(Number(m.version)).toBe(index));
+  });
+});
@@ -0,0 +1,96 @@
+jest.mock('../../src/db/models', () => ({
+  IdempotencyKey: {
+    acquire: jest.fn(),
+    find: jest.fn(),
+    takeOverStale: jest.fn(),
+    complete: jest.fn(),
+    release: jest.fn()
+  }
+}));
+
+const { idempotent, hashRequest } = require('../../src/middleware/idempotency');
+const { IdempotencyKey } = require('../../src/db/models');
+
+const mockRequest = (body, key = 'key-1') => ({
+  method: 'POST',
+  baseUrl: '/api/transactions',
+  path: '/transfer',
+  body,
+  phoneNumber: '254712345678',
+  get: (header) => (header === 'Idempotency-Key' ? key : undefined)
+});
+
+const mockResponse = () => {
+  const res = { statusCode: 200, headers: {} };
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn(() => res);
+  res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+  res.on = jest.fn();
+  return res;
+};
+
+describe('idempotent middleware', () => {
+  const middleware = idempotent('transactions.transfer');
+  const body = { fromPhone: '254712345678', toPhone: '254787654321', amount: 5 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    IdempotencyKey.complete.mockResolvedValue({});
+  });
+
+  it('should store the response of the first request', async () => {
+    IdempotencyKey.acquire.mockResolvedValue({ id: 'record-1' });
+    const res = mockResponse();
+    const sent = res.json;
+    const next = jest.fn();
+
+    await middleware(mockRequest(body), res, next);
+    expect(next).toHaveBeenCalled();
+
+    res.status(200).json({ success: true });
+    await new Promise(setImmediate);
+
+    expect(IdempotencyKey.acquire).toHaveBeenCalledWith(
+      'transactions.transfer',
+      '254712345678:key-1',
+      expect.any(String),
+      24
+    );
+    expect(IdempotencyKey.complete).toHaveBeenCalledWith('record-1', 200, { success: true });
+    expect(sent).toHaveBeenCalledWith({ success: true });
+  });
+
+  it('should replay the stored response for a duplicate', async () => {
+    const req = mockRequest({ ...body });
+    IdempotencyKey.acquire.mockResolvedValue(null);
+    IdempotencyKey.find.mockResolvedValue({
+      status: 'completed',
+      request_hash: hashRequest(mockRequest({ amount: 5, toPhone: '254787654321', fromPhone: '254712345678' })),
+      response_status: 200,
+      response_body: { success: true, data: { transactionId: 'tx-1' } }
+    });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await middleware(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.headers['Idempotent-Replayed']).toBe('true');
+    expect(res.json).toHaveBeenCalledWith({ success: true, data: { transactionId: 'tx-1' } });
+  });
+
+  it('should reject a key reused with a different payload', async () => {
+    IdempotencyKey.acquire.mockResolvedValue(null);
+    IdempotencyKey.find.mockResolvedValue({
+      status: 'completed',
+      request_hash: hashRequest(mockRequest({ ...body, amount: 50 })),
+      response_status: 200,
+      response_body: {}
+    });
+    const res = mockResponse();
+
+    await middleware(mockRequest(body), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(422);
+  });
+});
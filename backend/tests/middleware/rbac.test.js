@@ -0,0 +1,146 @@
+jest.mock('../../src/db/models', () => ({
+  User: { findById: jest.fn() },
+  AuditLog: { create: jest.fn() }
+}));
+
+jest.mock('../../src/services/authService', () => ({}));
+
+jest.mock('../../src/services/transactionService', () => ({
+  getTransaction: jest.fn()
+}));
+
+jest.mock('../../src/services/apiKeyService', () => {
+  const { SCOPES, ROLE_SCOPES } = jest.requireActual('../../src/services/apiKeyService');
+  return { SCOPES, ROLE_SCOPES, authenticate: jest.fn() };
+});
+
+const { AuditLog } = require('../../src/db/models');
+const apiKeyService = require('../../src/services/apiKeyService');
+const transactionService = require('../../src/services/transactionService');
+const { requireScope, requireRole, authenticatePhone } = require('../../src/middleware/authMiddleware');
+const transactionRoutes = require('../../src/routes/transactionRoutes');
+const TransactionController = require('../../src/controllers/transactionController');
+
+const supportKey = { id: 'k1', name: 'ops-oncall', role: 'support', key_prefix: 'zyb_aaaaaaaaaaaa', scopes: ['sms:send', 'sessions:manage', 'transactions:read'] };
+// Created while partners could still hold transactions:read
+const partnerKey = { id: 'k2', name: 'acme-remit', role: 'partner', key_prefix: 'zyb_bbbbbbbbbbbb', scopes: ['transactions:read', 'transactions:write'] };
+
+const mockRequest = (headers = {}, fields = {}) => ({
+  method: 'POST',
+  baseUrl: '/api/sms',
+  originalUrl: '/api/sms/send',
+  route: { path: '/send' },
+  params: {},
+  query: {},
+  body: {},
+  ip: '10.0.0.1',
+  headers,
+  ...fields
+});
+
+const mockResponse = () => {
+  const res = { statusCode: 200, listeners: {} };
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn(() => res);
+  res.on = jest.fn((event, listener) => { res.listeners[event] = listener; return res; });
+  return res;
+};
+
+describe('API key authorization', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    AuditLog.create.mockResolvedValue({});
+  });
+
+  it('should reject a request without a valid key', async () => {
+    apiKeyService.authenticate.mockResolvedValue(null);
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await requireScope('sms:send')(mockRequest({ 'x-api-key': 'zyb_wrong' }), res, next);
+
+    expect(apiKeyService.authenticate).toHaveBeenCalledWith('zyb_wrong');
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should forbid a key missing the route\'s scope or role', async () => {
+    apiKeyService.authenticate.mockResolvedValue(supportKey);
+    const next = jest.fn();
+
+    let res = mockResponse();
+    await requireScope('reconciliation:write')(mockRequest({ authorization: 'Bearer zyb_key' }), res, next);
+    expect(apiKeyService.authenticate).toHaveBeenCalledWith('zyb_key');
+    expect(res.status).toHaveBeenCalledWith(403);
+
+    res = mockResponse();
+    await requireRole('admin', 'finance')(mockRequest({ 'x-api-key': 'zyb_key' }), res, next);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should keep transaction reads to back-office keys, for any phone number', async () => {
+    const read = () => mockRequest({ 'x-api-key': 'zyb_key' }, {
+      method: 'GET',
+      baseUrl: '/api/transactions',
+      originalUrl: '/api/transactions/history/254712345678',
+      route: { path: '/history/:phoneNumber' },
+      params: { phoneNumber: '254712345678' }
+    });
+    const next = jest.fn();
+
+    apiKeyService.authenticate.mockResolvedValue(partnerKey);
+    let res = mockResponse();
+    await requireScope('transactions:read')(read(), res, next);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+
+    // No user session is asked for: the scope alone covers every phone number
+    apiKeyService.authenticate.mockResolvedValue(supportKey);
+    res = mockResponse();
+    await requireScope('transactions:read')(read(), res, next);
+    expect(res.status).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should not ask the read routes for a user session or filter them by one', async () => {
+    const reads = transactionRoutes.stack
+      .filter(layer => layer.route.methods.get && layer.route.path !== '/stats/overview');
+
+    expect(reads.map(layer => layer.route.path)).toEqual(['/history/:phoneNumber', '/:transactionId', '/balance/:phoneNumber']);
+    for (const layer of reads) {
+      expect(layer.route.stack.map(handler => handler.handle)).not.toContain(authenticatePhone);
+    }
+
+    transactionService.getTransaction.mockResolvedValue({ id: 'tx-1', phone_number: '254712345678' });
+    const res = mockResponse();
+    await TransactionController.getTransactionDetails({ params: { transactionId: 'tx-1' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ success: true, data: { id: 'tx-1', phone_number: '254712345678' } });
+  });
+
+  it('should audit a permitted change once it completes, without secrets', async () => {
+    apiKeyService.authenticate.mockResolvedValue(supportKey);
+    const req = mockRequest({ 'x-api-key': 'zyb_key' }, { body: { phoneNumber: '254712345678', pin: '1234', message: 'Hi' } });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await requireScope('sms:send')(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.operator).toBe('ops-oncall');
+    expect(AuditLog.create).not.toHaveBeenCalled();
+
+    res.statusCode = 201;
+    res.listeners.finish();
+
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      apiKeyId: 'k1',
+      actor: 'ops-oncall',
+      action: 'POST /api/sms/send',
+      statusCode: 201,
+      details: { params: {}, query: {}, body: { phoneNumber: '254712345678', pin: '[redacted]', message: 'Hi' } }
+    }));
+  });
+});
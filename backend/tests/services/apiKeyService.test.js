@@ -0,0 +1,81 @@
+jest.mock('../../src/db/models', () => ({
+  ApiKey: {
+    create: jest.fn(),
+    findByPrefix: jest.fn(),
+    findById: jest.fn(),
+    markUsed: jest.fn(),
+    expire: jest.fn(),
+    revoke: jest.fn()
+  }
+}));
+
+const { ApiKey } = require('../../src/db/models');
+const apiKeyService = require('../../src/services/apiKeyService');
+const { SCOPES, ROLE_SCOPES } = apiKeyService;
+
+describe('ApiKeyService', () => {
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ApiKey.create.mockImplementation(async (fields) => {
+      stored = {
+        id: 'k2',
+        name: fields.name,
+        role: fields.role,
+        scopes: fields.scopes,
+        key_prefix: fields.keyPrefix,
+        key_hash: fields.keyHash,
+        rotated_from: fields.rotatedFrom,
+        status: 'active',
+        expires_at: null
+      };
+      return stored;
+    });
+    ApiKey.markUsed.mockResolvedValue();
+  });
+
+  it('should refuse scopes outside the key\'s role and default to the role\'s scopes', async () => {
+    await expect(apiKeyService.create({ name: 'acme', role: 'partner', scopes: [SCOPES.API_KEYS_MANAGE] }))
+      .rejects.toThrow('Role partner cannot hold scopes: api_keys:manage');
+    expect(ApiKey.create).not.toHaveBeenCalled();
+
+    const { key, apiKey } = await apiKeyService.create({ name: 'acme', role: 'partner' });
+
+    expect(key).toMatch(/^zyb_[0-9a-f]{12}_[A-Za-z0-9_-]+$/);
+    expect(key.startsWith(apiKey.key_prefix)).toBe(true);
+    expect(apiKey.scopes).toEqual(ROLE_SCOPES.partner);
+    expect(apiKey.key_hash).toBeUndefined();
+    expect(ApiKey.create.mock.calls[0][0].keyHash).not.toContain(key);
+  });
+
+  it('should only accept the exact key while it is active and unexpired', async () => {
+    const { key } = await apiKeyService.create({ name: 'ops', role: 'support' });
+    ApiKey.findByPrefix.mockImplementation(async () => stored);
+
+    expect(await apiKeyService.authenticate(key)).toBe(stored);
+    expect(await apiKeyService.authenticate(`${key}x`)).toBeNull();
+    expect(await apiKeyService.authenticate('not-a-key')).toBeNull();
+
+    stored.expires_at = new Date(Date.now() - 1000);
+    expect(await apiKeyService.authenticate(key)).toBeNull();
+
+    stored.expires_at = null;
+    stored.status = 'revoked';
+    expect(await apiKeyService.authenticate(key)).toBeNull();
+    expect(ApiKey.findByPrefix).toHaveBeenCalledWith(key.slice(0, 16));
+  });
+
+  it('should keep a rotated key working for the grace period', async () => {
+    ApiKey.findById.mockResolvedValue({ id: 'k1', name: 'ops', role: 'finance', scopes: [SCOPES.AUDIT_READ], key_prefix: 'zyb_aaaaaaaaaaaa', status: 'active' });
+    ApiKey.expire.mockImplementation(async (id, expiresAt) => ({ id, expires_at: expiresAt }));
+
+    const before = Date.now();
+    const rotated = await apiKeyService.rotate('k1', { graceHours: 2, rotatedBy: 'admin' });
+
+    expect(ApiKey.create).toHaveBeenCalledWith(expect.objectContaining({ role: 'finance', scopes: [SCOPES.AUDIT_READ], rotatedFrom: 'k1', createdBy: 'admin' }));
+    expect(ApiKey.expire).toHaveBeenCalledWith('k1', expect.any(Date));
+    expect(rotated.previousExpiresAt.getTime()).toBeGreaterThanOrEqual(before + 2 * 60 * 60 * 1000);
+    expect(rotated.key).toMatch(/^zyb_/);
+  });
+});
@@ -30,6 +30,12 @@ describe('AuthService', () => {
       expect(result.country).toBe('Nigeria');
     });
 
+    test('should accept numbers from every country in the phone table', () => {
+      const result = AuthService.validatePhoneNumber('+221 77 123 45 67');
+      expect(result).toEqual({ isValid: true, normalizedNumber: '221771234567', countryCode: '221', country: 'Senegal' });
+      expect(AuthService.validatePhoneNumber('22177123456').isValid).toBe(false);
+    });
+
     test('should reject invalid phone number', () => {
       const result = AuthService.validatePhoneNumber('123456789');
       expect(result.isValid).toBe(false);
@@ -312,6 +318,94 @@ describe('AuthService', () => {
     });
   });
 
+  describe('transaction PIN', () => {
+    test('should reject badly formatted PINs', () => {
+      expect(AuthService.validatePin('123').isValid).toBe(false);
+      expect(AuthService.validatePin('1234567').isValid).toBe(false);
+      expect(AuthService.validatePin('7777').isValid).toBe(false);
+      expect(AuthService.validatePin('4821').isValid).toBe(true);
+    });
+
+    test('should hash PINs with a random salt', async () => {
+      const first = await AuthService.hashPin('4821');
+      const second = await AuthService.hashPin('4821');
+
+      expect(first).not.toBe(second);
+      expect(await AuthService.comparePin('4821', first)).toBe(true);
+      expect(await AuthService.comparePin('4822', first)).toBe(false);
+    });
+
+    test('should verify the PIN without storing an approval for later operations', async () => {
+      User.findByPhone.mockResolvedValue({ phone_number: '254712345678', pin_hash: await AuthService.hashPin('4821') });
+      redisClient.incr.mockResolvedValue(1);
+
+      const result = await AuthService.verifyTransactionPin('254712345678', '4821');
+
+      expect(result.success).toBe(true);
+      expect(redisClient.del).toHaveBeenCalledWith('pin_attempts:254712345678');
+      expect(redisClient.setex).not.toHaveBeenCalled();
+    });
+
+    test('should lock the PIN after too many wrong attempts', async () => {
+      User.findByPhone.mockResolvedValue({ phone_number: '254712345678', pin_hash: await AuthService.hashPin('4821') });
+      redisClient.incr.mockResolvedValue(1);
+
+      const first = await AuthService.verifyTransactionPin('254712345678', '1234');
+
+      expect(first).toMatchObject({ success: false, locked: false, attemptsRemaining: 2 });
+      expect(redisClient.expire).toHaveBeenCalledWith('pin_attempts:254712345678', 1800);
+
+      redisClient.incr.mockResolvedValue(3);
+      const result = await AuthService.verifyTransactionPin('254712345678', '1234');
+
+      expect(result.success).toBe(false);
+      expect(result.locked).toBe(true);
+      expect(redisClient.expire).toHaveBeenCalledTimes(1);
+
+      redisClient.incr.mockResolvedValue(4);
+      const locked = await AuthService.verifyTransactionPin('254712345678', '4821');
+
+      expect(locked.success).toBe(false);
+      expect(locked.locked).toBe(true);
+    });
+
+    test('should not let parallel wrong PINs get past the lockout', async () => {
+      User.findByPhone.mockResolvedValue({ phone_number: '254712345678', pin_hash: await AuthService.hashPin('4821') });
+      let counter = 0;
+      redisClient.incr.mockImplementation(async () => ++counter);
+
+      const guesses = ['1111', '2222', '3333', '4444', '5555', '4821'];
+      const results = await Promise.all(guesses.map(pin => AuthService.verifyTransactionPin('254712345678', pin)));
+
+      expect(results.filter(result => result.attemptsRemaining !== undefined)).toHaveLength(3);
+      expect(results.slice(3).every(result => !result.success && result.locked)).toBe(true);
+      expect(redisClient.del).not.toHaveBeenCalled();
+    });
+
+    test('should not accept an earlier PIN for another sensitive operation', async () => {
+      const mockSessionData = {
+        phoneNumber: '254712345678',
+        purpose: 'ussd',
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + 10 * 60 * 1000).toISOString(),
+        isActive: true
+      };
+
+      User.findByPhone.mockResolvedValue({ phone_number: '254712345678', pin_hash: 'scrypt$salt$hash' });
+      redisClient.get.mockImplementation((key) => {
+        if (key.includes('secure_session')) return Promise.resolve(JSON.stringify(mockSessionData));
+        if (key.includes('phone_session')) return Promise.resolve('session-token');
+        if (key.includes('pin_auth')) return Promise.resolve(new Date().toISOString());
+        return Promise.resolve(null);
+      });
+
+      const result = await AuthService.authorizeWalletOperation('254712345678', 'withdraw');
+
+      expect(result).toMatchObject({ success: false, requiresRecentAuth: true, pinEnabled: true });
+      expect(redisClient.get).not.toHaveBeenCalledWith('pin_auth:254712345678');
+    });
+  });
+
   describe('markRecentAuthentication', () => {
     test('should mark recent authentication', async () => {
       redisClient.setex.mockResolvedValue('OK');
@@ -0,0 +1,184 @@
+jest.mock('../../src/db/models', () => ({
+  User: {
+    findByWalletAddresses: jest.fn()
+  },
+  Transaction: {
+    create: jest.fn(async (data) => ({ id: 'tx-receive', ...data })),
+    updateStatus: jest.fn(),
+    findByTxHash: jest.fn(async () => []),
+    updateConfirmations: jest.fn()
+  },
+  ChainCheckpoint: {
+    get: jest.fn(),
+    save: jest.fn(async (indexer, blockNumber, blockHash) => ({ indexer, block_number: blockNumber, block_hash: blockHash })),
+    withLock: jest.fn(async (indexer, callback) => callback())
+  },
+  ChainBlock: {
+    save: jest.fn(),
+    findRecent: jest.fn(async () => []),
+    deleteAbove: jest.fn(),
+    prune: jest.fn()
+  },
+  ChainEvent: {
+    create: jest.fn(),
+    findPending: jest.fn(async () => []),
+    markConfirmed: jest.fn(),
+    removeAbove: jest.fn(async () => [])
+  }
+}));
+
+jest.mock('../../src/services/ledgerService', () => ({
+  recordExternalDeposit: jest.fn(async () => ({ entryId: 'entry-1', balance: 125 }))
+}));
+
+jest.mock('../../src/services/smsEngine', () => ({
+  sendTransactionConfirmation: jest.fn(),
+  sendReceivedNotification: jest.fn()
+}));
+
+jest.mock('../../src/services/walletService', () => ({
+  provider: {
+    getBlockNumber: jest.fn(),
+    getBlock: jest.fn(),
+    getLogs: jest.fn()
+  },
+  zrUSDContract: { target: '0x2222222222222222222222222222222222222222' }
+}));
+
+jest.mock('../../src/services/morphoService', () => ({
+  popularVaults: ['0xbeef01735c132ada46aa9aa4c54623caa92a64cb']
+}));
+
+const { ethers } = require('ethers');
+const { ChainIndexer, CONFIRMATIONS } = require('../../src/services/chainIndexer');
+const { User, Transaction, ChainCheckpoint, ChainBlock, ChainEvent } = require('../../src/db/models');
+const ledgerService = require('../../src/services/ledgerService');
+const SMSService = require('../../src/services/smsEngine');
+const { provider } = require('../../src/services/walletService');
+
+describe('ChainIndexer', () => {
+  const indexer = new ChainIndexer();
+  const userWallet = '0x1111111111111111111111111111111111111111';
+  const outsider = '0x3333333333333333333333333333333333333333';
+  const user = { phone_number: '254712345678', wallet_address: userWallet };
+  const txHash = '0x' + 'ab'.repeat(32);
+  const blockHash = (number, fork = '') => ethers.id(`block-${number}${fork}`);
+
+  const transferLog = (from, to, amount, blockNumber) => {
+    const events = new ethers.Interface(['event Transfer(address indexed from, address indexed to, uint256 value)']);
+    const { data, topics } = events.encodeEventLog('Transfer', [from, to, ethers.parseEther(amount)]);
+    return {
+      address: '0x2222222222222222222222222222222222222222',
+      data,
+      topics,
+      blockNumber,
+      blockHash: blockHash(blockNumber),
+      transactionHash: txHash,
+      index: 0
+    };
+  };
+
+  const pendingTransfer = (overrides = {}) => ({
+    id: 'event-1',
+    block_number: '100',
+    block_hash: blockHash(100),
+    tx_hash: txHash,
+    log_index: 0,
+    event_name: 'Transfer',
+    from_address: outsider,
+    to_address: userWallet,
+    amount: '25.000000000000000000',
+    phone_number: user.phone_number,
+    status: 'pending',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    provider.getBlock.mockImplementation(async (number) => ({ number, hash: blockHash(number) }));
+    provider.getLogs.mockResolvedValue([]);
+    Transaction.findByTxHash.mockResolvedValue([]);
+    ChainEvent.findPending.mockResolvedValue([]);
+    ChainCheckpoint.get.mockResolvedValue({ indexer: 'zrusd', block_number: '99', block_hash: blockHash(99) });
+  });
+
+  it('should store user transfers and advance the checkpoint', async () => {
+    provider.getBlockNumber.mockResolvedValue(105);
+    provider.getLogs
+      .mockResolvedValueOnce([
+        transferLog(outsider, userWallet, '25', 102),
+        transferLog(outsider, '0x4444444444444444444444444444444444444444', '5', 103)
+      ])
+      .mockResolvedValueOnce([]);
+    User.findByWalletAddresses.mockResolvedValue([user]);
+
+    const indexed = await indexer.poll();
+
+    expect(indexed).toBe(6);
+    expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 100, toBlock: 105 }));
+    expect(ChainEvent.create).toHaveBeenCalledTimes(1);
+    expect(ChainEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+      blockNumber: 102,
+      eventName: 'Transfer',
+      toAddress: userWallet,
+      amount: '25.0',
+      phoneNumber: user.phone_number
+    }));
+    expect(ChainCheckpoint.save).toHaveBeenCalledWith('zrusd', 105, blockHash(105));
+  });
+
+  it('should complete pending transactions only once the event is deep enough', async () => {
+    const sent = { id: 'tx-1', phone_number: user.phone_number, type: 'transfer', amount: '10', currency: 'ZrUSD', status: 'pending', tx_hash: txHash };
+    ChainEvent.findPending.mockResolvedValue([pendingTransfer({ from_address: userWallet, to_address: outsider })]);
+    Transaction.findByTxHash.mockResolvedValue([sent]);
+    User.findByWalletAddresses.mockResolvedValue([]);
+
+    await indexer.settle(100 + CONFIRMATIONS - 2);
+    expect(Transaction.updateConfirmations).toHaveBeenCalledWith(txHash, '100', CONFIRMATIONS - 1);
+    expect(Transaction.updateStatus).not.toHaveBeenCalled();
+
+    await indexer.settle(100 + CONFIRMATIONS - 1);
+    expect(Transaction.updateStatus).toHaveBeenCalledWith('tx-1', 'completed', txHash);
+    expect(SMSService.sendTransactionConfirmation).toHaveBeenCalledWith(user.phone_number, expect.objectContaining({ status: 'completed' }));
+    expect(ChainEvent.markConfirmed).toHaveBeenCalledWith('event-1', null);
+  });
+
+  it('should credit transfers from outside Zybra once', async () => {
+    User.findByWalletAddresses.mockImplementation(async ([address]) => (address === userWallet ? [user] : []));
+
+    await indexer.settleEvent(pendingTransfer());
+
+    expect(Transaction.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'receive', amount: 25, txHash }));
+    expect(ledgerService.recordExternalDeposit).toHaveBeenCalledWith(user.phone_number, 25, expect.objectContaining({ transactionId: 'tx-receive' }));
+    expect(Transaction.updateStatus).toHaveBeenCalledWith('tx-receive', 'completed', txHash);
+    expect(SMSService.sendReceivedNotification).toHaveBeenCalledWith(user.phone_number, expect.objectContaining({ amount: 25, balance: 125 }));
+    expect(ChainEvent.markConfirmed).toHaveBeenCalledWith('event-1', 'tx-receive');
+
+    // Already credited (e.g. the event was stored again after a shallow reorg)
+    jest.clearAllMocks();
+    Transaction.findByTxHash.mockResolvedValue([{ id: 'tx-receive', phone_number: user.phone_number, type: 'receive', status: 'completed' }]);
+    await indexer.settleEvent(pendingTransfer());
+
+    expect(ledgerService.recordExternalDeposit).not.toHaveBeenCalled();
+    expect(ChainEvent.markConfirmed).toHaveBeenCalledWith('event-1', null);
+  });
+
+  it('should roll back to the newest block still on the chain after a reorg', async () => {
+    provider.getBlockNumber.mockResolvedValue(105);
+    ChainCheckpoint.get.mockResolvedValue({ indexer: 'zrusd', block_number: '104', block_hash: blockHash(104) });
+    ChainBlock.findRecent.mockResolvedValue([
+      { block_number: '104', block_hash: blockHash(104, 'old') },
+      { block_number: '102', block_hash: blockHash(102, 'old') },
+      { block_number: '101', block_hash: blockHash(101) }
+    ]);
+    ChainEvent.removeAbove.mockResolvedValue([pendingTransfer({ block_number: '102' })]);
+
+    await indexer.poll();
+
+    expect(ChainEvent.removeAbove).toHaveBeenCalledWith(101);
+    expect(ChainBlock.deleteAbove).toHaveBeenCalledWith(101);
+    expect(Transaction.updateConfirmations).toHaveBeenCalledWith(txHash, null, 0);
+    expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 102, toBlock: 105 }));
+    expect(ChainCheckpoint.save).toHaveBeenLastCalledWith('zrusd', 105, blockHash(105));
+  });
+});
@@ -0,0 +1,103 @@
+jest.mock('pg', () => {
+  const mockPool = { query: jest.fn(), on: jest.fn() };
+  return { Pool: jest.fn(() => mockPool) };
+});
+
+const { pool, USSDTransition } = require('../../src/db/models');
+const funnelAnalytics = require('../../src/services/ussd/funnelAnalytics');
+const { FUNNELS } = require('../../src/services/ussd/funnelAnalytics');
+
+describe('FunnelAnalytics', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(USSDTransition, 'getFunnel');
+    jest.spyOn(USSDTransition, 'getStateStats');
+  });
+
+  it('should report drop-off and conversion for each funnel step', async () => {
+    USSDTransition.getFunnel.mockResolvedValue([
+      { step: 'main', sessions: 200, median_ms: null },
+      { step: 'invest', sessions: 80, median_ms: 6000 },
+      { step: 'amount', sessions: 60, median_ms: 4000 },
+      { step: 'vault', sessions: 50, median_ms: 9000 },
+      { step: 'confirm', sessions: 45, median_ms: 7000 },
+      { step: 'otp', sessions: 40, median_ms: 3000 },
+      { step: 'success', sessions: 30, median_ms: 21000 }
+    ]);
+
+    const funnel = await funnelAnalytics.getFunnel('invest', {
+      from: '2026-10-01T00:00:00Z',
+      to: '2026-10-08T00:00:00Z',
+      country: 'ke'
+    });
+
+    expect(USSDTransition.getFunnel).toHaveBeenCalledWith(FUNNELS.invest, {
+      since: new Date('2026-10-01T00:00:00Z'),
+      until: new Date('2026-10-08T00:00:00Z'),
+      country: 'KE'
+    });
+    expect(funnel.steps[0]).toEqual({ step: 'main', sessions: 200, dropOff: 0, dropOffRate: 0, fromStart: 1, medianMs: null });
+    expect(funnel.steps[1]).toEqual({ step: 'invest', sessions: 80, dropOff: 120, dropOffRate: 0.6, fromStart: 0.4, medianMs: 6000 });
+    expect(funnel.steps[6]).toMatchObject({ step: 'success', dropOff: 10, dropOffRate: 0.25 });
+    expect(funnel.conversion).toBe(0.15);
+  });
+
+  it('should count funnel steps in order, reaching the OTP step either way', async () => {
+    pool.query.mockResolvedValue({
+      rows: [{ reached_0: '10', median_ms_0: null, reached_1: '4', median_ms_1: 2500.4 }]
+    });
+    const steps = [FUNNELS.invest[4], FUNNELS.invest[5]];
+
+    const rows = await USSDTransition.getFunnel(steps, { since: new Date('2026-10-01'), until: new Date('2026-10-08'), country: 'TZ' });
+
+    const [sql, values] = pool.query.mock.calls[0];
+    expect(values).toEqual([
+      new Date('2026-10-01'), new Date('2026-10-08'), 'TZ',
+      ['invest_confirm'],
+      ['invest_otp_verify', 'invest_pin_verify'], ['invest_confirm'], 'success'
+    ]);
+    expect(sql).toContain('AND country = $3');
+    expect(sql).toContain('MIN(created_at) FILTER (WHERE (to_state = ANY($5)) OR (to_state = ANY($6) AND outcome = $7)) AS t1');
+    expect(sql).toContain('COUNT(*) FILTER (WHERE t0 IS NOT NULL AND t1 >= t0) AS reached_1');
+    expect(rows).toEqual([
+      { step: 'confirm', sessions: 10, median_ms: null },
+      { step: 'otp', sessions: 4, median_ms: 2500 }
+    ]);
+  });
+
+  it('should rate error screens per state', async () => {
+    USSDTransition.getStateStats.mockResolvedValue([{
+      state: 'invest_otp_verify',
+      views: '50',
+      sessions: '40',
+      invalid: '12',
+      failed: '3',
+      median_latency_ms: 180.2,
+      median_dwell_ms: 24000,
+      abandoned: '6'
+    }]);
+
+    const report = await funnelAnalytics.getStateReport({ from: '2026-10-01T00:00:00Z', to: '2026-10-08T00:00:00Z' });
+
+    expect(report.country).toBeNull();
+    expect(report.states).toEqual([{
+      state: 'invest_otp_verify',
+      views: 50,
+      sessions: 40,
+      invalidInputs: 12,
+      failures: 3,
+      errorRate: 0.3,
+      medianDwellMs: 24000,
+      medianLatencyMs: 180,
+      abandoned: 6
+    }]);
+  });
+
+  it('should default to the last 7 days and reject unknown funnels', async () => {
+    const { since, until } = funnelAnalytics.window();
+
+    expect(until.getTime() - since.getTime()).toBe(7 * 24 * 60 * 60 * 1000);
+    await expect(funnelAnalytics.getFunnel('lottery')).rejects.toThrow('Unknown funnel: lottery');
+  });
+});
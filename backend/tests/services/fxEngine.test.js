@@ -0,0 +1,112 @@
+jest.mock('../../src/db/redisClient', () => {
+  const store = new Map();
+  return {
+    store,
+    get: jest.fn(async (key) => store.get(key) || null),
+    setex: jest.fn(async (key, ttl, value) => { store.set(key, value); }),
+    getDel: jest.fn(async (key) => {
+      const value = store.get(key) || null;
+      store.delete(key);
+      return value;
+    })
+  };
+});
+
+jest.mock('../../src/services/fx/providers/chainlinkProvider', () => ({
+  name: 'chainlink',
+  getRate: jest.fn()
+}));
+
+jest.mock('../../src/services/fx/providers/yellowCardProvider', () => ({
+  name: 'yellowcard',
+  getRate: jest.fn()
+}));
+
+jest.mock('../../src/services/fx/providers/staticProvider', () => ({
+  name: 'static',
+  getRate: jest.fn()
+}));
+
+const { FXEngine } = require('../../src/services/fxEngine');
+const redisClient = require('../../src/db/redisClient');
+const chainlinkProvider = require('../../src/services/fx/providers/chainlinkProvider');
+const staticProvider = require('../../src/services/fx/providers/staticProvider');
+
+describe('FXEngine', () => {
+  const fxEngine = new FXEngine(['chainlink', 'static']);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redisClient.store.clear();
+    chainlinkProvider.getRate.mockResolvedValue({ rate: 130, timestamp: new Date() });
+    staticProvider.getRate.mockResolvedValue({ rate: 129.5, timestamp: new Date() });
+  });
+
+  it('should apply the spread on each fiat leg', async () => {
+    const quote = await fxEngine.quote('KES', 'ZrUSD', 1000);
+
+    // 1000 / (130 * 1.015)
+    expect(quote.targetAmount).toBe(7.58);
+    expect(quote.legs).toEqual([expect.objectContaining({ currency: 'KES', midRate: 130, spreadBps: 150, source: 'chainlink' })]);
+
+    const payout = await fxEngine.quote('ZrUSD', 'KES', 10);
+    expect(payout.targetAmount).toBe(1280.5);
+  });
+
+  it('should skip a stale rate and cache the next fresh one', async () => {
+    chainlinkProvider.getRate.mockResolvedValue({ rate: 120, timestamp: new Date(Date.now() - 2 * 3600 * 1000) });
+
+    const mid = await fxEngine.getMidRate('KES');
+    expect(mid).toMatchObject({ rate: 129.5, source: 'static' });
+
+    await fxEngine.getMidRate('KES');
+    expect(staticProvider.getRate).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fail when no provider has a fresh rate', async () => {
+    chainlinkProvider.getRate.mockRejectedValue(new Error('RPC down'));
+    staticProvider.getRate.mockRejectedValue(new Error('No static rate for XOF'));
+
+    await expect(fxEngine.getMidRate('XOF')).rejects.toThrow('No fresh exchange rate available for XOF');
+  });
+
+  it('should only price from the static table when it has a recent update time', async () => {
+    const loadStatic = (updatedAt) => {
+      let provider;
+      jest.isolateModules(() => {
+        process.env.FX_STATIC_RATES_UPDATED_AT = updatedAt;
+        provider = jest.requireActual('../../src/services/fx/providers/staticProvider');
+      });
+      delete process.env.FX_STATIC_RATES_UPDATED_AT;
+      return provider;
+    };
+    chainlinkProvider.getRate.mockRejectedValue(new Error('RPC down'));
+
+    // The built-in table cannot say how old it is, so it is never used as if it were current
+    staticProvider.getRate.mockImplementation(loadStatic('').getRate);
+    await expect(fxEngine.getMidRate('KES')).rejects.toThrow('No fresh exchange rate available for KES');
+
+    staticProvider.getRate.mockImplementation(loadStatic(new Date(Date.now() - 90 * 24 * 3600 * 1000).toISOString()).getRate);
+    await expect(fxEngine.getMidRate('KES')).rejects.toThrow('No fresh exchange rate available for KES');
+
+    staticProvider.getRate.mockImplementation(loadStatic(new Date().toISOString()).getRate);
+    expect(await fxEngine.getMidRate('KES')).toMatchObject({ rate: 129.5, source: 'static' });
+  });
+
+  it('should execute a locked quote once, at the quoted rate', async () => {
+    const quote = await fxEngine.createQuote('KES', 'ZrUSD', 1000);
+    chainlinkProvider.getRate.mockResolvedValue({ rate: 200, timestamp: new Date() });
+    redisClient.store.delete('fx_rate:KES');
+
+    await expect(fxEngine.convert(1000, 'KES', 'ZrUSD', quote.quoteId)).resolves.toBe(7.58);
+    await expect(fxEngine.convert(1000, 'KES', 'ZrUSD', quote.quoteId))
+      .rejects.toMatchObject({ code: 'QUOTE_EXPIRED' });
+  });
+
+  it('should reject a quote used for a different amount', async () => {
+    const quote = await fxEngine.createQuote('KES', 'ZrUSD', 1000);
+
+    await expect(fxEngine.convert(5000, 'KES', 'ZrUSD', quote.quoteId))
+      .rejects.toThrow('Exchange rate quote does not match this transaction');
+  });
+});
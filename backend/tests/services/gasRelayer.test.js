@@ -0,0 +1,136 @@
+jest.mock('../../src/db/models', () => ({
+  User: { findByPhone: jest.fn() },
+  GasSponsorship: {
+    reserve: jest.fn(),
+    complete: jest.fn(),
+    fail: jest.fn(),
+    recordFee: jest.fn()
+  }
+}));
+
+jest.mock('../../src/services/walletService', () => ({
+  provider: {
+    getFeeData: jest.fn(),
+    estimateGas: jest.fn(),
+    getBalance: jest.fn()
+  },
+  zrUSDContract: { target: '0x00000000000000000000000000000000000000a1' },
+  getUserWallet: jest.fn()
+}));
+
+jest.mock('../../src/services/ledgerService', () => ({
+  recordGasFee: jest.fn(),
+  reverse: jest.fn()
+}));
+
+jest.mock('../../src/services/fxEngine', () => ({
+  getMidRate: jest.fn()
+}));
+
+jest.mock('../../src/services/smsEngine', () => ({
+  sendSMS: jest.fn()
+}));
+
+const { ethers } = require('ethers');
+const { User, GasSponsorship } = require('../../src/db/models');
+const walletService = require('../../src/services/walletService');
+const ledgerService = require('../../src/services/ledgerService');
+const fxEngine = require('../../src/services/fxEngine');
+const SMSService = require('../../src/services/smsEngine');
+const { GasRelayer } = require('../../src/services/gas/gasRelayer');
+
+describe('GasRelayer', () => {
+  const owner = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+  const recipient = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+  const sent = (hash, fee) => ({ hash, wait: jest.fn().mockResolvedValue({ hash, fee }) });
+
+  let relayer;
+  let signer;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    relayer = new GasRelayer();
+    relayer.tankWallet = { address: '0x90F79bf6EB2c4f870365E785982E1f101E93b906' };
+    relayer.tankTxManager = { send: jest.fn() };
+    signer = { sendTransaction: jest.fn() };
+
+    User.findByPhone.mockResolvedValue({ phone_number: '254712345678', wallet_address: owner });
+    walletService.getUserWallet.mockResolvedValue(signer);
+    walletService.provider.getFeeData.mockResolvedValue({ maxFeePerGas: 10n });
+    walletService.provider.estimateGas.mockResolvedValue(50000n);
+    walletService.provider.getBalance.mockResolvedValue(100000n);
+    jest.spyOn(relayer, 'permitDomain').mockResolvedValue(null);
+  });
+
+  it('should refuse an operation over the user\'s daily budget before sending anything', async () => {
+    GasSponsorship.reserve.mockResolvedValue({ exceeded: 'user', spentWei: '2000000000000000' });
+
+    await expect(relayer.transfer('254712345678', walletService.zrUSDContract.target, recipient, 1n))
+      .rejects.toThrow('Daily transaction limit reached');
+    expect(relayer.txManager.send).not.toHaveBeenCalled();
+    expect(signer.sendTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should top up only the gas the user is missing for a token without permit', async () => {
+    GasSponsorship.reserve.mockResolvedValue({ sponsorship: { id: 's1', method: 'top_up' } });
+    relayer.txManager.send.mockResolvedValue(sent('0xtopup', 210000n));
+    signer.sendTransaction.mockResolvedValue(sent('0xtransfer', 500000n));
+    jest.spyOn(relayer, 'chargeBack').mockResolvedValue(0.01);
+
+    const result = await relayer.transfer('254712345678', walletService.zrUSDContract.target, recipient, 1n, { transactionId: 't1' });
+
+    // (50000 transfer + 65000 fee transfer) gas * 10 wei * 150%, less the 100000 wei held
+    expect(relayer.txManager.send).toHaveBeenCalledWith({ to: owner, value: 1625000n }, { transactionId: 't1', purpose: 'gas_transfer' });
+    expect(GasSponsorship.reserve).toHaveBeenCalledWith(
+      expect.objectContaining({ transactionId: 't1', purpose: 'transfer', method: 'top_up', tankSpendWei: 21000n * 10n + 1625000n }),
+      expect.any(Object)
+    );
+    expect(GasSponsorship.complete).toHaveBeenCalledWith('s1', {
+      tankSpendWei: 210000n + 1625000n,
+      gasCostWei: 710000n,
+      txHashes: ['0xtopup', '0xtransfer']
+    });
+    expect(result).toEqual({ method: 'top_up', txHash: '0xtransfer', gasCostWei: 710000n, fee: 0.01 });
+  });
+
+  it('should charge gas back in ZrUSD, rounded up to the cent', async () => {
+    fxEngine.getMidRate.mockResolvedValue({ rate: 0.0005 });
+    ledgerService.recordGasFee.mockResolvedValue({ entryId: 'e1', balance: 9.79 });
+    jest.spyOn(relayer, 'collectFee').mockResolvedValue();
+
+    // 0.0001001 ETH at 2000 USD/ETH = 0.2002 USD
+    const fee = await relayer.chargeBack('254712345678', signer, owner, { id: 's1' }, ethers.parseEther('0.0001001'), 't1');
+
+    expect(fee).toBe(0.21);
+    expect(ledgerService.recordGasFee).toHaveBeenCalledWith('254712345678', 0.21, { transactionId: 't1', sponsorshipId: 's1' });
+    expect(relayer.collectFee).toHaveBeenCalledWith(signer, owner, ethers.parseEther('0.21'));
+    expect(GasSponsorship.recordFee).toHaveBeenCalledWith('s1', 0.21, 'collected');
+  });
+
+  it('should reverse the ledger fee when it cannot be collected on chain', async () => {
+    fxEngine.getMidRate.mockResolvedValue({ rate: 0.0005 });
+    ledgerService.recordGasFee.mockResolvedValue({ entryId: 'e1', balance: 9.79 });
+    jest.spyOn(relayer, 'collectFee').mockRejectedValue(new Error('nonce too low'));
+
+    const fee = await relayer.chargeBack('254712345678', signer, owner, { id: 's1' }, ethers.parseEther('0.0001'), 't1');
+
+    expect(fee).toBe(0);
+    expect(ledgerService.reverse).toHaveBeenCalledWith('e1', 'Gas fee not collected: nonce too low');
+    expect(GasSponsorship.recordFee).toHaveBeenCalledWith('s1', 0.2, 'uncollected');
+  });
+
+  it('should alert once per cooldown while the tank is low', async () => {
+    process.env.GAS_TANK_ALERT_PHONES = '+265991000000';
+    walletService.provider.getBalance.mockResolvedValue(ethers.parseEther('0.05'));
+
+    expect(await relayer.checkTankBalance()).toBe(true);
+    expect(await relayer.checkTankBalance()).toBe(false);
+    expect(SMSService.sendSMS).toHaveBeenCalledTimes(1);
+    expect(SMSService.sendSMS.mock.calls[0][1]).toContain('0.05 ETH');
+
+    walletService.provider.getBalance.mockResolvedValue(ethers.parseEther('1'));
+    expect(await relayer.checkTankBalance()).toBe(false);
+    expect(relayer.lastAlertAt).toBe(0);
+    delete process.env.GAS_TANK_ALERT_PHONES;
+  });
+});
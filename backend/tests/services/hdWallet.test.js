@@ -0,0 +1,57 @@
+jest.mock('axios', () => ({
+  post: jest.fn()
+}));
+
+const axios = require('axios');
+const { ethers } = require('ethers');
+const { HDWallet } = require('../../src/services/keys/hdWallet');
+const RemoteSigner = require('../../src/services/keys/remoteSigner');
+
+describe('HDWallet', () => {
+  const mnemonic = 'test test test test test test test test test test test junk';
+  const seeded = new HDWallet({ mnemonic, xpub: null });
+  const provider = new ethers.JsonRpcProvider('http://localhost:8545', 1, { staticNetwork: true });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should derive user wallets along m/44\'/60\'/0\'/0/<index>', () => {
+    expect(seeded.path(1)).toBe("m/44'/60'/0'/0/1");
+    expect(seeded.deriveAddress(0)).toBe('0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266');
+    expect(seeded.deriveAddress(1)).toBe('0x70997970C51812dc3A010C7d01b50e0d17dc79C8');
+    expect(() => seeded.deriveAddress(-1)).toThrow('Invalid wallet index');
+    expect(seeded.signerFor(1, provider).privateKey).toBeDefined();
+  });
+
+  it('should derive the same addresses watch-only from the xpub', () => {
+    const watchOnly = new HDWallet({ mnemonic: null, xpub: seeded.extendedPublicKey(), signerUrl: 'http://signer:4000' });
+
+    expect(watchOnly.isWatchOnly()).toBe(true);
+    expect(watchOnly.deriveAddress(1)).toBe(seeded.deriveAddress(1));
+    expect(watchOnly.signerFor(1, provider)).toBeInstanceOf(RemoteSigner);
+    expect(() => new HDWallet({ mnemonic: null, xpub: seeded.extendedPublicKey() }).signerFor(1, provider)).toThrow('SIGNER_URL');
+  });
+
+  it('should only accept remote signatures from the user\'s wallet', async () => {
+    const signer = new RemoteSigner(1, seeded.deriveAddress(1), provider, { url: 'http://signer:4000/', apiKey: 'secret' });
+    const tx = { type: 2, chainId: 1, nonce: 0, to: seeded.deriveAddress(0), value: 1n, gasLimit: 21000n, maxFeePerGas: 1n, maxPriorityFeePerGas: 1n };
+    const signWith = (wallet) => async (url, { unsignedTransaction }) => {
+      const unsigned = ethers.Transaction.from(unsignedTransaction);
+      unsigned.signature = wallet.signingKey.sign(unsigned.unsignedHash);
+      return { data: { signedTransaction: unsigned.serialized } };
+    };
+
+    axios.post.mockImplementationOnce(signWith(seeded.child(1)));
+    const signed = ethers.Transaction.from(await signer.signTransaction(tx));
+    expect(signed.from).toBe(seeded.deriveAddress(1));
+    expect(axios.post).toHaveBeenCalledWith(
+      'http://signer:4000/sign-transaction',
+      expect.objectContaining({ walletIndex: 1 }),
+      expect.objectContaining({ headers: { Authorization: 'Bearer secret' } })
+    );
+
+    axios.post.mockImplementationOnce(signWith(seeded.child(2)));
+    await expect(signer.signTransaction(tx)).rejects.toThrow('different transaction or signer');
+  });
+});
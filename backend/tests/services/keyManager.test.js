@@ -0,0 +1,100 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+const mockRows = new Map();
+
+jest.mock('../../src/db/models', () => ({
+  WalletKey: {
+    create: jest.fn(async (data) => {
+      if (mockRows.has(data.phoneNumber)) {
+        return null;
+      }
+      const row = {
+        phone_number: data.phoneNumber,
+        wallet_address: data.walletAddress,
+        iv: data.iv,
+        ciphertext: data.ciphertext,
+        auth_tag: data.authTag,
+        wrapped_data_key: data.wrappedDataKey,
+        kms_provider: data.kmsProvider,
+        master_key_id: data.masterKeyId
+      };
+      mockRows.set(data.phoneNumber, row);
+      return row;
+    }),
+    findByPhone: jest.fn(async (phoneNumber) => mockRows.get(phoneNumber) || null),
+    findNotWrappedBy: jest.fn(async (kmsProvider, masterKeyId, afterPhone, limit) => [...mockRows.values()]
+      .filter(row => (row.kms_provider !== kmsProvider || row.master_key_id !== masterKeyId) && row.phone_number > afterPhone)
+      .sort((a, b) => a.phone_number.localeCompare(b.phone_number))
+      .slice(0, limit)),
+    rewrap: jest.fn(async (phoneNumber, previous, wrapped) => {
+      const row = mockRows.get(phoneNumber);
+      if (!row || row.master_key_id !== previous.masterKeyId) {
+        return null;
+      }
+      Object.assign(row, { wrapped_data_key: wrapped.wrappedDataKey, kms_provider: wrapped.kmsProvider, master_key_id: wrapped.masterKeyId });
+      return row;
+    })
+  }
+}));
+
+const { KeyManager, decryptLegacy } = require('../../src/services/keys/keyManager');
+
+describe('KeyManager', () => {
+  const keyManager = new KeyManager({ provider: 'local' });
+  const privateKey = '0x' + 'a1'.repeat(32);
+  const address = '0x1111111111111111111111111111111111111111';
+  let dir;
+
+  beforeEach(() => {
+    mockRows.clear();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kms-'));
+    process.env.KMS_LOCAL_KEY_FILE = path.join(dir, 'master-keys.json');
+  });
+
+  afterEach(() => {
+    delete process.env.KMS_LOCAL_KEY_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should store private keys encrypted and decrypt them', async () => {
+    const row = await keyManager.storePrivateKey('254712345678', address, privateKey);
+
+    expect(Buffer.from(row.ciphertext, 'base64').toString('hex')).not.toContain('a1a1a1a1');
+    expect(await keyManager.getPrivateKey('254712345678')).toBe(privateKey);
+    await expect(keyManager.storePrivateKey('254712345678', address, privateKey)).rejects.toThrow('already stored');
+  });
+
+  it('should not decrypt a key copied to another phone number', async () => {
+    const row = await keyManager.storePrivateKey('254712345678', address, privateKey);
+    mockRows.set('254700000000', { ...row, phone_number: '254700000000' });
+
+    await expect(keyManager.getPrivateKey('254700000000')).rejects.toThrow();
+  });
+
+  it('should rewrap data keys on rotation without re-encrypting the private keys', async () => {
+    await keyManager.storePrivateKey('254712345678', address, privateKey);
+    await keyManager.storePrivateKey('254799999999', address, '0x' + 'b2'.repeat(32));
+    const before = { ...mockRows.get('254712345678') };
+
+    const summary = await keyManager.rotateMasterKey({ batchSize: 1 });
+
+    const after = mockRows.get('254712345678');
+    expect(summary).toEqual(expect.objectContaining({ rewrapped: 2, skipped: 0, failed: 0 }));
+    expect(after.master_key_id).toBe(summary.masterKeyId);
+    expect(after.master_key_id).not.toBe(before.master_key_id);
+    expect(after.ciphertext).toBe(before.ciphertext);
+    expect(await keyManager.getPrivateKey('254712345678')).toBe(privateKey);
+    expect(await keyManager.getPrivateKey('254799999999')).toBe('0x' + 'b2'.repeat(32));
+  });
+
+  it('should decrypt keys written by the old aes192 scheme', () => {
+    // openssl enc -aes-192-cbc -md md5 -nosalt -k default-key (what crypto.createCipher produced)
+    const legacy = 'c80fd4b9c6aa3a9a8a1fd64922c1566e2b5c794ef4a6774d5b3170b0e5883d34d6879b5473a4e7627316a89b1c58bba8' +
+      '1a24b9d4bf5d3df13944a6585421daff01bf46ea8f588b76e3532cee0e1415da';
+
+    expect(decryptLegacy(legacy, 'default-key')).toBe(privateKey);
+    expect(() => decryptLegacy(legacy, 'wrong-key')).toThrow();
+  });
+});
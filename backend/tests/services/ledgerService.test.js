@@ -0,0 +1,101 @@
+jest.mock('../../src/db/models', () => {
+  const accounts = new Map();
+  return {
+    accounts,
+    withTransaction: jest.fn((callback) => callback({ query: jest.fn() })),
+    User: {
+      updateBalance: jest.fn()
+    },
+    LedgerAccount: {
+      findOrCreate: jest.fn(async (db, { code, accountType, normalBalance, phoneNumber = null }) => {
+        if (!accounts.has(code)) {
+          accounts.set(code, {
+            id: code,
+            code,
+            account_type: accountType,
+            normal_balance: normalBalance,
+            phone_number: phoneNumber,
+            balance: '0'
+          });
+        }
+        return accounts.get(code);
+      }),
+      lockByIds: jest.fn(async (db, ids) => ids.map(id => accounts.get(id))),
+      updateBalance: jest.fn(async (db, id, balance) => {
+        accounts.get(id).balance = balance;
+      }),
+      findByCode: jest.fn(async (code) => accounts.get(code) || null)
+    },
+    JournalEntry: {
+      create: jest.fn(async () => ({ id: 'entry-1', transaction_id: 'tx-1' })),
+      addPosting: jest.fn(),
+      findById: jest.fn(),
+      findPostings: jest.fn()
+    }
+  };
+});
+
+const ledgerService = require('../../src/services/ledgerService');
+const { accounts, User, JournalEntry } = require('../../src/db/models');
+
+describe('LedgerService', () => {
+  const sender = '254712345678';
+  const recipient = '254787654321';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    accounts.clear();
+  });
+
+  it('should post a balanced transfer with the fee credited to fee income', async () => {
+    await ledgerService.recordMint(sender, 10);
+
+    const result = await ledgerService.recordTransfer(sender, recipient, 5, 0.1, 'tx-1');
+
+    expect(result.balance).toBeCloseTo(4.9);
+    expect(accounts.get(`user_wallet:${recipient}`).balance).toBe('5.00000000');
+    expect(accounts.get('fee_income').balance).toBe('0.10000000');
+    expect(User.updateBalance).toHaveBeenCalledWith(sender, '4.90000000', expect.anything());
+
+    const postings = JournalEntry.addPosting.mock.calls.slice(-4).map(([, posting]) => posting);
+    const debits = postings.filter(p => p.direction === 'debit').map(p => parseFloat(p.amount));
+    const credits = postings.filter(p => p.direction === 'credit').map(p => parseFloat(p.amount));
+    expect(debits.reduce((a, b) => a + b)).toBeCloseTo(credits.reduce((a, b) => a + b));
+  });
+
+  it('should reject entries that would overdraw a user wallet', async () => {
+    await ledgerService.recordMint(sender, 1);
+
+    await expect(ledgerService.recordVaultInvestment(sender, '0xVault', 2, 'tx-1'))
+      .rejects.toMatchObject({ code: 'INSUFFICIENT_BALANCE', available: 1 });
+    expect(accounts.get(`user_wallet:${sender}`).balance).toBe('1.00000000');
+  });
+
+  it('should reject unbalanced entries', async () => {
+    await expect(ledgerService.postEntry({
+      entryType: 'transfer',
+      postings: [
+        { account: ledgerService.accounts.userWallet(sender), direction: 'debit', amount: 1 },
+        { account: ledgerService.accounts.feeIncome(), direction: 'credit', amount: 0.5 }
+      ]
+    })).rejects.toThrow('Unbalanced journal entry');
+  });
+
+  it('should reverse an entry by posting the opposite directions', async () => {
+    await ledgerService.recordMint(sender, 3);
+    JournalEntry.findById.mockResolvedValue({ id: 'entry-1', transaction_id: 'tx-1' });
+    JournalEntry.findPostings.mockResolvedValue([
+      { code: 'mint_burn_suspense', account_type: 'mint_burn_suspense', direction: 'debit', amount: '3.00000000' },
+      { code: `user_wallet:${sender}`, account_type: 'user_wallet', phone_number: sender, direction: 'credit', amount: '3.00000000' }
+    ]);
+
+    await ledgerService.reverse('entry-1', 'Mint failed');
+
+    expect(JournalEntry.create).toHaveBeenLastCalledWith(expect.anything(), expect.objectContaining({
+      entryType: 'reversal',
+      reversesEntryId: 'entry-1'
+    }));
+    expect(await ledgerService.getBalance(sender)).toBe(0);
+    expect(accounts.get('mint_burn_suspense').balance).toBe('0.00000000');
+  });
+});
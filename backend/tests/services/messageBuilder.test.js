@@ -0,0 +1,61 @@
+jest.mock('../../src/db/models', () => ({
+  NotificationPreference: {
+    findByPhone: jest.fn()
+  }
+}));
+
+jest.mock('../../src/services/sms/providerRouter', () => ({
+  providersFor: jest.fn(() => ['africastalking'])
+}));
+
+const SMSMessageBuilder = require('../../src/services/sms/messageBuilder');
+const { countSegments, toGsm7 } = require('../../src/utils/encoding');
+const { NotificationPreference } = require('../../src/db/models');
+
+describe('SMSMessageBuilder', () => {
+  const phoneNumber = '254712345678';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    NotificationPreference.findByPhone.mockResolvedValue(null);
+  });
+
+  it('should count GSM-7 and UCS-2 segments', () => {
+    expect(countSegments('a'.repeat(160))).toEqual({ encoding: 'GSM-7', units: 160, segments: 1 });
+    expect(countSegments('a'.repeat(161)).segments).toBe(2);
+    expect(countSegments('€'.repeat(80))).toEqual({ encoding: 'GSM-7', units: 160, segments: 1 });
+    expect(countSegments(`✅ ${'a'.repeat(70)}`)).toMatchObject({ encoding: 'UCS-2', segments: 2 });
+  });
+
+  it('should substitute GSM-7 safe characters', () => {
+    expect(toGsm7('⚠️ Zybra Alert\n• Bayanin kuɗi')).toBe('Zybra Alert\n- Bayanin kudi');
+    expect(toGsm7('Relevés de solde ô')).toBe('Relevés de solde o');
+  });
+
+  it('should drop emoji from a message over its segment budget and project its cost', async () => {
+    const message = '💰 Your Zybra Balance\nBalance: 10 ZrUSD\nTime: 19/10/2026, 10:00:00\nDial *384*96# for more options';
+
+    const built = await SMSMessageBuilder.build(phoneNumber, message, { category: 'balance_digests' });
+
+    expect(built).toMatchObject({ encoding: 'GSM-7', segments: 1, plainText: true, truncated: false, estimatedCost: 0.01 });
+    expect(built.text.startsWith('Your Zybra Balance')).toBe(true);
+  });
+
+  it('should keep emoji within budget unless the number asked for plain text', async () => {
+    const message = '✅ Verification successful!';
+
+    const kept = await SMSMessageBuilder.build(phoneNumber, message);
+    NotificationPreference.findByPhone.mockResolvedValue({ plain_text: true });
+    const plain = await SMSMessageBuilder.build(phoneNumber, message);
+
+    expect(kept).toMatchObject({ text: message, encoding: 'UCS-2' });
+    expect(plain).toMatchObject({ text: 'Verification successful!', encoding: 'GSM-7' });
+  });
+
+  it('should truncate a message that cannot fit its budget', async () => {
+    const built = await SMSMessageBuilder.build(phoneNumber, 'Invest now! '.repeat(20), { category: 'marketing' });
+
+    expect(built).toMatchObject({ segments: 1, truncated: true });
+    expect(built.text.endsWith('...')).toBe(true);
+  });
+});
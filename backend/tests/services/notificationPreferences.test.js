@@ -0,0 +1,81 @@
+jest.mock('../../src/db/models', () => ({
+  User: {
+    findByPhone: jest.fn()
+  },
+  NotificationPreference: {
+    findByPhone: jest.fn(),
+    upsert: jest.fn()
+  }
+}));
+
+const SMSService = require('../../src/services/smsEngine');
+const { NotificationPreference } = require('../../src/db/models');
+
+describe('SMS notification preferences', () => {
+  const phoneNumber = '254712345678';
+  const optedOut = {
+    marketing: false,
+    transaction_alerts: false,
+    balance_digests: false,
+    security_alerts: false,
+    opted_out_at: new Date()
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(SMSService, 'sendSMS').mockResolvedValue({ success: true });
+    NotificationPreference.findByPhone.mockResolvedValue(null);
+  });
+
+  it('should turn every category off on STOP and confirm it', async () => {
+    await SMSService.processIncomingSMS({ from: `+${phoneNumber}`, text: 'stop' });
+
+    expect(NotificationPreference.upsert).toHaveBeenCalledWith(phoneNumber, {
+      marketing: false,
+      transaction_alerts: false,
+      balance_digests: false,
+      security_alerts: false
+    }, true);
+    expect(SMSService.sendSMS).toHaveBeenCalledWith(phoneNumber, expect.stringContaining('reply START'));
+  });
+
+  it('should turn every category back on for START in another language', async () => {
+    await SMSService.processIncomingSMS({ from: phoneNumber, text: 'Anza' });
+
+    expect(NotificationPreference.upsert).toHaveBeenCalledWith(phoneNumber, expect.objectContaining({
+      transaction_alerts: true
+    }), false);
+  });
+
+  it('should skip notifications for opted-out numbers but still send OTPs', async () => {
+    NotificationPreference.findByPhone.mockResolvedValue(optedOut);
+
+    const alert = await SMSService.sendTransactionConfirmation(phoneNumber, {
+      type: 'transfer', amount: 5, currency: 'ZrUSD', status: 'completed'
+    }, 'en');
+    await SMSService.sendOTP(phoneNumber, '123456', 'transaction', 'en');
+
+    expect(alert).toEqual({ success: true, skipped: true });
+    expect(SMSService.sendSMS).toHaveBeenCalledTimes(1);
+    expect(SMSService.sendSMS).toHaveBeenCalledWith(phoneNumber, expect.stringContaining('123456'), null, 'otp', 'en');
+  });
+
+  it('should send the welcome message whatever the transaction alert setting', async () => {
+    NotificationPreference.findByPhone.mockResolvedValue({ ...optedOut, opted_out_at: null });
+
+    const welcome = await SMSService.sendWelcomeSMS(phoneNumber, '0xabcdef0123456789', 'en');
+
+    expect(welcome).toEqual({ success: true });
+    expect(SMSService.sendSMS).toHaveBeenCalledWith(phoneNumber, expect.stringContaining('0xabcdef01'), null, 'reply', 'en');
+  });
+
+  it('should hold back marketing when preferences cannot be read', async () => {
+    NotificationPreference.findByPhone.mockRejectedValue(new Error('connection refused'));
+
+    await SMSService.notify(phoneNumber, 'New vaults available!', 'marketing');
+    await SMSService.sendBalanceNotification(phoneNumber, 10, 'ZrUSD', 'en');
+
+    expect(SMSService.sendSMS).toHaveBeenCalledTimes(1);
+    expect(SMSService.sendSMS).toHaveBeenCalledWith(phoneNumber, expect.stringContaining('10 ZrUSD'), null, 'balance_digests', 'en');
+  });
+});
@@ -0,0 +1,130 @@
+jest.mock('../../src/db/models', () => ({
+  User: {
+    findForReconciliation: jest.fn()
+  },
+  LedgerAccount: {
+    getVaultPositions: jest.fn()
+  },
+  ReconciliationRun: {
+    finish: jest.fn(async (id, result) => ({ id, ...result }))
+  },
+  ReconciliationItem: {
+    record: jest.fn(),
+    clearUnseen: jest.fn(),
+    findAll: jest.fn(async () => []),
+    findById: jest.fn(),
+    resolve: jest.fn(),
+    attachJournalEntry: jest.fn(),
+    reopen: jest.fn(),
+    markAlerted: jest.fn()
+  }
+}));
+
+jest.mock('../../src/services/ledgerService', () => ({
+  recordAdjustment: jest.fn(),
+  syncCachedBalance: jest.fn()
+}));
+
+jest.mock('../../src/services/walletService', () => ({
+  zrUSDContract: { balanceOf: jest.fn() }
+}));
+
+jest.mock('../../src/services/morphoService', () => ({
+  getUserPositions: jest.fn()
+}));
+
+const { ReconciliationService, KINDS } = require('../../src/services/reconciliationService');
+const { User, LedgerAccount, ReconciliationItem } = require('../../src/db/models');
+const ledgerService = require('../../src/services/ledgerService');
+const walletService = require('../../src/services/walletService');
+const morphoService = require('../../src/services/morphoService');
+
+describe('ReconciliationService', () => {
+  const service = new ReconciliationService();
+  const vault = '0xbeef01735c132ada46aa9aa4c54623caa92a64cb';
+  const user = (overrides = {}) => ({
+    phone_number: '254712345678',
+    wallet_address: '0x1111111111111111111111111111111111111111',
+    balance: '100.00000000',
+    ledger_balance: '100.00000000',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should classify cache drift and wallet differences', () => {
+    const items = service.compare(user({ balance: '90' }), 75, [], []);
+
+    expect(items).toEqual([
+      expect.objectContaining({ kind: KINDS.CACHE_DRIFT, expectedAmount: 100, actualAmount: 90, difference: -10 }),
+      expect.objectContaining({ kind: KINDS.WALLET_SHORTFALL, asset: 'ZrUSD', difference: -25 })
+    ]);
+    expect(service.compare(user(), 100.001, [], [])).toEqual([]);
+  });
+
+  it('should report an investment that never left the wallet as unsettled', () => {
+    // The ledger moved 40 into the vault, but the tokens are still in the wallet
+    const items = service.compare(user({ balance: '60', ledger_balance: '60' }), 100, [], [{ vaultAddress: vault, amount: 40 }]);
+
+    expect(items).toEqual([
+      expect.objectContaining({ kind: KINDS.UNSETTLED_INVESTMENT, asset: vault, expectedAmount: 40, actualAmount: 0 })
+    ]);
+  });
+
+  it('should skip users whose chain state cannot be read and keep their open items', async () => {
+    User.findForReconciliation
+      .mockResolvedValueOnce([user(), user({ phone_number: '254799999999' })])
+      .mockResolvedValueOnce([]);
+    walletService.zrUSDContract.balanceOf
+      .mockResolvedValueOnce(100n * 10n ** 18n)
+      .mockRejectedValueOnce(new Error('RPC timeout'));
+    morphoService.getUserPositions.mockResolvedValue({
+      success: true,
+      positions: [{ vaultAddress: vault, assetsFormatted: '12.5' }]
+    });
+    LedgerAccount.getVaultPositions.mockResolvedValue([]);
+
+    const run = await service.execute({ id: 'run-1' });
+
+    expect(ReconciliationItem.record).toHaveBeenCalledWith('run-1', expect.objectContaining({
+      kind: KINDS.VAULT_SURPLUS,
+      difference: 12.5
+    }));
+    expect(ReconciliationItem.clearUnseen).toHaveBeenCalledWith('run-1', ['254799999999']);
+    expect(run).toMatchObject({ status: 'completed', usersChecked: 1, usersSkipped: 1, discrepancies: 1 });
+  });
+
+  it('should post a ledger adjustment for a wallet difference', async () => {
+    const item = { id: 'item-1', kind: KINDS.WALLET_SURPLUS, status: 'open', phone_number: '254712345678', difference: '25.00000000' };
+    ReconciliationItem.findById.mockResolvedValue(item);
+    ReconciliationItem.resolve.mockResolvedValue({ ...item, status: 'resolved' });
+    ledgerService.recordAdjustment.mockResolvedValue({ entryId: 'entry-1', balance: 125 });
+
+    const result = await service.resolve('item-1', 'adjust_ledger', { note: 'Mint confirmed', resolvedBy: 'ops' });
+
+    expect(ledgerService.recordAdjustment).toHaveBeenCalledWith('254712345678', 25, {
+      itemId: 'item-1',
+      note: 'Mint confirmed',
+      resolvedBy: 'ops'
+    });
+    expect(ReconciliationItem.attachJournalEntry).toHaveBeenCalledWith('item-1', 'entry-1');
+    expect(result).toMatchObject({ success: true, item: { journal_entry_id: 'entry-1' } });
+  });
+
+  it('should refuse actions that do not fit the item and reopen it when an action fails', async () => {
+    const item = { id: 'item-2', kind: KINDS.CACHE_DRIFT, status: 'open', phone_number: '254712345678', difference: '-10' };
+    ReconciliationItem.findById.mockResolvedValue(item);
+    ReconciliationItem.resolve.mockResolvedValue({ ...item, status: 'resolved' });
+    ledgerService.syncCachedBalance.mockRejectedValue(new Error('connection refused'));
+
+    const wrongAction = await service.resolve('item-2', 'adjust_ledger', { resolvedBy: 'ops' });
+    const failed = await service.resolve('item-2', 'sync_cache', { resolvedBy: 'ops' });
+
+    expect(wrongAction).toMatchObject({ success: false });
+    expect(ledgerService.recordAdjustment).not.toHaveBeenCalled();
+    expect(failed).toEqual({ success: false, error: 'connection refused' });
+    expect(ReconciliationItem.reopen).toHaveBeenCalledWith('item-2');
+  });
+});
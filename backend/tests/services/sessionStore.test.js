@@ -0,0 +1,135 @@
+jest.mock('../../src/db/models', () => ({
+  USSDSessionEvent: { createMany: jest.fn() }
+}));
+
+jest.mock('../../src/db/redisClient', () => ({
+  connect: jest.fn(),
+  client: {
+    eval: jest.fn(),
+    hGetAll: jest.fn(),
+    zRange: jest.fn(),
+    zRemRangeByScore: jest.fn()
+  }
+}));
+
+const { USSDSessionEvent } = require('../../src/db/models');
+const redisClient = require('../../src/db/redisClient');
+const redisSessionStore = require('../../src/services/ussd/sessions/redisSessionStore');
+const memorySessionStore = require('../../src/services/ussd/sessions/memorySessionStore');
+const { SessionStore } = require('../../src/services/ussd/sessionStore');
+const { SessionEventLog } = require('../../src/services/ussd/sessionEvents');
+
+describe('SessionStore', () => {
+  let events;
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    memorySessionStore.sessions.clear();
+    events = { record: jest.fn() };
+    store = new SessionStore({ adapter: 'memory', ttlSeconds: 180, events });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should expire an idle session and not bring it back on a late update', async () => {
+    await store.create({ sessionId: 's1', phoneNumber: '254712345678' });
+
+    jest.advanceTimersByTime(179 * 1000);
+    expect(await store.update('s1', { currentMenu: 'invest_amount', sessionData: { balance: 50 } })).toMatchObject({ steps: 1 });
+
+    jest.advanceTimersByTime(181 * 1000);
+    expect(await store.get('s1')).toBeNull();
+    expect(await store.update('s1', { currentMenu: 'invest_vault_select' })).toBeNull();
+    expect(await store.list()).toEqual([]);
+  });
+
+  it('should record a session\'s start and end with its duration', async () => {
+    await store.create({ sessionId: 's1', phoneNumber: '254712345678' });
+    await store.create({ sessionId: 's1', phoneNumber: '254712345678' });
+    await store.update('s1', { currentMenu: 'invest_amount', sessionData: {} });
+    jest.advanceTimersByTime(4000);
+    await store.end('s1', 'completed');
+
+    expect(events.record.mock.calls.map(([event]) => event.eventType)).toEqual(['started', 'ended']);
+    expect(events.record).toHaveBeenLastCalledWith({
+      sessionId: 's1',
+      phoneNumber: '254712345678',
+      eventType: 'ended',
+      menu: 'invest_amount',
+      step: 1,
+      reason: 'completed',
+      durationMs: 4000
+    });
+    expect(await store.end('s1', 'timeout')).toBeNull();
+  });
+
+  it('should update a Redis session atomically and extend its TTL', async () => {
+    const now = Date.now();
+    redisClient.client.eval.mockResolvedValue([
+      'session_id', 's1', 'phone_number', '254712345678', 'current_menu', 'invest_amount',
+      'session_data', '{"balance":50}', 'steps', '2', 'created_at', String(now - 5000), 'updated_at', String(now)
+    ]);
+
+    const session = await redisSessionStore.update('s1', { currentMenu: 'invest_amount', sessionData: { balance: 50 } }, 180000);
+
+    expect(redisClient.connect).toHaveBeenCalled();
+    const [, { keys, arguments: args }] = redisClient.client.eval.mock.calls[0];
+    expect(keys).toEqual(['ussd:session:s1', 'ussd:sessions']);
+    expect(args).toEqual(['s1', 'invest_amount', '{"balance":50}', String(now), '180000', String(now + 180000), 'ussd:sessions:']);
+    expect(session).toMatchObject({ session_id: 's1', session_data: { balance: 50 }, steps: 2 });
+    expect(session.expires_at.getTime()).toBe(now + 180000);
+  });
+
+  it('should treat a missing Redis session as expired', async () => {
+    redisClient.client.eval.mockResolvedValue(null);
+    redisClient.client.hGetAll.mockResolvedValue({});
+
+    expect(await redisSessionStore.update('s1', { currentMenu: 'main', sessionData: {} }, 180000)).toBeNull();
+    expect(await redisSessionStore.get('s1', 180000)).toBeNull();
+  });
+});
+
+describe('SessionEventLog', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should write buffered events in one batch after the flush interval', async () => {
+    const log = new SessionEventLog({ flushMs: 1000 });
+    USSDSessionEvent.createMany.mockImplementation(async (batch) => batch.length);
+
+    log.record({ sessionId: 's1', phoneNumber: '254712345678', eventType: 'started', menu: 'main' });
+    log.record({ sessionId: 's1', phoneNumber: '254712345678', eventType: 'ended', menu: 'invest_amount', step: 1, reason: 'completed' });
+    expect(USSDSessionEvent.createMany).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(USSDSessionEvent.createMany).toHaveBeenCalledTimes(1);
+    expect(USSDSessionEvent.createMany.mock.calls[0][0]).toHaveLength(2);
+    expect(log.buffer).toEqual([]);
+  });
+
+  it('should keep events for the next flush when Postgres is down, up to the buffer limit', async () => {
+    const log = new SessionEventLog({ flushMs: 1000, bufferMax: 2 });
+    USSDSessionEvent.createMany.mockRejectedValueOnce(new Error('connection refused'));
+
+    log.record({ sessionId: 's1', eventType: 'started' });
+    log.record({ sessionId: 's2', eventType: 'started' });
+    await expect(log.flush()).rejects.toThrow('connection refused');
+    log.record({ sessionId: 's3', eventType: 'started' });
+
+    expect(log.buffer.map(event => event.sessionId)).toEqual(['s2', 's3']);
+
+    USSDSessionEvent.createMany.mockImplementation(async (batch) => batch.length);
+    expect(await log.flush()).toBe(2);
+  });
+});
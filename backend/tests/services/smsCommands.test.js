@@ -0,0 +1,180 @@
+jest.mock('../../src/db/models', () => ({
+  User: {
+    findByPhone: jest.fn()
+  },
+  Transaction: {
+    findByPhone: jest.fn()
+  }
+}));
+
+jest.mock('../../src/db/redisClient', () => {
+  const store = new Map();
+  return {
+    store,
+    get: jest.fn(async (key) => store.get(key) || null),
+    setex: jest.fn(async (key, ttl, value) => { store.set(key, value); }),
+    del: jest.fn(async (key) => { store.delete(key); })
+  };
+});
+
+jest.mock('../../src/services/smsEngine', () => ({
+  sendSMS: jest.fn()
+}));
+
+jest.mock('../../src/services/authService', () => ({
+  validatePhoneNumber: jest.fn((phone) => ({ isValid: true, normalizedNumber: phone, countryCode: '254' })),
+  authorizeWalletOperation: jest.fn(),
+  verifyTransactionPin: jest.fn(),
+  createSecureSession: jest.fn(),
+  markRecentAuthentication: jest.fn()
+}));
+
+jest.mock('../../src/services/morphoService', () => ({
+  fetchAvailableVaults: jest.fn(),
+  getUserPositions: jest.fn()
+}));
+
+jest.mock('../../src/services/transactionService', () => ({
+  convertToZrUSD: jest.fn(),
+  processTransfer: jest.fn(),
+  processVaultInvestment: jest.fn(),
+  processVaultWithdrawal: jest.fn(),
+  TRANSFER_FEE: 0.1
+}));
+
+jest.mock('../../src/services/transferClaimService', () => ({
+  EXPIRY_DAYS: 30
+}));
+
+const { parseCommand } = require('../../src/services/sms/commandParser');
+const SMSCommandService = require('../../src/services/sms/commandService');
+const { User } = require('../../src/db/models');
+const redisClient = require('../../src/db/redisClient');
+const SMSService = require('../../src/services/smsEngine');
+const AuthService = require('../../src/services/authService');
+const morphoService = require('../../src/services/morphoService');
+const TransactionService = require('../../src/services/transactionService');
+
+describe('SMS commands', () => {
+  const phoneNumber = '254712345678';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redisClient.store.clear();
+    User.findByPhone.mockResolvedValue({ phone_number: phoneNumber, balance: '100', wallet_address: '0xabc', pin_hash: 'hash' });
+  });
+
+  describe('parseCommand', () => {
+    it('should parse commands and their arguments', () => {
+      expect(parseCommand('send 500 kes to 0712345678')).toEqual({
+        command: 'SEND',
+        args: { amount: 500, currency: 'KES', recipient: '0712345678' }
+      });
+      expect(parseCommand('INVEST 20 STEAKHOUSE')).toEqual({ command: 'INVEST', args: { amount: 20, vault: 'STEAKHOUSE' } });
+      expect(parseCommand('WITHDRAW 10')).toEqual({ command: 'WITHDRAW', args: { amount: 10, vault: null } });
+      expect(parseCommand('HIST 5')).toEqual({ command: 'HISTORY', args: { count: 5 } });
+      expect(parseCommand('VAULTS')).toEqual({ command: 'VAULTS', args: {} });
+      expect(parseCommand('TUMA 1,000 KWA 0712345678').args.amount).toBe(1000);
+      expect(parseCommand('SEND 5 KES TO +254 712 345 678').args).toEqual({ amount: 5, currency: 'KES', recipient: '+254712345678' });
+    });
+
+    it('should report invalid arguments', () => {
+      expect(parseCommand('SEND')).toEqual({ command: 'SEND', error: 'usage.SEND' });
+      expect(parseCommand('SEND abc TO 0712345678')).toEqual({ command: 'SEND', error: 'invalidAmount' });
+      expect(parseCommand('SEND 500 XYZ TO 0712345678')).toEqual({ command: 'SEND', error: 'invalidCurrency' });
+      expect(parseCommand('HIST 50')).toEqual({ command: 'HISTORY', error: 'usage.HISTORY' });
+      expect(parseCommand('hello there')).toBeNull();
+    });
+  });
+
+  describe('confirmation round-trip', () => {
+    const invest = async () => {
+      morphoService.fetchAvailableVaults.mockResolvedValue({
+        success: true,
+        vaults: [{ address: '0xvault', name: 'Steakhouse USDC', symbol: 'steakUSDC', apy: '5.00%' }]
+      });
+      AuthService.authorizeWalletOperation.mockResolvedValue({ success: false, requiresRecentAuth: true, pinEnabled: true });
+
+      await SMSCommandService.handle(phoneNumber, parseCommand('INVEST 20 STEAKHOUSE'), 'en');
+      return SMSService.sendSMS.mock.calls[0][1].match(/Reply (\d{6})/)[1];
+    };
+
+    it('should run a confirmed command after the code and PIN', async () => {
+      const code = await invest();
+      expect(SMSService.sendSMS.mock.calls[0][1]).toContain('Invest $20 USDT in Steakhouse USDC');
+
+      AuthService.verifyTransactionPin.mockResolvedValue({ success: true });
+      TransactionService.processVaultInvestment.mockResolvedValue({ success: true, newBalance: 80 });
+
+      const result = await SMSCommandService.confirm(phoneNumber, `${code} 2468`, 'en');
+
+      // The PIN approves this command without leaving a step-up behind
+      expect(result.success).toBe(true);
+      expect(AuthService.verifyTransactionPin).toHaveBeenCalledWith(phoneNumber, '2468');
+      expect(AuthService.authorizeWalletOperation).toHaveBeenCalledTimes(2);
+      expect(TransactionService.processVaultInvestment).toHaveBeenCalledWith(
+        phoneNumber,
+        expect.objectContaining({ address: '0xvault' }),
+        20
+      );
+      expect(await SMSCommandService.confirm(phoneNumber, code, 'en')).toBeNull();
+    });
+
+    it('should run a confirmed command on the code alone for users without a PIN', async () => {
+      const code = await invest();
+      AuthService.authorizeWalletOperation.mockResolvedValue({ success: false, requiresRecentAuth: true, pinEnabled: false });
+      TransactionService.processVaultInvestment.mockResolvedValue({ success: true, newBalance: 80 });
+
+      const result = await SMSCommandService.confirm(phoneNumber, code, 'en');
+
+      // The code approves this command without leaving a session behind
+      expect(result.success).toBe(true);
+      expect(TransactionService.processVaultInvestment).toHaveBeenCalled();
+      expect(AuthService.createSecureSession).not.toHaveBeenCalled();
+      expect(AuthService.markRecentAuthentication).not.toHaveBeenCalled();
+    });
+
+    it('should hold a SEND to a number that is not registered', async () => {
+      const sender = { phone_number: phoneNumber, balance: '100', wallet_address: '0xabc', pin_hash: null };
+      User.findByPhone.mockImplementation(async (phone) => (phone === phoneNumber ? sender : null));
+      AuthService.authorizeWalletOperation.mockResolvedValue({ success: true });
+
+      await SMSCommandService.handle(phoneNumber, parseCommand('SEND 5 TO 0798765432'), 'en');
+
+      const message = SMSService.sendSMS.mock.calls[0][1];
+      expect(message).toContain('Send 5 ZrUSD to 254798765432\nFee: 0.1 ZrUSD\n254798765432 is not on Zybra yet.');
+      expect(message).toContain('within 30 days');
+
+      TransactionService.processTransfer.mockResolvedValue({ success: true, transactionId: 'tx-1', claimId: 'claim-1' });
+      const code = message.match(/Reply (\d{6})/)[1];
+
+      expect((await SMSCommandService.confirm(phoneNumber, code, 'en')).success).toBe(true);
+      expect(TransactionService.processTransfer).toHaveBeenCalledWith(phoneNumber, '254798765432', 5, 'ZrUSD', null);
+    });
+
+    it('should read recipient numbers the same way as USSD Send Money', async () => {
+      const sender = { phone_number: phoneNumber, balance: '100', wallet_address: '0xabc', pin_hash: null };
+      User.findByPhone.mockImplementation(async (phone) => (phone === phoneNumber ? sender : { phone_number: phone }));
+      AuthService.authorizeWalletOperation.mockResolvedValue({ success: true });
+
+      for (const typed of ['798765432', '0798765432', '+254 798 765 432', '254798765432']) {
+        SMSService.sendSMS.mockClear();
+        await SMSCommandService.handle(phoneNumber, parseCommand(`SEND 5 TO ${typed}`), 'en');
+
+        expect(SMSService.sendSMS.mock.calls[0][1]).toContain('Send 5 ZrUSD to 254798765432');
+      }
+    });
+
+    it('should cancel the command after too many wrong codes', async () => {
+      await invest();
+
+      await SMSCommandService.confirm(phoneNumber, '000000', 'en');
+      await SMSCommandService.confirm(phoneNumber, '000000', 'en');
+      await SMSCommandService.confirm(phoneNumber, '000000', 'en');
+
+      expect(SMSService.sendSMS).toHaveBeenLastCalledWith(phoneNumber, expect.stringContaining('Too many wrong codes'));
+      expect(TransactionService.processVaultInvestment).not.toHaveBeenCalled();
+      expect(await SMSCommandService.confirm(phoneNumber, '000000', 'en')).toBeNull();
+    });
+  });
+});
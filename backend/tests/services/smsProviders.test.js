@@ -0,0 +1,54 @@
+const { SMSProviderRouter, PROVIDERS } = require('../../src/services/sms/providerRouter');
+
+describe('SMSProviderRouter', () => {
+  const sms = { to: '+254712345678', message: 'Hello' };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    PROVIDERS.console.clear();
+  });
+
+  it('should fail over to the next provider and try the failed one last afterwards', async () => {
+    const router = new SMSProviderRouter({ providers: 'africastalking,console' });
+    const africasTalking = jest.spyOn(PROVIDERS.africastalking, 'send').mockRejectedValue(new Error('503 Service Unavailable'));
+
+    await expect(router.send(sms)).resolves.toMatchObject({ provider: 'console' });
+    expect(PROVIDERS.console.messages).toEqual([expect.objectContaining({ to: '254712345678', message: 'Hello' })]);
+    expect(router.providersFor('254712345678')).toEqual(['console', 'africastalking']);
+    expect(africasTalking).toHaveBeenCalledTimes(1);
+  });
+
+  it('should route by the longest matching country prefix', () => {
+    const router = new SMSProviderRouter({
+      providers: 'africastalking',
+      routes: '234:infobip,twilio;2348:twilio'
+    });
+
+    expect(router.providersFor('2348012345678')).toEqual(['twilio']);
+    expect(router.providersFor('2347012345678')).toEqual(['infobip', 'twilio']);
+    expect(router.providersFor('254712345678')).toEqual(['africastalking']);
+    expect(router.activeProviders()).toEqual(['africastalking', 'twilio', 'infobip']);
+  });
+
+  it('should report a permanent failure only when every provider rejects the number', async () => {
+    const router = new SMSProviderRouter({ providers: 'africastalking,twilio' });
+    jest.spyOn(PROVIDERS.africastalking, 'send').mockRejectedValue(Object.assign(new Error('InvalidPhoneNumber'), { permanent: true }));
+    const twilio = jest.spyOn(PROVIDERS.twilio, 'send').mockRejectedValue(Object.assign(new Error('21211'), { permanent: true }));
+
+    await expect(router.send(sms)).rejects.toMatchObject({ permanent: true });
+
+    twilio.mockRejectedValue(new Error('timeout'));
+    await expect(router.send(sms)).rejects.toMatchObject({ permanent: false });
+  });
+
+  it('should skip providers without capacity', async () => {
+    const router = new SMSProviderRouter({ providers: 'africastalking,console' });
+    const africasTalking = jest.spyOn(PROVIDERS.africastalking, 'send');
+
+    await expect(router.send(sms, { hasCapacity: (name) => name !== 'africastalking' }))
+      .resolves.toMatchObject({ provider: 'console' });
+    expect(africasTalking).not.toHaveBeenCalled();
+
+    await expect(router.send(sms, { hasCapacity: () => false })).rejects.toMatchObject({ throttled: true });
+  });
+});
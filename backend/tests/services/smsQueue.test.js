@@ -0,0 +1,114 @@
+jest.mock('../../src/db/models', () => ({
+  SMSLog: {
+    enqueue: jest.fn(async (sms) => ({ id: 'sms-1', ...sms })),
+    claimBatch: jest.fn(),
+    markSent: jest.fn(),
+    scheduleRetry: jest.fn(),
+    markFinal: jest.fn(),
+    defer: jest.fn(),
+    updateDeliveryStatus: jest.fn()
+  },
+  NotificationPreference: {
+    findByPhone: jest.fn()
+  }
+}));
+
+jest.mock('../../src/services/smsEngine', () => ({
+  transmit: jest.fn()
+}));
+
+jest.mock('../../src/services/sms/providerRouter', () => ({
+  activeProviders: jest.fn(() => ['africastalking']),
+  providersFor: jest.fn(() => ['africastalking'])
+}));
+
+const { SMSQueue, LANES } = require('../../src/services/sms/smsQueue');
+const { SMSLog } = require('../../src/db/models');
+const SMSService = require('../../src/services/smsEngine');
+
+describe('SMSQueue', () => {
+  const queue = new SMSQueue();
+  const claimed = (overrides = {}) => ({
+    id: 'sms-1',
+    phone_number: '254712345678',
+    message_content: 'Hello',
+    sender_id: null,
+    priority: LANES.TRANSACTION,
+    attempts: 1,
+    max_attempts: 5,
+    expires_at: null,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    queue.sentThisSecond = { second: null, counts: {} };
+  });
+
+  it('should put OTPs in the first lane with an expiry', async () => {
+    await queue.enqueue('254712345678', 'Code: 123456', { category: 'otp' });
+    await queue.enqueue('254712345678', 'New vaults!', { category: 'marketing' });
+
+    expect(SMSLog.enqueue.mock.calls[0][0]).toMatchObject({ priority: LANES.OTP, expiresAt: expect.any(Date) });
+    expect(SMSLog.enqueue.mock.calls[1][0]).toMatchObject({ priority: LANES.MARKETING, expiresAt: null });
+  });
+
+  it('should retry a failed send with exponential backoff', async () => {
+    SMSLog.claimBatch.mockResolvedValue([claimed({ attempts: 3 })]);
+    SMSService.transmit.mockRejectedValue(new Error('Gateway timeout'));
+
+    await queue.processBatch();
+
+    expect(SMSLog.scheduleRetry).toHaveBeenCalledWith('sms-1', 'Gateway timeout', 40);
+    expect(SMSLog.markFinal).not.toHaveBeenCalled();
+  });
+
+  it('should fail permanently rejected messages and redact OTPs', async () => {
+    const error = Object.assign(new Error('SMS rejected: InvalidPhoneNumber'), { permanent: true });
+    SMSLog.claimBatch.mockResolvedValue([claimed({ priority: LANES.OTP })]);
+    SMSService.transmit.mockRejectedValue(error);
+
+    await queue.processBatch();
+
+    expect(SMSLog.markFinal).toHaveBeenCalledWith('sms-1', 'failed', 'SMS rejected: InvalidPhoneNumber', true);
+    expect(SMSLog.scheduleRetry).not.toHaveBeenCalled();
+  });
+
+  it('should not claim more than the provider rate limit per second', async () => {
+    process.env.SMS_RATE_LIMIT_AFRICASTALKING = '2';
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+    SMSLog.claimBatch.mockResolvedValue([claimed(), claimed({ id: 'sms-2' })]);
+    SMSService.transmit.mockResolvedValue({ provider: 'africastalking', messageId: 'ATXid_1' });
+
+    await queue.processBatch();
+    const processedInSameSecond = await queue.processBatch();
+
+    now.mockRestore();
+    delete process.env.SMS_RATE_LIMIT_AFRICASTALKING;
+
+    expect(SMSLog.claimBatch).toHaveBeenCalledTimes(1);
+    expect(SMSLog.claimBatch).toHaveBeenCalledWith(2);
+    expect(processedInSameSecond).toBe(0);
+    expect(SMSLog.markSent).toHaveBeenCalledWith('sms-1', 'africastalking', 'ATXid_1', false);
+  });
+
+  it('should put a throttled message back without using an attempt', async () => {
+    SMSLog.claimBatch.mockResolvedValue([claimed()]);
+    SMSService.transmit.mockRejectedValue(Object.assign(new Error('At rate limit'), { throttled: true }));
+
+    await queue.processBatch();
+
+    expect(SMSLog.defer).toHaveBeenCalledWith('sms-1', 1);
+    expect(SMSLog.scheduleRetry).not.toHaveBeenCalled();
+  });
+
+  it('should map delivery reports onto the message status', async () => {
+    SMSLog.updateDeliveryStatus.mockResolvedValue({ id: 'sms-1' });
+
+    await queue.recordDeliveryReport('ATXid_1', 'Success');
+    await queue.recordDeliveryReport('ATXid_2', 'Rejected', 'InvalidSenderId');
+
+    expect(SMSLog.updateDeliveryStatus).toHaveBeenCalledWith('ATXid_1', 'delivered', null);
+    expect(SMSLog.updateDeliveryStatus).toHaveBeenCalledWith('ATXid_2', 'failed', 'InvalidSenderId');
+  });
+});
@@ -0,0 +1,237 @@
+jest.mock('../../src/db/models', () => ({
+  User: {
+    findByPhone: jest.fn()
+  },
+  Transaction: {
+    create: jest.fn(),
+    updateStatus: jest.fn()
+  },
+  TransferClaim: {
+    create: jest.fn(),
+    findPendingByRecipient: jest.fn(),
+    findClaimable: jest.fn(),
+    findExpired: jest.fn(),
+    startClaim: jest.fn(),
+    markClaimed: jest.fn(),
+    startRefund: jest.fn(),
+    markRefunded: jest.fn(),
+    release: jest.fn()
+  }
+}));
+
+jest.mock('../../src/services/walletService', () => ({
+  transferToCustody: jest.fn(),
+  releaseFromCustody: jest.fn()
+}));
+
+jest.mock('../../src/services/ledgerService', () => ({
+  recordClaimHold: jest.fn(),
+  recordClaimPayout: jest.fn(),
+  recordClaimRefund: jest.fn(),
+  reverse: jest.fn(),
+  getBalance: jest.fn()
+}));
+
+jest.mock('../../src/services/smsEngine', () => ({
+  sendClaimInvite: jest.fn(),
+  sendClaimRefund: jest.fn(),
+  sendTransactionConfirmation: jest.fn()
+}));
+
+jest.mock('../../src/services/fxEngine', () => ({}));
+
+const { User, Transaction, TransferClaim } = require('../../src/db/models');
+const walletService = require('../../src/services/walletService');
+const ledgerService = require('../../src/services/ledgerService');
+const SMSService = require('../../src/services/smsEngine');
+const transferClaimService = require('../../src/services/transferClaimService');
+const transactionService = require('../../src/services/transactionService');
+
+describe('TransferClaimService', () => {
+  const sender = '254712345678';
+  const recipient = '255712345678';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Transaction.create.mockResolvedValue({ id: 'tx-1' });
+    User.findByPhone.mockResolvedValue({ phone_number: sender, display_name: 'Amina' });
+  });
+
+  it('should hold the amount in custody and invite the recipient to claim it', async () => {
+    ledgerService.recordClaimHold.mockResolvedValue({ entryId: 'entry-1', balance: 29.9 });
+    walletService.transferToCustody.mockResolvedValue({ success: true, txHash: '0xhold', gasFee: null });
+    TransferClaim.create.mockImplementation(async (claim) => ({ id: 'claim-1', expires_at: claim.expiresAt }));
+    User.findByPhone.mockImplementation(async (phone) => (phone === sender ? { phone_number: sender, display_name: 'Amina' } : null));
+
+    // Transfers to numbers that have not registered are routed into a claim
+    const result = await transactionService.processTransfer(sender, recipient, 20);
+
+    expect(ledgerService.recordClaimHold).toHaveBeenCalledWith(sender, 20, 0.1, 'tx-1');
+    expect(walletService.transferToCustody).toHaveBeenCalledWith(sender, '20', 'tx-1');
+    const [claim] = TransferClaim.create.mock.calls[0];
+    expect(claim).toMatchObject({ senderPhone: sender, recipientPhone: recipient, amount: 20, fee: 0.1, transactionId: 'tx-1' });
+    expect(claim.expiresAt.getTime() - Date.now()).toBeGreaterThan(29 * 24 * 60 * 60 * 1000);
+    expect(SMSService.sendClaimInvite).toHaveBeenCalledWith(recipient, { amount: 20, sender: 'Amina', days: 30 });
+    expect(result).toEqual({
+      success: true,
+      transactionId: 'tx-1',
+      claimId: 'claim-1',
+      txHash: '0xhold',
+      amount: 20,
+      fee: 0.1,
+      expiresAt: claim.expiresAt,
+      newBalance: 29.9
+    });
+  });
+
+  it('should reverse the hold when the custody transfer fails', async () => {
+    ledgerService.recordClaimHold.mockResolvedValue({ entryId: 'entry-1', balance: 29.9 });
+    walletService.transferToCustody.mockRejectedValue(new Error('nonce too low'));
+
+    const result = await transferClaimService.hold(sender, recipient, 20, 0.1);
+
+    expect(ledgerService.reverse).toHaveBeenCalledWith('entry-1', 'nonce too low');
+    expect(Transaction.updateStatus).toHaveBeenCalledWith('tx-1', 'failed');
+    expect(TransferClaim.create).not.toHaveBeenCalled();
+    expect(SMSService.sendClaimInvite).not.toHaveBeenCalled();
+    expect(result).toEqual({ success: false, error: 'nonce too low', transactionId: 'tx-1' });
+  });
+
+  it('should pay pending claims out to a new wallet', async () => {
+    const claim = { id: 'claim-1', sender_phone: sender, recipient_phone: recipient, amount: '20.00000000' };
+    TransferClaim.findPendingByRecipient.mockResolvedValue([claim]);
+    TransferClaim.startClaim.mockResolvedValue({ ...claim, status: 'claiming' });
+    TransferClaim.markClaimed.mockResolvedValue({ ...claim, status: 'claimed' });
+    Transaction.create.mockResolvedValue({ id: 'tx-2' });
+    ledgerService.recordClaimPayout.mockResolvedValue({ entryId: 'entry-2', balance: 20 });
+    walletService.releaseFromCustody.mockResolvedValue({ success: true, txHash: '0xpayout' });
+
+    const claimed = await transferClaimService.claimPending(recipient);
+
+    expect(Transaction.create).toHaveBeenCalledWith(expect.objectContaining({
+      phoneNumber: recipient,
+      type: 'receive',
+      amount: 20,
+      metadata: { sender, claimId: 'claim-1' }
+    }));
+    expect(ledgerService.recordClaimPayout).toHaveBeenCalledWith(recipient, 20, { transactionId: 'tx-2', claimId: 'claim-1' });
+    // The chain indexer matches the payout to this receive transaction by its hash
+    expect(Transaction.updateStatus).toHaveBeenCalledWith('tx-2', 'pending', '0xpayout');
+    expect(TransferClaim.markClaimed).toHaveBeenCalledWith('claim-1', 'tx-2');
+    expect(claimed).toEqual([{ ...claim, status: 'claimed' }]);
+  });
+
+  it('should release a claim for retry when the payout fails, and skip claims already taken', async () => {
+    const claim = { id: 'claim-1', sender_phone: sender, recipient_phone: recipient, amount: '20' };
+    TransferClaim.startClaim.mockResolvedValueOnce(null);
+
+    expect(await transferClaimService.payOut(claim)).toBeNull();
+    expect(Transaction.create).not.toHaveBeenCalled();
+
+    TransferClaim.startClaim.mockResolvedValue({ ...claim, status: 'claiming' });
+    ledgerService.recordClaimPayout.mockResolvedValue({ entryId: 'entry-2', balance: 20 });
+    walletService.releaseFromCustody.mockRejectedValue(new Error('insufficient funds for gas'));
+
+    expect(await transferClaimService.payOut(claim)).toBeNull();
+    expect(ledgerService.reverse).toHaveBeenCalledWith('entry-2', 'insufficient funds for gas');
+    expect(Transaction.updateStatus).toHaveBeenCalledWith('tx-1', 'failed');
+    expect(TransferClaim.release).toHaveBeenCalledWith('claim-1', 'insufficient funds for gas');
+  });
+
+  it('should not undo a payout that was sent when marking the claim fails', async () => {
+    const claim = { id: 'claim-1', sender_phone: sender, recipient_phone: recipient, amount: '20' };
+    TransferClaim.startClaim.mockResolvedValue({ ...claim, status: 'claiming' });
+    ledgerService.recordClaimPayout.mockResolvedValue({ entryId: 'entry-2', balance: 20 });
+    walletService.releaseFromCustody.mockResolvedValue({ success: true, txHash: '0xpayout' });
+    TransferClaim.markClaimed.mockRejectedValue(new Error('connection reset'));
+
+    expect(await transferClaimService.payOut(claim)).toBeNull();
+    expect(Transaction.updateStatus).toHaveBeenCalledWith('tx-1', 'pending', '0xpayout');
+    expect(Transaction.updateStatus).not.toHaveBeenCalledWith('tx-1', 'failed');
+    expect(ledgerService.reverse).not.toHaveBeenCalled();
+    expect(TransferClaim.release).not.toHaveBeenCalled();
+  });
+
+  it('should leave a claim for review when its payout was broadcast but not confirmed', async () => {
+    const claim = { id: 'claim-1', sender_phone: sender, recipient_phone: recipient, amount: '20' };
+    TransferClaim.startClaim.mockResolvedValue({ ...claim, status: 'claiming' });
+    ledgerService.recordClaimPayout.mockResolvedValue({ entryId: 'entry-2', balance: 20 });
+    walletService.releaseFromCustody.mockRejectedValue(
+      Object.assign(new Error('Transaction 0xpayout not mined after 900s (nonce 7)'), { txHash: '0xpayout' })
+    );
+
+    expect(await transferClaimService.payOut(claim)).toBeNull();
+    expect(Transaction.updateStatus).toHaveBeenCalledWith('tx-1', 'pending', '0xpayout');
+    expect(ledgerService.reverse).not.toHaveBeenCalled();
+    expect(TransferClaim.release).not.toHaveBeenCalled();
+  });
+
+  it('should keep a payout when the confirmation SMS fails', async () => {
+    const claim = { id: 'claim-1', sender_phone: sender, recipient_phone: recipient, amount: '20' };
+    TransferClaim.startClaim.mockResolvedValue({ ...claim, status: 'claiming' });
+    TransferClaim.markClaimed.mockResolvedValue({ ...claim, status: 'claimed' });
+    ledgerService.recordClaimPayout.mockResolvedValue({ entryId: 'entry-2', balance: 20 });
+    walletService.releaseFromCustody.mockResolvedValue({ success: true, txHash: '0xpayout' });
+    SMSService.sendTransactionConfirmation.mockRejectedValueOnce(new Error('SMS gateway down'));
+
+    expect(await transferClaimService.payOut(claim)).toEqual({ ...claim, status: 'claimed' });
+    expect(ledgerService.reverse).not.toHaveBeenCalled();
+    expect(TransferClaim.release).not.toHaveBeenCalled();
+  });
+
+  it('should refund an expired claim to the sender and tell them', async () => {
+    const claim = {
+      id: 'claim-1',
+      sender_phone: sender,
+      recipient_phone: recipient,
+      amount: '20',
+      created_at: '2026-09-01T00:00:00Z',
+      expires_at: '2026-10-01T00:00:00Z'
+    };
+    TransferClaim.findExpired.mockResolvedValue([claim]);
+    TransferClaim.findClaimable.mockResolvedValue([]);
+    TransferClaim.startRefund.mockResolvedValue({ ...claim, status: 'refunding' });
+    TransferClaim.markRefunded.mockResolvedValue({ ...claim, status: 'refunded' });
+    Transaction.create.mockResolvedValue({ id: 'tx-3' });
+    ledgerService.recordClaimRefund.mockResolvedValue({ entryId: 'entry-3', balance: 49.9 });
+    walletService.releaseFromCustody.mockResolvedValue({ success: true, txHash: '0xrefund' });
+
+    const result = await transferClaimService.run();
+
+    expect(Transaction.create).toHaveBeenCalledWith(expect.objectContaining({
+      phoneNumber: sender,
+      type: 'receive',
+      metadata: { recipient, claimId: 'claim-1', refund: true }
+    }));
+    expect(ledgerService.recordClaimRefund).toHaveBeenCalledWith(sender, 20, { transactionId: 'tx-3', claimId: 'claim-1' });
+    expect(walletService.releaseFromCustody).toHaveBeenCalledWith(sender, '20', 'tx-3', 'claim_refund');
+    expect(TransferClaim.markRefunded).toHaveBeenCalledWith('claim-1', 'tx-3');
+    expect(SMSService.sendClaimRefund).toHaveBeenCalledWith(sender, { amount: 20, recipient, days: 30 });
+    expect(result).toEqual({ refunded: 1, claimed: 0 });
+  });
+
+  it('should not undo a refund that was sent when a later step fails', async () => {
+    const claim = {
+      id: 'claim-1',
+      sender_phone: sender,
+      recipient_phone: recipient,
+      amount: '20',
+      created_at: '2026-09-01T00:00:00Z',
+      expires_at: '2026-10-01T00:00:00Z'
+    };
+    TransferClaim.startRefund.mockResolvedValue({ ...claim, status: 'refunding' });
+    TransferClaim.markRefunded.mockResolvedValue({ ...claim, status: 'refunded' });
+    ledgerService.recordClaimRefund.mockResolvedValue({ entryId: 'entry-3', balance: 49.9 });
+    walletService.releaseFromCustody.mockResolvedValue({ success: true, txHash: '0xrefund' });
+    SMSService.sendClaimRefund.mockRejectedValueOnce(new Error('SMS gateway down'));
+
+    expect(await transferClaimService.refund(claim)).toEqual({ ...claim, status: 'refunded' });
+
+    TransferClaim.markRefunded.mockRejectedValueOnce(new Error('connection reset'));
+
+    expect(await transferClaimService.refund(claim)).toBeNull();
+    expect(Transaction.updateStatus).not.toHaveBeenCalledWith('tx-1', 'failed');
+    expect(ledgerService.reverse).not.toHaveBeenCalled();
+    expect(TransferClaim.release).not.toHaveBeenCalled();
+  });
+});
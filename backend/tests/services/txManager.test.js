@@ -0,0 +1,117 @@
+jest.mock('../../src/db/models', () => ({
+  Transaction: { updateTxHash: jest.fn() },
+  OutgoingTransaction: {
+    allocate: jest.fn(),
+    claimAttempt: jest.fn(),
+    recordBroadcast: jest.fn(),
+    finalize: jest.fn(),
+    findById: jest.fn()
+  }
+}));
+
+const { ethers } = require('ethers');
+const { Transaction, OutgoingTransaction } = require('../../src/db/models');
+const TxManager = require('../../src/services/txManager');
+
+describe('TxManager', () => {
+  const zrUSD = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+  const provider = {
+    estimateGas: jest.fn(),
+    getFeeData: jest.fn(),
+    getTransactionCount: jest.fn(),
+    getNetwork: jest.fn(),
+    broadcastTransaction: jest.fn(),
+    getTransactionReceipt: jest.fn()
+  };
+  const wallet = new ethers.Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80', provider);
+  const manager = new TxManager(wallet);
+
+  const pendingRow = (fields = {}) => ({
+    id: 'o1',
+    from_address: wallet.address.toLowerCase(),
+    nonce: '7',
+    transaction_id: 't1',
+    to_address: zrUSD.toLowerCase(),
+    data: '0x40c10f19',
+    value: '0',
+    gas_limit: '60000',
+    max_fee_per_gas: '100',
+    max_priority_fee_per_gas: '10',
+    status: 'pending',
+    tx_hash: '0xaaa',
+    tx_hashes: ['0xaaa'],
+    cancel_tx_hash: null,
+    attempts: 1,
+    submitted_at: new Date(Date.now() - 10 * 60 * 1000),
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    provider.getFeeData.mockResolvedValue({ maxFeePerGas: 100n, maxPriorityFeePerGas: 10n });
+    provider.getNetwork.mockResolvedValue({ chainId: 31337n });
+    provider.getTransactionCount.mockResolvedValue(7);
+    provider.getTransactionReceipt.mockResolvedValue(null);
+    OutgoingTransaction.claimAttempt.mockImplementation(async (id, attempts) => pendingRow({ attempts: attempts + 1 }));
+    OutgoingTransaction.recordBroadcast.mockImplementation(async (id, { txHash }) => pendingRow({ tx_hash: txHash }));
+  });
+
+  it('should sign at the allocated nonce and record the hash before broadcasting', async () => {
+    provider.estimateGas.mockResolvedValue(50000n);
+    OutgoingTransaction.allocate.mockResolvedValue(pendingRow({ attempts: 0, tx_hash: null, tx_hashes: [] }));
+
+    const tx = await manager.send({ to: zrUSD, data: '0x40c10f19' }, { transactionId: 't1', purpose: 'mint' });
+
+    expect(OutgoingTransaction.allocate).toHaveBeenCalledWith(
+      expect.objectContaining({ transactionId: 't1', purpose: 'mint', gasLimit: 60000n, maxFeePerGas: 100n }),
+      7
+    );
+    const signed = ethers.Transaction.from(provider.broadcastTransaction.mock.calls[0][0]);
+    expect(signed.nonce).toBe(7);
+    expect(signed.from).toBe(wallet.address);
+    expect(tx.hash).toBe(signed.hash);
+    expect(OutgoingTransaction.recordBroadcast.mock.invocationCallOrder[0])
+      .toBeLessThan(provider.broadcastTransaction.mock.invocationCallOrder[0]);
+  });
+
+  it('should not take a nonce for a call that would revert', async () => {
+    provider.estimateGas.mockRejectedValue(new Error('execution reverted'));
+
+    await expect(manager.send({ to: zrUSD, data: '0x40c10f19' })).rejects.toThrow('execution reverted');
+    expect(OutgoingTransaction.allocate).not.toHaveBeenCalled();
+  });
+
+  it('should replace a stuck transaction with bumped fees, then cancel it after the last attempt', async () => {
+    await manager.check(pendingRow());
+
+    let replacement = ethers.Transaction.from(provider.broadcastTransaction.mock.calls[0][0]);
+    expect(replacement.nonce).toBe(7);
+    expect(replacement.maxFeePerGas).toBe(120n);
+    expect(replacement.maxPriorityFeePerGas).toBe(12n);
+    expect(replacement.to).toBe(zrUSD);
+
+    await manager.check(pendingRow({ attempts: 5 }));
+
+    replacement = ethers.Transaction.from(provider.broadcastTransaction.mock.calls[1][0]);
+    expect(replacement.nonce).toBe(7);
+    expect(replacement.to).toBe(wallet.address);
+    expect(replacement.value).toBe(0n);
+    expect(OutgoingTransaction.recordBroadcast).toHaveBeenLastCalledWith('o1', expect.objectContaining({ cancel: true }));
+  });
+
+  it('should move the originating transaction to the replacement that was mined', async () => {
+    const row = pendingRow({ tx_hash: '0xbbb', tx_hashes: ['0xaaa', '0xbbb'] });
+    provider.getTransactionReceipt.mockImplementation(async (hash) => (hash === '0xbbb'
+      ? { hash: '0xbbb', status: 1, blockNumber: 120, gasUsed: 48000n }
+      : null));
+    OutgoingTransaction.finalize.mockResolvedValue({ ...row, status: 'mined' });
+
+    const { row: settled, receipt } = await manager.check(row);
+
+    expect(settled.status).toBe('mined');
+    expect(receipt.hash).toBe('0xbbb');
+    expect(OutgoingTransaction.finalize).toHaveBeenCalledWith('o1', 'mined', expect.objectContaining({ txHash: '0xbbb', blockNumber: 120 }));
+    expect(Transaction.updateTxHash).toHaveBeenCalledWith('t1', '0xbbb', ['0xaaa', '0xbbb']);
+    expect(provider.broadcastTransaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,702 @@
+jest.mock('../../src/db/models', () => ({
+  User: {
+    findByPhone: jest.fn(),
+    updateBalance: jest.fn(),
+    updateLocale: jest.fn(),
+    updateDisplayName: jest.fn()
+  },
+  Transaction: {
+    create: jest.fn(),
+    findByPhone: jest.fn()
+  },
+  NotificationPreference: {
+    findByPhone: jest.fn(),
+    upsert: jest.fn()
+  }
+}));
+
+jest.mock('../../src/db/redisClient', () => ({
+  get: jest.fn(),
+  setex: jest.fn(),
+  del: jest.fn()
+}));
+
+jest.mock('../../src/services/ussd/sessionStore', () => ({
+  get: jest.fn(),
+  create: jest.fn(),
+  update: jest.fn(),
+  end: jest.fn()
+}));
+
+jest.mock('../../src/services/ussd/sessionEvents', () => ({
+  transitions: { record: jest.fn() }
+}));
+
+jest.mock('../../src/services/smsEngine', () => ({
+  sendSMS: jest.fn(),
+  sendOTP: jest.fn(),
+  sendWelcomeSMS: jest.fn()
+}));
+
+jest.mock('../../src/services/authService', () => ({
+  authorizeWalletOperation: jest.fn(),
+  generateSecureOTP: jest.fn(),
+  verifySecureOTP: jest.fn(),
+  hasPendingOTP: jest.fn(),
+  verifyTransactionPin: jest.fn(),
+  validatePin: jest.fn((pin) => ({ isValid: /^\d{4,6}$/.test(pin) }))
+}));
+
+jest.mock('../../src/services/morphoService', () => ({
+  getUserPositions: jest.fn(),
+  fetchAvailableVaults: jest.fn(),
+  formatVaultsForUSSD: jest.fn()
+}));
+
+jest.mock('../../src/services/walletService', () => ({
+  createUserWallet: jest.fn()
+}));
+
+jest.mock('../../src/services/transactionService', () => ({
+  processTransfer: jest.fn(),
+  TRANSFER_FEE: 0.1
+}));
+
+jest.mock('../../src/services/transferClaimService', () => ({
+  EXPIRY_DAYS: 30
+}));
+
+jest.mock('../../src/services/fxEngine', () => ({
+  quote: jest.fn()
+}));
+
+const USSDService = require('../../src/services/ussdService');
+const i18n = require('../../src/i18n');
+const { MenuEngine, end, goto, exitOption, backOption } = require('../../src/services/ussd/menuEngine');
+const { ScreenRenderer } = require('../../src/services/ussd/renderer');
+const { detectEncoding, measure } = require('../../src/utils/encoding');
+const { User, NotificationPreference } = require('../../src/db/models');
+const sessionStore = require('../../src/services/ussd/sessionStore');
+const { transitions } = require('../../src/services/ussd/sessionEvents');
+const SMSService = require('../../src/services/smsEngine');
+const AuthService = require('../../src/services/authService');
+const redisClient = require('../../src/db/redisClient');
+const walletService = require('../../src/services/walletService');
+const morphoService = require('../../src/services/morphoService');
+const transactionService = require('../../src/services/transactionService');
+const fxEngine = require('../../src/services/fxEngine');
+
+describe('MenuEngine', () => {
+  const buildEngine = () => {
+    const engine = new MenuEngine({ initialState: 'home' });
+    engine.register({
+      name: 'test',
+      states: {
+        home: {
+          prompt: 'Home',
+          options: [
+            { key: '1', label: 'Amount', next: 'amount', data: {} },
+            { key: '2', label: 'Locked', next: 'locked' },
+            exitOption
+          ]
+        },
+        amount: {
+          prompt: 'Enter amount:',
+          options: [backOption('home')],
+          input: {
+            validate: (input) => {
+              const amount = parseFloat(input);
+              return isNaN(amount) ? { error: 'Invalid amount.' } : { value: amount };
+            },
+            next: (amount, ctx) => goto('done', { ...ctx.data, amount })
+          }
+        },
+        locked: {
+          guard: () => end('Not allowed'),
+          prompt: 'Secret'
+        },
+        done: {
+          terminal: true,
+          prompt: (ctx) => `Got ${ctx.data.amount}`
+        }
+      }
+    });
+    return engine;
+  };
+
+  const ctx = (data = {}) => ({ phoneNumber: '254712345678', data, getUser: jest.fn(), t: i18n.translator('en') });
+
+  test('should render entry screen with options', async () => {
+    const response = await buildEngine().handle('home', '', ctx());
+
+    expect(response.text).toBe('CON Home\n\n1. Amount\n2. Locked\n0. Exit');
+    expect(response.continue).toBe(true);
+    expect(response.nextMenu).toBe('home');
+  });
+
+  test('should follow option transitions and render the target state', async () => {
+    const response = await buildEngine().handle('home', '1', ctx());
+
+    expect(response.text).toBe('CON Enter amount:\n\n9. Back');
+    expect(response.nextMenu).toBe('amount');
+  });
+
+  test('should show the default invalid option screen', async () => {
+    const response = await buildEngine().handle('home', '7', ctx());
+
+    expect(response.text).toBe('CON Invalid option. Please try again.\n\n1. Amount\n2. Locked\n0. Exit');
+    expect(response.nextMenu).toBe('home');
+  });
+
+  test('should show validator errors and stay in the state', async () => {
+    const response = await buildEngine().handle('amount', 'abc', ctx());
+
+    expect(response.text).toBe('CON Invalid amount.');
+    expect(response.nextMenu).toBe('amount');
+  });
+
+  test('should carry validated input into session data', async () => {
+    const response = await buildEngine().handle('amount', '25', ctx({ foo: 'bar' }));
+
+    expect(response).toEqual({ text: 'END Got 25', continue: false, state: 'done', outcome: 'completed', inputClass: 'text' });
+  });
+
+  test('should block entry when a guard returns a result', async () => {
+    const response = await buildEngine().handle('home', '2', ctx());
+
+    expect(response).toEqual({ text: 'END Not allowed', continue: false, state: 'locked', outcome: 'completed', inputClass: 'option' });
+  });
+
+  test('should describe the transition without recording the input', async () => {
+    const rejected = await buildEngine().handle('amount', 'abc', ctx());
+    const exited = await buildEngine().handle('home', '0', ctx());
+
+    expect(rejected).toMatchObject({ state: 'amount', outcome: 'invalid', inputClass: 'text' });
+    expect(exited).toMatchObject({ state: 'home', outcome: 'cancelled', inputClass: 'option' });
+    expect(JSON.stringify(rejected)).not.toContain('abc');
+  });
+
+  test('should fall back to the initial state for unknown states', async () => {
+    const response = await buildEngine().handle('missing', '5', ctx());
+
+    expect(response.nextMenu).toBe('home');
+  });
+
+  test('should reject duplicate state ids', () => {
+    const engine = buildEngine();
+    expect(() => engine.register({ name: 'dup', states: { home: {} } })).toThrow('Duplicate USSD state');
+  });
+});
+
+describe('Screen pagination', () => {
+  const lines = Array.from({ length: 12 }, (_, i) => `${i + 1}. Vault number ${i + 1} APY 5%`).join('\n');
+
+  const buildEngine = () => {
+    const engine = new MenuEngine({ initialState: 'list', renderer: new ScreenRenderer({ maxLength: 100 }) });
+    engine.register({
+      name: 'paged',
+      states: {
+        list: { prompt: lines, options: [exitOption] },
+        report: { onEnter: () => end(lines) },
+        amount: {
+          prompt: `${lines}\nEnter amount:`,
+          input: {
+            validate: (input) => {
+              const amount = parseFloat(input);
+              return isNaN(amount) ? { error: 'Invalid amount.' } : { value: amount };
+            },
+            next: (amount) => end(`Got ${amount}`)
+          }
+        },
+        pin: {
+          prompt: `${lines}\nEnter PIN:`,
+          input: {
+            validate: (input) => (/^\d{4,6}$/.test(input) ? { value: input } : { error: 'Invalid PIN.' }),
+            next: () => end('PIN ok')
+          }
+        }
+      }
+    });
+    return engine;
+  };
+
+  const ctx = (data = {}) => ({ phoneNumber: '254712345678', data, getUser: jest.fn(), t: i18n.translator('en') });
+
+  test('should measure payloads in their encoding', () => {
+    expect(detectEncoding('Balance: $10')).toBe('GSM-7');
+    expect(measure('Total €5')).toBe(9);
+    expect(detectEncoding('Balance 💰')).toBe('UCS-2');
+    expect(measure('Balance 💰')).toBe(10);
+  });
+
+  test('should split long bodies into pages within the limit', () => {
+    const renderer = new ScreenRenderer({ maxLength: 100 });
+    const pages = renderer.paginate(lines, { more: 'More', prev: 'Prev' });
+
+    expect(pages.length).toBeGreaterThan(1);
+    expect(pages.join('\n')).toBe(lines);
+    pages.forEach((page, index) => {
+      expect(renderer.fits(`CON ${renderer.renderPage(pages, index, { more: 'More', prev: 'Prev' })}`)).toBe(true);
+    });
+  });
+
+  test('should split UCS-2 screens against the UCS-2 limit', () => {
+    const renderer = new ScreenRenderer();
+    const labels = { more: 'More', prev: 'Prev' };
+    const screens = [
+      `Your vaults 💰\n${lines.split('\n').slice(0, 4).join('\n')}`,
+      'Zaɓi ma\'ajiya:\n1. Ajiya mai ƙarfi 5%\n2. Ajiya ta yau da kullum 3%\n3. Ajiya ta ƙasa 4%\n0. Fita'
+    ];
+
+    screens.forEach((body) => {
+      // Under the GSM-7 limit, but over what a gateway delivers in UCS-2
+      expect(detectEncoding(body)).toBe('UCS-2');
+      expect(measure(`CON ${body}`)).toBeLessThan(182);
+
+      const pages = renderer.paginate(body, labels);
+
+      expect(pages.length).toBeGreaterThan(1);
+      pages.forEach((page, index) => {
+        expect(measure(`CON ${renderer.renderPage(pages, index, labels)}`)).toBeLessThanOrEqual(80);
+      });
+    });
+  });
+
+  test('should keep the page cursor in session data', async () => {
+    const engine = buildEngine();
+    const first = await engine.handle('list', '', ctx());
+
+    expect(first.text).toContain('98. More');
+    expect(first.text).not.toContain('97. Prev');
+    expect(first.sessionData._pager.index).toBe(0);
+
+    const second = await engine.handle('list', '98', ctx(first.sessionData));
+
+    expect(second.text).toContain('97. Prev');
+    expect(second.sessionData._pager.index).toBe(1);
+    expect(second.nextMenu).toBe('list');
+  });
+
+  test('should take 98 as the answer on a paged input state that accepts it', async () => {
+    const engine = buildEngine();
+    const first = await engine.handle('amount', '', ctx());
+
+    expect(first.text).toContain('98. More');
+
+    const answered = await engine.handle('amount', '98', ctx(first.sessionData));
+
+    expect(answered).toMatchObject({ text: 'END Got 98', inputClass: 'text' });
+  });
+
+  test('should turn the page on a paged input state that rejects 98', async () => {
+    const engine = buildEngine();
+    const first = await engine.handle('pin', '', ctx());
+    const second = await engine.handle('pin', '98', ctx(first.sessionData));
+
+    expect(second).toMatchObject({ nextMenu: 'pin', inputClass: 'page' });
+    expect(second.sessionData._pager.index).toBe(1);
+  });
+
+  test('should end a paged END screen on its last page', async () => {
+    const engine = buildEngine();
+    let response = await engine.handle('report', '', ctx());
+
+    while (response.continue) {
+      expect(response.text.startsWith('CON ')).toBe(true);
+      response = await engine.handle('report', '98', ctx(response.sessionData));
+    }
+
+    expect(response.text.startsWith('END ')).toBe(true);
+    expect(response.text).toContain('12. Vault number 12');
+  });
+});
+
+describe('USSDService', () => {
+  const phoneNumber = '254712345678';
+  const request = (text) => USSDService.processUSSDRequest({
+    sessionId: 'session-1',
+    serviceCode: '*384*96#',
+    phoneNumber: `+${phoneNumber}`,
+    text
+  });
+
+  const withSession = (currentMenu, sessionData = {}) => {
+    sessionStore.get.mockResolvedValue({
+      session_id: 'session-1',
+      current_menu: currentMenu,
+      session_data: sessionData
+    });
+  };
+
+  // Screens with emoji go out as UCS-2 and span pages: follow "98. More" and rejoin them
+  const singleSpaced = (text) => text.replace(/\n+/g, '\n');
+  const readScreen = async (first, next = () => request('98')) => {
+    const pages = [first];
+    while (pages[pages.length - 1].includes('\n98. ')) {
+      const [, { currentMenu, sessionData }] = sessionStore.update.mock.calls[sessionStore.update.mock.calls.length - 1];
+      withSession(currentMenu, sessionData);
+      pages.push(await next());
+    }
+
+    const prefix = pages[pages.length - 1].slice(0, 4);
+    return singleSpaced(prefix + pages.map(page => page.slice(4).replace(/\n\n9[78]\. [\s\S]*$/, '')).join('\n'));
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findByPhone.mockResolvedValue({
+      phone_number: phoneNumber,
+      wallet_address: '0x1234567890123456789012345678901234567890',
+      balance: 50,
+      pin_hash: 'scrypt$salt$hash'
+    });
+  });
+
+  test('should show the main menu to existing users', async () => {
+    withSession('main');
+
+    const response = await request('');
+
+    expect(response).toBe('CON Welcome to Zybra DeFi! 💰\n\n1. Check Balance\n\n98. More');
+    expect(sessionStore.update).toHaveBeenCalledWith('session-1', {
+      currentMenu: 'main',
+      sessionData: { _pager: expect.objectContaining({ index: 0 }) }
+    });
+    expect(await readScreen(response)).toBe(singleSpaced('CON Welcome to Zybra DeFi! 💰\n\n1. Check Balance\n2. Invest in DeFi\n3. Withdraw Funds\n4. Send Money\n5. Settings\n0. Exit'));
+  });
+
+  test('should create a wallet for new users', async () => {
+    withSession('main');
+    User.findByPhone.mockResolvedValue(null);
+    walletService.createUserWallet.mockResolvedValue({ walletAddress: '0xabc' });
+
+    const response = await readScreen(await request(''));
+
+    expect(walletService.createUserWallet).toHaveBeenCalledWith(phoneNumber);
+    expect(SMSService.sendWelcomeSMS).toHaveBeenCalledWith(phoneNumber, '0xabc');
+    expect(response).toContain('Your crypto wallet has been created.');
+    expect(response).toContain('Create a 4-6 digit PIN to protect your wallet:');
+  });
+
+  test('should render the balance screen and end the session', async () => {
+    withSession('main');
+    morphoService.getUserPositions.mockResolvedValue({ success: true, positions: [] });
+
+    const response = await readScreen(await request('1'));
+
+    expect(response).toContain('END Your Zybra Portfolio 💰');
+    expect(response).toContain('Total Portfolio: $50.00');
+    expect(sessionStore.end).toHaveBeenCalledWith('session-1', 'completed');
+  });
+
+  test('should block investing with an insufficient balance', async () => {
+    withSession('main');
+    User.findByPhone.mockResolvedValue({ phone_number: phoneNumber, balance: 5 });
+
+    const response = await readScreen(await request('2'));
+
+    expect(response).toContain('END Insufficient Balance 💸');
+  });
+
+  test('should move from invest amount to vault selection', async () => {
+    withSession('invest_amount', { balance: 50, investmentType: 'existing_balance' });
+    morphoService.fetchAvailableVaults.mockResolvedValue({
+      success: true,
+      vaults: [{ name: 'Steakhouse USDC', apy: '7.50%', riskLevel: 'LOW' }]
+    });
+    morphoService.formatVaultsForUSSD.mockReturnValue([
+      { index: 1, name: 'Steakhouse USDC', apy: '7.50%', risk: 'LOW' }
+    ]);
+
+    const response = await request('2*2*20');
+
+    expect(sessionStore.update).toHaveBeenCalledWith('session-1', expect.objectContaining({
+      currentMenu: 'invest_vault_select'
+    }));
+    expect(await readScreen(response)).toBe(singleSpaced('CON Select Investment Vault 📊\n\nAmount: $20\n\n1. Steakhouse USDC\n   APY: 7.50% | Risk: LOW\n\n9. Back\n0. Exit'));
+  });
+
+  test('should reject amounts above the available balance', async () => {
+    withSession('invest_amount', { balance: 50, investmentType: 'existing_balance' });
+
+    const response = await request('2*2*80');
+
+    expect(response).toBe('CON Insufficient balance. Available: $50\n\nEnter amount in USDT:');
+  });
+
+  test('should default to the language of the phone country', async () => {
+    withSession('main');
+    User.findByPhone.mockResolvedValue({ phone_number: '255712345678', balance: 50, pin_hash: 'scrypt$salt$hash' });
+
+    const requestTz = (text) => USSDService.processUSSDRequest({
+      sessionId: 'session-1',
+      phoneNumber: '+255712345678',
+      text
+    });
+
+    const response = await readScreen(await requestTz(''), () => requestTz('98'));
+
+    expect(response).toBe(singleSpaced('CON Karibu Zybra DeFi! 💰\n\n1. Angalia Salio\n2. Wekeza kwenye DeFi\n3. Toa Pesa\n4. Tuma Pesa\n5. Mipangilio\n0. Toka'));
+  });
+
+  test('should prefer the stored language over the country default', async () => {
+    withSession('main');
+    User.findByPhone.mockResolvedValue({ phone_number: phoneNumber, balance: 50, preferred_locale: 'fr', pin_hash: 'scrypt$salt$hash' });
+
+    const response = await request('');
+
+    expect(response).toContain('CON Bienvenue sur Zybra DeFi ! 💰');
+  });
+
+  test('should store the chosen language and show the menu in it', async () => {
+    withSession('language');
+
+    const response = await request('4*3');
+
+    expect(User.updateLocale).toHaveBeenCalledWith(phoneNumber, 'ny');
+    expect(response).toContain('CON Takulandirani ku Zybra DeFi! 💰');
+    expect(sessionStore.update).toHaveBeenCalledWith('session-1', {
+      currentMenu: 'main',
+      sessionData: { _pager: expect.objectContaining({ index: 0 }) }
+    });
+  });
+
+  test('should toggle a notification category from Settings', async () => {
+    const preferences = { marketing: true, transaction_alerts: true, balance_digests: true, security_alerts: true };
+    withSession('notifications', { preferences });
+    NotificationPreference.findByPhone.mockResolvedValue({ ...preferences, marketing: false, opted_out_at: null });
+
+    const response = await readScreen(await request('5*1*1'));
+
+    expect(NotificationPreference.upsert).toHaveBeenCalledWith(phoneNumber, { marketing: false });
+    expect(response).toContain('1. News & offers: OFF\n2. Transaction alerts: ON');
+  });
+
+  test('should save a display name from Settings', async () => {
+    withSession('display_name', { displayName: null });
+
+    expect(await request('5*4*A1')).toContain('CON Use 2-30 letters');
+
+    const response = await request("5*4*  Amina  O'Neil ");
+
+    expect(User.updateDisplayName).toHaveBeenCalledWith(phoneNumber, "Amina O'Neil");
+    expect(response).toBe("END Name saved ✅\n\nPeople sending you money will see: Amina O'Neil");
+  });
+
+  describe('sending money', () => {
+    const sender = { phone_number: phoneNumber, balance: 50, pin_hash: 'scrypt$salt$hash' };
+    const transfer = { recipientPhone: '255712345678', recipient: '+255712345678', claim: true, balance: 50, amount: 20, fee: 0.1 };
+
+    const withUsers = (users) => {
+      User.findByPhone.mockImplementation(async (phone) => users[phone] || null);
+    };
+
+    test('should read a local number in the sender\'s country and show the recipient\'s name', async () => {
+      withSession('send_money');
+      withUsers({ [phoneNumber]: sender, 254798765432: { phone_number: '254798765432', display_name: 'Amina' } });
+
+      const response = await request('4*0798 765 432');
+
+      expect(User.findByPhone).toHaveBeenCalledWith('254798765432');
+      expect(response).toBe('CON Send to Amina (+254798765432)\nBalance: 50 ZrUSD\n\nEnter amount in ZrUSD:');
+    });
+
+    test('should offer to hold money for an unregistered number', async () => {
+      withSession('send_money');
+      withUsers({ [phoneNumber]: sender });
+
+      const response = await request('4*+255 712 345 678');
+
+      expect(response).toBe('CON +255712345678 is not on Zybra yet.\nWe can hold the money and send them an SMS to claim it.\n\n1. Send anyway\n2. Try another number\n9. Back to Main Menu\n0. Exit');
+      expect(await request('4*0712345678')).toContain('CON You cannot send money to yourself.');
+    });
+
+    test('should keep the fee within the balance and price the transfer locally', async () => {
+      withSession('send_amount', { recipientPhone: '255712345678', recipient: '+255712345678', claim: false });
+      withUsers({ [phoneNumber]: sender });
+      fxEngine.quote.mockImplementation(async (from, to, amount) => ({
+        targetAmount: to === 'KES' ? amount * 128 : amount * 2500
+      }));
+
+      expect(await request('4*50')).toBe('CON Insufficient balance. You can send up to 49.90 ZrUSD (fee 0.1 ZrUSD).\n\nEnter amount in ZrUSD:');
+
+      const response = await readScreen(await request('4*20'));
+
+      expect(fxEngine.quote).toHaveBeenCalledWith('ZrUSD', 'KES', 20.1);
+      expect(fxEngine.quote).toHaveBeenCalledWith('ZrUSD', 'TZS', 20);
+      expect(response).toBe(singleSpaced('CON Confirm Transfer 📋\n\nTo: +255712345678\nSend: 20 ZrUSD\nFee: 0.1 ZrUSD\nTotal: 20.10 ZrUSD\nYou pay ≈ 2572.8 KES\nThey get ≈ 50000 TZS\n\n1. Send\n2. Cancel\n0. Exit'));
+    });
+
+    test('should step up with an OTP and hold the money for an unregistered recipient', async () => {
+      withSession('send_confirm', transfer);
+      withUsers({ [phoneNumber]: { ...sender, pin_hash: null } });
+      AuthService.authorizeWalletOperation.mockResolvedValue({ success: false, requiresRecentAuth: true, pinEnabled: false });
+      AuthService.generateSecureOTP.mockResolvedValue({ success: true });
+
+      expect(await request('4*1')).toContain('CON Security Verification Required 🔐');
+      expect(AuthService.authorizeWalletOperation).toHaveBeenCalledWith(phoneNumber, 'transfer');
+      expect(AuthService.generateSecureOTP).toHaveBeenCalledWith(phoneNumber, 'transaction');
+
+      withSession('send_otp_verify', { ...transfer, otpSent: true });
+      AuthService.verifySecureOTP.mockResolvedValue({ success: true });
+      transactionService.processTransfer.mockResolvedValue({ success: true, transactionId: 'tx-1', claimId: 'claim-1', newBalance: 29.9 });
+
+      const response = await readScreen(await request('4*1*123456'));
+
+      expect(transactionService.processTransfer).toHaveBeenCalledWith(phoneNumber, '255712345678', 20, 'ZrUSD');
+      expect(response).toBe(singleSpaced('END Money Sent! ✅\n\n20 ZrUSD is held for 255712345678.\nWe sent them an SMS to claim it.\nIf unclaimed after 30 days, it comes back to you.\nBalance: 29.9 ZrUSD'));
+    });
+
+    test('should report a direct transfer once the recipient has registered', async () => {
+      withSession('send_pin_verify', transfer);
+      withUsers({ [phoneNumber]: sender });
+      AuthService.verifyTransactionPin.mockResolvedValue({ success: true });
+      transactionService.processTransfer.mockResolvedValue({ success: true, transactionId: 'tx-1', newBalance: 29.9 });
+
+      const response = await readScreen(await request('4*1*1234'));
+
+      expect(response).toContain(singleSpaced('END Transfer Successful! ✅\n\nSent: 20 ZrUSD\nTo: +255712345678'));
+    });
+  });
+
+  describe('transaction PIN', () => {
+    const vault = { name: 'Steakhouse USDC', symbol: 'steakUSDC', netApy: 0.075, riskLevel: 'LOW' };
+    const investment = { balance: 50, investmentType: 'existing_balance', investAmount: 20, usdtAmount: 20, currency: 'USDT', selectedVault: vault };
+
+    test('should send users without a PIN to PIN setup', async () => {
+      withSession('main');
+      User.findByPhone.mockResolvedValue({ phone_number: phoneNumber, balance: 50, pin_hash: null });
+
+      const response = await request('');
+
+      expect(response).toBe('CON Create a 4-6 digit PIN to protect your wallet:');
+      expect(sessionStore.update).toHaveBeenCalledWith('session-1', expect.objectContaining({ currentMenu: 'pin_setup' }));
+    });
+
+    test('should ask for the PIN instead of an OTP', async () => {
+      withSession('invest_confirm', investment);
+      AuthService.authorizeWalletOperation.mockResolvedValue({ success: false, requiresRecentAuth: true, pinEnabled: true });
+
+      const response = await request('1');
+
+      expect(response).toBe('CON Enter your PIN to authorise this transaction 🔐\n\n(Enter PIN or 0 to cancel)');
+      expect(AuthService.generateSecureOTP).not.toHaveBeenCalled();
+    });
+
+    test('should count wrong PIN attempts', async () => {
+      withSession('invest_pin_verify', investment);
+      AuthService.verifyTransactionPin.mockResolvedValue({ success: false, attemptsRemaining: 1 });
+
+      const response = await request('1234');
+
+      expect(response).toContain('CON Incorrect PIN ❌\n1 attempt remaining.');
+    });
+
+    test('should record a wrong PIN as an invalid transition without the PIN', async () => {
+      sessionStore.get.mockResolvedValue({
+        session_id: 'session-1',
+        current_menu: 'invest_pin_verify',
+        session_data: investment,
+        updated_at: new Date(Date.now() - 5000)
+      });
+      AuthService.verifyTransactionPin.mockResolvedValue({ success: false, attemptsRemaining: 1 });
+
+      await request('9090');
+
+      expect(transitions.record).toHaveBeenCalledWith(expect.objectContaining({
+        sessionId: 'session-1',
+        phoneNumber,
+        country: 'KE',
+        fromState: 'invest_pin_verify',
+        toState: 'invest_pin_verify',
+        inputClass: 'text',
+        outcome: 'invalid'
+      }));
+      const [transition] = transitions.record.mock.calls[0];
+      expect(transition.dwellMs).toBeGreaterThanOrEqual(5000);
+      expect(JSON.stringify(transition)).not.toContain('9090');
+    });
+
+    test('should end the session once the PIN is locked', async () => {
+      withSession('invest_pin_verify', investment);
+      AuthService.verifyTransactionPin.mockResolvedValue({ success: false, locked: true, lockMinutes: 30 });
+
+      const response = await readScreen(await request('1234'));
+
+      expect(response).toContain('END PIN locked 🔒');
+      expect(response).toContain('30 minutes');
+    });
+  });
+
+  describe('resuming interrupted sessions', () => {
+    const vault = { name: 'Steakhouse USDC', symbol: 'steakUSDC', netApy: 0.075, riskLevel: 'LOW' };
+    const investment = { balance: 50, investmentType: 'existing_balance', investAmount: 20, usdtAmount: 20, currency: 'USDT', selectedVault: vault };
+
+    beforeEach(() => {
+      sessionStore.get.mockResolvedValue(null);
+      sessionStore.create.mockResolvedValue({ session_id: 'session-1', current_menu: 'main', session_data: {} });
+    });
+
+    test('should offer to continue an interrupted investment', async () => {
+      redisClient.get.mockResolvedValue({ state: 'invest_confirm', data: investment });
+
+      const response = await request('');
+
+      expect(redisClient.get).toHaveBeenCalledWith(`ussd_snapshot:${phoneNumber}`);
+      expect(response).toBe('CON Continue your investment of $20 into Steakhouse USDC?\n\n1. Yes\n2. Start over\n0. Exit');
+    });
+
+    test('should restore the saved state and keep the snapshot fresh', async () => {
+      withSession('resume', { snapshot: { state: 'invest_confirm', data: investment }, question: 'Continue?' });
+
+      const response = await request('1');
+
+      expect(response).toContain('CON Confirm Investment 🔒');
+      expect(redisClient.setex).toHaveBeenCalledWith(`ussd_snapshot:${phoneNumber}`, 600, {
+        state: 'invest_confirm',
+        data: investment
+      });
+    });
+
+    test('should discard the snapshot once its OTP has expired', async () => {
+      redisClient.get.mockResolvedValue({ state: 'invest_otp_verify', data: { ...investment, otpSent: true } });
+      AuthService.hasPendingOTP.mockResolvedValue(false);
+
+      const response = await request('');
+
+      expect(AuthService.hasPendingOTP).toHaveBeenCalledWith(phoneNumber, 'investment');
+      expect(redisClient.del).toHaveBeenCalledWith(`ussd_snapshot:${phoneNumber}`);
+      expect(response).toContain('CON Welcome to Zybra DeFi! 💰');
+    });
+  });
+});
+
+describe('i18n', () => {
+  const flatten = (node, prefix = '') => Object.entries(node).flatMap(([key, value]) =>
+    value && typeof value === 'object' && !Array.isArray(value) && !value.other
+      ? flatten(value, `${prefix}${key}.`)
+      : [`${prefix}${key}`]
+  );
+
+  test('should define every English key in each locale', () => {
+    const englishKeys = flatten(require('../../src/i18n/locales/en'));
+
+    i18n.SUPPORTED_LOCALES.forEach(locale => {
+      const keys = flatten(require(`../../src/i18n/locales/${locale}`));
+      expect(englishKeys.filter(key => !keys.includes(key))).toEqual([]);
+    });
+  });
+
+  test('should pluralise on count', () => {
+    expect(i18n.t('en', 'withdraw.title', { count: 1 })).toContain('1 active investment');
+    expect(i18n.t('en', 'withdraw.title', { count: 3 })).toContain('3 active investments');
+    expect(i18n.t('fr', 'withdraw.title', { count: 2 })).toContain('2 investissements actifs');
+  });
+
+  test('should match localized SMS keywords', () => {
+    expect(i18n.matchKeyword('salio')).toEqual({ command: 'BALANCE', locale: 'sw' });
+    expect(i18n.matchKeyword(' Arrêt ')).toEqual({ command: 'STOP', locale: 'fr' });
+    expect(i18n.matchKeyword('BAL')).toEqual({ command: 'BALANCE', locale: 'en' });
+    expect(i18n.matchKeyword('HELLO')).toBeNull();
+  });
+});
@@ -1,16 +1,9 @@
-const AfricasTalking = require('africastalking');
-
-// Initialize Africa's Talking
-const africastalking = AfricasTalking({
-  apiKey: process.env.AFRICASTALKING_API_KEY || 'your_api_key',
-  username: process.env.AFRICASTALKING_USERNAME || 'your_username',
-});
-
-const sms = africastalking.SMS;
+const providerRouter = require('../backend/src/services/sms/providerRouter');
+const i18n = require('../backend/src/i18n');
 
 /**
- * Simple SMS sender wrapper for Africa's Talking
- * This is a simplified version for quick SMS sending
+ * Simple SMS sender for quick sends outside the backend's queue.
+ * Uses the backend's provider router, so SMS_PROVIDERS / SMS_ROUTES and failover apply here too.
  */
 class SMSSender {
   /**
@@ -21,28 +14,22 @@ class SMSSender {
    * @returns {Promise<Object>} - SMS response
    */
   static async send(to, message, from = null) {
-    try {
-      const options = {
-        to: Array.isArray(to) ? to : [to],
-        message: message,
-      };
+    const recipients = Array.isArray(to) ? to : [to];
 
-      if (from) {
-        options.from = from;
+    try {
+      const results = [];
+      for (const recipient of recipients) {
+        results.push(await providerRouter.send({ to: recipient, message, from }));
       }
 
-      console.log(`📱 Sending SMS to ${to}: ${message.substring(0, 50)}...`);
-
-      const response = await sms.send(options);
-
-      console.log('✅ SMS sent successfully:', response);
+      console.log(`✅ SMS sent to ${recipients.length} recipient(s) via ${results[0].provider}`);
       return {
         success: true,
-        data: response,
-        messageId: response.SMSMessageData?.Recipients?.[0]?.messageId
+        data: results,
+        messageId: results[0].messageId
       };
     } catch (error) {
-      console.error('❌ SMS sending failed:', error);
+      console.error('❌ SMS sending failed:', error.message);
       return {
         success: false,
         error: error.message
@@ -58,61 +45,32 @@ class SMSSender {
    * @returns {Promise<Object>} - SMS response
    */
   static async sendBulk(recipients, message, from = null) {
-    try {
-      const options = {
-        to: recipients,
-        message: message,
-      };
-
-      if (from) {
-        options.from = from;
-      }
-
-      console.log(`📱 Sending bulk SMS to ${recipients.length} recipients`);
+    console.log(`📱 Sending bulk SMS to ${recipients.length} recipients`);
 
-      const response = await sms.send(options);
-
-      console.log('✅ Bulk SMS sent successfully');
-      return {
-        success: true,
-        data: response,
-        recipientCount: recipients.length
-      };
-    } catch (error) {
-      console.error('❌ Bulk SMS sending failed:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+    const result = await this.send(recipients, message, from);
+    return result.success
+      ? { success: true, data: result.data, recipientCount: recipients.length }
+      : result;
   }
 
   /**
    * Send transaction notification SMS
    * @param {string} phoneNumber - User's phone number
    * @param {Object} transaction - Transaction details
+   * @param {string} locale - Message language (defaults to the phone's country language)
    * @returns {Promise<Object>} - SMS response
    */
-  static async sendTransactionNotification(phoneNumber, transaction) {
+  static async sendTransactionNotification(phoneNumber, transaction, locale = null) {
     const { type, amount, currency, status } = transaction;
+    locale = locale || i18n.localeForPhone(phoneNumber);
 
-    let message;
-    if (status === 'completed') {
-      message = `✅ Transaction Confirmed!\n` +
-                `${type.toUpperCase()}: ${amount} ${currency}\n` +
-                `Time: ${new Date().toLocaleString()}\n` +
-                `Zybra`;
-    } else if (status === 'failed') {
-      message = `❌ Transaction Failed!\n` +
-                `${type.toUpperCase()}: ${amount} ${currency}\n` +
-                `Please try again.\n` +
-                `Zybra`;
-    } else {
-      message = `⏳ Transaction Pending...\n` +
-                `${type.toUpperCase()}: ${amount} ${currency}\n` +
-                `We'll notify you once confirmed.\n` +
-                `Zybra`;
-    }
+    const key = ['completed', 'failed'].includes(status) ? status : 'pending';
+    const message = i18n.t(locale, `sms.notification.${key}`, {
+      type: type.toUpperCase(),
+      amount,
+      currency,
+      time: new Date().toLocaleString()
+    });
 
     return await this.send(phoneNumber, message);
   }
@@ -121,12 +79,15 @@ class SMSSender {
    * Send balance notification SMS
    * @param {string} phoneNumber - User's phone number
    * @param {number} balance - Current balance
+   * @param {string} locale - Message language (defaults to the phone's country language)
    * @returns {Promise<Object>} - SMS response
    */
-  static async sendBalance(phoneNumber, balance) {
-    const message = `💰 Your Zybra Balance: ${balance} ZrUSD\n` +
-                   `Time: ${new Date().toLocaleString()}\n` +
-                   `Dial *384*96# for more options`;
+  static async sendBalance(phoneNumber, balance, locale = null) {
+    locale = locale || i18n.localeForPhone(phoneNumber);
+    const message = i18n.t(locale, 'sms.balanceShort', {
+      balance,
+      time: new Date().toLocaleString()
+    });
 
     return await this.send(phoneNumber, message);
   }